@@ -84,7 +84,10 @@ import {
   handleGetPdfMetadata,
   handleGetPdfPageDimensions,
   handleRenderPdfPageImage,
-  handleRenderAllPdfPages
+  handleRenderAllPdfPages,
+  handleEncodeAudio,
+  handleDownloadVoice,
+  handleRemoveVoice
 } from './scripts/offscreen/message-handlers.js';
 
 // CRITICAL: Import state management - needed for listener
@@ -95,6 +98,7 @@ import { DEFAULT_VOICES, FALLBACK_VOICES } from './scripts/offscreen/utils/const
 
 // CRITICAL: Import utilities - needed for listener
 import { detectLanguage } from './scripts/offscreen/utils/language-detection.js';
+import { OFFLINE_AUTO_VOICE, toOfflineVoiceList } from './scripts/api/piper-languages.js';
 import { concatenateWavBuffers } from './scripts/offscreen/audio/wav-utils.js';
 
 // CRITICAL: Log before TTS imports
@@ -568,6 +572,11 @@ try {
             }
           }
           
+          // Auto voice: same as no voice - default voice of detected content language is used
+          if (voice === OFFLINE_AUTO_VOICE) {
+            voice = null;
+          }
+          
           // Select voice
           let langCode = language.split('-')[0].toLowerCase();
           // Normalize Ukrainian language code: 'ua' -> 'uk' (Piper TTS uses 'uk')
@@ -649,6 +658,13 @@ try {
           } else {
             // No voice specified, use default
             voiceId = defaultVoiceForLang || defaultVoiceEn || 'en_US-lessac-medium';
+            if (!defaultVoiceForLang) {
+              logWarn(`[ClipAIble Offscreen] No offline voice for language ${langCode}, using English voice for ${messageId}`, {
+                messageId,
+                langCode,
+                voiceId
+              });
+            }
             log(`[ClipAIble Offscreen] CRITICAL: No voice specified, using default for ${messageId}`, {
               messageId,
               voice,
@@ -840,73 +856,7 @@ try {
                     
                     // CRITICAL: Use the SAME filtering and sorting logic as GET_VOICES
                     // This ensures index matches the position in UI dropdown
-                    const supportedLanguages = ['en', 'ru', 'uk', 'de', 'fr', 'es', 'it', 'pt', 'zh'];
-                    
-                    // Filter voices: exclude low quality and unsupported languages
-                    const filteredVoices = (Array.isArray(availableVoices) ? availableVoices : []).filter((voice) => {
-                      const quality = voice.quality || 'medium';
-                      const isLowQuality = quality === 'low' || quality === 'x_low';
-                      if (isLowQuality) {
-                        return false;
-                      }
-                      
-                      // Extract language code from voice key or use language property
-                      let langCode = '';
-                      if (voice.language?.code && typeof voice.language.code === 'string') {
-                        const countryCode = voice.language.code.toLowerCase();
-                        langCode = countryCode.split('_')[0]; // 'en_GB' -> 'en', 'ru_RU' -> 'ru'
-                      } else {
-                        const langMatch = voice.key.match(/^([a-z]{2})_/i);
-                        langCode = langMatch ? langMatch[1].toLowerCase() : '';
-                      }
-                      
-                      // Check if language is supported
-                      return supportedLanguages.includes(langCode);
-                    });
-                    
-                    // Map to result format (same as GET_VOICES)
-                    const result = filteredVoices.map((voice) => {
-                      // Extract base language code
-                      let langCode = '';
-                      if (voice.language?.code && typeof voice.language.code === 'string') {
-                        const countryCode = voice.language.code.toLowerCase();
-                        langCode = countryCode.split('_')[0];
-                      } else {
-                        const langMatch = voice.key.match(/^([a-z]{2})_/i);
-                        langCode = langMatch ? langMatch[1].toLowerCase() : 'unknown';
-                      }
-                      
-                      return {
-                        id: voice.key, // CRITICAL: Use voice.key as id
-                        name: voice.name || voice.key,
-                        language: langCode,
-                        quality: voice.quality || 'medium',
-                        gender: voice.gender || 'unknown'
-                      };
-                    });
-                    
-                    // Sort voices: SAME logic as GET_VOICES
-                    // First by language (in supported order), then by quality (high > medium), then by name
-                    const languageOrder = { 'en': 0, 'ru': 1, 'uk': 2, 'de': 3, 'fr': 4, 'es': 5, 'it': 6, 'pt': 7, 'zh': 8, 'ja': 9, 'ko': 10 };
-                    const qualityOrder = { 'high': 0, 'medium': 1 };
-                    result.sort((a, b) => {
-                      // First sort by language (in supported order)
-                      const aLangOrder = languageOrder[a.language] ?? 99;
-                      const bLangOrder = languageOrder[b.language] ?? 99;
-                      if (aLangOrder !== bLangOrder) {
-                        return aLangOrder - bLangOrder;
-                      }
-                      // Then by quality (high > medium)
-                      const aQuality = qualityOrder[a.quality] ?? 99;
-                      const bQuality = qualityOrder[b.quality] ?? 99;
-                      if (aQuality !== bQuality) {
-                        return aQuality - bQuality;
-                      }
-                      // Finally by name
-                      return a.name.localeCompare(b.name);
-                    });
-                    
-                    const filteredVoicesList = result;
+                    const filteredVoicesList = toOfflineVoiceList(availableVoices);
                     
                     log(`[ClipAIble Offscreen] Filtered voices for index lookup for ${messageId}`, {
                       messageId,
@@ -3912,6 +3862,21 @@ try {
           break;
         }
         
+        case 'ENCODE_AUDIO': {
+          await handleEncodeAudio(messageId, message.data, sendResponse);
+          break;
+        }
+        
+        case 'DOWNLOAD_VOICE': {
+          await handleDownloadVoice(messageId, message.data, sendResponse);
+          break;
+        }
+        
+        case 'REMOVE_VOICE': {
+          await handleRemoveVoice(messageId, message.data, sendResponse);
+          break;
+        }
+        
         default:
           if (CONFIG.LOG_LEVEL === 0) {
             console.log('[OFFSCREEN DEBUG] ❌ DEFAULT CASE HIT - Unknown message type:', message.type);
@@ -0,0 +1,259 @@
+// @ts-check
+// Audio player page - plays generated audio with read-along text
+// Opened by background (scripts/generation/audio.js) when player is enabled in audio settings
+
+import { getUILanguage, tSync } from '../scripts/locales.js';
+import { logError } from '../scripts/utils/logging.js';
+import { applyLocalization } from '../scripts/utils/extension-page.js';
+import { findSentenceAt } from '../scripts/generation/audio-transcript.js';
+import {
+  getAudioLibrary,
+  readLibraryAudio,
+  getPositionKey,
+  AUDIO_POSITIONS_STORAGE_KEY,
+  AUDIO_PLAYER_SPEED_STORAGE_KEY
+} from '../scripts/generation/audio-library.js';
+
+/**
+ * Playback position is saved when it moves this far (seconds)
+ * @readonly
+ */
+const POSITION_SAVE_STEP_SECONDS = 5;
+
+let uiLang = 'en';
+/** @type {Array<import('../scripts/generation/audio-library.js').AudioLibraryItem>} */
+let library = [];
+/** @type {import('../scripts/generation/audio-library.js').AudioLibraryItem|null} */
+let current = null;
+let objectUrl = '';
+let activeSentence = -1;
+let savedPosition = 0;
+
+/**
+ * Show message above text
+ * @param {string} message - Message text
+ * @param {boolean} [isError=false] - Show as error
+ */
+function showMessage(message, isError = false) {
+  const messageElement = document.getElementById('playerMessage');
+  if (messageElement) {
+    messageElement.textContent = message;
+    messageElement.classList.toggle('player-message-error', isError);
+  }
+}
+
+/**
+ * Get audio element
+ * @returns {HTMLAudioElement}
+ */
+function getAudio() {
+  return /** @type {HTMLAudioElement} */ (document.getElementById('playerAudio'));
+}
+
+/**
+ * Render transcript: paragraphs of sentences
+ * @param {Array<import('../scripts/generation/audio-transcript.js').TranscriptSentence>} transcript - Transcript
+ */
+function renderTranscript(transcript) {
+  const container = document.getElementById('playerTranscript');
+  if (!container) return;
+  container.textContent = '';
+  /** @type {HTMLParagraphElement|null} */
+  let paragraph = null;
+  transcript.forEach((sentence, index) => {
+    if (!paragraph || paragraph.dataset.paragraph !== String(sentence.paragraph)) {
+      paragraph = document.createElement('p');
+      paragraph.dataset.paragraph = String(sentence.paragraph);
+      paragraph.dataset.sentence = String(index);
+      container.appendChild(paragraph);
+    } else {
+      paragraph.appendChild(document.createTextNode(' '));
+    }
+    const span = document.createElement('span');
+    span.dataset.sentence = String(index);
+    span.textContent = sentence.text;
+    paragraph.appendChild(span);
+  });
+}
+
+/**
+ * Highlight sentence played at current time
+ */
+function updateHighlight() {
+  if (!current || current.transcript.length === 0) return;
+  const index = findSentenceAt(current.transcript, getAudio().currentTime * 1000);
+  if (index === activeSentence) return;
+
+  document.querySelector('.player-sentence-active')?.classList.remove('player-sentence-active');
+  activeSentence = index;
+  const span = document.querySelector(`span[data-sentence="${index}"]`);
+  if (!span) return;
+  span.classList.add('player-sentence-active');
+  const follow = /** @type {HTMLInputElement|null} */ (document.getElementById('playerFollow'));
+  if (follow?.checked && !getAudio().paused) {
+    span.scrollIntoView({ block: 'center', behavior: 'smooth' });
+  }
+}
+
+/**
+ * Save playback position of current article
+ * @param {number} seconds - Position (0 removes saved position)
+ */
+async function savePosition(seconds) {
+  if (!current) return;
+  savedPosition = seconds;
+  try {
+    const stored = await chrome.storage.local.get([AUDIO_POSITIONS_STORAGE_KEY]);
+    const positions = stored[AUDIO_POSITIONS_STORAGE_KEY] || {};
+    const key = getPositionKey(current);
+    if (seconds > 0) {
+      positions[key] = Math.round(seconds);
+    } else {
+      delete positions[key];
+    }
+    await chrome.storage.local.set({ [AUDIO_POSITIONS_STORAGE_KEY]: positions });
+  } catch (error) {
+    logError('Failed to save playback position', error);
+  }
+}
+
+/**
+ * Fill list of recent audio
+ */
+function renderLibrary() {
+  const select = /** @type {HTMLSelectElement|null} */ (document.getElementById('playerLibrary'));
+  if (!select) return;
+  select.textContent = '';
+  for (const item of library) {
+    const option = document.createElement('option');
+    option.value = item.id;
+    option.textContent = `${item.title || item.filename} · ${new Date(item.createdAt).toLocaleDateString(uiLang)}`;
+    select.appendChild(option);
+  }
+  if (current) {
+    select.value = current.id;
+  }
+}
+
+/**
+ * Load library item into player
+ * @param {import('../scripts/generation/audio-library.js').AudioLibraryItem} item - Library item
+ */
+async function loadItem(item) {
+  const audio = getAudio();
+  audio.pause();
+  if (objectUrl) {
+    URL.revokeObjectURL(objectUrl);
+    objectUrl = '';
+  }
+  current = item;
+  activeSentence = -1;
+  history.replaceState(null, '', `?id=${encodeURIComponent(item.id)}`);
+  document.title = `${tSync('playerTitle', uiLang)} - ${item.title}`;
+
+  const title = document.getElementById('playerArticleTitle');
+  if (title) {
+    title.textContent = item.title;
+  }
+  const source = /** @type {HTMLAnchorElement|null} */ (document.getElementById('playerSource'));
+  if (source) {
+    source.textContent = item.sourceUrl || '';
+    source.href = item.sourceUrl || '#';
+  }
+  renderTranscript(item.transcript || []);
+  showMessage(item.transcript?.length ? '' : tSync('playerNoTiming', uiLang));
+
+  const buffer = await readLibraryAudio(item.id);
+  if (!buffer) {
+    showMessage(tSync('playerAudioMissing', uiLang), true);
+    return;
+  }
+  objectUrl = URL.createObjectURL(new Blob([buffer], { type: item.mimeType }));
+
+  const stored = await chrome.storage.local.get([AUDIO_POSITIONS_STORAGE_KEY]);
+  savedPosition = stored[AUDIO_POSITIONS_STORAGE_KEY]?.[getPositionKey(item)] || 0;
+  audio.src = objectUrl;
+}
+
+async function init() {
+  uiLang = await getUILanguage();
+  const stored = await chrome.storage.local.get(['popup_theme', AUDIO_PLAYER_SPEED_STORAGE_KEY]);
+  if (stored.popup_theme === 'light') {
+    document.body.setAttribute('data-theme', 'light');
+  }
+  applyLocalization(uiLang);
+
+  const audio = getAudio();
+  const speedSelect = /** @type {HTMLSelectElement|null} */ (document.getElementById('playerSpeed'));
+  // Speed of audio element also works for providers that render at fixed speed
+  const applySpeed = () => {
+    audio.playbackRate = Number(speedSelect?.value) || 1;
+  };
+  if (speedSelect) {
+    speedSelect.value = String(stored[AUDIO_PLAYER_SPEED_STORAGE_KEY] || 1);
+    speedSelect.addEventListener('change', () => {
+      applySpeed();
+      chrome.storage.local.set({ [AUDIO_PLAYER_SPEED_STORAGE_KEY]: Number(speedSelect.value) });
+    });
+  }
+
+  audio.addEventListener('loadedmetadata', () => {
+    applySpeed();
+    // Position near the end means article was finished, start over
+    if (savedPosition > 0 && savedPosition < audio.duration - POSITION_SAVE_STEP_SECONDS) {
+      audio.currentTime = savedPosition;
+    }
+    updateHighlight();
+  });
+  audio.addEventListener('timeupdate', () => {
+    updateHighlight();
+    if (Math.abs(audio.currentTime - savedPosition) >= POSITION_SAVE_STEP_SECONDS) {
+      savePosition(audio.currentTime);
+    }
+  });
+  audio.addEventListener('pause', () => {
+    if (!audio.ended) {
+      savePosition(audio.currentTime);
+    }
+  });
+  audio.addEventListener('ended', () => savePosition(0));
+
+  // Click on paragraph jumps to its first sentence
+  document.getElementById('playerTranscript')?.addEventListener('click', (e) => {
+    const paragraph = e.target instanceof HTMLElement ? e.target.closest('p[data-sentence]') : null;
+    const sentence = current?.transcript[Number(paragraph?.getAttribute('data-sentence'))];
+    if (!sentence) return;
+    audio.currentTime = sentence.startMs / 1000;
+    audio.play().catch(error => logError('Failed to start playback', error));
+  });
+
+  document.getElementById('playerLibrary')?.addEventListener('change', (e) => {
+    const item = library.find(entry => entry.id === /** @type {HTMLSelectElement} */ (e.target).value);
+    if (item) {
+      loadItem(item).catch(error => logError('Failed to load audio', error));
+    }
+  });
+
+  document.getElementById('playerDownloadBtn')?.addEventListener('click', () => {
+    if (!objectUrl || !current) return;
+    const link = document.createElement('a');
+    link.href = objectUrl;
+    link.download = current.filename;
+    link.click();
+  });
+
+  library = await getAudioLibrary();
+  const id = new URLSearchParams(location.search).get('id');
+  const item = library.find(entry => entry.id === id) || library[0];
+  if (!item) {
+    showMessage(tSync('playerEmpty', uiLang));
+    return;
+  }
+  await loadItem(item);
+  renderLibrary();
+}
+
+init().catch(error => {
+  logError('Failed to initialize player page', error);
+  showMessage(tSync('playerAudioMissing', uiLang), true);
+});
@@ -0,0 +1,282 @@
+// @ts-check
+// Podcast page - episodes of personal podcast, feed settings, ZIP export and publishing
+// Opened from audio settings when podcast library is enabled
+
+import { getUILanguage, tSync } from '../scripts/locales.js';
+import { logError } from '../scripts/utils/logging.js';
+import { escapeHtml } from '../scripts/utils/html.js';
+import { applyLocalization } from '../scripts/utils/extension-page.js';
+import { encryptApiKey, decryptApiKey } from '../scripts/utils/encryption.js';
+import { formatItunesDuration, getPodcastFileUrl, PODCAST_FEED_FILENAME } from '../scripts/generation/podcast-feed.js';
+import {
+  getPodcastEpisodes,
+  getPodcastFeedSettings,
+  removePodcastEpisode,
+  PODCAST_FEED_STORAGE_KEY,
+  PODCAST_SECRET_STORAGE_KEY
+} from '../scripts/generation/podcast-library.js';
+import { collectPodcastFiles, createPodcastArchive, publishPodcast } from '../scripts/api/podcast-publish.js';
+
+const ARCHIVE_FILENAME = 'clipaible-podcast.zip';
+
+/** Text fields of feed settings: settings property -> input ID */
+const FIELDS = {
+  title: 'podcastFeedTitle',
+  author: 'podcastFeedAuthor',
+  description: 'podcastFeedDescription',
+  baseUrl: 'podcastBaseUrl',
+  target: 'podcastTarget',
+  targetUrl: 'podcastTargetUrl',
+  username: 'podcastUsername',
+  region: 'podcastRegion'
+};
+
+let uiLang = 'en';
+/** @type {Array<import('../scripts/generation/podcast-library.js').PodcastEpisode>} */
+let episodes = [];
+let hasSecret = false;
+let busy = false;
+
+/**
+ * Show message below toolbar
+ * @param {string} message - Message text
+ * @param {'error'|'success'|''} [kind=''] - Message kind
+ */
+function showMessage(message, kind = '') {
+  const messageElement = document.getElementById('podcastMessage');
+  if (messageElement) {
+    messageElement.textContent = message;
+    messageElement.classList.toggle('podcast-message-error', kind === 'error');
+    messageElement.classList.toggle('podcast-message-success', kind === 'success');
+  }
+}
+
+/**
+ * Get form input
+ * @param {string} id - Element ID
+ * @returns {HTMLInputElement}
+ */
+function getInput(id) {
+  return /** @type {HTMLInputElement} */ (document.getElementById(id));
+}
+
+/**
+ * Format size in megabytes
+ * @param {number} bytes - Size in bytes
+ * @returns {string}
+ */
+function formatMb(bytes) {
+  return `${(bytes / 1024 / 1024).toFixed(bytes < 10 * 1024 * 1024 ? 1 : 0)} MB`;
+}
+
+/**
+ * Render episode list and library summary
+ */
+function renderEpisodes() {
+  const list = document.getElementById('podcastEpisodes');
+  if (!list) return;
+
+  const summary = document.getElementById('podcastSummary');
+  if (summary) {
+    summary.textContent = tSync('podcastSummary', uiLang)
+      .replace('{count}', String(episodes.length))
+      .replace('{size}', formatMb(episodes.reduce((total, episode) => total + episode.size, 0)));
+  }
+  if (episodes.length === 0) {
+    list.innerHTML = `<li class="podcast-empty">${escapeHtml(tSync('podcastEmpty', uiLang))}</li>`;
+    return;
+  }
+
+  list.innerHTML = episodes.map(episode => {
+    const meta = [
+      new Date(episode.createdAt).toLocaleDateString(uiLang),
+      formatItunesDuration(episode.duration),
+      formatMb(episode.size)
+    ].map(escapeHtml).join(' · ');
+    const source = /^https?:\/\//i.test(episode.sourceUrl)
+      ? ` · <a href="${escapeHtml(episode.sourceUrl)}" target="_blank" rel="noopener noreferrer">${escapeHtml(tSync('podcastSource', uiLang))}</a>`
+      : '';
+    return `
+      <li class="podcast-item" data-episode-id="${escapeHtml(episode.id)}">
+        <div>
+          <div class="podcast-item-title" title="${escapeHtml(episode.description)}">${escapeHtml(episode.title)}</div>
+          <div class="podcast-item-meta">${meta}${source}</div>
+        </div>
+        <button class="podcast-btn podcast-btn-small" data-action="remove">${escapeHtml(tSync('podcastRemove', uiLang))}</button>
+      </li>`;
+  }).join('');
+}
+
+/**
+ * Show fields of selected publishing target
+ */
+function updateTargetFields() {
+  const target = getInput('podcastTarget').value;
+  const fields = document.getElementById('podcastTargetFields');
+  const region = document.getElementById('podcastRegionField');
+  if (fields) fields.hidden = target === 'none';
+  if (region) region.hidden = target !== 's3';
+}
+
+/**
+ * Enable toolbar buttons
+ */
+function updateButtons() {
+  const publish = /** @type {HTMLButtonElement|null} */ (document.getElementById('podcastPublishBtn'));
+  const exportButton = /** @type {HTMLButtonElement|null} */ (document.getElementById('podcastExportBtn'));
+  const save = /** @type {HTMLButtonElement|null} */ (document.getElementById('podcastSaveBtn'));
+  if (publish) publish.disabled = busy || getInput('podcastTarget').value === 'none';
+  if (exportButton) exportButton.disabled = busy || episodes.length === 0;
+  if (save) save.disabled = busy;
+}
+
+/**
+ * Read feed settings from form
+ * @returns {import('../scripts/generation/podcast-library.js').PodcastFeedSettings}
+ */
+function readForm() {
+  const settings = /** @type {import('../scripts/generation/podcast-library.js').PodcastFeedSettings} */ ({});
+  for (const [key, id] of Object.entries(FIELDS)) {
+    settings[key] = getInput(id).value.trim();
+  }
+  return settings;
+}
+
+/**
+ * Save feed settings; secret is replaced only when new value is typed
+ * @returns {Promise<import('../scripts/generation/podcast-library.js').PodcastFeedSettings>} Saved settings
+ */
+async function saveSettings() {
+  const settings = readForm();
+  /** @type {Record<string, any>} */
+  const data = { [PODCAST_FEED_STORAGE_KEY]: settings };
+  const secretInput = getInput('podcastSecret');
+  if (secretInput.value) {
+    data[PODCAST_SECRET_STORAGE_KEY] = await encryptApiKey(secretInput.value);
+    secretInput.value = '';
+    hasSecret = true;
+  }
+  await chrome.storage.local.set(data);
+  secretInput.placeholder = hasSecret ? tSync('podcastSecretSaved', uiLang) : '';
+  return settings;
+}
+
+/**
+ * Run toolbar action with disabled buttons
+ * @param {function(): Promise<void>} action - Action
+ * @param {string} failureKey - Locale key of failure message
+ * @returns {Promise<void>}
+ */
+async function runAction(action, failureKey) {
+  busy = true;
+  updateButtons();
+  try {
+    await action();
+  } catch (error) {
+    logError('Podcast action failed', error);
+    showMessage(`${tSync(failureKey, uiLang)}: ${error.message}`, 'error');
+  } finally {
+    busy = false;
+    updateButtons();
+  }
+}
+
+/**
+ * Download feed and media files as ZIP archive
+ * @returns {Promise<void>}
+ */
+async function exportArchive() {
+  const feed = await saveSettings();
+  showMessage(tSync('podcastPreparing', uiLang));
+  const archive = await createPodcastArchive(await collectPodcastFiles(episodes, feed));
+  const url = URL.createObjectURL(archive);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = ARCHIVE_FILENAME;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 60000);
+  showMessage(feed.baseUrl ? tSync('podcastExported', uiLang) : tSync('podcastExportedNoUrl', uiLang), 'success');
+}
+
+/**
+ * Upload feed and new media files to configured target
+ * @returns {Promise<void>}
+ */
+async function publish() {
+  const feed = await saveSettings();
+  const stored = await chrome.storage.local.get([PODCAST_SECRET_STORAGE_KEY]);
+  const secret = stored[PODCAST_SECRET_STORAGE_KEY] ? await decryptApiKey(stored[PODCAST_SECRET_STORAGE_KEY]) : '';
+  // Files are served from upload URL unless public URL is set (e.g., CDN in front of bucket)
+  const baseUrl = feed.baseUrl || feed.targetUrl;
+
+  showMessage(tSync('podcastPreparing', uiLang));
+  const files = await collectPodcastFiles(episodes, { ...feed, baseUrl });
+  const { uploaded, skipped } = await publishPodcast(
+    files,
+    { type: feed.target, url: feed.targetUrl, username: feed.username, secret, region: feed.region },
+    (done, total) => showMessage(tSync('podcastUploading', uiLang).replace('{done}', String(done)).replace('{total}', String(total)))
+  );
+  showMessage(tSync('podcastPublished', uiLang)
+    .replace('{uploaded}', String(uploaded))
+    .replace('{skipped}', String(skipped))
+    .replace('{url}', getPodcastFileUrl(baseUrl, PODCAST_FEED_FILENAME)), 'success');
+}
+
+async function init() {
+  uiLang = await getUILanguage();
+  const stored = await chrome.storage.local.get(['popup_theme', PODCAST_SECRET_STORAGE_KEY]);
+  if (stored.popup_theme === 'light') {
+    document.body.setAttribute('data-theme', 'light');
+  }
+  applyLocalization(uiLang);
+
+  const feed = await getPodcastFeedSettings();
+  for (const [key, id] of Object.entries(FIELDS)) {
+    getInput(id).value = feed[key] || '';
+  }
+  hasSecret = !!stored[PODCAST_SECRET_STORAGE_KEY];
+  getInput('podcastSecret').placeholder = hasSecret ? tSync('podcastSecretSaved', uiLang) : '';
+  updateTargetFields();
+
+  getInput('podcastTarget').addEventListener('change', () => {
+    updateTargetFields();
+    updateButtons();
+  });
+
+  document.getElementById('podcastEpisodes')?.addEventListener('click', async (e) => {
+    const target = e.target instanceof HTMLElement ? e.target : null;
+    const id = target?.closest('[data-episode-id]')?.getAttribute('data-episode-id');
+    if (!id || target?.getAttribute('data-action') !== 'remove') return;
+    const episode = episodes.find(entry => entry.id === id);
+    if (!confirm(tSync('podcastRemoveConfirm', uiLang).replace('{title}', episode?.title || ''))) return;
+    try {
+      await removePodcastEpisode(id);
+    } catch (error) {
+      logError('Failed to remove podcast episode', error);
+    }
+    episodes = await getPodcastEpisodes();
+    renderEpisodes();
+    updateButtons();
+  });
+
+  document.getElementById('podcastSaveBtn')?.addEventListener('click', () => {
+    runAction(async () => {
+      await saveSettings();
+      showMessage(tSync('podcastSaved', uiLang), 'success');
+    }, 'podcastSaveFailed');
+  });
+  document.getElementById('podcastExportBtn')?.addEventListener('click', () => {
+    runAction(exportArchive, 'podcastExportFailed');
+  });
+  document.getElementById('podcastPublishBtn')?.addEventListener('click', () => {
+    runAction(publish, 'podcastPublishFailed');
+  });
+
+  episodes = await getPodcastEpisodes();
+  renderEpisodes();
+  updateButtons();
+}
+
+init().catch(error => {
+  logError('Failed to initialize podcast page', error);
+});
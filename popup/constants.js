@@ -13,6 +13,9 @@ export const STORAGE_KEYS = {
   GROK_API_KEY: 'grok_api_key',
   OPENROUTER_API_KEY: 'openrouter_api_key',
   DEEPSEEK_API_KEY: 'deepseek_api_key',
+  CUSTOM_API_KEY: 'custom_api_key',
+  CUSTOM_API_BASE_URL: 'custom_api_base_url',
+  CUSTOM_API_ALLOW_LOCAL: 'custom_api_allow_local',
   GOOGLE_API_KEY: 'google_api_key',
   API_PROVIDER: 'api_provider',
   MODEL: 'openai_model',
@@ -23,12 +26,21 @@ export const STORAGE_KEYS = {
   USE_CACHE: 'use_selector_cache',
   ENABLE_CACHE: 'enable_selector_caching',
   ENABLE_STATS: 'enable_statistics',
+  PAGINATION_MAX_PAGES: 'pagination_max_pages',
   OUTPUT_FORMAT: 'output_format',
   GENERATE_TOC: 'generate_toc',
   GENERATE_ABSTRACT: 'generate_abstract',
+  REVIEW_BEFORE_GENERATION: 'review_before_generation',
+  MARKDOWN_FRONT_MATTER: 'markdown_front_matter',
+  MARKDOWN_FRONT_MATTER_TEMPLATE: 'markdown_front_matter_template',
+  MARKDOWN_IMAGES: 'markdown_images',
   PAGE_MODE: 'page_mode',
   LANGUAGE: 'pdf_language',
   TRANSLATE_IMAGES: 'translate_images',
+  TRANSLATION_BILINGUAL: 'translation_bilingual',
+  TRANSLATION_GLOSSARY: 'translation_glossary',
+  TRANSLATION_MEMORY: 'translation_memory',
+  TRANSLATION_MEMORY_FUZZY: 'translation_memory_fuzzy',
   STYLE_PRESET: 'pdf_style_preset',
   FONT_FAMILY: 'pdf_font_family',
   FONT_SIZE: 'pdf_font_size',
@@ -56,6 +68,15 @@ export const STORAGE_KEYS = {
   AUDIO_VOICE: 'audio_voice',
   AUDIO_VOICE_MAP: 'audio_voice_map',
   AUDIO_SPEED: 'audio_speed',
+  AUDIO_M4B: 'audio_m4b',
+  AUDIO_PLAYER: 'audio_player',
+  PODCAST_LIBRARY: 'podcast_library',
+  AUDIO_COMPRESSION: 'audio_compression',
+  AUDIO_COMPRESSION_BITRATE: 'audio_compression_bitrate',
+  AUDIO_NARRATION: 'audio_narration',
+  AUDIO_NARRATION_VOICES: 'audio_narration_voices',
+  AUDIO_NARRATION_PAUSE: 'audio_narration_pause',
+  PRONUNCIATION_LEXICON: 'pronunciation_lexicon',
   OPENAI_INSTRUCTIONS: 'openai_instructions',
   GOOGLE_TTS_VOICE: 'google_tts_voice',
   GOOGLE_TTS_PROMPT: 'google_tts_prompt',
@@ -134,3 +155,10 @@ export const MODE_HINTS = {
   extract: 'AI extracts and processes all content'
 };
 
+
+/**
+ * Value of "Other language…" option of target language selector (language typed in customLanguage input)
+ * @readonly
+ * @const {string}
+ */
+export const CUSTOM_LANGUAGE_OPTION = 'custom';
@@ -153,7 +153,10 @@ export function initCore(deps) {
     detectVideoPlatform,
     markdownToHtmlFn,
     sanitizeMarkdownHtml,
-    CONFIG
+    CONFIG,
+    // State module is created next: resolve lazily (summary export starts polling only on click)
+    startStatePolling: () => stateModule.startStatePolling(),
+    checkProcessingState: () => stateModule.checkProcessingState()
   });
 
   // Step 2: Initialize state module (needs checkSummaryStatus from summary)
@@ -202,6 +205,7 @@ export function initCore(deps) {
     toggleSummary: summaryModule.toggleSummary,
     copySummary: summaryModule.copySummary,
     downloadSummary: summaryModule.downloadSummary,
+    exportSummary: summaryModule.exportSummary,
     closeSummary: summaryModule.closeSummary,
     checkSummaryStatus: summaryModule.checkSummaryStatus,
     
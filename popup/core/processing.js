@@ -4,6 +4,8 @@
 
 import { getUILanguage, t, tSync } from '../../scripts/locales.js';
 import { getUserFriendlyError } from '../../scripts/utils/error-messages.js';
+import { CUSTOM_NO_API_KEY } from '../../scripts/api/custom.js';
+import { getTargetLanguage } from '../utils/settings-helpers.js';
 
 /**
  * Initialize processing module
@@ -251,6 +253,10 @@ export function initProcessing(deps) {
         return;
       }
     }
+    // API key is optional for custom endpoint (self-hosted servers usually have no authentication)
+    if (!apiKey && provider === 'custom') {
+      apiKey = CUSTOM_NO_API_KEY;
+    }
     // Check API key only if not using automatic mode
     const mode = elements.modeSelect ? /** @type {HTMLSelectElement} */ (elements.modeSelect).value : '';
     if (mode !== 'automatic' && !apiKey) {
@@ -483,7 +489,8 @@ export function initProcessing(deps) {
           googleApiKey = '';
         }
       }
-      const translateImages = elements.translateImages && /** @type {HTMLInputElement} */ (elements.translateImages).checked && elements.languageSelect && /** @type {HTMLSelectElement} */ (elements.languageSelect).value !== 'auto';
+      const language = getTargetLanguage(elements.languageSelect, elements.customLanguage);
+      const translateImages = elements.translateImages && /** @type {HTMLInputElement} */ (elements.translateImages).checked && language !== 'auto';
 
       log('=== handleSavePdf: About to send processArticle message ===', {
         mode: elements.modeSelect ? /** @type {HTMLSelectElement} */ (elements.modeSelect).value : '',
@@ -513,7 +520,7 @@ export function initProcessing(deps) {
           generateToc: elements.generateToc ? /** @type {HTMLInputElement} */ (elements.generateToc).checked : false,
           generateAbstract: elements.generateAbstract ? /** @type {HTMLInputElement} */ (elements.generateAbstract).checked : false,
           pageMode: elements.pageMode ? /** @type {HTMLSelectElement} */ (elements.pageMode).value : 'single',
-          language: elements.languageSelect ? /** @type {HTMLSelectElement} */ (elements.languageSelect).value : 'auto',
+          language: language,
           translateImages: translateImages,
           fontFamily: elements.fontFamily ? /** @type {HTMLSelectElement} */ (elements.fontFamily).value : 'Arial',
           fontSize: elements.fontSize ? /** @type {HTMLSelectElement} */ (elements.fontSize).value : '12pt',
@@ -38,6 +38,7 @@ export function initState(deps) {
       case 'starting': return await t('stageStarting');
       case 'analyzing': return await t('stageAnalyzing');
       case 'extracting': return await t('stageExtracting');
+      case 'reviewing': return await t('stageReviewing');
       case 'translating': return await t('stageTranslating');
       case 'loading_images': return await t('stageLoadingImages');
       case 'generating': return await t('stageGenerating');
@@ -3,6 +3,8 @@
 // Handles summary generation, display, and user interactions
 
 import { tSync } from '../../scripts/locales.js';
+import { CUSTOM_NO_API_KEY } from '../../scripts/api/custom.js';
+import { getTargetLanguage } from '../utils/settings-helpers.js';
 
 /**
  * Initialize summary module
@@ -21,6 +23,8 @@ import { tSync } from '../../scripts/locales.js';
  * @param {Function} deps.markdownToHtmlFn - Markdown to HTML converter
  * @param {Function} deps.sanitizeMarkdownHtml - Sanitize markdown HTML function
  * @param {Object} deps.CONFIG - Configuration object
+ * @param {Function} deps.startStatePolling - Start processing state polling function (summary export)
+ * @param {Function} deps.checkProcessingState - Check processing state function (summary export)
  * @returns {Object} Summary functions
  */
 export function initSummary(deps) {
@@ -38,7 +42,9 @@ export function initSummary(deps) {
     detectVideoPlatform,
     markdownToHtmlFn,
     sanitizeMarkdownHtml,
-    CONFIG
+    CONFIG,
+    startStatePolling,
+    checkProcessingState
   } = deps;
 
   // Toggle summary expand/collapse
@@ -73,7 +79,7 @@ export function initSummary(deps) {
       }
       
       // Clear summary from storage completely
-      await chrome.storage.local.remove([STORAGE_KEYS.SUMMARY_TEXT, 'summary_saved_timestamp']);
+      await chrome.storage.local.remove([STORAGE_KEYS.SUMMARY_TEXT, 'summary_saved_timestamp', 'summary_url', 'summary_language']);
       
       log('Summary closed and cleared completely');
     } catch (error) {
@@ -140,6 +146,43 @@ export function initSummary(deps) {
     }
   }
 
+  // Export summary as document or audio (background generates it like an article)
+  // listen: open audio in built-in player right after generation
+  async function exportSummary(outputFormat, listen = false) {
+    if (!elements.summaryText?.dataset.originalMarkdown) return;
+    
+    try {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      const response = await chrome.runtime.sendMessage({
+        action: 'exportSummary',
+        outputFormat,
+        listen,
+        tabId: tab?.id,
+        title: tab?.title || ''
+      });
+      
+      if (response?.error) {
+        throw new Error(response.error);
+      }
+      
+      log('Summary export requested', { outputFormat, listen, started: response?.started });
+      if (response?.started) {
+        const startedText = await t('summaryExportStarted') || 'Summary export started';
+        showToast(startedText, 'success');
+      } else {
+        // Another document is being generated, or settings failed validation (error is shown from processing state)
+        const notStartedText = await t('summaryExportNotStarted') || 'Summary export did not start';
+        showToast(notStartedText, 'error');
+      }
+      startStatePolling();
+      await checkProcessingState();
+    } catch (error) {
+      logError('Failed to export summary', error);
+      const errorText = error.message || await t('summaryExportFailed') || 'Failed to export summary';
+      showToast(errorText, 'error');
+    }
+  }
+
   // Check summary generation status from storage AND processingState
   async function checkSummaryStatus() {
     try {
@@ -545,6 +588,11 @@ export function initSummary(deps) {
               }
             }
             
+            // API key is optional for custom endpoint
+            if (!apiKey && provider === 'custom') {
+              apiKey = CUSTOM_NO_API_KEY;
+            }
+            
             if (!apiKey) {
               // CRITICAL: Clear generating flag if no API key
               await chrome.storage.local.set({ 
@@ -564,7 +612,7 @@ export function initSummary(deps) {
             // CRITICAL: For YouTube, send generateSummary message directly with subtitles
             // No need for extractContentOnly - subtitles are already extracted text
             // Generation will continue in background
-            const targetLanguage = elements.languageSelect?.value || 'auto';
+            const targetLanguage = getTargetLanguage(elements.languageSelect, elements.customLanguage);
             const uiLanguage = await getUILanguage();
             const summaryLanguage = targetLanguage !== 'auto' ? targetLanguage : uiLanguage;
             
@@ -700,6 +748,11 @@ export function initSummary(deps) {
             }
           }
           
+          // API key is optional for custom endpoint
+          if (!apiKey && provider === 'custom') {
+            apiKey = CUSTOM_NO_API_KEY;
+          }
+          
           if (!apiKey) {
             const providerName = provider === 'openai' ? 'OpenAI' : provider === 'claude' ? 'Claude' : provider === 'gemini' ? 'Gemini' : provider === 'grok' ? 'Grok' : provider === 'openrouter' ? 'OpenRouter' : provider === 'deepseek' ? 'DeepSeek' : 'AI';
             const pleaseEnterKeyText = await t(`pleaseEnter${providerName}ApiKey`) || `Please enter ${providerName} API key`;
@@ -731,7 +784,7 @@ export function initSummary(deps) {
             log('Calling chrome.runtime.sendMessage for extractContentOnly...');
             // CRITICAL: Request auto-generate summary after extraction
             // This allows popup to close and summary will generate in background
-            const targetLanguage = elements.languageSelect?.value || 'auto';
+            const targetLanguage = getTargetLanguage(elements.languageSelect, elements.customLanguage);
             const uiLanguage = await getUILanguage();
             const summaryLanguage = targetLanguage !== 'auto' ? targetLanguage : uiLanguage;
             
@@ -962,6 +1015,7 @@ export function initSummary(deps) {
     closeSummary,
     copySummary,
     downloadSummary,
+    exportSummary,
     checkSummaryStatus
   };
 }
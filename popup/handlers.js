@@ -5,6 +5,7 @@
 import { setupAllApiKeyToggles } from './handlers/api-keys.js';
 import { setupPanelHandlers } from './handlers/panels.js';
 import { setupFormatHandlers } from './handlers/format.js';
+import { setupGlossaryHandlers } from './handlers/glossary.js';
 import { setupStyleHandlers } from './handlers/style.js';
 import { setupModelHandlers } from './handlers/model.js';
 import { setupAudioHandlers } from './handlers/audio.js';
@@ -64,6 +65,7 @@ const scheduler = typeof self !== 'undefined' && 'scheduler' in self ? self.sche
  * @param {Function} deps.toggleSummary - Toggle summary function (from core)
  * @param {Function} deps.copySummary - Copy summary function (from core)
  * @param {Function} deps.downloadSummary - Download summary function (from core)
+ * @param {Function} deps.exportSummary - Export summary as document or audio function (from core)
  * @param {Function} deps.closeSummary - Close summary function (from core)
  * @param {Object} [deps.settingsModule] - Settings module (optional, for accessing settings functions)
  * @returns {Function} setupEventListeners function
@@ -95,6 +97,7 @@ export function initHandlers(deps) {
     toggleSummary,
     copySummary,
     downloadSummary,
+    exportSummary,
     closeSummary,
     settingsModule
   } = deps;
@@ -200,6 +203,18 @@ export function initHandlers(deps) {
       settingsModule
     });
     
+    // ============================================
+    // GLOSSARY HANDLERS (Translation glossary, CSV/TBX import and export)
+    // ============================================
+    setupGlossaryHandlers({
+      elements,
+      STORAGE_KEYS,
+      debouncedSaveSettings,
+      logError,
+      showToast,
+      t
+    });
+    
     // ============================================
     // STYLE HANDLERS (Presets, Fonts, Colors, Reset)
     // ============================================
@@ -233,11 +248,12 @@ export function initHandlers(deps) {
       log,
       logError,
       logWarn,
+      t,
       settingsModule
     });
     
     // ============================================
-    // SUMMARY HANDLERS (Generate, Toggle, Copy, Download, Close)
+    // SUMMARY HANDLERS (Generate, Toggle, Copy, Download, Export, Close)
     // ============================================
     setupSummaryHandlers({
       elements,
@@ -245,6 +261,7 @@ export function initHandlers(deps) {
       toggleSummary,
       copySummary,
       downloadSummary,
+      exportSummary,
       closeSummary
     });
     
@@ -304,7 +321,8 @@ export function initHandlers(deps) {
             STORAGE_KEYS.GEMINI_API_KEY,
             STORAGE_KEYS.GROK_API_KEY,
             STORAGE_KEYS.OPENROUTER_API_KEY,
-            STORAGE_KEYS.DEEPSEEK_API_KEY
+            STORAGE_KEYS.DEEPSEEK_API_KEY,
+            STORAGE_KEYS.CUSTOM_API_KEY
           ]);
           
           let apiKeyValue = '';
@@ -370,6 +388,16 @@ export function initHandlers(deps) {
               apiKeyValue = maskApiKey(result[STORAGE_KEYS.DEEPSEEK_API_KEY]);
               apiKeyEncrypted = result[STORAGE_KEYS.DEEPSEEK_API_KEY];
             }
+          } else if (provider === 'custom' && result[STORAGE_KEYS.CUSTOM_API_KEY]) {
+            try {
+              const decrypted = await decryptApiKey(result[STORAGE_KEYS.CUSTOM_API_KEY]);
+              apiKeyValue = maskApiKey(decrypted);
+              apiKeyEncrypted = result[STORAGE_KEYS.CUSTOM_API_KEY];
+            } catch (error) {
+              logError('Failed to decrypt custom endpoint API key', error);
+              apiKeyValue = maskApiKey(result[STORAGE_KEYS.CUSTOM_API_KEY]);
+              apiKeyEncrypted = result[STORAGE_KEYS.CUSTOM_API_KEY];
+            }
           }
           
           // Defer DOM updates to requestAnimationFrame
@@ -410,6 +438,14 @@ export function initHandlers(deps) {
       });
     }
 
+    if (elements.fetchCustomModelsBtn) {
+      elements.fetchCustomModelsBtn.addEventListener('click', () => {
+        if (settingsModule) {
+          settingsModule.fetchCustomModels();
+        }
+      });
+    }
+
     // Mode, cache, and stats handlers
     if (elements.modeSelect) {
       elements.modeSelect.addEventListener('change', createSettingChangeHandler(
@@ -432,6 +468,13 @@ export function initHandlers(deps) {
       ), { passive: true });
     }
     
+    if (elements.paginationMaxPages) {
+      elements.paginationMaxPages.addEventListener('change', createSettingChangeHandler(
+        STORAGE_KEYS.PAGINATION_MAX_PAGES,
+        () => Number(elements.paginationMaxPages.value)
+      ));
+    }
+    
     if (elements.enableCache) {
       elements.enableCache.addEventListener('change', createCheckboxChangeHandler(
         STORAGE_KEYS.ENABLE_CACHE,
@@ -1,6 +1,8 @@
 // @ts-check
 // Audio handlers (provider, voice, speed, provider-specific settings)
 
+import { parsePronunciationLexicon } from '../../scripts/generation/audio-pronunciation.js';
+
 /**
  * Setup audio-related handlers
  * @param {Object} deps - Dependencies
@@ -10,6 +12,7 @@
  * @param {Function} deps.log - Log function
  * @param {Function} deps.logError - Error logging function
  * @param {Function} deps.logWarn - Warning logging function
+ * @param {Function} deps.t - Translation function
  * @param {Object} [deps.settingsModule] - Settings module
  */
 export function setupAudioHandlers(deps) {
@@ -20,6 +23,7 @@ export function setupAudioHandlers(deps) {
     log,
     logError,
     logWarn,
+    t,
     settingsModule
   } = deps;
 
@@ -240,6 +244,117 @@ export function setupAudioHandlers(deps) {
     });
   }
   
+  // M4B container checkbox
+  if (elements.audioM4b) {
+    elements.audioM4b.addEventListener('change', () => {
+      debouncedSaveSettings(STORAGE_KEYS.AUDIO_M4B, elements.audioM4b.checked);
+    });
+  }
+  
+  // Built-in player: open generated audio automatically or browse recent audio
+  if (elements.audioPlayer) {
+    elements.audioPlayer.addEventListener('change', () => {
+      debouncedSaveSettings(STORAGE_KEYS.AUDIO_PLAYER, elements.audioPlayer.checked);
+    });
+  }
+  if (elements.openPlayerBtn) {
+    elements.openPlayerBtn.addEventListener('click', () => {
+      chrome.tabs.create({ url: chrome.runtime.getURL('player/player.html') });
+    });
+  }
+  
+  // Podcast library: keep generated audio for RSS feed, export or publish it
+  if (elements.podcastLibrary) {
+    elements.podcastLibrary.addEventListener('change', () => {
+      debouncedSaveSettings(STORAGE_KEYS.PODCAST_LIBRARY, elements.podcastLibrary.checked);
+    });
+  }
+  if (elements.openPodcastBtn) {
+    elements.openPodcastBtn.addEventListener('click', () => {
+      chrome.tabs.create({ url: chrome.runtime.getURL('podcast/podcast.html') });
+    });
+  }
+  
+  // Piper voice manager (download, remove, import voices)
+  if (elements.manageOfflineVoicesBtn) {
+    elements.manageOfflineVoicesBtn.addEventListener('click', () => {
+      chrome.tabs.create({ url: chrome.runtime.getURL('voices/voices.html') });
+    });
+  }
+  
+  // Local compression of WAV audio (bitrate is shown only when compression is enabled)
+  if (elements.audioCompression) {
+    elements.audioCompression.addEventListener('change', () => {
+      debouncedSaveSettings(STORAGE_KEYS.AUDIO_COMPRESSION, elements.audioCompression.value, () => {
+        if (settingsModule) {
+          settingsModule.updateAudioProviderUI();
+        }
+      });
+    });
+  }
+  
+  if (elements.audioCompressionBitrate) {
+    elements.audioCompressionBitrate.addEventListener('change', () => {
+      debouncedSaveSettings(STORAGE_KEYS.AUDIO_COMPRESSION_BITRATE, parseInt(elements.audioCompressionBitrate.value, 10));
+    });
+  }
+  
+  // Multi-voice narration (role voices are shown only when enabled)
+  if (elements.audioNarration) {
+    elements.audioNarration.addEventListener('change', () => {
+      debouncedSaveSettings(STORAGE_KEYS.AUDIO_NARRATION, elements.audioNarration.checked, () => {
+        if (settingsModule) {
+          settingsModule.updateAudioProviderUI();
+        }
+      });
+    });
+  }
+  
+  // Role voices are saved per provider
+  const narrationVoiceSelects = [
+    elements.audioNarrationHeadingVoice,
+    elements.audioNarrationQuoteVoice,
+    elements.audioNarrationCaptionVoice,
+    elements.audioNarrationSpeaker1Voice,
+    elements.audioNarrationSpeaker2Voice
+  ];
+  for (const select of narrationVoiceSelects) {
+    if (!select) continue;
+    select.addEventListener('change', () => {
+      if (settingsModule && elements.audioProvider) {
+        settingsModule.saveNarrationVoice(elements.audioProvider.value, select.dataset.narrationRole, select.value);
+      }
+    });
+  }
+  
+  if (elements.audioNarrationPause) {
+    elements.audioNarrationPause.addEventListener('change', () => {
+      debouncedSaveSettings(STORAGE_KEYS.AUDIO_NARRATION_PAUSE, elements.audioNarrationPause.value);
+    });
+  }
+  
+  // Pronunciation lexicon: invalid lines are skipped on generation, show them right away
+  if (elements.pronunciationLexicon) {
+    elements.pronunciationLexicon.addEventListener('change', async () => {
+      const lexicon = elements.pronunciationLexicon.value.trim();
+      debouncedSaveSettings(STORAGE_KEYS.PRONUNCIATION_LEXICON, lexicon);
+      
+      const errorsElement = elements.pronunciationLexiconErrors;
+      if (!errorsElement) return;
+      const { errors } = parsePronunciationLexicon(lexicon);
+      if (errors.length === 0) {
+        errorsElement.textContent = '';
+        errorsElement.classList.add('hidden');
+        return;
+      }
+      const lineText = await t('pronunciationLexiconErrorLine');
+      errorsElement.textContent = errors
+        .map(error => lineText.replace('{line}', String(error.line)).replace('{error}', error.message))
+        .join('\n');
+      errorsElement.classList.remove('hidden');
+    });
+  }
+  
   // ElevenLabs settings
   if (elements.elevenlabsModel) {
     elements.elevenlabsModel.addEventListener('change', () => {
@@ -1,6 +1,8 @@
 // @ts-check
 // Format handlers (output format, TOC, abstract, page mode, language, translate images)
 
+import { getTargetLanguage } from '../utils/settings-helpers.js';
+
 /**
  * Setup format-related handlers
  * @param {Object} deps - Dependencies
@@ -69,6 +71,40 @@ export function setupFormatHandlers(deps) {
     });
   }
 
+  // Review content before generation checkbox
+  if (elements.reviewBeforeGeneration) {
+    elements.reviewBeforeGeneration.addEventListener('change', () => {
+      debouncedSaveSettings(STORAGE_KEYS.REVIEW_BEFORE_GENERATION, elements.reviewBeforeGeneration.checked);
+    });
+  }
+
+  // Markdown front matter checkbox (template is shown only when enabled)
+  if (elements.markdownFrontMatter) {
+    elements.markdownFrontMatter.addEventListener('change', () => {
+      debouncedSaveSettings(STORAGE_KEYS.MARKDOWN_FRONT_MATTER, elements.markdownFrontMatter.checked, () => {
+        if (settingsModule) {
+          deferAsyncWork(async () => {
+            await settingsModule.updateOutputFormatUI();
+          });
+        }
+      });
+    });
+  }
+  
+  // Markdown front matter template (empty = default template)
+  if (elements.markdownFrontMatterTemplate) {
+    elements.markdownFrontMatterTemplate.addEventListener('change', () => {
+      debouncedSaveSettings(STORAGE_KEYS.MARKDOWN_FRONT_MATTER_TEMPLATE, elements.markdownFrontMatterTemplate.value.trim());
+    });
+  }
+  
+  // Markdown images mode
+  if (elements.markdownImages) {
+    elements.markdownImages.addEventListener('change', () => {
+      debouncedSaveSettings(STORAGE_KEYS.MARKDOWN_IMAGES, elements.markdownImages.value);
+    });
+  }
+
   // Page mode selector
   if (elements.pageMode) {
     elements.pageMode.addEventListener('change', () => {
@@ -78,14 +114,18 @@ export function setupFormatHandlers(deps) {
 
   // Language selector
   if (elements.languageSelect) {
-    elements.languageSelect.addEventListener('change', () => {
-      const value = elements.languageSelect.value;
+    const saveLanguage = () => {
+      const value = getTargetLanguage(elements.languageSelect, elements.customLanguage);
       debouncedSaveSettings(STORAGE_KEYS.LANGUAGE, value, async () => {
         if (settingsModule) {
           await settingsModule.updateTranslationVisibility();
         }
       });
-    });
+    };
+    elements.languageSelect.addEventListener('change', saveLanguage);
+    if (elements.customLanguage) {
+      elements.customLanguage.addEventListener('change', saveLanguage);
+    }
   }
 
   // Translate images checkbox
@@ -99,5 +139,29 @@ export function setupFormatHandlers(deps) {
       });
     });
   }
+
+  // Translation memory checkboxes
+  if (elements.translationMemory) {
+    elements.translationMemory.addEventListener('change', () => {
+      debouncedSaveSettings(STORAGE_KEYS.TRANSLATION_MEMORY, elements.translationMemory.checked, async () => {
+        if (settingsModule) {
+          await settingsModule.updateTranslationVisibility();
+        }
+      });
+    });
+  }
+  
+  if (elements.translationMemoryFuzzy) {
+    elements.translationMemoryFuzzy.addEventListener('change', () => {
+      debouncedSaveSettings(STORAGE_KEYS.TRANSLATION_MEMORY_FUZZY, elements.translationMemoryFuzzy.checked);
+    });
+  }
+
+  // Bilingual output of translation
+  if (elements.translationBilingual) {
+    elements.translationBilingual.addEventListener('change', () => {
+      debouncedSaveSettings(STORAGE_KEYS.TRANSLATION_BILINGUAL, elements.translationBilingual.value);
+    });
+  }
 }
 
@@ -0,0 +1,136 @@
+// @ts-check
+// Translation glossary handlers (editing, CSV/TBX import and export, report of last translation)
+
+import {
+  parseGlossary,
+  mergeGlossaryLines,
+  importGlossaryFile,
+  glossaryToCsv,
+  glossaryToTbx,
+  GLOSSARY_REPORT_STORAGE_KEY
+} from '../../scripts/translation/glossary.js';
+
+/**
+ * Setup translation glossary handlers
+ * @param {Object} deps - Dependencies
+ * @param {Object} deps.elements - DOM elements
+ * @param {Object} deps.STORAGE_KEYS - Storage keys constants
+ * @param {Function} deps.debouncedSaveSettings - Debounced save settings function
+ * @param {Function} deps.logError - Error logging function
+ * @param {Function} deps.showToast - Show toast notification
+ * @param {Function} deps.t - Translation function
+ */
+export function setupGlossaryHandlers(deps) {
+  const {
+    elements,
+    STORAGE_KEYS,
+    debouncedSaveSettings,
+    logError,
+    showToast,
+    t
+  } = deps;
+
+  if (!elements.translationGlossary) return;
+
+  // Invalid lines are skipped on translation, show them right away
+  async function showGlossaryErrors() {
+    const errorsElement = elements.translationGlossaryErrors;
+    if (!errorsElement) return;
+    const { errors } = parseGlossary(elements.translationGlossary.value);
+    if (errors.length === 0) {
+      errorsElement.textContent = '';
+      errorsElement.classList.add('hidden');
+      return;
+    }
+    const lineText = await t('translationGlossaryErrorLine');
+    errorsElement.textContent = errors
+      .map(error => lineText.replace('{line}', String(error.line)).replace('{error}', error.message))
+      .join('\n');
+    errorsElement.classList.remove('hidden');
+  }
+
+  // Terms that last translated article did not respect
+  async function showGlossaryReport() {
+    const reportElement = elements.translationGlossaryReport;
+    if (!reportElement) return;
+    const stored = await chrome.storage.local.get([GLOSSARY_REPORT_STORAGE_KEY]);
+    const report = /** @type {import('../../scripts/translation/glossary.js').GlossaryReport|undefined} */ (stored[GLOSSARY_REPORT_STORAGE_KEY]);
+    if (!report || !Array.isArray(report.violations)) {
+      reportElement.classList.add('hidden');
+      return;
+    }
+    const terms = report.violations
+      .map(violation => `${violation.term} → ${violation.expected} (${violation.count})`)
+      .join(', ');
+    reportElement.textContent = terms
+      ? (await t('translationGlossaryViolations')).replace('{title}', report.title).replace('{terms}', terms)
+      : (await t('translationGlossaryRespected')).replace('{title}', report.title);
+    reportElement.classList.toggle('hint-error', !!terms);
+    reportElement.classList.remove('hidden');
+  }
+
+  /**
+   * Download glossary file
+   * @param {string} content - File content
+   * @param {string} type - MIME type
+   * @param {string} extension - File extension
+   */
+  function downloadGlossary(content, type, extension) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    try {
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `clipaible-glossary-${new Date().toISOString().split('T')[0]}.${extension}`;
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+    } finally {
+      URL.revokeObjectURL(url);
+    }
+  }
+
+  elements.translationGlossary.addEventListener('change', async () => {
+    debouncedSaveSettings(STORAGE_KEYS.TRANSLATION_GLOSSARY, elements.translationGlossary.value.trim());
+    await showGlossaryErrors();
+  });
+
+  if (elements.importGlossaryBtn && elements.glossaryFileInput) {
+    elements.importGlossaryBtn.addEventListener('click', () => {
+      elements.glossaryFileInput.click();
+    });
+
+    elements.glossaryFileInput.addEventListener('change', async (e) => {
+      const file = e.target.files[0];
+      if (!file) return;
+      try {
+        const lines = importGlossaryFile(file.name, await file.text());
+        const { text, added } = mergeGlossaryLines(elements.translationGlossary.value, lines);
+        elements.translationGlossary.value = text;
+        debouncedSaveSettings(STORAGE_KEYS.TRANSLATION_GLOSSARY, text);
+        await showGlossaryErrors();
+        showToast((await t('translationGlossaryImported')).replace('{count}', String(added)), 'success');
+      } catch (error) {
+        logError('Glossary import failed', error);
+        showToast(`${await t('translationGlossaryImportFailed')}: ${error.message}`, 'error');
+      } finally {
+        elements.glossaryFileInput.value = '';
+      }
+    });
+  }
+
+  if (elements.exportGlossaryCsvBtn) {
+    elements.exportGlossaryCsvBtn.addEventListener('click', () => {
+      const { entries } = parseGlossary(elements.translationGlossary.value);
+      downloadGlossary(glossaryToCsv(entries), 'text/csv', 'csv');
+    });
+  }
+
+  if (elements.exportGlossaryTbxBtn) {
+    elements.exportGlossaryTbxBtn.addEventListener('click', () => {
+      const { entries } = parseGlossary(elements.translationGlossary.value);
+      downloadGlossary(glossaryToTbx(entries), 'application/x-tbx+xml', 'tbx');
+    });
+  }
+
+  showGlossaryReport().catch(error => logError('Failed to show glossary report', error));
+}
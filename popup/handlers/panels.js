@@ -107,6 +107,18 @@ export function setupPanelHandlers(deps) {
     }, { passive: true });
   }
 
+  // Queue page button - batch queue is managed on a separate extension page
+  if (elements.openQueue) {
+    elements.openQueue.addEventListener('click', async () => {
+      try {
+        await chrome.tabs.create({ url: chrome.runtime.getURL('queue/queue.html') });
+        window.close();
+      } catch (error) {
+        logError('Failed to open queue page', error);
+      }
+    });
+  }
+
   // Clear stats button
   if (elements.clearStatsBtn) {
     elements.clearStatsBtn.addEventListener('click', async () => {
@@ -145,6 +157,45 @@ export function setupPanelHandlers(deps) {
     }, { passive: true });
   }
 
+  // Clear audio cache button
+  if (elements.clearAudioCacheBtn) {
+    elements.clearAudioCacheBtn.addEventListener('click', async () => {
+      if (confirm(await t('clearAudioCacheConfirm'))) {
+        await chrome.runtime.sendMessage({ action: 'clearAudioCache' });
+        await loadAndDisplayStats();
+        showToast(await t('audioCacheCleared'), 'success');
+      }
+    });
+  }
+
+  // Clear translation memory button
+  if (elements.clearTranslationMemoryBtn) {
+    elements.clearTranslationMemoryBtn.addEventListener('click', async () => {
+      if (confirm(await t('clearTranslationMemoryConfirm'))) {
+        await chrome.runtime.sendMessage({ action: 'clearTranslationMemory' });
+        await loadAndDisplayStats();
+        showToast(await t('translationMemoryCleared'), 'success');
+      }
+    });
+  }
+
+  // Pick content button: picker runs in page, popup is closed to let user click it
+  if (elements.pickContentBtn) {
+    elements.pickContentBtn.addEventListener('click', async () => {
+      try {
+        const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+        if (!tab?.id) {
+          return;
+        }
+        await chrome.runtime.sendMessage({ action: 'startElementPicker', tabId: tab.id });
+        window.close();
+      } catch (error) {
+        logError('Failed to start element picker', error);
+        showToast((await t('errorPickerFailed')).replace('{error}', error?.message || 'unknown'), 'error');
+      }
+    });
+  }
+
   // Export settings button
   if (elements.exportSettingsBtn) {
     elements.exportSettingsBtn.addEventListener('click', async () => {
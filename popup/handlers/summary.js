@@ -1,5 +1,5 @@
 // @ts-check
-// Summary handlers (generate, toggle, copy, download, close)
+// Summary handlers (generate, toggle, copy, download, export, close)
 
 /**
  * Setup summary-related handlers
@@ -9,6 +9,7 @@
  * @param {Function} deps.toggleSummary - Toggle summary function
  * @param {Function} deps.copySummary - Copy summary function
  * @param {Function} deps.downloadSummary - Download summary function
+ * @param {Function} deps.exportSummary - Export summary function (format, listen)
  * @param {Function} deps.closeSummary - Close summary function
  */
 export function setupSummaryHandlers(deps) {
@@ -18,6 +19,7 @@ export function setupSummaryHandlers(deps) {
     toggleSummary,
     copySummary,
     downloadSummary,
+    exportSummary,
     closeSummary
   } = deps;
 
@@ -33,6 +35,18 @@ export function setupSummaryHandlers(deps) {
   if (elements.summaryDownloadBtn) {
     elements.summaryDownloadBtn.addEventListener('click', downloadSummary);
   }
+  if (elements.summaryListenBtn) {
+    elements.summaryListenBtn.addEventListener('click', () => exportSummary('audio', true));
+  }
+  if (elements.summaryExportPdfBtn) {
+    elements.summaryExportPdfBtn.addEventListener('click', () => exportSummary('pdf'));
+  }
+  if (elements.summaryExportEpubBtn) {
+    elements.summaryExportEpubBtn.addEventListener('click', () => exportSummary('epub'));
+  }
+  if (elements.summaryExportAudioBtn) {
+    elements.summaryExportAudioBtn.addEventListener('click', () => exportSummary('audio'));
+  }
   if (elements.summaryCloseBtn) {
     elements.summaryCloseBtn.addEventListener('click', closeSummary);
   }
@@ -60,7 +60,7 @@ import { groupDependencies } from './utils/dependencies.js';
 import { STORAGE_KEYS, DEFAULT_STYLES, STYLE_PRESETS, MODE_HINTS } from './constants.js';
 import { getElement, setElementDisplay, setElementGroupDisplay, setDisplayForIds } from './utils/dom-helpers.js';
 import { markdownToHtml, formatTime, escapeHtml, formatRelativeDate } from './utils/format-helpers.js';
-import { debouncedSaveSettings, saveAudioVoice } from './utils/settings-helpers.js';
+import { debouncedSaveSettings, saveAudioVoice, populateLanguageSelect } from './utils/settings-helpers.js';
 
 // Settings save state (imported from settings-helpers via closure, but we need local references)
 let settingsSaveTimer = null;
@@ -90,6 +90,10 @@ const elements = {
   apiKeyLabel: null,
   apiKeyInputGroup: null,
   toggleApiKey: null,
+  customEndpointGroup: null,
+  customBaseUrl: null,
+  customAllowLocal: null,
+  fetchCustomModelsBtn: null,
   claudeApiKey: null,
   toggleClaudeApiKey: null,
   geminiApiKey: null,
@@ -110,16 +114,23 @@ const elements = {
   summaryContent: null,
   summaryText: null,
   summaryCopyBtn: null,
+  summaryListenBtn: null,
+  summaryExportPdfBtn: null,
+  summaryExportEpubBtn: null,
+  summaryExportAudioBtn: null,
   summaryDownloadBtn: null,
   summaryCloseBtn: null,
   toggleSettings: null,
   settingsPanel: null,
   toggleStats: null,
   statsPanel: null,
+  openQueue: null,
   modeSelect: null,
   modeHint: null,
   useCache: null,
   useCacheGroup: null,
+  paginationMaxPages: null,
+  paginationGroup: null,
   modelSelect: null,
   addModelBtn: null,
   customModelDropdown: null,
@@ -130,12 +141,33 @@ const elements = {
   addModelCancel: null,
   outputFormat: null,
   generateToc: null,
+  markdownFrontMatter: null,
+  markdownFrontMatterTemplate: null,
+  markdownFrontMatterTemplateGroup: null,
+  markdownImages: null,
   generateAbstract: null,
+  reviewBeforeGeneration: null,
   pageMode: null,
   pageModeGroup: null,
   languageSelect: null,
+  customLanguage: null,
+  customLanguageGroup: null,
   translateImages: null,
   translateImagesGroup: null,
+  translationBilingual: null,
+  translationBilingualGroup: null,
+  translationMemory: null,
+  translationMemoryFuzzy: null,
+  translationMemoryFuzzyLabel: null,
+  translationMemoryGroup: null,
+  translationGlossary: null,
+  translationGlossaryGroup: null,
+  translationGlossaryErrors: null,
+  translationGlossaryReport: null,
+  importGlossaryBtn: null,
+  exportGlossaryCsvBtn: null,
+  exportGlossaryTbxBtn: null,
+  glossaryFileInput: null,
   stylePreset: null,
   fontFamily: null,
   fontFamilyContainer: null,
@@ -154,6 +186,9 @@ const elements = {
   resetStylesBtn: null,
   clearStatsBtn: null,
   clearCacheBtn: null,
+  clearAudioCacheBtn: null,
+  clearTranslationMemoryBtn: null,
+  pickContentBtn: null,
   enableCache: null,
   enableStats: null,
   exportSettingsBtn: null,
@@ -199,7 +234,30 @@ const elements = {
   audioVoiceGroup: null,
   audioSpeed: null,
   audioSpeedGroup: null,
-  audioSpeedValue: null
+  audioSpeedValue: null,
+  audioM4b: null,
+  audioPlayer: null,
+  openPlayerBtn: null,
+  podcastLibrary: null,
+  openPodcastBtn: null,
+  manageOfflineVoicesBtn: null,
+  offlineVoicesGroup: null,
+  audioCompression: null,
+  audioCompressionGroup: null,
+  audioCompressionBitrate: null,
+  audioCompressionBitrateGroup: null,
+  audioNarration: null,
+  audioNarrationGroup: null,
+  audioNarrationVoicesGroup: null,
+  audioNarrationHeadingVoice: null,
+  audioNarrationQuoteVoice: null,
+  audioNarrationCaptionVoice: null,
+  audioNarrationSpeaker1Voice: null,
+  audioNarrationSpeaker2Voice: null,
+  audioNarrationPause: null,
+  pronunciationLexicon: null,
+  pronunciationLexiconGroup: null,
+  pronunciationLexiconErrors: null
 };
 
 // State polling timeout
@@ -393,6 +451,7 @@ async function init() {
   try {
     // Initialize DOM elements
     initializeDOMElements(elements);
+    populateLanguageSelect(elements.languageSelect);
     
     // Group dependencies for cleaner module initialization
     const groupedDeps = groupDependencies({
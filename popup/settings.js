@@ -9,6 +9,7 @@ import { log, logError, logWarn } from '../scripts/utils/logging.js';
 import { CONFIG } from '../scripts/utils/config.js';
 import { getProviderFromModel } from '../scripts/api/index.js';
 import { sanitizeMarkdownHtml } from '../scripts/utils/html.js';
+import { CUSTOM_LANGUAGE_OPTION } from './constants.js';
 
 // Import submodules
 import { initApiKeys } from './settings/api-keys.js';
@@ -123,6 +124,7 @@ export function initSettings(deps) {
         STORAGE_KEYS.GROK_API_KEY,
         STORAGE_KEYS.OPENROUTER_API_KEY,
         STORAGE_KEYS.DEEPSEEK_API_KEY,
+        STORAGE_KEYS.CUSTOM_API_KEY,
         STORAGE_KEYS.GOOGLE_API_KEY,
         STORAGE_KEYS.MODEL,
         STORAGE_KEYS.MODEL_BY_PROVIDER,
@@ -132,12 +134,21 @@ export function initSettings(deps) {
         STORAGE_KEYS.USE_CACHE,
         STORAGE_KEYS.ENABLE_CACHE,
         STORAGE_KEYS.ENABLE_STATS,
+        STORAGE_KEYS.PAGINATION_MAX_PAGES,
         STORAGE_KEYS.OUTPUT_FORMAT,
         STORAGE_KEYS.GENERATE_TOC,
         STORAGE_KEYS.GENERATE_ABSTRACT,
+        STORAGE_KEYS.REVIEW_BEFORE_GENERATION,
+        STORAGE_KEYS.MARKDOWN_FRONT_MATTER,
+        STORAGE_KEYS.MARKDOWN_FRONT_MATTER_TEMPLATE,
+        STORAGE_KEYS.MARKDOWN_IMAGES,
         STORAGE_KEYS.PAGE_MODE,
         STORAGE_KEYS.LANGUAGE,
         STORAGE_KEYS.TRANSLATE_IMAGES,
+        STORAGE_KEYS.TRANSLATION_BILINGUAL,
+        STORAGE_KEYS.TRANSLATION_GLOSSARY,
+        STORAGE_KEYS.TRANSLATION_MEMORY,
+        STORAGE_KEYS.TRANSLATION_MEMORY_FUZZY,
         STORAGE_KEYS.STYLE_PRESET,
         STORAGE_KEYS.FONT_FAMILY,
         STORAGE_KEYS.FONT_SIZE,
@@ -168,6 +179,15 @@ export function initSettings(deps) {
         STORAGE_KEYS.AUDIO_VOICE,
         STORAGE_KEYS.AUDIO_VOICE_MAP,
         STORAGE_KEYS.AUDIO_SPEED,
+        STORAGE_KEYS.AUDIO_M4B,
+        STORAGE_KEYS.AUDIO_PLAYER,
+        STORAGE_KEYS.PODCAST_LIBRARY,
+        STORAGE_KEYS.AUDIO_COMPRESSION,
+        STORAGE_KEYS.AUDIO_COMPRESSION_BITRATE,
+        STORAGE_KEYS.AUDIO_NARRATION,
+        STORAGE_KEYS.AUDIO_NARRATION_VOICES,
+        STORAGE_KEYS.AUDIO_NARRATION_PAUSE,
+        STORAGE_KEYS.PRONUNCIATION_LEXICON,
         STORAGE_KEYS.SUMMARY_TEXT,
         STORAGE_KEYS.SUMMARY_GENERATING
       ]);
@@ -263,6 +283,18 @@ export function initSettings(deps) {
           apiKeyValue = maskApiKey(apiKey);
           apiKeyEncrypted = apiKey;
         }
+      } else if (apiProvider === 'custom' && result[STORAGE_KEYS.CUSTOM_API_KEY]) {
+        try {
+          const apiKey = String(result[STORAGE_KEYS.CUSTOM_API_KEY] || '');
+          const decrypted = await decryptApiKey(apiKey);
+          apiKeyValue = maskApiKey(decrypted);
+          apiKeyEncrypted = apiKey;
+        } catch (error) {
+          logError('Failed to decrypt custom endpoint API key', error);
+          const apiKey = String(result[STORAGE_KEYS.CUSTOM_API_KEY] || '');
+          apiKeyValue = maskApiKey(apiKey);
+          apiKeyEncrypted = apiKey;
+        }
       }
       
       if (elements.apiKey) {
@@ -316,6 +348,10 @@ export function initSettings(deps) {
         elements.modeSelect.value = String(result[STORAGE_KEYS.MODE]);
       }
       
+      if (elements.paginationMaxPages && result[STORAGE_KEYS.PAGINATION_MAX_PAGES]) {
+        elements.paginationMaxPages.value = String(result[STORAGE_KEYS.PAGINATION_MAX_PAGES]);
+      }
+      
       // Default: enabled (true) - cache selectors by default
       // Explicitly check for boolean false to distinguish from undefined/null
       // CRITICAL FIX: Preserve current checkbox state if storage value is undefined/null
@@ -433,24 +469,61 @@ export function initSettings(deps) {
         elements.generateToc.checked = result[STORAGE_KEYS.GENERATE_TOC];
       }
       
+      if (elements.markdownFrontMatter && result[STORAGE_KEYS.MARKDOWN_FRONT_MATTER] !== undefined) {
+        elements.markdownFrontMatter.checked = result[STORAGE_KEYS.MARKDOWN_FRONT_MATTER];
+      }
+      
+      if (elements.markdownFrontMatterTemplate && result[STORAGE_KEYS.MARKDOWN_FRONT_MATTER_TEMPLATE]) {
+        elements.markdownFrontMatterTemplate.value = String(result[STORAGE_KEYS.MARKDOWN_FRONT_MATTER_TEMPLATE]);
+      }
+      
+      if (elements.markdownImages && result[STORAGE_KEYS.MARKDOWN_IMAGES]) {
+        elements.markdownImages.value = String(result[STORAGE_KEYS.MARKDOWN_IMAGES]);
+      }
+      
       if (result[STORAGE_KEYS.GENERATE_ABSTRACT] !== undefined) {
         elements.generateAbstract.checked = result[STORAGE_KEYS.GENERATE_ABSTRACT];
       } else {
         elements.generateAbstract.checked = false; // Default: disabled
       }
       
+      if (elements.reviewBeforeGeneration) {
+        elements.reviewBeforeGeneration.checked = result[STORAGE_KEYS.REVIEW_BEFORE_GENERATION] === true; // Default: disabled
+      }
+      
       if (result[STORAGE_KEYS.PAGE_MODE]) {
         elements.pageMode.value = String(result[STORAGE_KEYS.PAGE_MODE]);
       }
       
       if (result[STORAGE_KEYS.LANGUAGE]) {
-        elements.languageSelect.value = String(result[STORAGE_KEYS.LANGUAGE]);
+        const language = String(result[STORAGE_KEYS.LANGUAGE]);
+        // Languages outside registry are shown in "Other language…" input
+        const hasOption = Array.from(elements.languageSelect.options).some(option => option.value === language);
+        elements.languageSelect.value = hasOption ? language : CUSTOM_LANGUAGE_OPTION;
+        if (!hasOption && elements.customLanguage) {
+          elements.customLanguage.value = language;
+        }
       }
       
       if (result[STORAGE_KEYS.TRANSLATE_IMAGES]) {
         elements.translateImages.checked = result[STORAGE_KEYS.TRANSLATE_IMAGES];
       }
       
+      if (elements.translationBilingual) {
+        elements.translationBilingual.value = String(result[STORAGE_KEYS.TRANSLATION_BILINGUAL] || 'off');
+      }
+      
+      if (elements.translationMemory) {
+        elements.translationMemory.checked = result[STORAGE_KEYS.TRANSLATION_MEMORY] !== false; // Default: enabled
+      }
+      if (elements.translationMemoryFuzzy) {
+        elements.translationMemoryFuzzy.checked = result[STORAGE_KEYS.TRANSLATION_MEMORY_FUZZY] === true; // Default: disabled
+      }
+      
+      if (elements.translationGlossary) {
+        elements.translationGlossary.value = String(result[STORAGE_KEYS.TRANSLATION_GLOSSARY] || '');
+      }
+      
       // Load style preset
       const savedPreset = String(result[STORAGE_KEYS.STYLE_PRESET] || 'dark');
       elements.stylePreset.value = savedPreset;
@@ -885,6 +958,39 @@ export function initSettings(deps) {
         }
       }
       
+      if (elements.audioM4b) {
+        elements.audioM4b.checked = result[STORAGE_KEYS.AUDIO_M4B] === true; // Default: disabled
+      }
+      if (elements.audioPlayer) {
+        elements.audioPlayer.checked = result[STORAGE_KEYS.AUDIO_PLAYER] === true; // Default: disabled
+      }
+      if (elements.podcastLibrary) {
+        elements.podcastLibrary.checked = result[STORAGE_KEYS.PODCAST_LIBRARY] === true; // Default: disabled
+      }
+      
+      if (elements.audioCompression) {
+        elements.audioCompression.value = result[STORAGE_KEYS.AUDIO_COMPRESSION] || 'off'; // Default: WAV as is
+      }
+      
+      if (elements.audioCompressionBitrate) {
+        elements.audioCompressionBitrate.value = String(result[STORAGE_KEYS.AUDIO_COMPRESSION_BITRATE] || 64);
+      }
+      
+      if (elements.audioNarration) {
+        elements.audioNarration.checked = result[STORAGE_KEYS.AUDIO_NARRATION] === true; // Default: single voice
+      }
+      
+      if (elements.audioNarrationPause) {
+        elements.audioNarrationPause.value = result[STORAGE_KEYS.AUDIO_NARRATION_PAUSE] || 'off';
+      }
+      
+      if (elements.pronunciationLexicon) {
+        elements.pronunciationLexicon.value = String(result[STORAGE_KEYS.PRONUNCIATION_LEXICON] || '');
+      }
+      
+      // Role voices are put into selects when voice list of provider is built
+      audioModule.setNarrationVoices(result[STORAGE_KEYS.AUDIO_NARRATION_VOICES]);
+      
       // Update voice list based on provider (AFTER loading audio_voice from storage)
       // This ensures that invalid voices (e.g., 'volodymyr' for Ukrainian text, or 'nova' for Respeecher)
       // are replaced with valid defaults and restores per-provider voice selection
@@ -1057,6 +1163,7 @@ export function initSettings(deps) {
     formatModelLabel: apiKeysModule.formatModelLabel,
     updateApiProviderUI: apiKeysModule.updateApiProviderUI,
     saveApiKey: apiKeysModule.saveApiKey,
+    fetchCustomModels: apiKeysModule.fetchCustomModels,
     
     // From models module
     updateModelList: modelsModule.updateModelList,
@@ -1076,6 +1183,7 @@ export function initSettings(deps) {
     updateVoiceList: audioModule.updateVoiceList,
     updateAudioProviderUI: audioModule.updateAudioProviderUI,
     getVoiceIdByIndex: audioModule.getVoiceIdByIndex,
+    saveNarrationVoice: audioModule.saveNarrationVoice,
     
     // From UI visibility module
     updateModeHint: uiVisibilityModule.updateModeHint,
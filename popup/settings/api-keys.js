@@ -6,6 +6,7 @@ import { encryptApiKey, decryptApiKey, maskApiKey } from '../../scripts/utils/en
 import { t, getUILanguage, UI_LOCALES } from '../../scripts/locales.js';
 import { logError } from '../../scripts/utils/logging.js';
 import { getProviderFromModel } from '../../scripts/api/index.js';
+import { isCustomModel, getCustomModelName, toCustomModel, validateCustomBaseUrl, listCustomModels } from '../../scripts/api/custom.js';
 
 /**
  * Initialize API keys module
@@ -31,6 +32,11 @@ export function initApiKeys(deps) {
   function formatModelLabel(modelValue) {
     if (!modelValue) return '';
     
+    // Custom endpoint models are shown as server reports them (without routing prefix)
+    if (isCustomModel(modelValue)) {
+      return getCustomModelName(modelValue);
+    }
+    
     let modelName = modelValue;
     let reasoningEffort = null;
     
@@ -88,6 +94,27 @@ export function initApiKeys(deps) {
       labelKey = 'deepseekApiKey';
       placeholderKey = 'enterDeepSeekApiKey';
       placeholderText = 'sk-...';
+    } else if (provider === 'custom') {
+      labelKey = 'customApiKey';
+      placeholderKey = 'enterCustomApiKey';
+      placeholderText = 'Optional';
+    }
+    
+    // Endpoint URL and local network opt-in are shown only for custom endpoint
+    if (elements.customEndpointGroup) {
+      elements.customEndpointGroup.classList.toggle('hidden', provider !== 'custom');
+      if (provider === 'custom') {
+        const endpointSettings = await chrome.storage.local.get([
+          STORAGE_KEYS.CUSTOM_API_BASE_URL,
+          STORAGE_KEYS.CUSTOM_API_ALLOW_LOCAL
+        ]);
+        if (elements.customBaseUrl) {
+          elements.customBaseUrl.value = endpointSettings[STORAGE_KEYS.CUSTOM_API_BASE_URL] || '';
+        }
+        if (elements.customAllowLocal) {
+          elements.customAllowLocal.checked = endpointSettings[STORAGE_KEYS.CUSTOM_API_ALLOW_LOCAL] === true;
+        }
+      }
     }
     
     if (labelKey && elements.apiKeyLabel) {
@@ -107,11 +134,133 @@ export function initApiKeys(deps) {
     }
   }
 
+  // Validate endpoint URL from inputs, show error toast if URL is not allowed
+  // Returns normalized URL or null
+  async function getValidatedCustomBaseUrl() {
+    const baseUrl = elements.customBaseUrl?.value.trim() || '';
+    const allowLocalNetwork = elements.customAllowLocal?.checked === true;
+    
+    if (!baseUrl) {
+      const notConfiguredText = await t('errorCustomEndpointNotConfigured');
+      showToast(notConfiguredText, 'error');
+      return null;
+    }
+    
+    try {
+      return await validateCustomBaseUrl(baseUrl, allowLocalNetwork);
+    } catch (error) {
+      showToast(error.message, 'error');
+      return null;
+    }
+  }
+
+  // Save custom endpoint settings (URL, local network opt-in, optional API key)
+  async function saveCustomEndpoint() {
+    const apiKey = elements.apiKey.value.trim();
+    const baseUrl = await getValidatedCustomBaseUrl();
+    if (!baseUrl) {
+      return;
+    }
+    
+    const keysToSave = {
+      [STORAGE_KEYS.API_PROVIDER]: 'custom',
+      [STORAGE_KEYS.CUSTOM_API_BASE_URL]: baseUrl,
+      [STORAGE_KEYS.CUSTOM_API_ALLOW_LOCAL]: elements.customAllowLocal?.checked === true
+    };
+    
+    if (apiKey && !apiKey.startsWith('****')) {
+      try {
+        keysToSave[STORAGE_KEYS.CUSTOM_API_KEY] = await encryptApiKey(apiKey);
+      } catch (error) {
+        const failedToEncryptText = await t('failedToEncryptApiKey');
+        showToast(failedToEncryptText, 'error');
+        logError('Encryption error', error);
+        return;
+      }
+    }
+    
+    await chrome.storage.local.set(keysToSave);
+    
+    // Empty field removes saved key (server without authentication)
+    if (!apiKey) {
+      await chrome.storage.local.remove([STORAGE_KEYS.CUSTOM_API_KEY]);
+      delete elements.apiKey.dataset.encrypted;
+    }
+    
+    if (elements.customBaseUrl) {
+      elements.customBaseUrl.value = baseUrl;
+    }
+    
+    const apiKeysSavedText = await t('apiKeysSaved');
+    showToast(apiKeysSavedText, 'success');
+  }
+
+  // Load model list from custom endpoint (GET /models) and add models to model selector
+  async function fetchCustomModels() {
+    const baseUrl = await getValidatedCustomBaseUrl();
+    if (!baseUrl) {
+      return;
+    }
+    
+    // Use key from input if user entered new one, otherwise saved key
+    let apiKey = elements.apiKey.value.trim();
+    if (apiKey.startsWith('****')) {
+      apiKey = '';
+      if (elements.apiKey.dataset.encrypted) {
+        try {
+          apiKey = await decryptApiKey(elements.apiKey.dataset.encrypted);
+        } catch (error) {
+          logError('Failed to decrypt custom endpoint API key', error);
+        }
+      }
+    }
+    
+    if (elements.fetchCustomModelsBtn) {
+      elements.fetchCustomModelsBtn.disabled = true;
+    }
+    
+    try {
+      const modelNames = await listCustomModels(baseUrl, apiKey, elements.customAllowLocal?.checked === true);
+      
+      const storageResult = await chrome.storage.local.get([STORAGE_KEYS.CUSTOM_MODELS]);
+      // Custom models by provider: {openai: [...], custom: [...]}
+      const customModels = /** @type {Record<string, Array<string>>} */ (storageResult[STORAGE_KEYS.CUSTOM_MODELS] || {});
+      const existingModels = Array.isArray(customModels.custom) ? customModels.custom : [];
+      customModels.custom = [...new Set([...existingModels, ...modelNames.map(toCustomModel)])];
+      
+      await chrome.storage.local.set({
+        [STORAGE_KEYS.CUSTOM_MODELS]: customModels,
+        [STORAGE_KEYS.CUSTOM_API_BASE_URL]: baseUrl,
+        [STORAGE_KEYS.CUSTOM_API_ALLOW_LOCAL]: elements.customAllowLocal?.checked === true
+      });
+      
+      if (updateModelList) {
+        await updateModelList();
+      }
+      
+      const loadedText = await t('customModelsLoaded');
+      showToast(loadedText.replace('{count}', String(modelNames.length)), 'success');
+    } catch (error) {
+      logError('Failed to load custom endpoint models', error);
+      showToast(error.message, 'error');
+    } finally {
+      if (elements.fetchCustomModelsBtn) {
+        elements.fetchCustomModelsBtn.disabled = false;
+      }
+    }
+  }
+
   // Save API keys to storage
   async function saveApiKey() {
     const provider = elements.apiProviderSelect?.value || 'openai';
     const apiKey = elements.apiKey.value.trim();
     
+    // API key is optional for custom endpoint, it is saved together with endpoint URL
+    if (provider === 'custom') {
+      await saveCustomEndpoint();
+      return;
+    }
+    
     // Check if main API key is provided (not masked)
     const hasKey = apiKey && !apiKey.startsWith('****');
     
@@ -262,6 +411,7 @@ export function initApiKeys(deps) {
     formatModelLabel,
     updateApiProviderUI,
     saveApiKey,
+    fetchCustomModels,
     setUpdateModelList
   };
 }
@@ -4,6 +4,7 @@
 
 import { logWarn } from '../../scripts/utils/logging.js';
 import { CONFIG } from '../../scripts/utils/config.js';
+import { getOfflineVoices, OFFLINE_AUTO_VOICE } from '../../scripts/api/piper-languages.js';
 
 /**
  * Initialize audio module
@@ -17,9 +18,23 @@ export function initAudio(deps) {
     debouncedSaveSettings,
     audioVoiceMap,
     getElement,
-    setElementGroupDisplay
+    setElementGroupDisplay,
+    t
   } = deps;
 
+  // Voices of narration roles per provider: { provider: { heading, quote, caption, speaker1, speaker2 } }
+  /** @type {Record<string, Record<string, string>>} */
+  let narrationVoices = {};
+
+  // Role voice selects (role is in data-narration-role attribute)
+  const narrationVoiceSelectKeys = [
+    'audioNarrationHeadingVoice',
+    'audioNarrationQuoteVoice',
+    'audioNarrationCaptionVoice',
+    'audioNarrationSpeaker1Voice',
+    'audioNarrationSpeaker2Voice'
+  ];
+
   // Save audio voice per provider with backward-compatible flat key
   function saveAudioVoice(provider, voice) {
     if (!provider) return;
@@ -65,9 +80,15 @@ export function initAudio(deps) {
     setElementGroupDisplay('googleTtsVoiceGroup', 'none');
     setElementGroupDisplay('googleTtsPromptGroup', 'none');
     setElementGroupDisplay('respeecherAdvancedGroup', 'none');
+    setElementGroupDisplay('audioCompressionGroup', 'none');
+    setElementGroupDisplay('audioCompressionBitrateGroup', 'none');
+    setElementGroupDisplay('audioNarrationGroup', 'none');
+    setElementGroupDisplay('audioNarrationVoicesGroup', 'none');
+    setElementGroupDisplay('pronunciationLexiconGroup', 'none');
     
     // Generic audio settings (voice, speed, instructions)
     setElementGroupDisplay('audioVoiceGroup', 'none');
+    setElementGroupDisplay('offlineVoicesGroup', 'none');
     setElementGroupDisplay('audioSpeedGroup', 'none');
     setElementGroupDisplay('openaiInstructionsGroup', 'none');
   }
@@ -234,72 +255,15 @@ export function initAudio(deps) {
       }
       saveAudioVoice(provider, elements.audioVoice.value);
     } else if (provider === 'offline') {
-      // Piper TTS: use hardcoded voices list (same as other providers)
-      // All supported voices from PIPER_VOICES_MAPPING for supported languages
-      const offlineVoices = [
-        // English GB
-        { id: 'en_GB-alan-medium', name: 'en_GB-alan-medium' },
-        { id: 'en_GB-alba-medium', name: 'en_GB-alba-medium' },
-        { id: 'en_GB-aru-medium', name: 'en_GB-aru-medium' },
-        { id: 'en_GB-cori-medium', name: 'en_GB-cori-medium' },
-        { id: 'en_GB-cori-high', name: 'en_GB-cori-high' },
-        { id: 'en_GB-jenny_dioco-medium', name: 'en_GB-jenny_dioco-medium' },
-        { id: 'en_GB-northern_english_male-medium', name: 'en_GB-northern_english_male-medium' },
-        { id: 'en_GB-semaine-medium', name: 'en_GB-semaine-medium' },
-        { id: 'en_GB-vctk-medium', name: 'en_GB-vctk-medium' },
-        // English US
-        { id: 'en_US-amy-medium', name: 'en_US-amy-medium' },
-        { id: 'en_US-arctic-medium', name: 'en_US-arctic-medium' },
-        { id: 'en_US-bryce-medium', name: 'en_US-bryce-medium' },
-        { id: 'en_US-hfc_female-medium', name: 'en_US-hfc_female-medium' },
-        { id: 'en_US-hfc_male-medium', name: 'en_US-hfc_male-medium' },
-        { id: 'en_US-joe-medium', name: 'en_US-joe-medium' },
-        { id: 'en_US-john-medium', name: 'en_US-john-medium' },
-        { id: 'en_US-kristin-medium', name: 'en_US-kristin-medium' },
-        { id: 'en_US-kusal-medium', name: 'en_US-kusal-medium' },
-        { id: 'en_US-l2arctic-medium', name: 'en_US-l2arctic-medium' },
-        { id: 'en_US-lessac-medium', name: 'en_US-lessac-medium' },
-        { id: 'en_US-lessac-high', name: 'en_US-lessac-high' },
-        { id: 'en_US-libritts-high', name: 'en_US-libritts-high' },
-        { id: 'en_US-libritts_r-medium', name: 'en_US-libritts_r-medium' },
-        { id: 'en_US-ljspeech-medium', name: 'en_US-ljspeech-medium' },
-        { id: 'en_US-ljspeech-high', name: 'en_US-ljspeech-high' },
-        { id: 'en_US-norman-medium', name: 'en_US-norman-medium' },
-        { id: 'en_US-ryan-medium', name: 'en_US-ryan-medium' },
-        { id: 'en_US-ryan-high', name: 'en_US-ryan-high' },
-        // Russian
-        { id: 'ru_RU-denis-medium', name: 'ru_RU-denis-medium' },
-        { id: 'ru_RU-dmitri-medium', name: 'ru_RU-dmitri-medium' },
-        { id: 'ru_RU-irina-medium', name: 'ru_RU-irina-medium' },
-        { id: 'ru_RU-ruslan-medium', name: 'ru_RU-ruslan-medium' },
-        // Ukrainian - REMOVED: Quality too poor, use Respeecher instead
-        // { id: 'uk_UA-ukrainian_tts-medium', name: 'uk_UA-ukrainian_tts-medium' },
-        // German
-        { id: 'de_DE-mls-medium', name: 'de_DE-mls-medium' },
-        { id: 'de_DE-thorsten-medium', name: 'de_DE-thorsten-medium' },
-        { id: 'de_DE-thorsten-high', name: 'de_DE-thorsten-high' },
-        { id: 'de_DE-thorsten_emotional-medium', name: 'de_DE-thorsten_emotional-medium' },
-        // French
-        { id: 'fr_FR-mls_fr-medium', name: 'fr_FR-mls_fr-medium' },
-        { id: 'fr_FR-siwis-medium', name: 'fr_FR-siwis-medium' },
-        { id: 'fr_FR-tom-medium', name: 'fr_FR-tom-medium' },
-        { id: 'fr_FR-upmc-medium', name: 'fr_FR-upmc-medium' },
-        // Spanish ES
-        { id: 'es_ES-davefx-medium', name: 'es_ES-davefx-medium' },
-        { id: 'es_ES-sharvard-medium', name: 'es_ES-sharvard-medium' },
-        // Spanish MX
-        { id: 'es_MX-ald-medium', name: 'es_MX-ald-medium' },
-        { id: 'es_MX-claude-high', name: 'es_MX-claude-high' },
-        // Italian
-        { id: 'it_IT-paola-medium', name: 'it_IT-paola-medium' },
-        // Portuguese BR
-        { id: 'pt_BR-faber-medium', name: 'pt_BR-faber-medium' },
-        // Portuguese PT
-        { id: 'pt_PT-tugão-medium', name: 'pt_PT-tugão-medium' },
-        // Chinese
-        { id: 'zh_CN-huayan-medium', name: 'zh_CN-huayan-medium' }
-      ];
-      
+      // Piper TTS: voices of catalog languages (medium and high quality), see piper-languages.js
+      // First option picks voice of detected content language for every article
+      const autoOption = document.createElement('option');
+      autoOption.value = OFFLINE_AUTO_VOICE;
+      autoOption.textContent = 'Auto';
+      elements.audioVoice.appendChild(autoOption);
+      t('offlineVoiceAuto').then(text => { autoOption.textContent = text; });
+
+      const offlineVoices = getOfflineVoices();
       offlineVoices.forEach(voice => {
         const option = document.createElement('option');
         option.value = voice.id;
@@ -310,18 +274,18 @@ export function initAudio(deps) {
       // Set value: use saved value if valid, otherwise use default
       // CRITICAL: Only save if value actually changed - don't overwrite saved voice unnecessarily
       // Note: currentValue is already validated at function start (numeric values rejected for offline)
-      if (currentValue && offlineVoices.find(v => v.id === currentValue)) {
+      if (currentValue && (currentValue === OFFLINE_AUTO_VOICE || offlineVoices.find(v => v.id === currentValue))) {
         // Valid saved voice found - use it, don't save again
         elements.audioVoice.value = currentValue;
       } else if (currentValue) {
         // Saved voice exists but not in list - use fallback for UI only, don't overwrite saved voice
         // This preserves user's saved voice even if it's temporarily unavailable
-        elements.audioVoice.value = 'en_US-lessac-medium'; // Default for UI
+        elements.audioVoice.value = OFFLINE_AUTO_VOICE; // Default for UI
         // Don't save - preserve user's saved voice
       } else {
         // No saved voice - use default and save it
-        elements.audioVoice.value = 'en_US-lessac-medium';
-        saveAudioVoice(provider, 'en_US-lessac-medium');
+        elements.audioVoice.value = OFFLINE_AUTO_VOICE;
+        saveAudioVoice(provider, OFFLINE_AUTO_VOICE);
       }
       // CRITICAL: Don't save here - only save if value actually changed or was missing
     } else {
@@ -360,6 +324,61 @@ export function initAudio(deps) {
     }
   }
 
+  /**
+   * Set saved narration voices (called when settings are loaded)
+   * @param {*} voices - Stored map of provider to role voices
+   */
+  function setNarrationVoices(voices) {
+    narrationVoices = voices && typeof voices === 'object' && !Array.isArray(voices) ? { ...voices } : {};
+  }
+
+  /**
+   * Save narration voice of role for provider
+   * @param {string} provider - TTS provider
+   * @param {string} role - Narration role
+   * @param {string} voice - Voice ID, empty for main voice
+   */
+  function saveNarrationVoice(provider, role, voice) {
+    if (!provider || !role) return;
+    narrationVoices = {
+      ...narrationVoices,
+      [provider]: { ...(narrationVoices[provider] || {}), [role]: voice }
+    };
+    debouncedSaveSettings(STORAGE_KEYS.AUDIO_NARRATION_VOICES, narrationVoices);
+  }
+
+  /**
+   * Fill narration role selects with voices of provider
+   * Options are copied from main voice select (Google TTS has its own), first option is main voice
+   * @param {string} provider - TTS provider
+   */
+  async function updateNarrationVoiceLists(provider) {
+    const source = provider === 'google' ? elements.googleTtsVoice : elements.audioVoice;
+    if (!source) return;
+    const sameVoiceText = await t('audioNarrationSameVoice');
+    const saved = narrationVoices[provider] || {};
+
+    for (const key of narrationVoiceSelectKeys) {
+      const select = getElement(key);
+      if (!select) continue;
+      const role = select.dataset.narrationRole;
+      select.innerHTML = '';
+      const sameOption = document.createElement('option');
+      sameOption.value = '';
+      sameOption.textContent = sameVoiceText;
+      select.appendChild(sameOption);
+      for (const option of Array.from(source.options)) {
+        const copy = document.createElement('option');
+        copy.value = option.dataset.voiceId || option.value;
+        copy.textContent = option.textContent;
+        select.appendChild(copy);
+      }
+      // Voice of another provider or removed voice falls back to main voice
+      const savedVoice = saved[role] || '';
+      select.value = Array.from(select.options).some(option => option.value === savedVoice) ? savedVoice : '';
+    }
+  }
+
   /**
    * Update UI visibility based on audio provider selection
    * 
@@ -428,11 +447,26 @@ export function initAudio(deps) {
     // Show/hide generic voice selector (for OpenAI, ElevenLabs, Qwen, Respeecher)
     // Hide for Google TTS (it has its own voice selector)
     setElementGroupDisplay('audioVoiceGroup', !isGoogle ? 'flex' : 'none');
+    setElementGroupDisplay('offlineVoicesGroup', provider === 'offline' ? 'block' : 'none');
     
     // Speed control only for providers that support it
     // Hide completely for Qwen/Respeecher/Google (they don't support speed)
     setElementGroupDisplay('audioSpeedGroup', supportsSpeed ? 'flex' : 'none');
     
+    // Local compression only for providers that return WAV (Piper, Google, Qwen, Respeecher)
+    const returnsWav = provider === 'offline' || isGoogle || isQwen || isRespeecher;
+    const compressionEnabled = elements.audioCompression && elements.audioCompression.value !== 'off';
+    setElementGroupDisplay('audioCompressionGroup', returnsWav ? 'flex' : 'none');
+    setElementGroupDisplay('audioCompressionBitrateGroup', returnsWav && compressionEnabled ? 'flex' : 'none');
+    
+    // Multi-voice narration for any provider, role voices only when enabled
+    const narrationEnabled = !!elements.audioNarration?.checked;
+    setElementGroupDisplay('audioNarrationGroup', 'block');
+    setElementGroupDisplay('audioNarrationVoicesGroup', narrationEnabled ? 'block' : 'none');
+    
+    // Pronunciation lexicon applies to any provider
+    setElementGroupDisplay('pronunciationLexiconGroup', 'block');
+    
     const audioSpeed = getElement('audioSpeed');
     if (audioSpeed) {
       audioSpeed.disabled = !supportsSpeed;
@@ -453,6 +487,7 @@ export function initAudio(deps) {
     // Update voice list when provider changes
     // This ensures that the correct voices are shown and invalid voices are replaced
     updateVoiceList(provider);
+    updateNarrationVoiceLists(provider);
   }
 
   /**
@@ -493,7 +528,9 @@ export function initAudio(deps) {
     hideAllAudioFields,
     updateVoiceList,
     updateAudioProviderUI,
-    getVoiceIdByIndex
+    getVoiceIdByIndex,
+    setNarrationVoices,
+    saveNarrationVoice
   };
 }
 
@@ -4,6 +4,7 @@
 
 import { t, getUILanguage, UI_LOCALES } from '../../scripts/locales.js';
 import { getProviderFromModel } from '../../scripts/api/index.js';
+import { toCustomModel } from '../../scripts/api/custom.js';
 
 /**
  * Initialize models module
@@ -56,6 +57,8 @@ export function initModels(deps) {
         { value: 'deepseek-chat', isCustom: false },
         { value: 'deepseek-reasoner', isCustom: false }
       ],
+      // Custom endpoint has no default models: they are loaded from server or added manually
+      custom: [],
       openrouter: [
         { value: 'openai/gpt-5.2', isCustom: false },
         { value: 'openai/gpt-5.1', isCustom: false },
@@ -177,6 +180,7 @@ export function initModels(deps) {
       gemini: ['gemini-3-flash-preview', 'gemini-3-pro-preview'],
       grok: ['grok-4', 'grok-4-1-fast-reasoning'],
       deepseek: ['deepseek-chat', 'deepseek-reasoner'],
+      custom: [],
       openrouter: [
         'openai/gpt-5.2', 'openai/gpt-5.1',
         'google/gemini-3-flash-preview', 'google/gemini-3-pro-preview',
@@ -270,6 +274,8 @@ export function initModels(deps) {
     }
     
     const trimmedName = modelName.trim();
+    // Custom endpoint models are stored with prefix so they are routed to custom endpoint
+    const modelValue = provider === 'custom' ? toCustomModel(trimmedName) : trimmedName;
     
     // Validate model name format - allow alphanumeric, hyphens, underscores, slashes, colons, dots
     if (!trimmedName.match(/^[a-z0-9][a-z0-9\-_\/:\.]*$/i)) {
@@ -283,14 +289,14 @@ export function initModels(deps) {
     const customModels = storageResult[STORAGE_KEYS.CUSTOM_MODELS] || {};
     const providerCustomModels = customModels[provider] || [];
     
-    if (providerCustomModels.includes(trimmedName)) {
+    if (providerCustomModels.includes(modelValue)) {
       const errorMsg = locale.addModelAlreadyExists || 'This model already exists';
       alert(errorMsg);
       return;
     }
     
     // Add model
-    await addCustomModel(trimmedName);
+    await addCustomModel(modelValue);
   }
 
   // Add custom model to storage
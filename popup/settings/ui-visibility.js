@@ -3,6 +3,8 @@
 // Handles showing/hiding UI elements based on format, mode, language selection
 
 import { getUILanguage, UI_LOCALES, tSync } from '../../scripts/locales.js';
+import { CUSTOM_LANGUAGE_OPTION } from '../constants.js';
+import { getTargetLanguage } from '../utils/settings-helpers.js';
 
 /**
  * Initialize UI visibility module
@@ -39,6 +41,10 @@ export function initUIVisibility(deps) {
     const mode = elements.modeSelect.value;
     // Only show cache option for selector mode
     elements.useCacheGroup.style.display = mode === 'selector' ? 'flex' : 'none';
+    // Multi-page stitching runs only in automatic mode
+    if (elements.paginationGroup) {
+      elements.paginationGroup.style.display = mode === 'automatic' ? 'flex' : 'none';
+    }
   }
 
   // Show/hide translation-related UI based on language selection
@@ -57,7 +63,9 @@ export function initUIVisibility(deps) {
       format = mainFormatSelect.value;
     }
     
-    const isTranslating = languageSelect.value !== 'auto';
+    // "Other language…" counts as translation once language is typed
+    setElementGroupDisplay('customLanguageGroup', languageSelect.value === CUSTOM_LANGUAGE_OPTION ? 'block' : 'none');
+    const isTranslating = getTargetLanguage(languageSelect, getElement('customLanguage')) !== 'auto';
     const translateImagesEnabled = translateImages.checked;
     const isAudio = format === 'audio';
     const isMarkdown = format === 'markdown';
@@ -72,6 +80,16 @@ export function initUIVisibility(deps) {
     const shouldShowTranslateImages = supportsImageTranslation && isTranslating;
     setElementGroupDisplay('translateImagesGroup', shouldShowTranslateImages ? 'block' : 'none');
     
+    // Original text next to translation is kept in documents only (audio reads translation)
+    setElementGroupDisplay('translationBilingualGroup', (isTranslating && !isAudio) ? 'block' : 'none');
+    setElementGroupDisplay('translationGlossaryGroup', isTranslating ? 'block' : 'none');
+    setElementGroupDisplay('translationMemoryGroup', isTranslating ? 'block' : 'none');
+    const translationMemory = getElement('translationMemory');
+    const translationMemoryFuzzyLabel = getElement('translationMemoryFuzzyLabel');
+    if (translationMemory && translationMemoryFuzzyLabel) {
+      translationMemoryFuzzyLabel.style.display = translationMemory.checked ? '' : 'none';
+    }
+    
     // Show Google API key input when image translation is enabled
     setElementGroupDisplay('googleApiGroup', (supportsImageTranslation && isTranslating && translateImagesEnabled) ? 'block' : 'none');
     
@@ -221,6 +239,17 @@ export function initUIVisibility(deps) {
     // TOC and abstract are not applicable for audio format
     const tocIds = ['generateToc', 'generateAbstract'];
     setDisplayForIds(tocIds, isAudio ? 'none' : 'block');
+    // M4B container, player and podcast library are only for audio
+    setDisplayForIds(['audioM4b', 'audioPlayer', 'podcastLibrary'], isAudio ? 'block' : 'none');
+    
+    // ============================================
+    // MARKDOWN EXPORT SETTINGS VISIBILITY
+    // ============================================
+    // Front matter and image options are only for Markdown, template only when front matter is enabled
+    const isMarkdown = format === 'markdown';
+    setDisplayForIds(['markdownFrontMatter', 'markdownImages'], isMarkdown ? 'block' : 'none');
+    const showFrontMatterTemplate = isMarkdown && !!elements.markdownFrontMatter?.checked;
+    setDisplayForIds(['markdownFrontMatterTemplate'], showFrontMatterTemplate ? 'block' : 'none');
     
     // ============================================
     // TRANSLATION SETTINGS VISIBILITY
@@ -164,18 +164,34 @@ export function initStats(deps) {
             // Use DocumentFragment for better performance
             const fragment = document.createDocumentFragment();
             const tempDiv = document.createElement('div');
+            const langCode = await getUILanguage();
+            const locale = UI_LOCALES[langCode] || UI_LOCALES.en;
+            const text = key => escapeHtml(locale[key] || UI_LOCALES.en[key] || key);
             
+            // User-authored entries (element picker) are marked and, like AI entries, can be edited:
+            // saving edited selectors turns entry into user-authored one
             tempDiv.innerHTML = stats.domains.map(item => {
               if (item.invalidated) return ''; // Skip invalidated domains
+              const isUser = item.source === 'user';
+              const selectors = item.selectors || {};
               
               return `
                 <div class="cache-domain-item">
                   <span class="cache-domain-name" title="${escapeHtml(item.domain)}">${escapeHtml(item.domain)}</span>
                   <div class="cache-domain-meta">
+                    ${isUser ? `<span class="cache-domain-user">${text('userSelectorsBadge')}</span>` : ''}
                     <span>${item.age}</span>
                   </div>
+                  <button class="cache-domain-edit" data-domain="${escapeHtml(item.domain)}" title="${text('editSelectors')}">✎</button>
                   <button class="cache-domain-delete" data-domain="${escapeHtml(item.domain)}" data-i18n-title="deleteFromCache">✕</button>
                 </div>
+                <div class="cache-domain-editor" data-domain="${escapeHtml(item.domain)}" hidden>
+                  <label>${text('selectorContainerLabel')}</label>
+                  <textarea class="cache-selector-container" rows="1" spellcheck="false">${escapeHtml(selectors.articleContainer || selectors.content || '')}</textarea>
+                  <label>${text('selectorExcludeLabel')}</label>
+                  <textarea class="cache-selector-exclude" rows="3" spellcheck="false">${escapeHtml((selectors.exclude || []).join('\n'))}</textarea>
+                  <button class="btn btn-reset-small btn-full cache-selector-save">${text('saveSelectors')}</button>
+                </div>
               `;
             }).filter(html => html).join('');
             
@@ -188,8 +204,43 @@ export function initStats(deps) {
             domainsListEl.innerHTML = '';
             domainsListEl.appendChild(fragment);
             
-            // Add delete handlers - defer to avoid blocking
+            // Add edit and delete handlers - defer to avoid blocking
             setTimeout(() => {
+              domainsListEl.querySelectorAll('.cache-domain-edit').forEach(btn => {
+                btn.addEventListener('click', (e) => {
+                  e.preventDefault();
+                  e.stopPropagation();
+                  const editor = btn.parentElement?.nextElementSibling;
+                  if (editor instanceof HTMLElement && editor.classList.contains('cache-domain-editor')) {
+                    editor.hidden = !editor.hidden;
+                  }
+                });
+              });
+              domainsListEl.querySelectorAll('.cache-selector-save').forEach(btn => {
+                btn.addEventListener('click', async (e) => {
+                  e.preventDefault();
+                  const editor = /** @type {HTMLElement} */ (btn.parentElement);
+                  const container = /** @type {HTMLTextAreaElement} */ (editor.querySelector('.cache-selector-container')).value.trim();
+                  const exclude = /** @type {HTMLTextAreaElement} */ (editor.querySelector('.cache-selector-exclude')).value;
+                  if (!container) {
+                    showToast(await t('selectorContainerRequired'), 'error');
+                    return;
+                  }
+                  const response = await chrome.runtime.sendMessage({
+                    action: 'saveUserSelectors',
+                    domain: editor.dataset.domain || '',
+                    selectors: { articleContainer: container, exclude }
+                  });
+                  if (response?.success) {
+                    await loadAndDisplayStats();
+                    showToast(await t('selectorsSaved'), 'success');
+                  } else {
+                    logError('Failed to save user selectors', response?.error);
+                    showToast(await t('selectorsSaveFailed'), 'error');
+                  }
+                });
+              });
+
               domainsListEl.querySelectorAll('.cache-domain-delete').forEach(btn => {
                 btn.addEventListener('click', async (e) => {
                   e.preventDefault();
@@ -220,11 +271,49 @@ export function initStats(deps) {
     });
   }
 
+  /**
+   * Display audio cache size
+   * @param {{audioChunks: number, size: number, budget: number}} stats - Audio cache stats
+   */
+  function displayAudioCacheStats(stats) {
+    const chunksEl = document.getElementById('audioCacheChunks');
+    if (chunksEl) {
+      chunksEl.textContent = String(stats.audioChunks || 0);
+    }
+    const sizeEl = document.getElementById('audioCacheSize');
+    if (sizeEl) {
+      const toMb = bytes => (bytes / 1024 / 1024).toFixed(bytes < 10 * 1024 * 1024 ? 1 : 0);
+      sizeEl.textContent = `${toMb(stats.size || 0)} / ${toMb(stats.budget || 0)} MB`;
+    }
+  }
+
+  /**
+   * Display translation memory size and reuse
+   * @param {{segments: number, size: number, budget: number, hits: number, misses: number}} stats - Translation memory stats
+   */
+  function displayTranslationMemoryStats(stats) {
+    const values = {
+      translationMemorySegments: String(stats.segments || 0),
+      translationMemorySize: `${((stats.size || 0) / 1024 / 1024).toFixed(1)} / ${Math.round((stats.budget || 0) / 1024 / 1024)} MB`,
+      translationMemoryHits: String(stats.hits || 0),
+      translationMemoryMisses: String(stats.misses || 0),
+      translationMemoryHitRate: `${Math.round(((stats.hits || 0) / Math.max((stats.hits || 0) + (stats.misses || 0), 1)) * 100)}%`
+    };
+    for (const [id, value] of Object.entries(values)) {
+      const element = document.getElementById(id);
+      if (element) {
+        element.textContent = value;
+      }
+    }
+  }
+
   async function loadAndDisplayStats() {
     try {
-      const [statsResponse, cacheResponse] = await Promise.all([
+      const [statsResponse, cacheResponse, audioCacheResponse, translationMemoryResponse] = await Promise.all([
         chrome.runtime.sendMessage({ action: 'getStats' }),
-        chrome.runtime.sendMessage({ action: 'getCacheStats' })
+        chrome.runtime.sendMessage({ action: 'getCacheStats' }),
+        chrome.runtime.sendMessage({ action: 'getAudioCacheStats' }),
+        chrome.runtime.sendMessage({ action: 'getTranslationMemoryStats' })
       ]);
       
       if (statsResponse && statsResponse.stats) {
@@ -234,6 +323,14 @@ export function initStats(deps) {
       if (cacheResponse && cacheResponse.stats) {
         await displayCacheStats(cacheResponse.stats);
       }
+      
+      if (audioCacheResponse && audioCacheResponse.stats) {
+        displayAudioCacheStats(audioCacheResponse.stats);
+      }
+      
+      if (translationMemoryResponse && translationMemoryResponse.stats) {
+        displayTranslationMemoryStats(translationMemoryResponse.stats);
+      }
     } catch (error) {
       logError('Failed to load stats', error);
     }
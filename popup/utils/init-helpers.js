@@ -19,6 +19,10 @@ export function initializeDOMElements(elements) {
   elements.apiKeyLabel = document.getElementById('apiKeyLabel');
   elements.apiKeyInputGroup = document.getElementById('apiKeyInputGroup');
   elements.toggleApiKey = document.getElementById('toggleApiKey');
+  elements.customEndpointGroup = document.getElementById('customEndpointGroup');
+  elements.customBaseUrl = document.getElementById('customBaseUrl');
+  elements.customAllowLocal = document.getElementById('customAllowLocal');
+  elements.fetchCustomModelsBtn = document.getElementById('fetchCustomModelsBtn');
   elements.claudeApiKey = document.getElementById('claudeApiKey');
   elements.toggleClaudeApiKey = document.getElementById('toggleClaudeApiKey');
   elements.geminiApiKey = document.getElementById('geminiApiKey');
@@ -43,6 +47,10 @@ export function initializeDOMElements(elements) {
   elements.summaryContent = document.getElementById('summaryContent');
   elements.summaryText = document.getElementById('summaryText');
   elements.summaryCopyBtn = document.getElementById('summaryCopyBtn');
+  elements.summaryListenBtn = document.getElementById('summaryListenBtn');
+  elements.summaryExportPdfBtn = document.getElementById('summaryExportPdfBtn');
+  elements.summaryExportEpubBtn = document.getElementById('summaryExportEpubBtn');
+  elements.summaryExportAudioBtn = document.getElementById('summaryExportAudioBtn');
   elements.summaryDownloadBtn = document.getElementById('summaryDownloadBtn');
   elements.summaryCloseBtn = document.getElementById('summaryCloseBtn');
   
@@ -51,8 +59,12 @@ export function initializeDOMElements(elements) {
   elements.settingsPanel = document.getElementById('settingsPanel');
   elements.toggleStats = document.getElementById('toggleStats');
   elements.statsPanel = document.getElementById('statsPanel');
+  elements.openQueue = document.getElementById('openQueue');
   elements.clearStatsBtn = document.getElementById('clearStatsBtn');
   elements.clearCacheBtn = document.getElementById('clearCacheBtn');
+  elements.clearAudioCacheBtn = document.getElementById('clearAudioCacheBtn');
+  elements.clearTranslationMemoryBtn = document.getElementById('clearTranslationMemoryBtn');
+  elements.pickContentBtn = document.getElementById('pickContentBtn');
   elements.enableCache = document.getElementById('enableCache');
   elements.enableStats = document.getElementById('enableStats');
   elements.exportSettingsBtn = document.getElementById('exportSettingsBtn');
@@ -64,18 +76,41 @@ export function initializeDOMElements(elements) {
   elements.modeHint = document.getElementById('modeHint');
   elements.useCache = document.getElementById('useCache');
   elements.useCacheGroup = document.getElementById('useCacheGroup');
+  elements.paginationMaxPages = document.getElementById('paginationMaxPages');
+  elements.paginationGroup = document.getElementById('paginationGroup');
   elements.modelSelect = document.getElementById('modelSelect');
   elements.addModelBtn = document.getElementById('addModelBtn');
   elements.customModelDropdown = document.getElementById('customModelDropdown');
   elements.customModelOptions = document.getElementById('customModelOptions');
   elements.outputFormat = document.getElementById('outputFormat');
   elements.generateToc = document.getElementById('generateToc');
+  elements.markdownFrontMatter = document.getElementById('markdownFrontMatter');
+  elements.markdownFrontMatterTemplate = document.getElementById('markdownFrontMatterTemplate');
+  elements.markdownFrontMatterTemplateGroup = document.getElementById('markdownFrontMatterTemplateGroup');
+  elements.markdownImages = document.getElementById('markdownImages');
   elements.generateAbstract = document.getElementById('generateAbstract');
+  elements.reviewBeforeGeneration = document.getElementById('reviewBeforeGeneration');
   elements.pageMode = document.getElementById('pageMode');
   elements.pageModeGroup = document.getElementById('pageModeGroup');
   elements.languageSelect = document.getElementById('languageSelect');
+  elements.customLanguage = document.getElementById('customLanguage');
+  elements.customLanguageGroup = document.getElementById('customLanguageGroup');
   elements.translateImages = document.getElementById('translateImages');
   elements.translateImagesGroup = document.getElementById('translateImagesGroup');
+  elements.translationBilingual = document.getElementById('translationBilingual');
+  elements.translationBilingualGroup = document.getElementById('translationBilingualGroup');
+  elements.translationMemory = document.getElementById('translationMemory');
+  elements.translationMemoryFuzzy = document.getElementById('translationMemoryFuzzy');
+  elements.translationMemoryFuzzyLabel = document.getElementById('translationMemoryFuzzyLabel');
+  elements.translationMemoryGroup = document.getElementById('translationMemoryGroup');
+  elements.translationGlossary = document.getElementById('translationGlossary');
+  elements.translationGlossaryGroup = document.getElementById('translationGlossaryGroup');
+  elements.translationGlossaryErrors = document.getElementById('translationGlossaryErrors');
+  elements.translationGlossaryReport = document.getElementById('translationGlossaryReport');
+  elements.importGlossaryBtn = document.getElementById('importGlossaryBtn');
+  elements.exportGlossaryCsvBtn = document.getElementById('exportGlossaryCsvBtn');
+  elements.exportGlossaryTbxBtn = document.getElementById('exportGlossaryTbxBtn');
+  elements.glossaryFileInput = document.getElementById('glossaryFileInput');
   
   // Find hint element - it's the <p> with class "setting-hint" inside translateImagesGroup
   const translateImagesHintEl = elements.translateImagesGroup?.querySelector('.setting-hint');
@@ -160,6 +195,29 @@ export function initializeDOMElements(elements) {
   elements.audioSpeedGroup = document.getElementById('audioSpeedGroup');
   elements.audioSpeedValue = document.getElementById('audioSpeedValue');
   elements.audioSpeedNote = document.getElementById('audioSpeedNote');
+  elements.audioM4b = document.getElementById('audioM4b');
+  elements.audioPlayer = document.getElementById('audioPlayer');
+  elements.openPlayerBtn = document.getElementById('openPlayerBtn');
+  elements.podcastLibrary = document.getElementById('podcastLibrary');
+  elements.openPodcastBtn = document.getElementById('openPodcastBtn');
+  elements.manageOfflineVoicesBtn = document.getElementById('manageOfflineVoicesBtn');
+  elements.offlineVoicesGroup = document.getElementById('offlineVoicesGroup');
+  elements.audioCompression = document.getElementById('audioCompression');
+  elements.audioCompressionGroup = document.getElementById('audioCompressionGroup');
+  elements.audioCompressionBitrate = document.getElementById('audioCompressionBitrate');
+  elements.audioCompressionBitrateGroup = document.getElementById('audioCompressionBitrateGroup');
+  elements.audioNarration = document.getElementById('audioNarration');
+  elements.audioNarrationGroup = document.getElementById('audioNarrationGroup');
+  elements.audioNarrationVoicesGroup = document.getElementById('audioNarrationVoicesGroup');
+  elements.audioNarrationHeadingVoice = document.getElementById('audioNarrationHeadingVoice');
+  elements.audioNarrationQuoteVoice = document.getElementById('audioNarrationQuoteVoice');
+  elements.audioNarrationCaptionVoice = document.getElementById('audioNarrationCaptionVoice');
+  elements.audioNarrationSpeaker1Voice = document.getElementById('audioNarrationSpeaker1Voice');
+  elements.audioNarrationSpeaker2Voice = document.getElementById('audioNarrationSpeaker2Voice');
+  elements.audioNarrationPause = document.getElementById('audioNarrationPause');
+  elements.pronunciationLexicon = document.getElementById('pronunciationLexicon');
+  elements.pronunciationLexiconGroup = document.getElementById('pronunciationLexiconGroup');
+  elements.pronunciationLexiconErrors = document.getElementById('pronunciationLexiconErrors');
   elements.googleTtsModel = document.getElementById('googleTtsModel');
   elements.googleTtsModelGroup = document.getElementById('googleTtsModelGroup');
   elements.googleTtsVoice = document.getElementById('googleTtsVoice');
@@ -340,6 +398,7 @@ export function initializeModules(rawDeps) {
     toggleSummary: coreModule.toggleSummary,
     copySummary: coreModule.copySummary,
     downloadSummary: coreModule.downloadSummary,
+    exportSummary: coreModule.exportSummary,
     closeSummary: coreModule.closeSummary,
     settingsModule
   });
@@ -3,7 +3,8 @@
 
 import { log, logError } from '../../scripts/utils/logging.js';
 import { CONFIG } from '../../scripts/utils/config.js';
-import { STORAGE_KEYS } from '../constants.js';
+import { LANGUAGES, resolveLanguageCode } from '../../scripts/utils/languages.js';
+import { STORAGE_KEYS, CUSTOM_LANGUAGE_OPTION } from '../constants.js';
 
 // Debounce timer for settings save
 let settingsSaveTimer = null;
@@ -100,3 +101,30 @@ export function saveAudioVoice(provider, voice, audioVoiceMap) {
   debouncedSaveSettings(STORAGE_KEYS.AUDIO_VOICE_MAP, audioVoiceMap);
 }
 
+
+/**
+ * Add registered languages to target language selector (before "Other language…" option)
+ * @param {HTMLElement|null} languageSelect - Target language select
+ */
+export function populateLanguageSelect(languageSelect) {
+  if (!(languageSelect instanceof HTMLSelectElement)) return;
+  const customOption = languageSelect.querySelector(`option[value="${CUSTOM_LANGUAGE_OPTION}"]`);
+  for (const language of Object.values(LANGUAGES)) {
+    const option = document.createElement('option');
+    option.value = language.code;
+    option.textContent = language.nativeName;
+    languageSelect.insertBefore(option, customOption);
+  }
+}
+
+/**
+ * Get target language from language selector
+ * @param {HTMLElement|null} languageSelect - Target language select
+ * @param {HTMLElement|null} customLanguage - Input of "Other language…" option
+ * @returns {string} Language code or name typed by user, 'auto' when not translating
+ */
+export function getTargetLanguage(languageSelect, customLanguage) {
+  const value = /** @type {HTMLSelectElement|null} */ (languageSelect)?.value || 'auto';
+  if (value !== CUSTOM_LANGUAGE_OPTION) return value;
+  return resolveLanguageCode(/** @type {HTMLInputElement|null} */ (customLanguage)?.value || '') || 'auto';
+}
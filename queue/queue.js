@@ -0,0 +1,214 @@
+// @ts-check
+// Batch queue page - add tabs/URLs to the processing queue and manage queued jobs
+
+import { getUILanguage, tSync } from '../scripts/locales.js';
+import { logError } from '../scripts/utils/logging.js';
+import { escapeHtml } from '../scripts/utils/html.js';
+import { CONFIG } from '../scripts/utils/config.js';
+import { applyLocalization, sendBackgroundMessage } from '../scripts/utils/extension-page.js';
+
+const STATUS_KEYS = {
+  pending: 'queueStatusPending',
+  running: 'queueStatusRunning',
+  done: 'queueStatusDone',
+  error: 'queueStatusError',
+  cancelled: 'queueStatusCancelled'
+};
+
+const FORMAT_KEYS = {
+  pdf: 'formatPdf',
+  epub: 'formatEpub',
+  fb2: 'formatFb2',
+  markdown: 'formatMarkdown',
+  audio: 'formatAudio'
+};
+
+let uiLang = 'en';
+
+/**
+ * Show short message under add controls
+ * @param {string} message - Message text
+ */
+function showMessage(message) {
+  const messageElement = document.getElementById('queueMessage');
+  if (messageElement) {
+    messageElement.textContent = message;
+  }
+}
+
+/**
+ * Render job list
+ * @param {Array<import('../scripts/types.js').QueueJob>} jobs - Jobs
+ */
+function renderJobs(jobs) {
+  const list = document.getElementById('queueList');
+  const empty = document.getElementById('queueEmpty');
+  const count = document.getElementById('queueCount');
+  if (!list || !empty || !count) return;
+
+  empty.style.display = jobs.length === 0 ? '' : 'none';
+  const pending = jobs.filter(job => job.status === 'pending' || job.status === 'running').length;
+  count.textContent = jobs.length > 0 ? `${pending} / ${jobs.length}` : '';
+
+  list.innerHTML = jobs.map(job => {
+    const statusText = tSync(STATUS_KEYS[job.status] || job.status, uiLang);
+    const formatText = tSync(FORMAT_KEYS[job.outputFormat] || job.outputFormat, uiLang);
+    const details = job.status === 'running' && job.statusText ? ` · ${escapeHtml(job.statusText)}` : '';
+    const canCancel = job.status === 'pending' || job.status === 'running';
+    const canRetry = job.status === 'error' || job.status === 'cancelled';
+    const canRemove = job.status !== 'running';
+    const chapterBadge = job.anthologyId ? ` · <span class="queue-job-badge">${escapeHtml(tSync('queueAnthologyChapter', uiLang))}</span>` : '';
+
+    return `
+      <li class="queue-job queue-job-${escapeHtml(job.status)}" data-job-id="${escapeHtml(job.id)}">
+        <div class="queue-job-title" title="${escapeHtml(job.title)}">${escapeHtml(job.title)}</div>
+        <div class="queue-job-url" title="${escapeHtml(job.url)}">${escapeHtml(job.url)}</div>
+        <div class="queue-job-meta">
+          <span class="queue-job-status">${escapeHtml(statusText)}</span> · ${escapeHtml(formatText)}${chapterBadge}${details}
+        </div>
+        ${job.status === 'running' ? `<div class="queue-job-progress"><div class="queue-job-progress-bar" style="width: ${Math.round(job.progress || 0)}%"></div></div>` : ''}
+        ${job.error ? `<div class="queue-job-meta queue-job-error-text" title="${escapeHtml(job.error)}">${escapeHtml(job.error)}</div>` : ''}
+        <div class="queue-job-actions">
+          ${canCancel ? `<button class="queue-btn queue-btn-small" data-action="cancelQueueJob">${escapeHtml(tSync('cancel', uiLang))}</button>` : ''}
+          ${canRetry ? `<button class="queue-btn queue-btn-small" data-action="retryQueueJob">${escapeHtml(tSync('queueRetry', uiLang))}</button>` : ''}
+          ${canRemove ? `<button class="queue-btn queue-btn-small" data-action="removeQueueJob">${escapeHtml(tSync('queueRemove', uiLang))}</button>` : ''}
+        </div>
+      </li>`;
+  }).join('');
+}
+
+/**
+ * Load queue from background and render it
+ * @returns {Promise<void>}
+ */
+async function refreshQueue() {
+  try {
+    const response = await sendBackgroundMessage({ action: 'getQueue' });
+    renderJobs(Array.isArray(response?.jobs) ? response.jobs : []);
+  } catch (error) {
+    logError('Failed to load processing queue', error);
+  }
+}
+
+/**
+ * Report how many jobs were added
+ * @param {number} added - Number of added jobs
+ */
+function reportAdded(added) {
+  showMessage(added > 0
+    ? tSync('queueJobsAdded', uiLang).replace('{count}', String(added))
+    : tSync('queueNothingAdded', uiLang));
+}
+
+/**
+ * Get selected output format
+ * @returns {string}
+ */
+function getSelectedFormat() {
+  const select = /** @type {HTMLSelectElement|null} */ (document.getElementById('queueFormatSelect'));
+  return select ? select.value : 'pdf';
+}
+
+/**
+ * Check whether added pages should be combined into one book
+ * @returns {boolean}
+ */
+function isAnthologySelected() {
+  const checkbox = /** @type {HTMLInputElement|null} */ (document.getElementById('queueAnthologyCheckbox'));
+  return checkbox ? checkbox.checked : false;
+}
+
+async function init() {
+  uiLang = await getUILanguage();
+
+  const settings = await chrome.storage.local.get(['output_format', 'popup_theme']);
+  if (settings.popup_theme === 'light') {
+    document.body.setAttribute('data-theme', 'light');
+  }
+  const formatSelect = /** @type {HTMLSelectElement|null} */ (document.getElementById('queueFormatSelect'));
+  if (formatSelect && typeof settings.output_format === 'string' && FORMAT_KEYS[settings.output_format]) {
+    formatSelect.value = settings.output_format;
+  }
+
+  applyLocalization(uiLang);
+
+  const addTabsBtn = /** @type {HTMLButtonElement|null} */ (document.getElementById('queueAddTabsBtn'));
+  addTabsBtn?.addEventListener('click', async () => {
+    addTabsBtn.disabled = true;
+    try {
+      // Queue page is opened as a tab, so current window is the window user wants to save
+      const currentWindow = await chrome.windows.getCurrent();
+      const response = await sendBackgroundMessage({
+        action: 'enqueueWindowTabs',
+        windowId: currentWindow.id,
+        outputFormat: getSelectedFormat(),
+        anthology: isAnthologySelected()
+      });
+      reportAdded(response.added || 0);
+      await refreshQueue();
+    } catch (error) {
+      logError('Failed to queue window tabs', error);
+      showMessage(error.message);
+    } finally {
+      addTabsBtn.disabled = false;
+    }
+  });
+
+  const addUrlsBtn = /** @type {HTMLButtonElement|null} */ (document.getElementById('queueAddUrlsBtn'));
+  const urlsInput = /** @type {HTMLTextAreaElement|null} */ (document.getElementById('queueUrlsInput'));
+  addUrlsBtn?.addEventListener('click', async () => {
+    const urls = (urlsInput?.value || '')
+      .split(/\s+/)
+      .map(url => url.trim())
+      .filter(Boolean);
+    if (urls.length === 0) return;
+
+    addUrlsBtn.disabled = true;
+    try {
+      const response = await sendBackgroundMessage({ action: 'enqueueUrls', urls, outputFormat: getSelectedFormat(), anthology: isAnthologySelected() });
+      reportAdded(response.added || 0);
+      if (urlsInput && response.added > 0) {
+        urlsInput.value = '';
+      }
+      await refreshQueue();
+    } catch (error) {
+      logError('Failed to queue URLs', error);
+      showMessage(error.message);
+    } finally {
+      addUrlsBtn.disabled = false;
+    }
+  });
+
+  document.getElementById('queueClearFinishedBtn')?.addEventListener('click', async () => {
+    try {
+      await sendBackgroundMessage({ action: 'clearFinishedQueueJobs' });
+      await refreshQueue();
+    } catch (error) {
+      logError('Failed to clear finished queue jobs', error);
+    }
+  });
+
+  // Job action buttons (delegated - list is re-rendered on every refresh)
+  document.getElementById('queueList')?.addEventListener('click', async (e) => {
+    const button = e.target instanceof HTMLElement ? e.target.closest('button[data-action]') : null;
+    const jobElement = button?.closest('[data-job-id]');
+    if (!button || !jobElement) return;
+
+    try {
+      await sendBackgroundMessage({
+        action: button.getAttribute('data-action'),
+        jobId: jobElement.getAttribute('data-job-id')
+      });
+      await refreshQueue();
+    } catch (error) {
+      logError('Queue job action failed', error);
+    }
+  });
+
+  await refreshQueue();
+  setInterval(refreshQueue, CONFIG.POLL_INTERVAL_IDLE);
+}
+
+init().catch(error => {
+  logError('Failed to initialize queue page', error);
+});
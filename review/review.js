@@ -0,0 +1,292 @@
+// @ts-check
+// Review page - edit extracted content before translation and generation
+// Opened by background (scripts/processing/review.js) when review step is enabled
+
+import { getUILanguage, tSync } from '../scripts/locales.js';
+import { logError } from '../scripts/utils/logging.js';
+import { escapeHtml, sanitizeHtml } from '../scripts/utils/html.js';
+import { applyLocalization, sendBackgroundMessage } from '../scripts/utils/extension-page.js';
+import {
+  REVIEW_STORAGE_KEY,
+  getEditableField,
+  moveContentItem,
+  removeContentItem,
+  updateContentItem,
+  finalizeReviewedContent
+} from '../scripts/processing/content-review.js';
+
+const TYPE_KEYS = {
+  heading: 'reviewTypeHeading',
+  subtitle: 'reviewTypeHeading',
+  paragraph: 'reviewTypeText',
+  text: 'reviewTypeText',
+  quote: 'reviewTypeQuote',
+  code: 'reviewTypeCode',
+  image: 'reviewTypeImage',
+  list: 'reviewTypeList',
+  table: 'reviewTypeTable',
+  infobox_start: 'reviewTypeInfobox',
+  infobox_end: 'reviewTypeInfobox'
+};
+
+let uiLang = 'en';
+let reviewId = '';
+let sourceUrl = '';
+/** @type {Array<import('../scripts/types.js').ContentItem>} */
+let content = [];
+let submitted = false;
+
+/**
+ * Show message above blocks
+ * @param {string} message - Message text
+ * @param {boolean} [isError=false] - Show as error
+ */
+function showMessage(message, isError = false) {
+  const messageElement = document.getElementById('reviewMessage');
+  if (messageElement) {
+    messageElement.textContent = message;
+    messageElement.classList.toggle('review-message-error', isError);
+  }
+}
+
+/**
+ * Render editable or read-only body of block
+ * @param {import('../scripts/types.js').ContentItem} item - Content item
+ * @returns {string} HTML
+ */
+function renderBlockBody(item) {
+  if (item.type === 'image') {
+    const src = item.src || item.url || '';
+    return `
+      <div class="review-image">
+        <img src="${escapeHtml(src)}" alt="${escapeHtml(item.alt || '')}" loading="lazy">
+        <div class="review-image-fields">
+          <label class="review-option">
+            <input type="checkbox" data-field="included"${item.excluded ? '' : ' checked'}>
+            <span>${escapeHtml(tSync('reviewIncludeImage', uiLang))}</span>
+          </label>
+          <input type="text" class="review-input" data-field="caption" value="${escapeHtml(item.caption || '')}" placeholder="${escapeHtml(tSync('reviewImageCaption', uiLang))}">
+        </div>
+      </div>`;
+  }
+
+  if (item.type === 'list') {
+    const tag = item.ordered ? 'ol' : 'ul';
+    const items = (item.items || []).map(entry => {
+      const html = typeof entry === 'string' ? entry : (entry.html || escapeHtml(entry.text || ''));
+      return `<li>${sanitizeHtml(html, sourceUrl)}</li>`;
+    }).join('');
+    return `<${tag} class="review-readonly">${items}</${tag}>`;
+  }
+
+  if (item.type === 'table') {
+    const headers = (item.headers || []).map(cell => `<th>${escapeHtml(String(cell))}</th>`).join('');
+    const rows = (item.rows || []).map(row => `<tr>${(Array.isArray(row) ? row : []).map(cell => `<td>${escapeHtml(String(cell))}</td>`).join('')}</tr>`).join('');
+    return `<table class="review-readonly">${headers ? `<thead><tr>${headers}</tr></thead>` : ''}<tbody>${rows}</tbody></table>`;
+  }
+
+  const field = getEditableField(item);
+  if (!field) {
+    return '';
+  }
+  const value = String(item[field] || '');
+  if (item.type === 'code') {
+    return `<pre class="review-text review-code" contenteditable="plaintext-only" data-field="text">${escapeHtml(value)}</pre>`;
+  }
+  const headingClass = item.type === 'heading' ? ` review-heading review-heading-${item.level || 2}` : '';
+  const inner = field === 'html' ? sanitizeHtml(value, sourceUrl) : escapeHtml(value);
+  return `<div class="review-text${headingClass}" contenteditable="true" data-field="text" data-html="${field === 'html'}">${inner}</div>`;
+}
+
+/**
+ * Render all blocks
+ */
+function renderBlocks() {
+  const list = document.getElementById('reviewBlocks');
+  const imagesCheckbox = /** @type {HTMLInputElement|null} */ (document.getElementById('reviewImagesCheckbox'));
+  if (!list) return;
+
+  list.innerHTML = content.map((item, index) => {
+    const typeText = tSync(TYPE_KEYS[item.type] || 'reviewTypeText', uiLang);
+    const levelSelect = item.type === 'heading'
+      ? `<select class="review-level" data-field="level" title="${escapeHtml(tSync('reviewHeadingLevel', uiLang))}">${[1, 2, 3, 4, 5, 6].map(level =>
+        `<option value="${level}"${(item.level || 2) === level ? ' selected' : ''}>H${level}</option>`).join('')}</select>`
+      : '';
+    return `
+      <li class="review-block review-block-${escapeHtml(item.type)}${item.excluded ? ' review-block-excluded' : ''}" data-index="${index}">
+        <div class="review-block-header">
+          <span class="review-block-type">${escapeHtml(typeText)}</span>
+          ${levelSelect}
+          <span class="review-block-controls">
+            <button class="review-btn review-btn-small" data-action="up" title="${escapeHtml(tSync('reviewMoveUp', uiLang))}"${index === 0 ? ' disabled' : ''}>↑</button>
+            <button class="review-btn review-btn-small" data-action="down" title="${escapeHtml(tSync('reviewMoveDown', uiLang))}"${index === content.length - 1 ? ' disabled' : ''}>↓</button>
+            <button class="review-btn review-btn-small" data-action="remove" title="${escapeHtml(tSync('reviewDelete', uiLang))}">✕</button>
+          </span>
+        </div>
+        ${renderBlockBody(item)}
+      </li>`;
+  }).join('');
+
+  const images = content.filter(item => item.type === 'image');
+  if (imagesCheckbox) {
+    imagesCheckbox.disabled = images.length === 0;
+    imagesCheckbox.checked = images.some(item => !item.excluded);
+  }
+  updateCount();
+}
+
+/**
+ * Update block count and Continue button (nothing to generate if all blocks are removed)
+ */
+function updateCount() {
+  const count = document.getElementById('reviewCount');
+  const continueBtn = /** @type {HTMLButtonElement|null} */ (document.getElementById('reviewContinueBtn'));
+  const kept = finalizeReviewedContent(content).length;
+  if (count) {
+    count.textContent = tSync('reviewBlockCount', uiLang).replace('{count}', String(kept));
+  }
+  if (continueBtn) {
+    continueBtn.disabled = submitted || kept === 0;
+  }
+  showMessage(kept === 0 ? tSync('reviewEmpty', uiLang) : '', kept === 0);
+}
+
+/**
+ * Get block index of element
+ * @param {EventTarget|null} target - Event target
+ * @returns {number} Index, -1 if target is outside blocks
+ */
+function getBlockIndex(target) {
+  const block = target instanceof Element ? target.closest('[data-index]') : null;
+  return block ? Number(block.getAttribute('data-index')) : -1;
+}
+
+/**
+ * Disable page after decision was sent
+ */
+function lockPage() {
+  submitted = true;
+  document.querySelectorAll('button, input, select').forEach(element => {
+    /** @type {HTMLButtonElement} */ (element).disabled = true;
+  });
+  document.querySelectorAll('[contenteditable]').forEach(element => element.setAttribute('contenteditable', 'false'));
+}
+
+async function init() {
+  uiLang = await getUILanguage();
+  reviewId = new URLSearchParams(location.search).get('id') || '';
+
+  const stored = await chrome.storage.local.get([REVIEW_STORAGE_KEY, 'popup_theme']);
+  if (stored.popup_theme === 'light') {
+    document.body.setAttribute('data-theme', 'light');
+  }
+  applyLocalization(uiLang);
+
+  const review = stored[REVIEW_STORAGE_KEY];
+  if (!review || review.id !== reviewId) {
+    showMessage(tSync('errorReviewExpired', uiLang), true);
+    lockPage();
+    return;
+  }
+
+  sourceUrl = review.url || '';
+  content = Array.isArray(review.content) ? review.content : [];
+  const titleInput = /** @type {HTMLInputElement|null} */ (document.getElementById('reviewTitleInput'));
+  if (titleInput) {
+    titleInput.value = review.title || '';
+  }
+  const source = document.getElementById('reviewSource');
+  if (source) {
+    source.textContent = [review.author, sourceUrl].filter(Boolean).join(' · ');
+  }
+  document.title = `${tSync('reviewTitle', uiLang)} - ${review.title || sourceUrl}`;
+  renderBlocks();
+
+  const list = document.getElementById('reviewBlocks');
+
+  // Block controls (delegated - list is re-rendered after structural changes)
+  list?.addEventListener('click', (e) => {
+    const button = e.target instanceof HTMLElement ? e.target.closest('button[data-action]') : null;
+    const index = getBlockIndex(button);
+    if (!button || index === -1) return;
+
+    const action = button.getAttribute('data-action');
+    if (action === 'up' || action === 'down') {
+      content = moveContentItem(content, index, action === 'up' ? -1 : 1);
+    } else if (action === 'remove') {
+      content = removeContentItem(content, index);
+    }
+    renderBlocks();
+  });
+
+  // Text edits keep focus: state is updated without re-render
+  list?.addEventListener('input', (e) => {
+    const target = /** @type {HTMLElement} */ (e.target);
+    const index = getBlockIndex(target);
+    const field = target.getAttribute('data-field');
+    if (index === -1) return;
+
+    if (field === 'text') {
+      const text = target.getAttribute('data-html') === 'true' ? target.innerHTML : target.innerText;
+      content = updateContentItem(content, index, { text });
+      updateCount();
+    } else if (field === 'caption') {
+      content = updateContentItem(content, index, { caption: /** @type {HTMLInputElement} */ (target).value });
+    }
+  });
+
+  list?.addEventListener('change', (e) => {
+    const target = /** @type {HTMLInputElement|HTMLSelectElement} */ (e.target);
+    const index = getBlockIndex(target);
+    const field = target.getAttribute('data-field');
+    if (index === -1) return;
+
+    if (field === 'level') {
+      content = updateContentItem(content, index, { level: Number(target.value) });
+      renderBlocks();
+    } else if (field === 'included') {
+      content = updateContentItem(content, index, { excluded: !(/** @type {HTMLInputElement} */ (target).checked) });
+      renderBlocks();
+    }
+  });
+
+  document.getElementById('reviewImagesCheckbox')?.addEventListener('change', (e) => {
+    const excluded = !(/** @type {HTMLInputElement} */ (e.target).checked);
+    content.forEach((item, index) => {
+      if (item.type === 'image') {
+        content = updateContentItem(content, index, { excluded });
+      }
+    });
+    renderBlocks();
+  });
+
+  document.getElementById('reviewContinueBtn')?.addEventListener('click', async () => {
+    try {
+      await sendBackgroundMessage({
+        action: 'submitContentReview',
+        reviewId,
+        title: titleInput?.value || '',
+        content
+      });
+      lockPage();
+      window.close();
+    } catch (error) {
+      logError('Failed to submit reviewed content', error);
+      showMessage(tSync('reviewSubmitFailed', uiLang).replace('{error}', error.message), true);
+    }
+  });
+
+  document.getElementById('reviewCancelBtn')?.addEventListener('click', async () => {
+    try {
+      await sendBackgroundMessage({ action: 'cancelContentReview', reviewId });
+    } catch (error) {
+      logError('Failed to cancel content review', error);
+    }
+    lockPage();
+    window.close();
+  });
+}
+
+init().catch(error => {
+  logError('Failed to initialize review page', error);
+});
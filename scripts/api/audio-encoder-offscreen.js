@@ -0,0 +1,142 @@
+// @ts-check
+// Local audio compression using Offscreen Document API
+// WAV from Piper, Google, Qwen and Respeecher is transcoded to MP3 or Ogg Opus in offscreen document.
+// Audio is passed through IndexedDB, runtime messages are too small for long articles
+
+import { log, logError } from '../utils/logging.js';
+import { setupOffscreenDocument } from './offline-tts-offscreen.js';
+import { saveAudioFile, readAudioFile, removeAudioFile } from '../utils/storage/audio-files.js';
+
+/**
+ * Target formats of local compression
+ * @readonly
+ */
+export const AUDIO_COMPRESSION_FORMATS = ['mp3', 'opus'];
+
+/**
+ * Bitrates offered in settings (kbps), valid for MP3 at any TTS sample rate
+ * @readonly
+ */
+export const AUDIO_COMPRESSION_BITRATES = [32, 48, 64, 96, 128];
+
+/**
+ * Default bitrate (kbps), enough for speech
+ * @readonly
+ */
+export const DEFAULT_AUDIO_COMPRESSION_BITRATE = 64;
+
+/**
+ * Encoding is aborted if offscreen document sends no progress for this long
+ * @readonly
+ */
+const ENCODE_IDLE_TIMEOUT_MS = 120000;
+
+/**
+ * Get supported bitrate for setting value
+ * @param {*} value - Bitrate from settings
+ * @returns {number} Bitrate in kbps
+ */
+export function normalizeCompressionBitrate(value) {
+  const bitrate = Number(value);
+  return AUDIO_COMPRESSION_BITRATES.includes(bitrate) ? bitrate : DEFAULT_AUDIO_COMPRESSION_BITRATE;
+}
+
+/**
+ * Compress WAV audio in offscreen document
+ * @param {ArrayBuffer} buffer - 16-bit PCM WAV
+ * @param {{format: 'mp3'|'opus', bitrate: number, comments?: Array<string>}} options - Target format, bitrate and Opus comments
+ * @param {function(number): void|null} [onProgress=null] - Progress callback (0-1)
+ * @returns {Promise<ArrayBuffer>} Compressed audio
+ * @throws {Error} If format is not supported
+ * @throws {Error} If offscreen document fails to encode audio
+ * @throws {Error} If offscreen document stops responding
+ */
+export async function compressAudioViaOffscreen(buffer, options, onProgress = null) {
+  const { format, comments = [] } = options;
+  if (!AUDIO_COMPRESSION_FORMATS.includes(format)) {
+    throw new Error(`Unsupported audio compression format: ${format}`);
+  }
+  const bitrate = normalizeCompressionBitrate(options.bitrate);
+  const storageKey = `clipaible_encode_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  const startTime = Date.now();
+  log('[ClipAIble Audio Encoder] Compressing audio via offscreen', { format, bitrate, size: buffer.byteLength });
+
+  await saveAudioFile(storageKey, buffer);
+  let resultKey = null;
+  /** @type {((message: any) => void)|null} */
+  let progressListener = null;
+  let idleTimeoutId = null;
+
+  try {
+    await setupOffscreenDocument();
+
+    resultKey = await new Promise((resolve, reject) => {
+      const resetIdleTimeout = () => {
+        if (idleTimeoutId) {
+          clearTimeout(idleTimeoutId);
+        }
+        idleTimeoutId = setTimeout(() => {
+          reject(new Error(`Audio encoding timeout (no progress for ${ENCODE_IDLE_TIMEOUT_MS / 1000}s)`));
+        }, ENCODE_IDLE_TIMEOUT_MS);
+      };
+
+      progressListener = (message) => {
+        if (message?.type === 'encodeProgress' && message.data?.storageKey === storageKey) {
+          resetIdleTimeout();
+          onProgress?.(message.data.current / Math.max(1, message.data.total));
+        }
+      };
+      chrome.runtime.onMessage.addListener(progressListener);
+      resetIdleTimeout();
+
+      chrome.runtime.sendMessage(
+        {
+          target: 'offscreen',
+          type: 'ENCODE_AUDIO',
+          data: { storageKey, format, bitrate, comments }
+        },
+        (response) => {
+          if (chrome.runtime.lastError) {
+            reject(new Error(chrome.runtime.lastError.message));
+            return;
+          }
+          if (!response) {
+            reject(new Error('No response from offscreen document'));
+            return;
+          }
+          if (!response.success) {
+            reject(new Error(response.error || 'Audio encoding failed'));
+            return;
+          }
+          resolve(response.result.storageKey);
+        }
+      );
+    });
+
+    const encoded = await readAudioFile(resultKey);
+    if (!encoded) {
+      throw new Error('Encoded audio not found in storage');
+    }
+    log('[ClipAIble Audio Encoder] Audio compressed', {
+      format,
+      inputSize: buffer.byteLength,
+      outputSize: encoded.byteLength,
+      duration: Date.now() - startTime
+    });
+    return encoded;
+  } catch (error) {
+    logError('[ClipAIble Audio Encoder] Audio compression failed', { format, error: error.message });
+    throw error;
+  } finally {
+    if (idleTimeoutId) {
+      clearTimeout(idleTimeoutId);
+    }
+    if (progressListener) {
+      chrome.runtime.onMessage.removeListener(progressListener);
+    }
+    await removeAudioFile(storageKey);
+    if (resultKey) {
+      await removeAudioFile(resultKey);
+    }
+  }
+}
@@ -0,0 +1,506 @@
+// @ts-check
+// Custom endpoint API module for ClipAIble extension
+// Works with self-hosted servers that implement OpenAI chat completions API (Ollama, LM Studio, vLLM, llama.cpp)
+
+import { log, logError, logWarn } from '../utils/logging.js';
+import { CONFIG } from '../utils/config.js';
+import { callWithRetry } from '../utils/retry.js';
+import { tSync } from '../locales.js';
+import { getUILanguageCached } from '../utils/pipeline-helpers.js';
+import { handleError } from '../utils/error-handler.js';
+import { isValidExternalUrl } from '../utils/security.js';
+
+/**
+ * Prefix of custom endpoint model values (e.g., 'custom:llama3.1:8b')
+ * Model names of local servers have no common format, prefix is used to route requests to this module
+ * @readonly
+ */
+export const CUSTOM_MODEL_PREFIX = 'custom:';
+
+/**
+ * Placeholder API key for endpoints without authentication
+ * Keeps API key checks of the pipeline unchanged, never sent to server
+ * @readonly
+ */
+export const CUSTOM_NO_API_KEY = 'custom-no-key';
+
+/**
+ * Endpoint + model pairs that rejected response_format (JSON mode)
+ * Requests to them skip JSON mode for the lifetime of service worker
+ * @type {Set<string>}
+ */
+const jsonModeUnsupported = new Set();
+
+/**
+ * Check if model value belongs to custom endpoint
+ * @param {string} model - Model value
+ * @returns {boolean}
+ */
+export function isCustomModel(model) {
+  return typeof model === 'string' && model.startsWith(CUSTOM_MODEL_PREFIX);
+}
+
+/**
+ * Convert model name reported by server to model value
+ * @param {string} modelName - Model name (e.g., 'llama3.1:8b')
+ * @returns {string} Model value (e.g., 'custom:llama3.1:8b')
+ */
+export function toCustomModel(modelName) {
+  return isCustomModel(modelName) ? modelName : `${CUSTOM_MODEL_PREFIX}${modelName}`;
+}
+
+/**
+ * Get model name to send to server
+ * @param {string} model - Model value
+ * @returns {string} Model name without prefix
+ */
+export function getCustomModelName(model) {
+  return isCustomModel(model) ? model.substring(CUSTOM_MODEL_PREFIX.length) : (model || '');
+}
+
+/**
+ * Normalize endpoint base URL
+ * Server root gets '/v1' appended, trailing slashes and '/chat/completions' are removed
+ * @param {string} baseUrl - Base URL entered by user
+ * @returns {string} Normalized base URL or empty string if URL is malformed
+ */
+export function normalizeCustomBaseUrl(baseUrl) {
+  if (!baseUrl || typeof baseUrl !== 'string') {
+    return '';
+  }
+
+  try {
+    const urlObj = new URL(baseUrl.trim());
+    let path = urlObj.pathname.replace(/\/+$/, '').replace(/\/chat\/completions$/, '').replace(/\/models$/, '');
+    if (!path) {
+      path = '/v1';
+    }
+    return `${urlObj.protocol}//${urlObj.host}${path}`;
+  } catch (e) {
+    return '';
+  }
+}
+
+/**
+ * Validate endpoint base URL
+ * Local and private network addresses are allowed only with explicit opt-in
+ * @param {string} baseUrl - Base URL
+ * @param {boolean} allowLocalNetwork - Whether user allowed local network addresses
+ * @returns {Promise<string>} Normalized base URL
+ * @throws {Error} If URL is malformed or points to local network without opt-in
+ */
+export async function validateCustomBaseUrl(baseUrl, allowLocalNetwork) {
+  const uiLang = await getUILanguageCached();
+  const normalized = normalizeCustomBaseUrl(baseUrl);
+
+  if (!normalized || !isValidExternalUrl(normalized, { allowLocalNetwork: true })) {
+    throw new Error(tSync('errorCustomEndpointInvalidUrl', uiLang));
+  }
+
+  if (!allowLocalNetwork && !isValidExternalUrl(normalized)) {
+    throw new Error(tSync('errorCustomEndpointLocalBlocked', uiLang));
+  }
+
+  return normalized;
+}
+
+/**
+ * Load endpoint settings from storage
+ * @returns {Promise<{baseUrl: string, allowLocalNetwork: boolean}>} Validated endpoint settings
+ * @throws {Error} If endpoint is not configured or URL is not allowed
+ */
+export async function getCustomEndpointSettings() {
+  const settings = await chrome.storage.local.get(['custom_api_base_url', 'custom_api_allow_local']);
+  const allowLocalNetwork = settings.custom_api_allow_local === true;
+
+  if (!settings.custom_api_base_url) {
+    const uiLang = await getUILanguageCached();
+    throw new Error(tSync('errorCustomEndpointNotConfigured', uiLang));
+  }
+
+  const baseUrl = await validateCustomBaseUrl(String(settings.custom_api_base_url), allowLocalNetwork);
+  return { baseUrl, allowLocalNetwork };
+}
+
+/**
+ * Build request headers (Authorization only when API key is set)
+ * @param {string} apiKey - API key (may be empty or CUSTOM_NO_API_KEY)
+ * @returns {Record<string, string>}
+ */
+function buildHeaders(apiKey) {
+  /** @type {Record<string, string>} */
+  const headers = { 'Content-Type': 'application/json' };
+  if (apiKey && apiKey !== CUSTOM_NO_API_KEY) {
+    headers['Authorization'] = `Bearer ${apiKey}`;
+  }
+  return headers;
+}
+
+/**
+ * Get list of models available on endpoint (GET /models)
+ * @param {string} baseUrl - Base URL
+ * @param {string} apiKey - API key (optional)
+ * @param {boolean} allowLocalNetwork - Whether user allowed local network addresses
+ * @returns {Promise<Array<string>>} Sorted model names (without prefix)
+ * @throws {Error} If URL is not allowed, server is unreachable or response has no models
+ */
+export async function listCustomModels(baseUrl, apiKey, allowLocalNetwork) {
+  const endpoint = await validateCustomBaseUrl(baseUrl, allowLocalNetwork);
+  const uiLang = await getUILanguageCached();
+  log('listCustomModels', { endpoint });
+
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), CONFIG.CUSTOM_API_MODELS_TIMEOUT_MS);
+
+  let response;
+  try {
+    response = await fetch(`${endpoint}/models`, {
+      method: 'GET',
+      headers: buildHeaders(apiKey),
+      signal: controller.signal
+    });
+  } catch (error) {
+    logWarn('Custom endpoint is unreachable', { endpoint, error: error.message });
+    throw new Error(tSync('errorCustomEndpointUnreachable', uiLang).replace('{url}', endpoint));
+  } finally {
+    clearTimeout(timeout);
+  }
+
+  if (!response.ok) {
+    if ([401, 403].includes(response.status)) {
+      throw new Error(tSync('errorApiAuthentication', uiLang).replace('{status}', String(response.status)));
+    }
+    throw new Error(tSync('errorApiError', uiLang).replace('{status}', String(response.status)));
+  }
+
+  const data = await response.json().catch(() => null);
+  // OpenAI format: { data: [{ id }] }, Ollama native format: { models: [{ name }] }
+  const entries = Array.isArray(data?.data) ? data.data : (Array.isArray(data?.models) ? data.models : []);
+  const models = [...new Set(entries
+    .map(entry => (typeof entry === 'string' ? entry : entry?.id || entry?.name || ''))
+    .filter(name => typeof name === 'string' && name.trim() !== '')
+    .map(name => name.trim()))]
+    .sort((a, b) => a.localeCompare(b));
+
+  if (models.length === 0) {
+    throw new Error(tSync('errorCustomEndpointNoModels', uiLang));
+  }
+
+  log('Custom endpoint models loaded', { endpoint, count: models.length });
+  return models;
+}
+
+/**
+ * Remove reasoning block that some local models put before the answer (<think>...</think>)
+ * @param {string} content - Response content
+ * @returns {string}
+ */
+function stripReasoning(content) {
+  return content.replace(/^\s*<think>[\s\S]*?<\/think>\s*/i, '').trim();
+}
+
+/**
+ * Parse JSON answer of model
+ * Local models often wrap JSON in markdown code block or add text around it
+ * @param {string} content - Response content
+ * @returns {Object|null} Parsed JSON or null if content has no valid JSON object
+ */
+export function parseCustomJsonContent(content) {
+  let jsonContent = stripReasoning(content || '');
+
+  const codeBlockMatch = jsonContent.match(/```(?:json)?\s*([\s\S]*?)```/);
+  if (codeBlockMatch) {
+    jsonContent = codeBlockMatch[1].trim();
+  }
+
+  try {
+    return JSON.parse(jsonContent);
+  } catch (e) {
+    // Fall through to extraction of outermost object
+  }
+
+  const jsonStart = jsonContent.indexOf('{');
+  const jsonEnd = jsonContent.lastIndexOf('}');
+  if (jsonStart !== -1 && jsonEnd > jsonStart) {
+    try {
+      return JSON.parse(jsonContent.substring(jsonStart, jsonEnd + 1));
+    } catch (e) {
+      return null;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Send chat completion request to custom endpoint
+ * JSON mode falls back to plain request with JSON instruction if server rejects response_format
+ * @param {Array<{role: string, content: string|Array<Object>}>} messages - Chat messages (first message is system prompt)
+ * @param {string} apiKey - API key (optional)
+ * @param {string} model - Model value
+ * @param {boolean} jsonResponse - Whether to expect JSON response
+ * @returns {Promise<{content: string, result: Object|string}>} Raw content and parsed result
+ * @throws {Error} If endpoint is not configured, unreachable or returns error
+ */
+async function requestChatCompletion(messages, apiKey, model, jsonResponse) {
+  const { baseUrl } = await getCustomEndpointSettings();
+  const modelName = getCustomModelName(model);
+  const endpoint = `${baseUrl}/chat/completions`;
+  const jsonModeKey = `${baseUrl}|${modelName}`;
+  const uiLang = await getUILanguageCached();
+
+  /**
+   * @param {boolean} withResponseFormat - Whether to request JSON mode
+   * @returns {Promise<Response>}
+   */
+  async function send(withResponseFormat) {
+    const requestMessages = messages.map(message => ({ ...message }));
+    if (jsonResponse && !withResponseFormat && requestMessages[0]?.role === 'system') {
+      // Without JSON mode the only way to get JSON is to ask for it explicitly
+      requestMessages[0].content = `${requestMessages[0].content}\n\nRespond with a single valid JSON object only, without markdown and explanations.`;
+    }
+
+    const requestBody = {
+      model: modelName,
+      messages: requestMessages,
+      stream: false
+    };
+    if (withResponseFormat) {
+      requestBody.response_format = { type: 'json_object' };
+    }
+
+    return callWithRetry(
+      async () => {
+        const controller = new AbortController();
+        const timeout = setTimeout(() => controller.abort(), CONFIG.API_TIMEOUT_MS);
+
+        try {
+          const fetchResponse = await fetch(endpoint, {
+            method: 'POST',
+            headers: buildHeaders(apiKey),
+            body: JSON.stringify(requestBody),
+            signal: controller.signal
+          });
+
+          if (!fetchResponse.ok) {
+            let errorData;
+            try {
+              errorData = await fetchResponse.json();
+            } catch (e) {
+              errorData = { error: { message: `HTTP ${fetchResponse.status}` } };
+            }
+
+            /** @type {Error & {status?: number, errorData?: any}} */
+            const error = new Error(errorData?.error?.message || `HTTP ${fetchResponse.status}`);
+            error.status = fetchResponse.status;
+            error.errorData = errorData;
+            throw error;
+          }
+
+          return fetchResponse;
+        } finally {
+          clearTimeout(timeout);
+        }
+      },
+      {
+        retryableStatusCodes: CONFIG.RETRYABLE_STATUS_CODES,
+        onRetry: (attempt, delay) => {
+          log(`Custom endpoint retry attempt ${attempt}, waiting ${delay}ms...`);
+        }
+      }
+    );
+  }
+
+  let useJsonMode = jsonResponse && !jsonModeUnsupported.has(jsonModeKey);
+  let response;
+
+  try {
+    try {
+      response = await send(useJsonMode);
+    } catch (error) {
+      // Servers without JSON mode answer 400/422 (or 500 in some llama.cpp builds) to response_format
+      if (useJsonMode && error.status && [400, 422, 500].includes(error.status)) {
+        logWarn('Custom endpoint rejected response_format - retrying without JSON mode', {
+          model: modelName,
+          status: error.status,
+          error: error.message
+        });
+        jsonModeUnsupported.add(jsonModeKey);
+        useJsonMode = false;
+        response = await send(false);
+      } else {
+        throw error;
+      }
+    }
+  } catch (fetchError) {
+    if (fetchError.status) {
+      const normalized = await handleError(fetchError, {
+        source: 'custom',
+        errorType: 'httpError',
+        logError: true,
+        createUserMessage: false,
+        context: {
+          operation: 'fetchRequest',
+          model: modelName,
+          statusCode: fetchError.status,
+          errorData: fetchError.errorData?.error
+        }
+      });
+
+      let errorMessage = fetchError.errorData?.error?.message || tSync('errorApiError', uiLang).replace('{status}', String(fetchError.status));
+      if (fetchError.status === 401) {
+        errorMessage = tSync('errorApiKeyInvalid', uiLang);
+      } else if (fetchError.status === 403) {
+        errorMessage = tSync('errorApiAccessForbidden', uiLang);
+      } else if (fetchError.status === 404) {
+        errorMessage = tSync('errorCustomEndpointModelNotFound', uiLang).replace('{model}', modelName);
+      }
+
+      /** @type {import('../types.js').ExtendedError} */
+      const error = new Error(errorMessage);
+      error.code = normalized.code;
+      error.status = fetchError.status;
+      error.originalError = normalized.originalError;
+      error.context = normalized.context;
+      throw error;
+    }
+
+    const isTimeout = fetchError.name === 'AbortError';
+    const normalized = await handleError(fetchError, {
+      source: 'custom',
+      errorType: isTimeout ? 'timeoutError' : 'networkError',
+      logError: true,
+      createUserMessage: isTimeout,
+      context: {
+        operation: 'fetchRequest',
+        model: modelName,
+        errorName: fetchError.name
+      }
+    });
+
+    // Connection errors to self-hosted servers usually mean server is not running
+    const userMessage = isTimeout
+      ? (normalized.userMessage || tSync('errorTimeout', uiLang))
+      : tSync('errorCustomEndpointUnreachable', uiLang).replace('{url}', baseUrl);
+    /** @type {import('../types.js').ExtendedError} */
+    const error = new Error(userMessage);
+    error.code = normalized.code;
+    error.originalError = normalized.originalError;
+    error.context = normalized.context;
+    throw error;
+  }
+
+  let data;
+  try {
+    data = await response.json();
+  } catch (parseError) {
+    logError('Failed to parse custom endpoint response', { model: modelName, error: parseError.message });
+    throw new Error(tSync('errorFailedToParseResponse', uiLang));
+  }
+
+  const rawContent = data?.choices?.[0]?.message?.content;
+  if (!rawContent || typeof rawContent !== 'string') {
+    logError('Custom endpoint response missing content', { model: modelName, hasChoices: !!data?.choices });
+    throw new Error(tSync('errorNoContentReceived', uiLang));
+  }
+
+  const content = stripReasoning(rawContent);
+  log('Custom endpoint response', { model: modelName, contentLength: content.length, jsonMode: useJsonMode, usage: data.usage });
+
+  if (!jsonResponse) {
+    return { content, result: content };
+  }
+
+  const parsed = parseCustomJsonContent(content);
+  if (parsed === null) {
+    logError('Failed to parse custom endpoint response as JSON', { model: modelName, preview: content.substring(0, 300) });
+    throw new Error(tSync('errorFailedToParseResponse', uiLang));
+  }
+
+  return { content, result: parsed };
+}
+
+/**
+ * Build user message with image (OpenAI vision format)
+ * @param {string} userPrompt - User prompt
+ * @param {string} imageData - Base64 image data URL or raw base64 (PNG assumed)
+ * @returns {{role: string, content: Array<Object>}}
+ */
+function buildImageMessage(userPrompt, imageData) {
+  const imageUrl = imageData.startsWith('data:') ? imageData : `data:image/png;base64,${imageData}`;
+  return {
+    role: 'user',
+    content: [
+      { type: 'text', text: userPrompt },
+      { type: 'image_url', image_url: { url: imageUrl } }
+    ]
+  };
+}
+
+/**
+ * Call custom endpoint
+ * @param {string} systemPrompt - System prompt
+ * @param {string} userPrompt - User prompt
+ * @param {string} apiKey - API key (optional, CUSTOM_NO_API_KEY for endpoints without authentication)
+ * @param {string} model - Model value (with 'custom:' prefix)
+ * @param {boolean} [jsonResponse=true] - Whether to expect JSON response
+ * @returns {Promise<Object|string>} Parsed JSON or text response
+ * @throws {Error} If endpoint is not configured, unreachable or returns invalid response
+ */
+export async function callCustomAPI(systemPrompt, userPrompt, apiKey, model, jsonResponse = true) {
+  log('callCustomAPI', { model, systemPromptLength: systemPrompt.length, userPromptLength: userPrompt.length });
+
+  const { result } = await requestChatCompletion([
+    { role: 'system', content: systemPrompt },
+    { role: 'user', content: userPrompt }
+  ], apiKey, model, jsonResponse);
+
+  return result;
+}
+
+/**
+ * Call custom endpoint with image (model must support vision)
+ * @param {string} systemPrompt - System prompt
+ * @param {string} userPrompt - User prompt
+ * @param {string} imageData - Base64 image data URL
+ * @param {string} apiKey - API key (optional)
+ * @param {string} model - Model value
+ * @param {boolean} [jsonResponse=true] - Whether to expect JSON response
+ * @returns {Promise<Object|string>} Parsed JSON or text response
+ * @throws {Error} If endpoint is not configured, unreachable or returns invalid response
+ */
+export async function callCustomAPIWithImage(systemPrompt, userPrompt, imageData, apiKey, model, jsonResponse = true) {
+  log('callCustomAPIWithImage', { model, imageSize: imageData.length });
+
+  const { result } = await requestChatCompletion([
+    { role: 'system', content: systemPrompt },
+    buildImageMessage(userPrompt, imageData)
+  ], apiKey, model, jsonResponse);
+
+  return result;
+}
+
+/**
+ * Call custom endpoint with image and conversation history
+ * @param {string} systemPrompt - System prompt
+ * @param {string} userPrompt - User prompt
+ * @param {string} imageData - Base64 image data URL
+ * @param {Array<{role: 'user'|'assistant', content: string|Object}>} messageHistory - Previous messages
+ * @param {string} apiKey - API key (optional)
+ * @param {string} model - Model value
+ * @param {boolean} [jsonResponse=true] - Whether to expect JSON response
+ * @returns {Promise<{result: Object|string, assistantMessage: string, userMessage: {role: string, content: Array<Object>}}>} Result and messages for history
+ * @throws {Error} If endpoint is not configured, unreachable or returns invalid response
+ */
+export async function callCustomAPIWithImageAndHistory(systemPrompt, userPrompt, imageData, messageHistory, apiKey, model, jsonResponse = true) {
+  log('callCustomAPIWithImageAndHistory', { model, imageSize: imageData.length, historyLength: messageHistory.length });
+
+  const userMessage = buildImageMessage(userPrompt, imageData);
+  const { content, result } = await requestChatCompletion([
+    { role: 'system', content: systemPrompt },
+    ...messageHistory,
+    userMessage
+  ], apiKey, model, jsonResponse);
+
+  return { result, assistantMessage: content, userMessage };
+}
@@ -13,6 +13,7 @@ import { handleApiError, handleTimeoutError, handleNetworkError } from '../utils
  *   API_URL: string,
  *   DEFAULT_MODEL: string,
  *   MODELS: Array<{id: string, name: string}>,
+ *   PHONEME_MODELS: Array<string>,
  *   DEFAULT_VOICE_ID: string,
  *   POPULAR_VOICES: Array<{id: string, name: string}>,
  *   MAX_INPUT: number,
@@ -33,9 +34,13 @@ export const ELEVENLABS_CONFIG = {
   MODELS: [
     { id: 'eleven_multilingual_v2', name: 'Multilingual v2 (stable, natural)' },
     { id: 'eleven_v3', name: 'v3 (most expressive)' },
-    { id: 'eleven_turbo_v2_5', name: 'Turbo v2.5 (fast)' }
+    { id: 'eleven_turbo_v2_5', name: 'Turbo v2.5 (fast)' },
+    { id: 'eleven_flash_v2', name: 'Flash v2 (English, phoneme tags)' }
   ],
   
+  // Models that read <phoneme> tags of pronunciation lexicon (others get respelling)
+  PHONEME_MODELS: ['eleven_flash_v2', 'eleven_turbo_v2', 'eleven_monolingual_v1'],
+  
   // Default voice (Rachel - popular English voice)
   // Users can change this in settings
   DEFAULT_VOICE_ID: '21m00Tcm4TlvDq8ikWAM',
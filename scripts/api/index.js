@@ -14,6 +14,7 @@ import { callGeminiAPI, translateImageWithGemini, callGeminiAPIWithImage } from
 import { callGrokAPI, callGrokAPIWithImage, callGrokAPIWithImageAndHistory } from './grok.js';
 import { callOpenRouterAPI, callOpenRouterAPIWithImage, callOpenRouterAPIWithImageAndHistory } from './openrouter.js';
 import { callDeepSeekAPI, callDeepSeekAPIWithImage, callDeepSeekAPIWithImageAndHistory } from './deepseek.js';
+import { callCustomAPI, callCustomAPIWithImage, callCustomAPIWithImageAndHistory, isCustomModel, CUSTOM_NO_API_KEY } from './custom.js';
 
 // Re-export for convenience
 export { callOpenAI, parseModelConfig, callOpenAIWithImage, callOpenAIWithImageAndHistory } from './openai.js';
@@ -22,6 +23,7 @@ export { callGeminiAPI, translateImageWithGemini, callGeminiAPIWithImage } from
 export { callGrokAPI, callGrokAPIWithImage, callGrokAPIWithImageAndHistory } from './grok.js';
 export { callOpenRouterAPI, callOpenRouterAPIWithImage, callOpenRouterAPIWithImageAndHistory } from './openrouter.js';
 export { callDeepSeekAPI, callDeepSeekAPIWithImage, callDeepSeekAPIWithImageAndHistory } from './deepseek.js';
+export { callCustomAPI, callCustomAPIWithImage, callCustomAPIWithImageAndHistory, listCustomModels, isCustomModel, CUSTOM_NO_API_KEY } from './custom.js';
 
 /**
  * Provider name mapping
@@ -33,7 +35,8 @@ const PROVIDER_NAMES = {
   'gemini': 'Gemini',
   'grok': 'Grok',
   'openrouter': 'OpenRouter',
-  'deepseek': 'DeepSeek'
+  'deepseek': 'DeepSeek',
+  'custom': 'Custom endpoint'
 };
 
 /**
@@ -52,6 +55,8 @@ function getProviderName(provider) {
  */
 export function getProviderFromModel(model) {
   if (!model) return 'openai';
+  // Custom endpoint models are prefixed (e.g., custom:llama3.1:8b) - checked first because local model names may contain '/'
+  if (isCustomModel(model)) return 'custom';
   // OpenRouter models are in format: provider/model-name (e.g., openai/gpt-4o, anthropic/claude-opus-4.5)
   if (model.includes('/')) return 'openrouter';
   if (model.startsWith('gpt-')) return 'openai';
@@ -71,6 +76,11 @@ export function getProviderFromModel(model) {
  * @throws {Error} If API key is missing
  */
 function validateApiKey(apiKey, provider, model, checkModelProviderMatch = false) {
+  // API key is optional for custom endpoint (local servers usually have no authentication)
+  if (provider === 'custom') {
+    return;
+  }
+  
   if (!apiKey || apiKey.trim() === '') {
     const providerName = getProviderName(provider);
     
@@ -94,6 +104,10 @@ function validateApiKey(apiKey, provider, model, checkModelProviderMatch = false
  * @returns {Promise<string>} Decrypted key or original key if decryption fails
  */
 async function getDecryptedKeySafe(apiKey, provider) {
+  if (provider === 'custom' && (!apiKey || apiKey === CUSTOM_NO_API_KEY)) {
+    return CUSTOM_NO_API_KEY;
+  }
+  
   try {
     return await getDecryptedKeyCached(apiKey, provider);
   } catch (error) {
@@ -196,6 +210,9 @@ export async function callAI(systemPrompt, userPrompt, apiKey, model, jsonRespon
     case 'deepseek':
       result = await callDeepSeekAPI(systemPrompt, userPrompt, decryptedKey, model, jsonResponse);
       break;
+    case 'custom':
+      result = await callCustomAPI(systemPrompt, userPrompt, decryptedKey, model, jsonResponse);
+      break;
     case 'openai':
     default:
       result = await callOpenAI(systemPrompt, userPrompt, decryptedKey, model, jsonResponse);
@@ -272,6 +289,8 @@ export async function callAIWithImage(systemPrompt, userPrompt, imageData, apiKe
       return callDeepSeekAPIWithImage(systemPrompt, userPrompt, imageData, decryptedKey, model, jsonResponse);
     case 'grok':
       return callGrokAPIWithImage(systemPrompt, userPrompt, imageData, decryptedKey, model, jsonResponse);
+    case 'custom':
+      return callCustomAPIWithImage(systemPrompt, userPrompt, imageData, decryptedKey, model, jsonResponse);
     case 'openai':
     default:
       return callOpenAIWithImage(systemPrompt, userPrompt, imageData, decryptedKey, model, jsonResponse);
@@ -355,6 +374,8 @@ export async function callAIWithImageAndHistory(systemPrompt, userPrompt, imageD
       return callDeepSeekAPIWithImageAndHistory(systemPrompt, userPrompt, imageData, messageHistory, decryptedKey, model, jsonResponse);
     case 'grok':
       return callGrokAPIWithImageAndHistory(systemPrompt, userPrompt, imageData, messageHistory, decryptedKey, model, jsonResponse);
+    case 'custom':
+      return callCustomAPIWithImageAndHistory(systemPrompt, userPrompt, imageData, messageHistory, decryptedKey, model, jsonResponse);
     case 'openai':
     default:
       return callOpenAIWithImageAndHistory(systemPrompt, userPrompt, imageData, messageHistory, decryptedKey, model, jsonResponse);
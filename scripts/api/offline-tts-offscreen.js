@@ -8,6 +8,7 @@ import { CONFIG } from '../utils/config.js';
 import { ttsQueue } from './tts-queue.js';
 import { tSync } from '../locales.js';
 import { getUILanguageCached } from '../utils/pipeline-helpers.js';
+import { OFFLINE_DEFAULT_VOICES } from './piper-languages.js';
 
 logDebug('[ClipAIble Offline TTS Offscreen] === MODULE LOADING ===', {
   timestamp: Date.now(),
@@ -24,19 +25,7 @@ logDebug('[ClipAIble Offline TTS Offscreen] === MODULE LOADED ===', {
  * Configuration for offline Piper TTS
  */
 export const OFFLINE_TTS_CONFIG = {
-  DEFAULT_VOICES: {
-    'en': 'en_US-lessac-medium',      // Medium quality for English (verified: exists in library)
-    'ru': 'ru_RU-dmitri-medium',      // Medium quality for Russian (verified: exists in library)
-    'uk': null,                        // Ukrainian not available - quality too poor, use Respeecher instead
-    'de': 'de_DE-thorsten-medium',     // Medium quality for German (verified: exists in library)
-    'fr': 'fr_FR-siwis-medium',        // Medium quality for French (verified: exists in library)
-    'es': 'es_ES-sharvard-medium',      // Medium quality for Spanish (verified: exists in library)
-    'it': 'it_IT-paola-medium',        // Medium quality for Italian (verified: exists in library) - NOTE: riccardo only has x_low which is filtered
-    'pt': 'pt_BR-faber-medium',        // Medium quality for Portuguese (verified: exists in library)
-    'zh': 'zh_CN-huayan-medium',       // Medium quality for Chinese (verified: exists in library)
-    'ja': null,                         // Japanese not available in library
-    'ko': null                          // Korean not available in library
-  },
+  DEFAULT_VOICES: OFFLINE_DEFAULT_VOICES, // Derived from voice catalog, see piper-languages.js
   DEFAULT_SPEED: 1.0,
   DEFAULT_PITCH: 1.0,
   DEFAULT_VOLUME: 1.0,
@@ -69,8 +58,9 @@ log('[ClipAIble Offline TTS Offscreen] Module state initialized', {
 /**
  * Create offscreen document for Piper TTS
  * This document runs in a hidden context with full DOM and WASM support
+ * Also used by local audio compression (see audio-encoder-offscreen.js)
  */
-async function setupOffscreenDocument() {
+export async function setupOffscreenDocument() {
   const startTime = Date.now();
   log('[ClipAIble Offscreen Setup] === START ===', { timestamp: startTime });
   
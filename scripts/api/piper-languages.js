@@ -0,0 +1,171 @@
+// @ts-check
+// Languages of offline TTS (Piper) derived from voice catalog PIPER_VOICES_MAPPING
+// Language is supported when catalog has at least one medium or high quality voice for it,
+// adding voice to catalog is enough to support its language everywhere (voice lists, default and fallback voices).
+
+import { getPiperVoiceList } from './piper-voice-storage.js';
+
+/**
+ * Voice qualities used for synthesis (x_low and low sound too poor)
+ * @readonly
+ */
+export const OFFLINE_VOICE_QUALITIES = ['medium', 'high'];
+
+/**
+ * Voice setting value: pick voice of detected content language for every request
+ * @readonly
+ */
+export const OFFLINE_AUTO_VOICE = 'auto';
+
+/**
+ * Languages shown first in voice lists (languages of UI), other languages follow alphabetically
+ * @readonly
+ */
+const LANGUAGE_ORDER = ['en', 'ru', 'uk', 'de', 'fr', 'es', 'it', 'pt', 'zh', 'ja', 'ko'];
+
+/**
+ * Preferred voices of language: default first, then fallback for phoneme errors
+ * Other catalog voices of language follow, so every catalog language gets default and fallback voice.
+ * @readonly
+ */
+const PREFERRED_VOICES = {
+  'en': ['en_US-lessac-medium', 'en_US-hfc_female-medium'],
+  'ru': ['ru_RU-dmitri-medium', 'ru_RU-denis-medium'],
+  'de': ['de_DE-thorsten-medium', 'de_DE-mls-medium'],
+  'fr': ['fr_FR-siwis-medium', 'fr_FR-mls-medium'],
+  'es': ['es_ES-sharvard-medium', 'es_MX-claude-high'],
+  'it': ['it_IT-paola-medium'],
+  'pt': ['pt_BR-faber-medium', 'pt_PT-tugão-medium'],
+  'zh': ['zh_CN-huayan-medium'],
+  'nl': ['nl_NL-mls-medium', 'nl_BE-nathalie-medium']
+};
+
+/**
+ * Normalize language code to Piper language
+ * @param {string} language - Language code (e.g., 'en', 'pt-BR', 'ua')
+ * @returns {string} Base language code ('ua' -> 'uk', 'nb'/'nn' -> 'no')
+ */
+export function normalizeOfflineLanguage(language) {
+  const code = String(language || '').split(/[-_]/)[0].toLowerCase();
+  if (code === 'ua') return 'uk';
+  if (code === 'nb' || code === 'nn') return 'no';
+  return code;
+}
+
+/**
+ * Get catalog voices used for synthesis
+ * @param {string} [language] - Language code, all languages if not set
+ * @returns {Array<import('./piper-voice-storage.js').PiperVoiceInfo>} Voices sorted by locale and name
+ */
+export function getOfflineVoices(language) {
+  const code = language ? normalizeOfflineLanguage(language) : null;
+  return getPiperVoiceList().filter(voice =>
+    OFFLINE_VOICE_QUALITIES.includes(voice.quality) && (!code || voice.language === code)
+  );
+}
+
+/**
+ * Sort language codes: UI languages first, then alphabetically
+ * @param {string} a - Language code
+ * @param {string} b - Language code
+ * @returns {number}
+ */
+function compareLanguages(a, b) {
+  const aOrder = LANGUAGE_ORDER.indexOf(a);
+  const bOrder = LANGUAGE_ORDER.indexOf(b);
+  return (aOrder === -1 ? 99 : aOrder) - (bOrder === -1 ? 99 : bOrder) || a.localeCompare(b);
+}
+
+/**
+ * Get languages that have offline voices
+ * @returns {Array<string>} Base language codes
+ */
+export function getOfflineLanguages() {
+  return [...new Set(getOfflineVoices().map(voice => voice.language))].sort(compareLanguages);
+}
+
+/**
+ * Check if language has offline voices
+ * @param {string} language - Language code
+ * @returns {boolean}
+ */
+export function isOfflineLanguageSupported(language) {
+  return getOfflineVoices(language).length > 0;
+}
+
+/**
+ * Get voices of language in order of preference
+ * @param {string} language - Language code
+ * @returns {Array<string>} Voice IDs, empty if language has no offline voices
+ */
+export function getOfflineVoiceCandidates(language) {
+  const code = normalizeOfflineLanguage(language);
+  const ids = getOfflineVoices(code).map(voice => voice.id);
+  const preferred = (PREFERRED_VOICES[code] || []).filter(id => ids.includes(id));
+  return [...preferred, ...ids.filter(id => !preferred.includes(id))];
+}
+
+/**
+ * Build language -> voice map from voice candidates
+ * @param {number} position - Candidate position (0 - default, 1 - fallback)
+ * @returns {Record<string, string>}
+ */
+function buildVoiceMap(position) {
+  /** @type {Record<string, string>} */
+  const voices = {};
+  for (const language of getOfflineLanguages()) {
+    const candidates = getOfflineVoiceCandidates(language);
+    voices[language] = candidates[position] || candidates[0];
+  }
+  return voices;
+}
+
+/**
+ * Default voice of every offline language
+ * Languages without voices (e.g., uk, ja, ko) are absent - callers fall back to English
+ * @readonly
+ * @const {Record<string, string>}
+ */
+export const OFFLINE_DEFAULT_VOICES = buildVoiceMap(0);
+
+/**
+ * Fallback voice of every offline language, used when default voice fails with phoneme errors
+ * Same as default voice for languages with single voice
+ * @readonly
+ * @const {Record<string, string>}
+ */
+export const OFFLINE_FALLBACK_VOICES = buildVoiceMap(1);
+
+/**
+ * Convert piper-tts-web voices to voice list of UI
+ * Keeps medium and high quality voices of catalog languages, sorted by language, quality (high first) and name.
+ * Voice selection by index in offscreen document relies on the same order.
+ * @param {Array<Object>} voices - Voice[] from piper-tts-web voices()
+ * @returns {Array<{key: string, id: string, name: string, language: string, quality: string, gender: string}>}
+ */
+export function toOfflineVoiceList(voices) {
+  const languages = getOfflineLanguages();
+  const qualityOrder = { 'high': 0, 'medium': 1 };
+
+  return (Array.isArray(voices) ? voices : [])
+    .map((voice) => {
+      // CountryCode format: 'en_GB', 'en_US', 'ru_RU'; fall back to voice key ("en_US-lessac-medium")
+      const code = typeof voice.language?.code === 'string'
+        ? voice.language.code
+        : (String(voice.key || '').match(/^([a-z]{2,3})_/i)?.[1] || '');
+      return {
+        key: voice.key,
+        id: voice.key,
+        name: voice.name || voice.key,
+        language: normalizeOfflineLanguage(code),
+        quality: voice.quality || 'medium',
+        gender: voice.gender || 'unknown'
+      };
+    })
+    .filter(voice => OFFLINE_VOICE_QUALITIES.includes(voice.quality) && languages.includes(voice.language))
+    .sort((a, b) =>
+      compareLanguages(a.language, b.language) ||
+      (qualityOrder[a.quality] ?? 99) - (qualityOrder[b.quality] ?? 99) ||
+      a.name.localeCompare(b.name)
+    );
+}
@@ -0,0 +1,208 @@
+// @ts-check
+// Piper voice models in Origin Private File System (OPFS)
+// piper-tts-web keeps every voice as two files in OPFS directory "piper": "<voiceId>.onnx" (model)
+// and "<voiceId>.onnx.json" (config). Extension pages share origin with TTS worker, so voice manager
+// reads sizes and imports voices directly, download and removal go through worker.
+
+import { log } from '../utils/logging.js';
+import { PIPER_VOICES_MAPPING } from './piper-voices-mapping.js';
+
+/**
+ * OPFS directory of piper-tts-web
+ * @readonly
+ */
+export const PIPER_STORAGE_DIRECTORY = 'piper';
+
+/**
+ * Repository with voice samples
+ * @readonly
+ */
+const PIPER_SAMPLES_BASE_URL = 'https://huggingface.co/rhasspy/piper-voices/resolve/main';
+
+/**
+ * @typedef {Object} PiperVoiceInfo
+ * @property {string} id - Voice ID (e.g., 'en_US-lessac-medium')
+ * @property {string} language - Base language code (e.g., 'en')
+ * @property {string} locale - Language with region (e.g., 'en_US')
+ * @property {string} name - Voice name (e.g., 'lessac')
+ * @property {string} quality - Model quality (x_low, low, medium, high)
+ */
+
+/**
+ * Parse Piper voice ID
+ * @param {string} voiceId - Voice ID
+ * @returns {PiperVoiceInfo|null} Voice info, null if ID has unknown format
+ */
+export function parsePiperVoiceId(voiceId) {
+  const match = String(voiceId || '').match(/^(([a-z]{2,3})_[A-Z]{2})-(.+)-(x_low|low|medium|high)$/);
+  if (!match) {
+    return null;
+  }
+  return { id: voiceId, language: match[2], locale: match[1], name: match[3], quality: match[4] };
+}
+
+/**
+ * Get all voices of PIPER_VOICES_MAPPING sorted by locale and name
+ * @returns {Array<PiperVoiceInfo>}
+ */
+export function getPiperVoiceList() {
+  const ids = [...new Set(Object.values(PIPER_VOICES_MAPPING))];
+  return ids
+    .map(parsePiperVoiceId)
+    .filter(Boolean)
+    .sort((a, b) => a.locale.localeCompare(b.locale) || a.name.localeCompare(b.name) || a.quality.localeCompare(b.quality));
+}
+
+/**
+ * Get URL of voice sample
+ * @param {string} voiceId - Voice ID
+ * @returns {string|null} Sample URL, null for unknown ID format
+ */
+export function getPiperVoiceSampleUrl(voiceId) {
+  const voice = parsePiperVoiceId(voiceId);
+  if (!voice) {
+    return null;
+  }
+  const path = [voice.language, voice.locale, voice.name, voice.quality].map(encodeURIComponent).join('/');
+  return `${PIPER_SAMPLES_BASE_URL}/${path}/samples/speaker_0.mp3`;
+}
+
+/**
+ * Sum sizes of voice files
+ * Voice counts as downloaded when its model is stored (same rule as piper-tts-web stored()),
+ * other files (config without model, unknown files) count only in total.
+ * @param {Array<{name: string, size: number}>} files - Files of OPFS directory
+ * @returns {{voices: Record<string, number>, total: number}} Size of every downloaded voice and of all files (bytes)
+ */
+export function summarizeStoredVoiceFiles(files) {
+  const sizes = new Map(files.map(file => [file.name, file.size]));
+  /** @type {Record<string, number>} */
+  const voices = {};
+  let total = 0;
+  for (const file of files) {
+    total += file.size;
+    if (file.name.endsWith('.onnx')) {
+      const voiceId = file.name.slice(0, -'.onnx'.length);
+      voices[voiceId] = file.size + (sizes.get(`${file.name}.json`) || 0);
+    }
+  }
+  return { voices, total };
+}
+
+/**
+ * Match selected files into model + config pairs of known voices
+ * Config may be named "<voiceId>.onnx.json" or "<voiceId>.json".
+ * @param {Array<{name: string}>} files - Selected files
+ * @returns {{pairs: Array<{voiceId: string, model: any, config: any}>, errors: Array<{name: string, reason: 'unknownVoice'|'missingConfig'|'missingModel'|'unsupportedFile'}>}}
+ */
+export function matchVoiceFiles(files) {
+  const knownIds = new Set(getPiperVoiceList().map(voice => voice.id));
+  const models = new Map();
+  const configs = new Map();
+  /** @type {Array<{name: string, reason: 'unknownVoice'|'missingConfig'|'missingModel'|'unsupportedFile'}>} */
+  const errors = [];
+
+  for (const file of files) {
+    const name = file.name;
+    if (name.endsWith('.onnx')) {
+      models.set(name.slice(0, -'.onnx'.length), file);
+    } else if (name.endsWith('.json')) {
+      configs.set(name.replace(/(\.onnx)?\.json$/, ''), file);
+    } else {
+      errors.push({ name, reason: 'unsupportedFile' });
+    }
+  }
+
+  const pairs = [];
+  for (const [voiceId, model] of models) {
+    const config = configs.get(voiceId);
+    configs.delete(voiceId);
+    if (!knownIds.has(voiceId)) {
+      // piper-tts-web synthesizes only voices from its catalog
+      errors.push({ name: model.name, reason: 'unknownVoice' });
+    } else if (!config) {
+      errors.push({ name: model.name, reason: 'missingConfig' });
+    } else {
+      pairs.push({ voiceId, model, config });
+    }
+  }
+  for (const config of configs.values()) {
+    errors.push({ name: config.name, reason: 'missingModel' });
+  }
+  return { pairs, errors };
+}
+
+/**
+ * Check that text is Piper voice config
+ * @param {string} text - Config file text
+ * @returns {boolean}
+ */
+export function isValidVoiceConfig(text) {
+  try {
+    const config = JSON.parse(text);
+    return typeof config?.audio?.sample_rate === 'number' &&
+      !!config.phoneme_id_map && typeof config.phoneme_id_map === 'object';
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Get piper-tts-web OPFS directory
+ * @returns {Promise<FileSystemDirectoryHandle>}
+ * @throws {Error} If OPFS is not available
+ */
+async function getVoiceDirectory() {
+  const root = await navigator.storage.getDirectory();
+  return root.getDirectoryHandle(PIPER_STORAGE_DIRECTORY, { create: true });
+}
+
+/**
+ * Read sizes of stored voices
+ * @returns {Promise<{voices: Record<string, number>, total: number}>} Size of every downloaded voice and of whole directory (bytes)
+ * @throws {Error} If OPFS is not available
+ */
+export async function getStoredVoiceSizes() {
+  const directory = await getVoiceDirectory();
+  const files = [];
+  // @ts-ignore - async iteration of directory handle is missing in TS DOM lib
+  for await (const [name, handle] of directory.entries()) {
+    if (handle.kind === 'file') {
+      const file = await handle.getFile();
+      files.push({ name, size: file.size });
+    }
+  }
+  return summarizeStoredVoiceFiles(files);
+}
+
+/**
+ * Import voices from local files (no network needed)
+ * @param {Array<File>} files - Selected .onnx and .json files
+ * @returns {Promise<{imported: Array<string>, errors: Array<{name: string, reason: string}>}>} Imported voice IDs and rejected files
+ * @throws {Error} If OPFS is not available
+ */
+export async function importVoiceFiles(files) {
+  const { pairs, errors } = matchVoiceFiles(files);
+  /** @type {Array<{name: string, reason: string}>} */
+  const allErrors = [...errors];
+  const imported = [];
+  const directory = await getVoiceDirectory();
+
+  for (const { voiceId, model, config } of pairs) {
+    if (!isValidVoiceConfig(await config.text())) {
+      allErrors.push({ name: config.name, reason: 'invalidConfig' });
+      continue;
+    }
+    // Config goes first: model file marks voice as downloaded
+    for (const [name, file] of [[`${voiceId}.onnx.json`, config], [`${voiceId}.onnx`, model]]) {
+      const handle = await directory.getFileHandle(name, { create: true });
+      const writable = await handle.createWritable();
+      await writable.write(file);
+      await writable.close();
+    }
+    imported.push(voiceId);
+  }
+
+  log('[ClipAIble Piper Voices] Voices imported', { imported, rejected: allErrors.length });
+  return { imported, errors: allErrors };
+}
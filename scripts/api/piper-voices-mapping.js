@@ -5,33 +5,34 @@
  * Verified against types.d.ts and actual library responses
  * 
  * Format: voice name -> voice ID
- * Only includes medium and high quality voices for supported languages
+ * Only includes medium and high quality voices
+ * Every language of catalog is supported by offline TTS (see piper-languages.js)
  * @readonly
  * @const {Record<string, string>}
  */
 export const PIPER_VOICES_MAPPING = {
-  // Arabic (AR_JO) - not in supported languages, but keeping for reference
+  // Arabic (AR_JO)
   'kareem': 'ar_JO-kareem-medium',
   
-  // Catalan (CA_ES) - not in supported languages
+  // Catalan (CA_ES)
   'upc_ona': 'ca_ES-upc_ona-medium',
   
-  // Czech (CS_CZ) - not in supported languages
+  // Czech (CS_CZ)
   'jirka': 'cs_CZ-jirka-medium',
   
   // Welsh (CY_GB) - User sees this, may exist in library even if not in types
   'gwryw_gogleddol': 'cy_GB-gwryw_gogleddol-medium', // User sees this, trying to map it
   
-  // Danish (DA_DK) - not in supported languages
+  // Danish (DA_DK)
   'talesyntese': 'da_DK-talesyntese-medium',
   
-  // German (DE_DE) - SUPPORTED
+  // German (DE_DE)
   'mls': 'de_DE-mls-medium',
   'thorsten': 'de_DE-thorsten-medium', // Default for medium quality
   'thorsten_high': 'de_DE-thorsten-high', // High quality version
   'thorsten_emotional': 'de_DE-thorsten_emotional-medium',
   
-  // English GB (EN_GB) - SUPPORTED (maps to 'en')
+  // English GB (EN_GB) - maps to 'en'
   'alan': 'en_GB-alan-medium',
   'alba': 'en_GB-alba-medium',
   'aru': 'en_GB-aru-medium',
@@ -42,7 +43,7 @@ export const PIPER_VOICES_MAPPING = {
   'semaine': 'en_GB-semaine-medium',
   'vctk': 'en_GB-vctk-medium',
   
-  // English US (EN_US) - SUPPORTED (maps to 'en')
+  // English US (EN_US) - maps to 'en'
   'amy': 'en_US-amy-medium',
   'arctic': 'en_US-arctic-medium',
   'bryce': 'en_US-bryce-medium', // User sees this, may exist in library even if not in types
@@ -63,101 +64,101 @@ export const PIPER_VOICES_MAPPING = {
   'ryan': 'en_US-ryan-medium', // Default for medium quality
   'ryan_high': 'en_US-ryan-high', // High quality version
   
-  // Spanish ES (ES_ES) - SUPPORTED (maps to 'es')
+  // Spanish ES (ES_ES) - maps to 'es'
   'davefx': 'es_ES-davefx-medium',
   'sharvard': 'es_ES-sharvard-medium',
   
-  // Spanish MX (ES_MX) - SUPPORTED (maps to 'es')
+  // Spanish MX (ES_MX) - maps to 'es'
   'ald': 'es_MX-ald-medium',
   'claude': 'es_MX-claude-high', // High quality
   
-  // Persian (FA_IR) - not in supported languages
+  // Persian (FA_IR)
   'amir': 'fa_IR-amir-medium',
   'gyro': 'fa_IR-gyro-medium',
   
-  // Finnish (FI_FI) - not in supported languages
+  // Finnish (FI_FI)
   'harri': 'fi_FI-harri-medium',
   
-  // French (FR_FR) - SUPPORTED
+  // French (FR_FR)
   'mls_fr': 'fr_FR-mls-medium',
   'siwis': 'fr_FR-siwis-medium', // Default
   'tom': 'fr_FR-tom-medium',
   'upmc': 'fr_FR-upmc-medium',
   
-  // Hungarian (HU_HU) - not in supported languages
+  // Hungarian (HU_HU)
   'anna': 'hu_HU-anna-medium',
   'berta': 'hu_HU-berta-medium',
   'imre': 'hu_HU-imre-medium',
   
-  // Icelandic (IS_IS) - not in supported languages
+  // Icelandic (IS_IS)
   'bui': 'is_IS-bui-medium',
   'salka': 'is_IS-salka-medium',
   'steinn': 'is_IS-steinn-medium',
   'ugla': 'is_IS-ugla-medium',
   
-  // Italian (IT_IT) - SUPPORTED
+  // Italian (IT_IT)
   'paola': 'it_IT-paola-medium', // User sees this, may exist in library even if not in types
   'riccardo': 'it_IT-riccardo-x_low', // Only x_low available (will be filtered)
   
-  // Georgian (KA_GE) - not in supported languages
+  // Georgian (KA_GE)
   'natia': 'ka_GE-natia-medium',
   
-  // Kazakh (KK_KZ) - not in supported languages
+  // Kazakh (KK_KZ)
   'issai': 'kk_KZ-issai-high', // High quality
   
-  // Luxembourgish (LB_LU) - not in supported languages
+  // Luxembourgish (LB_LU)
   'marylux': 'lb_LU-marylux-medium',
   
-  // Nepali (NE_NP) - not in supported languages
+  // Nepali (NE_NP)
   'google': 'ne_NP-google-medium',
   
-  // Dutch BE (NL_BE) - not in supported languages
+  // Dutch BE (NL_BE)
   'nathalie': 'nl_BE-nathalie-medium',
   'rdh': 'nl_BE-rdh-medium',
   
-  // Dutch NL (NL_NL) - not in supported languages
+  // Dutch NL (NL_NL)
   'mls_nl': 'nl_NL-mls-medium',
   
-  // Norwegian (NO_NO) - not in supported languages
+  // Norwegian (NO_NO)
   'talesyntese_no': 'no_NO-talesyntese-medium',
   
-  // Polish (PL_PL) - not in supported languages
+  // Polish (PL_PL)
   'darkman': 'pl_PL-darkman-medium',
   'gosia': 'pl_PL-gosia-medium',
   'mc_speech': 'pl_PL-mc_speech-medium',
   
-  // Portuguese BR (PT_BR) - SUPPORTED (maps to 'pt')
+  // Portuguese BR (PT_BR) - maps to 'pt'
   'faber': 'pt_BR-faber-medium', // Default
   'edresson': 'pt_BR-edresson-low', // Only low available (will be filtered)
   
-  // Portuguese PT (PT_PT) - SUPPORTED (maps to 'pt')
+  // Portuguese PT (PT_PT) - maps to 'pt'
   'tugão': 'pt_PT-tugão-medium',
   
-  // Romanian (RO_RO) - not in supported languages
+  // Romanian (RO_RO)
   'mihai': 'ro_RO-mihai-medium',
   
-  // Russian (RU_RU) - SUPPORTED
+  // Russian (RU_RU)
   'denis': 'ru_RU-denis-medium',
   'dmitri': 'ru_RU-dmitri-medium', // Default
   'irina': 'ru_RU-irina-medium',
   'ruslan': 'ru_RU-ruslan-medium',
   
-  // Slovak (SK_SK) - not in supported languages
+  // Slovak (SK_SK)
   'lili': 'sk_SK-lili-medium',
   
-  // Slovenian (SL_SI) - not in supported languages
+  // Slovenian (SL_SI)
   'artur': 'sl_SI-artur-medium',
   
-  // Serbian (SR_RS) - not in supported languages
+  // Serbian (SR_RS)
   'serbski_institut': 'sr_RS-serbski_institut-medium',
   
-  // Swedish (SV_SE) - not in supported languages
+  // Swedish (SV_SE)
   'nst': 'sv_SE-nst-medium',
   
-  // Swahili (SW_CD) - not in supported languages
+  // Swahili (SW_CD)
   'lanfrica': 'sw_CD-lanfrica-medium',
   
-  // Turkish (TR_TR) - not in supported languages
+  // Turkish (TR_TR)
   'dfki': 'tr_TR-dfki-medium',
   'fahrettin': 'tr_TR-fahrettin-medium',
   'fettah': 'tr_TR-fettah-medium',
@@ -166,10 +167,10 @@ export const PIPER_VOICES_MAPPING = {
   // 'ukrainian_tts': 'uk_UA-ukrainian_tts-medium', // Removed - quality too poor
   // 'lada': 'uk_UA-lada-x_low', // Removed - only x_low available
   
-  // Vietnamese (VI_VN) - not in supported languages
+  // Vietnamese (VI_VN)
   'vais1000': 'vi_VN-vais1000-medium',
   
-  // Chinese (ZH_CN) - SUPPORTED
+  // Chinese (ZH_CN)
   'huayan': 'zh_CN-huayan-medium' // Default (only one available)
 };
 
@@ -0,0 +1,122 @@
+// @ts-check
+// Piper voice download and removal using Offscreen Document API
+// Voice models are stored by TTS worker of offscreen document (piper-tts-web keeps them in OPFS).
+// Used by voice manager page to prefetch voices before going offline.
+
+import { log, logError } from '../utils/logging.js';
+import { setupOffscreenDocument } from './offline-tts-offscreen.js';
+
+/**
+ * Download is aborted if offscreen document sends no progress for this long
+ * @readonly
+ */
+const DOWNLOAD_IDLE_TIMEOUT_MS = 120000;
+
+/**
+ * Removal timeout (worker limit is 30s)
+ * @readonly
+ */
+const REMOVE_TIMEOUT_MS = 35000;
+
+/**
+ * Send voice request to offscreen document
+ * @param {string} type - Offscreen message type
+ * @param {string} voiceId - Voice ID
+ * @param {number} idleTimeoutMs - Timeout, restarted by download progress
+ * @param {function(number, number): void|null} [onProgress=null] - Progress callback (loaded, total bytes)
+ * @returns {Promise<void>}
+ * @throws {Error} If offscreen document fails or stops responding
+ */
+async function sendVoiceRequest(type, voiceId, idleTimeoutMs, onProgress = null) {
+  await setupOffscreenDocument();
+
+  /** @type {((message: any) => void)|null} */
+  let progressListener = null;
+  let idleTimeoutId = null;
+  try {
+    await new Promise((resolve, reject) => {
+      const resetIdleTimeout = () => {
+        if (idleTimeoutId) {
+          clearTimeout(idleTimeoutId);
+        }
+        idleTimeoutId = setTimeout(() => {
+          reject(new Error(`Voice ${type} timeout (no response for ${idleTimeoutMs / 1000}s)`));
+        }, idleTimeoutMs);
+      };
+
+      progressListener = (message) => {
+        if (message?.type === 'voiceDownloadProgress' && message.data?.voiceId === voiceId) {
+          resetIdleTimeout();
+          onProgress?.(message.data.loaded, message.data.total);
+        }
+      };
+      chrome.runtime.onMessage.addListener(progressListener);
+      resetIdleTimeout();
+
+      chrome.runtime.sendMessage(
+        {
+          target: 'offscreen',
+          type,
+          data: { voiceId }
+        },
+        (response) => {
+          if (chrome.runtime.lastError) {
+            reject(new Error(chrome.runtime.lastError.message));
+            return;
+          }
+          if (!response) {
+            reject(new Error('No response from offscreen document'));
+            return;
+          }
+          if (!response.success) {
+            reject(new Error(response.error || `Voice ${type} failed`));
+            return;
+          }
+          resolve(undefined);
+        }
+      );
+    });
+  } finally {
+    if (idleTimeoutId) {
+      clearTimeout(idleTimeoutId);
+    }
+    if (progressListener) {
+      chrome.runtime.onMessage.removeListener(progressListener);
+    }
+  }
+}
+
+/**
+ * Download voice model (no-op in worker if voice is already stored)
+ * Progress is also broadcast as 'voiceDownloadProgress' runtime messages.
+ * @param {string} voiceId - Voice ID
+ * @param {function(number, number): void|null} [onProgress=null] - Progress callback (loaded, total bytes)
+ * @returns {Promise<void>}
+ * @throws {Error} If download fails
+ */
+export async function downloadVoiceViaOffscreen(voiceId, onProgress = null) {
+  const startTime = Date.now();
+  try {
+    await sendVoiceRequest('DOWNLOAD_VOICE', voiceId, DOWNLOAD_IDLE_TIMEOUT_MS, onProgress);
+    log('[ClipAIble Piper Voices] Voice downloaded', { voiceId, duration: Date.now() - startTime });
+  } catch (error) {
+    logError('[ClipAIble Piper Voices] Voice download failed', { voiceId, error: error.message });
+    throw error;
+  }
+}
+
+/**
+ * Remove voice model
+ * @param {string} voiceId - Voice ID
+ * @returns {Promise<void>}
+ * @throws {Error} If removal fails
+ */
+export async function removeVoiceViaOffscreen(voiceId) {
+  try {
+    await sendVoiceRequest('REMOVE_VOICE', voiceId, REMOVE_TIMEOUT_MS);
+    log('[ClipAIble Piper Voices] Voice removed', { voiceId });
+  } catch (error) {
+    logError('[ClipAIble Piper Voices] Voice removal failed', { voiceId, error: error.message });
+    throw error;
+  }
+}
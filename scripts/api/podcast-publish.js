@@ -0,0 +1,245 @@
+// @ts-check
+// Export and publishing of podcast library
+// ZIP archive with feed.xml and media files, or upload of the same files to WebDAV directory
+// or S3-compatible bucket (AWS Signature Version 4). Media files already uploaded to the same target are skipped,
+// feed.xml is uploaded last, so podcast apps never see episodes without media.
+
+import { log, logWarn } from '../utils/logging.js';
+import JSZip from '../../lib/jszip-wrapper.js';
+import { buildPodcastFeed, PODCAST_FEED_FILENAME } from '../generation/podcast-feed.js';
+import { readPodcastAudio } from '../generation/podcast-library.js';
+
+/**
+ * Publishing targets
+ * @readonly
+ */
+export const PODCAST_TARGETS = ['webdav', 's3'];
+
+/**
+ * Storage key of files uploaded to target (PodcastPublishedRecord)
+ * @readonly
+ */
+export const PODCAST_PUBLISHED_STORAGE_KEY = 'podcast_published';
+
+/**
+ * @typedef {Object} PodcastFile
+ * @property {string} name - File name
+ * @property {Uint8Array<ArrayBuffer>} data - File content
+ * @property {string} type - MIME type
+ */
+
+/**
+ * @typedef {Object} PodcastPublishedRecord
+ * @property {string} targetType - Target type the files were uploaded to
+ * @property {string} targetUrl - Target URL the files were uploaded to
+ * @property {Array<string>} files - Uploaded media file names (feed is not recorded)
+ */
+
+/**
+ * @typedef {Object} PodcastTarget
+ * @property {string} type - 'webdav' or 's3'
+ * @property {string} url - WebDAV directory URL or S3 URL with bucket and optional prefix
+ * @property {string} username - WebDAV user or S3 access key ID
+ * @property {string} secret - WebDAV password or S3 secret access key
+ * @property {string} [region] - S3 region
+ */
+
+/**
+ * Collect feed and media files of library
+ * Episodes whose audio is missing in storage are left out of feed.
+ * @param {Array<import('../generation/podcast-library.js').PodcastEpisode>} episodes - Episodes, newest first
+ * @param {import('../generation/podcast-library.js').PodcastFeedSettings} feed - Feed settings
+ * @param {function(string): Promise<ArrayBuffer|null>} [readAudio] - Audio reader by episode ID
+ * @returns {Promise<Array<PodcastFile>>} Media files followed by feed
+ */
+export async function collectPodcastFiles(episodes, feed, readAudio = readPodcastAudio) {
+  /** @type {Array<PodcastFile>} */
+  const files = [];
+  const available = [];
+  for (const episode of episodes) {
+    const buffer = await readAudio(episode.id);
+    if (!buffer) {
+      logWarn('Podcast episode audio is missing, skipping', { id: episode.id, title: episode.title });
+      continue;
+    }
+    files.push({ name: episode.filename, data: new Uint8Array(buffer), type: episode.mimeType });
+    available.push(episode);
+  }
+  files.push({
+    name: PODCAST_FEED_FILENAME,
+    data: new TextEncoder().encode(buildPodcastFeed(available, feed)),
+    type: 'application/rss+xml'
+  });
+  return files;
+}
+
+/**
+ * Pack files into ZIP archive
+ * @param {Array<PodcastFile>} files - Files
+ * @returns {Promise<Blob>} ZIP archive
+ */
+export async function createPodcastArchive(files) {
+  const zip = new JSZip();
+  for (const file of files) {
+    zip.file(file.name, file.data, { compression: 'STORE' });
+  }
+  return /** @type {Promise<Blob>} */ (zip.generateAsync({ type: 'blob', mimeType: 'application/zip' }));
+}
+
+/**
+ * Build URL of file in target directory
+ * @param {string} directoryUrl - Directory URL
+ * @param {string} name - File name
+ * @returns {string}
+ */
+function getTargetFileUrl(directoryUrl, name) {
+  const base = directoryUrl.trim();
+  return `${base.endsWith('/') ? base : `${base}/`}${encodeURIComponent(name)}`;
+}
+
+/**
+ * Convert bytes to hex string
+ * @param {ArrayBuffer} buffer - Bytes
+ * @returns {string}
+ */
+function toHex(buffer) {
+  return [...new Uint8Array(buffer)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * SHA-256 of data
+ * @param {Uint8Array<ArrayBuffer>|string} data - Data
+ * @returns {Promise<string>} Hex digest
+ */
+async function sha256Hex(data) {
+  const bytes = typeof data === 'string' ? new TextEncoder().encode(data) : data;
+  return toHex(await crypto.subtle.digest('SHA-256', bytes));
+}
+
+/**
+ * HMAC-SHA256
+ * @param {ArrayBuffer|Uint8Array<ArrayBuffer>} key - Key
+ * @param {string} message - Message
+ * @returns {Promise<ArrayBuffer>}
+ */
+async function hmac(key, message) {
+  const cryptoKey = await crypto.subtle.importKey('raw', key, { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+  return crypto.subtle.sign('HMAC', cryptoKey, new TextEncoder().encode(message));
+}
+
+/**
+ * Sign S3 request with AWS Signature Version 4
+ * Only host, x-amz-content-sha256 and x-amz-date are signed, so any S3-compatible storage accepts request.
+ * @param {string} method - HTTP method
+ * @param {string} url - Object URL (path-style or virtual-hosted)
+ * @param {Uint8Array<ArrayBuffer>} body - Request body
+ * @param {{accessKeyId: string, secretAccessKey: string, region?: string}} credentials - Credentials
+ * @param {Date} [date] - Request time
+ * @returns {Promise<Record<string, string>>} Headers to send
+ */
+export async function signS3Request(method, url, body, credentials, date = new Date()) {
+  const { host, pathname } = new URL(url);
+  const region = credentials.region || 'us-east-1';
+  const amzDate = date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  const dateStamp = amzDate.slice(0, 8);
+  const payloadHash = await sha256Hex(body);
+  const signedHeaders = 'host;x-amz-content-sha256;x-amz-date';
+
+  const canonicalRequest = [
+    method,
+    pathname,
+    '',
+    `host:${host}\nx-amz-content-sha256:${payloadHash}\nx-amz-date:${amzDate}\n`,
+    signedHeaders,
+    payloadHash
+  ].join('\n');
+  const scope = `${dateStamp}/${region}/s3/aws4_request`;
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, await sha256Hex(canonicalRequest)].join('\n');
+
+  let key = await hmac(new TextEncoder().encode(`AWS4${credentials.secretAccessKey}`), dateStamp);
+  for (const part of [region, 's3', 'aws4_request']) {
+    key = await hmac(key, part);
+  }
+  const signature = toHex(await hmac(key, stringToSign));
+
+  return {
+    'x-amz-content-sha256': payloadHash,
+    'x-amz-date': amzDate,
+    'Authorization': `AWS4-HMAC-SHA256 Credential=${credentials.accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+  };
+}
+
+/**
+ * Upload one file to target
+ * @param {PodcastFile} file - File
+ * @param {PodcastTarget} target - Target
+ * @returns {Promise<void>}
+ * @throws {Error} If server rejects upload
+ */
+async function uploadFile(file, target) {
+  const url = getTargetFileUrl(target.url, file.name);
+  /** @type {Record<string, string>} */
+  let headers = { 'Content-Type': file.type };
+
+  if (target.type === 's3') {
+    headers = {
+      ...headers,
+      ...await signS3Request('PUT', url, file.data, {
+        accessKeyId: target.username,
+        secretAccessKey: target.secret,
+        region: target.region
+      })
+    };
+  } else if (target.username) {
+    const credentials = new TextEncoder().encode(`${target.username}:${target.secret}`);
+    headers.Authorization = `Basic ${btoa(String.fromCharCode(...credentials))}`;
+  }
+
+  const response = await fetch(url, { method: 'PUT', headers, body: file.data });
+  if (!response.ok) {
+    throw new Error(`${file.name}: HTTP ${response.status}`);
+  }
+}
+
+/**
+ * Upload podcast files to target
+ * @param {Array<PodcastFile>} files - Media files followed by feed
+ * @param {PodcastTarget} target - Target
+ * @param {function(number, number): void} [onProgress] - Progress callback (uploaded, total)
+ * @returns {Promise<{uploaded: number, skipped: number}>}
+ * @throws {Error} If target is not configured or upload fails
+ */
+export async function publishPodcast(files, target, onProgress) {
+  if (!PODCAST_TARGETS.includes(target.type) || !/^https?:\/\//i.test(target.url || '')) {
+    throw new Error('Podcast publishing target is not configured');
+  }
+
+  const stored = await chrome.storage.local.get([PODCAST_PUBLISHED_STORAGE_KEY]);
+  const published = /** @type {PodcastPublishedRecord|undefined} */ (stored[PODCAST_PUBLISHED_STORAGE_KEY]);
+  // WebDAV directory and S3 bucket may share URL: files count as uploaded only for the same type and URL
+  const sameTarget = published?.targetType === target.type && published.targetUrl === target.url;
+  const done = new Set(sameTarget && Array.isArray(published.files) ? published.files : []);
+
+  // Feed changes with every episode and is always uploaded
+  const pending = files.filter(file => file.name === PODCAST_FEED_FILENAME || !done.has(file.name));
+  let uploaded = 0;
+  try {
+    for (const file of pending) {
+      await uploadFile(file, target);
+      done.add(file.name);
+      uploaded++;
+      onProgress?.(uploaded, pending.length);
+    }
+  } finally {
+    /** @type {PodcastPublishedRecord} */
+    const record = {
+      targetType: target.type,
+      targetUrl: target.url,
+      files: [...done].filter(name => name !== PODCAST_FEED_FILENAME)
+    };
+    await chrome.storage.local.set({ [PODCAST_PUBLISHED_STORAGE_KEY]: record });
+  }
+
+  log('Podcast published', { target: target.type, uploaded, skipped: files.length - pending.length });
+  return { uploaded, skipped: files.length - pending.length };
+}
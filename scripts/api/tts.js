@@ -6,6 +6,11 @@ import { log, logError, logDebug, logWarn } from '../utils/logging.js';
 import { CONFIG } from '../utils/config.js';
 import { callWithRetry } from '../utils/retry.js';
 import { AUDIO_CONFIG } from '../generation/audio-prep.js';
+import { splitChapters } from '../generation/audio-chapters.js';
+import { createPauseSegment } from '../generation/audio-narration.js';
+import { parsePronunciationLexicon, applyPronunciation, PRONUNCIATION_LEXICON_SETTING_KEY } from '../generation/audio-pronunciation.js';
+import { detectLanguageByCharacters } from '../translation/detection.js';
+import { getAudioCacheKey, readCachedAudio, saveCachedAudio } from '../cache/tts-audio.js';
 import { PROCESSING_STAGES } from '../state/processing.js';
 import { getUILanguage, tSync } from '../locales.js';
 import { getUILanguageCached, checkCancellation } from '../utils/pipeline-helpers.js';
@@ -43,8 +48,68 @@ log('[ClipAIble TTS] TTS module initialized with all providers', {
   providers: ['openai', 'elevenlabs', 'qwen', 'respeecher', 'google', 'offline']
 });
 
+/**
+ * Parsed pronunciation lexicon, parsed again only when lexicon text changes
+ * @type {{source: string|null, rules: Array<import('../generation/audio-pronunciation.js').PronunciationRule>}}
+ */
+let pronunciationCache = { source: null, rules: [] };
+
+/**
+ * Get phoneme tag format supported by provider and model
+ * @param {Partial<import('../types.js').TTSOptions>} options - TTS options
+ * @returns {'ssml'|null} Tag format, null if provider reads tags as text
+ */
+function getPhonemeFormat(options) {
+  if (options.provider === 'elevenlabs') {
+    const model = options.elevenlabsModel || ELEVENLABS_CONFIG.DEFAULT_MODEL;
+    return ELEVENLABS_CONFIG.PHONEME_MODELS.includes(model) ? 'ssml' : null;
+  }
+  return null;
+}
+
+/**
+ * Apply user pronunciation lexicon to TTS input
+ * @param {string} text - Text for TTS
+ * @param {Partial<import('../types.js').TTSOptions>} options - TTS options (provider, model, language)
+ * @returns {Promise<string>} Text with lexicon rules applied (unchanged if lexicon is empty or cannot be read)
+ */
+async function applyPronunciationLexicon(text, options) {
+  let source = '';
+  try {
+    const settings = await chrome.storage.local.get([PRONUNCIATION_LEXICON_SETTING_KEY]);
+    source = typeof settings[PRONUNCIATION_LEXICON_SETTING_KEY] === 'string' ? settings[PRONUNCIATION_LEXICON_SETTING_KEY] : '';
+  } catch (error) {
+    logWarn('[ClipAIble TTS] Failed to read pronunciation lexicon', { error: error.message });
+    return text;
+  }
+  if (!source.trim() || !text) {
+    return text;
+  }
+
+  if (pronunciationCache.source !== source) {
+    const { rules, errors } = parsePronunciationLexicon(source);
+    if (errors.length > 0) {
+      logWarn('[ClipAIble TTS] Pronunciation lexicon has invalid rules, they are skipped', { errors: errors.slice(0, 10) });
+    }
+    pronunciationCache = { source, rules };
+  }
+  const { rules } = pronunciationCache;
+
+  // Language-specific rules need article language, detect it from text for 'auto'
+  let language = options.language || 'auto';
+  if (language === 'auto' && rules.some(rule => rule.languages.length > 0)) {
+    language = detectLanguageByCharacters(text);
+  }
+  const result = applyPronunciation(text, rules, { language, phonemes: getPhonemeFormat(options) });
+  if (result !== text) {
+    log('[ClipAIble TTS] Pronunciation lexicon applied', { rules: rules.length, language, lengthChange: result.length - text.length });
+  }
+  return result;
+}
+
 /**
  * Convert text to speech using TTS API (OpenAI, ElevenLabs, Qwen, Respeecher, Google Cloud TTS, or Offline)
+ * Pronunciation lexicon from settings is applied to text first
  * @param {string} text - Text to convert (required)
  * @param {string} [apiKey] - API key (OpenAI, ElevenLabs, Qwen, Respeecher, or Google Cloud) - optional for 'offline' provider, required for others
  * @param {import('../types.js').TTSOptions} [options={}] - TTS options
@@ -85,6 +150,12 @@ export async function textToSpeech(text, apiKey, options = {}) {
   const entryTime = Date.now();
   const { provider = 'openai' } = options;
   
+  // User pronunciation lexicon is applied to input of every provider
+  // (synthesizeChunks applies it before splitting text for provider limits)
+  if (!options.pronunciationApplied) {
+    text = await applyPronunciationLexicon(text, { ...options, provider });
+  }
+  
   log('[ClipAIble TTS] === textToSpeech ENTRY POINT ===', {
     timestamp: entryTime,
     provider,
@@ -817,21 +888,71 @@ async function executePiperTTSInPage(text, tabId, options = {}) {
 
 /**
  * Convert multiple text chunks to speech and concatenate
+ * @param {Array<{text: string, index: number, chapters?: Array<import('../generation/audio-chapters.js').ChunkChapter>}>} chunks - Prepared text chunks
+ * @param {string} apiKey - API key (OpenAI, ElevenLabs, Qwen, Respeecher, or Google Cloud)
+ * @param {Partial<import('../types.js').TTSOptions>} [options={}] - TTS options
+ * @returns {Promise<ArrayBuffer>} Concatenated audio data as ArrayBuffer
+ * @throws {Error} If chunks array is empty
+ * @throws {Error} If API key is missing (for non-offline providers)
+ * @throws {Error} If TTS conversion fails for all chunks
+ * @throws {Error} If network error occurs
+ * @see {@link synthesizeChunks} For audio of every chunk separately (chapter markers)
+ */
+export async function chunksToSpeech(chunks, apiKey, options = {}, updateState = null) {
+  const segments = await synthesizeChunks(chunks, apiKey, options, updateState);
+  return assembleAudioSegments(segments, updateState);
+}
+
+/**
+ * Concatenate audio segments into one file
+ * @param {Array<{buffer: ArrayBuffer}>} segments - Audio segments in playback order
+ * @param {function(Partial<import('../types.js').ProcessingState>): void|null} [updateState=null] - State update callback
+ * @returns {ArrayBuffer} Concatenated audio data
+ */
+export function assembleAudioSegments(segments, updateState = null) {
+  // Log all buffers before concatenation
+  log('=== CONCATENATION START ===', { buffersCount: segments.length });
+  
+  // Final progress update before concatenation
+  updateState?.({ 
+    status: 'Assembling audio file...', 
+    progress: 95 
+  });
+  
+  const concatenated = concatenateAudioBuffers(segments.map(segment => segment.buffer));
+  
+  // Check final result
+  log('=== CONCATENATION COMPLETE ===', { chunkCount: segments.length, totalSize: concatenated.byteLength });
+  
+  return concatenated;
+}
+
+/**
+ * Convert multiple text chunks to speech, one audio segment per TTS request
  * 
  * Note: Requests are processed sequentially (one at a time) to avoid hitting
  * concurrent request limits. For Respeecher, this means we stay within the
  * 5 concurrent requests limit (1 for free trial accounts).
  * 
- * @param {Array<{text: string, index: number}>} chunks - Prepared text chunks
+ * Chapters of chunks are kept with segments: chunk split for TTS limit gets chapters by position,
+ * chapters of failed chunk move to start of next segment.
+ * 
+ * Multi-voice narration: chunk voice overrides options.voice, pause before chunk becomes
+ * separate silent (or chime) segment when provider returns WAV.
+ * 
+ * Every synthesized chunk is saved to audio cache right away (any provider, Piper TTS (offline) too):
+ * failed, cancelled or interrupted job resumes from cached chunks on next run.
+ * 
+ * @param {Array<{text: string, index: number, chapters?: Array<import('../generation/audio-chapters.js').ChunkChapter>, voice?: string, pauseMs?: number, chime?: boolean}>} chunks - Prepared text chunks
  * @param {string} apiKey - API key (OpenAI, ElevenLabs, Qwen, Respeecher, or Google Cloud)
  * @param {Partial<import('../types.js').TTSOptions>} [options={}] - TTS options
- * @returns {Promise<ArrayBuffer>} Concatenated audio data as ArrayBuffer
+ * @returns {Promise<Array<{buffer: ArrayBuffer, chapters: Array<import('../generation/audio-chapters.js').ChunkChapter>, index: number|null}>>} Audio segments in playback order (index of source chunk, null for pauses)
  * @throws {Error} If chunks array is empty
  * @throws {Error} If API key is missing (for non-offline providers)
- * @throws {Error} If TTS conversion fails for any chunk
+ * @throws {Error} If TTS conversion fails for all chunks
  * @throws {Error} If network error occurs
  */
-export async function chunksToSpeech(chunks, apiKey, options = {}, updateState = null) {
+export async function synthesizeChunks(chunks, apiKey, options = {}, updateState = null) {
   const entryTime = Date.now();
   log('[ClipAIble TTS] === chunksToSpeech ENTRY POINT ===', {
     timestamp: entryTime,
@@ -889,14 +1010,22 @@ export async function chunksToSpeech(chunks, apiKey, options = {}, updateState =
   });
   
   // Expand chunks that exceed TTS limit
+  // Pronunciation lexicon is applied before splitting, respelling and phoneme tags make text longer
+  const ttsOptions = { ...options, pronunciationApplied: true };
   const expandedChunks = [];
   for (const chunk of chunks) {
-    const parts = splitIfTooLong(chunk.text, maxInput);
+    const text = await applyPronunciationLexicon(chunk.text, options);
+    const parts = splitIfTooLong(text, maxInput);
+    const partChapters = splitChapters(chunk.chapters || [], parts);
     for (let i = 0; i < parts.length; i++) {
       expandedChunks.push({
         text: parts[i],
         index: chunk.index,
-        subIndex: parts.length > 1 ? i : null
+        subIndex: parts.length > 1 ? i : null,
+        chapters: partChapters[i],
+        voice: chunk.voice,
+        pauseMs: i === 0 ? chunk.pauseMs || 0 : 0,
+        chime: i === 0 && Boolean(chunk.chime)
       });
     }
   }
@@ -907,7 +1036,10 @@ export async function chunksToSpeech(chunks, apiKey, options = {}, updateState =
     expansionRatio: chunks.length > 0 ? `${Math.round((expandedChunks.length / chunks.length) * 100)}%` : '0%'
   });
   
-  const audioBuffers = [];
+  /** @type {Array<{buffer: ArrayBuffer, chapters: Array<import('../generation/audio-chapters.js').ChunkChapter>, index: number|null}>} */
+  const segments = [];
+  /** @type {Array<import('../generation/audio-chapters.js').ChunkChapter>} */
+  let pendingChapters = [];
   const progressBase = 60; // Start at 60% (after preparation)
   const progressRange = 35; // Use 60-95% for TTS conversion
   
@@ -968,6 +1100,7 @@ export async function chunksToSpeech(chunks, apiKey, options = {}, updateState =
   }
   
   const failedChunks = [];
+  let cachedChunks = 0;
   
   try {
     for (let i = 0; i < expandedChunks.length; i++) {
@@ -977,28 +1110,43 @@ export async function chunksToSpeech(chunks, apiKey, options = {}, updateState =
       const chunk = expandedChunks[i];
       let chunkProcessed = false;
       let lastChunkError = null;
+      // Multi-voice narration: section voice replaces main voice
+      const chunkOptions = chunk.voice ? { ...ttsOptions, voice: chunk.voice } : ttsOptions;
       
       // Use centralized retry logic for each chunk
       try {
-        const audioBuffer = await callWithRetry(
-          async () => {
-            // Pass all options including ElevenLabs advanced settings, OpenAI instructions, and tabId for offline TTS
-            return await textToSpeech(chunk.text, apiKey, options);
-          },
-          {
-            maxRetries: CONFIG.RETRY_MAX_ATTEMPTS,
-            delays: CONFIG.RETRY_DELAYS,
-            retryableStatusCodes: CONFIG.RETRYABLE_STATUS_CODES,
-            onRetry: (attempt, delay) => {
-              logWarn(`Chunk ${i + 1} failed, retrying... (attempt ${attempt}/${CONFIG.RETRY_MAX_ATTEMPTS + 1}, waiting ${delay}ms)`, {
-                chunkIndex: i + 1,
-                totalChunks: expandedChunks.length
-              });
+        const cacheKey = getAudioCacheKey(chunk.text, chunkOptions);
+        let audioBuffer = await readCachedAudio(cacheKey);
+        if (audioBuffer) {
+          cachedChunks++;
+        } else {
+          audioBuffer = await callWithRetry(
+            async () => {
+              // Pass all options including ElevenLabs advanced settings, OpenAI instructions, and tabId for offline TTS
+              return await textToSpeech(chunk.text, apiKey, chunkOptions);
+            },
+            {
+              maxRetries: CONFIG.RETRY_MAX_ATTEMPTS,
+              delays: CONFIG.RETRY_DELAYS,
+              retryableStatusCodes: CONFIG.RETRYABLE_STATUS_CODES,
+              onRetry: (attempt, delay) => {
+                logWarn(`Chunk ${i + 1} failed, retrying... (attempt ${attempt}/${CONFIG.RETRY_MAX_ATTEMPTS + 1}, waiting ${delay}ms)`, {
+                  chunkIndex: i + 1,
+                  totalChunks: expandedChunks.length
+                });
+              }
             }
-          }
-        );
+          );
+          await saveCachedAudio(cacheKey, audioBuffer);
+        }
         
-        audioBuffers.push(audioBuffer);
+        // Pause before section goes before chapters of chunk, chapter starts with the voice
+        const pause = chunk.pauseMs > 0 && segments.length > 0 ? createPauseSegment(audioBuffer, chunk.pauseMs, chunk.chime) : null;
+        if (pause) {
+          segments.push({ buffer: pause, chapters: [], index: null });
+        }
+        segments.push({ buffer: audioBuffer, chapters: [...pendingChapters, ...chunk.chapters], index: chunk.index });
+        pendingChapters = [];
         processedChunks = i + 1; // Update counter for progress tracker
         chunkProcessed = true;
       } catch (error) {
@@ -1012,6 +1160,8 @@ export async function chunksToSpeech(chunks, apiKey, options = {}, updateState =
           retries: CONFIG.RETRY_MAX_ATTEMPTS + 1
         };
         failedChunks.push(chunkError);
+        // Chapter starting in failed chunk starts with next chunk
+        pendingChapters.push(...chunk.chapters.map(chapter => ({ title: chapter.title, position: 0 })));
         
         logError(`Failed to convert chunk ${i + 1}/${expandedChunks.length} after ${CONFIG.RETRY_MAX_ATTEMPTS + 1} attempts`, {
           chunkIndex: i + 1,
@@ -1019,7 +1169,7 @@ export async function chunksToSpeech(chunks, apiKey, options = {}, updateState =
           error: error?.message,
           status: error?.status,
           failedChunksCount: failedChunks.length,
-          processedChunksCount: audioBuffers.length,
+          processedChunksCount: segments.length,
           willContinue: true
         });
         
@@ -1029,7 +1179,7 @@ export async function chunksToSpeech(chunks, apiKey, options = {}, updateState =
     }
     
     // Check if we have any successfully processed chunks
-    if (audioBuffers.length === 0) {
+    if (segments.length === 0) {
       const uiLang = await getUILanguageCached();
       const errorMsg = failedChunks.length > 0
         ? `All ${expandedChunks.length} chunks failed. Last error: ${failedChunks[failedChunks.length - 1].error}`
@@ -1037,12 +1187,21 @@ export async function chunksToSpeech(chunks, apiKey, options = {}, updateState =
       throw new Error(tSync('errorTtsAllChunksFailed', uiLang) || errorMsg);
     }
     
+    if (cachedChunks > 0) {
+      log('[ClipAIble TTS] Chunks taken from audio cache', {
+        cachedChunks,
+        synthesizedChunks: expandedChunks.length - cachedChunks - failedChunks.length,
+        totalChunks: expandedChunks.length
+      });
+    }
+    
     // Log summary of failed chunks (if any)
     if (failedChunks.length > 0) {
-      const successRate = ((audioBuffers.length / expandedChunks.length) * 100).toFixed(1);
+      const successfulChunks = expandedChunks.length - failedChunks.length;
+      const successRate = ((successfulChunks / expandedChunks.length) * 100).toFixed(1);
       logWarn(`TTS processing completed with ${failedChunks.length} failed chunk(s)`, {
         totalChunks: expandedChunks.length,
-        successfulChunks: audioBuffers.length,
+        successfulChunks,
         failedChunks: failedChunks.length,
         successRate: `${successRate}%`,
         failedChunkIndices: failedChunks.map(c => c.index),
@@ -1057,21 +1216,7 @@ export async function chunksToSpeech(chunks, apiKey, options = {}, updateState =
     }
   }
   
-  // Log all buffers before concatenation
-  log('=== CONCATENATION START ===', { buffersCount: audioBuffers.length });
-  
-  // Final progress update before concatenation
-  updateState?.({ 
-    status: 'Assembling audio file...', 
-    progress: 95 
-  });
-  
-  const concatenated = concatenateAudioBuffers(audioBuffers);
-  
-  // Check final result
-  log('=== CONCATENATION COMPLETE ===', { chunkCount: audioBuffers.length, totalSize: concatenated.byteLength });
-  
-  return concatenated;
+  return segments;
 }
 
 /**
@@ -1264,7 +1409,8 @@ export function getAudioMimeType(format) {
     'aac': 'audio/aac',
     'flac': 'audio/flac',
     'wav': 'audio/wav',
-    'pcm': 'audio/pcm'
+    'pcm': 'audio/pcm',
+    'm4b': 'audio/mp4'
   };
   return mimeTypes[format] || 'audio/mpeg';
 }
@@ -1304,7 +1450,8 @@ export function getAudioExtension(format) {
     'aac': 'aac',
     'flac': 'flac',
     'wav': 'wav',
-    'pcm': 'pcm'
+    'pcm': 'pcm',
+    'm4b': 'm4b'
   };
   return extensions[format] || 'mp3';
 }
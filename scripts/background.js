@@ -77,12 +77,18 @@ import { initKeepAlive } from './background/keep-alive.js';
 import { initContextMenu } from './background/context-menu.js';
 import { updateContextMenuWithLang } from './utils/context-menu.js';
 import { handleQuickSave } from './background/quicksave.js';
+import { handleElementPicker } from './background/element-picker.js';
+import { isContentReviewEnabled, requestContentReview } from './processing/review.js';
 import { initLogging } from './background/logging.js';
 import { initPortListener } from './background/port-listener.js';
 import { initOrchestration } from './background/orchestration.js';
+import { initQueueRunner } from './background/queue-runner.js';
+import * as queueState from './state/queue.js';
+import * as anthologyState from './state/anthology.js';
 import { 
   setError,
   setResult,
+  cancelProcessing,
   updateState,
   ERROR_CODES,
   PROCESSING_STAGES
@@ -91,7 +97,11 @@ import {
   validateAndInitializeProcessing,
   handlePdfPageProcessing,
   handleVideoPageProcessing,
-  handleStandardArticleProcessing
+  handleStandardArticleProcessing,
+  handleAnthologyProcessing,
+  handleSummaryExportProcessing,
+  extractPageContent,
+  prepareQuickSaveProcessingData
 } from './utils/processing-helpers.js';
 import { 
   checkCancellation,
@@ -114,7 +124,8 @@ import { detectVideoPlatform } from './utils/video.js';
 import { initNotifications } from './background/notifications.js';
 import { 
   getProcessingState, 
-  saveStateToStorageImmediate
+  saveStateToStorageImmediate,
+  setQueueJobLock
 } from './state/processing.js';
 
 // Import processing functions needed for message routing
@@ -157,7 +168,9 @@ const initializationModule = initInitialization({
   getProcessingState,
   restoreStateFromStorage,
   runInitialization,
-  startKeepAlive
+  startKeepAlive,
+  // Queue runner is created after orchestration - resolved lazily when initialization runs
+  resumeQueue: () => queueRunner.resumeQueue()
 });
 
 // Initialize extension
@@ -204,6 +217,11 @@ const orchestrationModule = initOrchestration({
   handlePdfPageProcessing,
   handleVideoPageProcessing,
   handleStandardArticleProcessing,
+  handleAnthologyProcessing,
+  handleSummaryExportProcessing,
+  saveAnthologyChapter: anthologyState.saveAnthologyChapter,
+  isContentReviewEnabled,
+  requestContentReview,
   checkCancellation,
   updateProgress,
   getUILanguageCached,
@@ -225,7 +243,28 @@ const orchestrationModule = initOrchestration({
 });
 
 // Extract orchestration functions for use in background.js and other modules
-const { startArticleProcessing, continueProcessingPipeline } = orchestrationModule;
+const { startArticleProcessing, continueProcessingPipeline, startAnthologyProcessing, startSummaryExport } = orchestrationModule;
+
+// Initialize batch queue runner with DI (must be after orchestration module)
+const queueRunner = initQueueRunner({
+  log,
+  logWarn,
+  logError,
+  CONFIG,
+  getUILanguage,
+  tSync,
+  getProcessingState,
+  cancelProcessing,
+  setQueueJobLock,
+  stopKeepAlive,
+  startArticleProcessing: (data) => startArticleProcessing(data, extractFromPageInlined),
+  startAnthologyProcessing,
+  extractPageContent,
+  prepareQuickSaveProcessingData,
+  createNotification: notificationsModule.createNotification,
+  queue: queueState,
+  anthology: anthologyState
+});
 
 // Initialize context menu module with DI
 const contextMenuModule = initContextMenu({
@@ -237,7 +276,9 @@ const contextMenuModule = initContextMenu({
   handleError,
   getUILanguage,
   updateContextMenuWithLang,
-  handleQuickSave
+  handleQuickSave,
+  handleElementPicker,
+  addToQueue: queueRunner.enqueue
 });
 
 // Initialize context menu listeners (will be done after extractFromPageInlined is defined)
@@ -317,7 +358,9 @@ try {
       stopKeepAlive,
       addLogToCollection,
       exportAllLogsToFile,
-      startKeepAlive
+      startKeepAlive,
+      startSummaryExport,
+      queueRunner
     });
     
     if (!isFrequentAction) {
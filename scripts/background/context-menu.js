@@ -17,7 +17,9 @@ export function initContextMenu(deps) {
     handleError,
     getUILanguage,
     updateContextMenuWithLang,
-    handleQuickSave
+    handleQuickSave,
+    handleElementPicker,
+    addToQueue
   } = deps;
 
   // Format mapping for context menu items
@@ -29,6 +31,21 @@ export function initContextMenu(deps) {
     'save-as-audio': 'audio'
   };
 
+  // Format mapping for "Save selection as" items (only selected text/region is saved)
+  const SELECTION_FORMAT_MENU_IDS = {
+    'save-selection-as-pdf': 'pdf',
+    'save-selection-as-epub': 'epub',
+    'save-selection-as-fb2': 'fb2',
+    'save-selection-as-markdown': 'markdown',
+    'save-selection-as-audio': 'audio'
+  };
+
+  // Context menu item that adds page to batch queue instead of saving it immediately
+  const ADD_TO_QUEUE_MENU_ID = 'add-to-queue';
+
+  // Context menu item that opens element picker to fix article container of the site
+  const PICK_CONTENT_MENU_ID = 'clipaible-pick-content';
+
   // Flag to prevent concurrent context menu updates
   let isUpdatingContextMenu = false;
 
@@ -359,6 +376,53 @@ export function initContextMenu(deps) {
     // Listen for context menu clicks
     try {
       chrome.contextMenus.onClicked.addListener((info, tab) => {
+        if (info.menuItemId === ADD_TO_QUEUE_MENU_ID) {
+          const tabUrl = tab?.url || info.pageUrl || '';
+          log('Context menu add to queue clicked', { tabId: tab?.id, url: tabUrl });
+          
+          if (!addToQueue) {
+            logWarn('Batch queue is not available, ignoring add to queue');
+            return;
+          }
+          
+          // Output format is taken from main format setting; non-web pages are skipped by the queue
+          addToQueue([{ url: tabUrl, title: tab?.title, tabId: tab?.id ?? null }]).catch(error => {
+            logError('Context menu add to queue failed', error);
+          });
+          return;
+        }
+        
+        if (info.menuItemId === PICK_CONTENT_MENU_ID) {
+          log('Context menu pick content clicked', { tabId: tab?.id });
+          
+          if (!tab?.id || !handleElementPicker) {
+            logWarn('Element picker is not available, ignoring', { tabId: tab?.id });
+            return;
+          }
+          
+          // Internal pages are reported to user by handleElementPicker
+          handleElementPicker(tab.id).catch(error => {
+            logError('Context menu pick content failed', error);
+          });
+          return;
+        }
+        
+        const selectionFormat = SELECTION_FORMAT_MENU_IDS[info.menuItemId];
+        if (selectionFormat) {
+          log('Context menu save selection clicked', { format: selectionFormat, tabId: tab?.id });
+          
+          if (!tab?.id) {
+            logError('Context menu clicked but no tab ID available', { info, tab });
+            return;
+          }
+          
+          // Internal pages and missing selection are reported to user by handleQuickSave
+          handleQuickSave(selectionFormat, startArticleProcessing, tab.id, { selectionOnly: true }).catch(error => {
+            logError('Context menu save selection failed', error);
+          });
+          return;
+        }
+        
         const format = FORMAT_MENU_IDS[info.menuItemId];
         if (format) {
           // CRITICAL: Use tab from context menu event, not active tab
@@ -0,0 +1,41 @@
+// @ts-check
+// Element picker handler for context menu and popup
+// Picked container and exclusions are saved as user-authored selectors of page domain
+
+import { log, logError } from '../utils/logging.js';
+import { pickArticleElements } from '../extraction/picker.js';
+import { saveUserSelectors } from '../cache/selectors.js';
+import { createNotification } from './notifications.js';
+import { getUILanguage, tSync } from '../locales.js';
+
+/**
+ * Run element picker in tab and save result for its domain
+ * Result is reported with notification: popup is already closed when user picks elements
+ * @param {number} tabId - Tab ID
+ * @returns {Promise<{domain: string, selectors: import('../types.js').SelectorResult}|null>} Saved entry, null if cancelled or failed
+ */
+export async function handleElementPicker(tabId) {
+  log('Element picker triggered', { tabId });
+  const uiLang = await getUILanguage();
+
+  try {
+    const tab = await chrome.tabs.get(tabId);
+    if (!tab.url || !/^https?:\/\//i.test(tab.url)) {
+      await createNotification(tSync('errorPickerPageNotSupported', uiLang));
+      return null;
+    }
+
+    const picked = await pickArticleElements(tabId);
+    if (!picked) {
+      return null;
+    }
+
+    const saved = await saveUserSelectors(tab.url, picked);
+    await createNotification(tSync('pickerSaved', uiLang).replace('{domain}', saved.domain));
+    return saved;
+  } catch (error) {
+    logError('Element picker failed', error);
+    await createNotification(tSync('errorPickerFailed', uiLang).replace('{error}', error?.message || 'unknown'));
+    return null;
+  }
+}
@@ -17,7 +17,8 @@ export function initInitialization(deps) {
     getProcessingState,
     restoreStateFromStorage,
     runInitialization,
-    startKeepAlive
+    startKeepAlive,
+    resumeQueue
   } = deps;
 
   /**
@@ -27,6 +28,7 @@ export function initInitialization(deps) {
    * - Resetting stale processing state on extension reload
    * - Clearing summary on extension reload
    * - Restoring state if it's recent (quick restart)
+   * - Restoring batch queue and continuing pending jobs
    * - Running initialization tasks (migration, default settings)
    * @returns {void}
    */
@@ -201,6 +203,22 @@ export function initInitialization(deps) {
           });
           logWarn('Failed to restore state on service worker start', normalized);
         }
+        
+        // Restore queue only after processing state - queue runner must see restored state
+        // to tell processing left from previous service worker apart from new processing
+        if (resumeQueue) {
+          try {
+            await resumeQueue();
+          } catch (error) {
+            const normalized = await handleError(error, {
+              source: 'initialization',
+              errorType: 'queueRestoreFailed',
+              logError: false,
+              createUserMessage: false
+            });
+            logWarn('Failed to restore processing queue on service worker start', normalized);
+          }
+        }
       } catch (error) {
         const normalized = await handleError(error, {
           source: 'initialization',
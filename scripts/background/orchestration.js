@@ -5,7 +5,7 @@
 /**
  * Initialize orchestration module with dependencies
  * @param {import('../types.js').OrchestrationDependencies} deps - Dependencies object
- * @returns {{startArticleProcessing: function(import('../types.js').ProcessingData, Function): Promise<boolean>, continueProcessingPipeline: function(import('../types.js').ProcessingData, import('../types.js').ExtractionResult, import('../types.js').StopKeepAliveFunction?): Promise<void>}} Orchestration functions
+ * @returns {{startArticleProcessing: function(import('../types.js').ProcessingData, Function): Promise<boolean>, continueProcessingPipeline: function(import('../types.js').ProcessingData, import('../types.js').ExtractionResult, import('../types.js').StopKeepAliveFunction?): Promise<void>, startAnthologyProcessing: function(import('../types.js').ProcessingData, Array<import('../types.js').AnthologyChapter>): Promise<boolean>, startSummaryExport: function(import('../types.js').ProcessingData, import('../types.js').ExtractionResult): Promise<boolean>}} Orchestration functions
  */
 export function initOrchestration(deps) {
   const {
@@ -22,6 +22,11 @@ export function initOrchestration(deps) {
     handlePdfPageProcessing,
     handleVideoPageProcessing,
     handleStandardArticleProcessing,
+    handleAnthologyProcessing,
+    handleSummaryExportProcessing,
+    saveAnthologyChapter,
+    isContentReviewEnabled,
+    requestContentReview,
     checkCancellation,
     updateProgress,
     getUILanguageCached,
@@ -230,6 +235,17 @@ export function initOrchestration(deps) {
     // Check if processing was cancelled
   await checkCancellation('start of pipeline');
   
+  // Optional review step: user edits extracted content before translation and generation
+  // Batch queue jobs run unattended, so they are never stopped for review
+  if (!data.queueJobId && await isContentReviewEnabled()) {
+    const reviewed = await requestContentReview(data, result, actualStopKeepAlive);
+    if (!reviewed) {
+      log('Processing cancelled during content review');
+      return;
+    }
+    result = reviewed;
+  }
+  
   // CRITICAL: Save original detectedLanguage BEFORE translation
   // If translation happens, the content will be in target language, but we need to preserve
   // the source language for abstract generation when language is 'auto'
@@ -380,6 +396,33 @@ export function initOrchestration(deps) {
     }
   }
   
+  // Queued anthology chapter: keep processed article, the book is generated once all its chapters are done
+  if (data.anthologyId && data.queueJobId) {
+    await saveAnthologyChapter(data.queueJobId, {
+      title: result.title,
+      author: result.author || '',
+      publishDate: result.publishDate || '',
+      abstract: result.abstract || '',
+      sourceUrl: data.url,
+      language: effectiveLanguage,
+      content: result.content,
+      settings: {
+        generateToc: data.generateToc || false,
+        generateAbstract: data.generateAbstract || false,
+        stylePreset: data.stylePreset,
+        fontFamily: data.fontFamily,
+        fontSize: data.fontSize,
+        bgColor: data.bgColor,
+        textColor: data.textColor,
+        headingColor: data.headingColor,
+        linkColor: data.linkColor,
+        pageMode: data.pageMode
+      }
+    });
+    log('📚 Article saved as anthology chapter', { anthologyId: data.anthologyId, jobId: data.queueJobId });
+    return;
+  }
+  
   // Prepare data for factory (add effectiveLanguage for audio generation)
   const factoryData = {
     ...data,
@@ -404,9 +447,65 @@ export function initOrchestration(deps) {
     // that calls this function, not here (since we return a promise from generate*)
   }
 
+  /**
+   * Start anthology generation from chapters collected by the batch queue
+   * @param {import('../types.js').ProcessingData} data - Book-level processing data (outputFormat, TOC/abstract flags, PDF style)
+   * @param {Array<import('../types.js').AnthologyChapter>} chapters - Chapters in book order
+   * @returns {Promise<boolean>}
+   */
+  async function startAnthologyProcessing(data, chapters) {
+    if (!(await validateAndInitializeProcessing(data, stopKeepAlive, startKeepAlive))) {
+      return false;
+    }
+    
+    log('📚 Starting anthology processing', {
+      outputFormat: data.outputFormat,
+      chapters: chapters.length,
+      generateToc: data.generateToc,
+      generateAbstract: data.generateAbstract
+    });
+    
+    return await handleAnthologyProcessing(
+      data,
+      chapters,
+      stopKeepAlive,
+      (bookData, bookChapters) => DocumentGeneratorFactory.generateAnthology(bookData.outputFormat, bookData, bookChapters, updateState),
+      { current: Date.now() }
+    );
+  }
+
+  /**
+   * Start document generation from summary (summary converted to extraction result)
+   * @param {import('../types.js').ProcessingData} data - Processing data (settings, outputFormat, effectiveLanguage)
+   * @param {import('../types.js').ExtractionResult} result - Summary as extraction result
+   * @returns {Promise<boolean>}
+   */
+  async function startSummaryExport(data, result) {
+    if (!(await validateAndInitializeProcessing(data, stopKeepAlive, startKeepAlive))) {
+      return false;
+    }
+    
+    log('📝 Starting summary export', {
+      outputFormat: data.outputFormat,
+      contentItems: result.content.length,
+      effectiveLanguage: data.effectiveLanguage
+    });
+    setResult(result);
+    
+    return await handleSummaryExportProcessing(
+      data,
+      result,
+      stopKeepAlive,
+      (exportData, exportResult) => DocumentGeneratorFactory.generate(exportData.outputFormat, exportData, exportResult, updateState),
+      { current: Date.now() }
+    );
+  }
+
   return {
     startArticleProcessing,
-    continueProcessingPipeline
+    continueProcessingPipeline,
+    startAnthologyProcessing,
+    startSummaryExport
   };
 }
 
@@ -0,0 +1,489 @@
+// @ts-check
+// Batch queue runner for background service worker
+// Processes queued jobs one by one through the regular article processing pipeline
+// Uses dependency injection pattern for better testability and modularity
+
+/**
+ * Initialize queue runner module with dependencies
+ * @param {import('../types.js').QueueRunnerDeps} deps - Dependencies object
+ * @returns {import('../types.js').QueueRunner} Queue runner functions
+ */
+export function initQueueRunner(deps) {
+  const {
+    log,
+    logWarn,
+    logError,
+    CONFIG,
+    getUILanguage,
+    tSync,
+    getProcessingState,
+    cancelProcessing,
+    setQueueJobLock,
+    stopKeepAlive,
+    startArticleProcessing,
+    startAnthologyProcessing,
+    extractPageContent,
+    prepareQuickSaveProcessingData,
+    createNotification,
+    queue,
+    anthology
+  } = deps;
+
+  const { JOB_STATUS } = queue;
+  const VALID_FORMATS = ['pdf', 'epub', 'fb2', 'markdown', 'audio'];
+
+  // Processing state started before this timestamp belongs to a previous service worker instance
+  const workerStartedAt = Date.now();
+
+  /** @type {string|null} */
+  let activeJobId = null;
+  /** @type {number|null} */
+  let openedTabId = null;
+  /** @type {ReturnType<typeof setTimeout>|null} */
+  let runTimer = null;
+  /** @type {{done: number, failed: number}} */
+  let runSummary = { done: 0, failed: 0 };
+
+  /**
+   * Schedule processing of the next pending job
+   * @param {number} [delay=0] - Delay in milliseconds
+   */
+  function scheduleRun(delay = 0) {
+    if (runTimer) {
+      return;
+    }
+    runTimer = setTimeout(() => {
+      runTimer = null;
+      runNextJob().catch(error => {
+        logError('Queue runner failed', error);
+      });
+    }, delay);
+  }
+
+  /**
+   * Get output format for new jobs: explicit value or current main format setting
+   * @param {string} [outputFormat] - Requested output format
+   * @returns {Promise<import('../types.js').ExportFormat>}
+   */
+  async function resolveOutputFormat(outputFormat) {
+    if (outputFormat && VALID_FORMATS.includes(outputFormat)) {
+      return /** @type {import('../types.js').ExportFormat} */ (outputFormat);
+    }
+    const settings = await chrome.storage.local.get(['output_format']);
+    const savedFormat = settings.output_format;
+    return /** @type {import('../types.js').ExportFormat} */ (
+      typeof savedFormat === 'string' && VALID_FORMATS.includes(savedFormat) ? savedFormat : 'pdf'
+    );
+  }
+
+  /**
+   * Check that job was not cancelled or removed while runner awaited something
+   * @param {string} jobId - Job ID
+   * @returns {boolean}
+   */
+  function isJobStillRunning(jobId) {
+    const job = queue.getJob(jobId);
+    return !!job && job.status === JOB_STATUS.RUNNING;
+  }
+
+  /**
+   * Wait until tab finished loading
+   * @param {number} tabId - Tab ID
+   * @returns {Promise<void>}
+   * @throws {Error} If tab does not load in time
+   */
+  async function waitForTabLoad(tabId) {
+    const deadline = Date.now() + CONFIG.QUEUE_TAB_LOAD_TIMEOUT_MS;
+    while (Date.now() < deadline) {
+      const tab = await chrome.tabs.get(tabId);
+      if (tab.status === 'complete') {
+        return;
+      }
+      await new Promise(resolve => setTimeout(resolve, CONFIG.QUEUE_POLL_INTERVAL_MS));
+    }
+    const uiLang = await getUILanguage();
+    throw new Error(tSync('errorQueueTabLoadTimeout', uiLang));
+  }
+
+  /**
+   * Get tab for job: reuse source tab if it still shows the same page, otherwise open URL in background tab
+   * @param {import('../types.js').QueueJob} job - Job
+   * @returns {Promise<number>} Tab ID
+   */
+  async function resolveJobTab(job) {
+    if (job.tabId) {
+      try {
+        const tab = await chrome.tabs.get(job.tabId);
+        if (tab && tab.url === job.url) {
+          await waitForTabLoad(job.tabId);
+          return job.tabId;
+        }
+      } catch (error) {
+        log('Queued source tab is gone, opening URL in new tab', { jobId: job.id, tabId: job.tabId });
+      }
+    }
+
+    const tab = await chrome.tabs.create({ url: job.url, active: false });
+    openedTabId = tab.id;
+    await waitForTabLoad(tab.id);
+    return tab.id;
+  }
+
+  /**
+   * Close tab opened by runner for the active job
+   * @returns {Promise<void>}
+   */
+  async function closeOpenedTab() {
+    if (!openedTabId) {
+      return;
+    }
+    const tabId = openedTabId;
+    openedTabId = null;
+    try {
+      await chrome.tabs.remove(tabId);
+    } catch (error) {
+      // Tab may already be closed by user
+    }
+  }
+
+  /**
+   * Wait until current processing settles
+   * @returns {Promise<import('../types.js').ProcessingState>} Final processing state
+   */
+  async function waitForProcessing() {
+    let state = getProcessingState();
+    while (state.isProcessing) {
+      await new Promise(resolve => setTimeout(resolve, CONFIG.QUEUE_POLL_INTERVAL_MS));
+      state = getProcessingState();
+    }
+    return state;
+  }
+
+  /**
+   * Generate anthology document when no chapter of the book is waiting anymore
+   * Book is built from chapters of successfully processed jobs in queue order
+   * @param {string} anthologyId - Anthology ID
+   * @param {string} jobId - Finished job ID (owns processing while book is generated)
+   * @returns {Promise<void>}
+   */
+  async function buildAnthologyIfReady(anthologyId, jobId) {
+    const bookJobs = queue.getAnthologyJobs(anthologyId);
+    if (bookJobs.some(job => job.status === JOB_STATUS.PENDING || job.status === JOB_STATUS.RUNNING)) {
+      return;
+    }
+
+    const doneJobs = bookJobs.filter(job => job.status === JOB_STATUS.DONE);
+    const chapters = await anthology.getAnthologyChapters(doneJobs.map(job => job.id));
+    if (chapters.length === 0) {
+      log('Anthology has no processed chapters, skipping book generation', { anthologyId });
+      return;
+    }
+
+    log('Building anthology from queue', { anthologyId, chapters: chapters.length, jobs: bookJobs.length });
+    // Book-level data only: chapter content comes from saved anthology chapters
+    const started = await startAnthologyProcessing(/** @type {import('../types.js').ProcessingData} */ ({
+      ...chapters[0].settings,
+      outputFormat: doneJobs[0].outputFormat,
+      effectiveLanguage: chapters[0].language || 'auto',
+      url: '',
+      title: '',
+      queueJobId: jobId
+    }), chapters);
+
+    const state = started ? await waitForProcessing() : getProcessingState();
+    if (state.error) {
+      logError('Anthology generation failed', { anthologyId, error: state.error });
+      await createNotification(typeof state.error === 'string' ? state.error : String(state.error));
+    }
+  }
+
+  /**
+   * Finish active job and continue with the next one
+   * @param {string} jobId - Job ID
+   * @param {Partial<import('../types.js').QueueJob>|null} updates - Final job fields (null if job is already finished)
+   * @returns {Promise<void>}
+   */
+  async function finishJob(jobId, updates) {
+    if (updates) {
+      await queue.updateJob(jobId, { ...updates, finishedAt: Date.now() });
+      if (updates.status === JOB_STATUS.DONE) {
+        runSummary.done++;
+      } else if (updates.status === JOB_STATUS.ERROR) {
+        runSummary.failed++;
+      }
+    }
+    log('Queue job finished', { jobId, status: queue.getJob(jobId)?.status });
+
+    await closeOpenedTab();
+
+    // Last chapter of a book: generate the book before the next job (activeJobId keeps runner busy)
+    const anthologyId = queue.getJob(jobId)?.anthologyId;
+    if (anthologyId) {
+      try {
+        await buildAnthologyIfReady(anthologyId, jobId);
+      } catch (error) {
+        logError('Failed to build anthology', { anthologyId, error: error.message });
+      }
+    }
+
+    activeJobId = null;
+    setQueueJobLock(null);
+    scheduleRun();
+  }
+
+  /**
+   * Mirror processing state into active job until processing settles
+   * @param {string} jobId - Job ID
+   */
+  function watchJob(jobId) {
+    setTimeout(async () => {
+      try {
+        if (!isJobStillRunning(jobId)) {
+          // Cancelled from queue UI - processing was already stopped by cancelQueueJob
+          await finishJob(jobId, null);
+          return;
+        }
+
+        const state = getProcessingState();
+        if (state.isProcessing) {
+          await queue.updateJob(jobId, { progress: state.progress, statusText: state.status }, false);
+          watchJob(jobId);
+          return;
+        }
+
+        if (state.error) {
+          await finishJob(jobId, {
+            status: JOB_STATUS.ERROR,
+            error: typeof state.error === 'string' ? state.error : String(state.error),
+            statusText: state.status
+          });
+        } else if (state.progress >= 100) {
+          await finishJob(jobId, { status: JOB_STATUS.DONE, progress: 100, statusText: state.status });
+        } else {
+          // Processing was cancelled outside of the queue (e.g. Cancel button in popup)
+          await finishJob(jobId, { status: JOB_STATUS.CANCELLED, statusText: state.status });
+        }
+      } catch (error) {
+        logError('Failed to track queue job', error);
+        await finishJob(jobId, { status: JOB_STATUS.ERROR, error: error.message });
+      }
+    }, CONFIG.QUEUE_POLL_INTERVAL_MS);
+  }
+
+  /**
+   * Start next pending job if nothing else is being processed
+   * @returns {Promise<void>}
+   */
+  async function runNextJob() {
+    if (activeJobId) {
+      return;
+    }
+
+    const state = getProcessingState();
+    if (state.isProcessing) {
+      if (state.startTime && state.startTime < workerStartedAt) {
+        // Restored state of processing that died with previous service worker - nothing will finish it
+        logWarn('Clearing processing state left from previous service worker before running queue', {
+          startTime: state.startTime,
+          workerStartedAt
+        });
+        await cancelProcessing(stopKeepAlive);
+      } else {
+        // Another article is being processed (e.g. started from popup) - wait for it
+        scheduleRun(CONFIG.QUEUE_POLL_INTERVAL_MS);
+        return;
+      }
+    }
+
+    const job = queue.getNextPendingJob();
+    if (!job) {
+      if (runSummary.done > 0 || runSummary.failed > 0) {
+        const uiLang = await getUILanguage();
+        const message = tSync('queueFinishedNotification', uiLang)
+          .replace('{done}', String(runSummary.done))
+          .replace('{failed}', String(runSummary.failed));
+        log('Processing queue finished', runSummary);
+        runSummary = { done: 0, failed: 0 };
+        await createNotification(message);
+      }
+      return;
+    }
+
+    activeJobId = job.id;
+    setQueueJobLock(job.id);
+    await queue.updateJob(job.id, {
+      status: JOB_STATUS.RUNNING,
+      progress: 0,
+      statusText: '',
+      error: null,
+      attempts: job.attempts + 1,
+      startedAt: Date.now(),
+      finishedAt: null
+    });
+    log('Starting queue job', { jobId: job.id, url: job.url, outputFormat: job.outputFormat, attempt: job.attempts + 1 });
+
+    try {
+      const tabId = await resolveJobTab(job);
+      if (!isJobStillRunning(job.id)) {
+        await finishJob(job.id, null);
+        return;
+      }
+
+      const pageData = await extractPageContent(tabId);
+      const processingData = await prepareQuickSaveProcessingData(job.outputFormat, pageData);
+      processingData.queueJobId = job.id;
+      if (job.anthologyId) {
+        // Chapter of a book: pipeline saves processed article instead of generating a file
+        processingData.anthologyId = job.anthologyId;
+      }
+      if (!isJobStillRunning(job.id)) {
+        await finishJob(job.id, null);
+        return;
+      }
+
+      const started = await startArticleProcessing(processingData);
+      if (!started) {
+        const failedState = getProcessingState();
+        const uiLang = await getUILanguage();
+        throw new Error(
+          typeof failedState.error === 'string' && failedState.error
+            ? failedState.error
+            : tSync('errorQueueJobNotStarted', uiLang)
+        );
+      }
+
+      watchJob(job.id);
+    } catch (error) {
+      logError('Queue job failed', { jobId: job.id, url: job.url, error: error.message });
+      await finishJob(job.id, { status: JOB_STATUS.ERROR, error: error.message });
+    }
+  }
+
+  /**
+   * Add pages to queue and start processing
+   * @param {Array<import('../types.js').QueueJobInput>} items - Pages to add
+   * @param {string} [outputFormat] - Output format (defaults to main format setting)
+   * @param {boolean} [asAnthology=false] - Combine added pages into one book
+   * @returns {Promise<Array<import('../types.js').QueueJob>>} Added jobs
+   * @throws {Error} If pages should be combined into format without chapters
+   */
+  async function enqueue(items, outputFormat, asAnthology = false) {
+    const format = await resolveOutputFormat(outputFormat);
+    let anthologyId = null;
+    if (asAnthology) {
+      if (!anthology.ANTHOLOGY_FORMATS.includes(format)) {
+        const uiLang = await getUILanguage();
+        throw new Error(tSync('errorAnthologyUnsupportedFormat', uiLang));
+      }
+      anthologyId = anthology.generateAnthologyId();
+    }
+    const added = await queue.enqueueJobs(items, format, anthologyId);
+    if (added.length > 0) {
+      scheduleRun();
+    }
+    return added;
+  }
+
+  /**
+   * Add all web pages open in window to queue
+   * @param {number|null} [windowId] - Window ID (defaults to last focused window)
+   * @param {string} [outputFormat] - Output format (defaults to main format setting)
+   * @param {boolean} [asAnthology=false] - Combine tabs into one book
+   * @returns {Promise<Array<import('../types.js').QueueJob>>} Added jobs
+   */
+  async function enqueueWindowTabs(windowId, outputFormat, asAnthology = false) {
+    const tabs = typeof windowId === 'number'
+      ? await chrome.tabs.query({ windowId })
+      : await chrome.tabs.query({ lastFocusedWindow: true });
+
+    const items = tabs
+      .filter(tab => tab.id && queue.isQueueableUrl(tab.url))
+      .map(tab => ({ url: tab.url, title: tab.title, tabId: tab.id }));
+
+    log('Queueing tabs of window', { windowId, tabs: tabs.length, queueable: items.length });
+    return enqueue(items, outputFormat, asAnthology);
+  }
+
+  /**
+   * Cancel job; stops article processing if job is running
+   * @param {string} jobId - Job ID
+   * @returns {Promise<boolean>} True if job was cancelled
+   */
+  async function cancelQueueJob(jobId) {
+    const cancelled = await queue.cancelJob(jobId);
+    if (!cancelled) {
+      return false;
+    }
+    if (jobId === activeJobId && getProcessingState().isProcessing) {
+      await cancelProcessing(stopKeepAlive);
+    }
+    return true;
+  }
+
+  /**
+   * Retry failed or cancelled job
+   * @param {string} jobId - Job ID
+   * @returns {Promise<boolean>} True if job was put back to pending
+   */
+  async function retryQueueJob(jobId) {
+    const job = await queue.retryJob(jobId);
+    if (job) {
+      scheduleRun();
+    }
+    return !!job;
+  }
+
+  /**
+   * Remove finished job together with its saved anthology chapter
+   * @param {string} jobId - Job ID
+   * @returns {Promise<boolean>} True if removed
+   */
+  async function removeQueueJob(jobId) {
+    const job = queue.getJob(jobId);
+    const removed = await queue.removeJob(jobId);
+    if (removed && job?.anthologyId) {
+      await anthology.removeAnthologyChapters([jobId]);
+    }
+    return removed;
+  }
+
+  /**
+   * Remove all finished jobs together with saved anthology chapters
+   * @returns {Promise<number>} Number of removed jobs
+   */
+  async function clearFinishedQueueJobs() {
+    const chapterJobIds = queue.getQueue()
+      .filter(job => job.anthologyId && job.status === JOB_STATUS.DONE)
+      .map(job => job.id);
+    const removed = await queue.clearFinishedJobs();
+    if (chapterJobIds.length > 0) {
+      await anthology.removeAnthologyChapters(chapterJobIds);
+    }
+    return removed;
+  }
+
+  /**
+   * Restore queue after service worker restart and continue pending jobs
+   * @returns {Promise<void>}
+   */
+  async function resumeQueue() {
+    const interrupted = await queue.restoreQueueFromStorage();
+    if (interrupted > 0) {
+      log('Resuming queue after service worker restart', { interrupted });
+    }
+    if (queue.getNextPendingJob()) {
+      scheduleRun();
+    }
+  }
+
+  return {
+    getQueue: queue.getQueue,
+    enqueue,
+    enqueueWindowTabs,
+    cancelQueueJob,
+    retryQueueJob,
+    removeQueueJob,
+    clearFinishedQueueJobs,
+    resumeQueue
+  };
+}
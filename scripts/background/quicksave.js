@@ -2,7 +2,7 @@
 // Quick save handler for context menu
 
 import { log } from '../utils/logging.js';
-import { getProcessingState } from '../state/processing.js';
+import { getProcessingState, getQueueJobLock } from '../state/processing.js';
 import { 
   showQuickSaveNotification,
   extractPageContent,
@@ -10,19 +10,22 @@ import {
   handleQuickSaveError
 } from '../utils/processing-helpers.js';
 import { createNotification } from './notifications.js';
+import { captureSelection } from '../extraction/selection.js';
+import { getUILanguage, tSync } from '../locales.js';
 
 /**
  * Handle quick save from context menu
  * @param {import('../types.js').ExportFormat} outputFormat - Output format
  * @param {function(import('../types.js').ProcessingData): Promise<boolean>} startArticleProcessing - Function to start article processing (already wrapped with extractFromPageInlined)
  * @param {number} [tabId] - Optional tab ID from context menu (if not provided, will use active tab)
+ * @param {{selectionOnly?: boolean}} [options] - selectionOnly: save only text/region selected on page
  * @returns {Promise<void>}
  */
-export async function handleQuickSave(outputFormat, startArticleProcessing, tabId = null) {
-  log('Quick save triggered', { outputFormat, tabId });
+export async function handleQuickSave(outputFormat, startArticleProcessing, tabId = null, { selectionOnly = false } = {}) {
+  log('Quick save triggered', { outputFormat, tabId, selectionOnly });
   
   const state = getProcessingState();
-  if (state.isProcessing) {
+  if (state.isProcessing || getQueueJobLock()) {
     log('Already processing, ignoring quick save');
     return;
   }
@@ -43,6 +46,17 @@ export async function handleQuickSave(outputFormat, startArticleProcessing, tabI
       return;
     }
     
+    // Selection is copied into container in page and extracted without AI,
+    // full page HTML is still used for title, author and structured metadata
+    if (selectionOnly) {
+      const selection = pageData.isPdf ? null : await captureSelection(pageData.tabId);
+      if (!selection) {
+        throw new Error(tSync('errorNoSelection', await getUILanguage()));
+      }
+      processingData.mode = 'automatic';
+      processingData.selectionOnly = true;
+    }
+    
     log('Starting quick save processing', { url: pageData.url, model: processingData.model });
     
     // NOTE: No await here - this is intentional "fire and forget" pattern.
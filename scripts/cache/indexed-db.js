@@ -0,0 +1,111 @@
+// @ts-check
+// IndexedDB access, key hashing and eviction shared by caches (TTS audio, translation memory)
+// Every cache has data store and meta store ({key, size, lastUsed}) for least recently used eviction.
+
+/**
+ * @typedef {Object} CacheDatabaseSchema
+ * @property {string} name - Database name
+ * @property {number} version - Database version
+ * @property {string} label - Cache name for error messages ('TTS cache')
+ * @property {string} dataStore - Data store name
+ * @property {string} metaStore - Meta store name
+ * @property {function(IDBDatabase): void} createDataStore - Creates data store (key path, indexes)
+ */
+
+/**
+ * @typedef {Object} CacheEntryMeta
+ * @property {string} key - Entry key
+ * @property {number} size - Size in bytes
+ * @property {number} lastUsed - Last read or write time
+ */
+
+/**
+ * Hash text for cache key (cyrb53 with two seeds, 106 bits)
+ * Synchronous and available in every context, unlike crypto.subtle; collisions are
+ * negligible for cache of thousands of entries
+ * @param {string} text - Text
+ * @returns {string} Hex hash
+ */
+export function hashText(text) {
+  const hash53 = (seed) => {
+    let h1 = 0xdeadbeef ^ seed;
+    let h2 = 0x41c6ce57 ^ seed;
+    for (let i = 0; i < text.length; i++) {
+      const char = text.charCodeAt(i);
+      h1 = Math.imul(h1 ^ char, 2654435761);
+      h2 = Math.imul(h2 ^ char, 1597334677);
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16).padStart(14, '0');
+  };
+  return hash53(0) + hash53(0x9e3779b9);
+}
+
+/**
+ * Select entries to evict: most recently used entries are kept while they fit in budget
+ * @param {Array<CacheEntryMeta>} entries - Cache entries
+ * @param {number} budget - Budget in bytes
+ * @returns {Array<string>} Keys of evicted entries
+ */
+export function selectEvictedEntries(entries, budget) {
+  let total = 0;
+  return [...entries]
+    .sort((a, b) => b.lastUsed - a.lastUsed)
+    .filter(entry => {
+      total += entry.size;
+      return total > budget;
+    })
+    .map(entry => entry.key);
+}
+
+/**
+ * Open cache database, creating missing stores
+ * @param {CacheDatabaseSchema} schema - Database schema
+ * @returns {Promise<IDBDatabase>}
+ * @throws {Error} If IndexedDB is not available or cannot be opened
+ */
+function openCacheDatabase(schema) {
+  return new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('IndexedDB is not available'));
+      return;
+    }
+    const request = indexedDB.open(schema.name, schema.version);
+    request.onerror = () => reject(request.error || new Error(`Failed to open ${schema.label} IndexedDB`));
+    request.onsuccess = () => resolve(request.result);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(schema.dataStore)) {
+        schema.createDataStore(db);
+      }
+      if (!db.objectStoreNames.contains(schema.metaStore)) {
+        db.createObjectStore(schema.metaStore, { keyPath: 'key' });
+      }
+    };
+  });
+}
+
+/**
+ * Run requests in one transaction over data and meta stores
+ * @param {CacheDatabaseSchema} schema - Database schema
+ * @param {IDBTransactionMode} mode - Transaction mode
+ * @param {function(IDBObjectStore, IDBObjectStore): (IDBRequest|Array<IDBRequest>|void)} createRequests - Creates requests, returns request(s) with result
+ * @returns {Promise<any>} Result of returned request (array of results for array of requests)
+ */
+export async function runCacheTransaction(schema, mode, createRequests) {
+  const db = await openCacheDatabase(schema);
+  try {
+    return await new Promise((resolve, reject) => {
+      const transaction = db.transaction([schema.dataStore, schema.metaStore], mode);
+      const requests = createRequests(transaction.objectStore(schema.dataStore), transaction.objectStore(schema.metaStore));
+      transaction.oncomplete = () => resolve(Array.isArray(requests)
+        ? requests.map(request => request.result)
+        : requests ? requests.result : undefined);
+      transaction.onerror = () => reject(transaction.error || new Error(`IndexedDB transaction of ${schema.label} failed`));
+      transaction.onabort = () => reject(transaction.error || new Error(`IndexedDB transaction of ${schema.label} aborted`));
+    });
+  } finally {
+    db.close();
+  }
+}
@@ -1,6 +1,8 @@
 // @ts-check
 // Selector cache module for offline mode
 // Caches AI-generated selectors by domain for faster subsequent extractions
+// User-authored selectors (element picker, edits in popup) are stored in the same cache
+// and take priority over AI selectors: AI never overwrites or invalidates them
 
 /**
  * @typedef {import('../types.js').SelectorResult} SelectorResult
@@ -13,6 +15,12 @@ import { log, logWarn, logError } from '../utils/logging.js';
 const STORAGE_KEY = 'selector_cache';
 const MIN_SUCCESS_FOR_TRUST = 2; // Need at least 2 successes before fully trusting cache
 
+/**
+ * Source of user-authored cache entry (AI entries have no source)
+ * @readonly
+ */
+export const USER_SELECTOR_SOURCE = 'user';
+
 // NOTE: Cache has NO TTL (time-to-live) - this is intentional!
 // Selectors invalidate on extraction failure via invalidateCache().
 // If selectors work, there's no reason to expire them.
@@ -112,14 +120,121 @@ async function isUsingCacheEnabled() {
   }
 }
 
+/**
+ * Check that cache entry was authored by user
+ * @param {Object|undefined} entry - Cache entry
+ * @returns {boolean}
+ */
+function isUserEntry(entry) {
+  return entry?.source === USER_SELECTOR_SOURCE;
+}
+
+/**
+ * Normalize user-authored selectors
+ * Only container, content and exclusions can be set by user, empty values are dropped
+ * @param {{articleContainer?: string, content?: string, exclude?: Array<string>|string}} selectors - Selectors from picker or popup
+ * @returns {SelectorResult|null} Selectors or null if no container/content selector is set
+ */
+export function normalizeUserSelectors(selectors) {
+  const articleContainer = String(selectors?.articleContainer || '').trim();
+  const content = String(selectors?.content || '').trim();
+  if (!articleContainer && !content) {
+    return null;
+  }
+  const rawExclude = Array.isArray(selectors.exclude)
+    ? selectors.exclude
+    : String(selectors.exclude || '').split('\n');
+  const exclude = [];
+  for (const selector of rawExclude) {
+    const trimmed = String(selector || '').trim();
+    if (trimmed && !exclude.includes(trimmed)) {
+      exclude.push(trimmed);
+    }
+  }
+  return {
+    articleContainer,
+    content,
+    title: '',
+    subtitle: '',
+    heroImage: '',
+    author: '',
+    publishDate: '',
+    toc: '',
+    exclude
+  };
+}
+
+/**
+ * Get user-authored selectors for a URL
+ * Used regardless of "use cached selectors" setting: they are explicit fix made by user
+ * @param {string} url - Page URL
+ * @returns {Promise<ExtendedCacheEntry|null>} User selectors or null
+ */
+export async function getUserSelectors(url) {
+  const domain = extractDomain(url);
+  if (!domain) {
+    return null;
+  }
+  const cache = await loadCache();
+  const entry = cache[domain];
+  if (!isUserEntry(entry) || !entry.selectors) {
+    return null;
+  }
+  log('📊 Cache HIT: using user selectors', { domain, successCount: entry.successCount });
+  return {
+    selectors: entry.selectors,
+    timestamp: entry.created || Date.now(),
+    successCount: entry.successCount,
+    source: USER_SELECTOR_SOURCE
+  };
+}
+
+/**
+ * Save user-authored selectors for domain
+ * Replaces AI entry of the domain, success count starts from zero
+ * @param {string} domain - Domain (as shown in cache list) or page URL
+ * @param {{articleContainer?: string, content?: string, exclude?: Array<string>|string}} selectors - Selectors from picker or popup
+ * @returns {Promise<{domain: string, selectors: SelectorResult}>} Saved entry
+ * @throws {Error} If domain or container selector is missing
+ */
+export async function saveUserSelectors(domain, selectors) {
+  const cacheDomain = /^[a-z][a-z0-9+.-]*:\/\//i.test(domain || '')
+    ? extractDomain(domain)
+    : String(domain || '').trim().toLowerCase().replace(/^www\./, '');
+  const normalized = normalizeUserSelectors(selectors);
+  if (!cacheDomain || !normalized) {
+    throw new Error('Domain and container selector are required');
+  }
+
+  const cache = await loadCache();
+  const existing = cache[cacheDomain];
+  cache[cacheDomain] = {
+    selectors: normalized,
+    successCount: isUserEntry(existing) ? existing.successCount || 0 : 0,
+    created: isUserEntry(existing) ? existing.created : Date.now(),
+    lastUsed: Date.now(),
+    invalidated: false,
+    source: USER_SELECTOR_SOURCE
+  };
+  await saveCache(cache);
+  log('User selectors saved', { domain: cacheDomain, selectors: normalized });
+  return { domain: cacheDomain, selectors: normalized };
+}
+
 /**
  * Get cached selectors for a URL
+ * User-authored entry is returned first, even if using cache is disabled
  * @param {string} url - Page URL
  * @returns {Promise<ExtendedCacheEntry|null>} Cached selectors or null
  */
 export async function getCachedSelectors(url) {
   const cacheStartTime = Date.now();
   
+  const userEntry = await getUserSelectors(url);
+  if (userEntry) {
+    return userEntry;
+  }
+  
   // Check if using cache is enabled
   if (!(await isUsingCacheEnabled())) {
     log('📊 Cache check: disabled', { url: url.substring(0, 80) });
@@ -209,6 +324,12 @@ export async function cacheSelectors(url, selectors) {
     
     const existing = cache[domain];
     
+    // User-authored selectors are never replaced by AI
+    if (isUserEntry(existing)) {
+      log('📊 Cache save: skipped (domain has user selectors)', { domain });
+      return;
+    }
+    
     if (existing && !existing.invalidated) {
       // Update existing entry
       existing.selectors = selectors;
@@ -296,6 +417,12 @@ export async function invalidateCache(url) {
   const cache = await loadCache();
   const entry = cache[domain];
   
+  // User-authored selectors are kept: user fixes or deletes them in popup
+  if (isUserEntry(entry)) {
+    logWarn('User selectors failed to extract content, keeping them', { domain });
+    return;
+  }
+  
   if (entry) {
     entry.invalidated = true;
     entry.successCount = 0;
@@ -339,7 +466,7 @@ export async function getCacheStats() {
     const validCount = domains.filter(d => !cache[d].invalidated).length;
     const totalSuccesses = domains.reduce((sum, d) => sum + (cache[d].successCount || 0), 0);
     
-    // Get all valid domains sorted by last used (most recent first)
+    // Get all valid domains: user entries first, then by last used (most recent first)
     const validDomainsList = domains
       .filter(d => !cache[d].invalidated)
       .map(d => ({
@@ -347,9 +474,16 @@ export async function getCacheStats() {
         successCount: cache[d].successCount || 0,
         invalidated: false,
         lastUsed: cache[d].lastUsed || cache[d].created,
-        age: Math.round((Date.now() - (cache[d].lastUsed || cache[d].created)) / 1000 / 60 / 60) + 'h'
+        age: Math.round((Date.now() - (cache[d].lastUsed || cache[d].created)) / 1000 / 60 / 60) + 'h',
+        source: isUserEntry(cache[d]) ? USER_SELECTOR_SOURCE : 'ai',
+        selectors: {
+          articleContainer: cache[d].selectors?.articleContainer || '',
+          content: cache[d].selectors?.content || '',
+          exclude: Array.isArray(cache[d].selectors?.exclude) ? cache[d].selectors.exclude : []
+        }
       }))
-      .sort((a, b) => b.lastUsed - a.lastUsed); // Most recently used first
+      .sort((a, b) => Number(b.source === USER_SELECTOR_SOURCE) - Number(a.source === USER_SELECTOR_SOURCE)
+        || b.lastUsed - a.lastUsed);
     
     return {
       totalDomains: domains.length,
@@ -0,0 +1,376 @@
+// @ts-check
+// Translation memory
+// Translated segments are stored in IndexedDB, keyed by normalized source segment, target language and model.
+// Re-clipping updated article or saving same article in another format reuses exact matches instead of
+// calling translation API again. Similar segments (any model) can be offered to model as reference translations.
+// Least recently used segments are evicted when memory grows over TRANSLATION_MEMORY_BUDGET_BYTES.
+
+import { log, logWarn } from '../utils/logging.js';
+import { runCacheTransaction, hashText, selectEvictedEntries } from './indexed-db.js';
+
+const LANGUAGE_INDEX = 'targetLang';
+
+/**
+ * @type {import('./indexed-db.js').CacheDatabaseSchema}
+ */
+const MEMORY_DATABASE = {
+  name: 'ClipAIbleTranslationMemory',
+  version: 1,
+  label: 'translation memory',
+  dataStore: 'segments',
+  metaStore: 'meta',
+  createDataStore: db => db.createObjectStore('segments', { keyPath: 'key' }).createIndex(LANGUAGE_INDEX, 'targetLang')
+};
+
+/**
+ * Settings: reuse of stored translations (default on) and similar segments as context (default off)
+ * @readonly
+ */
+export const TRANSLATION_MEMORY_SETTING_KEY = 'translation_memory';
+export const TRANSLATION_MEMORY_FUZZY_SETTING_KEY = 'translation_memory_fuzzy';
+
+/**
+ * Storage key of usage counters: {hits, misses, fuzzy}
+ * @readonly
+ */
+export const TRANSLATION_MEMORY_STATS_STORAGE_KEY = 'translation_memory_stats';
+
+/**
+ * Storage budget of memory (bytes)
+ * @readonly
+ */
+export const TRANSLATION_MEMORY_BUDGET_BYTES = 50 * 1024 * 1024;
+
+/**
+ * Similar segment is offered as context from this similarity (0..1)
+ * @readonly
+ */
+export const FUZZY_MATCH_THRESHOLD = 0.7;
+
+/**
+ * Reference translations per batch, keeps prompt short
+ * @readonly
+ */
+export const MAX_FUZZY_MATCHES = 5;
+
+/**
+ * Stored segments compared for fuzzy matches, most recently used first
+ * Keeps search of every translated batch bounded however large memory grows.
+ * @readonly
+ */
+export const MAX_FUZZY_CANDIDATES = 1000;
+
+/**
+ * @typedef {Object} TranslationMemoryMeta
+ * @property {string} key - Segment key
+ * @property {number} size - Size in bytes
+ * @property {number} lastUsed - Last read or write time
+ */
+
+/**
+ * @typedef {Object} TranslationMemoryUsage
+ * @property {number} [hits] - Segments found in memory
+ * @property {number} [misses] - Segments translated by API
+ * @property {number} [fuzzy] - Segments translated with fuzzy matches as context
+ */
+
+/**
+ * @typedef {Object} TranslationMemoryMatch
+ * @property {string} source - Source segment
+ * @property {string} translation - Stored translation
+ * @property {number} [similarity] - Similarity with translated segment (fuzzy matches)
+ * @property {Array<string>} [words] - Words of source, computed when segment is stored
+ */
+
+/**
+ * Normalize source segment: Unicode NFC, collapsed whitespace
+ * @param {string} text - Source segment (text or HTML)
+ * @returns {string} Normalized segment
+ */
+export function normalizeSegment(text) {
+  return String(text || '').normalize('NFC').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Get memory key of segment
+ * @param {string} text - Source segment
+ * @param {string} targetLang - Target language
+ * @param {string} model - Translation model
+ * @returns {string} Key
+ */
+export function getTranslationMemoryKey(text, targetLang, model) {
+  return `${targetLang}:${model}:${hashText(normalizeSegment(text))}`;
+}
+
+/**
+ * Read translation memory settings
+ * @returns {Promise<{enabled: boolean, fuzzy: boolean}>}
+ */
+export async function getTranslationMemorySettings() {
+  try {
+    const settings = await chrome.storage.local.get([TRANSLATION_MEMORY_SETTING_KEY, TRANSLATION_MEMORY_FUZZY_SETTING_KEY]);
+    const enabled = settings[TRANSLATION_MEMORY_SETTING_KEY] !== false;
+    return { enabled, fuzzy: enabled && settings[TRANSLATION_MEMORY_FUZZY_SETTING_KEY] === true };
+  } catch (error) {
+    logWarn('Failed to read translation memory settings', error);
+    return { enabled: false, fuzzy: false };
+  }
+}
+
+/**
+ * Find stored translations of segments and mark them as recently used (errors are logged, not thrown)
+ * @param {Array<string>} texts - Source segments
+ * @param {string} targetLang - Target language
+ * @param {string} model - Translation model
+ * @returns {Promise<Array<string|null>>} Translations, null for segments not in memory
+ */
+export async function lookupTranslations(texts, targetLang, model) {
+  const keys = texts.map(text => getTranslationMemoryKey(text, targetLang, model));
+  try {
+    const records = await runCacheTransaction(MEMORY_DATABASE, 'readwrite', (data, meta) => keys.map(key => {
+      const request = data.get(key);
+      const metaRequest = meta.get(key);
+      metaRequest.onsuccess = () => {
+        if (metaRequest.result) {
+          meta.put({ ...metaRequest.result, lastUsed: Date.now() });
+        }
+      };
+      return request;
+    }));
+    // Hash collision guard: stored source must be the same segment
+    return records.map((record, index) =>
+      record && record.source === normalizeSegment(texts[index]) ? record.translation : null);
+  } catch (error) {
+    logWarn('[ClipAIble Translation Memory] Lookup failed', { error: error.message });
+    return texts.map(() => null);
+  }
+}
+
+/**
+ * Evict least recently used segments over budget
+ * @returns {Promise<void>}
+ */
+async function evictOverBudget() {
+  /** @type {Array<TranslationMemoryMeta>} */
+  const entries = await runCacheTransaction(MEMORY_DATABASE, 'readonly', (data, meta) => meta.getAll());
+  const evicted = selectEvictedEntries(entries || [], TRANSLATION_MEMORY_BUDGET_BYTES);
+  if (evicted.length === 0) {
+    return;
+  }
+  await runCacheTransaction(MEMORY_DATABASE, 'readwrite', (data, meta) => {
+    for (const key of evicted) {
+      data.delete(key);
+      meta.delete(key);
+    }
+  });
+  log('[ClipAIble Translation Memory] Evicted least recently used segments', { count: evicted.length });
+}
+
+/**
+ * Store translated segments (errors are logged, not thrown)
+ * @param {Array<TranslationMemoryMatch>} pairs - Source segments and translations
+ * @param {string} targetLang - Target language
+ * @param {string} model - Translation model
+ * @returns {Promise<void>}
+ */
+export async function saveTranslations(pairs, targetLang, model) {
+  if (pairs.length === 0) return;
+  try {
+    const now = Date.now();
+    await runCacheTransaction(MEMORY_DATABASE, 'readwrite', (data, meta) => {
+      for (const { source, translation } of pairs) {
+        const key = getTranslationMemoryKey(source, targetLang, model);
+        const normalized = normalizeSegment(source);
+        data.put({ key, source: normalized, translation, targetLang, model, words: toWords(normalized) });
+        // Strings are stored as UTF-16, source twice (text and words)
+        meta.put({ key, size: (normalized.length * 2 + translation.length) * 2, lastUsed: now });
+      }
+    });
+    await evictOverBudget();
+  } catch (error) {
+    logWarn('[ClipAIble Translation Memory] Failed to save segments', { count: pairs.length, error: error.message });
+  }
+}
+
+/**
+ * Split segment into lowercase words without HTML tags
+ * @param {string} text - Segment
+ * @returns {Array<string>} Words
+ */
+function toWords(text) {
+  return text.replace(/<[^>]+>/g, ' ').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+/**
+ * Similarity of segments: Dice coefficient of word multisets (0..1)
+ * @param {string} a - Segment
+ * @param {string} b - Segment
+ * @returns {number}
+ */
+export function segmentSimilarity(a, b) {
+  return wordSimilarity(toWords(a), toWords(b));
+}
+
+/**
+ * Dice coefficient of word multisets (0..1)
+ * @param {Array<string>} wordsA - Words
+ * @param {Array<string>} wordsB - Words
+ * @returns {number}
+ */
+function wordSimilarity(wordsA, wordsB) {
+  if (wordsA.length === 0 || wordsB.length === 0) return 0;
+  const counts = new Map();
+  for (const word of wordsA) {
+    counts.set(word, (counts.get(word) || 0) + 1);
+  }
+  let common = 0;
+  for (const word of wordsB) {
+    const count = counts.get(word) || 0;
+    if (count > 0) {
+      common++;
+      counts.set(word, count - 1);
+    }
+  }
+  return (2 * common) / (wordsA.length + wordsB.length);
+}
+
+/**
+ * Select most similar stored segments for segments being translated
+ * @param {Array<string>} texts - Segments being translated
+ * @param {Array<TranslationMemoryMatch>} candidates - Stored segments of target language
+ * @param {number} [limit=MAX_FUZZY_MATCHES] - Maximum matches
+ * @returns {Array<TranslationMemoryMatch>} Matches, most similar first
+ */
+export function selectFuzzyMatches(texts, candidates, limit = MAX_FUZZY_MATCHES) {
+  /** @type {Map<string, TranslationMemoryMatch>} */
+  const best = new Map();
+  const segments = texts.map(normalizeSegment).map(text => ({ text, words: toWords(text) }));
+  for (const candidate of candidates) {
+    // Segments stored before words were kept are split here
+    const candidateWords = candidate.words || toWords(candidate.source);
+    for (const { text, words } of segments) {
+      // Cheap length filter before word comparison: Dice over 0.7 needs lengths within ~2x
+      const ratio = candidate.source.length / Math.max(text.length, 1);
+      if (ratio < 0.5 || ratio > 2) continue;
+      const similarity = wordSimilarity(words, candidateWords);
+      if (similarity < FUZZY_MATCH_THRESHOLD) continue;
+      const current = best.get(candidate.source);
+      if (!current || similarity > current.similarity) {
+        best.set(candidate.source, { source: candidate.source, translation: candidate.translation, similarity });
+      }
+    }
+  }
+  return [...best.values()]
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, limit);
+}
+
+/**
+ * Select keys of stored segments to compare for fuzzy matches
+ * @param {Array<TranslationMemoryMeta>} entries - Meta entries of memory
+ * @param {string} targetLang - Target language
+ * @param {number} [limit=MAX_FUZZY_CANDIDATES] - Maximum keys
+ * @returns {Array<string>} Keys of target language segments, most recently used first
+ */
+export function selectFuzzyCandidateKeys(entries, targetLang, limit = MAX_FUZZY_CANDIDATES) {
+  const prefix = `${targetLang}:`;
+  return entries
+    .filter(entry => entry.key.startsWith(prefix))
+    .sort((a, b) => b.lastUsed - a.lastUsed)
+    .slice(0, limit)
+    .map(entry => entry.key);
+}
+
+/**
+ * Find stored translations similar to segments (errors are logged, not thrown)
+ * Only MAX_FUZZY_CANDIDATES most recently used segments of target language are compared.
+ * @param {Array<string>} texts - Segments being translated
+ * @param {string} targetLang - Target language
+ * @returns {Promise<Array<TranslationMemoryMatch>>} Matches, most similar first
+ */
+export async function findFuzzyMatches(texts, targetLang) {
+  try {
+    /** @type {Array<TranslationMemoryMeta>} */
+    const entries = await runCacheTransaction(MEMORY_DATABASE, 'readonly', (data, meta) => meta.getAll());
+    const keys = selectFuzzyCandidateKeys(entries || [], targetLang);
+    if (keys.length === 0) return [];
+    const candidates = await runCacheTransaction(MEMORY_DATABASE, 'readonly', data => keys.map(key => data.get(key)));
+    return selectFuzzyMatches(texts, candidates.filter(Boolean));
+  } catch (error) {
+    logWarn('[ClipAIble Translation Memory] Fuzzy search failed', { error: error.message });
+    return [];
+  }
+}
+
+/**
+ * Build reference translations section for translation prompt
+ * @param {Array<TranslationMemoryMatch>} [matches] - Fuzzy matches
+ * @returns {string} Prompt section, empty if there are no matches
+ */
+export function buildFuzzyMatchPrompt(matches) {
+  if (!matches || matches.length === 0) return '';
+  const lines = ['', '', 'Reference translations of similar segments (reuse their terminology and style where the text matches, do not copy them otherwise):'];
+  for (const match of matches) {
+    lines.push(`- ${JSON.stringify(match.source)} -> ${JSON.stringify(match.translation)}`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Add usage counters (errors are logged, not thrown)
+ * @param {TranslationMemoryUsage} usage - Usage to add
+ * @returns {Promise<void>}
+ */
+export async function recordTranslationMemoryUsage(usage) {
+  try {
+    const stored = await chrome.storage.local.get([TRANSLATION_MEMORY_STATS_STORAGE_KEY]);
+    const stats = /** @type {TranslationMemoryUsage} */ (stored[TRANSLATION_MEMORY_STATS_STORAGE_KEY] || {});
+    await chrome.storage.local.set({
+      [TRANSLATION_MEMORY_STATS_STORAGE_KEY]: {
+        hits: (stats.hits || 0) + (usage.hits || 0),
+        misses: (stats.misses || 0) + (usage.misses || 0),
+        fuzzy: (stats.fuzzy || 0) + (usage.fuzzy || 0)
+      }
+    });
+  } catch (error) {
+    logWarn('[ClipAIble Translation Memory] Failed to record usage', error);
+  }
+}
+
+/**
+ * Get memory statistics
+ * @returns {Promise<{segments: number, size: number, budget: number, hits: number, misses: number, fuzzy: number}>}
+ */
+export async function getTranslationMemoryStats() {
+  const stored = await chrome.storage.local.get([TRANSLATION_MEMORY_STATS_STORAGE_KEY]);
+  const usage = /** @type {TranslationMemoryUsage} */ (stored[TRANSLATION_MEMORY_STATS_STORAGE_KEY] || {});
+  /** @type {Array<TranslationMemoryMeta>} */
+  let entries = [];
+  try {
+    entries = await runCacheTransaction(MEMORY_DATABASE, 'readonly', (data, meta) => meta.getAll()) || [];
+  } catch (error) {
+    logWarn('[ClipAIble Translation Memory] Failed to read statistics', { error: error.message });
+  }
+  return {
+    segments: entries.length,
+    size: entries.reduce((sum, entry) => sum + entry.size, 0),
+    budget: TRANSLATION_MEMORY_BUDGET_BYTES,
+    hits: usage.hits || 0,
+    misses: usage.misses || 0,
+    fuzzy: usage.fuzzy || 0
+  };
+}
+
+/**
+ * Remove all stored segments and reset counters
+ * @returns {Promise<void>}
+ * @throws {Error} If IndexedDB cannot be opened
+ */
+export async function clearTranslationMemory() {
+  await runCacheTransaction(MEMORY_DATABASE, 'readwrite', (data, meta) => {
+    data.clear();
+    meta.clear();
+  });
+  await chrome.storage.local.remove(TRANSLATION_MEMORY_STATS_STORAGE_KEY);
+  log('[ClipAIble Translation Memory] Translation memory cleared');
+}
@@ -0,0 +1,204 @@
+// @ts-check
+// Cache of synthesized TTS audio
+// Every chunk is stored in IndexedDB as soon as it is synthesized, keyed by hash of its text and
+// voice settings (provider, voice, speed, model...). Failed, cancelled or interrupted job resumes
+// from cached chunks, regenerating same article with same voice makes no TTS requests.
+// Text prepared for TTS is cached too: AI cleanup is not deterministic, new cleanup would give
+// new chunk texts and no cache hits.
+// Least recently used entries are evicted when cache grows over TTS_CACHE_BUDGET_BYTES.
+
+import { log, logWarn } from '../utils/logging.js';
+import { runCacheTransaction, hashText, selectEvictedEntries } from './indexed-db.js';
+
+/**
+ * @type {import('./indexed-db.js').CacheDatabaseSchema}
+ */
+const CACHE_DATABASE = {
+  name: 'ClipAIbleTtsCache',
+  version: 1,
+  label: 'TTS cache',
+  dataStore: 'data',
+  metaStore: 'meta',
+  createDataStore: db => db.createObjectStore('data')
+};
+
+/**
+ * Storage budget of cache (bytes)
+ * @readonly
+ */
+export const TTS_CACHE_BUDGET_BYTES = 300 * 1024 * 1024;
+
+/**
+ * Options that do not change synthesized audio
+ * @readonly
+ */
+const TRANSIENT_OPTIONS = ['tabId', 'pronunciationApplied', 'onProgress'];
+
+/**
+ * @typedef {Object} TtsCacheEntryMeta
+ * @property {string} key - Entry key
+ * @property {'audio'|'chunks'} kind - Synthesized audio or prepared text chunks
+ * @property {number} size - Size in bytes
+ * @property {number} lastUsed - Last read or write time
+ */
+
+/**
+ * Get cache key of synthesized chunk
+ * All options that change audio are part of the key, so changing voice, speed, model or
+ * provider settings never returns audio synthesized with old settings
+ * @param {string} text - Chunk text as sent to TTS
+ * @param {Partial<import('../types.js').TTSOptions>} options - TTS options of chunk
+ * @returns {string} Cache key
+ */
+export function getAudioCacheKey(text, options) {
+  const settings = Object.keys(options || {})
+    .filter(name => !TRANSIENT_OPTIONS.includes(name))
+    .filter(name => ['string', 'number', 'boolean'].includes(typeof options[name]))
+    .sort()
+    .map(name => [name, options[name]]);
+  return `audio:${options?.provider || 'openai'}:${hashText(JSON.stringify([text, settings]))}`;
+}
+
+/**
+ * Get cache key of text prepared for TTS
+ * @param {Object} source - Everything preparation depends on (content, title, provider, cleanup model...)
+ * @returns {string} Cache key
+ */
+export function getChunksCacheKey(source) {
+  return `chunks:${hashText(JSON.stringify(source))}`;
+}
+
+/**
+ * Evict least recently used entries over budget
+ * @returns {Promise<void>}
+ */
+async function evictOverBudget() {
+  /** @type {Array<TtsCacheEntryMeta>} */
+  const entries = await runCacheTransaction(CACHE_DATABASE, 'readonly', (data, meta) => meta.getAll());
+  const evicted = selectEvictedEntries(entries || [], TTS_CACHE_BUDGET_BYTES);
+  if (evicted.length === 0) {
+    return;
+  }
+  await runCacheTransaction(CACHE_DATABASE, 'readwrite', (data, meta) => {
+    for (const key of evicted) {
+      data.delete(key);
+      meta.delete(key);
+    }
+  });
+  log('[ClipAIble TTS Cache] Evicted least recently used entries', { count: evicted.length });
+}
+
+/**
+ * Read entry and mark it as recently used (errors are logged, not thrown)
+ * @param {string} key - Cache key
+ * @returns {Promise<any>} Cached value, null if not found
+ */
+async function readEntry(key) {
+  try {
+    const value = await runCacheTransaction(CACHE_DATABASE, 'readwrite', (data, meta) => {
+      const request = data.get(key);
+      const metaRequest = meta.get(key);
+      metaRequest.onsuccess = () => {
+        if (metaRequest.result) {
+          meta.put({ ...metaRequest.result, lastUsed: Date.now() });
+        }
+      };
+      return request;
+    });
+    return value ?? null;
+  } catch (error) {
+    logWarn('[ClipAIble TTS Cache] Failed to read cache entry', { key, error: error.message });
+    return null;
+  }
+}
+
+/**
+ * Write entry and evict old entries over budget (errors are logged, not thrown)
+ * @param {string} key - Cache key
+ * @param {'audio'|'chunks'} kind - Entry kind
+ * @param {*} value - Value
+ * @param {number} size - Size in bytes
+ * @returns {Promise<void>}
+ */
+async function writeEntry(key, kind, value, size) {
+  try {
+    await runCacheTransaction(CACHE_DATABASE, 'readwrite', (data, meta) => {
+      data.put(value, key);
+      meta.put({ key, kind, size, lastUsed: Date.now() });
+    });
+    await evictOverBudget();
+  } catch (error) {
+    logWarn('[ClipAIble TTS Cache] Failed to write cache entry', { key, error: error.message });
+  }
+}
+
+/**
+ * Read cached audio of chunk
+ * @param {string} key - Key from getAudioCacheKey
+ * @returns {Promise<ArrayBuffer|null>} Audio data, null if not cached
+ */
+export async function readCachedAudio(key) {
+  const result = await readEntry(key);
+  if (!result) {
+    return null;
+  }
+  return result instanceof ArrayBuffer ? result : new Uint8Array(result).buffer;
+}
+
+/**
+ * Save audio of chunk
+ * @param {string} key - Key from getAudioCacheKey
+ * @param {ArrayBuffer} buffer - Audio data
+ * @returns {Promise<void>}
+ */
+export async function saveCachedAudio(key, buffer) {
+  await writeEntry(key, 'audio', buffer, buffer.byteLength);
+}
+
+/**
+ * Read cached text chunks prepared for TTS
+ * @param {string} key - Key from getChunksCacheKey
+ * @returns {Promise<Array<Object>|null>} Chunks, null if not cached
+ */
+export async function readCachedChunks(key) {
+  const result = await readEntry(key);
+  return Array.isArray(result) && result.length > 0 ? result : null;
+}
+
+/**
+ * Save text chunks prepared for TTS
+ * @param {string} key - Key from getChunksCacheKey
+ * @param {Array<Object>} chunks - Prepared chunks
+ * @returns {Promise<void>}
+ */
+export async function saveCachedChunks(key, chunks) {
+  // Strings are stored as UTF-16
+  await writeEntry(key, 'chunks', chunks, JSON.stringify(chunks).length * 2);
+}
+
+/**
+ * Get cache statistics
+ * @returns {Promise<{audioChunks: number, size: number, budget: number}>} Cached audio chunks, total size and budget (bytes)
+ */
+export async function getAudioCacheStats() {
+  /** @type {Array<TtsCacheEntryMeta>} */
+  const entries = await runCacheTransaction(CACHE_DATABASE, 'readonly', (data, meta) => meta.getAll());
+  return {
+    audioChunks: (entries || []).filter(entry => entry.kind === 'audio').length,
+    size: (entries || []).reduce((sum, entry) => sum + entry.size, 0),
+    budget: TTS_CACHE_BUDGET_BYTES
+  };
+}
+
+/**
+ * Remove all cached audio and prepared text
+ * @returns {Promise<void>}
+ * @throws {Error} If IndexedDB cannot be opened
+ */
+export async function clearAudioCache() {
+  await runCacheTransaction(CACHE_DATABASE, 'readwrite', (data, meta) => {
+    data.clear();
+    meta.clear();
+  });
+  log('[ClipAIble TTS Cache] Audio cache cleared');
+}
@@ -31,9 +31,10 @@
  * 
  * @param {string} baseUrl - Base URL for resolving relative URLs
  * @param {boolean} enableDebugInfo - Whether to collect debug information (default: false)
+ * @param {string|null} [rootSelector] - Container to extract instead of detected main content (saved selection)
  * @returns {Promise<Object>} Extraction result with content, title, author, publishDate, debugInfo
  */
-export async function extractAutomaticallyInlined(baseUrl, enableDebugInfo = false) {
+export async function extractAutomaticallyInlined(baseUrl, enableDebugInfo = false, rootSelector = null) {
   // Collect debug info to return to service worker (only if enabled)
   // Performance optimization: skip debug info collection when LOG_LEVEL > DEBUG
   // CRITICAL: ALL logs must be in debugInfo to be visible in service worker
@@ -2994,12 +2995,18 @@ export async function extractAutomaticallyInlined(baseUrl, enableDebugInfo = fal
       }
     }
     
-    // Special handling for Twitter/X long-form articles
     let mainContent = null;
+    
+    // Saved selection: only the container with copy of selection is extracted
+    if (rootSelector) {
+      mainContent = document.querySelector(rootSelector);
+    }
+    
+    // Special handling for Twitter/X long-form articles
     const twitterArticle = document.querySelector('article[data-testid="tweet"]');
     const twitterReadView = document.querySelector('div[data-testid="twitterArticleReadView"]');
     
-    if (twitterArticle || twitterReadView) {
+    if (!mainContent && (twitterArticle || twitterReadView)) {
       // Twitter/X long-form article detected - use the container directly
       const container = twitterReadView || twitterArticle;
       if (container) {
@@ -3051,7 +3058,8 @@ export async function extractAutomaticallyInlined(baseUrl, enableDebugInfo = fal
       '[itemprop="image"]'
     ];
     
-    for (const selector of featuredImageSelectors) {
+    // Selection keeps only images user selected
+    for (const selector of rootSelector ? [] : featuredImageSelectors) {
       try {
         const element = document.querySelector(selector);
         if (element) {
@@ -3067,7 +3075,7 @@ export async function extractAutomaticallyInlined(baseUrl, enableDebugInfo = fal
     }
     
     // If not found in meta tags, look for large image at the start of article
-    if (!featuredImage && mainContent) {
+    if (!featuredImage && mainContent && !rootSelector) {
       try {
         // Look for first large image in article (before first paragraph)
         // Check both inside mainContent and in article header (before mainContent)
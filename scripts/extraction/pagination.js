@@ -0,0 +1,401 @@
+// @ts-check
+// Multi-page article stitching for ClipAIble extension
+// Finds next page links of paginated articles (rel=next, ?page=2, /page/2/), extracts every page
+// in background tab and merges content into one extraction result
+
+import { log, logWarn } from '../utils/logging.js';
+import { CONFIG } from '../utils/config.js';
+import { extractAutomaticallyInlined } from './automatic.js';
+
+/**
+ * Storage key of maximum number of pages to merge (1 = current page only)
+ * @readonly
+ */
+export const PAGINATION_MAX_PAGES_KEY = 'pagination_max_pages';
+
+/**
+ * Query parameters used by sites for page number
+ * @readonly
+ */
+const PAGE_QUERY_PARAMS = ['page', 'p', 'pg', 'paged', 'pagenum'];
+
+/**
+ * Largest number treated as page number in plain trailing path segment (/article/2/)
+ * Larger numbers are usually IDs (/news/12345)
+ * @readonly
+ */
+const MAX_PATH_PAGE_NUMBER = 50;
+
+/**
+ * Collect next page link candidates in page context
+ * Injected via chrome.scripting.executeScript - must be self-contained (no imports, no outer variables)
+ * Candidates are returned in priority order and validated in service worker
+ * @returns {Array<{url: string, source: string}>}
+ */
+export function findNextPageCandidatesInlined() {
+  const candidates = [];
+  const seen = new Set();
+
+  function addCandidate(href, source) {
+    if (!href) return;
+    try {
+      const url = new URL(href, document.baseURI).href;
+      if (!seen.has(url)) {
+        seen.add(url);
+        candidates.push({ url, source });
+      }
+    } catch (e) {
+      // Ignore malformed links
+    }
+  }
+
+  // 1. Explicit pagination markup
+  document.querySelectorAll('link[rel~="next" i]').forEach(link => {
+    addCandidate(link.getAttribute('href'), 'link-rel-next');
+  });
+  document.querySelectorAll('a[rel~="next" i]').forEach(link => {
+    addCandidate(link.getAttribute('href'), 'a-rel-next');
+  });
+
+  // 2. "Next" links inside pagination blocks
+  const nextTextPattern = /^(next|next page|далее|дальше|следующая|вперёд|вперед|наступна|далі|weiter|nächste|suivant|suivante|siguiente|successiva|successivo|próxima|seguinte|下一页|下一頁|次へ|次のページ|다음)(\s+(page|страница|seite|página|pagina))?\s*[›»→>]*$|^[›»→]$/i;
+  const paginationBlocks = document.querySelectorAll(
+    '.pagination, .pager, .page-numbers, .post-pagination, .article-pagination, nav[aria-label*="pag" i], [class*="pagination"], [class*="pager"]'
+  );
+  paginationBlocks.forEach(block => {
+    block.querySelectorAll('a[href]').forEach(link => {
+      const text = (link.textContent || '').replace(/\s+/g, ' ').trim();
+      const label = link.getAttribute('aria-label') || link.getAttribute('title') || '';
+      const className = typeof link.className === 'string' ? link.className : '';
+      if (nextTextPattern.test(text) || nextTextPattern.test(label.trim()) || /(^|[\s_-])next([\s_-]|$)/i.test(className)) {
+        addCandidate(link.getAttribute('href'), 'pagination-next');
+      }
+    });
+  });
+
+  // 3. Links to page number + 1 (current page number from URL, 1 if absent)
+  const current = new URL(location.href);
+  let currentPage = 1;
+  for (const param of ['page', 'p', 'pg', 'paged', 'pagenum']) {
+    const value = parseInt(current.searchParams.get(param) || '', 10);
+    if (value > 0) {
+      currentPage = value;
+      break;
+    }
+  }
+  const pathPageMatch = current.pathname.match(/\/(?:page\/)?(\d{1,3})\/?$/);
+  if (currentPage === 1 && pathPageMatch) {
+    currentPage = parseInt(pathPageMatch[1], 10) || 1;
+  }
+  const nextPage = String(currentPage + 1);
+  document.querySelectorAll('a[href]').forEach(link => {
+    const text = (link.textContent || '').trim();
+    if (text === nextPage) {
+      addCandidate(link.getAttribute('href'), 'page-number');
+    }
+  });
+
+  return candidates.slice(0, 20);
+}
+
+/**
+ * Split URL into article key (URL without page markers) and page number
+ * Page markers: page query params, /page/N and trailing /N
+ * @param {URL} urlObj - URL
+ * @returns {{key: string, page: number|null}} Article key and page number (null if URL has no page marker)
+ */
+function parsePageUrl(urlObj) {
+  let page = null;
+  const params = new URLSearchParams(urlObj.search);
+  for (const param of PAGE_QUERY_PARAMS) {
+    if (params.has(param)) {
+      const value = parseInt(params.get(param) || '', 10);
+      if (value > 0 && page === null) {
+        page = value;
+      }
+      params.delete(param);
+    }
+  }
+  params.sort();
+
+  let path = urlObj.pathname.replace(/\/+$/, '');
+  const pathMatch = path.match(/\/page\/(\d{1,3})$/i) || path.match(/\/(\d{1,2})$/);
+  if (pathMatch) {
+    const value = parseInt(pathMatch[1], 10);
+    if (value > 0 && (pathMatch[0].toLowerCase().startsWith('/page/') || value <= MAX_PATH_PAGE_NUMBER)) {
+      path = path.slice(0, -pathMatch[0].length);
+      if (page === null) {
+        page = value;
+      }
+    }
+  }
+
+  const query = params.toString();
+  return { key: `${urlObj.host}${path}${query ? `?${query}` : ''}`, page };
+}
+
+/**
+ * Check if candidate URL is next page of the same article (not another article or comments page)
+ * Candidate must point to the same article with page number of current page + 1
+ * @param {string} currentUrl - URL of current page
+ * @param {string} candidateUrl - Candidate URL
+ * @returns {boolean}
+ */
+export function isNextPageOfArticle(currentUrl, candidateUrl) {
+  let current;
+  let candidate;
+  try {
+    current = new URL(currentUrl);
+    candidate = new URL(candidateUrl);
+  } catch (e) {
+    return false;
+  }
+
+  if (!['http:', 'https:'].includes(candidate.protocol) || candidate.host !== current.host) {
+    return false;
+  }
+
+  current.hash = '';
+  candidate.hash = '';
+  if (candidate.href === current.href || /comment-page-\d+|[?&]cpage=/i.test(candidate.href)) {
+    return false;
+  }
+
+  const currentPage = parsePageUrl(current);
+  const candidatePage = parsePageUrl(candidate);
+  return candidatePage.page !== null &&
+    candidatePage.key === currentPage.key &&
+    candidatePage.page === (currentPage.page || 1) + 1;
+}
+
+/**
+ * Pick next page URL from candidates collected in page
+ * @param {string} currentUrl - URL of current page
+ * @param {Array<{url: string, source: string}>} candidates - Candidates in priority order
+ * @param {Set<string>} visitedUrls - URLs of already extracted pages (without hash)
+ * @returns {string|null}
+ */
+export function pickNextPageUrl(currentUrl, candidates, visitedUrls) {
+  for (const candidate of candidates || []) {
+    const url = String(candidate?.url || '').split('#')[0];
+    if (url && !visitedUrls.has(url) && isNextPageOfArticle(currentUrl, url)) {
+      return url;
+    }
+  }
+  return null;
+}
+
+/**
+ * Get comparison signature of content item (type and normalized text or image source)
+ * @param {import('../types.js').ContentItem} item - Content item
+ * @returns {string}
+ */
+function getItemSignature(item) {
+  if (item.type === 'image') {
+    return `image:${item.src || item.url || ''}`;
+  }
+  const listText = Array.isArray(item.items)
+    ? item.items.map(li => (typeof li === 'string' ? li : li?.html || li?.text || '')).join('|')
+    : '';
+  const text = (item.text || item.html || item.content || listText || '')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .toLowerCase();
+  return `${item.type}:${text}`;
+}
+
+/**
+ * Merge content of next page into article content
+ * Repeated header and footer items (title, byline, share blocks, related links) are dropped:
+ * leading and trailing items that already appeared on previous pages, and headings equal to article title
+ * @param {Array<import('../types.js').ContentItem>} content - Content of previous pages
+ * @param {Array<import('../types.js').ContentItem>} pageContent - Content of next page
+ * @param {string} title - Article title
+ * @param {number} pageNumber - Number of next page (for unique heading IDs)
+ * @returns {{content: Array<import('../types.js').ContentItem>, added: number}} Merged content and number of added items
+ */
+export function mergePageContent(content, pageContent, title, pageNumber) {
+  const seenSignatures = new Set(content.map(getItemSignature));
+  const seenIds = new Set(content.map(item => item.id).filter(Boolean));
+  const normalizedTitle = (title || '').replace(/\s+/g, ' ').trim().toLowerCase();
+
+  const items = (pageContent || []).filter(item => {
+    if (!item) return false;
+    if (item.type === 'heading' && normalizedTitle) {
+      const headingText = (item.text || '').replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim().toLowerCase();
+      if (headingText === normalizedTitle) return false;
+    }
+    return true;
+  });
+
+  let start = 0;
+  while (start < items.length && seenSignatures.has(getItemSignature(items[start]))) {
+    start++;
+  }
+  let end = items.length;
+  while (end > start && seenSignatures.has(getItemSignature(items[end - 1]))) {
+    end--;
+  }
+
+  const added = items.slice(start, end).map(item => {
+    if (item.id && seenIds.has(item.id)) {
+      return { ...item, id: `${item.id}-p${pageNumber}` };
+    }
+    return item;
+  });
+
+  return { content: [...content, ...added], added: added.length };
+}
+
+/**
+ * Get maximum number of pages to merge from settings
+ * @returns {Promise<number>} Page cap (1 disables stitching)
+ */
+export async function getPaginationMaxPages() {
+  const settings = await chrome.storage.local.get([PAGINATION_MAX_PAGES_KEY]);
+  const value = parseInt(String(settings[PAGINATION_MAX_PAGES_KEY] ?? CONFIG.PAGINATION_DEFAULT_MAX_PAGES), 10);
+  if (!Number.isFinite(value) || value < 1) {
+    return 1;
+  }
+  return Math.min(value, CONFIG.PAGINATION_MAX_PAGES_LIMIT);
+}
+
+/**
+ * Run function in tab and return its result
+ * @param {number} tabId - Tab ID
+ * @param {Function} func - Self-contained function
+ * @param {Array<any>} [args] - Function arguments
+ * @returns {Promise<any>}
+ */
+async function executeInTab(tabId, func, args = []) {
+  const results = await chrome.scripting.executeScript({
+    target: { tabId },
+    world: 'MAIN',
+    // @ts-ignore - func signature differs per call
+    func,
+    args
+  });
+  return results?.[0]?.result;
+}
+
+/**
+ * Wait until tab finished loading
+ * @param {number} tabId - Tab ID
+ * @returns {Promise<boolean>} False if tab did not load in time
+ */
+async function waitForTabLoad(tabId) {
+  const deadline = Date.now() + CONFIG.PAGINATION_TAB_LOAD_TIMEOUT_MS;
+  while (Date.now() < deadline) {
+    const tab = await chrome.tabs.get(tabId);
+    if (tab.status === 'complete') {
+      return true;
+    }
+    await new Promise(resolve => setTimeout(resolve, CONFIG.PAGINATION_POLL_INTERVAL_MS));
+  }
+  return false;
+}
+
+/**
+ * Open page in background tab, extract its content and next page candidates, close tab
+ * @param {string} url - Page URL
+ * @returns {Promise<{content: Array<import('../types.js').ContentItem>, candidates: Array<{url: string, source: string}>}|null>} Null if page could not be loaded
+ */
+async function extractPageInBackgroundTab(url) {
+  const tab = await chrome.tabs.create({ url, active: false });
+  try {
+    if (!(await waitForTabLoad(tab.id))) {
+      logWarn('Next page did not load in time', { url });
+      return null;
+    }
+    const result = await executeInTab(tab.id, extractAutomaticallyInlined, [url, false]);
+    const candidates = await executeInTab(tab.id, findNextPageCandidatesInlined);
+    return {
+      content: Array.isArray(result?.content) ? result.content : [],
+      candidates: Array.isArray(candidates) ? candidates : []
+    };
+  } finally {
+    try {
+      await chrome.tabs.remove(tab.id);
+    } catch (e) {
+      // Tab may already be closed by user
+    }
+  }
+}
+
+/**
+ * Append next pages of paginated article to extraction result
+ * Stops at page cap, at page without new content, or when next page link is not found
+ * Failures of next pages are logged and the already collected content is kept
+ * @param {import('../types.js').ExtractionResult} result - Extraction result of current page
+ * @param {Object} options - Options
+ * @param {number} options.tabId - Tab with current page
+ * @param {string} options.url - URL of current page
+ * @param {number} options.maxPages - Maximum number of pages (including current one)
+ * @param {function(number, string): Promise<void>} [options.onPage] - Called before loading every next page (page number, URL)
+ * @param {function(): Promise<void>} [options.checkCancellation] - Throws if processing was cancelled
+ * @returns {Promise<import('../types.js').ExtractionResult>} Result with merged content and pageCount
+ */
+export async function stitchPaginatedArticle(result, { tabId, url, maxPages, onPage, checkCancellation }) {
+  if (!result?.content?.length || maxPages <= 1) {
+    return result;
+  }
+
+  let candidates;
+  try {
+    candidates = await executeInTab(tabId, findNextPageCandidatesInlined);
+  } catch (error) {
+    logWarn('Failed to look for next page links', { error: error.message });
+    return result;
+  }
+
+  const visitedUrls = new Set([url.split('#')[0]]);
+  let currentUrl = url;
+  let content = result.content;
+  let pageCount = 1;
+
+  while (pageCount < maxPages) {
+    const nextUrl = pickNextPageUrl(currentUrl, candidates, visitedUrls);
+    if (!nextUrl) {
+      break;
+    }
+    visitedUrls.add(nextUrl);
+
+    if (checkCancellation) {
+      await checkCancellation();
+    }
+    if (onPage) {
+      await onPage(pageCount + 1, nextUrl);
+    }
+
+    let page;
+    try {
+      page = await extractPageInBackgroundTab(nextUrl);
+    } catch (error) {
+      logWarn('Failed to extract next page', { url: nextUrl, error: error.message });
+      break;
+    }
+    if (!page) {
+      break;
+    }
+
+    const merged = mergePageContent(content, page.content, result.title, pageCount + 1);
+    if (merged.added === 0) {
+      log('Next page has no new content, stopping', { url: nextUrl });
+      break;
+    }
+
+    content = merged.content;
+    pageCount++;
+    currentUrl = nextUrl;
+    candidates = page.candidates;
+    log('Next page merged', { page: pageCount, url: nextUrl, addedItems: merged.added, totalItems: content.length });
+  }
+
+  if (pageCount === 1) {
+    return result;
+  }
+
+  log(`📄 Multi-page article stitched: ${pageCount} pages`, { url, totalItems: content.length });
+  return { ...result, content, pageCount };
+}
@@ -0,0 +1,260 @@
+// @ts-check
+// Interactive element picker for ClipAIble extension
+// Overlay in page lets user click article container and elements to exclude,
+// result is saved as user-authored selectors for the domain (see cache/selectors.js)
+
+import { log, logWarn } from '../utils/logging.js';
+import { tSync, getUILanguage } from '../locales.js';
+
+/**
+ * Attribute of picker overlay host (overlay is never picked itself)
+ * @readonly
+ */
+export const PICKER_OVERLAY_ATTR = 'data-clipaible-picker';
+
+/**
+ * Locale keys of overlay texts
+ * @readonly
+ */
+const PICKER_LABEL_KEYS = {
+  pickContainer: 'pickerHintContainer',
+  pickExclude: 'pickerHintExclude',
+  done: 'pickerDone',
+  cancel: 'pickerCancel'
+};
+
+/**
+ * Show picker overlay and wait until user confirms or cancels
+ * Injected via chrome.scripting.executeScript - must be self-contained (no imports, no outer variables)
+ * First click picks article container, next clicks inside it toggle exclusions,
+ * click outside container picks new container. ArrowUp widens hovered element to its parent,
+ * Enter confirms, Escape cancels
+ * @param {string} overlayAttr - Overlay host attribute (PICKER_OVERLAY_ATTR)
+ * @param {{pickContainer: string, pickExclude: string, done: string, cancel: string}} labels - Overlay texts
+ * @returns {Promise<{articleContainer: string, exclude: Array<string>}|null>} Null if cancelled
+ */
+export function pickElementsInlined(overlayAttr, labels) {
+  document.querySelectorAll(`[${overlayAttr}]`).forEach(el => el.remove());
+
+  // Hashed class names and ids of CSS-in-JS change on every build, they are not used in selectors
+  function isStableName(name) {
+    return /^[a-zA-Z_-][\w-]*$/.test(name) && name.length <= 40 && !/\d{3,}|[a-z][A-Z0-9]{4,}/.test(name);
+  }
+
+  function isUnique(selector) {
+    try {
+      return document.querySelectorAll(selector).length === 1;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * Build shortest selector path that matches only this element
+   * @param {Element} element
+   * @returns {string}
+   */
+  function buildSelector(element) {
+    const parts = [];
+    /** @type {Element|null} */
+    let node = element;
+    while (node && node !== document.body && node !== document.documentElement) {
+      if (node.id && isStableName(node.id) && isUnique(`#${CSS.escape(node.id)}`)) {
+        parts.unshift(`#${CSS.escape(node.id)}`);
+        return parts.join(' > ');
+      }
+      let part = node.tagName.toLowerCase();
+      const classes = Array.from(node.classList).filter(isStableName).slice(0, 2);
+      part += classes.map(name => `.${CSS.escape(name)}`).join('');
+      const parent = node.parentElement;
+      if (parent) {
+        const sameTag = Array.from(parent.children).filter(child => child.tagName === node?.tagName);
+        const samePart = sameTag.filter(child => child.matches(part));
+        if (samePart.length > 1) {
+          part += `:nth-of-type(${sameTag.indexOf(node) + 1})`;
+        }
+      }
+      parts.unshift(part);
+      const selector = parts.join(' > ');
+      if (isUnique(selector)) {
+        return selector;
+      }
+      node = parent;
+    }
+    return ['body', ...parts].join(' > ');
+  }
+
+  return new Promise(resolve => {
+    const host = document.createElement('div');
+    host.setAttribute(overlayAttr, '');
+    host.style.cssText = 'position:fixed;inset:0;z-index:2147483647;pointer-events:none;';
+    const shadow = host.attachShadow({ mode: 'open' });
+    shadow.innerHTML = `
+      <style>
+        .box { position: fixed; pointer-events: none; box-sizing: border-box; border-radius: 2px; }
+        .hover { border: 2px dashed #6cacff; background: rgba(108, 172, 255, 0.12); }
+        .container { border: 3px solid #4ade80; background: rgba(74, 222, 128, 0.08); }
+        .exclude { border: 2px solid #ff6b6b; background: rgba(255, 107, 107, 0.25); }
+        .toolbar { position: fixed; left: 50%; bottom: 16px; transform: translateX(-50%); display: flex; gap: 8px;
+          align-items: center; padding: 8px 12px; background: #1f1f1f; color: #f0f0f0; border-radius: 8px;
+          font: 13px/1.4 system-ui, sans-serif; box-shadow: 0 4px 16px rgba(0, 0, 0, 0.4); pointer-events: auto; max-width: 90vw; }
+        button { font: inherit; padding: 4px 10px; border-radius: 4px; border: 1px solid #555; cursor: pointer;
+          background: #2d2d2d; color: #f0f0f0; }
+        button.primary { background: #2563eb; border-color: #2563eb; }
+        button:disabled { opacity: 0.5; cursor: default; }
+      </style>
+      <div class="box hover" hidden></div>
+      <div class="boxes"></div>
+      <div class="toolbar">
+        <span class="hint"></span>
+        <button class="primary" data-action="done" disabled></button>
+        <button data-action="cancel"></button>
+      </div>`;
+    const hoverBox = /** @type {HTMLElement} */ (shadow.querySelector('.hover'));
+    const boxes = /** @type {HTMLElement} */ (shadow.querySelector('.boxes'));
+    const toolbar = /** @type {HTMLElement} */ (shadow.querySelector('.toolbar'));
+    const hint = /** @type {HTMLElement} */ (shadow.querySelector('.hint'));
+    const doneButton = /** @type {HTMLButtonElement} */ (shadow.querySelector('[data-action="done"]'));
+    const cancelButton = /** @type {HTMLButtonElement} */ (shadow.querySelector('[data-action="cancel"]'));
+    doneButton.textContent = labels.done;
+    cancelButton.textContent = labels.cancel;
+
+    /** @type {Element|null} */
+    let hovered = null;
+    /** @type {Element|null} */
+    let container = null;
+    /** @type {Array<Element>} */
+    let excluded = [];
+
+    function placeBox(box, element) {
+      const rect = element.getBoundingClientRect();
+      box.style.left = `${rect.left}px`;
+      box.style.top = `${rect.top}px`;
+      box.style.width = `${rect.width}px`;
+      box.style.height = `${rect.height}px`;
+    }
+
+    function render() {
+      boxes.textContent = '';
+      for (const [element, className] of [[container, 'container'], ...excluded.map(el => [el, 'exclude'])]) {
+        if (!element) continue;
+        const box = document.createElement('div');
+        box.className = `box ${className}`;
+        placeBox(box, element);
+        boxes.appendChild(box);
+      }
+      hoverBox.hidden = !hovered;
+      if (hovered) {
+        placeBox(hoverBox, hovered);
+      }
+      hint.textContent = container ? labels.pickExclude : labels.pickContainer;
+      doneButton.disabled = !container;
+    }
+
+    function finish(result) {
+      document.removeEventListener('mousemove', onMove, true);
+      document.removeEventListener('click', onClick, true);
+      document.removeEventListener('keydown', onKey, true);
+      window.removeEventListener('scroll', render, true);
+      window.removeEventListener('resize', render);
+      host.remove();
+      resolve(result);
+    }
+
+    function accept() {
+      if (!container) return;
+      finish({
+        articleContainer: buildSelector(container),
+        exclude: excluded.map(buildSelector)
+      });
+    }
+
+    function isOverlay(target) {
+      return target === host || (target instanceof Node && host.contains(target));
+    }
+
+    function onMove(event) {
+      if (isOverlay(event.target) || !(event.target instanceof Element)) return;
+      hovered = event.target;
+      render();
+    }
+
+    function onClick(event) {
+      if (isOverlay(event.target)) return;
+      // Page links and handlers must not react while picking
+      event.preventDefault();
+      event.stopPropagation();
+      const target = hovered || (event.target instanceof Element ? event.target : null);
+      if (!target || target === document.body || target === document.documentElement) return;
+
+      if (container && target !== container && container.contains(target)) {
+        excluded = excluded.includes(target)
+          ? excluded.filter(el => el !== target)
+          : [...excluded.filter(el => !target.contains(el)), target];
+      } else if (container === target) {
+        container = null;
+        excluded = [];
+      } else {
+        container = target;
+        excluded = excluded.filter(el => target.contains(el));
+      }
+      render();
+    }
+
+    function onKey(event) {
+      if (event.key === 'Escape') {
+        event.preventDefault();
+        finish(null);
+      } else if (event.key === 'Enter') {
+        event.preventDefault();
+        accept();
+      } else if (event.key === 'ArrowUp' && hovered?.parentElement && hovered.parentElement !== document.documentElement) {
+        event.preventDefault();
+        hovered = hovered.parentElement;
+        render();
+      }
+    }
+
+    toolbar.addEventListener('click', event => {
+      const action = event.target instanceof HTMLElement ? event.target.dataset.action : null;
+      if (action === 'done') accept();
+      if (action === 'cancel') finish(null);
+    });
+    document.addEventListener('mousemove', onMove, true);
+    document.addEventListener('click', onClick, true);
+    document.addEventListener('keydown', onKey, true);
+    window.addEventListener('scroll', render, true);
+    window.addEventListener('resize', render);
+
+    document.documentElement.appendChild(host);
+    render();
+  });
+}
+
+/**
+ * Run element picker in tab and wait for user choice
+ * @param {number} tabId - Tab ID
+ * @returns {Promise<{articleContainer: string, exclude: Array<string>}|null>} Picked selectors, null if cancelled
+ */
+export async function pickArticleElements(tabId) {
+  const uiLang = await getUILanguage();
+  /** @type {Record<string, string>} */
+  const labels = {};
+  for (const [name, key] of Object.entries(PICKER_LABEL_KEYS)) {
+    labels[name] = tSync(key, uiLang);
+  }
+
+  const results = await chrome.scripting.executeScript({
+    target: { tabId },
+    world: 'MAIN',
+    func: pickElementsInlined,
+    args: [PICKER_OVERLAY_ATTR, labels]
+  });
+  const picked = results?.[0]?.result || null;
+  if (picked) {
+    log('Elements picked', { tabId, articleContainer: picked.articleContainer, exclude: picked.exclude.length });
+  } else {
+    logWarn('Element picker cancelled or closed', { tabId });
+  }
+  return picked;
+}
@@ -3,6 +3,8 @@
 
 // @typedef {import('../types.js').SelectorResult} SelectorResult
 
+import { formatLanguageCodeList } from '../utils/languages.js';
+
 /**
  * System prompt for AI to return CSS selectors
  */
@@ -245,7 +247,7 @@ CRITICAL - SUBTITLE SELECTOR:
 CRITICAL - LANGUAGE DETECTION:
 - "detectedLanguage" = ISO 639-1 two-letter language code of the MAIN article content
 - Analyze the actual article text content (title, paragraphs, headings) - NOT UI elements, navigation, comments, or site metadata
-- Supported codes: 'en' (English), 'ru' (Russian), 'ua' (Ukrainian), 'de' (German), 'fr' (French), 'es' (Spanish), 'it' (Italian), 'pt' (Portuguese), 'zh' (Chinese), 'ja' (Japanese), 'ko' (Korean)
+- Supported codes: ${formatLanguageCodeList()}; other languages by their ISO 639-1 code
 - Return ONLY the 2-letter code, nothing else (e.g., "en", not "English" or "en-US")
 - If the article contains multiple languages, return the language of the PRIMARY content (the main article text)
 - If uncertain or mixed content, return 'en' as default
@@ -0,0 +1,124 @@
+// @ts-check
+// Saving selected text/region of page for ClipAIble extension
+// Selection is copied into off-screen container in page and extracted by automatic extraction
+// (same cleaning and content building as whole article), then container is removed
+
+import { log, logWarn } from '../utils/logging.js';
+
+/**
+ * Attribute of container with copy of selection
+ * @readonly
+ */
+export const SELECTION_CONTAINER_ATTR = 'data-clipaible-selection';
+
+/**
+ * Selector passed to extractAutomaticallyInlined as extraction root
+ * @readonly
+ */
+export const SELECTION_ROOT_SELECTOR = `[${SELECTION_CONTAINER_ATTR}]`;
+
+/**
+ * Copy current selection into off-screen container in page
+ * Injected via chrome.scripting.executeScript - must be self-contained (no imports, no outer variables)
+ * Structure lost when selection starts inside paragraph, list or table is restored from page
+ * (part of list item stays in list, selected cells stay in table)
+ * @param {string} containerAttr - Container attribute (SELECTION_CONTAINER_ATTR)
+ * @returns {{textLength: number, rangeCount: number}|null} Null if nothing is selected
+ */
+export function captureSelectionInlined(containerAttr) {
+  document.querySelectorAll(`[${containerAttr}]`).forEach(el => el.remove());
+
+  const selection = window.getSelection();
+  if (!selection || selection.isCollapsed || selection.rangeCount === 0 || !selection.toString().trim()) {
+    return null;
+  }
+
+  // Closest element that must be kept around partial selection, and elements that complete the structure
+  const STRUCTURE_SELECTOR = 'p, h1, h2, h3, h4, h5, h6, pre, blockquote, figure, li, dt, dd, td, th, tr, thead, tbody, tfoot, table, ul, ol, dl';
+  const COMPLETE_TAGS = ['p', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'pre', 'blockquote', 'figure', 'table', 'ul', 'ol', 'dl'];
+
+  const container = document.createElement('div');
+  container.setAttribute(containerAttr, '');
+  container.setAttribute('aria-hidden', 'true');
+  // Off-screen but rendered: extraction skips elements hidden with display/visibility
+  container.style.cssText = 'position:absolute;left:-100000px;top:0;width:800px;';
+
+  for (let i = 0; i < selection.rangeCount; i++) {
+    const range = selection.getRangeAt(i);
+    /** @type {Node} */
+    let node = range.cloneContents();
+
+    const ancestor = range.commonAncestorContainer;
+    const ancestorElement = ancestor.nodeType === Node.ELEMENT_NODE
+      ? /** @type {Element} */ (ancestor)
+      : ancestor.parentElement;
+    let host = ancestorElement ? ancestorElement.closest(STRUCTURE_SELECTOR) : null;
+    while (host) {
+      const wrapper = host.cloneNode(false);
+      wrapper.appendChild(node);
+      node = wrapper;
+      if (COMPLETE_TAGS.includes(host.tagName.toLowerCase())) {
+        break;
+      }
+      host = host.parentElement ? host.parentElement.closest(STRUCTURE_SELECTOR) : null;
+    }
+    container.appendChild(node);
+  }
+
+  // Copies must not clash with page IDs, links and images must work outside page
+  container.querySelectorAll('[id]').forEach(el => el.removeAttribute('id'));
+  container.querySelectorAll('a[href]').forEach(link => {
+    link.setAttribute('href', /** @type {HTMLAnchorElement} */ (link).href);
+  });
+  container.querySelectorAll('img[src]').forEach(img => {
+    img.setAttribute('src', /** @type {HTMLImageElement} */ (img).src);
+  });
+
+  document.body.appendChild(container);
+  return { textLength: (container.textContent || '').trim().length, rangeCount: selection.rangeCount };
+}
+
+/**
+ * Remove selection container from page
+ * Injected via chrome.scripting.executeScript - must be self-contained
+ * @param {string} containerAttr - Container attribute (SELECTION_CONTAINER_ATTR)
+ */
+export function removeSelectionContainerInlined(containerAttr) {
+  document.querySelectorAll(`[${containerAttr}]`).forEach(el => el.remove());
+}
+
+/**
+ * Copy selection of tab into extraction container
+ * @param {number} tabId - Tab ID
+ * @returns {Promise<{textLength: number, rangeCount: number}|null>} Null if nothing is selected
+ */
+export async function captureSelection(tabId) {
+  const results = await chrome.scripting.executeScript({
+    target: { tabId },
+    world: 'MAIN',
+    func: captureSelectionInlined,
+    args: [SELECTION_CONTAINER_ATTR]
+  });
+  const captured = results?.[0]?.result || null;
+  log('Selection captured', { tabId, ...(captured || { empty: true }) });
+  return captured;
+}
+
+/**
+ * Remove selection container from tab
+ * Failures are ignored: tab may be closed or navigated away
+ * @param {number} tabId - Tab ID
+ * @returns {Promise<void>}
+ */
+export async function removeSelectionContainer(tabId) {
+  try {
+    await chrome.scripting.executeScript({
+      target: { tabId },
+      world: 'MAIN',
+      func: removeSelectionContainerInlined,
+      args: [SELECTION_CONTAINER_ATTR]
+    });
+  } catch (error) {
+    logWarn('Failed to remove selection container', { tabId, error: error?.message });
+  }
+}
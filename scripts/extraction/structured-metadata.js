@@ -0,0 +1,516 @@
+// @ts-check
+// Structured metadata extraction: JSON-LD (schema.org), OpenGraph/article:*, citation_* and Dublin Core
+// Works on page HTML string, so it runs in service worker for every extraction mode
+
+import { log, logWarn } from '../utils/logging.js';
+import { decodeHtmlEntities } from '../utils/html.js';
+
+const MAX_AUTHORS = 20;
+const MAX_KEYWORDS = 30;
+
+/**
+ * schema.org types treated as article, in priority order
+ * @readonly
+ */
+const ARTICLE_TYPE_PATTERN = /^(Article|NewsArticle|BlogPosting|ScholarlyArticle|TechArticle|Report|AnalysisNewsArticle|OpinionNewsArticle|ReportageNewsArticle|ReviewNewsArticle|LiveBlogPosting|SocialMediaPosting|DiscussionForumPosting|Review)$/;
+const PAGE_TYPE_PATTERN = /^(WebPage|ItemPage|CreativeWork)$/;
+
+/**
+ * Meta tag names per field, grouped by source in confidence order (highest first)
+ * JSON-LD is checked before all of them
+ * @readonly
+ */
+const META_SOURCES = {
+  authors: [
+    ['citation_author'],
+    ['article:author'],
+    ['dc.creator', 'dcterms.creator'],
+    ['author', 'parsely-author', 'sailthru.author']
+  ],
+  publisher: [
+    ['citation_publisher', 'citation_journal_title'],
+    ['og:site_name'],
+    ['dc.publisher', 'dcterms.publisher'],
+    ['application-name']
+  ],
+  publishedDate: [
+    ['citation_publication_date', 'citation_date', 'citation_online_date'],
+    ['article:published_time', 'og:published_time'],
+    ['dc.date.issued', 'dcterms.issued', 'dc.date', 'dcterms.date', 'dcterms.created'],
+    ['date', 'pubdate', 'publishdate', 'parsely-pub-date', 'sailthru.date']
+  ],
+  modifiedDate: [
+    ['article:modified_time', 'og:updated_time'],
+    ['dcterms.modified', 'dc.date.modified'],
+    ['last-modified']
+  ],
+  section: [
+    ['article:section'],
+    ['parsely-section']
+  ],
+  keywords: [
+    ['citation_keywords'],
+    ['article:tag'],
+    ['dc.subject', 'dcterms.subject'],
+    ['news_keywords', 'keywords', 'parsely-tags']
+  ],
+  image: [
+    ['og:image', 'og:image:url', 'og:image:secure_url'],
+    ['twitter:image', 'twitter:image:src']
+  ]
+};
+
+/**
+ * Create empty metadata object
+ * @returns {import('../types.js').ArticleMetadata}
+ */
+export function createEmptyMetadata() {
+  return {
+    authors: [],
+    publisher: '',
+    publishedDate: '',
+    modifiedDate: '',
+    section: '',
+    keywords: [],
+    canonicalUrl: '',
+    doi: '',
+    image: ''
+  };
+}
+
+/**
+ * Parse attributes of single HTML tag
+ * @param {string} tag - Tag source like <meta name="x" content="y">
+ * @returns {Object<string, string>} Lowercased attribute names with decoded values
+ */
+function parseTagAttributes(tag) {
+  /** @type {Object<string, string>} */
+  const attrs = {};
+  const attrRegex = /([a-zA-Z_:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/g;
+  let match;
+  while ((match = attrRegex.exec(tag)) !== null) {
+    const name = match[1].toLowerCase();
+    if (!(name in attrs)) {
+      attrs[name] = decodeHtmlEntities(match[2] ?? match[3] ?? match[4] ?? '').trim();
+    }
+  }
+  return attrs;
+}
+
+/**
+ * Collect meta tag values from HTML
+ * @param {string} html - Page HTML
+ * @returns {Map<string, Array<string>>} Lowercased meta name/property -> values in document order
+ */
+export function parseMetaTags(html) {
+  /** @type {Map<string, Array<string>>} */
+  const tags = new Map();
+  const metaRegex = /<meta\b[^>]*>/gi;
+  let match;
+  while ((match = metaRegex.exec(html || '')) !== null) {
+    const attrs = parseTagAttributes(match[0]);
+    const key = (attrs.property || attrs.name || attrs.itemprop || '').toLowerCase();
+    const value = attrs.content;
+    if (!key || !value) continue;
+    if (!tags.has(key)) {
+      tags.set(key, []);
+    }
+    tags.get(key).push(value);
+  }
+  return tags;
+}
+
+/**
+ * Find canonical URL in <link rel="canonical">
+ * @param {string} html - Page HTML
+ * @returns {string}
+ */
+function findCanonicalLink(html) {
+  const linkRegex = /<link\b[^>]*>/gi;
+  let match;
+  while ((match = linkRegex.exec(html || '')) !== null) {
+    const attrs = parseTagAttributes(match[0]);
+    if ((attrs.rel || '').toLowerCase().split(/\s+/).includes('canonical') && attrs.href) {
+      return attrs.href;
+    }
+  }
+  return '';
+}
+
+/**
+ * Parse all JSON-LD blocks and flatten them into list of nodes (arrays and @graph are expanded)
+ * Invalid blocks are skipped
+ * @param {string} html - Page HTML
+ * @returns {Array<Object>} JSON-LD nodes
+ */
+export function parseJsonLdNodes(html) {
+  const nodes = [];
+  const scriptRegex = /<script\b[^>]*type\s*=\s*["']?application\/ld\+json["']?[^>]*>([\s\S]*?)<\/script>/gi;
+  let match;
+  while ((match = scriptRegex.exec(html || '')) !== null) {
+    const json = match[1]
+      .replace(/^\s*<!\[CDATA\[/, '')
+      .replace(/\]\]>\s*$/, '')
+      .replace(/^\s*<!--/, '')
+      .replace(/-->\s*$/, '')
+      .trim();
+    if (!json) continue;
+    try {
+      collectJsonLdNodes(JSON.parse(json), nodes);
+    } catch (error) {
+      logWarn('Skipping invalid JSON-LD block', { error: error.message, length: json.length });
+    }
+  }
+  return nodes;
+}
+
+/**
+ * Recursively collect JSON-LD nodes
+ * @param {any} value - Parsed JSON value
+ * @param {Array<Object>} nodes - Output list
+ */
+function collectJsonLdNodes(value, nodes) {
+  if (Array.isArray(value)) {
+    value.forEach(item => collectJsonLdNodes(item, nodes));
+    return;
+  }
+  if (!value || typeof value !== 'object') return;
+  if (Array.isArray(value['@graph'])) {
+    collectJsonLdNodes(value['@graph'], nodes);
+  }
+  if (value['@type']) {
+    nodes.push(value);
+  }
+}
+
+/**
+ * Get schema.org types of node as array
+ * @param {Object} node - JSON-LD node
+ * @returns {Array<string>}
+ */
+function getNodeTypes(node) {
+  const type = node['@type'];
+  return (Array.isArray(type) ? type : [type])
+    .filter(t => typeof t === 'string')
+    .map(t => t.replace(/^https?:\/\/schema\.org\//, ''));
+}
+
+/**
+ * Pick main article node: article types first, then web page with article fields
+ * @param {Array<Object>} nodes - JSON-LD nodes
+ * @returns {Object|null}
+ */
+function findArticleNode(nodes) {
+  const article = nodes.find(node => getNodeTypes(node).some(t => ARTICLE_TYPE_PATTERN.test(t)));
+  if (article) return article;
+  return nodes.find(node => getNodeTypes(node).some(t => PAGE_TYPE_PATTERN.test(t)) && (node.author || node.datePublished)) || null;
+}
+
+/**
+ * Resolve {"@id": "..."} reference to full node from the same page
+ * @param {any} value - Node or reference
+ * @param {Array<Object>} nodes - All JSON-LD nodes
+ * @returns {any}
+ */
+function resolveReference(value, nodes) {
+  if (value && typeof value === 'object' && value['@id'] && !value.name) {
+    return nodes.find(node => node['@id'] === value['@id']) || value;
+  }
+  return value;
+}
+
+/**
+ * Get names from JSON-LD Person/Organization value (string, object or array)
+ * @param {any} value - JSON-LD value
+ * @param {Array<Object>} nodes - All JSON-LD nodes (for @id references)
+ * @returns {Array<string>}
+ */
+function getJsonLdNames(value, nodes) {
+  const items = Array.isArray(value) ? value : [value];
+  const names = [];
+  for (const item of items) {
+    const resolved = resolveReference(item, nodes);
+    if (typeof resolved === 'string') {
+      names.push(resolved);
+    } else if (resolved && typeof resolved === 'object') {
+      const name = typeof resolved.name === 'string'
+        ? resolved.name
+        : [resolved.givenName, resolved.familyName].filter(part => typeof part === 'string').join(' ');
+      if (name) names.push(name);
+    }
+  }
+  return names;
+}
+
+/**
+ * Get first string (or url/@id of object) from JSON-LD value
+ * @param {any} value - JSON-LD value
+ * @returns {string}
+ */
+function getJsonLdString(value) {
+  const first = Array.isArray(value) ? value[0] : value;
+  if (typeof first === 'string') return first;
+  if (typeof first === 'number') return String(first);
+  if (first && typeof first === 'object') {
+    return getJsonLdString(first.url || first.contentUrl || first['@id'] || '');
+  }
+  return '';
+}
+
+/**
+ * Split keywords value (comma-separated string or array)
+ * @param {any} value - Keywords value
+ * @returns {Array<string>}
+ */
+function splitKeywords(value) {
+  const items = Array.isArray(value) ? value : [value];
+  return items
+    .flatMap(item => (typeof item === 'string' ? item.split(/[,;]/) : []))
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Normalize author name: skip URLs, convert "Last, First" to "First Last"
+ * @param {string} name - Raw author name
+ * @returns {string} Normalized name or empty string
+ */
+function normalizeAuthorName(name) {
+  const text = decodeHtmlEntities(String(name || '')).replace(/\s+/g, ' ').trim();
+  if (!text || /^https?:\/\//i.test(text) || text.includes('/') || text.length > 100) {
+    return '';
+  }
+  const parts = text.split(',').map(part => part.trim());
+  if (parts.length === 2 && parts[0] && parts[1] && !/\s/.test(parts[0])) {
+    return `${parts[1]} ${parts[0]}`;
+  }
+  return text;
+}
+
+/**
+ * Remove duplicates (case-insensitive) and empty values, limit list length
+ * @param {Array<string>} values - Values
+ * @param {number} limit - Maximum length
+ * @returns {Array<string>}
+ */
+function uniqueValues(values, limit) {
+  const seen = new Set();
+  const result = [];
+  for (const value of values) {
+    const key = value.toLowerCase();
+    if (value && !seen.has(key)) {
+      seen.add(key);
+      result.push(value);
+    }
+  }
+  return result.slice(0, limit);
+}
+
+/**
+ * Normalize date to ISO format (YYYY-MM-DD, or YYYY-MM / YYYY for partial dates)
+ * @param {string} value - Date string (ISO, citation "2020/05/13", RFC date)
+ * @returns {string} ISO date or empty string
+ */
+export function normalizeMetadataDate(value) {
+  const text = String(value || '').trim();
+  if (!text) return '';
+
+  const ymd = text.match(/^(\d{4})[-/.](\d{1,2})(?:[-/.](\d{1,2}))?/);
+  if (ymd) {
+    const month = parseInt(ymd[2], 10);
+    const day = ymd[3] ? parseInt(ymd[3], 10) : null;
+    if (month < 1 || month > 12 || (day !== null && (day < 1 || day > 31))) {
+      return '';
+    }
+    const yearMonth = `${ymd[1]}-${String(month).padStart(2, '0')}`;
+    return day !== null ? `${yearMonth}-${String(day).padStart(2, '0')}` : yearMonth;
+  }
+  if (/^\d{4}$/.test(text)) {
+    return text;
+  }
+
+  const timestamp = Date.parse(text);
+  if (!Number.isNaN(timestamp)) {
+    return new Date(timestamp).toISOString().split('T')[0];
+  }
+  return '';
+}
+
+/**
+ * Normalize DOI: strip doi: prefix and resolver URL
+ * @param {string} value - DOI, doi:DOI or https://doi.org/DOI
+ * @returns {string} Bare DOI (10.xxxx/...) or empty string
+ */
+export function normalizeDoi(value) {
+  let text = String(value || '').trim();
+  try {
+    text = decodeURIComponent(text);
+  } catch (e) {
+    // Keep malformed percent-encoding as is
+  }
+  text = text
+    .replace(/^doi:\s*/i, '')
+    .replace(/^https?:\/\/(dx\.)?doi\.org\//i, '');
+  return /^10\.\d{4,9}\/\S+$/.test(text) ? text : '';
+}
+
+/**
+ * Resolve URL against page URL, keep only http(s)
+ * @param {string} value - Absolute or relative URL
+ * @param {string} pageUrl - Page URL
+ * @returns {string}
+ */
+function normalizeUrl(value, pageUrl) {
+  if (!value) return '';
+  try {
+    const url = new URL(value, pageUrl || undefined);
+    return ['http:', 'https:'].includes(url.protocol) ? url.href : '';
+  } catch (e) {
+    return '';
+  }
+}
+
+/**
+ * Get values of first meta source group that has any of the names
+ * @param {Map<string, Array<string>>} metaTags - Parsed meta tags
+ * @param {Array<string>} names - Meta names of one source
+ * @returns {Array<string>}
+ */
+function getMetaValues(metaTags, names) {
+  return names.flatMap(name => metaTags.get(name) || []);
+}
+
+/**
+ * Take first non-empty value from sources in confidence order
+ * @param {Array<string>} candidates - Candidate values (highest confidence first)
+ * @param {function(string): string} [normalize] - Normalizer returning empty string for invalid values
+ * @returns {string}
+ */
+function pickFirst(candidates, normalize = value => value.trim()) {
+  for (const candidate of candidates) {
+    const value = normalize(candidate || '');
+    if (value) return value;
+  }
+  return '';
+}
+
+/**
+ * Extract article metadata from page HTML
+ * Each field is taken from the most reliable source that has it:
+ * JSON-LD article node, then citation_*, OpenGraph/article:*, Dublin Core and plain meta tags
+ * @param {string} html - Page HTML
+ * @param {string} pageUrl - Page URL (for relative URLs)
+ * @returns {import('../types.js').ArticleMetadata}
+ */
+export function extractStructuredMetadata(html, pageUrl = '') {
+  const metadata = createEmptyMetadata();
+  if (!html) return metadata;
+
+  const nodes = parseJsonLdNodes(html);
+  const article = findArticleNode(nodes) || {};
+  const metaTags = parseMetaTags(html);
+
+  /**
+   * Candidates of field: JSON-LD value first, then meta sources in confidence order
+   * @param {string} field - Field in META_SOURCES
+   * @param {Array<string>} jsonLdValues - Values from JSON-LD
+   * @returns {Array<Array<string>>} Value lists per source
+   */
+  const sourcesFor = (field, jsonLdValues) => [
+    jsonLdValues,
+    ...META_SOURCES[field].map(names => getMetaValues(metaTags, names))
+  ];
+
+  // Lists: take whole list from first source that has valid values (do not mix sources)
+  for (const authors of sourcesFor('authors', getJsonLdNames(article.author || article.creator, nodes))) {
+    const normalized = uniqueValues(authors.map(normalizeAuthorName), MAX_AUTHORS);
+    if (normalized.length > 0) {
+      metadata.authors = normalized;
+      break;
+    }
+  }
+  for (const keywords of sourcesFor('keywords', splitKeywords(article.keywords))) {
+    const normalized = uniqueValues(keywords.flatMap(value => splitKeywords(value)), MAX_KEYWORDS);
+    if (normalized.length > 0) {
+      metadata.keywords = normalized;
+      break;
+    }
+  }
+
+  metadata.publisher = pickFirst(sourcesFor('publisher', getJsonLdNames(article.publisher, nodes)).flat());
+  metadata.publishedDate = pickFirst(
+    sourcesFor('publishedDate', [getJsonLdString(article.datePublished || article.dateCreated)]).flat(),
+    normalizeMetadataDate
+  );
+  metadata.modifiedDate = pickFirst(
+    sourcesFor('modifiedDate', [getJsonLdString(article.dateModified)]).flat(),
+    normalizeMetadataDate
+  );
+  metadata.section = pickFirst(sourcesFor('section', [getJsonLdString(article.articleSection)]).flat());
+  metadata.image = pickFirst(
+    sourcesFor('image', [getJsonLdString(article.image || article.thumbnailUrl)]).flat(),
+    value => normalizeUrl(value, pageUrl)
+  );
+
+  // Canonical URL: explicit <link rel="canonical"> is more reliable than article url fields
+  metadata.canonicalUrl = pickFirst([
+    findCanonicalLink(html),
+    ...getMetaValues(metaTags, ['og:url']),
+    getJsonLdString(article.url || article.mainEntityOfPage)
+  ], value => normalizeUrl(value, pageUrl));
+
+  // DOI: scholarly citation tags first, then JSON-LD identifiers and DC identifier
+  const jsonLdIdentifiers = [article.identifier, article.sameAs]
+    .flatMap(value => (Array.isArray(value) ? value : [value]))
+    .map(value => (value && typeof value === 'object' ? getJsonLdString(value.value || value) : getJsonLdString(value)));
+  metadata.doi = pickFirst([
+    ...getMetaValues(metaTags, ['citation_doi', 'prism.doi', 'bepress_citation_doi']),
+    ...jsonLdIdentifiers,
+    ...getMetaValues(metaTags, ['dc.identifier', 'dcterms.identifier'])
+  ], normalizeDoi);
+
+  log('Structured metadata extracted', {
+    jsonLdNodes: nodes.length,
+    hasArticleNode: !!article['@type'],
+    authors: metadata.authors.length,
+    publisher: !!metadata.publisher,
+    publishedDate: metadata.publishedDate,
+    keywords: metadata.keywords.length,
+    doi: !!metadata.doi
+  });
+
+  return metadata;
+}
+
+/**
+ * Add structured metadata to extraction result
+ * Structured authors and publish date take priority over values guessed from visible text
+ * @param {import('../types.js').ExtractionResult} result - Extraction result
+ * @param {string} html - Page HTML
+ * @param {string} pageUrl - Page URL
+ * @returns {import('../types.js').ExtractionResult} Result with metadata
+ */
+export function applyStructuredMetadata(result, html, pageUrl) {
+  if (!result) return result;
+
+  let metadata;
+  try {
+    metadata = extractStructuredMetadata(html, pageUrl);
+  } catch (error) {
+    logWarn('Structured metadata extraction failed', { error: error.message });
+    return result;
+  }
+
+  // Partial structured date (year only) must not replace full date found in page text
+  const publishDate = metadata.publishedDate &&
+    !(result.publishDate && result.publishDate.startsWith(metadata.publishedDate) && result.publishDate.length > metadata.publishedDate.length)
+    ? metadata.publishedDate
+    : result.publishDate;
+
+  return {
+    ...result,
+    author: metadata.authors.length > 0 ? metadata.authors.join(', ') : result.author,
+    publishDate,
+    metadata
+  };
+}
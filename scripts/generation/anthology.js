@@ -0,0 +1,129 @@
+// @ts-check
+// Anthology helpers for ClipAIble extension
+// Several extracted articles are combined into one book where every article is a chapter
+
+import { stripHtml, escapeHtml, escapeAttr } from '../utils/html.js';
+import { PDF_LOCALIZATION, formatDateForDisplay } from '../utils/config.js';
+import { cleanAuthor } from '../utils/author-validator.js';
+
+/**
+ * Output formats that can hold several articles as chapters
+ * @readonly
+ * @const {Array<string>}
+ */
+export const ANTHOLOGY_FORMATS = ['epub', 'fb2', 'pdf'];
+
+/**
+ * Get localization strings for document language
+ * @param {string} language - Language code ('auto' falls back to English)
+ * @returns {Object} Localization strings
+ */
+function getLabels(language) {
+  const langCode = !language || language === 'auto' ? 'en' : language;
+  return PDF_LOCALIZATION[langCode] || PDF_LOCALIZATION['en'];
+}
+
+/**
+ * Get all content items of the book (same item objects as in chapters)
+ * Generators use it for content validation and image embedding
+ * @param {Array<import('../types.js').AnthologyChapter>} chapters - Book chapters
+ * @returns {Array<import('../types.js').ContentItem>}
+ */
+export function getAnthologyContent(chapters) {
+  return (chapters || []).flatMap(chapter => chapter.content || []);
+}
+
+/**
+ * Get book author: shared author of all chapters, empty if chapters have different authors
+ * @param {Array<import('../types.js').AnthologyChapter>} chapters - Book chapters
+ * @returns {string}
+ */
+export function getAnthologyAuthor(chapters) {
+  const authors = new Set((chapters || []).map(chapter => cleanAuthor(chapter.author || '')));
+  if (authors.size !== 1) {
+    return '';
+  }
+  return [...authors][0];
+}
+
+/**
+ * Get default book title: localized "Anthology" with current date
+ * @param {string} language - Document language
+ * @returns {string}
+ */
+export function getAnthologyTitle(language) {
+  const langCode = !language || language === 'auto' ? 'en' : language;
+  const today = formatDateForDisplay(new Date().toISOString().split('T')[0], langCode);
+  return `${getLabels(language).anthology} — ${today}`;
+}
+
+/**
+ * Collect chapter headings for book table of contents
+ * @param {Array<import('../types.js').ContentItem>} content - Chapter content
+ * @param {string} fallbackPrefix - Prefix for generated IDs of headings without ID
+ * @returns {Array<{text: string, level: number, id: string}>}
+ */
+export function collectChapterHeadings(content, fallbackPrefix) {
+  const headings = [];
+  (content || []).forEach((item, index) => {
+    if (item.type === 'heading' && item.level >= 2) {
+      const text = stripHtml(item.text || '');
+      if (text) {
+        headings.push({ text, level: item.level, id: item.id || `${fallbackPrefix}${index}` });
+      }
+    }
+  });
+  return headings;
+}
+
+/**
+ * Build single content list for PDF: chapter title, chapter meta, abstract and chapter content
+ * Chapter titles become level 2 headings, headings inside chapters move one level down
+ * @param {Array<import('../types.js').AnthologyChapter>} chapters - Book chapters
+ * @param {string} language - Document language
+ * @param {boolean} generateAbstract - Whether to include chapter abstracts
+ * @returns {Array<import('../types.js').ContentItem>}
+ */
+export function buildAnthologyPdfContent(chapters, language, generateAbstract) {
+  const l10n = getLabels(language);
+  const langCode = !language || language === 'auto' ? 'en' : language;
+  /** @type {Array<import('../types.js').ContentItem>} */
+  const content = [{ type: 'subtitle', text: `${escapeHtml(l10n.articles)}: ${chapters.length}` }];
+
+  chapters.forEach((chapter, chapterIndex) => {
+    content.push({ type: 'heading', level: 2, text: escapeHtml(chapter.title || ''), id: `chapter-${chapterIndex + 1}` });
+
+    const metaItems = [];
+    const author = cleanAuthor(chapter.author || '');
+    if (author) {
+      metaItems.push(`<strong>${escapeHtml(author)}</strong>`);
+    }
+    const pubDate = formatDateForDisplay(chapter.publishDate || '', langCode);
+    if (pubDate) {
+      metaItems.push(escapeHtml(pubDate));
+    }
+    if (chapter.sourceUrl) {
+      metaItems.push(`<a href="${escapeAttr(chapter.sourceUrl)}">${escapeHtml(l10n.source)}</a>`);
+    }
+    if (metaItems.length > 0) {
+      content.push({ type: 'paragraph', text: metaItems.join(' • ') });
+    }
+
+    if (generateAbstract && chapter.abstract) {
+      content.push({ type: 'quote', text: `<strong>${escapeHtml(l10n.abstract)}:</strong> ${escapeHtml(chapter.abstract)}` });
+    }
+
+    for (const item of chapter.content || []) {
+      if (item.type === 'heading') {
+        content.push({ ...item, level: Math.min((item.level || 2) + 1, 6) });
+      } else if (item.type === 'subtitle') {
+        // Only book subtitle may stay in document header
+        content.push({ ...item, type: 'paragraph', text: `<em>${item.text || ''}</em>` });
+      } else {
+        content.push(item);
+      }
+    }
+  });
+
+  return content;
+}
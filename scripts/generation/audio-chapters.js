@@ -0,0 +1,130 @@
+// @ts-check
+// Chapter markers for audio exports
+// Article headings are located in TTS chunks while text is prepared, chapter start times are
+// calculated after synthesis from duration of every audio segment
+
+/**
+ * Deepest heading level that becomes an audio chapter
+ * @readonly
+ */
+export const AUDIO_CHAPTER_MAX_LEVEL = 3;
+
+/**
+ * @typedef {Object} ChunkChapter
+ * @property {string} title - Chapter title
+ * @property {number} position - Chapter start inside chunk (0-1, share of chunk text)
+ */
+
+/**
+ * @typedef {Object} ChapterMarker
+ * @property {string} title - Chapter title
+ * @property {number} startMs - Start time in milliseconds
+ * @property {number} endMs - End time in milliseconds
+ */
+
+/**
+ * Find chapter headings in text chunks
+ * Headings are searched in order, each search starts where previous heading was found,
+ * so repeated heading text is matched to the right place. Heading not found in text is skipped.
+ * @param {Array<{text: string}>} chunks - Text chunks (before AI cleanup)
+ * @param {Array<string>} headings - Heading texts in document order
+ * @returns {Array<Array<ChunkChapter>>} Chapters of every chunk
+ */
+export function locateChapters(chunks, headings) {
+  /** @type {Array<Array<ChunkChapter>>} */
+  const result = chunks.map(() => []);
+  let chunkIndex = 0;
+  let offset = 0;
+
+  for (const heading of headings) {
+    const title = String(heading || '').trim();
+    if (!title) continue;
+
+    for (let i = chunkIndex; i < chunks.length; i++) {
+      const text = chunks[i].text || '';
+      const found = text.indexOf(title, i === chunkIndex ? offset : 0);
+      if (found !== -1) {
+        result[i].push({ title, position: text.length > 0 ? found / text.length : 0 });
+        chunkIndex = i;
+        offset = found + title.length;
+        break;
+      }
+    }
+  }
+  return result;
+}
+
+/**
+ * Distribute chunk chapters between parts of chunk split for TTS limit
+ * Position is mapped by text length of parts
+ * @param {Array<ChunkChapter>} chapters - Chapters of whole chunk
+ * @param {Array<string>} parts - Chunk parts
+ * @returns {Array<Array<ChunkChapter>>} Chapters of every part
+ */
+export function splitChapters(chapters, parts) {
+  /** @type {Array<Array<ChunkChapter>>} */
+  const result = parts.map(() => []);
+  if (parts.length === 0) {
+    return result;
+  }
+  const total = parts.reduce((sum, part) => sum + part.length, 0) || 1;
+
+  for (const chapter of chapters || []) {
+    const at = chapter.position * total;
+    let start = 0;
+    let index = 0;
+    while (index < parts.length - 1 && at >= start + parts[index].length) {
+      start += parts[index].length;
+      index++;
+    }
+    const length = parts[index].length;
+    result[index].push({
+      title: chapter.title,
+      position: length > 0 ? Math.min(1, Math.max(0, (at - start) / length)) : 0
+    });
+  }
+  return result;
+}
+
+/**
+ * Build chapter timeline from synthesized audio segments
+ * First chapter is article title (intro before first heading), chapters that would not
+ * advance time (heading right after previous one) are skipped
+ * @param {Array<{durationMs: number, chapters?: Array<ChunkChapter>}>} segments - Segments in playback order
+ * @param {string} title - Article title
+ * @returns {Array<ChapterMarker>} Chapters, empty if duration is unknown
+ */
+export function buildChapterTimeline(segments, title) {
+  const totalMs = segments.reduce((sum, segment) => sum + (segment.durationMs || 0), 0);
+  if (totalMs <= 0) {
+    return [];
+  }
+
+  /** @type {Array<{title: string, startMs: number}>} */
+  const starts = [{ title: String(title || '').trim(), startMs: 0 }];
+  let segmentStart = 0;
+  for (const segment of segments) {
+    const duration = segment.durationMs || 0;
+    for (const chapter of segment.chapters || []) {
+      const startMs = Math.round(segmentStart + chapter.position * duration);
+      const last = starts[starts.length - 1];
+      if (startMs <= last.startMs) {
+        // Heading at very start replaces title chapter without own audio
+        if (last.startMs === 0 && starts.length === 1) {
+          last.title = chapter.title;
+        }
+        continue;
+      }
+      starts.push({ title: chapter.title, startMs });
+    }
+    segmentStart += duration;
+  }
+
+  return starts
+    .filter(chapter => chapter.startMs < totalMs)
+    .map((chapter, index, list) => ({
+      title: chapter.title || `${index + 1}`,
+      startMs: chapter.startMs,
+      endMs: index + 1 < list.length ? list[index + 1].startMs : totalMs
+    }));
+}
@@ -0,0 +1,210 @@
+// @ts-check
+// Audio frame parsing for MP3 and ADTS AAC streams returned by TTS providers
+// Used to measure segment duration (chapter times) and to repackage frames into MP4
+
+/**
+ * MPEG Layer III bitrates in kbps by bitrate index
+ * @readonly
+ */
+const MP3_BITRATES = {
+  mpeg1: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  mpeg2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+};
+
+/**
+ * MPEG sample rates by version bits and sample rate index
+ * @readonly
+ */
+const MP3_SAMPLE_RATES = {
+  3: [44100, 48000, 32000], // MPEG1
+  2: [22050, 24000, 16000], // MPEG2
+  0: [11025, 12000, 8000] // MPEG2.5
+};
+
+/**
+ * AAC sample rates by sampling frequency index
+ * @readonly
+ */
+const AAC_SAMPLE_RATES = [96000, 88200, 64000, 48000, 44100, 32000, 24000, 22050, 16000, 12000, 11025, 8000, 7350];
+
+/**
+ * @typedef {Object} AudioFrames
+ * @property {'mp3'|'aac'} codec - Stream codec
+ * @property {number} sampleRate - Sample rate
+ * @property {number} channels - Number of channels
+ * @property {number} samplesPerFrame - Samples in every frame
+ * @property {Array<{offset: number, size: number}>} frames - Frame payloads (without ADTS header for AAC)
+ * @property {number} [audioObjectType] - AAC object type (2 = AAC LC)
+ * @property {number} [sampleRateIndex] - AAC sampling frequency index
+ */
+
+/**
+ * Get size of ID3v2 tag at start of buffer
+ * @param {Uint8Array} bytes - Audio data
+ * @returns {number} Tag size in bytes, 0 if there is no tag
+ */
+export function getId3TagSize(bytes) {
+  if (bytes.length < 10 || bytes[0] !== 0x49 || bytes[1] !== 0x44 || bytes[2] !== 0x33) {
+    return 0;
+  }
+  const size = ((bytes[6] & 0x7F) << 21) | ((bytes[7] & 0x7F) << 14) | ((bytes[8] & 0x7F) << 7) | (bytes[9] & 0x7F);
+  const footer = (bytes[5] & 0x10) ? 10 : 0;
+  return Math.min(bytes.length, 10 + size + footer);
+}
+
+/**
+ * Parse MPEG Layer III frame header
+ * @param {Uint8Array} bytes - Audio data
+ * @param {number} offset - Header offset
+ * @returns {{size: number, sampleRate: number, channels: number, samplesPerFrame: number}|null} Frame info, null if not a frame header
+ */
+function parseMp3Header(bytes, offset) {
+  if (offset + 4 > bytes.length || bytes[offset] !== 0xFF || (bytes[offset + 1] & 0xE0) !== 0xE0) {
+    return null;
+  }
+  const version = (bytes[offset + 1] >> 3) & 0x03;
+  const layer = (bytes[offset + 1] >> 1) & 0x03;
+  const bitrateIndex = bytes[offset + 2] >> 4;
+  const sampleRateIndex = (bytes[offset + 2] >> 2) & 0x03;
+  if (version === 1 || layer !== 1 || bitrateIndex === 0 || bitrateIndex === 15 || sampleRateIndex === 3) {
+    return null;
+  }
+  const isMpeg1 = version === 3;
+  const bitrate = (isMpeg1 ? MP3_BITRATES.mpeg1 : MP3_BITRATES.mpeg2)[bitrateIndex] * 1000;
+  const sampleRate = MP3_SAMPLE_RATES[version][sampleRateIndex];
+  const samplesPerFrame = isMpeg1 ? 1152 : 576;
+  const padding = (bytes[offset + 2] >> 1) & 0x01;
+  const size = Math.floor((samplesPerFrame / 8) * bitrate / sampleRate) + padding;
+  const channels = (bytes[offset + 3] >> 6) === 3 ? 1 : 2;
+  return { size, sampleRate, channels, samplesPerFrame };
+}
+
+/**
+ * Parse ADTS (AAC) frame header
+ * @param {Uint8Array} bytes - Audio data
+ * @param {number} offset - Header offset
+ * @returns {{size: number, headerSize: number, sampleRate: number, sampleRateIndex: number, channels: number, audioObjectType: number, samplesPerFrame: number}|null} Frame info, null if not a frame header
+ */
+function parseAdtsHeader(bytes, offset) {
+  if (offset + 7 > bytes.length || bytes[offset] !== 0xFF || (bytes[offset + 1] & 0xF6) !== 0xF0) {
+    return null;
+  }
+  const headerSize = (bytes[offset + 1] & 0x01) ? 7 : 9;
+  const sampleRateIndex = (bytes[offset + 2] >> 2) & 0x0F;
+  const sampleRate = AAC_SAMPLE_RATES[sampleRateIndex];
+  const size = ((bytes[offset + 3] & 0x03) << 11) | (bytes[offset + 4] << 3) | (bytes[offset + 5] >> 5);
+  if (!sampleRate || size <= headerSize) {
+    return null;
+  }
+  return {
+    size,
+    headerSize,
+    sampleRate,
+    sampleRateIndex,
+    channels: ((bytes[offset + 2] & 0x01) << 2) | (bytes[offset + 3] >> 6),
+    audioObjectType: (bytes[offset + 2] >> 6) + 1,
+    samplesPerFrame: 1024 * ((bytes[offset + 6] & 0x03) + 1)
+  };
+}
+
+/**
+ * Parse frames of MP3 or ADTS AAC stream
+ * Leading ID3 tag is skipped, garbage between frames (e.g. ID3 tags of concatenated chunks) is skipped by resync
+ * @param {ArrayBuffer} buffer - Audio data
+ * @returns {AudioFrames|null} Frames, null if buffer is not MP3 or ADTS AAC
+ */
+export function parseAudioFrames(buffer) {
+  if (!buffer || buffer.byteLength < 4) {
+    return null;
+  }
+  const bytes = new Uint8Array(buffer);
+  let offset = getId3TagSize(bytes);
+
+  /** @type {AudioFrames|null} */
+  let stream = null;
+  while (offset + 4 <= bytes.length) {
+    if (bytes[offset] !== 0xFF) {
+      offset++;
+      continue;
+    }
+    const adts = (!stream || stream.codec === 'aac') ? parseAdtsHeader(bytes, offset) : null;
+    if (adts && offset + adts.size <= bytes.length) {
+      stream = stream || {
+        codec: 'aac',
+        sampleRate: adts.sampleRate,
+        channels: adts.channels,
+        samplesPerFrame: adts.samplesPerFrame,
+        audioObjectType: adts.audioObjectType,
+        sampleRateIndex: adts.sampleRateIndex,
+        frames: []
+      };
+      stream.frames.push({ offset: offset + adts.headerSize, size: adts.size - adts.headerSize });
+      offset += adts.size;
+      continue;
+    }
+    const mp3 = (!stream || stream.codec === 'mp3') ? parseMp3Header(bytes, offset) : null;
+    if (mp3 && offset + mp3.size <= bytes.length && (!stream || mp3.sampleRate === stream.sampleRate)) {
+      stream = stream || {
+        codec: 'mp3',
+        sampleRate: mp3.sampleRate,
+        channels: mp3.channels,
+        samplesPerFrame: mp3.samplesPerFrame,
+        frames: []
+      };
+      stream.frames.push({ offset, size: mp3.size });
+      offset += mp3.size;
+      continue;
+    }
+    offset++;
+  }
+
+  return stream && stream.frames.length > 0 ? stream : null;
+}
+
+/**
+ * Get WAV format info
+ * @param {Uint8Array} bytes - WAV data
+ * @returns {{byteRate: number, dataSize: number}|null} Info, null if buffer is not WAV
+ */
+function getWavInfo(bytes) {
+  const isWav = bytes.length >= 12 &&
+    String.fromCharCode(bytes[0], bytes[1], bytes[2], bytes[3]) === 'RIFF' &&
+    String.fromCharCode(bytes[8], bytes[9], bytes[10], bytes[11]) === 'WAVE';
+  if (!isWav) {
+    return null;
+  }
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let byteRate = 0;
+  let offset = 12;
+  while (offset + 8 <= bytes.length) {
+    const id = String.fromCharCode(bytes[offset], bytes[offset + 1], bytes[offset + 2], bytes[offset + 3]);
+    const size = view.getUint32(offset + 4, true);
+    if (id === 'fmt ' && offset + 16 <= bytes.length) {
+      byteRate = view.getUint32(offset + 16, true);
+    } else if (id === 'data') {
+      return byteRate > 0 ? { byteRate, dataSize: Math.min(size, bytes.length - offset - 8) } : null;
+    }
+    offset += 8 + size + (size % 2);
+  }
+  return null;
+}
+
+/**
+ * Get duration of audio segment
+ * @param {ArrayBuffer} buffer - WAV, MP3 or ADTS AAC data
+ * @returns {number} Duration in milliseconds, 0 if format is not supported
+ */
+export function getAudioDurationMs(buffer) {
+  if (!buffer || buffer.byteLength < 12) {
+    return 0;
+  }
+  const wav = getWavInfo(new Uint8Array(buffer));
+  if (wav) {
+    return (wav.dataSize / wav.byteRate) * 1000;
+  }
+  const stream = parseAudioFrames(buffer);
+  if (!stream) {
+    return 0;
+  }
+  return (stream.frames.length * stream.samplesPerFrame / stream.sampleRate) * 1000;
+}
@@ -0,0 +1,101 @@
+// @ts-check
+// Recent audio for built-in player
+// Audio is kept in IndexedDB (shared audio storage), list with titles and transcripts in
+// chrome.storage.local. Only last AUDIO_LIBRARY_LIMIT items are kept.
+
+import { logWarn } from '../utils/logging.js';
+import { saveAudioFile, readAudioFile, removeAudioFile } from '../utils/storage/audio-files.js';
+
+/**
+ * Setting that opens generated audio in player
+ * @readonly
+ */
+export const AUDIO_PLAYER_SETTING_KEY = 'audio_player';
+
+/**
+ * Storage keys of library list, playback positions ({articleKey: seconds}) and player speed
+ * @readonly
+ */
+export const AUDIO_LIBRARY_STORAGE_KEY = 'audio_library';
+export const AUDIO_POSITIONS_STORAGE_KEY = 'audio_library_positions';
+export const AUDIO_PLAYER_SPEED_STORAGE_KEY = 'audio_player_speed';
+
+/**
+ * Number of kept audio items
+ * @readonly
+ */
+export const AUDIO_LIBRARY_LIMIT = 10;
+
+/**
+ * @typedef {Object} AudioLibraryItem
+ * @property {string} id - Item ID
+ * @property {string} title - Article title
+ * @property {string} sourceUrl - Article URL
+ * @property {string} mimeType - Audio MIME type
+ * @property {string} filename - File name for download
+ * @property {string} language - Article language
+ * @property {number} createdAt - Creation time
+ * @property {Array<import('./audio-transcript.js').TranscriptSentence>} transcript - Read-along transcript (empty if timing is unknown)
+ */
+
+/**
+ * Get IndexedDB key of item audio
+ * @param {string} id - Item ID
+ * @returns {string} Storage key
+ */
+function getAudioKey(id) {
+  return `audio_library_${id}`;
+}
+
+/**
+ * Get playback position key of item: regenerated article continues from saved position
+ * @param {AudioLibraryItem} item - Library item
+ * @returns {string} Position key
+ */
+export function getPositionKey(item) {
+  return item.sourceUrl || item.id;
+}
+
+/**
+ * Get library items, newest first
+ * @returns {Promise<Array<AudioLibraryItem>>}
+ */
+export async function getAudioLibrary() {
+  try {
+    const result = await chrome.storage.local.get([AUDIO_LIBRARY_STORAGE_KEY]);
+    const items = result[AUDIO_LIBRARY_STORAGE_KEY];
+    return Array.isArray(items) ? items : [];
+  } catch (error) {
+    logWarn('Failed to load audio library', error);
+    return [];
+  }
+}
+
+/**
+ * Add audio to library, oldest items over limit are removed
+ * @param {Omit<AudioLibraryItem, 'id'|'createdAt'> & {buffer: ArrayBuffer}} data - Audio and its description
+ * @returns {Promise<string>} Item ID
+ * @throws {Error} If audio cannot be saved to IndexedDB
+ */
+export async function addToAudioLibrary(data) {
+  const { buffer, ...description } = data;
+  const id = `${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  await saveAudioFile(getAudioKey(id), buffer);
+
+  const items = [{ ...description, id, createdAt: Date.now() }, ...await getAudioLibrary()];
+  const removed = items.splice(AUDIO_LIBRARY_LIMIT);
+  await chrome.storage.local.set({ [AUDIO_LIBRARY_STORAGE_KEY]: items });
+  for (const item of removed) {
+    await removeAudioFile(getAudioKey(item.id));
+  }
+  return id;
+}
+
+/**
+ * Read audio of library item
+ * @param {string} id - Item ID
+ * @returns {Promise<ArrayBuffer|null>} Audio data, null if not found
+ */
+export async function readLibraryAudio(id) {
+  return readAudioFile(getAudioKey(id));
+}
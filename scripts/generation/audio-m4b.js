@@ -0,0 +1,342 @@
+// @ts-check
+// M4B (MPEG-4 audiobook) container for audio exports
+// AAC (ADTS) or MP3 frames are repackaged without re-encoding. Chapters are written twice:
+// QuickTime chapter text track (Apple Books, podcast apps) and Nero 'chpl' atom (other players)
+
+import { parseAudioFrames } from './audio-frames.js';
+import { base64ToBytes } from './audio-tags.js';
+import { concatBytes } from '../utils/bytes.js';
+
+const textEncoder = new TextEncoder();
+
+/**
+ * MP4 identity transformation matrix (mvhd, tkhd)
+ * @readonly
+ */
+const MATRIX = [0x00010000, 0, 0, 0, 0x00010000, 0, 0, 0, 0x40000000];
+
+/**
+ * Text sample description of chapter track (text box, style and font table)
+ * @readonly
+ */
+const CHAPTER_TEXT_DESCRIPTION = [
+  0x00, 0x00, 0x00, 0x01, // display flags
+  0x00, 0x00, // justification
+  0x00, 0x00, 0x00, 0x00, // background color
+  0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, // text box
+  0x00, 0x00, 0x00, 0x00, 0x00, 0x01, 0x00, 0x00, // style record: chars, font ID, face, size
+  0x00, 0x00, 0x00, 0x00, // foreground color
+  0x00, 0x00, 0x00, 0x0D, 0x66, 0x74, 0x61, 0x62, 0x00, 0x01, 0x00, 0x01, 0x00 // 'ftab' font table
+];
+
+/**
+ * Write big-endian unsigned numbers
+ * @param {number} bytesPerValue - 1, 2, 4 or 8
+ * @param {...number} values - Values
+ * @returns {Uint8Array} Bytes
+ */
+function uint(bytesPerValue, ...values) {
+  return uintList(bytesPerValue, values);
+}
+
+/**
+ * Write list of big-endian unsigned numbers (sample tables of long audio)
+ * @param {number} bytesPerValue - 1, 2, 4 or 8
+ * @param {Array<number>} values - Values
+ * @returns {Uint8Array} Bytes
+ */
+function uintList(bytesPerValue, values) {
+  const result = new Uint8Array(bytesPerValue * values.length);
+  values.forEach((value, index) => {
+    let rest = Math.max(0, Math.floor(value));
+    for (let i = bytesPerValue - 1; i >= 0; i--) {
+      result[index * bytesPerValue + i] = rest % 256;
+      rest = Math.floor(rest / 256);
+    }
+  });
+  return result;
+}
+
+/**
+ * Encode box type (four characters, '©' is written as 0xA9)
+ * @param {string} type - Box type
+ * @returns {Uint8Array} Bytes
+ */
+function fourCC(type) {
+  return Uint8Array.from(type.split('').map(char => char.charCodeAt(0) & 0xFF));
+}
+
+/**
+ * Build box
+ * @param {string} type - Box type
+ * @param {...ArrayLike<number>} payload - Box content
+ * @returns {Uint8Array} Box
+ */
+function box(type, ...payload) {
+  const body = concatBytes(payload);
+  return concatBytes([uint(4, 8 + body.length), fourCC(type), body]);
+}
+
+/**
+ * Build full box (with version and flags)
+ * @param {string} type - Box type
+ * @param {number} version - Version
+ * @param {number} flags - Flags
+ * @param {...ArrayLike<number>} payload - Box content
+ * @returns {Uint8Array} Box
+ */
+function fullBox(type, version, flags, ...payload) {
+  return box(type, [version], uint(4, flags).subarray(1), ...payload);
+}
+
+/**
+ * Build MPEG-4 descriptor (esds)
+ * @param {number} tag - Descriptor tag
+ * @param {...ArrayLike<number>} payload - Descriptor content
+ * @returns {Uint8Array} Descriptor
+ */
+function descriptor(tag, ...payload) {
+  const body = concatBytes(payload);
+  // Length in 4-byte form accepted by all parsers
+  const length = body.length;
+  return concatBytes([[tag, 0x80 | ((length >> 21) & 0x7F), 0x80 | ((length >> 14) & 0x7F), 0x80 | ((length >> 7) & 0x7F), length & 0x7F], body]);
+}
+
+/**
+ * Build sample tables
+ * @param {Uint8Array} sampleEntry - Sample description
+ * @param {Array<[number, number]>} timeToSample - [sample count, sample duration] pairs
+ * @param {Array<number>} sizes - Sample sizes
+ * @param {Array<number>} chunkOffsets - File offsets of chunks
+ * @param {Array<number>} chunkSampleCounts - Number of samples in every chunk
+ * @returns {Uint8Array} stbl box
+ */
+function sampleTable(sampleEntry, timeToSample, sizes, chunkOffsets, chunkSampleCounts) {
+  /** @type {Array<[number, number]>} */
+  const sampleToChunk = [];
+  chunkSampleCounts.forEach((count, index) => {
+    if (sampleToChunk.length === 0 || sampleToChunk[sampleToChunk.length - 1][1] !== count) {
+      sampleToChunk.push([index + 1, count]);
+    }
+  });
+  return box('stbl',
+    fullBox('stsd', 0, 0, uint(4, 1), sampleEntry),
+    fullBox('stts', 0, 0, uint(4, timeToSample.length), ...timeToSample.map(([count, delta]) => uint(4, count, delta))),
+    fullBox('stsc', 0, 0, uint(4, sampleToChunk.length), ...sampleToChunk.map(([first, count]) => uint(4, first, count, 1))),
+    fullBox('stsz', 0, 0, uint(4, 0, sizes.length), uintList(4, sizes)),
+    fullBox('stco', 0, 0, uint(4, chunkOffsets.length), uintList(4, chunkOffsets))
+  );
+}
+
+/**
+ * Build track header, media header and handler
+ * @param {number} trackId - Track ID
+ * @param {number} flags - Track flags (1 = enabled, 2 = in movie)
+ * @param {number} durationMs - Duration in movie timescale (ms)
+ * @param {number} timescale - Media timescale
+ * @param {number} mediaDuration - Duration in media timescale
+ * @param {string} handler - Handler type
+ * @param {string} handlerName - Handler name
+ * @returns {{tkhd: Uint8Array, mdhd: Uint8Array, hdlr: Uint8Array}}
+ */
+function trackHeaders(trackId, flags, durationMs, timescale, mediaDuration, handler, handlerName) {
+  return {
+    tkhd: fullBox('tkhd', 0, flags,
+      uint(4, 0, 0, trackId, 0, durationMs, 0, 0),
+      uint(2, 0, 0, handler === 'soun' ? 0x0100 : 0, 0),
+      uint(4, ...MATRIX, 0, 0)
+    ),
+    // Language 'und'
+    mdhd: fullBox('mdhd', 0, 0, uint(4, 0, 0, timescale, mediaDuration), uint(2, 0x55C4, 0)),
+    hdlr: fullBox('hdlr', 0, 0, uint(4, 0), fourCC(handler), uint(4, 0, 0, 0), textEncoder.encode(handlerName), [0])
+  };
+}
+
+/**
+ * Build iTunes metadata item
+ * @param {string} type - Item type
+ * @param {number} dataType - Data type (1 = UTF-8, 13 = JPEG, 14 = PNG)
+ * @param {ArrayLike<number>} value - Value
+ * @returns {Uint8Array} Item box
+ */
+function metadataItem(type, dataType, value) {
+  return box(type, box('data', uint(4, dataType, 0), value));
+}
+
+/**
+ * Create M4B file from MP3 or ADTS AAC audio
+ * @param {ArrayBuffer} buffer - Audio data (MP3 or ADTS AAC)
+ * @param {import('./audio-tags.js').AudioTags} tags - Title, author, album, comment, cover and chapters
+ * @returns {ArrayBuffer|null} M4B data, null if audio format cannot be stored in MP4 without re-encoding
+ */
+export function createM4b(buffer, tags) {
+  const stream = parseAudioFrames(buffer);
+  if (!stream) {
+    return null;
+  }
+  const source = new Uint8Array(buffer);
+  const sampleCount = stream.frames.length;
+  const mediaDuration = sampleCount * stream.samplesPerFrame;
+  const durationMs = Math.round(mediaDuration / stream.sampleRate * 1000);
+
+  // Chapters start on audio frames, every chapter has at least one frame
+  const frameMs = stream.samplesPerFrame / stream.sampleRate * 1000;
+  /** @type {Array<{title: string, startFrame: number, startMs: number}>} */
+  const chapters = [];
+  for (const chapter of tags.chapters || []) {
+    const startFrame = chapters.length === 0 ? 0 : Math.round(chapter.startMs / frameMs);
+    if (chapters.length > 0 && (startFrame <= chapters[chapters.length - 1].startFrame || startFrame >= sampleCount)) {
+      continue;
+    }
+    chapters.push({ title: chapter.title, startFrame, startMs: Math.round(startFrame * frameMs) });
+  }
+  const hasChapters = chapters.length > 1;
+
+  // Audio is stored in one chunk per chapter, chapter title sample right before its audio
+  // (players that do not read chapter track timing take chapter position from file layout)
+  const chunkStarts = hasChapters ? chapters.map(chapter => chapter.startFrame) : [0];
+  const chunkSampleCounts = chunkStarts.map((start, index) =>
+    (index + 1 < chunkStarts.length ? chunkStarts[index + 1] : sampleCount) - start);
+  const chunkSizes = chunkStarts.map((start, index) => stream.frames
+    .slice(start, start + chunkSampleCounts[index])
+    .reduce((sum, frame) => sum + frame.size, 0));
+  const chapterSamples = hasChapters
+    ? chapters.map(chapter => {
+      const text = textEncoder.encode(chapter.title).subarray(0, 1024);
+      // Text length, text, 'encd' box with UTF-8 encoding
+      return concatBytes([uint(2, text.length), text, uint(4, 12), fourCC('encd'), uint(4, 0x00000100)]);
+    })
+    : [];
+  const chapterDurations = chapters.map((chapter, index) =>
+    (index + 1 < chapters.length ? chapters[index + 1].startMs : durationMs) - chapter.startMs);
+
+  // Elementary stream descriptor: AAC with AudioSpecificConfig or MP3 (object type 0x6B)
+  const decoderInfo = stream.codec === 'aac'
+    ? [descriptor(0x05, uint(2, ((stream.audioObjectType || 2) << 11) | ((stream.sampleRateIndex || 0) << 7) | (stream.channels << 3)))]
+    : [];
+  const maxFrameSize = stream.frames.reduce((max, frame) => Math.max(max, frame.size), 0);
+  const bitrate = durationMs > 0 ? Math.round(stream.frames.reduce((sum, frame) => sum + frame.size, 0) * 8000 / durationMs) : 0;
+  const esds = fullBox('esds', 0, 0, descriptor(0x03,
+    uint(2, 1), [0],
+    descriptor(0x04, [stream.codec === 'aac' ? 0x40 : 0x6B, 0x15], uint(4, maxFrameSize).subarray(1), uint(4, bitrate, bitrate), ...decoderInfo),
+    descriptor(0x06, [0x02])
+  ));
+  const audioEntry = box('mp4a',
+    uint(2, 0, 0, 0, 1), // reserved, data reference index
+    uint(4, 0, 0),
+    uint(2, stream.channels, 16, 0, 0),
+    uint(4, stream.sampleRate * 65536),
+    esds
+  );
+  const textEntry = box('text', uint(2, 0, 0, 0, 1), CHAPTER_TEXT_DESCRIPTION);
+
+  /**
+   * Get file offsets of audio and chapter chunks
+   * @param {number} dataOffset - Offset of mdat content
+   * @returns {{audioOffsets: Array<number>, chapterOffsets: Array<number>}}
+   */
+  const layoutChunks = (dataOffset) => {
+    const audioOffsets = [];
+    const chapterOffsets = [];
+    let offset = dataOffset;
+    chunkSizes.forEach((size, index) => {
+      if (hasChapters) {
+        chapterOffsets.push(offset);
+        offset += chapterSamples[index].length;
+      }
+      audioOffsets.push(offset);
+      offset += size;
+    });
+    return { audioOffsets, chapterOffsets };
+  };
+
+  const buildMoov = ({ audioOffsets, chapterOffsets }) => {
+    const audio = trackHeaders(1, 0x000003, durationMs, stream.sampleRate, mediaDuration, 'soun', 'SoundHandler');
+    const audioTrak = box('trak',
+      audio.tkhd,
+      hasChapters ? box('tref', box('chap', uint(4, 2))) : [],
+      box('mdia', audio.mdhd, audio.hdlr, box('minf',
+        fullBox('smhd', 0, 0, uint(4, 0)),
+        box('dinf', fullBox('dref', 0, 0, uint(4, 1), fullBox('url ', 0, 1))),
+        sampleTable(audioEntry, [[sampleCount, stream.samplesPerFrame]], stream.frames.map(frame => frame.size), audioOffsets, chunkSampleCounts)
+      ))
+    );
+
+    /** @type {Uint8Array} */
+    let chapterTrak = new Uint8Array(0);
+    if (hasChapters) {
+      const text = trackHeaders(2, 0, durationMs, 1000, durationMs, 'text', 'ChapterHandler');
+      chapterTrak = box('trak',
+        text.tkhd,
+        box('mdia', text.mdhd, text.hdlr, box('minf',
+          box('gmhd',
+            fullBox('gmin', 0, 0, uint(2, 0x40, 0x8000, 0x8000, 0x8000, 0, 0)),
+            box('text', uint(2, 1), uint(4, 0, 0, 0, 1, 0, 0, 0, 0x00004000), uint(2, 0))
+          ),
+          box('dinf', fullBox('dref', 0, 0, uint(4, 1), fullBox('url ', 0, 1))),
+          sampleTable(textEntry, chapterDurations.map(duration => [1, duration]), chapterSamples.map(sample => sample.length), chapterOffsets, chapterSamples.map(() => 1))
+        ))
+      );
+    }
+
+    const items = [];
+    if (tags.title) items.push(metadataItem('©nam', 1, textEncoder.encode(tags.title)));
+    if (tags.artist) items.push(metadataItem('©ART', 1, textEncoder.encode(tags.artist)));
+    if (tags.album) items.push(metadataItem('©alb', 1, textEncoder.encode(tags.album)));
+    if (tags.comment) items.push(metadataItem('©cmt', 1, textEncoder.encode(tags.comment)));
+    items.push(metadataItem('©gen', 1, textEncoder.encode('Audiobook')));
+    if (tags.cover?.data) {
+      items.push(metadataItem('covr', tags.cover.mediaType === 'image/png' ? 14 : 13, base64ToBytes(tags.cover.data)));
+    }
+
+    const udta = box('udta',
+      // Nero chapters: version 1, start in 100 ns units, title up to 255 bytes
+      hasChapters ? fullBox('chpl', 1, 0, uint(4, 0), [Math.min(chapters.length, 255)], ...chapters.slice(0, 255).map(chapter => {
+        const title = textEncoder.encode(chapter.title).subarray(0, 255);
+        return concatBytes([uint(8, chapter.startMs * 10000), [title.length], title]);
+      })) : [],
+      fullBox('meta', 0, 0,
+        fullBox('hdlr', 0, 0, uint(4, 0), fourCC('mdir'), fourCC('appl'), uint(4, 0, 0), [0]),
+        box('ilst', ...items)
+      )
+    );
+
+    return box('moov',
+      fullBox('mvhd', 0, 0,
+        uint(4, 0, 0, 1000, durationMs, 0x00010000),
+        uint(2, 0x0100, 0), uint(4, 0, 0),
+        uint(4, ...MATRIX, 0, 0, 0, 0, 0, 0, hasChapters ? 3 : 2)
+      ),
+      audioTrak,
+      chapterTrak,
+      udta
+    );
+  };
+
+  const ftyp = box('ftyp', fourCC('M4B '), uint(4, 0), fourCC('M4B '), fourCC('M4A '), fourCC('mp42'), fourCC('isom'));
+  // moov size does not depend on offsets: build once to measure, then with real offsets
+  const moovSize = buildMoov(layoutChunks(0)).length;
+  const moov = buildMoov(layoutChunks(ftyp.length + moovSize + 8));
+
+  const audioSize = chunkSizes.reduce((sum, size) => sum + size, 0);
+  const chapterSize = chapterSamples.reduce((sum, sample) => sum + sample.length, 0);
+  const mdatSize = 8 + audioSize + chapterSize;
+  const result = new Uint8Array(ftyp.length + moov.length + mdatSize);
+  result.set(ftyp, 0);
+  result.set(moov, ftyp.length);
+  let offset = ftyp.length + moov.length;
+  result.set(uint(4, mdatSize), offset);
+  result.set(fourCC('mdat'), offset + 4);
+  offset += 8;
+  chunkStarts.forEach((start, index) => {
+    if (hasChapters) {
+      result.set(chapterSamples[index], offset);
+      offset += chapterSamples[index].length;
+    }
+    for (const frame of stream.frames.slice(start, start + chunkSampleCounts[index])) {
+      result.set(source.subarray(frame.offset, frame.offset + frame.size), offset);
+      offset += frame.size;
+    }
+  });
+  return result.buffer;
+}
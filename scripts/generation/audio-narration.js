@@ -0,0 +1,270 @@
+// @ts-check
+// Multi-voice narration plan for audio exports
+// Content items are grouped into sections read by one voice: headings, quotes, image captions
+// and dialogue speakers can have their own voices. Sections are synthesized separately,
+// pauses or chimes between them are added to WAV audio after synthesis.
+
+/**
+ * Voice roles that can be assigned in settings (empty voice means main voice)
+ * @readonly
+ */
+export const NARRATION_ROLES = ['heading', 'quote', 'caption', 'speaker1', 'speaker2'];
+
+/**
+ * Section markers: 'off', silent 'pause' or 'chime' (short tone in the middle of pause)
+ * @readonly
+ */
+export const NARRATION_PAUSE_MODES = ['off', 'pause', 'chime'];
+
+/**
+ * Duration of pause before new section (milliseconds)
+ * @readonly
+ */
+export const NARRATION_PAUSE_MS = 700;
+
+/**
+ * Chime tone: frequency (Hz), duration (ms) and peak amplitude (share of full scale)
+ * @readonly
+ */
+const CHIME_FREQUENCY = 880;
+const CHIME_DURATION_MS = 180;
+const CHIME_AMPLITUDE = 0.18;
+
+/**
+ * Speaker label at paragraph start: "Q:", "John:", "Anna Smith:" (up to three words, capitalized)
+ * @readonly
+ */
+const SPEAKER_LABEL_PATTERN = /^\s*(\p{Lu}[\p{L}\p{M}.'’-]*(?:\s+\p{Lu}[\p{L}\p{M}.'’-]*){0,2})\s*[:：]\s*\S/u;
+
+/**
+ * Label counts as dialogue speaker if it starts at least this many paragraphs
+ * @readonly
+ */
+const MIN_SPEAKER_TURNS = 2;
+
+/**
+ * @typedef {Object} NarrationVoices
+ * @property {string} [heading] - Voice of headings and title
+ * @property {string} [quote] - Voice of block quotes
+ * @property {string} [caption] - Voice of image captions
+ * @property {string} [speaker1] - Voice of first, third... dialogue speaker
+ * @property {string} [speaker2] - Voice of second, fourth... dialogue speaker
+ */
+
+/**
+ * @typedef {Object} NarrationOptions
+ * @property {string} defaultVoice - Main voice (narrator)
+ * @property {NarrationVoices} voices - Voices of roles
+ * @property {string} [pause='off'] - Section marker mode (see NARRATION_PAUSE_MODES)
+ */
+
+/**
+ * @typedef {Object} NarrationSection
+ * @property {string} role - 'narrator', 'heading', 'quote', 'caption', 'speaker1' or 'speaker2' ('narrator' if items have different roles)
+ * @property {string} voice - Voice of section
+ * @property {number} pauseMs - Pause before section (milliseconds, 0 for none)
+ * @property {boolean} chime - Play chime in pause
+ * @property {Array<import('../types.js').ContentItem>} items - Content items
+ */
+
+/**
+ * Strip HTML tags for label detection
+ * @param {string} html - HTML string
+ * @returns {string} Text
+ */
+function stripTags(html) {
+  return String(html || '').replace(/<[^>]*>/g, '').replace(/&nbsp;/g, ' ');
+}
+
+/**
+ * Get speaker label of paragraph
+ * @param {import('../types.js').ContentItem} item - Content item
+ * @returns {string|null} Label, null if paragraph does not start with label
+ */
+function getSpeakerLabel(item) {
+  if (item.type !== 'paragraph') {
+    return null;
+  }
+  const match = SPEAKER_LABEL_PATTERN.exec(stripTags(item.text));
+  return match ? match[1].replace(/\s+/g, ' ') : null;
+}
+
+/**
+ * Find dialogue speakers and assign them voice roles
+ * Speakers alternate between 'speaker1' and 'speaker2' in order of first appearance.
+ * Dialogue needs at least two labels with several turns each, so single "Note:" paragraph is not a speaker.
+ * @param {Array<import('../types.js').ContentItem>} content - Content items
+ * @returns {Map<string, string>} Speaker label to role
+ */
+export function findDialogueSpeakers(content) {
+  /** @type {Map<string, number>} */
+  const turns = new Map();
+  for (const item of content || []) {
+    const label = getSpeakerLabel(item);
+    if (label) {
+      turns.set(label, (turns.get(label) || 0) + 1);
+    }
+  }
+
+  /** @type {Map<string, string>} */
+  const speakers = new Map();
+  const labels = [...turns.keys()].filter(label => turns.get(label) >= MIN_SPEAKER_TURNS);
+  if (labels.length < 2) {
+    return speakers;
+  }
+  labels.forEach((label, index) => {
+    speakers.set(label, index % 2 === 0 ? 'speaker1' : 'speaker2');
+  });
+  return speakers;
+}
+
+/**
+ * Get voice role of content item
+ * @param {import('../types.js').ContentItem} item - Content item
+ * @param {Map<string, string>} speakers - Dialogue speakers
+ * @returns {string} Role
+ */
+function getItemRole(item, speakers) {
+  switch (item.type) {
+    case 'heading':
+      return 'heading';
+    case 'quote':
+      return 'quote';
+    case 'image':
+      return 'caption';
+    case 'paragraph':
+      return speakers.get(getSpeakerLabel(item) || '') || 'narrator';
+    default:
+      return 'narrator';
+  }
+}
+
+/**
+ * Build narration plan: split content into sections read by one voice
+ * New section starts when voice changes. With pauses enabled it also starts at heading after text,
+ * pause (or chime) is added before every such section except the first one. Heading and its text
+ * stay in one TTS request when they share voice.
+ * @param {Array<import('../types.js').ContentItem>} content - Content items (title as first heading)
+ * @param {NarrationOptions} options - Voices and pause mode
+ * @returns {Array<NarrationSection>} Sections in reading order
+ */
+export function buildNarrationPlan(content, options) {
+  const { defaultVoice, voices = {}, pause = 'off' } = options;
+  const speakers = findDialogueSpeakers(content);
+  const pauseMs = pause === 'pause' || pause === 'chime' ? NARRATION_PAUSE_MS : 0;
+
+  /** @type {Array<NarrationSection>} */
+  const sections = [];
+  /** @type {NarrationSection|null} */
+  let current = null;
+
+  for (const item of content || []) {
+    const role = getItemRole(item, speakers);
+    const voice = (role !== 'narrator' && voices[role]) || defaultVoice;
+    const isHeading = item.type === 'heading';
+    const startsSection = !current ||
+      current.voice !== voice ||
+      (isHeading && pauseMs > 0 && current.items.some(existing => existing.type !== 'heading'));
+
+    if (startsSection) {
+      current = {
+        role,
+        voice,
+        pauseMs: isHeading && sections.length > 0 ? pauseMs : 0,
+        chime: isHeading && sections.length > 0 && pause === 'chime',
+        items: [item]
+      };
+      sections.push(current);
+    } else {
+      current.items.push(item);
+      if (current.role !== role) {
+        current.role = 'narrator';
+      }
+    }
+  }
+  return sections;
+}
+
+/**
+ * Read PCM format of WAV
+ * @param {ArrayBuffer} buffer - WAV data
+ * @returns {{channels: number, sampleRate: number, bitsPerSample: number}|null} Format, null if buffer is not WAV
+ */
+function readWavFormat(buffer) {
+  const bytes = new Uint8Array(buffer);
+  if (bytes.length < 12 ||
+    String.fromCharCode(...bytes.subarray(0, 4)) !== 'RIFF' ||
+    String.fromCharCode(...bytes.subarray(8, 12)) !== 'WAVE') {
+    return null;
+  }
+  const view = new DataView(buffer);
+  let offset = 12;
+  while (offset + 8 <= bytes.length) {
+    const id = String.fromCharCode(...bytes.subarray(offset, offset + 4));
+    const size = view.getUint32(offset + 4, true);
+    if (id === 'fmt ' && offset + 24 <= bytes.length) {
+      return {
+        channels: view.getUint16(offset + 10, true),
+        sampleRate: view.getUint32(offset + 12, true),
+        bitsPerSample: view.getUint16(offset + 22, true)
+      };
+    }
+    offset += 8 + size + (size % 2);
+  }
+  return null;
+}
+
+/**
+ * Create pause segment in format of synthesized WAV segment
+ * Only 16-bit PCM is supported: compressed audio from TTS APIs cannot be joined with generated
+ * silence without re-encoding, so section pauses there come from separate TTS requests only.
+ * @param {ArrayBuffer} reference - WAV segment that follows the pause
+ * @param {number} durationMs - Pause duration
+ * @param {boolean} [chime=false] - Play short tone in the middle of pause
+ * @returns {ArrayBuffer|null} WAV with silence (and chime), null if reference is not 16-bit WAV
+ */
+export function createPauseSegment(reference, durationMs, chime = false) {
+  const format = reference ? readWavFormat(reference) : null;
+  if (!format || format.bitsPerSample !== 16 || format.channels < 1 || format.sampleRate <= 0 || durationMs <= 0) {
+    return null;
+  }
+  const { channels, sampleRate } = format;
+  const frames = Math.round(sampleRate * durationMs / 1000);
+  const dataSize = frames * channels * 2;
+  const buffer = new ArrayBuffer(44 + dataSize);
+  const view = new DataView(buffer);
+  const writeId = (offset, id) => {
+    for (let i = 0; i < 4; i++) {
+      view.setUint8(offset + i, id.charCodeAt(i));
+    }
+  };
+
+  writeId(0, 'RIFF');
+  view.setUint32(4, 36 + dataSize, true);
+  writeId(8, 'WAVE');
+  writeId(12, 'fmt ');
+  view.setUint32(16, 16, true);
+  view.setUint16(20, 1, true);
+  view.setUint16(22, channels, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * channels * 2, true);
+  view.setUint16(32, channels * 2, true);
+  view.setUint16(34, 16, true);
+  writeId(36, 'data');
+  view.setUint32(40, dataSize, true);
+
+  if (chime) {
+    const toneFrames = Math.min(frames, Math.round(sampleRate * CHIME_DURATION_MS / 1000));
+    const start = Math.floor((frames - toneFrames) / 2);
+    for (let i = 0; i < toneFrames; i++) {
+      // Sine with fast attack and exponential decay sounds like a soft bell
+      const t = i / sampleRate;
+      const envelope = Math.min(1, i / (sampleRate * 0.005)) * Math.exp(-5 * i / toneFrames);
+      const sample = Math.round(Math.sin(2 * Math.PI * CHIME_FREQUENCY * t) * envelope * CHIME_AMPLITUDE * 32767);
+      for (let channel = 0; channel < channels; channel++) {
+        view.setInt16(44 + ((start + i) * channels + channel) * 2, sample, true);
+      }
+    }
+  }
+  return buffer;
+}
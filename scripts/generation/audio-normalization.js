@@ -0,0 +1,391 @@
+// @ts-check
+// Per-language text normalization for offline TTS (Piper)
+// Piper phonemizer reads plain digits in language of voice, but misreads formatted numbers,
+// numeric dates, currency and percent signs and abbreviations. They are rewritten into forms it reads:
+//   "12.03.2024" -> "12 марта 2024", "1,000,000" -> "1000000", "5 €" -> "5 euros", "z. B." -> "zum Beispiel"
+// Dates and number separators come from Intl for every language, words and abbreviations from NORMALIZATION_RULES.
+
+import { escapeRegExp } from '../utils/escape.js';
+
+/**
+ * Words of language: unit words are plain string or forms by Intl.PluralRules category
+ * @typedef {Object} NormalizationRules
+ * @property {'dmy'|'mdy'} [slashDates='dmy'] - Order of day and month in "03/12/2024"
+ * @property {Record<string, string|Record<string, string>>} units - Words for '%', '€', '$', '£', '¥', '№'
+ * @property {Array<string>} [numberSigns] - Abbreviations read as '№' when followed by number
+ * @property {Record<string, string|Record<string, string>>} [abbreviations] - Abbreviation -> expansion (forms agree with number before it),
+ *   space in abbreviation is optional ("z. B." matches "z.B.")
+ */
+
+/**
+ * @readonly
+ * @type {Record<string, NormalizationRules>}
+ */
+export const NORMALIZATION_RULES = {
+  en: {
+    slashDates: 'mdy',
+    units: {
+      '%': 'percent',
+      '€': { one: 'euro', other: 'euros' },
+      '$': { one: 'dollar', other: 'dollars' },
+      '£': { one: 'pound', other: 'pounds' },
+      '¥': 'yen',
+      '№': 'number'
+    },
+    numberSigns: ['No.'],
+    abbreviations: {
+      'e.g.': 'for example',
+      'i.e.': 'that is',
+      'etc.': 'et cetera',
+      'vs.': 'versus',
+      'approx.': 'approximately',
+      'Dr.': 'Doctor',
+      'Mr.': 'Mister',
+      'Mrs.': 'Missus',
+      'Prof.': 'Professor'
+    }
+  },
+  de: {
+    units: { '%': 'Prozent', '€': 'Euro', '$': 'Dollar', '£': 'Pfund', '¥': 'Yen', '№': 'Nummer' },
+    numberSigns: ['Nr.'],
+    abbreviations: {
+      'z. B.': 'zum Beispiel',
+      'd. h.': 'das heißt',
+      'u. a.': 'unter anderem',
+      'usw.': 'und so weiter',
+      'bzw.': 'beziehungsweise',
+      'ca.': 'circa',
+      'vgl.': 'vergleiche',
+      'Mio.': { one: 'Million', other: 'Millionen' },
+      'Mrd.': { one: 'Milliarde', other: 'Milliarden' },
+      'Dr.': 'Doktor',
+      'Prof.': 'Professor'
+    }
+  },
+  fr: {
+    units: {
+      '%': 'pour cent',
+      '€': { one: 'euro', other: 'euros' },
+      '$': { one: 'dollar', other: 'dollars' },
+      '£': { one: 'livre', other: 'livres' },
+      '¥': { one: 'yen', other: 'yens' },
+      '№': 'numéro'
+    },
+    numberSigns: ['n°', 'N°'],
+    abbreviations: {
+      'p. ex.': 'par exemple',
+      'c.-à-d.': "c'est-à-dire",
+      'etc.': 'et cetera',
+      'env.': 'environ',
+      'M.': 'Monsieur',
+      'Mme': 'Madame',
+      'Mlle': 'Mademoiselle'
+    }
+  },
+  es: {
+    units: {
+      '%': 'por ciento',
+      '€': { one: 'euro', other: 'euros' },
+      '$': { one: 'dólar', other: 'dólares' },
+      '£': { one: 'libra', other: 'libras' },
+      '¥': { one: 'yen', other: 'yenes' },
+      '№': 'número'
+    },
+    numberSigns: ['núm.', 'n.º'],
+    abbreviations: {
+      'p. ej.': 'por ejemplo',
+      'EE. UU.': 'Estados Unidos',
+      'etc.': 'etcétera',
+      'aprox.': 'aproximadamente',
+      'Sr.': 'señor',
+      'Sra.': 'señora',
+      'Dr.': 'doctor'
+    }
+  },
+  it: {
+    units: {
+      '%': 'per cento',
+      '€': 'euro',
+      '$': { one: 'dollaro', other: 'dollari' },
+      '£': { one: 'sterlina', other: 'sterline' },
+      '¥': 'yen',
+      '№': 'numero'
+    },
+    numberSigns: ['n.'],
+    abbreviations: {
+      'ad es.': 'ad esempio',
+      'ecc.': 'eccetera',
+      'sig.ra': 'signora',
+      'sig.': 'signor',
+      'dott.': 'dottor',
+      'pag.': 'pagina'
+    }
+  },
+  pt: {
+    units: {
+      '%': 'por cento',
+      '€': { one: 'euro', other: 'euros' },
+      '$': { one: 'dólar', other: 'dólares' },
+      '£': { one: 'libra', other: 'libras' },
+      '¥': { one: 'iene', other: 'ienes' },
+      '№': 'número'
+    },
+    numberSigns: ['n.º', 'nº'],
+    abbreviations: {
+      'p. ex.': 'por exemplo',
+      'etc.': 'et cetera',
+      'aprox.': 'aproximadamente',
+      'Sr.': 'senhor',
+      'Sra.': 'senhora',
+      'Dr.': 'doutor'
+    }
+  },
+  ru: {
+    units: {
+      '%': { one: 'процент', few: 'процента', many: 'процентов', other: 'процента' },
+      '€': 'евро',
+      '$': { one: 'доллар', few: 'доллара', many: 'долларов', other: 'доллара' },
+      '£': { one: 'фунт', few: 'фунта', many: 'фунтов', other: 'фунта' },
+      '¥': { one: 'иена', few: 'иены', many: 'иен', other: 'иены' },
+      '№': 'номер'
+    },
+    abbreviations: {
+      'и т. д.': 'и так далее',
+      'и т. п.': 'и тому подобное',
+      'т. е.': 'то есть',
+      'т. к.': 'так как',
+      'т. н.': 'так называемый',
+      'напр.': 'например',
+      'см.': 'смотри',
+      'тыс.': { one: 'тысяча', few: 'тысячи', many: 'тысяч', other: 'тысячи' },
+      'млн': { one: 'миллион', few: 'миллиона', many: 'миллионов', other: 'миллиона' },
+      'млрд': { one: 'миллиард', few: 'миллиарда', many: 'миллиардов', other: 'миллиарда' },
+      'руб.': { one: 'рубль', few: 'рубля', many: 'рублей', other: 'рубля' }
+    }
+  },
+  pl: {
+    units: {
+      '%': 'procent',
+      '€': 'euro',
+      '$': { one: 'dolar', few: 'dolary', many: 'dolarów', other: 'dolara' },
+      '£': { one: 'funt', few: 'funty', many: 'funtów', other: 'funta' },
+      '¥': { one: 'jen', few: 'jeny', many: 'jenów', other: 'jena' },
+      '№': 'numer'
+    },
+    numberSigns: ['nr'],
+    abbreviations: {
+      'm.in.': 'między innymi',
+      'np.': 'na przykład',
+      'itd.': 'i tak dalej',
+      'itp.': 'i tym podobne',
+      'tzn.': 'to znaczy',
+      'ok.': 'około',
+      'tys.': { one: 'tysiąc', few: 'tysiące', many: 'tysięcy', other: 'tysiąca' },
+      'mln': { one: 'milion', few: 'miliony', many: 'milionów', other: 'miliona' },
+      'mld': { one: 'miliard', few: 'miliardy', many: 'miliardów', other: 'miliarda' },
+      'prof.': 'profesor'
+    }
+  },
+  nl: {
+    units: { '%': 'procent', '€': 'euro', '$': 'dollar', '£': 'pond', '¥': 'yen', '№': 'nummer' },
+    numberSigns: ['nr.'],
+    abbreviations: {
+      'bijv.': 'bijvoorbeeld',
+      'd.w.z.': 'dat wil zeggen',
+      'o.a.': 'onder andere',
+      'enz.': 'enzovoort',
+      'ca.': 'circa',
+      'dhr.': 'de heer',
+      'mevr.': 'mevrouw'
+    }
+  }
+};
+
+/**
+ * ISO codes of currency signs, used for currency names from Intl when language has no rules
+ * @readonly
+ */
+const CURRENCY_CODES = { '€': 'EUR', '$': 'USD', '£': 'GBP', '¥': 'JPY' };
+
+/** @type {Map<string, {abbreviations: Array<{pattern: RegExp, expansion: string|Record<string, string>}>, numberSign: RegExp|null}>} */
+const compiledRules = new Map();
+
+/**
+ * Build abbreviation pattern: whole word, optional spaces between parts
+ * Number before abbreviation is captured (group 1) to agree expansion with it
+ * @param {string} abbreviation - Abbreviation (e.g., 'z. B.')
+ * @returns {RegExp}
+ */
+function buildAbbreviationPattern(abbreviation) {
+  const source = abbreviation.split(/\s+/).map(escapeRegExp).join('\\s*');
+  const end = /[\p{L}\p{N}]$/u.test(abbreviation) ? '(?![\\p{L}\\p{N}])' : '';
+  return new RegExp(`(?<![\\p{L}\\p{N}])(?:(\\d+(?:[.,]\\d+)?)\\s*)?${source}${end}`, 'gu');
+}
+
+/**
+ * Get compiled patterns of language (cached)
+ * @param {string} language - Language code
+ * @returns {{abbreviations: Array<{pattern: RegExp, expansion: string|Record<string, string>}>, numberSign: RegExp|null}}
+ */
+function getCompiledRules(language) {
+  let compiled = compiledRules.get(language);
+  if (!compiled) {
+    const rules = NORMALIZATION_RULES[language];
+    // Longer abbreviations first: "и т. д." before "т. д."
+    const abbreviations = Object.entries(rules?.abbreviations || {})
+      .sort((a, b) => b[0].length - a[0].length)
+      .map(([abbreviation, expansion]) => ({ pattern: buildAbbreviationPattern(abbreviation), expansion }));
+    const signs = (rules?.numberSigns || []).map(escapeRegExp);
+    const numberSign = signs.length > 0
+      ? new RegExp(`(?<![\\p{L}\\p{N}])(?:${signs.join('|')})\\s*(?=\\d)`, 'gu')
+      : null;
+    compiled = { abbreviations, numberSign };
+    compiledRules.set(language, compiled);
+  }
+  return compiled;
+}
+
+/**
+ * Pick word form for number
+ * @param {string|Record<string, string>|undefined} word - Word or forms by plural category
+ * @param {string|undefined} number - Number as written in text (group separators removed), form for many if not set
+ * @param {string} language - Language code
+ * @returns {string|null}
+ */
+function selectWordForm(word, number, language) {
+  if (typeof word === 'string') {
+    return word || null;
+  }
+  if (!word) {
+    return null;
+  }
+  const category = number ? new Intl.PluralRules(language).select(Number(number.replace(',', '.'))) : 'many';
+  return word[category] || word.other || null;
+}
+
+/**
+ * Get word for currency or percent sign
+ * @param {string} sign - Sign ('%', '€', '$', '£', '¥')
+ * @param {string} value - Number before or after sign
+ * @param {string} language - Language code
+ * @returns {string|null} Word, null if unknown
+ */
+function getUnitWord(sign, value, language) {
+  const word = selectWordForm(NORMALIZATION_RULES[language]?.units[sign], value, language);
+  if (word || !CURRENCY_CODES[sign]) {
+    return word;
+  }
+  try {
+    return new Intl.DisplayNames([language], { type: 'currency' }).of(CURRENCY_CODES[sign]) || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Get number separators of language
+ * @param {string} language - Language code
+ * @returns {{group: string, decimal: string}|null} Separators, null for unknown language
+ */
+function getNumberSeparators(language) {
+  try {
+    const parts = new Intl.NumberFormat(language, { numberingSystem: 'latn' }).formatToParts(12345.6);
+    return {
+      group: parts.find(part => part.type === 'group')?.value || ',',
+      decimal: parts.find(part => part.type === 'decimal')?.value || '.'
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Format date in words of language ("March 12, 2024", "12. März 2024", "12 марта 2024")
+ * Trailing year abbreviation ("г.", "р.") is dropped.
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12)
+ * @param {number} day - Day (1-31)
+ * @param {string} language - Language code
+ * @returns {string|null} Date text, null for invalid date or unknown language
+ */
+export function formatDateForSpeech(year, month, day, language) {
+  if (month < 1 || month > 12 || day < 1 || day > 31) {
+    return null;
+  }
+  try {
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (date.getUTCDate() !== day) {
+      return null;
+    }
+    const parts = new Intl.DateTimeFormat(language, {
+      day: 'numeric', month: 'long', year: 'numeric', timeZone: 'UTC', calendar: 'gregory', numberingSystem: 'latn'
+    }).formatToParts(date);
+    while (parts.length > 0 && parts[parts.length - 1].type === 'literal') {
+      parts.pop();
+    }
+    return parts.map(part => part.value).join('').replace(/\s+/g, ' ');
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Normalize numbers, dates, currency, percent signs and abbreviations for speech
+ * Languages without NORMALIZATION_RULES get dates, number separators and currency names from Intl only.
+ * @param {string} text - Text
+ * @param {string} language - Content language code
+ * @returns {string} Normalized text
+ */
+export function normalizeForSpeech(text, language) {
+  if (!text || typeof text !== 'string') return '';
+  const separators = getNumberSeparators(language);
+  if (!separators) {
+    return text;
+  }
+  const rules = NORMALIZATION_RULES[language];
+  const { abbreviations, numberSign } = getCompiledRules(language);
+
+  // Dates: ISO "2024-03-12", "12.03.2024", "12/03/2024" (US order for English)
+  let result = text
+    .replace(/(?<![\d.\/-])(\d{4})-(\d{2})-(\d{2})(?![\d.\/-]*\d)/g, (match, year, month, day) =>
+      formatDateForSpeech(Number(year), Number(month), Number(day), language) || match)
+    .replace(/(?<![\d.\/])(\d{1,2})([./])(\d{1,2})\2(\d{4})(?![\d.\/]*\d)/g, (match, first, separator, second, year) => {
+      const monthFirst = separator === '/' && rules?.slashDates === 'mdy';
+      const [day, month] = monthFirst ? [second, first] : [first, second];
+      return formatDateForSpeech(Number(year), Number(month), Number(day), language) || match;
+    });
+
+  // Group separators: "1,000,000" (en), "1.000.000" (de), "1 000 000" (ru, fr)
+  const group = /\s/.test(separators.group) ? '[ \\u00A0\\u202F]' : escapeRegExp(separators.group);
+  result = result.replace(
+    new RegExp(`(?<![\\d.,])(\\d{1,3})((?:${group}\\d{3})+)(?!\\d|${group}\\d)`, 'g'),
+    (match, head, tail) => head + tail.replace(/\D/g, '')
+  );
+
+  // Currency and percent signs after number ("5 €", "10%") or currency sign before number ("$5")
+  const number = `\\d+(?:[.,]\\d+)?`;
+  result = result
+    .replace(new RegExp(`([€$£¥])\\s?(${number})`, 'g'), (match, sign, value) =>
+      `${value} ${getUnitWord(sign, value, language) || sign}`)
+    .replace(new RegExp(`(${number})\\s?([€$£¥%])(?![\\p{L}\\p{N}])`, 'gu'), (match, value, sign) =>
+      `${value} ${getUnitWord(sign, value, language) || sign}`);
+
+  const numberWord = rules?.units['№'];
+  if (typeof numberWord === 'string') {
+    result = result.replace(/№\s*(?=\d)/g, `${numberWord} `);
+    if (numberSign) {
+      result = result.replace(numberSign, `${numberWord} `);
+    }
+  }
+
+  for (const { pattern, expansion } of abbreviations) {
+    result = result.replace(pattern, (match, value, offset, whole) => {
+      const word = selectWordForm(expansion, value, language);
+      // Abbreviation at end of line also ends sentence - keep its period
+      const endsLine = match.endsWith('.') && /^[ \t]*(\n|$)/.test(whole.slice(offset + match.length));
+      return `${value ? `${value} ` : ''}${word}${endsLine ? '.' : ''}`;
+    });
+  }
+
+  return result;
+}
@@ -5,6 +5,7 @@
 import { log, logError, logWarn } from '../utils/logging.js';
 import { callAI } from '../api/index.js';
 import { getUILanguage, tSync } from '../locales.js';
+import { getLanguageName } from '../utils/languages.js';
 import { PROCESSING_STAGES, getProcessingState } from '../state/processing.js';
 import { handleError } from '../utils/error-handler.js';
 import { checkCancellation } from '../utils/pipeline-helpers.js';
@@ -17,6 +18,10 @@ import {
   processChunkForAudio,
   logAudioPreparationComplete
 } from './audio-prep-helpers.js';
+import { locateChapters, AUDIO_CHAPTER_MAX_LEVEL } from './audio-chapters.js';
+import { buildNarrationPlan } from './audio-narration.js';
+import { normalizeForSpeech } from './audio-normalization.js';
+import { detectLanguage } from '../offscreen/utils/language-detection.js';
 
 /**
  * Configuration for audio preparation
@@ -55,9 +60,12 @@ export const AUDIO_CONFIG = {
 /**
  * Convert content items to plain text
  * @param {Array} content - Array of content items from extraction
+ * @param {{labelQuotes?: boolean, labelCaptions?: boolean}} [options={}] - Announce quotes ("Quote:") and image captions ("Image:"),
+ *   disabled when they are read by their own voice
  * @returns {string} Plain text representation
  */
-export function contentToPlainText(content) {
+export function contentToPlainText(content, options = {}) {
+  const { labelQuotes = true, labelCaptions = true } = options;
   log('=== contentToPlainText START ===', { 
     itemCount: content?.length,
     itemTypes: content?.map(i => i.type) || []
@@ -109,7 +117,7 @@ export function contentToPlainText(content) {
       case 'quote':
         const quoteText = stripHtml(item.text || '');
         if (quoteText) {
-          textParts.push(`Quote: ${quoteText}`);
+          textParts.push(labelQuotes ? `Quote: ${quoteText}` : quoteText);
           itemLog.extractedLength = quoteText.length;
           itemLog.added = true;
         } else {
@@ -155,7 +163,7 @@ export function contentToPlainText(content) {
         if (item.caption) {
           const captionText = stripHtml(item.caption);
           if (captionText) {
-            textParts.push(`Image: ${captionText}`);
+            textParts.push(labelCaptions ? `Image: ${captionText}` : captionText);
             itemLog.extractedLength = captionText.length;
             itemLog.added = true;
             itemLog.hasCaption = true;
@@ -439,21 +447,14 @@ function forceSplitText(text, targetSize) {
   return parts;
 }
 
-// Language names for prompts
-const LANGUAGE_NAMES_FOR_PROMPT = {
-  'en': 'English',
-  'ru': 'Russian',
-  'ua': 'Ukrainian',
-  'de': 'German',
-  'fr': 'French',
-  'es': 'Spanish',
-  'it': 'Italian',
-  'pt': 'Portuguese',
-  'zh': 'Chinese',
-  'ja': 'Japanese',
-  'ko': 'Korean',
-  'auto': null
-};
+/**
+ * Get language name for prompts
+ * @param {string} language - Target language code
+ * @returns {string|null} Language name, null for 'auto' (keep original language)
+ */
+function getPromptLanguageName(language) {
+  return language && language !== 'auto' ? getLanguageName(language) : null;
+}
 
 /**
  * Prepare single chunk for audio using AI
@@ -467,6 +468,11 @@ const LANGUAGE_NAMES_FOR_PROMPT = {
  * @returns {Promise<string>} Cleaned text ready for TTS
  */
 export async function prepareChunkForAudio(chunkText, chunkIndex, totalChunks, apiKey, model, language = 'auto') {
+  const langName = getPromptLanguageName(language);
+  const languageInstruction = langName 
+    ? `The text is in ${langName}. Keep all text in ${langName}.` 
+    : 'Keep the original language of the text.';
+  
   // Log all chunk preparation settings
   const chunkSettings = {
     timestamp: Date.now(),
@@ -479,19 +485,12 @@ export async function prepareChunkForAudio(chunkText, chunkIndex, totalChunks, a
     textPreview: chunkText.substring(0, 150) + '...',
     textEnd: '...' + chunkText.substring(chunkText.length - 100),
     // Language detection
-    langName: LANGUAGE_NAMES_FOR_PROMPT[language] || null,
-    languageInstruction: LANGUAGE_NAMES_FOR_PROMPT[language] 
-      ? `The text is in ${LANGUAGE_NAMES_FOR_PROMPT[language]}. Keep all text in ${LANGUAGE_NAMES_FOR_PROMPT[language]}.`
-      : 'Keep the original language of the text.'
+    langName,
+    languageInstruction
   };
   
   log('=== prepareChunkForAudio START with all settings ===', chunkSettings);
   
-  const langName = LANGUAGE_NAMES_FOR_PROMPT[language] || null;
-  const languageInstruction = langName 
-    ? `The text is in ${langName}. Keep all text in ${langName}.` 
-    : 'Keep the original language of the text.';
-  
   const systemPrompt = `You are a text preparation assistant for text-to-speech conversion.
 
 Your task is to clean up the provided text so it can be read aloud naturally.
@@ -626,7 +625,8 @@ ${chunkText}`;
 
 /**
  * Sanitize text for Piper TTS phonemizer
- * Removes problematic Unicode characters that cause phoneme index errors
+ * Normalizes numbers, dates and abbreviations for content language (audio-normalization.js),
+ * removes problematic Unicode characters that cause phoneme index errors
  * This is the same sanitization used in offscreen.js for consistency
  * @param {string} text - Text to sanitize
  * @param {string} language - Language code (optional, for language-specific sanitization)
@@ -641,7 +641,11 @@ export function sanitizeForPiperTTS(text, language = 'auto') {
     langCode = 'uk';
   }
   
-  let sanitized = text
+  // Numbers, dates, currency and abbreviations in words of content language
+  // ('auto' - language detected the same way as for offline voice selection)
+  const normalizationLanguage = langCode === 'auto' ? detectLanguage(text) : langCode;
+  
+  let sanitized = normalizeForSpeech(text, normalizationLanguage)
     // Remove zero-width characters
     .replace(/[\u200B-\u200D\uFEFF]/g, '')
     // Replace non-breaking spaces with regular spaces
@@ -824,9 +828,12 @@ export function basicCleanup(text, language = 'auto') {
  * @param {string} model - Model to use
  * @param {string} language - Target language code (e.g., 'ru', 'en', 'auto')
  * @param {import('../types.js').UpdateStateFunction} updateState - State update callback
- * @returns {Promise<Array<{text: string, index: number}>>} Prepared chunks ready for TTS
+ * @param {string|null} [provider=null] - TTS provider (offline uses basic cleanup)
+ * @param {import('./audio-narration.js').NarrationOptions|null} [narration=null] - Multi-voice narration, null for single voice
+ * @returns {Promise<Array<{text: string, index: number, voice?: string, pauseMs?: number, chime?: boolean}>>} Prepared chunks ready for TTS
+ *   (voice and pause are set for multi-voice narration)
  */
-export async function prepareContentForAudio(content, title, apiKey, model, language = 'auto', updateState, provider = null) {
+export async function prepareContentForAudio(content, title, apiKey, model, language = 'auto', updateState, provider = null, narration = null) {
   // Determine cleanup mode: use AI cleanup for online TTS, basic cleanup for offline
   const useAICleanup = Boolean(provider !== 'offline' && apiKey && model);
   
@@ -913,7 +920,40 @@ export async function prepareContentForAudio(content, title, apiKey, model, lang
   
   logChunkSplitting(fullText);
   
-  const chunks = splitTextIntoChunks(fullText);
+  // Multi-voice narration: every section is split separately, its chunks keep section voice
+  /** @type {Array<{text: string, voice?: string, pauseMs?: number, chime?: boolean, aiCleanup: boolean}>} */
+  let sections = [{ text: fullText, aiCleanup: useAICleanup }];
+  if (narration) {
+    const titleItems = fullText !== plainText ? [{ type: 'heading', level: 1, text: title }] : [];
+    const textOptions = { labelQuotes: !narration.voices?.quote, labelCaptions: !narration.voices?.caption };
+    sections = buildNarrationPlan([...titleItems, ...content], narration)
+      .map(section => ({
+        text: contentToPlainText(section.items, textOptions),
+        voice: section.voice,
+        pauseMs: section.pauseMs,
+        chime: section.chime,
+        // Headings, quotes and captions are short and must keep their wording, AI cleanup is for narrative text
+        aiCleanup: useAICleanup && (section.role === 'narrator' || section.role.startsWith('speaker'))
+      }))
+      .filter(section => section.text);
+    log('🎭 Narration plan built', {
+      sections: sections.length,
+      voices: [...new Set(sections.map(section => section.voice))],
+      pauses: sections.filter(section => section.pauseMs > 0).length
+    });
+  }
+  
+  const chunks = sections
+    .flatMap(section => splitTextIntoChunks(section.text).map((chunk, i) => ({
+      ...chunk,
+      aiCleanup: section.aiCleanup,
+      ...(narration && {
+        voice: section.voice,
+        pauseMs: i === 0 ? section.pauseMs : 0,
+        chime: i === 0 && section.chime
+      })
+    })))
+    .map((chunk, index) => ({ ...chunk, index }));
   const avgChunkSize = chunks.length > 0 ? Math.round(chunks.reduce((sum, c) => sum + c.text.length, 0) / chunks.length) : 0;
   const maxChunkSize = chunks.length > 0 ? Math.max(...chunks.map(c => c.text.length)) : 0;
   const maxChunkUsage = Math.round((maxChunkSize / AUDIO_CONFIG.MAX_CHUNK_SIZE) * 100);
@@ -951,6 +991,14 @@ export async function prepareContentForAudio(content, title, apiKey, model, lang
   
   logChunkSplittingResults(chunks);
   
+  // Locate chapter headings before AI cleanup may rephrase chunk text
+  const chapterHeadings = content
+    .filter(item => item.type === 'heading' && (item.level || 2) <= AUDIO_CHAPTER_MAX_LEVEL)
+    .map(item => stripHtml(item.text || ''));
+  const chunkChapters = locateChapters(chunks, chapterHeadings);
+  /** @type {Array<import('./audio-chapters.js').ChunkChapter>} */
+  let pendingChapters = [];
+  
   // Prepare each chunk for audio
   const preparedChunks = [];
   
@@ -977,7 +1025,7 @@ export async function prepareContentForAudio(content, title, apiKey, model, lang
       chunk,
       i,
       chunks.length,
-      Boolean(useAICleanup),
+      Boolean(chunk.aiCleanup),
       apiKey || '',
       model || '',
       language,
@@ -986,7 +1034,15 @@ export async function prepareContentForAudio(content, title, apiKey, model, lang
     );
     
     if (preparedChunk) {
-      preparedChunks.push(preparedChunk);
+      preparedChunks.push({
+        ...preparedChunk,
+        chapters: [...pendingChapters, ...chunkChapters[i]],
+        ...(narration && { voice: chunk.voice, pauseMs: chunk.pauseMs, chime: chunk.chime })
+      });
+      pendingChapters = [];
+    } else {
+      // Chapter of skipped chunk starts with next chunk
+      pendingChapters.push(...chunkChapters[i].map(chapter => ({ title: chapter.title, position: 0 })));
     }
   }
   
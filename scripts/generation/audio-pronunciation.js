@@ -0,0 +1,206 @@
+// @ts-check
+// Pronunciation lexicon for TTS
+// User rules fix acronyms, library names, units and foreign names before text is sent to any TTS provider.
+// Lexicon is plain text, one rule per line:
+//   SQL => sequel                    respelling (whole word, case-sensitive)
+//   [en] k8s => Kubernetes           rule for articles in listed languages only ([en,de])
+//   /(\d+) ?ms\b/ => $1 milliseconds regular expression, $1... are groups
+//   JSON => !spell                   read letter by letter
+//   TODO: => !skip                   remove
+//   nginx => engine x /ˈɛndʒɪn ɛks/  IPA phonemes for providers that support phoneme tags, respelling for others
+//   # comment
+
+import { escapeRegExp, escapeXml } from '../utils/escape.js';
+
+/**
+ * Setting with lexicon text
+ * @readonly
+ */
+export const PRONUNCIATION_LEXICON_SETTING_KEY = 'pronunciation_lexicon';
+
+/**
+ * Lexicon is applied to TTS input, rules count is limited to keep it fast on long articles
+ * @readonly
+ */
+export const MAX_PRONUNCIATION_RULES = 500;
+
+/**
+ * Phoneme tags are kept out of reach of later rules with private use placeholders:
+ * start mark, tag number as one character from PLACEHOLDER_INDEX_BASE, end mark
+ * @readonly
+ */
+const PLACEHOLDER_START = '\uE000';
+const PLACEHOLDER_END = '\uE001';
+const PLACEHOLDER_INDEX_BASE = 0xE100;
+const PLACEHOLDER_PATTERN = /\uE000([\uE100-\uF8FF])\uE001/g;
+
+/**
+ * @typedef {Object} PronunciationRule
+ * @property {RegExp} pattern - Global pattern
+ * @property {Array<string>} languages - Article languages of rule, empty for all
+ * @property {'replace'|'spell'|'skip'} action - Action for matched text
+ * @property {string} replacement - Respelling ('replace' action, may contain $1 groups)
+ * @property {string|null} ipa - IPA phonemes, null if not set
+ * @property {number} line - Line number in lexicon (1-based)
+ */
+
+/**
+ * @typedef {Object} PronunciationOptions
+ * @property {string} [language] - Article language, rules for other languages are skipped ('auto' applies rules for all languages only)
+ * @property {'ssml'|null} [phonemes=null] - Phoneme tag format of provider, null if not supported
+ */
+
+/**
+ * Build pattern of rule
+ * "/.../flags" is regular expression, other text matches as whole word
+ * @param {string} source - Pattern from lexicon
+ * @returns {RegExp} Global pattern
+ * @throws {Error} If regular expression is invalid or matches empty string
+ */
+function buildPattern(source) {
+  const regex = /^\/(.+)\/([a-z]*)$/.exec(source);
+  let pattern;
+  if (regex) {
+    const flags = regex[2].includes('g') ? regex[2] : regex[2] + 'g';
+    pattern = new RegExp(regex[1], flags);
+  } else {
+    // Letters, digits and underscore around literal mean it is part of another word
+    pattern = new RegExp(`(?<![\\p{L}\\p{N}_])${escapeRegExp(source)}(?![\\p{L}\\p{N}_])`, 'gu');
+  }
+  if (pattern.test('')) {
+    throw new Error('Pattern matches empty text');
+  }
+  pattern.lastIndex = 0;
+  return pattern;
+}
+
+/**
+ * Parse lexicon text
+ * Invalid lines are reported and skipped, so one typo does not disable whole lexicon
+ * @param {string} text - Lexicon text
+ * @returns {{rules: Array<PronunciationRule>, errors: Array<{line: number, message: string}>}} Rules and errors
+ */
+export function parsePronunciationLexicon(text) {
+  /** @type {Array<PronunciationRule>} */
+  const rules = [];
+  /** @type {Array<{line: number, message: string}>} */
+  const errors = [];
+
+  String(text || '').split(/\r?\n/).forEach((rawLine, index) => {
+    const line = index + 1;
+    let rest = rawLine.trim();
+    if (!rest || rest.startsWith('#')) {
+      return;
+    }
+    if (rules.length >= MAX_PRONUNCIATION_RULES) {
+      errors.push({ line, message: `Too many rules (max ${MAX_PRONUNCIATION_RULES})` });
+      return;
+    }
+
+    /** @type {Array<string>} */
+    let languages = [];
+    const languageMatch = /^\[([a-z,\s-]+)\]\s*/i.exec(rest);
+    if (languageMatch) {
+      languages = languageMatch[1].split(',').map(code => code.trim().toLowerCase()).filter(Boolean);
+      rest = rest.slice(languageMatch[0].length);
+    }
+
+    const separator = rest.indexOf('=>');
+    if (separator === -1) {
+      errors.push({ line, message: 'Missing "=>"' });
+      return;
+    }
+    const source = rest.slice(0, separator).trim();
+    let target = rest.slice(separator + 2).trim();
+    if (!source) {
+      errors.push({ line, message: 'Empty pattern' });
+      return;
+    }
+
+    let pattern;
+    try {
+      pattern = buildPattern(source);
+    } catch (error) {
+      errors.push({ line, message: error.message });
+      return;
+    }
+
+    /** @type {'replace'|'spell'|'skip'} */
+    let action = 'replace';
+    let ipa = null;
+    if (target === '!spell' || target === '!skip') {
+      action = target === '!spell' ? 'spell' : 'skip';
+      target = '';
+    } else {
+      const ipaMatch = /\/([^/]+)\/$/.exec(target);
+      if (ipaMatch) {
+        ipa = ipaMatch[1].trim();
+        target = target.slice(0, ipaMatch.index).trim();
+      }
+      if (!target && !ipa) {
+        errors.push({ line, message: 'Empty replacement (use !skip to remove text)' });
+        return;
+      }
+    }
+
+    rules.push({ pattern, languages, action, replacement: target, ipa, line });
+  });
+
+  return { rules, errors };
+}
+
+/**
+ * Spell text letter by letter ("SQL" -> "S Q L")
+ * @param {string} text - Text
+ * @returns {string} Spelled text
+ */
+function spellOut(text) {
+  return Array.from(text).filter(char => /[\p{L}\p{N}]/u.test(char)).join(' ');
+}
+
+/**
+ * Apply pronunciation rules to TTS input
+ * @param {string} text - Text for TTS
+ * @param {Array<PronunciationRule>} rules - Parsed rules
+ * @param {PronunciationOptions} [options={}] - Article language and phoneme support of provider
+ * @returns {string} Text with rules applied
+ */
+export function applyPronunciation(text, rules, options = {}) {
+  if (!text || !rules || rules.length === 0) {
+    return text;
+  }
+  const { language = 'auto', phonemes = null } = options;
+  /** @type {Array<string>} */
+  const tags = [];
+  let result = text;
+
+  for (const rule of rules) {
+    if (rule.languages.length > 0 && !rule.languages.includes(language)) {
+      continue;
+    }
+    rule.pattern.lastIndex = 0;
+    result = result.replace(rule.pattern, (match, ...args) => {
+      if (rule.action === 'skip') {
+        return '';
+      }
+      if (rule.action === 'spell') {
+        return spellOut(match);
+      }
+      // Expand $1... with groups of this match
+      const groups = args.slice(0, args.findIndex(arg => typeof arg === 'number'));
+      const spoken = rule.replacement
+        ? rule.replacement.replace(/\$(\d)/g, (_, number) => groups[Number(number) - 1] ?? '')
+        : match;
+      if (rule.ipa && phonemes === 'ssml') {
+        tags.push(`<phoneme alphabet="ipa" ph="${escapeXml(rule.ipa)}">${escapeXml(spoken)}</phoneme>`);
+        return PLACEHOLDER_START + String.fromCharCode(PLACEHOLDER_INDEX_BASE + tags.length - 1) + PLACEHOLDER_END;
+      }
+      return spoken;
+    });
+  }
+
+  return result
+    .replace(PLACEHOLDER_PATTERN, (placeholder, index) => tags[index.charCodeAt(0) - PLACEHOLDER_INDEX_BASE] ?? placeholder)
+    // Removed words leave double spaces
+    .replace(/[ \t]{2,}/g, ' ');
+}
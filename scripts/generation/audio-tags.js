@@ -0,0 +1,234 @@
+// @ts-check
+// ID3v2.3 tags for MP3 audio exports and Vorbis comments for Ogg Opus exports
+// Title, artist (author), album (site), source URL comment, cover art and chapters (ID3 CHAP/CTOC)
+
+import { getId3TagSize } from './audio-frames.js';
+import { concatBytes } from '../utils/bytes.js';
+
+/**
+ * ID3 CTOC frame can list up to 255 chapters
+ * @readonly
+ */
+const MAX_ID3_CHAPTERS = 255;
+
+/**
+ * Vorbis chapter numbers have three digits (CHAPTER000 - CHAPTER999)
+ * @readonly
+ */
+const MAX_VORBIS_CHAPTERS = 1000;
+
+/**
+ * @typedef {Object} AudioTags
+ * @property {string} [title] - Title (TIT2)
+ * @property {string} [artist] - Author (TPE1)
+ * @property {string} [album] - Site or publisher (TALB)
+ * @property {string} [comment] - Source URL (COMM)
+ * @property {{mediaType: string, data: string}|null} [cover] - Cover image (base64 data without prefix)
+ * @property {Array<import('./audio-chapters.js').ChapterMarker>} [chapters] - Chapters
+ */
+
+/**
+ * Encode ASCII string with zero terminator (ID3 element IDs, MIME types)
+ * @param {string} text - Text
+ * @returns {Array<number>} Bytes
+ */
+function latin1Bytes(text) {
+  const bytes = [];
+  for (let i = 0; i < text.length; i++) {
+    bytes.push(text.charCodeAt(i) & 0xFF);
+  }
+  bytes.push(0);
+  return bytes;
+}
+
+/**
+ * Encode string as UTF-16 with BOM and zero terminator (ID3 encoding 1)
+ * @param {string} text - Text
+ * @returns {Array<number>} Bytes
+ */
+function utf16Bytes(text) {
+  const bytes = [0xFF, 0xFE];
+  for (let i = 0; i < text.length; i++) {
+    const code = text.charCodeAt(i);
+    bytes.push(code & 0xFF, code >> 8);
+  }
+  bytes.push(0, 0);
+  return bytes;
+}
+
+/**
+ * Write 32-bit big-endian number
+ * @param {number} value - Value
+ * @returns {Array<number>} Bytes
+ */
+function uint32Bytes(value) {
+  return [(value >>> 24) & 0xFF, (value >>> 16) & 0xFF, (value >>> 8) & 0xFF, value & 0xFF];
+}
+
+/**
+ * Build ID3v2.3 frame
+ * @param {string} id - Frame ID
+ * @param {ArrayLike<number>} body - Frame body
+ * @returns {Uint8Array} Frame
+ */
+function id3Frame(id, body) {
+  const frame = new Uint8Array(10 + body.length);
+  frame.set(latin1Bytes(id).slice(0, 4), 0);
+  frame.set(uint32Bytes(body.length), 4);
+  frame.set(body, 10);
+  return frame;
+}
+
+/**
+ * Build text frame (TIT2, TPE1, TALB)
+ * @param {string} id - Frame ID
+ * @param {string} text - Text
+ * @returns {Uint8Array} Frame
+ */
+function textFrame(id, text) {
+  return id3Frame(id, [1, ...utf16Bytes(text)]);
+}
+
+/**
+ * Decode base64 string
+ * @param {string} data - Base64 data
+ * @returns {Uint8Array} Bytes
+ */
+export function base64ToBytes(data) {
+  const binary = atob(data);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+/**
+ * Build ID3v2.3 tag
+ * @param {AudioTags} tags - Tags
+ * @returns {Uint8Array} Tag with header
+ */
+export function buildId3Tag(tags) {
+  const frames = [];
+  if (tags.title) frames.push(textFrame('TIT2', tags.title));
+  if (tags.artist) frames.push(textFrame('TPE1', tags.artist));
+  if (tags.album) frames.push(textFrame('TALB', tags.album));
+  if (tags.comment) {
+    // Encoding, language, empty description, text
+    frames.push(id3Frame('COMM', [1, ...latin1Bytes('eng').slice(0, 3), ...utf16Bytes(''), ...utf16Bytes(tags.comment)]));
+  }
+  if (tags.cover?.data) {
+    const image = base64ToBytes(tags.cover.data);
+    // Encoding, MIME type, picture type 3 (front cover), empty description, image data
+    frames.push(id3Frame('APIC', concatBytes([[0], latin1Bytes(tags.cover.mediaType || 'image/jpeg'), [3, 0], image])));
+  }
+
+  const chapters = (tags.chapters || []).slice(0, MAX_ID3_CHAPTERS);
+  if (chapters.length > 1) {
+    const ids = chapters.map((_, index) => `chp${index}`);
+    // Top-level (0x01) and ordered (0x02) table of contents
+    frames.push(id3Frame('CTOC', concatBytes([
+      latin1Bytes('toc'),
+      [0x03, ids.length],
+      ...ids.map(id => latin1Bytes(id)),
+      tags.title ? textFrame('TIT2', tags.title) : []
+    ])));
+    chapters.forEach((chapter, index) => {
+      // Byte offsets are not used (0xFFFFFFFF), players seek by time
+      frames.push(id3Frame('CHAP', concatBytes([
+        latin1Bytes(ids[index]),
+        uint32Bytes(Math.max(0, Math.round(chapter.startMs))),
+        uint32Bytes(Math.max(0, Math.round(chapter.endMs))),
+        uint32Bytes(0xFFFFFFFF),
+        uint32Bytes(0xFFFFFFFF),
+        textFrame('TIT2', chapter.title)
+      ])));
+    });
+  }
+
+  const body = concatBytes(frames);
+  const size = body.length;
+  // Tag size is synchsafe (7 bits per byte)
+  const header = [0x49, 0x44, 0x33, 0x03, 0x00, 0x00,
+    (size >> 21) & 0x7F, (size >> 14) & 0x7F, (size >> 7) & 0x7F, size & 0x7F];
+  return concatBytes([header, body]);
+}
+
+/**
+ * Add ID3 tag to MP3 data (existing leading ID3 tag is replaced)
+ * @param {ArrayBuffer} buffer - MP3 data
+ * @param {AudioTags} tags - Tags
+ * @returns {ArrayBuffer} Tagged MP3 data
+ */
+export function addId3Tags(buffer, tags) {
+  const bytes = new Uint8Array(buffer);
+  const audio = bytes.subarray(getId3TagSize(bytes));
+  return concatBytes([buildId3Tag(tags), audio]).buffer;
+}
+
+/**
+ * Format chapter time for Vorbis chapter extension (HH:MM:SS.mmm)
+ * @param {number} ms - Time in milliseconds
+ * @returns {string} Time
+ */
+function formatChapterTime(ms) {
+  const total = Math.max(0, Math.round(ms));
+  const hours = Math.floor(total / 3600000);
+  const minutes = Math.floor(total / 60000) % 60;
+  const seconds = Math.floor(total / 1000) % 60;
+  const pad = (/** @type {number} */ value, /** @type {number} */ size) => String(value).padStart(size, '0');
+  return `${pad(hours, 2)}:${pad(minutes, 2)}:${pad(seconds, 2)}.${pad(total % 1000, 3)}`;
+}
+
+/**
+ * Build FLAC picture block for METADATA_BLOCK_PICTURE comment
+ * @param {{mediaType: string, data: string}} cover - Cover image
+ * @returns {string} Base64 picture block
+ */
+function buildPictureBlock(cover) {
+  const image = base64ToBytes(cover.data);
+  const mediaType = latin1Bytes(cover.mediaType || 'image/jpeg').slice(0, -1);
+  // Picture type 3 (front cover), MIME type, empty description, unknown size and color depth, image data
+  const block = concatBytes([
+    uint32Bytes(3),
+    uint32Bytes(mediaType.length),
+    mediaType,
+    uint32Bytes(0),
+    uint32Bytes(0), uint32Bytes(0), uint32Bytes(0), uint32Bytes(0),
+    uint32Bytes(image.length),
+    image
+  ]);
+  let binary = '';
+  for (let i = 0; i < block.length; i += 0x8000) {
+    binary += String.fromCharCode(...block.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Build Vorbis comments for Ogg Opus file
+ * Chapters use Vorbis chapter extension (CHAPTERxxx, CHAPTERxxxNAME)
+ * @param {AudioTags} tags - Tags
+ * @returns {Array<string>} Comments in "KEY=value" form
+ */
+export function buildVorbisComments(tags) {
+  const comments = [];
+  if (tags.title) comments.push(`TITLE=${tags.title}`);
+  if (tags.artist) comments.push(`ARTIST=${tags.artist}`);
+  if (tags.album) comments.push(`ALBUM=${tags.album}`);
+  if (tags.comment) comments.push(`COMMENT=${tags.comment}`);
+
+  const chapters = (tags.chapters || []).slice(0, MAX_VORBIS_CHAPTERS);
+  if (chapters.length > 1) {
+    chapters.forEach((chapter, index) => {
+      const id = String(index).padStart(3, '0');
+      comments.push(`CHAPTER${id}=${formatChapterTime(chapter.startMs)}`);
+      comments.push(`CHAPTER${id}NAME=${chapter.title}`);
+    });
+  }
+
+  if (tags.cover?.data) {
+    comments.push(`METADATA_BLOCK_PICTURE=${buildPictureBlock(tags.cover)}`);
+  }
+  return comments;
+}
@@ -0,0 +1,111 @@
+// @ts-check
+// Read-along transcript for audio player
+// Time range of every TTS chunk comes from duration of its audio segments, time of sentences
+// inside chunk is estimated by their share of chunk text (TTS APIs return no word timing)
+
+/**
+ * @typedef {Object} TranscriptSentence
+ * @property {string} text - Sentence text
+ * @property {number} paragraph - Paragraph number (0-based, across whole article)
+ * @property {number} startMs - Start time in milliseconds
+ * @property {number} endMs - End time in milliseconds
+ */
+
+/**
+ * Split paragraph into sentences
+ * Intl.Segmenter handles punctuation of all languages (CJK "。", Hindi "।"...),
+ * simple punctuation split is used where it is not available
+ * @param {string} text - Paragraph text
+ * @param {string} [language='auto'] - Text language
+ * @returns {Array<string>} Sentences
+ */
+export function splitSentences(text, language = 'auto') {
+  const paragraph = String(text || '').replace(/\s+/g, ' ').trim();
+  if (!paragraph) {
+    return [];
+  }
+  let sentences;
+  if (typeof Intl !== 'undefined' && typeof Intl.Segmenter === 'function') {
+    const locale = language && language !== 'auto' ? language : undefined;
+    const segmenter = new Intl.Segmenter(locale, { granularity: 'sentence' });
+    sentences = Array.from(segmenter.segment(paragraph), part => part.segment.trim());
+  } else {
+    sentences = paragraph.split(/(?<=[.!?…。！？])\s+/).map(sentence => sentence.trim());
+  }
+  return sentences.filter(Boolean);
+}
+
+/**
+ * Build transcript with sentence timing
+ * Chunks without audio (failed TTS requests) are not in transcript, pause segments
+ * only move time forward.
+ * @param {Array<{index: number, text: string}>} chunks - Text chunks sent to TTS
+ * @param {Array<{index: number|null, durationMs: number|null}>} segments - Audio segments in playback order
+ * @param {string} [language='auto'] - Text language
+ * @returns {Array<TranscriptSentence>} Sentences in playback order, empty if duration of some segment is unknown
+ */
+export function buildTranscript(chunks, segments, language = 'auto') {
+  if (segments.some(segment => !(segment.durationMs > 0))) {
+    return [];
+  }
+
+  /** @type {Map<number, {startMs: number, endMs: number}>} */
+  const spans = new Map();
+  let time = 0;
+  for (const segment of segments) {
+    const end = time + segment.durationMs;
+    if (segment.index !== null && segment.index !== undefined) {
+      const span = spans.get(segment.index);
+      // Parts of chunk split for TTS input limit follow each other
+      spans.set(segment.index, { startMs: span ? span.startMs : time, endMs: end });
+    }
+    time = end;
+  }
+
+  /** @type {Array<TranscriptSentence>} */
+  const transcript = [];
+  let paragraph = 0;
+  for (const chunk of chunks) {
+    const span = spans.get(chunk.index);
+    if (!span) {
+      continue;
+    }
+    const paragraphs = String(chunk.text || '').split(/\n\s*\n/)
+      .map(text => splitSentences(text, language))
+      .filter(sentences => sentences.length > 0);
+    const totalLength = paragraphs.flat().reduce((sum, sentence) => sum + sentence.length, 0);
+    let offset = 0;
+    for (const sentences of paragraphs) {
+      for (const sentence of sentences) {
+        const startMs = Math.round(span.startMs + (offset / totalLength) * (span.endMs - span.startMs));
+        offset += sentence.length;
+        const endMs = Math.round(span.startMs + (offset / totalLength) * (span.endMs - span.startMs));
+        transcript.push({ text: sentence, paragraph, startMs, endMs });
+      }
+      paragraph++;
+    }
+  }
+  return transcript;
+}
+
+/**
+ * Find sentence played at time
+ * @param {Array<TranscriptSentence>} transcript - Transcript
+ * @param {number} timeMs - Playback time in milliseconds
+ * @returns {number} Sentence index, -1 before first sentence or for empty transcript
+ */
+export function findSentenceAt(transcript, timeMs) {
+  let low = 0;
+  let high = transcript.length - 1;
+  let found = -1;
+  while (low <= high) {
+    const middle = (low + high) >> 1;
+    if (transcript[middle].startMs <= timeMs) {
+      found = middle;
+      low = middle + 1;
+    } else {
+      high = middle - 1;
+    }
+  }
+  return found;
+}
@@ -6,7 +6,18 @@
 
 import { log, logWarn, logError } from '../utils/logging.js';
 import { prepareContentForAudio } from './audio-prep.js';
-import { chunksToSpeech, getAudioExtension } from '../api/tts.js';
+import { synthesizeChunks, assembleAudioSegments, getAudioExtension } from '../api/tts.js';
+import { getAudioDurationMs } from './audio-frames.js';
+import { buildChapterTimeline } from './audio-chapters.js';
+import { addId3Tags, buildVorbisComments } from './audio-tags.js';
+import { createM4b } from './audio-m4b.js';
+import { NARRATION_ROLES, NARRATION_PAUSE_MODES } from './audio-narration.js';
+import { buildTranscript } from './audio-transcript.js';
+import { addToAudioLibrary, AUDIO_PLAYER_SETTING_KEY } from './audio-library.js';
+import { addPodcastEpisode, buildEpisodeDescription, PODCAST_LIBRARY_SETTING_KEY } from './podcast-library.js';
+import { getChunksCacheKey, readCachedChunks, saveCachedChunks } from '../cache/tts-audio.js';
+import { compressAudioViaOffscreen, AUDIO_COMPRESSION_FORMATS, normalizeCompressionBitrate } from '../api/audio-encoder-offscreen.js';
+import { createCoverImage } from './cover.js';
 import { PROCESSING_STAGES, getProcessingState, isCancelled } from '../state/processing.js';
 import { sanitizeFilename } from '../utils/security.js';
 import { cleanTitleForFilename } from '../utils/html.js';
@@ -25,6 +36,28 @@ import {
   logTTSCompletion
 } from './audio-helpers.js';
 
+/**
+ * Setting that enables M4B container with chapters
+ * @readonly
+ */
+const AUDIO_M4B_SETTING_KEY = 'audio_m4b';
+
+/**
+ * Settings of local WAV compression (format: 'off', 'mp3' or 'opus'; bitrate in kbps)
+ * @readonly
+ */
+const AUDIO_COMPRESSION_SETTING_KEY = 'audio_compression';
+const AUDIO_COMPRESSION_BITRATE_SETTING_KEY = 'audio_compression_bitrate';
+
+/**
+ * Settings of multi-voice narration: enabled flag, voices of roles per provider
+ * ({provider: {heading, quote, caption, speaker1, speaker2}}) and section pause mode
+ * @readonly
+ */
+const AUDIO_NARRATION_SETTING_KEY = 'audio_narration';
+const AUDIO_NARRATION_VOICES_SETTING_KEY = 'audio_narration_voices';
+const AUDIO_NARRATION_PAUSE_SETTING_KEY = 'audio_narration_pause';
+
 /**
  * Generate audio file from article content
  * @param {import('../types.js').AudioGenerationData} params - Generation parameters
@@ -59,6 +92,9 @@ export async function generateAudio(params, updateState) {
   // Build settings and log start
   const allSettings = buildAudioSettings(params);
   logAudioGenerationStart(entryTime, { ...params, updateState }, allSettings);
+  const m4b = await isM4bExportEnabled();
+  const compression = await getCompressionSettings();
+  const narration = await getNarrationSettings(provider, getTTSVoiceAndFormat(provider, voice, format, googleTtsVoice).ttsVoice);
 
   // Validate parameters
   await validateAudioParams(params, provider);
@@ -89,15 +125,33 @@ export async function generateAudio(params, updateState) {
       : 'Using basic cleanup for offline TTS (no API calls needed)'
   });
   
-  const preparedChunks = await prepareContentForAudio(
+  // Prepared text is cached: audio cache of chunks only works if same article gives same chunks
+  const chunksCacheKey = getChunksCacheKey({
     content,
     title,
-    useAICleanup ? apiKey : null, // Pass null API key for offline to skip AI cleanup
-    useAICleanup ? model : null,  // Pass null model for offline to skip AI cleanup
     language,
-    updateState,
-    provider // Pass provider to control cleanup mode
-  );
+    provider,
+    model: useAICleanup ? model : null,
+    narration
+  });
+  let preparedChunks = await readCachedChunks(chunksCacheKey);
+  if (preparedChunks) {
+    log('[ClipAIble Audio Generation] Using cached text prepared for audio', { chunks: preparedChunks.length });
+  } else {
+    preparedChunks = await prepareContentForAudio(
+      content,
+      title,
+      useAICleanup ? apiKey : null, // Pass null API key for offline to skip AI cleanup
+      useAICleanup ? model : null,  // Pass null model for offline to skip AI cleanup
+      language,
+      updateState,
+      provider, // Pass provider to control cleanup mode
+      narration
+    );
+    if (preparedChunks && preparedChunks.length > 0) {
+      await saveCachedChunks(chunksCacheKey, preparedChunks);
+    }
+  }
   
   if (!preparedChunks || preparedChunks.length === 0) {
     // Normalize error with context for better logging and error tracking
@@ -125,7 +179,9 @@ export async function generateAudio(params, updateState) {
   }
   
   // Determine voice and format based on provider
-  const { ttsVoice, ttsFormat } = getTTSVoiceAndFormat(provider, voice, format, googleTtsVoice);
+  // M4B container takes AAC from OpenAI as is (other providers: MP3 frames)
+  const requestedFormat = m4b && provider === 'openai' ? 'aac' : format;
+  const { ttsVoice, ttsFormat } = getTTSVoiceAndFormat(provider, voice, requestedFormat, googleTtsVoice);
   const ttsPrompt = provider === 'google' ? googleTtsPrompt : null;
 
   // Log prepared chunks
@@ -157,7 +213,8 @@ export async function generateAudio(params, updateState) {
 
   // Convert chunks to speech
   const chunksToSpeechStart = Date.now();
-  const audioBuffer = await chunksToSpeech(preparedChunks, ttsApiKey, ttsOptions, updateState);
+  const segments = await synthesizeChunks(preparedChunks, ttsApiKey, ttsOptions, updateState);
+  let audioBuffer = assembleAudioSegments(segments, updateState);
   
   // CRITICAL: Check audioBuffer BEFORE using it
   if (!audioBuffer || audioBuffer.byteLength === 0) {
@@ -225,6 +282,11 @@ export async function generateAudio(params, updateState) {
     actualFormat
   });
   
+  // Compression of WAV, tags, cover and chapter markers (ID3 for MP3, M4B container when enabled)
+  const packaged = await packageAudio(audioBuffer, actualFormat, segments, params, { m4b, compression }, updateState);
+  audioBuffer = packaged.buffer;
+  actualFormat = packaged.format;
+  
   // Step 3: Download the audio file
   if (updateState) {
     const uiLang = await getUILanguage();
@@ -281,6 +343,14 @@ export async function generateAudio(params, updateState) {
     throw downloadError;
   }
   
+  if (params.openPlayer || await isPlayerEnabled()) {
+    await openInPlayer(audioBuffer, actualFormat, filename, preparedChunks, segments, params);
+  }
+  
+  if (await isPodcastLibraryEnabled()) {
+    await addToPodcastLibrary(audioBuffer, actualFormat, extension, preparedChunks, params);
+  }
+  
   if (updateState) {
     const uiLang = await getUILanguage();
     updateState({ 
@@ -293,6 +363,291 @@ export async function generateAudio(params, updateState) {
   log('Audio download complete', { filename });
 }
 
+/**
+ * Check if M4B export is enabled
+ * @returns {Promise<boolean>}
+ */
+async function isM4bExportEnabled() {
+  try {
+    const settings = await chrome.storage.local.get([AUDIO_M4B_SETTING_KEY]);
+    return settings[AUDIO_M4B_SETTING_KEY] === true;
+  } catch (error) {
+    logWarn('Failed to read M4B export setting', error);
+    return false;
+  }
+}
+
+/**
+ * Check if generated audio is opened in built-in player
+ * @returns {Promise<boolean>}
+ */
+async function isPlayerEnabled() {
+  try {
+    const settings = await chrome.storage.local.get([AUDIO_PLAYER_SETTING_KEY]);
+    return settings[AUDIO_PLAYER_SETTING_KEY] === true;
+  } catch (error) {
+    logWarn('Failed to read audio player setting', error);
+    return false;
+  }
+}
+
+/**
+ * Check if generated audio is added to podcast library
+ * @returns {Promise<boolean>}
+ */
+async function isPodcastLibraryEnabled() {
+  try {
+    const settings = await chrome.storage.local.get([PODCAST_LIBRARY_SETTING_KEY]);
+    return settings[PODCAST_LIBRARY_SETTING_KEY] === true;
+  } catch (error) {
+    logWarn('Failed to read podcast library setting', error);
+    return false;
+  }
+}
+
+/**
+ * Add audio to podcast library
+ * Library is optional: errors are logged, file is already downloaded
+ * @param {ArrayBuffer} buffer - Final audio file
+ * @param {string} format - Audio format
+ * @param {string} extension - File extension
+ * @param {Array<{index: number, text: string}>} chunks - Text chunks sent to TTS
+ * @param {import('../types.js').AudioGenerationData} params - Generation parameters
+ * @returns {Promise<void>}
+ */
+async function addToPodcastLibrary(buffer, format, extension, chunks, params) {
+  try {
+    const text = chunks.map(chunk => chunk.text).join(' ');
+    const episode = await addPodcastEpisode({
+      buffer,
+      extension,
+      title: params.title || '',
+      description: buildEpisodeDescription(params.abstract || '', text),
+      author: params.author || '',
+      sourceUrl: params.sourceUrl || '',
+      language: params.language || 'auto',
+      mimeType: format === 'opus' ? 'audio/ogg' : getMimeType(format),
+      duration: estimateAudioDuration(text)
+    });
+    log('Audio added to podcast library', { id: episode.id, filename: episode.filename, duration: episode.duration });
+  } catch (error) {
+    logError('Failed to add audio to podcast library', { error: error.message, stack: error.stack });
+  }
+}
+
+/**
+ * Save audio with read-along transcript and open player page
+ * Player is optional: errors are logged, file is already downloaded
+ * @param {ArrayBuffer} buffer - Final audio file
+ * @param {string} format - Audio format
+ * @param {string} filename - File name
+ * @param {Array<{index: number, text: string}>} chunks - Text chunks sent to TTS
+ * @param {Array<{buffer: ArrayBuffer, index: number|null}>} segments - Synthesized segments (before packaging)
+ * @param {import('../types.js').AudioGenerationData} params - Generation parameters
+ * @returns {Promise<void>}
+ */
+async function openInPlayer(buffer, format, filename, chunks, segments, params) {
+  try {
+    const { title = '', sourceUrl = '', language = 'auto' } = params;
+    const transcript = buildTranscript(
+      chunks,
+      segments.map(segment => ({ index: segment.index, durationMs: getAudioDurationMs(segment.buffer) })),
+      language
+    );
+    const id = await addToAudioLibrary({
+      buffer,
+      title,
+      sourceUrl,
+      // Local compression writes Opus into Ogg container
+      mimeType: format === 'opus' ? 'audio/ogg' : getMimeType(format),
+      filename,
+      language,
+      transcript
+    });
+    await chrome.tabs.create({ url: chrome.runtime.getURL(`player/player.html?id=${encodeURIComponent(id)}`) });
+    log('Audio opened in player', { id, sentences: transcript.length });
+  } catch (error) {
+    logError('Failed to open audio in player', { error: error.message, stack: error.stack });
+  }
+}
+
+/**
+ * Get local compression settings for WAV audio
+ * @returns {Promise<{format: string, bitrate: number}>} Format ('off', 'mp3' or 'opus') and bitrate in kbps
+ */
+async function getCompressionSettings() {
+  try {
+    const settings = await chrome.storage.local.get([AUDIO_COMPRESSION_SETTING_KEY, AUDIO_COMPRESSION_BITRATE_SETTING_KEY]);
+    const format = settings[AUDIO_COMPRESSION_SETTING_KEY];
+    return {
+      format: typeof format === 'string' && AUDIO_COMPRESSION_FORMATS.includes(format) ? format : 'off',
+      bitrate: normalizeCompressionBitrate(settings[AUDIO_COMPRESSION_BITRATE_SETTING_KEY])
+    };
+  } catch (error) {
+    logWarn('Failed to read audio compression settings', error);
+    return { format: 'off', bitrate: normalizeCompressionBitrate(null) };
+  }
+}
+
+/**
+ * Get multi-voice narration settings for provider
+ * @param {string} provider - TTS provider
+ * @param {string} defaultVoice - Main voice
+ * @returns {Promise<import('./audio-narration.js').NarrationOptions|null>} Narration options, null if disabled
+ */
+async function getNarrationSettings(provider, defaultVoice) {
+  try {
+    const settings = await chrome.storage.local.get([
+      AUDIO_NARRATION_SETTING_KEY,
+      AUDIO_NARRATION_VOICES_SETTING_KEY,
+      AUDIO_NARRATION_PAUSE_SETTING_KEY
+    ]);
+    if (settings[AUDIO_NARRATION_SETTING_KEY] !== true) {
+      return null;
+    }
+    const providerVoices = settings[AUDIO_NARRATION_VOICES_SETTING_KEY]?.[provider] || {};
+    /** @type {import('./audio-narration.js').NarrationVoices} */
+    const voices = {};
+    for (const role of NARRATION_ROLES) {
+      if (typeof providerVoices[role] === 'string' && providerVoices[role]) {
+        voices[role] = providerVoices[role];
+      }
+    }
+    const pause = settings[AUDIO_NARRATION_PAUSE_SETTING_KEY];
+    return {
+      defaultVoice,
+      voices,
+      pause: typeof pause === 'string' && NARRATION_PAUSE_MODES.includes(pause) ? pause : 'off'
+    };
+  } catch (error) {
+    logWarn('Failed to read narration settings', error);
+    return null;
+  }
+}
+
+/**
+ * Build tags of audio file: title, author, site, source URL, cover and chapters
+ * @param {Array<{buffer: ArrayBuffer, chapters: Array<import('./audio-chapters.js').ChunkChapter>}>} segments - Audio segments
+ * @param {import('../types.js').AudioGenerationData} params - Generation parameters
+ * @returns {Promise<import('./audio-tags.js').AudioTags>}
+ */
+async function buildAudioTags(segments, params) {
+  const { title = '', author = '', sourceUrl = '', publishDate = '', metadata = null, content = [] } = params;
+  let site = metadata?.publisher || '';
+  if (!site && sourceUrl) {
+    try {
+      site = new URL(sourceUrl).hostname.replace(/^www\./, '');
+    } catch (e) {
+      // Local files and invalid URLs have no site name
+    }
+  }
+
+  const chapters = buildChapterTimeline(
+    segments.map(segment => ({ durationMs: getAudioDurationMs(segment.buffer), chapters: segment.chapters })),
+    title
+  );
+
+  let cover = null;
+  try {
+    cover = await createCoverImage({ title, author, date: publishDate, sourceUrl, content, metadata });
+  } catch (error) {
+    logWarn('Failed to create audio cover', { error: error.message });
+  }
+
+  return { title, artist: author, album: site, comment: sourceUrl, cover, chapters };
+}
+
+/**
+ * Compress WAV and add tags and chapter markers to audio
+ * WAV is compressed to MP3 or Ogg Opus when enabled (Opus gets Vorbis comments from encoder).
+ * MP3 gets ID3 tags, MP3 and AAC go into M4B container when enabled.
+ * Other formats cannot hold tags and are saved as is
+ * @param {ArrayBuffer} buffer - Concatenated audio
+ * @param {string} format - Detected audio format
+ * @param {Array<{buffer: ArrayBuffer, chapters: Array<import('./audio-chapters.js').ChunkChapter>}>} segments - Audio segments
+ * @param {import('../types.js').AudioGenerationData} params - Generation parameters
+ * @param {{m4b: boolean, compression: {format: string, bitrate: number}}} options - M4B container and WAV compression settings
+ * @param {function(Partial<import('../types.js').ProcessingState> & {stage?: string}): void} [updateState] - State update callback
+ * @returns {Promise<{buffer: ArrayBuffer, format: string}>} Audio and its format
+ */
+async function packageAudio(buffer, format, segments, params, options, updateState) {
+  const { m4b, compression } = options;
+  const compress = format === 'wav' && compression.format !== 'off';
+  if (!compress && format !== 'mp3' && format !== 'aac') {
+    if (m4b) {
+      logWarn('M4B export needs MP3 or AAC audio, saving without container', { format });
+    }
+    return { buffer, format };
+  }
+
+  /** @type {import('./audio-tags.js').AudioTags|null} */
+  let tags = null;
+  try {
+    tags = await buildAudioTags(segments, params);
+    log('Audio tags prepared', {
+      chapters: tags.chapters?.length || 0,
+      hasCover: !!tags.cover,
+      container: m4b ? 'm4b' : (compress ? compression.format : format)
+    });
+  } catch (error) {
+    logError('Failed to prepare audio tags, saving audio without tags', { error: error.message, stack: error.stack });
+  }
+
+  if (compress) {
+    try {
+      buffer = await compressAudio(buffer, compression, tags, updateState);
+      format = compression.format;
+    } catch (error) {
+      logError('Audio compression failed, saving WAV', { error: error.message, format: compression.format });
+      return { buffer, format };
+    }
+  }
+
+  if (!tags || format === 'opus') {
+    if (m4b && format === 'opus') {
+      logWarn('M4B export needs MP3 or AAC audio, saving without container', { format });
+    }
+    return { buffer, format };
+  }
+
+  try {
+    if (m4b) {
+      const m4bBuffer = createM4b(buffer, tags);
+      if (m4bBuffer) {
+        return { buffer: m4bBuffer, format: 'm4b' };
+      }
+      logWarn('No audio frames found for M4B container, saving without container', { format });
+    }
+    return format === 'mp3' ? { buffer: addId3Tags(buffer, tags), format } : { buffer, format };
+  } catch (error) {
+    logError('Failed to add audio tags, saving audio without tags', { error: error.message, stack: error.stack });
+    return { buffer, format };
+  }
+}
+
+/**
+ * Compress WAV to MP3 or Ogg Opus in offscreen document
+ * @param {ArrayBuffer} buffer - WAV audio
+ * @param {{format: string, bitrate: number}} compression - Target format and bitrate
+ * @param {import('./audio-tags.js').AudioTags|null} tags - Tags written into Opus file
+ * @param {function(Partial<import('../types.js').ProcessingState> & {stage?: string}): void} [updateState] - State update callback
+ * @returns {Promise<ArrayBuffer>} Compressed audio
+ */
+async function compressAudio(buffer, compression, tags, updateState) {
+  const format = compression.format === 'opus' ? 'opus' : 'mp3';
+  const uiLang = await getUILanguage();
+  const status = tSync('statusCompressingAudio', uiLang).replace('{format}', format === 'opus' ? 'Opus' : 'MP3');
+  updateState?.({ stage: PROCESSING_STAGES.GENERATING.id, status, progress: 95 });
+
+  return compressAudioViaOffscreen(buffer, {
+    format,
+    bitrate: compression.bitrate,
+    comments: format === 'opus' && tags ? buildVorbisComments(tags) : []
+  }, (fraction) => {
+    updateState?.({ status, progress: 95 + Math.floor(fraction * 2) });
+  });
+}
+
 /**
  * Download audio buffer as file
  * @param {ArrayBuffer} buffer - Audio data
@@ -385,6 +740,11 @@ function detectAudioFormat(buffer) {
     return 'mp3';
   }
   
+  // AAC (ADTS): frame sync with layer bits 00 (checked before MP3 frame sync)
+  if (view[0] === 0xFF && (view[1] & 0xF6) === 0xF0) {
+    return 'aac';
+  }
+  
   // WAV: starts with "RIFF" and has "WAVE" at offset 8
   if (view[0] === 0x52 && view[1] === 0x49 && view[2] === 0x46 && view[3] === 0x46 &&
       view[8] === 0x57 && view[9] === 0x41 && view[10] === 0x56 && view[11] === 0x45) {
@@ -424,7 +784,8 @@ function getMimeType(format) {
     'flac': 'audio/flac',
     'wav': 'audio/wav',
     'ogg': 'audio/ogg',
-    'pcm': 'audio/pcm'
+    'pcm': 'audio/pcm',
+    'm4b': 'audio/mp4'
   };
   return types[format] || 'audio/mpeg';
 }
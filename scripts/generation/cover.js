@@ -0,0 +1,286 @@
+// @ts-check
+// E-book cover for EPUB and FB2
+// Article hero image is used when available, otherwise typographic cover is rendered on OffscreenCanvas
+
+import { log, logWarn } from '../utils/logging.js';
+import { imageToBase64, blobToBase64 } from '../utils/images.js';
+import { CONFIG } from '../utils/config.js';
+
+/**
+ * Cover palettes (background, accent line, title, meta text), picked by site name
+ * @readonly
+ */
+const COVER_PALETTES = [
+  { background: '#303030', accent: '#6cacff', title: '#f0f0f0', meta: '#b9b9b9' },
+  { background: '#f4ecd8', accent: '#8b4513', title: '#3e2a1a', meta: '#6b5744' },
+  { background: '#1d3557', accent: '#e63946', title: '#f1faee', meta: '#a8dadc' },
+  { background: '#2d4a3e', accent: '#e9c46a', title: '#fdfcf7', meta: '#c9d6cf' },
+  { background: '#fafafa', accent: '#222222', title: '#111111', meta: '#555555' }
+];
+
+const TITLE_FONT = 'Georgia, "Times New Roman", serif';
+const META_FONT = 'Helvetica, Arial, sans-serif';
+
+/**
+ * Media types accepted as cover by both EPUB readers and FB2
+ * @readonly
+ */
+const COVER_MEDIA_TYPES = ['image/jpeg', 'image/png'];
+
+/**
+ * Get hero image of article: structured metadata image first, then first image at the top of content
+ * @param {Array<import('../types.js').ContentItem>} content - Content items
+ * @param {import('../types.js').ArticleMetadata|null} [metadata] - Structured metadata
+ * @returns {string} Image URL or data URL, empty if article has no hero image
+ */
+export function getHeroImageSource(content, metadata) {
+  if (metadata?.image) {
+    return metadata.image;
+  }
+  // Only images near the beginning are treated as hero images, others illustrate the text
+  const topImage = (content || []).slice(0, 5).find(item => item.type === 'image' && (item.src || item.base64));
+  return topImage ? (topImage.src || topImage.base64 || '') : '';
+}
+
+/**
+ * Split text into lines that fit width
+ * Words longer than line (and CJK text without spaces) are split by characters
+ * @param {string} text - Text to wrap
+ * @param {number} maxWidth - Maximum line width
+ * @param {function(string): number} measure - Returns width of text
+ * @returns {Array<string>} Lines
+ */
+export function wrapCoverText(text, maxWidth, measure) {
+  const lines = [];
+  let line = '';
+  const words = String(text || '').trim().split(/\s+/).filter(Boolean);
+
+  for (const word of words) {
+    const candidate = line ? `${line} ${word}` : word;
+    if (measure(candidate) <= maxWidth) {
+      line = candidate;
+      continue;
+    }
+    if (line) {
+      lines.push(line);
+      line = '';
+    }
+    if (measure(word) <= maxWidth) {
+      line = word;
+      continue;
+    }
+    for (const char of Array.from(word)) {
+      if (line && measure(line + char) > maxWidth) {
+        lines.push(line);
+        line = '';
+      }
+      line += char;
+    }
+  }
+  if (line) {
+    lines.push(line);
+  }
+  return lines;
+}
+
+/**
+ * Pick largest title font size at which title fits into given number of lines
+ * Title is truncated with ellipsis at smallest size if it still does not fit
+ * @param {string} title - Title text
+ * @param {number} maxWidth - Maximum line width
+ * @param {function(string, number): number} measure - Returns width of text at font size
+ * @param {{sizes?: Array<number>, maxLines?: number}} [options] - Font sizes (largest first) and line limit
+ * @returns {{fontSize: number, lines: Array<string>}}
+ */
+export function layoutCoverTitle(title, maxWidth, measure, { sizes = [180, 150, 124, 104, 88], maxLines = 7 } = {}) {
+  for (const fontSize of sizes) {
+    const lines = wrapCoverText(title, maxWidth, text => measure(text, fontSize));
+    if (lines.length <= maxLines) {
+      return { fontSize, lines };
+    }
+  }
+  const fontSize = sizes[sizes.length - 1];
+  const lines = wrapCoverText(title, maxWidth, text => measure(text, fontSize)).slice(0, maxLines);
+  lines[maxLines - 1] = `${lines[maxLines - 1].replace(/[\s.,;:!?-]+$/, '')}…`;
+  return { fontSize, lines };
+}
+
+/**
+ * Pick palette for site (same site always gets same colors)
+ * @param {string} key - Site name
+ * @returns {typeof COVER_PALETTES[number]}
+ */
+function getCoverPalette(key) {
+  let hash = 0;
+  for (const char of String(key || '')) {
+    hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+  }
+  return COVER_PALETTES[hash % COVER_PALETTES.length];
+}
+
+/**
+ * Render typographic cover with title, site name, author and date
+ * @param {{title: string, siteName?: string, author?: string, date?: string}} info - Cover text
+ * @returns {Promise<string|null>} JPEG data URL or null if canvas is not available
+ */
+export async function renderTypographicCover({ title, siteName = '', author = '', date = '' }) {
+  if (typeof OffscreenCanvas === 'undefined') {
+    logWarn('OffscreenCanvas is not available, cover is not rendered');
+    return null;
+  }
+
+  const width = CONFIG.COVER_WIDTH;
+  const height = CONFIG.COVER_HEIGHT;
+  const margin = Math.round(width * 0.1);
+  const textWidth = width - margin * 2;
+  const palette = getCoverPalette(siteName || title);
+
+  const canvas = new OffscreenCanvas(width, height);
+  const ctx = canvas.getContext('2d');
+  if (!ctx) {
+    return null;
+  }
+
+  ctx.fillStyle = palette.background;
+  ctx.fillRect(0, 0, width, height);
+  ctx.textBaseline = 'top';
+
+  // Site name at the top, separated by accent line
+  let y = margin;
+  if (siteName) {
+    ctx.fillStyle = palette.meta;
+    ctx.font = `600 64px ${META_FONT}`;
+    const [siteLine] = wrapCoverText(siteName.toUpperCase(), textWidth, text => ctx.measureText(text).width);
+    ctx.fillText(siteLine || '', margin, y);
+    y += 110;
+  }
+  ctx.fillStyle = palette.accent;
+  ctx.fillRect(margin, y, Math.round(width * 0.2), 14);
+  y += 120;
+
+  // Title
+  const { fontSize, lines } = layoutCoverTitle(title || 'Article', textWidth, (text, size) => {
+    ctx.font = `bold ${size}px ${TITLE_FONT}`;
+    return ctx.measureText(text).width;
+  });
+  ctx.fillStyle = palette.title;
+  ctx.font = `bold ${fontSize}px ${TITLE_FONT}`;
+  for (const line of lines) {
+    ctx.fillText(line, margin, y);
+    y += Math.round(fontSize * 1.2);
+  }
+
+  // Author and date at the bottom
+  ctx.fillStyle = palette.meta;
+  ctx.textBaseline = 'bottom';
+  let bottom = height - margin;
+  if (date) {
+    ctx.font = `56px ${META_FONT}`;
+    ctx.fillText(date, margin, bottom);
+    bottom -= 90;
+  }
+  if (author) {
+    ctx.font = `600 72px ${META_FONT}`;
+    const authorLines = wrapCoverText(author, textWidth, text => ctx.measureText(text).width).slice(0, 2);
+    for (let i = authorLines.length - 1; i >= 0; i--) {
+      ctx.fillText(authorLines[i], margin, bottom);
+      bottom -= 96;
+    }
+  }
+
+  const blob = await canvas.convertToBlob({ type: 'image/jpeg', quality: CONFIG.COVER_JPEG_QUALITY });
+  return blobToBase64(blob);
+}
+
+/**
+ * Load hero image and make sure it can be used as cover (JPEG/PNG, not a small logo)
+ * Other formats (WebP, AVIF) are converted to JPEG when canvas is available
+ * @param {string} source - Image URL or data URL
+ * @returns {Promise<string|null>} Data URL or null if image is not suitable
+ */
+async function loadHeroCover(source) {
+  const dataUrl = await imageToBase64(source);
+  const mediaType = dataUrl?.match(/^data:([^;]+);base64,/)?.[1];
+  if (!dataUrl || !mediaType || !mediaType.startsWith('image/') || mediaType === 'image/svg+xml') {
+    return null;
+  }
+
+  const canDecode = typeof createImageBitmap === 'function' && typeof OffscreenCanvas !== 'undefined';
+  if (!canDecode) {
+    return COVER_MEDIA_TYPES.includes(mediaType) ? dataUrl : null;
+  }
+
+  const blob = await (await fetch(dataUrl)).blob();
+  const bitmap = await createImageBitmap(blob);
+  try {
+    if (bitmap.width < CONFIG.COVER_MIN_HERO_WIDTH) {
+      log('Hero image is too small for cover', { width: bitmap.width, height: bitmap.height });
+      return null;
+    }
+    if (COVER_MEDIA_TYPES.includes(mediaType)) {
+      return dataUrl;
+    }
+    const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+    const ctx = canvas.getContext('2d');
+    if (!ctx) {
+      return null;
+    }
+    ctx.drawImage(bitmap, 0, 0);
+    const jpeg = await canvas.convertToBlob({ type: 'image/jpeg', quality: CONFIG.COVER_JPEG_QUALITY });
+    return blobToBase64(jpeg);
+  } finally {
+    bitmap.close();
+  }
+}
+
+/**
+ * Create cover image for e-book
+ * Failures never break document generation: null is returned and book is saved without cover
+ * @param {Object} options - Cover options
+ * @param {string} options.title - Article title
+ * @param {string} [options.author] - Author
+ * @param {string} [options.date] - Formatted publish date
+ * @param {string} [options.sourceUrl] - Article URL (site name fallback)
+ * @param {Array<import('../types.js').ContentItem>} [options.content] - Content items (hero image fallback)
+ * @param {import('../types.js').ArticleMetadata|null} [options.metadata] - Structured metadata (hero image, publisher)
+ * @param {boolean} [options.useHeroImage=true] - Use article hero image if available
+ * @returns {Promise<{mediaType: string, data: string, ext: string}|null>} Cover image (base64 data without prefix)
+ */
+export async function createCoverImage({ title, author = '', date = '', sourceUrl = '', content = [], metadata = null, useHeroImage = true }) {
+  let dataUrl = null;
+  let source = 'hero';
+
+  const heroSource = useHeroImage ? getHeroImageSource(content, metadata) : '';
+  if (heroSource) {
+    try {
+      dataUrl = await loadHeroCover(heroSource);
+    } catch (error) {
+      logWarn('Failed to use hero image as cover', { error: error.message });
+    }
+  }
+
+  if (!dataUrl) {
+    source = 'typographic';
+    let siteName = metadata?.publisher || '';
+    if (!siteName && sourceUrl) {
+      try {
+        siteName = new URL(sourceUrl).hostname.replace(/^www\./, '');
+      } catch (e) {
+        // Local files and invalid URLs have no site name
+      }
+    }
+    try {
+      dataUrl = await renderTypographicCover({ title, siteName, author, date });
+    } catch (error) {
+      logWarn('Failed to render typographic cover', { error: error.message });
+    }
+  }
+
+  const match = dataUrl?.match(/^data:([^;]+);base64,(.+)$/);
+  if (!match) {
+    return null;
+  }
+  const mediaType = match[1];
+  log('Cover image created', { source, mediaType });
+  return { mediaType, data: match[2], ext: mediaType === 'image/png' ? 'png' : 'jpg' };
+}
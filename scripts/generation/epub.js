@@ -14,8 +14,12 @@ import { PDF_LOCALIZATION, formatDateForDisplay, getLocaleFromLanguage } from '.
 import { getUILanguage, tSync } from '../locales.js';
 import { PROCESSING_STAGES, isCancelled } from '../state/processing.js';
 import { sanitizeFilename } from '../utils/security.js';
-import { isAnonymousAuthor, cleanAuthor } from '../utils/author-validator.js';
+import { isAnonymousAuthor, cleanAuthor, getAuthorList } from '../utils/author-validator.js';
 import { handleError } from '../utils/error-handler.js';
+import { collectChapterHeadings } from './anthology.js';
+import { createCoverImage } from './cover.js';
+import { getOriginalListItem } from '../translation/bilingual.js';
+import { getDocumentDirection, getLanguageTag } from '../utils/languages.js';
 
 /**
  * Generate EPUB file from content
@@ -45,11 +49,12 @@ import { handleError } from '../utils/error-handler.js';
 export async function generateEpub(data, updateState) {
   const { 
     content, title, author = '', sourceUrl = '', publishDate = '', 
-    generateToc = false, generateAbstract = false, abstract = '', language = 'en'
+    generateToc = false, generateAbstract = false, abstract = '', language = 'en', chapters = null, metadata = null
   } = data;
+  const isAnthology = Array.isArray(chapters) && chapters.length > 0;
   
   log('=== EPUB GENERATION START ===');
-  log('Input', { title, author, contentItems: content?.length, generateToc });
+  log('Input', { title, author, contentItems: content?.length, generateToc, chapters: isAnthology ? chapters.length : 0 });
   
   if (!content || content.length === 0) {
     // Normalize error with context for better logging and error tracking
@@ -86,6 +91,8 @@ export async function generateEpub(data, updateState) {
   // Only use author if it exists and is not empty/anonymous
   // Use centralized validator to check all language variants
   const safeAuthor = cleanAuthor(author);
+  // Right-to-left book (Arabic, Hebrew, Persian): target/detected language or article text decides
+  const direction = getDocumentDirection(language, isAnthology ? chapters.flatMap(chapter => chapter.content || []) : content);
   // Format ISO date to readable format using language code
   const pubDate = formatDateForDisplay(publishDate, langCode) || new Date().toLocaleDateString(getLocaleFromLanguage(langCode), { year: 'numeric', month: 'long', day: 'numeric' });
   
@@ -128,22 +135,53 @@ export async function generateEpub(data, updateState) {
     log(`✅ Images embedded: ${imageManifest.length} images added to EPUB`);
   }
   
+  // Cover: article hero image or typographic cover (anthology always gets typographic cover with book title)
+  const cover = await createCoverImage({
+    title: safeTitle,
+    author: safeAuthor,
+    date: pubDate,
+    sourceUrl,
+    content,
+    metadata,
+    useHeroImage: !isAnthology
+  });
+  if (cover) {
+    zip.file(`OEBPS/images/cover.${cover.ext}`, cover.data, { base64: true });
+  }
+  
   // 5. Generate content XHTML (uses _epubSrc for images)
   if (updateState) updateState({ status: 'Converting content...', progress: 90 });
-  const contentXhtml = generateContentXhtml(content, safeTitle, safeAuthor, pubDate, sourceUrl, headings, language, generateAbstract, abstract);
-  zip.file('OEBPS/content.xhtml', contentXhtml);
+  let contentXhtml;
+  let tocHeadings = headings;
+  let showToc = generateToc && headings.length > 1;
+  /** @type {Array<{id: string, href: string}>|null} */
+  let documents = null;
+  if (isAnthology) {
+    // Anthology: cover page + one XHTML file per article, book TOC always lists chapters
+    const anthology = generateAnthologyXhtml(chapters, safeTitle, safeAuthor, pubDate, language, generateToc, generateAbstract, direction);
+    for (const doc of anthology.documents) {
+      zip.file(`OEBPS/${doc.href}`, doc.xhtml);
+    }
+    documents = anthology.documents.map(doc => ({ id: doc.id, href: doc.href }));
+    contentXhtml = anthology.documents.map(doc => doc.xhtml).join('');
+    tocHeadings = anthology.tocEntries;
+    showToc = true;
+  } else {
+    contentXhtml = generateContentXhtml(content, safeTitle, safeAuthor, pubDate, sourceUrl, headings, language, generateAbstract, abstract, direction);
+    zip.file('OEBPS/content.xhtml', contentXhtml);
+  }
   
   // 6. Generate TOC navigation (only if more than 1 heading)
-  if (generateToc && headings.length > 1) {
-    log(`📑 Generating EPUB table of contents: ${headings.length} headings`);
+  if (showToc) {
+    log(`📑 Generating EPUB table of contents: ${tocHeadings.length} entries`);
   }
-  const navXhtml = generateNavXhtml(safeTitle, headings, generateToc && headings.length > 1, langCode);
+  const navXhtml = generateNavXhtml(safeTitle, tocHeadings, showToc, langCode, direction);
   zip.file('OEBPS/nav.xhtml', navXhtml);
   
   // 7. Generate NCX for EPUB 2 compatibility
-  const tocNcx = generateTocNcx(bookId, safeTitle, headings, generateToc && headings.length > 1);
+  const tocNcx = generateTocNcx(bookId, safeTitle, tocHeadings, showToc);
   zip.file('OEBPS/toc.ncx', tocNcx);
-  if (generateToc && headings.length > 1) {
+  if (showToc) {
     log('✅ EPUB table of contents generated');
   }
   
@@ -151,10 +189,13 @@ export async function generateEpub(data, updateState) {
   zip.file('OEBPS/style.css', generateEpubStyles());
   
   // 9. Generate content.opf (package file with image manifest)
-  let contentOpf = generateContentOpf(bookId, safeTitle, safeAuthor, langCode, pubDate, sourceUrl, generateToc);
+  let contentOpf = generateContentOpf(bookId, safeTitle, safeAuthor, langCode, pubDate, sourceUrl, generateToc, documents, metadata, direction);
   if (imageManifest.length > 0) {
     contentOpf = addImagesToOpf(contentOpf, imageManifest);
   }
+  if (cover) {
+    contentOpf = addCoverToOpf(contentOpf, `images/cover.${cover.ext}`, cover.mediaType);
+  }
   zip.file('OEBPS/content.opf', contentOpf);
   
   if (updateState) updateState({ status: 'Creating EPUB file...', progress: 95 });
@@ -171,6 +212,7 @@ export async function generateEpub(data, updateState) {
     contentItems: content?.length || 0,
     images: imageManifest.length,
     headings: headings.length,
+    chapters: isAnthology ? chapters.length : 0,
     estimatedSize: `${estimatedSizeMB} MB`,
     contentSize: `${(contentSize / 1024).toFixed(1)} KB`
   });
@@ -289,38 +331,74 @@ function generateContainerXml() {
 
 /**
  * Generate content.opf (package document)
+ * @param {Array<{id: string, href: string}>|null} [documents] - Anthology documents (cover first, then chapters)
+ * @param {import('../types.js').ArticleMetadata|null} [metadata] - Structured article metadata (authors, publisher, subjects, DOI)
  */
-function generateContentOpf(bookId, title, author, lang, pubDate, sourceUrl, generateToc) {
+function generateContentOpf(bookId, title, author, lang, pubDate, sourceUrl, generateToc, documents = null, metadata = null, direction = 'ltr') {
   const escapedTitle = escapeXml(title);
-  const escapedAuthor = escapeXml(author);
-  const escapedSource = escapeXml(sourceUrl);
-  
-  // Content always first, then nav (TOC) if enabled
-  const navInSpine = generateToc ? '\n    <itemref idref="nav"/>' : '';
+  const escapedSource = escapeXml(metadata?.canonicalUrl || sourceUrl);
+  // OPF date should be machine-readable, structured date is ISO already
+  const opfDate = escapeXml(metadata?.publishedDate || pubDate);
+  
+  const metadataItems = [
+    ...getAuthorList(author, metadata).map(name => `    <dc:creator>${escapeXml(name)}</dc:creator>`),
+    ...(metadata?.publisher ? [`    <dc:publisher>${escapeXml(metadata.publisher)}</dc:publisher>`] : []),
+    ...(metadata?.doi ? [`    <dc:identifier id="doi">urn:doi:${escapeXml(metadata.doi)}</dc:identifier>`] : []),
+    ...[metadata?.section, ...(metadata?.keywords || [])]
+      .filter(Boolean)
+      .map(subject => `    <dc:subject>${escapeXml(subject)}</dc:subject>`)
+  ];
+  
+  // Single article: content always first, then nav (TOC) if enabled
+  // Anthology: cover, nav (book TOC), then chapters
+  const xhtmlDocuments = documents || [{ id: 'content', href: 'content.xhtml' }];
+  const spineIds = documents
+    ? [documents[0].id, 'nav', ...documents.slice(1).map(doc => doc.id)]
+    : ['content', ...(generateToc ? ['nav'] : [])];
+  const documentItems = xhtmlDocuments
+    .map(doc => `    <item id="${doc.id}" href="${doc.href}" media-type="application/xhtml+xml"/>`)
+    .join('\n');
+  const spineItems = spineIds.map(id => `    <itemref idref="${id}"/>`).join('\n');
+  // Readers turn pages of right-to-left books from right to left
+  const progressionAttr = direction === 'rtl' ? ' page-progression-direction="rtl"' : '';
   
   return `<?xml version="1.0" encoding="UTF-8"?>
 <package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="BookId">
   <metadata xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:opf="http://www.idpf.org/2007/opf">
     <dc:identifier id="BookId">${bookId}</dc:identifier>
     <dc:title>${escapedTitle}</dc:title>
-${author ? `    <dc:creator>${escapedAuthor}</dc:creator>` : ''}
-    <dc:language>${lang}</dc:language>
-    <dc:date>${pubDate}</dc:date>
+${metadataItems.join('\n')}
+    <dc:language>${escapeXml(getLanguageTag(lang))}</dc:language>
+    <dc:date>${opfDate}</dc:date>
     <dc:source>${escapedSource}</dc:source>
     <meta property="dcterms:modified">${new Date().toISOString().replace(/\.\d{3}Z$/, 'Z')}</meta>
   </metadata>
   <manifest>
     <item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>
     <item id="ncx" href="toc.ncx" media-type="application/x-dtbncx+xml"/>
-    <item id="content" href="content.xhtml" media-type="application/xhtml+xml"/>
+${documentItems}
     <item id="style" href="style.css" media-type="text/css"/>
   </manifest>
-  <spine toc="ncx">
-    <itemref idref="content"/>${navInSpine}
+  <spine toc="ncx"${progressionAttr}>
+${spineItems}
   </spine>
 </package>`;
 }
 
+/**
+ * Add cover image to content.opf
+ * EPUB 3 uses properties="cover-image", EPUB 2 readers look for <meta name="cover">
+ * @param {string} opf - Package document
+ * @param {string} href - Cover path relative to OEBPS
+ * @param {string} mediaType - Cover media type
+ * @returns {string} Package document with cover
+ */
+function addCoverToOpf(opf, href, mediaType) {
+  return opf
+    .replace('  </metadata>', '    <meta name="cover" content="cover-image"/>\n  </metadata>')
+    .replace('  </manifest>', `    <item id="cover-image" href="${href}" media-type="${mediaType}" properties="cover-image"/>\n  </manifest>`);
+}
+
 /**
  * Add images to content.opf manifest
  */
@@ -336,7 +414,7 @@ function addImagesToOpf(opf, imageManifest) {
 /**
  * Generate navigation document (EPUB 3)
  */
-function generateNavXhtml(title, headings, generateToc, language = 'en') {
+function generateNavXhtml(title, headings, generateToc, language = 'en', direction = 'ltr') {
   const escapedTitle = escapeXml(title);
   const langCode = language === 'auto' ? 'en' : language;
   const l10n = PDF_LOCALIZATION[langCode] || PDF_LOCALIZATION['en'];
@@ -349,7 +427,7 @@ function generateNavXhtml(title, headings, generateToc, language = 'en') {
       <ol>
 ${headings.map(h => {
   const indent = '        '.repeat(h.level - 1);
-  return `${indent}<li><a href="content.xhtml#${h.id}">${escapeXml(h.text)}</a></li>`;
+  return `${indent}<li><a href="${getTocHref(h)}">${escapeXml(h.text)}</a></li>`;
 }).join('\n')}
       </ol>
     </nav>`;
@@ -357,15 +435,15 @@ ${headings.map(h => {
     tocHtml = `    <nav epub:type="toc" id="toc">
       <h2>${escapeXml(contentsLabel)}</h2>
       <ol>
-        <li><a href="content.xhtml">${escapedTitle}</a></li>
+        <li><a href="${headings[0]?.file || 'content.xhtml'}">${escapedTitle}</a></li>
       </ol>
     </nav>`;
   }
   
-  const langAttr = langCode;
+  const langAttr = escapeXml(getLanguageTag(langCode));
   return `<?xml version="1.0" encoding="UTF-8"?>
 <!DOCTYPE html>
-<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="${langAttr}">
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="${langAttr}" dir="${direction}">
 <head>
   <meta charset="UTF-8"/>
   <title>Navigation</title>
@@ -377,6 +455,17 @@ ${tocHtml}
 </html>`;
 }
 
+/**
+ * Get link target of TOC entry
+ * Single article headings live in content.xhtml, anthology entries carry their chapter file
+ * @param {{id?: string|null, file?: string}} entry - TOC entry
+ * @returns {string}
+ */
+function getTocHref(entry) {
+  const file = entry.file || 'content.xhtml';
+  return entry.id ? `${file}#${entry.id}` : file;
+}
+
 /**
  * Generate NCX table of contents (EPUB 2 compatibility)
  */
@@ -388,13 +477,13 @@ function generateTocNcx(bookId, title, headings, generateToc) {
     navPoints = headings.map((h, i) => `
     <navPoint id="navpoint-${i + 1}" playOrder="${i + 1}">
       <navLabel><text>${escapeXml(h.text)}</text></navLabel>
-      <content src="content.xhtml#${h.id}"/>
+      <content src="${getTocHref(h)}"/>
     </navPoint>`).join('');
   } else {
     navPoints = `
     <navPoint id="navpoint-1" playOrder="1">
       <navLabel><text>${escapedTitle}</text></navLabel>
-      <content src="content.xhtml"/>
+      <content src="${headings[0]?.file || 'content.xhtml'}"/>
     </navPoint>`;
   }
   
@@ -415,7 +504,7 @@ function generateTocNcx(bookId, title, headings, generateToc) {
 /**
  * Generate main content XHTML
  */
-function generateContentXhtml(content, title, author, pubDate, sourceUrl, headings, language = 'en', generateAbstract = false, abstract = '') {
+function generateContentXhtml(content, title, author, pubDate, sourceUrl, headings, language = 'en', generateAbstract = false, abstract = '', direction = 'ltr') {
   const escapedTitle = escapeXml(title);
   const escapedAuthor = escapeXml(author);
   
@@ -527,10 +616,10 @@ function generateContentXhtml(content, title, author, pubDate, sourceUrl, headin
     }
   }
   
-  // langCode already computed above, use it for xml:lang
+  // langCode already computed above, its language tag goes to xml:lang
   return `<?xml version="1.0" encoding="UTF-8"?>
 <!DOCTYPE html>
-<html xmlns="http://www.w3.org/1999/xhtml" xml:lang="${langCode}">
+<html xmlns="http://www.w3.org/1999/xhtml" xml:lang="${escapeXml(getLanguageTag(langCode))}" dir="${direction}">
 <head>
   <meta charset="UTF-8"/>
   <title>${escapedTitle}</title>
@@ -546,6 +635,72 @@ ${contentHtml}
 </html>`;
 }
 
+/**
+ * Generate anthology documents: cover page and one chapter file per article
+ * @param {Array<import('../types.js').AnthologyChapter>} chapters - Book chapters
+ * @returns {{documents: Array<{id: string, href: string, xhtml: string}>, tocEntries: Array<{text: string, level: number, id: string|null, file: string}>}}
+ */
+function generateAnthologyXhtml(chapters, title, author, pubDate, language, generateToc, generateAbstract, direction = 'ltr') {
+  const langCode = language === 'auto' ? 'en' : language;
+  const l10n = PDF_LOCALIZATION[langCode] || PDF_LOCALIZATION['en'];
+  
+  const documents = [{
+    id: 'cover',
+    href: 'cover.xhtml',
+    xhtml: generateCoverXhtml(title, author, pubDate, chapters.length, langCode, l10n, direction)
+  }];
+  const tocEntries = [];
+  
+  chapters.forEach((chapter, index) => {
+    const id = `chapter-${index + 1}`;
+    const href = `${id}.xhtml`;
+    const chapterTitle = chapter.title || `${l10n.anthology} ${index + 1}`;
+    const chapterDate = formatDateForDisplay(chapter.publishDate || '', langCode);
+    const headings = collectChapterHeadings(chapter.content, 'heading-');
+    
+    documents.push({
+      id,
+      href,
+      xhtml: generateContentXhtml(
+        chapter.content || [], chapterTitle, cleanAuthor(chapter.author || ''), chapterDate,
+        chapter.sourceUrl || '', headings, language, generateAbstract, chapter.abstract || '', direction
+      )
+    });
+    
+    tocEntries.push({ text: chapterTitle, level: 1, id: null, file: href });
+    if (generateToc) {
+      headings.forEach(h => tocEntries.push({ ...h, file: href }));
+    }
+  });
+  
+  return { documents, tocEntries };
+}
+
+/**
+ * Generate anthology cover page
+ */
+function generateCoverXhtml(title, author, pubDate, chapterCount, langCode, l10n, direction = 'ltr') {
+  const escapedTitle = escapeXml(title);
+  const authorHtml = author ? `\n    <p class="cover-author">${escapeXml(author)}</p>` : '';
+  
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="${escapeXml(getLanguageTag(langCode))}" dir="${direction}">
+<head>
+  <meta charset="UTF-8"/>
+  <title>${escapedTitle}</title>
+  <link rel="stylesheet" type="text/css" href="style.css"/>
+</head>
+<body>
+  <section class="anthology-cover" epub:type="titlepage">
+    <h1>${escapedTitle}</h1>${authorHtml}
+    <p class="meta">${escapeXml(l10n.articles)}: ${chapterCount}</p>
+    <p class="meta">${escapeXml(pubDate)}</p>
+  </section>
+</body>
+</html>`;
+}
+
 /**
  * Convert content item to XHTML
  */
@@ -558,14 +713,16 @@ function contentItemToXhtml(item, headings, headingIndex, sourceUrl = '') {
       const text = item.text || '';
       // Prefer original item.id, then headings array, then fallback
       const id = item.id || headings[headingIndex]?.id || `heading-${headingIndex}`;
-      return `    <h${level} id="${id}">${sanitizeHtmlForXhtml(text, sourceUrl)}</h${level}>\n`;
+      const original = item.original ? `    <p dir="auto" class="original original-heading">${sanitizeHtmlForXhtml(item.original, sourceUrl)}</p>\n` : '';
+      return `    <h${level} id="${id}">${sanitizeHtmlForXhtml(text, sourceUrl)}</h${level}>\n${original}`;
     }
     
     case 'paragraph': {
       const text = item.text || '';
       if (!text.trim()) return '';
       const idAttr = item.id ? ` id="${escapeXml(item.id)}"` : '';
-      return `    <p${idAttr}>${sanitizeHtmlForXhtml(text, sourceUrl)}</p>\n`;
+      const original = item.original ? `    <p dir="auto" class="original">${sanitizeHtmlForXhtml(item.original, sourceUrl)}</p>\n` : '';
+      return `    <p${idAttr}>${sanitizeHtmlForXhtml(text, sourceUrl)}</p>\n${original}`;
     }
     
     case 'quote':
@@ -573,23 +730,26 @@ function contentItemToXhtml(item, headings, headingIndex, sourceUrl = '') {
       const text = item.text || '';
       if (!text.trim()) return '';
       const idAttr = item.id ? ` id="${escapeXml(item.id)}"` : '';
-      return `    <blockquote${idAttr}><p>${sanitizeHtmlForXhtml(text, sourceUrl)}</p></blockquote>\n`;
+      const original = item.original ? `    <blockquote dir="auto" class="original"><p>${sanitizeHtmlForXhtml(item.original, sourceUrl)}</p></blockquote>\n` : '';
+      return `    <blockquote${idAttr}><p>${sanitizeHtmlForXhtml(text, sourceUrl)}</p></blockquote>\n${original}`;
     }
     
     case 'code': {
       const code = item.text || item.code || '';
-      return `    <pre><code>${escapeXml(code)}</code></pre>\n`;
+      return `    <pre dir="ltr"><code>${escapeXml(code)}</code></pre>\n`;
     }
     
     case 'list': {
       const items = item.items || [];
       const tag = item.ordered ? 'ol' : 'ul';
       const listIdAttr = item.id ? ` id="${escapeXml(item.id)}"` : '';
-      const listItems = items.map(li => {
+      const listItems = items.map((li, index) => {
         const text = typeof li === 'string' ? li : (li.html || li.text || '');
         const liId = (typeof li === 'object' && li.id) ? li.id : '';
         const liIdAttr = liId ? ` id="${escapeXml(liId)}"` : '';
-        return `      <li${liIdAttr}>${sanitizeHtmlForXhtml(text, sourceUrl)}</li>`;
+        const original = getOriginalListItem(item, index);
+        const originalHtml = original ? `<br/><span dir="auto" class="original">${sanitizeHtmlForXhtml(original, sourceUrl)}</span>` : '';
+        return `      <li${liIdAttr}>${sanitizeHtmlForXhtml(text, sourceUrl)}${originalHtml}</li>`;
       }).join('\n');
       return `    <${tag}${listIdAttr}>\n${listItems}\n    </${tag}>\n`;
     }
@@ -848,6 +1008,25 @@ blockquote {
   font-style: italic;
 }
 
+/* Bilingual translation: original after translated block */
+.original {
+  color: #666;
+  font-style: italic;
+  font-size: 0.92em;
+  margin-top: -0.4em;
+  padding-left: 0.8em;
+  border-left: 2px solid #ddd;
+}
+
+.original-heading {
+  font-weight: bold;
+}
+
+li .original {
+  display: inline-block;
+  margin-top: 0.2em;
+}
+
 pre {
   background: #f4f4f4;
   padding: 1em;
@@ -922,6 +1101,22 @@ hr {
   margin: 2em 0;
 }
 
+/* Anthology cover page */
+.anthology-cover {
+  margin-top: 30%;
+  text-align: center;
+}
+
+.anthology-cover h1 {
+  font-size: 2em;
+  margin-bottom: 1em;
+}
+
+.cover-author {
+  font-size: 1.2em;
+  font-weight: bold;
+}
+
 /* Navigation */
 nav h2 {
   font-size: 1.2em;
@@ -940,6 +1135,46 @@ nav li {
 nav a {
   text-decoration: none;
 }
+
+/* Right-to-left books: mirror left-side borders and indents */
+html[dir="rtl"] blockquote {
+  border-left: none;
+  border-right: 3px solid #ccc;
+}
+
+html[dir="rtl"] .original {
+  padding-left: 0;
+  padding-right: 0.8em;
+  border-left: none;
+  border-right: 2px solid #ddd;
+}
+
+html[dir="rtl"] ul,
+html[dir="rtl"] ol,
+html[dir="rtl"] nav ol {
+  padding-left: 0;
+  padding-right: 1.5em;
+}
+
+html[dir="rtl"] th,
+html[dir="rtl"] td {
+  text-align: right;
+}
+
+/* Code and URLs stay left-to-right inside right-to-left text */
+html[dir="rtl"] pre {
+  direction: ltr;
+  text-align: left;
+}
+
+html[dir="rtl"] code {
+  direction: ltr;
+  unicode-bidi: isolate;
+}
+
+html[dir="rtl"] a {
+  unicode-bidi: plaintext;
+}
 `;
 }
 
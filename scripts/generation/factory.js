@@ -14,6 +14,9 @@ import { log, logError, logDebug } from '../utils/logging.js';
 import { TTSApiKeyManager } from '../utils/api-key-manager.js';
 import { VoiceValidator } from '../utils/voice-validator.js';
 import { CONFIG } from '../utils/config.js';
+import { getUILanguage, tSync } from '../locales.js';
+import { ANTHOLOGY_FORMATS, getAnthologyContent, getAnthologyAuthor, getAnthologyTitle } from './anthology.js';
+import { getBilingualMode } from '../translation/bilingual.js';
 
 /**
  * @typedef {import('../types.js').GenerationData} GenerationData
@@ -74,7 +77,9 @@ export class DocumentGeneratorFactory {
       generateToc: data.generateToc || false,
       generateAbstract: data.generateAbstract || false,
       abstract: result.abstract || '',
-      language: data.effectiveLanguage || 'auto'
+      language: data.effectiveLanguage || 'auto',
+      metadata: result.metadata || null,
+      bilingual: result.bilingual || 'off'
     };
 
     log(`📄 Starting ${format.toUpperCase()} document generation`);
@@ -116,16 +121,7 @@ export class DocumentGeneratorFactory {
         await updateProgress(PROCESSING_STAGES.GENERATING, 'statusGeneratingPdf', 65);
         const pdfResult = await generatePdf({
           ...commonParams,
-          apiKey: data.apiKey,
-          model: data.model,
-          stylePreset: data.stylePreset || 'dark',
-          fontFamily: data.fontFamily || '',
-          fontSize: data.fontSize || '31',
-          bgColor: data.bgColor || '#303030',
-          textColor: data.textColor || '#b9b9b9',
-          headingColor: data.headingColor || '#cfcfcf',
-          linkColor: data.linkColor || '#6cacff',
-          pageMode: data.pageMode || 'single'
+          ...DocumentGeneratorFactory._getPdfParams(data)
         }, updateState);
         log('✅ PDF document generated successfully');
         return pdfResult;
@@ -133,6 +129,98 @@ export class DocumentGeneratorFactory {
     }
   }
 
+  /**
+   * Generate one document (anthology) from several articles
+   * Every article becomes a chapter with its own title, author, source URL and abstract;
+   * the book gets a cover page and a table of contents listing all chapters
+   * @param {'pdf'|'epub'|'fb2'} format - Output format (only formats that support chapters)
+   * @param {import('../types.js').ProcessingData} data - Book-level processing data (title, TOC/abstract flags, PDF style)
+   * @param {Array<import('../types.js').AnthologyChapter>} chapters - Chapters in book order
+   * @param {function(Partial<import('../types.js').ProcessingState> & {stage?: string}): void} [updateState] - State update function
+   * @returns {Promise<DocumentGenerationResult>} Generated document
+   * @throws {Error} If format does not support chapters
+   * @throws {Error} If there are no chapters with content
+   * @example
+   * // Combine queued articles into one EPUB
+   * await DocumentGeneratorFactory.generateAnthology('epub', { generateToc: true }, chapters, updateState);
+   */
+  static async generateAnthology(format, data, chapters, updateState) {
+    const uiLang = await getUILanguage();
+    if (!ANTHOLOGY_FORMATS.includes(format)) {
+      throw new Error(tSync('errorAnthologyUnsupportedFormat', uiLang));
+    }
+    const bookChapters = (chapters || []).filter(chapter => chapter.content && chapter.content.length > 0);
+    if (bookChapters.length === 0) {
+      throw new Error(tSync('errorAnthologyNoChapters', uiLang));
+    }
+
+    const language = data.effectiveLanguage || bookChapters[0].language || 'auto';
+    const commonParams = {
+      content: getAnthologyContent(bookChapters),
+      chapters: bookChapters,
+      title: data.title || getAnthologyTitle(language),
+      author: getAnthologyAuthor(bookChapters),
+      sourceUrl: '',
+      publishDate: '',
+      generateToc: data.generateToc || false,
+      generateAbstract: data.generateAbstract || false,
+      abstract: '',
+      language,
+      // Chapters translated in bilingual mode keep their originals
+      bilingual: await getBilingualMode()
+    };
+
+    log(`📚 Starting ${format.toUpperCase()} anthology generation`, { chapters: bookChapters.length });
+
+    switch (format) {
+      case 'epub': {
+        await updateProgress(PROCESSING_STAGES.GENERATING, 'statusGeneratingEpub', 65);
+        const epubResult = await generateEpub(commonParams, updateState);
+        log('✅ EPUB anthology generated successfully');
+        return epubResult;
+      }
+
+      case 'fb2': {
+        await updateProgress(PROCESSING_STAGES.GENERATING, 'statusGeneratingFb2', 65);
+        const fb2Result = await generateFb2(commonParams, updateState);
+        log('✅ FB2 anthology generated successfully');
+        return fb2Result;
+      }
+
+      case 'pdf':
+      default: {
+        await updateProgress(PROCESSING_STAGES.GENERATING, 'statusGeneratingPdf', 65);
+        const pdfResult = await generatePdf({
+          ...commonParams,
+          ...DocumentGeneratorFactory._getPdfParams(data)
+        }, updateState);
+        log('✅ PDF anthology generated successfully');
+        return pdfResult;
+      }
+    }
+  }
+
+  /**
+   * Get PDF-specific generation parameters with defaults
+   * @private
+   * @param {import('../types.js').ProcessingData} data - Processing data
+   * @returns {Object} PDF parameters (API settings for metadata translation and page style)
+   */
+  static _getPdfParams(data) {
+    return {
+      apiKey: data.apiKey,
+      model: data.model,
+      stylePreset: data.stylePreset || 'dark',
+      fontFamily: data.fontFamily || '',
+      fontSize: data.fontSize || '31',
+      bgColor: data.bgColor || '#303030',
+      textColor: data.textColor || '#b9b9b9',
+      headingColor: data.headingColor || '#cfcfcf',
+      linkColor: data.linkColor || '#6cacff',
+      pageMode: data.pageMode || 'single'
+    };
+  }
+
   /**
    * Generate audio document (handles TTS provider selection and API key management)
    * @private
@@ -228,6 +316,11 @@ export class DocumentGeneratorFactory {
     const audioParams = {
       content: result.content,
       title: result.title,
+      author: result.author || '', // Tags and cover
+      sourceUrl: data.url || '',
+      publishDate: result.publishDate || '',
+      abstract: result.abstract || '', // Podcast episode description
+      metadata: result.metadata || null,
       apiKey: data.apiKey, // For text preparation
       ttsApiKey: ttsApiKey, // For TTS conversion
       model: data.model,
@@ -243,6 +336,7 @@ export class DocumentGeneratorFactory {
       format: data.audioFormat || CONFIG.DEFAULT_AUDIO_FORMAT,
       language: data.effectiveLanguage || 'auto',
       tabId: data.tabId || null, // For offline TTS
+      openPlayer: data.openPlayer || false,
       elevenlabsModel: data.elevenlabsModel || CONFIG.DEFAULT_ELEVENLABS_MODEL,
       elevenlabsFormat: data.elevenlabsFormat || 'mp3_44100_192',
       elevenlabsStability: data.elevenlabsStability !== undefined ? data.elevenlabsStability : 0.5,
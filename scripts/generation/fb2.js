@@ -12,8 +12,12 @@ import { PDF_LOCALIZATION, formatDateForDisplay, getLocaleFromLanguage, getExten
 import { getUILanguage, tSync } from '../locales.js';
 import { PROCESSING_STAGES, isCancelled } from '../state/processing.js';
 import { sanitizeFilename } from '../utils/security.js';
-import { isAnonymousAuthor, cleanAuthor } from '../utils/author-validator.js';
+import { isAnonymousAuthor, cleanAuthor, getAuthorList } from '../utils/author-validator.js';
+import { createCoverImage } from './cover.js';
 import { handleError } from '../utils/error-handler.js';
+import { collectChapterHeadings } from './anthology.js';
+import { getOriginalListItem } from '../translation/bilingual.js';
+import { getDocumentDirection, getLanguageTag } from '../utils/languages.js';
 
 /**
  * Generate FB2 file from content
@@ -42,8 +46,9 @@ import { handleError } from '../utils/error-handler.js';
 export async function generateFb2(data, updateState) {
   const { 
     content, title, author = '', sourceUrl = '', publishDate = '', 
-    generateToc = false, generateAbstract = false, abstract = '', language = 'en'
+    generateToc = false, generateAbstract = false, abstract = '', language = 'en', chapters = null, metadata = null
   } = data;
+  const isAnthology = Array.isArray(chapters) && chapters.length > 0;
   
   // Collect headings for TOC and sections
   if (generateToc) {
@@ -60,7 +65,7 @@ export async function generateFb2(data, updateState) {
   });
   
   log('=== FB2 GENERATION START ===');
-  log('Input', { title, author, contentItems: content?.length, generateToc });
+  log('Input', { title, author, contentItems: content?.length, generateToc, chapters: isAnthology ? chapters.length : 0 });
   
   if (!content || content.length === 0) {
     // Normalize error with context for better logging and error tracking
@@ -116,13 +121,35 @@ export async function generateFb2(data, updateState) {
     log(`✅ Images embedded in FB2: ${images.length} images`);
   }
   
+  // Cover: article hero image or typographic cover (anthology always gets typographic cover with book title)
+  const cover = await createCoverImage({
+    title: safeTitle,
+    author: cleanAuthor(author),
+    date: pubDate,
+    sourceUrl,
+    content,
+    metadata,
+    useHeroImage: !isAnthology
+  });
+  const coverId = cover ? `cover.${cover.ext}` : '';
+  if (cover) {
+    images.push({ id: coverId, contentType: cover.mediaType, data: cover.data });
+  }
+  
   if (updateState) updateState({ status: 'Generating FB2 content...', progress: 90 });
   
+  // FB2 has no direction markup, readers take it from text and <lang>: in right-to-left books
+  // (Arabic, Hebrew, Persian) code and links are isolated so they are not reordered
+  const rtl = getDocumentDirection(language, isAnthology ? chapters.flatMap(chapter => chapter.content || []) : content) === 'rtl';
+  const body = isAnthology
+    ? generateAnthologyBody(chapters, safeTitle, authorParts, generateToc, pubDate, langCode, generateAbstract, rtl)
+    : generateBody(content, safeTitle, authorParts, generateToc, headings, pubDate, sourceUrl, langCode, generateAbstract, abstract, rtl);
+  
   // Build FB2 XML
   let fb2 = `<?xml version="1.0" encoding="UTF-8"?>
 <FictionBook xmlns="http://www.gribuser.ru/xml/fictionbook/2.0" xmlns:l="http://www.w3.org/1999/xlink">
-${generateDescription(safeTitle, authorParts, langCode, pubDate, sourceUrl, docId)}
-${generateBody(content, safeTitle, authorParts, generateToc, headings, pubDate, sourceUrl, langCode, generateAbstract, abstract)}
+${generateDescription(safeTitle, authorParts, langCode, pubDate, sourceUrl, docId, getAuthorList(cleanAuthor(author), metadata).map(parseAuthorName), metadata, coverId)}
+${body}
 ${generateBinaries(images)}
 </FictionBook>`;
   
@@ -341,27 +368,47 @@ function parseBase64Image(base64) {
 
 /**
  * Generate FB2 description section
+ * @param {Array<{firstName: string, middleName: string, lastName: string}>} [authors] - All authors (from structured metadata), defaults to single author
+ * @param {import('../types.js').ArticleMetadata|null} [metadata] - Structured article metadata (keywords, publisher, DOI)
+ * @param {string} [coverId] - Binary ID of cover image
  */
-function generateDescription(title, author, lang, pubDate, sourceUrl, docId) {
+function generateDescription(title, author, lang, pubDate, sourceUrl, docId, authors = [author], metadata = null, coverId = '') {
   const escapedTitle = escapeXml(title);
   
-  let authorXml = '';
-  // Only include author if it exists (not empty/anonymous)
-  if (author.firstName || author.lastName) {
-    authorXml = `      <author>
-        <first-name>${escapeXml(author.firstName)}</first-name>
-${author.middleName ? `        <middle-name>${escapeXml(author.middleName)}</middle-name>\n` : ''}        <last-name>${escapeXml(author.lastName)}</last-name>
-      </author>`;
-  }
+  // Only include authors that exist (not empty/anonymous)
   // If author is empty/anonymous, don't include author tag at all
+  const authorXml = authors
+    .filter(parts => parts.firstName || parts.lastName)
+    .map(parts => `      <author>
+        <first-name>${escapeXml(parts.firstName)}</first-name>
+${parts.middleName ? `        <middle-name>${escapeXml(parts.middleName)}</middle-name>\n` : ''}        <last-name>${escapeXml(parts.lastName)}</last-name>
+      </author>`)
+    .join('\n');
+  
+  const keywords = [metadata?.section, ...(metadata?.keywords || [])].filter(Boolean);
+  const keywordsXml = keywords.length > 0 ? `\n      <keywords>${escapeXml(keywords.join(', '))}</keywords>` : '';
+  const coverpageXml = coverId ? `\n      <coverpage><image l:href="#${escapeXml(coverId)}"/></coverpage>` : '';
+  
+  // publish-info: publisher and year of original publication
+  const year = (metadata?.publishedDate || '').slice(0, 4);
+  const publishInfoItems = [
+    ...(metadata?.publisher ? [`      <publisher>${escapeXml(metadata.publisher)}</publisher>`] : []),
+    ...(year ? [`      <year>${year}</year>`] : [])
+  ];
+  const publishInfoXml = publishInfoItems.length > 0
+    ? `\n    <publish-info>\n${publishInfoItems.join('\n')}\n    </publish-info>`
+    : '';
+  const customInfoXml = metadata?.doi
+    ? `\n    <custom-info info-type="doi">${escapeXml(metadata.doi)}</custom-info>`
+    : '';
   
   // Note: date and source URL are shown in body, not in description
   // to avoid duplicate display in some readers
   return `  <description>
     <title-info>
 ${authorXml}
-      <book-title>${escapedTitle}</book-title>
-      <lang>${lang}</lang>
+      <book-title>${escapedTitle}</book-title>${keywordsXml}${coverpageXml}
+      <lang>${escapeXml(getLanguageTag(lang))}</lang>
     </title-info>
     <document-info>
       <author>
@@ -371,14 +418,14 @@ ${authorXml}
       <date value="${new Date().toISOString().split('T')[0]}">${new Date().toISOString().split('T')[0]}</date>
       <id>${docId}</id>
       <version>1.0</version>
-    </document-info>
+    </document-info>${publishInfoXml}${customInfoXml}
   </description>`;
 }
 
 /**
  * Generate FB2 body section
  */
-function generateBody(content, title, author, generateToc, headings, pubDate, sourceUrl, language = 'en', generateAbstract = false, abstract = '') {
+function generateBody(content, title, author, generateToc, headings, pubDate, sourceUrl, language = 'en', generateAbstract = false, abstract = '', rtl = false) {
   const escapedTitle = escapeXml(title);
   const authorName = [author.firstName, author.middleName, author.lastName].filter(Boolean).join(' ');
   
@@ -460,7 +507,7 @@ function generateBody(content, title, author, generateToc, headings, pubDate, so
     } else {
       // For non-local files, show "Source:" label with link
       bodyContent += `
-      <p><a l:href="${escapeXml(sourceUrl)}">${escapeXml(sourceLabel)}</a></p>`;
+      <p><a l:href="${escapeXml(sourceUrl)}">${isolateBidi(escapeXml(sourceLabel), FSI, rtl)}</a></p>`;
     }
   }
   
@@ -506,8 +553,105 @@ ${headings.map(h => `      <p>${'  '.repeat(h.level - 2)}• ${escapeXml(h.text)
   const sections = splitIntoSections(filteredContent, headings);
   
   for (const section of sections) {
-    bodyContent += generateSection(section, sourceUrl);
+    bodyContent += generateSection(section, sourceUrl, rtl);
+  }
+  
+  bodyContent += `
+  </body>`;
+  
+  return bodyContent;
+}
+
+/**
+ * Generate FB2 body for anthology: title page, book contents and one top-level section per article
+ * Article content keeps its own sections built by splitIntoSections
+ * @param {Array<import('../types.js').AnthologyChapter>} chapters - Book chapters
+ */
+function generateAnthologyBody(chapters, title, author, generateToc, pubDate, language = 'en', generateAbstract = false, rtl = false) {
+  const authorName = [author.firstName, author.middleName, author.lastName].filter(Boolean).join(' ');
+  const l10n = PDF_LOCALIZATION[language] || PDF_LOCALIZATION['en'];
+  
+  // Title page section
+  let bodyContent = `  <body>
+    <section>
+      <title>
+        <p>${escapeXml(title)}</p>
+      </title>
+      <empty-line/>`;
+  if (authorName) {
+    bodyContent += `
+      <p><strong>${escapeXml(authorName)}</strong></p>
+      <empty-line/>`;
   }
+  bodyContent += `
+      <p>${escapeXml(l10n.articles)}: ${chapters.length}</p>
+      <p>${escapeXml(pubDate)}</p>
+      <empty-line/>
+      <empty-line/>
+    </section>`;
+  
+  const chapterHeadings = chapters.map(chapter => collectChapterHeadings(chapter.content, 'heading-'));
+  
+  // Book contents: chapters, with chapter headings if TOC is enabled
+  bodyContent += `
+    <section>
+      <title><p>${escapeXml(l10n.contents)}</p></title>`;
+  chapters.forEach((chapter, index) => {
+    bodyContent += `
+      <p><a l:href="#chapter-${index + 1}">${isolateBidi(escapeXml(stripHtml(chapter.title || '')), FSI, rtl)}</a></p>`;
+    if (generateToc) {
+      for (const h of chapterHeadings[index]) {
+        bodyContent += `
+      <p>${'  '.repeat(h.level - 1)}• ${escapeXml(h.text)}</p>`;
+      }
+    }
+  });
+  bodyContent += `
+    </section>`;
+  
+  chapters.forEach((chapter, index) => {
+    const content = chapter.content || [];
+    const subtitleItem = content.find(item => item.type === 'subtitle');
+    const chapterAuthor = cleanAuthor(chapter.author || '');
+    const chapterDate = formatDateForDisplay(chapter.publishDate || '', language);
+    
+    // Article meta goes to annotation: FB2 section may hold either content or subsections, not both
+    const annotation = [];
+    if (subtitleItem) {
+      annotation.push(`<emphasis>${escapeXml(stripHtml(subtitleItem.text || subtitleItem.html || ''))}</emphasis>`);
+    }
+    if (chapterAuthor) {
+      annotation.push(`<strong>${escapeXml(chapterAuthor)}</strong>`);
+    }
+    if (chapterDate) {
+      annotation.push(`${escapeXml(l10n.date)}: ${escapeXml(chapterDate)}`);
+    }
+    if (chapter.sourceUrl) {
+      annotation.push(`<a l:href="${escapeXml(chapter.sourceUrl)}">${isolateBidi(escapeXml(l10n.source), FSI, rtl)}</a>`);
+    }
+    if (generateAbstract && chapter.abstract) {
+      annotation.push(`${escapeXml(l10n.abstract)}: ${escapeXml(chapter.abstract)}`);
+    }
+    
+    bodyContent += `
+    <section id="chapter-${index + 1}">
+      <title><p>${escapeXml(stripHtml(chapter.title || ''))}</p></title>`;
+    if (annotation.length > 0) {
+      bodyContent += `
+      <annotation>
+${annotation.map(line => `        <p>${line}</p>`).join('\n')}
+      </annotation>`;
+    }
+    
+    const filteredContent = content.filter(item => item.type !== 'subtitle');
+    const sections = splitIntoSections(filteredContent, chapterHeadings[index]);
+    for (const section of sections) {
+      bodyContent += generateSection(section, chapter.sourceUrl || '', rtl);
+    }
+    
+    bodyContent += `
+    </section>`;
+  });
   
   bodyContent += `
   </body>`;
@@ -557,7 +701,7 @@ function splitIntoSections(content, headings) {
 /**
  * Generate FB2 section
  */
-function generateSection(section, sourceUrl = '') {
+function generateSection(section, sourceUrl = '', rtl = false) {
   // Add id attribute to section for internal link targets
   const idAttr = section.id ? ` id="${escapeXml(section.id)}"` : '';
   let sectionXml = `\n    <section${idAttr}>`;
@@ -568,7 +712,7 @@ function generateSection(section, sourceUrl = '') {
   }
   
   for (const item of section.items) {
-    sectionXml += contentItemToFb2(item, sourceUrl);
+    sectionXml += contentItemToFb2(item, sourceUrl, rtl);
   }
   
   sectionXml += '\n    </section>';
@@ -584,10 +728,18 @@ function createFb2Anchor(id) {
   return `<a id="${escapeXml(id)}"/>`;
 }
 
+/**
+ * Render original of translated block as emphasized paragraph (bilingual export)
+ */
+function originalToFb2(original, sourceUrl, rtl = false) {
+  if (!original || !original.trim()) return '';
+  return `\n      <p><emphasis>${convertInlineHtmlToFb2(original, sourceUrl, rtl)}</emphasis></p>`;
+}
+
 /**
  * Convert content item to FB2 XML
  */
-function contentItemToFb2(item, sourceUrl = '') {
+function contentItemToFb2(item, sourceUrl = '', rtl = false) {
   if (!item || !item.type) return '';
   
   // Create anchor for internal link targets
@@ -614,20 +766,20 @@ function contentItemToFb2(item, sourceUrl = '') {
       if (!text) return '';
       // Add anchor before subtitle if id exists
       const anchorTag = anchor ? `\n      <p>${anchor}</p>` : '';
-      return `${anchorTag}\n      <subtitle>${escapeXml(text)}</subtitle>`;
+      return `${anchorTag}\n      <subtitle>${escapeXml(text)}</subtitle>${originalToFb2(item.original, sourceUrl, rtl)}`;
     }
     
     case 'paragraph': {
       const text = item.text || '';
       if (!text.trim()) return '';
-      return `\n      <p>${anchor}${convertInlineHtmlToFb2(text, sourceUrl)}</p>`;
+      return `\n      <p>${anchor}${convertInlineHtmlToFb2(text, sourceUrl, rtl)}</p>${originalToFb2(item.original, sourceUrl, rtl)}`;
     }
     
     case 'quote':
     case 'blockquote': {
       const text = item.text || '';
       if (!text.trim()) return '';
-      return `\n      <cite><p>${anchor}${convertInlineHtmlToFb2(text, sourceUrl)}</p></cite>`;
+      return `\n      <cite><p>${anchor}${convertInlineHtmlToFb2(text, sourceUrl, rtl)}</p></cite>${originalToFb2(item.original, sourceUrl, rtl)}`;
     }
     
     case 'code': {
@@ -637,8 +789,8 @@ function contentItemToFb2(item, sourceUrl = '') {
       const firstLine = lines[0] || '';
       const restLines = lines.slice(1);
       // Add anchor to first line
-      let result = `\n      <p>${anchor}<code>${escapeXml(firstLine)}</code></p>`;
-      result += restLines.map(line => `\n      <p><code>${escapeXml(line)}</code></p>`).join('');
+      let result = `\n      <p>${anchor}<code>${isolateBidi(escapeXml(firstLine), LRI, rtl)}</code></p>`;
+      result += restLines.map(line => `\n      <p><code>${isolateBidi(escapeXml(line), LRI, rtl)}</code></p>`).join('');
       return result;
     }
     
@@ -649,7 +801,7 @@ function contentItemToFb2(item, sourceUrl = '') {
         const liId = (typeof li === 'object' && li.id) ? li.id : '';
         const liAnchor = createFb2Anchor(liId);
         const prefix = item.ordered ? `${index + 1}. ` : '• ';
-        return `\n      <p>${liAnchor}${prefix}${convertInlineHtmlToFb2(text, sourceUrl)}</p>`;
+        return `\n      <p>${liAnchor}${prefix}${convertInlineHtmlToFb2(text, sourceUrl, rtl)}</p>${originalToFb2(getOriginalListItem(item, index), sourceUrl, rtl)}`;
       }).join('');
     }
     
@@ -658,7 +810,7 @@ function contentItemToFb2(item, sourceUrl = '') {
       const alt = escapeXml(item.alt || '');
       // CRITICAL: Use convertInlineHtmlToFb2 to preserve links in captions (like PDF)
       // This handles cases where caption contains HTML with links, e.g., <span>text</span><a href="...">(source)</a>
-      const caption = item.caption ? convertInlineHtmlToFb2(item.caption, sourceUrl) : '';
+      const caption = item.caption ? convertInlineHtmlToFb2(item.caption, sourceUrl, rtl) : '';
       
       // Add anchor paragraph before image if id exists
       let imageXml = anchor ? `\n      <p>${anchor}</p>` : '';
@@ -686,7 +838,7 @@ function contentItemToFb2(item, sourceUrl = '') {
     
     default: {
       if (item.text) {
-        return `\n      <p>${anchor}${convertInlineHtmlToFb2(item.text, sourceUrl)}</p>`;
+        return `\n      <p>${anchor}${convertInlineHtmlToFb2(item.text, sourceUrl, rtl)}</p>`;
       }
       return '';
     }
@@ -754,7 +906,7 @@ function convertInternalLinks(html, sourceUrl) {
 /**
  * Convert inline HTML tags to FB2 equivalents
  */
-function convertInlineHtmlToFb2(html, sourceUrl = '') {
+function convertInlineHtmlToFb2(html, sourceUrl = '', rtl = false) {
   if (!html) return '';
   
   let result = html;
@@ -790,7 +942,7 @@ function convertInlineHtmlToFb2(html, sourceUrl = '') {
   result = result.replace(/<b>(.*?)<\/b>/gi, '<strong>$1</strong>');
   result = result.replace(/<em>(.*?)<\/em>/gi, '<emphasis>$1</emphasis>');
   result = result.replace(/<i>(.*?)<\/i>/gi, '<emphasis>$1</emphasis>');
-  result = result.replace(/<code>(.*?)<\/code>/gi, '<code>$1</code>');
+  result = result.replace(/<code>(.*?)<\/code>/gi, (match, code) => `<code>${isolateBidi(code, LRI, rtl)}</code>`);
   result = result.replace(/<sup>(.*?)<\/sup>/gi, '<sup>$1</sup>');
   result = result.replace(/<sub>(.*?)<\/sub>/gi, '<sub>$1</sub>');
   result = result.replace(/<s>(.*?)<\/s>/gi, '<strikethrough>$1</strikethrough>');
@@ -807,7 +959,7 @@ function convertInlineHtmlToFb2(html, sourceUrl = '') {
   result = result.replace(/<a\s+[^>]*href\s*=\s*["']([^"']+)["'][^>]*>([\s\S]*?)<\/a>/gi, (match, href, linkText) => {
     // Strip any remaining HTML tags from link text (but preserve FB2 tags if any)
     const cleanLinkText = linkText.replace(/<(?!\/?(?:a|strong|emphasis|code|sup|sub|strikethrough)\b)[^>]+>/gi, '');
-    return `<a l:href="${href}">${cleanLinkText}</a>`;
+    return `<a l:href="${href}">${isolateBidi(cleanLinkText, FSI, rtl)}</a>`;
   });
   
   // Remove other HTML tags (but not our converted FB2 tags)
@@ -821,6 +973,25 @@ function convertInlineHtmlToFb2(html, sourceUrl = '') {
   return result;
 }
 
+/**
+ * Unicode bidi isolates: left-to-right, first strong character decides, end of isolate
+ */
+const LRI = '\u2066';
+const FSI = '\u2068';
+const PDI = '\u2069';
+
+/**
+ * Wrap code or link text in bidi isolate in right-to-left book
+ * Code is always left-to-right (LRI), link text may be URL or text in book language (FSI).
+ * @param {string} xml - Escaped text
+ * @param {string} isolate - Opening isolate (LRI or FSI)
+ * @param {boolean} rtl - Book is right-to-left
+ * @returns {string} Text in isolate, unchanged in left-to-right book
+ */
+function isolateBidi(xml, isolate, rtl) {
+  return rtl && xml ? `${isolate}${xml}${PDI}` : xml;
+}
+
 /**
  * Generate binary section for images
  */
@@ -6,6 +6,8 @@ import { escapeHtml, escapeAttr, sanitizeHtml, adjustColorBrightness, cleanTitle
 import { PDF_LOCALIZATION } from '../utils/config.js';
 import { isAnonymousAuthor, cleanAuthor } from '../utils/author-validator.js';
 import { handleError } from '../utils/error-handler.js';
+import { getOriginalListItem } from '../translation/bilingual.js';
+import { getDocumentDirection, getLanguageTag } from '../utils/languages.js';
 
 // Simple cache for localization strings (performance optimization)
 // Limited to prevent unbounded growth
@@ -40,6 +42,34 @@ function getLocalization(language) {
   return l10n;
 }
 
+/**
+ * Render source text of translated block (bilingual export)
+ * @param {string} text - Original text (HTML or markdown)
+ * @param {string} sourceUrl - Source URL for relative links
+ * @returns {string} Sanitized HTML
+ */
+function renderOriginalHtml(text, sourceUrl) {
+  const html = /<[a-z][\s\S]*>/i.test(text) ? text : markdownToHtml(text);
+  return sanitizeHtml(html, sourceUrl, { allowFileProtocol: true });
+}
+
+/**
+ * Pair translated block with its original (bilingual export)
+ * Interleaved: original follows translation; columns: original at the start of line, translation at the end.
+ * Original may be written in other direction than document (English source of Arabic translation), dir="auto" keeps it readable.
+ * @param {string} translatedHtml - Translated block HTML
+ * @param {string} originalHtml - Original block HTML
+ * @param {string} mode - Bilingual mode ('interleaved' or 'columns')
+ * @returns {string} HTML
+ */
+function pairBilingual(translatedHtml, originalHtml, mode) {
+  const original = `<div class="bilingual-original" dir="auto" translate="no">${originalHtml}</div>`;
+  const translation = `<div class="bilingual-translation">${translatedHtml}</div>`;
+  return mode === 'columns'
+    ? `<div class="bilingual-pair bilingual-columns">${original}${translation}</div>`
+    : `<div class="bilingual-pair">${translation}${original}</div>`;
+}
+
 /**
  * Build HTML document for PDF
  * @param {Array} content - Content array
@@ -53,9 +83,11 @@ function getLocalization(language) {
  * @param {Array} headings - Collected headings for TOC
  * @param {boolean} generateAbstract - Whether to generate abstract
  * @param {string} abstract - Abstract text
+ * @param {import('../types.js').ArticleMetadata|null} [metadata] - Structured article metadata (publisher, DOI)
+ * @param {string} [bilingual] - Bilingual mode ('interleaved' or 'columns') for items with original text
  * @returns {string} HTML document
  */
-export function buildHtmlForPdf(content, title, author, styles, sourceUrl = '', publishDate = '', language = 'auto', generateToc = false, headings = [], generateAbstract = false, abstract = '') {
+export function buildHtmlForPdf(content, title, author, styles, sourceUrl = '', publishDate = '', language = 'auto', generateToc = false, headings = [], generateAbstract = false, abstract = '', metadata = null, bilingual = 'interleaved') {
   const h2InContent = content.filter(item => item.type === 'heading' && item.level === 2);
   log('buildHtmlForPdf', { 
     contentItems: content.length, 
@@ -217,14 +249,23 @@ export function buildHtmlForPdf(content, title, author, styles, sourceUrl = '',
             finalHtml: `${anchorTag}<h${level}${idAttr}>${sanitizedHeadingHtml}</h${level}>`
           });
           
-          return `${anchorTag}<h${level}${idAttr}>${sanitizedHeadingHtml}</h${level}>`;
+          const headingElement = `<h${level}${idAttr}>${sanitizedHeadingHtml}</h${level}>`;
+          if (item.original) {
+            const originalHeading = renderOriginalHtml(item.original.replace(/^#+\s*/, '').trim(), sourceUrl);
+            return `${anchorTag}${pairBilingual(headingElement, `<p class="bilingual-heading bilingual-heading-${level}">${originalHeading}</p>`, bilingual)}`;
+          }
+          return `${anchorTag}${headingElement}`;
         
         case 'paragraph':
           // CRITICAL: Check if itemText already contains HTML (from extraction)
           // If it contains HTML tags, use it directly; otherwise convert markdown to HTML
           const hasHtmlTags = /<[a-z][\s\S]*>/i.test(itemText);
           const paragraphHtml = hasHtmlTags ? itemText : markdownToHtml(itemText);
-          return `${anchorTag}<p${idAttr} translate="no" class="notranslate" data-translate="no">${sanitizeHtml(paragraphHtml, sourceUrl, { allowFileProtocol: true })}</p>`;
+          const paragraphElement = `<p${idAttr} translate="no" class="notranslate" data-translate="no">${sanitizeHtml(paragraphHtml, sourceUrl, { allowFileProtocol: true })}</p>`;
+          if (item.original) {
+            return `${anchorTag}${pairBilingual(paragraphElement, `<p>${renderOriginalHtml(item.original, sourceUrl)}</p>`, bilingual)}`;
+          }
+          return `${anchorTag}${paragraphElement}`;
         
         case 'image':
           if (!item.src || item.src.startsWith('data:image/svg') || item.src.includes('placeholder')) {
@@ -275,27 +316,36 @@ export function buildHtmlForPdf(content, title, author, styles, sourceUrl = '',
           // CRITICAL: Convert markdown to HTML before sanitizing
           const quoteText = typeof item.text === 'string' ? item.text : (typeof item.text === 'object' && item.text?.text ? item.text.text : String(item.text || ''));
           const quoteHtml = markdownToHtml(quoteText);
-          return `${anchorTag}<blockquote${idAttr}>${sanitizeHtml(quoteHtml, sourceUrl, { allowFileProtocol: true })}</blockquote>`;
+          const quoteElement = `<blockquote${idAttr}>${sanitizeHtml(quoteHtml, sourceUrl, { allowFileProtocol: true })}</blockquote>`;
+          if (item.original) {
+            return `${anchorTag}${pairBilingual(quoteElement, `<blockquote>${renderOriginalHtml(item.original, sourceUrl)}</blockquote>`, bilingual)}`;
+          }
+          return `${anchorTag}${quoteElement}`;
         
         case 'list':
           const tag = item.ordered ? 'ol' : 'ul';
-          const items = (item.items || []).map(i => {
+          // Translated list item is paired with its original inside <li>
+          const withOriginal = (listItemHtml, itemIndex) => {
+            const original = getOriginalListItem(item, itemIndex);
+            return original ? pairBilingual(listItemHtml, renderOriginalHtml(original, sourceUrl), bilingual) : listItemHtml;
+          };
+          const items = (item.items || []).map((i, itemIndex) => {
             if (typeof i === 'string') {
               // CRITICAL: Convert markdown to HTML before sanitizing
               const listItemHtml = markdownToHtml(i);
-              return `<li>${sanitizeHtml(listItemHtml, sourceUrl, { allowFileProtocol: true })}</li>`;
+              return `<li>${withOriginal(sanitizeHtml(listItemHtml, sourceUrl, { allowFileProtocol: true }), itemIndex)}</li>`;
             }
             const liId = i.id ? ` id="${escapeAttr(i.id)}"` : '';
             const liAnchor = i.id ? `<a name="${escapeAttr(i.id)}"></a>` : '';
             // CRITICAL: Convert markdown to HTML before sanitizing
             const listItemHtml = markdownToHtml(i.html || '');
-            return `<li${liId}>${liAnchor}${sanitizeHtml(listItemHtml, sourceUrl, { allowFileProtocol: true })}</li>`;
+            return `<li${liId}>${liAnchor}${withOriginal(sanitizeHtml(listItemHtml, sourceUrl, { allowFileProtocol: true }), itemIndex)}</li>`;
           }).join('');
           return `${anchorTag}<${tag}${idAttr}>${items}</${tag}>`;
         
         case 'code':
           const codeText = typeof item.text === 'string' ? item.text : (typeof item.text === 'object' && item.text?.text ? item.text.text : String(item.text || ''));
-          return `${anchorTag}<pre${idAttr}><code class="language-${escapeAttr(item.language || 'text')}">${escapeHtml(codeText)}</code></pre>`;
+          return `${anchorTag}<pre${idAttr} dir="ltr"><code class="language-${escapeAttr(item.language || 'text')}">${escapeHtml(codeText)}</code></pre>`;
         
         case 'table':
           // CRITICAL: Convert markdown to HTML before sanitizing
@@ -436,9 +486,15 @@ export function buildHtmlForPdf(content, title, author, styles, sourceUrl = '',
   if (cleanedAuthor) {
     metaItems.push(`<span class="article-author">${escapeHtml(cleanedAuthor)}</span>`);
   }
+  if (metadata?.publisher && metadata.publisher !== cleanedAuthor) {
+    metaItems.push(`<span class="article-publisher">${escapeHtml(metadata.publisher)}</span>`);
+  }
   if (publishDate) {
     metaItems.push(`<span class="article-date">${escapeHtml(publishDate)}</span>`);
   }
+  if (metadata?.doi) {
+    metaItems.push(`<a class="article-doi" href="${escapeAttr(`https://doi.org/${metadata.doi}`)}" target="_blank" rel="noopener noreferrer">DOI: ${escapeHtml(metadata.doi)}</a>`);
+  }
   if (wordCount > 0) {
     const locale = language === 'ua' ? 'uk-UA' : language === 'ru' ? 'ru-RU' : 'en-US';
     metaItems.push(`<span class="word-count">${wordCount.toLocaleString(locale)} ${l10n.words}</span>`);
@@ -476,10 +532,13 @@ export function buildHtmlForPdf(content, title, author, styles, sourceUrl = '',
     </nav>`;
   }
 
-  const docLang = language || 'en';
+  // Markup needs language tag: 'ua' is 'uk', language names typed by user are 'und'
+  const docLang = escapeAttr(getLanguageTag(language || 'en'));
+  // Right-to-left for Arabic, Hebrew, Persian: target/detected language or article text decides
+  const docDir = getDocumentDirection(language, content);
 
   return `<!DOCTYPE html>
-<html lang="${docLang}" translate="no" class="notranslate" data-translate="no">
+<html lang="${docLang}" dir="${docDir}" translate="no" class="notranslate" data-translate="no">
 <head>
   <meta charset="UTF-8">
   <meta name="google" content="notranslate">
@@ -661,9 +720,10 @@ ul, ol { font-size: ${fontSizes.base} !important; }
 .infobox-title { font-size: ${Math.round(parseInt(fontSizes.base) * 1.1)}px !important; }
 strong, b { color: ${headingColor} !important; }
 a, a[href^="#"], blockquote a, strong a, b a, em a, i a, p a, li a, td a, th a, .article-meta a { color: ${linkColor} !important; }
+/* Accent borders are on the left, on the right in RTL documents: inline-start covers both */
 blockquote { 
   background-color: ${quoteBackground} !important; 
-  border-left-color: ${quoteBorder} !important;
+  border-inline-start-color: ${quoteBorder} !important;
   color: ${textColor} !important;
 }
 pre, code { background-color: ${codeBackground} !important; }
@@ -671,7 +731,7 @@ pre, code { background-color: ${codeBackground} !important; }
 .infobox { background-color: ${quoteBackground} !important; border-color: ${quoteBorder} !important; }
 .table-of-contents {
   background-color: ${quoteBackground} !important;
-  border-left-color: ${linkColor} !important;
+  border-inline-start-color: ${linkColor} !important;
 }
 .toc-title {
   color: ${headingColor} !important;
@@ -681,7 +741,7 @@ pre, code { background-color: ${codeBackground} !important; }
 }
 .article-abstract {
   background-color: ${quoteBackground} !important;
-  border-left-color: ${linkColor} !important;
+  border-inline-start-color: ${linkColor} !important;
 }
 .abstract-title {
   color: ${headingColor} !important;
@@ -697,7 +757,7 @@ pre, code { background-color: ${codeBackground} !important; }
   h1, h2, h3, h4, h5, h6 { color: ${headingColor} !important; }
   .table-of-contents {
     background-color: ${quoteBackground} !important;
-    border-left-color: ${linkColor} !important;
+    border-inline-start-color: ${linkColor} !important;
   }
   .toc-title {
     color: ${headingColor} !important;
@@ -707,7 +767,7 @@ pre, code { background-color: ${codeBackground} !important; }
   }
   .article-abstract {
     background-color: ${quoteBackground} !important;
-    border-left-color: ${linkColor} !important;
+    border-inline-start-color: ${linkColor} !important;
   }
   .abstract-title {
     color: ${headingColor} !important;
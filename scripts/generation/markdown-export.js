@@ -0,0 +1,257 @@
+// @ts-check
+// Markdown export options for ClipAIble extension
+// YAML front matter for note apps (Obsidian, Logseq) and images saved next to .md file
+
+import { log, logWarn } from '../utils/logging.js';
+import { stripHtml } from '../utils/html.js';
+
+/**
+ * Storage keys of Markdown export settings
+ * @readonly
+ */
+export const MARKDOWN_SETTINGS_KEYS = {
+  FRONT_MATTER: 'markdown_front_matter',
+  FRONT_MATTER_TEMPLATE: 'markdown_front_matter_template',
+  IMAGES: 'markdown_images'
+};
+
+/**
+ * Image modes: 'none' - images are skipped (default), 'remote' - linked by original URL,
+ * 'local' - downloaded next to .md file and linked by relative path
+ * @readonly
+ */
+export const MARKDOWN_IMAGE_MODES = ['none', 'remote', 'local'];
+
+/**
+ * Default front matter template
+ * Placeholders in {{...}} are replaced with article values, lines with empty values are dropped
+ * @readonly
+ */
+export const DEFAULT_FRONT_MATTER_TEMPLATE = [
+  'title: {{title}}',
+  'author: {{author}}',
+  'source: {{url}}',
+  'published: {{published}}',
+  'clipped: {{clipped}}',
+  'language: {{language}}',
+  'tags: {{tags}}',
+  'word_count: {{word_count}}',
+  'abstract: {{abstract}}'
+].join('\n');
+
+/**
+ * Folder for images inside article folder (local image mode)
+ * @readonly
+ */
+export const MARKDOWN_IMAGES_FOLDER = 'images';
+
+const PLACEHOLDER_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+/**
+ * Get Markdown export settings from storage
+ * Falls back to plain output if storage is not available
+ * @returns {Promise<{frontMatter: boolean, template: string, imageMode: string}>}
+ */
+export async function getMarkdownExportSettings() {
+  const defaults = { frontMatter: false, template: DEFAULT_FRONT_MATTER_TEMPLATE, imageMode: 'none' };
+  try {
+    const settings = await chrome.storage.local.get(Object.values(MARKDOWN_SETTINGS_KEYS));
+    const template = String(settings[MARKDOWN_SETTINGS_KEYS.FRONT_MATTER_TEMPLATE] || '').trim();
+    const imageMode = settings[MARKDOWN_SETTINGS_KEYS.IMAGES];
+    return {
+      frontMatter: settings[MARKDOWN_SETTINGS_KEYS.FRONT_MATTER] === true,
+      template: template || DEFAULT_FRONT_MATTER_TEMPLATE,
+      imageMode: typeof imageMode === 'string' && MARKDOWN_IMAGE_MODES.includes(imageMode) ? imageMode : 'none'
+    };
+  } catch (error) {
+    logWarn('Failed to load Markdown export settings, using defaults', error);
+    return defaults;
+  }
+}
+
+/**
+ * Convert value to YAML scalar or flow sequence
+ * Strings are always double-quoted (JSON string is valid YAML) so colons, hashes and quotes are safe
+ * @param {string|number|Array<string>} value - Value
+ * @returns {string} YAML value
+ */
+export function toYamlValue(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(item => JSON.stringify(String(item))).join(', ')}]`;
+  }
+  if (typeof value === 'number') {
+    return String(value);
+  }
+  return JSON.stringify(String(value));
+}
+
+/**
+ * Check that placeholder value is empty
+ * @param {any} value - Placeholder value
+ * @returns {boolean}
+ */
+function isEmptyValue(value) {
+  return value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+/**
+ * Render YAML front matter block from template
+ * When placeholder is the whole value of a key, it is inserted as YAML value (quoted string or list),
+ * otherwise as plain text. Lines whose placeholders are all empty are dropped
+ * @param {string} template - Template lines (key: {{placeholder}}), optional --- fences are ignored
+ * @param {Object<string, string|number|Array<string>>} values - Placeholder values
+ * @returns {string} Front matter with --- fences and trailing blank line, empty if nothing to write
+ */
+export function renderFrontMatter(template, values) {
+  const lines = [];
+  for (const line of String(template || '').split(/\r?\n/)) {
+    if (/^\s*---\s*$/.test(line)) {
+      continue;
+    }
+    const names = Array.from(line.matchAll(PLACEHOLDER_PATTERN), match => match[1]);
+    if (names.length > 0 && names.every(name => isEmptyValue(values[name]))) {
+      continue;
+    }
+
+    const wholeValue = line.match(/^(\s*[^:#\s][^:#]*:\s*)\{\{\s*(\w+)\s*\}\}\s*$/);
+    if (wholeValue) {
+      lines.push(`${wholeValue[1]}${toYamlValue(values[wholeValue[2]])}`);
+      continue;
+    }
+    lines.push(line.replace(PLACEHOLDER_PATTERN, (_, name) => {
+      const value = values[name];
+      if (isEmptyValue(value)) return '';
+      return Array.isArray(value) ? value.join(', ') : String(value);
+    }).trimEnd());
+  }
+
+  const body = lines.filter(line => line.trim()).join('\n');
+  return body ? `---\n${body}\n---\n\n` : '';
+}
+
+/**
+ * Convert keywords to tags usable in note apps (no spaces, no # or commas)
+ * @param {Array<string>} keywords - Keywords
+ * @returns {Array<string>} Unique tags
+ */
+export function keywordsToTags(keywords) {
+  const tags = [];
+  for (const keyword of keywords || []) {
+    const tag = String(keyword)
+      .trim()
+      .toLowerCase()
+      .replace(/[#,]/g, '')
+      .replace(/\s+/g, '-');
+    if (tag && !tags.includes(tag)) {
+      tags.push(tag);
+    }
+  }
+  return tags;
+}
+
+/**
+ * Count words in article content
+ * CJK characters are counted one per word since these languages do not use spaces
+ * @param {Array<import('../types.js').ContentItem>} content - Content items
+ * @returns {number} Word count
+ */
+export function countContentWords(content) {
+  let count = 0;
+  for (const item of content || []) {
+    if (!item || item.type === 'image') continue;
+    const parts = [item.text || item.html || item.content || item.code || ''];
+    if (Array.isArray(item.items)) {
+      for (const listItem of item.items) {
+        parts.push(typeof listItem === 'string' ? listItem : (listItem?.html || listItem?.text || ''));
+      }
+    }
+    if (Array.isArray(item.rows)) {
+      parts.push(...item.rows.flat());
+    }
+    const text = stripHtml(parts.join(' '));
+    const cjk = text.match(/[぀-ヿ㐀-䶿一-鿿가-힯]/g) || [];
+    const words = text
+      .replace(/[぀-ヿ㐀-䶿一-鿿가-힯]/g, ' ')
+      .split(/\s+/)
+      .filter(word => /[\p{L}\p{N}]/u.test(word));
+    count += cjk.length + words.length;
+  }
+  return count;
+}
+
+/**
+ * Get file extension for image
+ * @param {string} src - Image URL or data URL
+ * @returns {string} Extension without dot
+ */
+export function getImageExtension(src) {
+  const dataType = String(src || '').match(/^data:image\/([a-z0-9.+-]+)[;,]/i)?.[1]?.toLowerCase();
+  const ext = dataType || String(src || '').split(/[?#]/)[0].match(/\.([a-z0-9]{2,5})$/i)?.[1]?.toLowerCase() || '';
+  const normalized = ext === 'jpeg' ? 'jpg' : ext === 'svg+xml' ? 'svg' : ext;
+  return ['jpg', 'png', 'gif', 'webp', 'avif', 'svg', 'bmp'].includes(normalized) ? normalized : 'jpg';
+}
+
+/**
+ * Create image link resolver for Markdown output
+ * In local mode every unique image gets relative path (images/image-001.jpg) that is collected for download
+ * @param {string} imageMode - Image mode (see MARKDOWN_IMAGE_MODES)
+ * @returns {{resolve: function(string): string, downloads: Array<{src: string, path: string}>}}
+ */
+export function createImageLinkResolver(imageMode) {
+  /** @type {Array<{src: string, path: string}>} */
+  const downloads = [];
+  const paths = new Map();
+
+  /**
+   * @param {string} src - Image URL or data URL
+   * @returns {string} Link for Markdown, empty if image must be skipped
+   */
+  function resolve(src) {
+    if (!src || imageMode === 'none') {
+      return '';
+    }
+    if (imageMode === 'remote') {
+      // Data URLs would bloat the note, only real URLs are linked
+      return /^https?:\/\//i.test(src) ? src : '';
+    }
+    if (!paths.has(src)) {
+      const index = String(downloads.length + 1).padStart(3, '0');
+      const path = `${MARKDOWN_IMAGES_FOLDER}/image-${index}.${getImageExtension(src)}`;
+      paths.set(src, path);
+      downloads.push({ src, path });
+    }
+    return paths.get(src);
+  }
+
+  return { resolve, downloads };
+}
+
+/**
+ * Download images into article folder
+ * Failed images are logged and skipped, Markdown keeps relative link
+ * @param {Array<{src: string, path: string}>} images - Images to download
+ * @param {string} folder - Article folder inside Downloads
+ * @param {function(): boolean} [isCancelled] - Cancellation check
+ * @returns {Promise<number>} Number of started downloads
+ */
+export async function downloadMarkdownImages(images, folder, isCancelled = () => false) {
+  let started = 0;
+  for (const image of images) {
+    if (isCancelled()) {
+      break;
+    }
+    try {
+      await chrome.downloads.download({
+        url: image.src,
+        filename: `${folder}/${image.path}`,
+        conflictAction: 'overwrite',
+        saveAs: false
+      });
+      started++;
+    } catch (error) {
+      logWarn('Failed to download Markdown image', { path: image.path, error: error?.message });
+    }
+  }
+  log('Markdown images downloaded', { total: images.length, started });
+  return started;
+}
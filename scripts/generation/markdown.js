@@ -14,6 +14,15 @@ import { isCancelled } from '../state/processing.js';
 import { getUILanguage, tSync } from '../locales.js';
 import { isAnonymousAuthor, cleanAuthor } from '../utils/author-validator.js';
 import { handleError } from '../utils/error-handler.js';
+import {
+  getMarkdownExportSettings,
+  renderFrontMatter,
+  keywordsToTags,
+  countContentWords,
+  createImageLinkResolver,
+  downloadMarkdownImages
+} from './markdown-export.js';
+import { getOriginalListItem } from '../translation/bilingual.js';
 
 // Simple cache for localization strings (performance optimization)
 // Limited to prevent unbounded growth
@@ -61,7 +70,7 @@ function getLocalization(language) {
  * @see {@link generateEpub} For EPUB generation (similar structure)
  */
 export async function generateMarkdown(data, updateState) {
-  const { content, title, author = '', sourceUrl = '', publishDate = '', generateToc = false, generateAbstract = false, abstract = '', language = 'en', apiKey, model } = data;
+  const { content, title, author = '', sourceUrl = '', publishDate = '', generateToc = false, generateAbstract = false, abstract = '', language = 'en', apiKey, model, metadata = null } = data;
   
   log('=== MARKDOWN GENERATION START ===');
   log('Input', { title, author, contentItems: content?.length, generateToc });
@@ -92,6 +101,10 @@ export async function generateMarkdown(data, updateState) {
   
   if (updateState) updateState({ status: 'Building Markdown...', progress: 85 });
   
+  const exportSettings = await getMarkdownExportSettings();
+  const imageLinks = createImageLinkResolver(exportSettings.imageMode);
+  const saveImagesLocally = exportSettings.imageMode === 'local';
+  
   // Collect headings for TOC
   const headings = [];
   for (const item of content) {
@@ -107,16 +120,32 @@ export async function generateMarkdown(data, updateState) {
   
   let markdown = '';
   
+  // CRITICAL: Clean title from any markdown syntax (like #) that might have been added during translation or abstract generation
+  // Title should be plain text, not markdown
+  let cleanedTitle = (title || '').trim();
+  // Remove any leading markdown heading syntax (#, ##, ###, etc.)
+  cleanedTitle = cleanedTitle.replace(/^#+\s*/, '').trim();
+  // Remove any trailing markdown syntax
+  cleanedTitle = cleanedTitle.replace(/\s*#+$/, '').trim();
+  
+  // YAML front matter (optional) must be the very first thing in file
+  if (exportSettings.frontMatter) {
+    markdown += renderFrontMatter(exportSettings.template, {
+      title: cleanedTitle,
+      author: cleanAuthor(author),
+      url: sourceUrl,
+      site: metadata?.publisher || '',
+      published: publishDate,
+      clipped: new Date().toISOString().slice(0, 10),
+      language: language === 'auto' ? '' : language,
+      tags: keywordsToTags(metadata?.keywords),
+      word_count: countContentWords(content),
+      abstract: generateAbstract && abstract ? abstract : ''
+    });
+  }
+  
   // Add title
-  if (title) {
-    // CRITICAL: Clean title from any markdown syntax (like #) that might have been added during translation or abstract generation
-    // Title should be plain text, not markdown
-    let cleanedTitle = title.trim();
-    // Remove any leading markdown heading syntax (#, ##, ###, etc.)
-    cleanedTitle = cleanedTitle.replace(/^#+\s*/, '').trim();
-    // Remove any trailing markdown syntax
-    cleanedTitle = cleanedTitle.replace(/\s*#+$/, '').trim();
-    // Now add the markdown heading syntax
+  if (cleanedTitle) {
     markdown += `# ${cleanedTitle}\n\n`;
   }
   
@@ -145,6 +174,7 @@ export async function generateMarkdown(data, updateState) {
   const dateLabel = l10n.date || 'Date';
   const sourceLabel = l10n.source || 'Source';
   const authorLabel = l10n.author || 'Author';
+  const publisherLabel = l10n.publisher || 'Publisher';
   const contentsLabel = l10n.contents || 'Contents';
   
   // Format ISO date to readable format before translation
@@ -167,6 +197,7 @@ export async function generateMarkdown(data, updateState) {
   if (cleanedAuthor) {
     metaItems.push(`**${authorLabel}:** ${cleanedAuthor}`);
   }
+  if (metadata?.publisher && metadata.publisher !== cleanedAuthor) metaItems.push(`**${publisherLabel}:** ${metadata.publisher}`);
   if (translatedDate) metaItems.push(`**${dateLabel}:** ${translatedDate}`);
   if (sourceUrl) {
     // Extract only filename from URL (for local files, show just the filename)
@@ -211,6 +242,7 @@ export async function generateMarkdown(data, updateState) {
     }
     metaItems.push(`**${sourceLabel}:** ${displaySource}`);
   }
+  if (metadata?.doi) metaItems.push(`**DOI:** [${metadata.doi}](https://doi.org/${metadata.doi})`);
   
   if (metaItems.length > 0) {
     markdown += metaItems.join('  \n') + '\n\n';
@@ -246,7 +278,7 @@ export async function generateMarkdown(data, updateState) {
     }
     
     // Add appropriate spacing based on previous item type
-    const itemMarkdown = contentItemToMarkdown(item);
+    const itemMarkdown = contentItemToMarkdown(item, imageLinks.resolve);
     if (itemMarkdown) {
       let cleanedMarkdown = itemMarkdown;
       
@@ -324,8 +356,13 @@ export async function generateMarkdown(data, updateState) {
   });
   
   // Generate safe filename
+  // With local images, note and images are saved together into article folder (no Save As dialog,
+  // otherwise relative image links would break if user picks another folder)
   const safeTitle = sanitizeFilename(title || 'article');
-  const filename = `${safeTitle}.md`;
+  const filename = saveImagesLocally ? `${safeTitle}/${safeTitle}.md` : `${safeTitle}.md`;
+  const saveOptions = saveImagesLocally
+    ? { saveAs: false, conflictAction: /** @type {const} */ ('overwrite') }
+    : { saveAs: true };
   
   // Check if processing was cancelled before downloading
   if (isCancelled()) {
@@ -351,7 +388,7 @@ export async function generateMarkdown(data, updateState) {
       await chrome.downloads.download({
         url: objectUrl,
         filename: filename,
-        saveAs: true
+        ...saveOptions
       });
       log('Downloading Markdown file', { filename, length: markdown.length });
     } finally {
@@ -381,11 +418,15 @@ export async function generateMarkdown(data, updateState) {
     await chrome.downloads.download({
       url: dataUrl,
       filename: filename,
-      saveAs: true
+      ...saveOptions
     });
     log('Downloading Markdown (data URL fallback)...', { filename, length: markdown.length });
   }
   
+  if (saveImagesLocally && imageLinks.downloads.length > 0) {
+    await downloadMarkdownImages(imageLinks.downloads, safeTitle, isCancelled);
+  }
+  
   log('=== MARKDOWN GENERATION END ===');
   if (updateState) {
     const uiLang = await getUILanguage();
@@ -395,12 +436,23 @@ export async function generateMarkdown(data, updateState) {
   return markdown;
 }
 
+/**
+ * Render original of translated block as blockquote (bilingual export)
+ * @param {string} text - Original as Markdown, empty if block was not translated
+ * @returns {string} Markdown text
+ */
+function quoteOriginal(text) {
+  if (!text.trim()) return '';
+  return `${text.trim().split('\n').map(line => `> ${line}`).join('\n')}\n\n`;
+}
+
 /**
  * Convert single content item to Markdown
  * @param {import('../types.js').ContentItem} item - Content item
+ * @param {function(string): string} [resolveImage] - Returns image link for source, empty to skip image
  * @returns {string} Markdown text
  */
-function contentItemToMarkdown(item) {
+function contentItemToMarkdown(item, resolveImage) {
   if (!item || !item.type) return '';
   
   // Helper to format text with bold/italic/underline
@@ -800,7 +852,7 @@ function contentItemToMarkdown(item) {
       }
       if (!text.trim()) return '';
       // Headings: one newline before, one after (will be cleaned up if needed)
-      return `\n${prefix} ${text}\n\n`;
+      return `\n${prefix} ${text}\n\n${quoteOriginal(stripHtml(item.original || ''))}`;
     }
     
     case 'paragraph': {
@@ -808,7 +860,7 @@ function contentItemToMarkdown(item) {
       const text = formatTextWithFragments(item);
       if (!text.trim()) return '';
       // Paragraphs: just text with one newline after (no leading newline)
-      return `${text}\n\n`;
+      return `${text}\n\n${quoteOriginal(htmlToMarkdown(item.original || ''))}`;
     }
     
     case 'quote':
@@ -816,7 +868,7 @@ function contentItemToMarkdown(item) {
       const text = htmlToMarkdown(item.text || '');
       if (!text.trim()) return '';
       const quoted = text.split('\n').map(line => `> ${line}`).join('\n');
-      return `${quoted}\n\n`;
+      return `${quoted}\n\n${quoteOriginal(htmlToMarkdown(item.original || ''))}`;
     }
     
     case 'code': {
@@ -933,6 +985,10 @@ function contentItemToMarkdown(item) {
         
         // Format item with proper indentation
         listMd += `${indent}${prefix} ${text}\n`;
+        const original = htmlToMarkdown(getOriginalListItem(item, index)).trim();
+        if (original) {
+          listMd += `${indent}  > ${original.replace(/\n+/g, ' ')}\n`;
+        }
       });
       
       // CRITICAL: Return list without trailing newline - spacing is handled by main loop
@@ -941,8 +997,16 @@ function contentItemToMarkdown(item) {
     }
     
     case 'image': {
-      // Skip images in markdown output
-      return '';
+      // Images are skipped unless enabled in Markdown export settings
+      const link = resolveImage ? resolveImage(item.src || item.url || '') : '';
+      if (!link) {
+        return '';
+      }
+      const alt = stripHtml(item.alt || '').replace(/[\[\]]/g, '').trim();
+      // Angle brackets keep links with spaces or parentheses valid
+      const target = /[\s()]/.test(link) ? `<${link}>` : link;
+      const caption = item.caption ? htmlToMarkdown(item.caption).trim() : '';
+      return `![${alt}](${target})\n\n${caption ? `*${caption}*\n\n` : ''}`;
     }
     
     case 'hr':
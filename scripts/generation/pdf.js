@@ -17,6 +17,7 @@ import { handleError } from '../utils/error-handler.js';
 import { sanitizeFilename } from '../utils/security.js';
 import { PROCESSING_STAGES, isCancelled } from '../state/processing.js';
 import { isAnonymousAuthor, cleanAuthor } from '../utils/author-validator.js';
+import { buildAnthologyPdfContent } from './anthology.js';
 
 /**
  * Generate PDF from content
@@ -53,11 +54,12 @@ export async function generatePdf(data, updateState) {
     content, title, author = '', pageMode = 'single', sourceUrl = '', publishDate = '', 
     generateToc = false, generateAbstract = false, abstract = '', language = 'auto', apiKey = '', model = 'gpt-5.1',
     fontFamily = '', fontSize = '31', bgColor = '#303030', textColor = '#b9b9b9',
-    headingColor = '#cfcfcf', linkColor = '#6cacff'
+    headingColor = '#cfcfcf', linkColor = '#6cacff', chapters = null, metadata = null, bilingual = 'off'
   } = data;
+  const isAnthology = Array.isArray(chapters) && chapters.length > 0;
   
   log('=== PDF GENERATION START ===');
-  log('Input', { title, author, contentItems: content?.length, pageMode, generateToc });
+  log('Input', { title, author, contentItems: content?.length, pageMode, generateToc, chapters: isAnthology ? chapters.length : 0 });
   
   const uiLang = await getUILanguage();
   if (!content || content.length === 0) {
@@ -108,7 +110,7 @@ export async function generatePdf(data, updateState) {
     log('Date pre-formatted from ISO', { original: publishDate, formatted: formattedDate });
   }
   
-  if (language !== 'auto' && apiKey) {
+  if (language !== 'auto' && apiKey && !isAnthology) {
     if (updateState) updateState({ status: 'Translating metadata...', progress: 68 });
     
     // CRITICAL: Clean author BEFORE translation to avoid translating "anonymous" to anonymous variants
@@ -234,12 +236,15 @@ export async function generatePdf(data, updateState) {
       });
     }
     
+    // Anthology: chapters are joined into one document, chapter titles become level 2 headings
+    const documentContent = isAnthology ? buildAnthologyPdfContent(chapters, language, generateAbstract) : content;
+    
     // Collect headings and assign IDs for TOC
     if (generateToc) {
       log(`📑 Collecting headings for table of contents`);
     }
     const headings = [];
-    const contentWithIds = content.map((item, index) => {
+    const contentWithIds = documentContent.map((item, index) => {
       if (item.type === 'heading' && item.level >= 2) {
         const text = item.text ? item.text.replace(/<[^>]*>/g, '').trim() : '';
         const id = item.id || `toc-heading-${index}`;
@@ -252,6 +257,9 @@ export async function generatePdf(data, updateState) {
     // Clean title from soft hyphens and special characters
     const cleanedTitle = cleanTitle(title || '');
     
+    // Anthology always has book TOC with chapters; chapter headings are added only if TOC is enabled
+    const tocHeadings = isAnthology && !generateToc ? headings.filter(h => h.level === 2) : headings;
+    
     const htmlContent = buildHtmlForPdf(
       contentWithIds,
       cleanedTitle,
@@ -260,10 +268,12 @@ export async function generatePdf(data, updateState) {
       sourceUrl,
       formattedDate,
       language,
-      generateToc,
-      headings,
-      generateAbstract,
-      abstract
+      generateToc || isAnthology,
+      tocHeadings,
+      generateAbstract && !isAnthology,
+      abstract,
+      metadata,
+      bilingual
     );
     log('HTML built', { length: htmlContent.length, tocEnabled: generateToc, headingsCount: headings.length });
     if (generateToc && headings.length > 1) {
@@ -0,0 +1,106 @@
+// @ts-check
+// RSS 2.0 feed with iTunes namespace for podcast library
+// Feed and media files are placed in one directory, episode enclosures point to baseUrl + file name.
+
+import { escapeXml } from '../utils/escape.js';
+import { getLanguageTag } from '../utils/languages.js';
+
+/**
+ * Feed file name in exported directory
+ * @readonly
+ */
+export const PODCAST_FEED_FILENAME = 'feed.xml';
+
+/**
+ * Format duration for itunes:duration
+ * @param {number} seconds - Duration in seconds
+ * @returns {string} H:MM:SS or M:SS
+ */
+export function formatItunesDuration(seconds) {
+  const total = Math.max(0, Math.round(Number(seconds) || 0));
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const secs = String(total % 60).padStart(2, '0');
+  return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+}
+
+/**
+ * Build URL of file in feed directory
+ * @param {string} baseUrl - Directory URL
+ * @param {string} filename - File name
+ * @returns {string} File URL (relative file name if base URL is empty)
+ */
+export function getPodcastFileUrl(baseUrl, filename) {
+  const base = String(baseUrl || '').trim();
+  const name = encodeURIComponent(filename);
+  if (!base) return name;
+  return base.endsWith('/') ? `${base}${name}` : `${base}/${name}`;
+}
+
+/**
+ * Get most common episode language
+ * @param {Array<import('./podcast-library.js').PodcastEpisode>} episodes - Episodes
+ * @returns {string} Language tag, empty if unknown
+ */
+function getFeedLanguage(episodes) {
+  /** @type {Record<string, number>} */
+  const counts = {};
+  for (const episode of episodes) {
+    const tag = getLanguageTag(episode.language);
+    if (tag !== 'und') {
+      counts[tag] = (counts[tag] || 0) + 1;
+    }
+  }
+  return Object.keys(counts).sort((a, b) => counts[b] - counts[a])[0] || '';
+}
+
+/**
+ * Build feed item of episode
+ * @param {import('./podcast-library.js').PodcastEpisode} episode - Episode
+ * @param {string} baseUrl - Directory URL
+ * @returns {string} Item XML
+ */
+function buildItem(episode, baseUrl) {
+  const description = escapeXml(episode.description);
+  return `    <item>
+      <title>${escapeXml(episode.title)}</title>
+      <guid isPermaLink="false">${escapeXml(episode.id)}</guid>
+      <pubDate>${new Date(episode.createdAt).toUTCString()}</pubDate>
+      <enclosure url="${escapeXml(getPodcastFileUrl(baseUrl, episode.filename))}" length="${episode.size}" type="${escapeXml(episode.mimeType)}"/>
+${episode.sourceUrl ? `      <link>${escapeXml(episode.sourceUrl)}</link>\n` : ''}      <description>${description}</description>
+      <itunes:summary>${description}</itunes:summary>
+${episode.author ? `      <itunes:author>${escapeXml(episode.author)}</itunes:author>\n` : ''}      <itunes:duration>${formatItunesDuration(episode.duration)}</itunes:duration>
+      <itunes:explicit>false</itunes:explicit>
+    </item>`;
+}
+
+/**
+ * Build podcast feed
+ * @param {Array<import('./podcast-library.js').PodcastEpisode>} episodes - Episodes, newest first
+ * @param {import('./podcast-library.js').PodcastFeedSettings} feed - Feed settings
+ * @returns {string} RSS XML
+ */
+export function buildPodcastFeed(episodes, feed) {
+  const title = escapeXml(feed.title || 'ClipAIble');
+  const description = escapeXml(feed.description || feed.title || 'ClipAIble');
+  const language = getFeedLanguage(episodes);
+  const lastBuild = episodes.length > 0 ? Math.max(...episodes.map(episode => episode.createdAt)) : Date.now();
+  const channelLink = feed.baseUrl ? escapeXml(feed.baseUrl) : '';
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:itunes="http://www.itunes.com/dtds/podcast-1.0.dtd" xmlns:atom="http://www.w3.org/2005/Atom">
+  <channel>
+    <title>${title}</title>
+    <description>${description}</description>
+${channelLink ? `    <link>${channelLink}</link>
+    <atom:link href="${escapeXml(getPodcastFileUrl(feed.baseUrl, PODCAST_FEED_FILENAME))}" rel="self" type="application/rss+xml"/>
+` : ''}${language ? `    <language>${escapeXml(language)}</language>\n` : ''}    <lastBuildDate>${new Date(lastBuild).toUTCString()}</lastBuildDate>
+    <generator>ClipAIble</generator>
+    <itunes:summary>${description}</itunes:summary>
+${feed.author ? `    <itunes:author>${escapeXml(feed.author)}</itunes:author>\n` : ''}    <itunes:explicit>false</itunes:explicit>
+    <itunes:type>episodic</itunes:type>
+${episodes.map(episode => buildItem(episode, feed.baseUrl)).join('\n')}
+  </channel>
+</rss>
+`;
+}
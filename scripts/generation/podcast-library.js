@@ -0,0 +1,184 @@
+// @ts-check
+// Personal podcast library of generated audio
+// Audio is kept in IndexedDB (shared audio storage), episode list and feed settings in chrome.storage.local.
+// Library is exported as RSS feed with media files (scripts/generation/podcast-feed.js, scripts/api/podcast-publish.js).
+
+import { logWarn } from '../utils/logging.js';
+import { saveAudioFile, readAudioFile, removeAudioFile } from '../utils/storage/audio-files.js';
+
+/**
+ * Setting that adds generated audio to podcast library
+ * @readonly
+ */
+export const PODCAST_LIBRARY_SETTING_KEY = 'podcast_library';
+
+/**
+ * Storage keys of episode list, feed settings and encrypted publishing secret (password or S3 secret key)
+ * @readonly
+ */
+export const PODCAST_EPISODES_STORAGE_KEY = 'podcast_episodes';
+export const PODCAST_FEED_STORAGE_KEY = 'podcast_feed';
+export const PODCAST_SECRET_STORAGE_KEY = 'podcast_publish_secret';
+
+/**
+ * Maximum length of episode description taken from article text
+ * @readonly
+ */
+const DESCRIPTION_MAX_LENGTH = 400;
+
+/**
+ * @typedef {Object} PodcastEpisode
+ * @property {string} id - Episode ID
+ * @property {string} title - Article title
+ * @property {string} description - Abstract or beginning of article
+ * @property {string} author - Article author
+ * @property {string} sourceUrl - Article URL
+ * @property {string} language - Article language
+ * @property {string} mimeType - Audio MIME type
+ * @property {string} filename - Media file name in feed (ASCII, unique)
+ * @property {number} size - Audio size in bytes
+ * @property {number} duration - Estimated duration in seconds
+ * @property {number} createdAt - Creation time
+ */
+
+/**
+ * @typedef {Object} PodcastFeedSettings
+ * @property {string} title - Feed title
+ * @property {string} author - Feed author
+ * @property {string} description - Feed description
+ * @property {string} baseUrl - Public URL of directory with feed.xml and media files
+ * @property {string} target - Publishing target: 'none', 'webdav' or 's3'
+ * @property {string} targetUrl - WebDAV directory URL or S3 URL with bucket and optional prefix
+ * @property {string} username - WebDAV user or S3 access key ID
+ * @property {string} region - S3 region
+ */
+
+/** @type {PodcastFeedSettings} */
+export const DEFAULT_PODCAST_FEED = {
+  title: 'ClipAIble',
+  author: '',
+  description: '',
+  baseUrl: '',
+  target: 'none',
+  targetUrl: '',
+  username: '',
+  region: 'us-east-1'
+};
+
+/**
+ * Get IndexedDB key of episode audio
+ * @param {string} id - Episode ID
+ * @returns {string} Storage key
+ */
+function getAudioKey(id) {
+  return `podcast_${id}`;
+}
+
+/**
+ * Build media file name of episode: ASCII slug of title and ID, so names are safe in URLs
+ * @param {string} title - Episode title
+ * @param {string} id - Episode ID
+ * @param {string} extension - File extension
+ * @returns {string} File name
+ */
+export function getEpisodeFilename(title, id, extension) {
+  const slug = String(title || '')
+    .normalize('NFKD')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60)
+    .replace(/-+$/, '');
+  return `${slug ? `${slug}-` : ''}${id}.${extension}`;
+}
+
+/**
+ * Build episode description: abstract if generated, otherwise beginning of spoken text
+ * @param {string} abstract - Article abstract
+ * @param {string} text - Spoken text
+ * @returns {string} Description
+ */
+export function buildEpisodeDescription(abstract, text) {
+  const source = String(abstract || text || '').replace(/\s+/g, ' ').trim();
+  if (source.length <= DESCRIPTION_MAX_LENGTH) {
+    return source;
+  }
+  const cut = source.slice(0, DESCRIPTION_MAX_LENGTH);
+  const lastSpace = cut.lastIndexOf(' ');
+  return `${cut.slice(0, lastSpace > 0 ? lastSpace : cut.length)}…`;
+}
+
+/**
+ * Get episodes, newest first
+ * @returns {Promise<Array<PodcastEpisode>>}
+ */
+export async function getPodcastEpisodes() {
+  try {
+    const result = await chrome.storage.local.get([PODCAST_EPISODES_STORAGE_KEY]);
+    const episodes = result[PODCAST_EPISODES_STORAGE_KEY];
+    return Array.isArray(episodes) ? episodes : [];
+  } catch (error) {
+    logWarn('Failed to load podcast episodes', error);
+    return [];
+  }
+}
+
+/**
+ * Get feed settings merged with defaults
+ * @returns {Promise<PodcastFeedSettings>}
+ */
+export async function getPodcastFeedSettings() {
+  try {
+    const result = await chrome.storage.local.get([PODCAST_FEED_STORAGE_KEY]);
+    const saved = /** @type {Partial<PodcastFeedSettings>|undefined} */ (result[PODCAST_FEED_STORAGE_KEY]);
+    return { ...DEFAULT_PODCAST_FEED, ...(saved || {}) };
+  } catch (error) {
+    logWarn('Failed to load podcast feed settings', error);
+    return { ...DEFAULT_PODCAST_FEED };
+  }
+}
+
+/**
+ * Add audio to podcast library
+ * @param {Omit<PodcastEpisode, 'id'|'createdAt'|'filename'|'size'> & {buffer: ArrayBuffer, extension: string}} data - Audio and its description
+ * @returns {Promise<PodcastEpisode>} Added episode
+ * @throws {Error} If audio cannot be saved to IndexedDB
+ */
+export async function addPodcastEpisode(data) {
+  const { buffer, extension, ...description } = data;
+  const id = `${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  await saveAudioFile(getAudioKey(id), buffer);
+
+  /** @type {PodcastEpisode} */
+  const episode = {
+    ...description,
+    id,
+    filename: getEpisodeFilename(description.title, id, extension),
+    size: buffer.byteLength,
+    createdAt: Date.now()
+  };
+  await chrome.storage.local.set({ [PODCAST_EPISODES_STORAGE_KEY]: [episode, ...await getPodcastEpisodes()] });
+  return episode;
+}
+
+/**
+ * Remove episode and its audio
+ * @param {string} id - Episode ID
+ * @returns {Promise<void>}
+ */
+export async function removePodcastEpisode(id) {
+  const episodes = await getPodcastEpisodes();
+  await chrome.storage.local.set({
+    [PODCAST_EPISODES_STORAGE_KEY]: episodes.filter(episode => episode.id !== id)
+  });
+  await removeAudioFile(getAudioKey(id));
+}
+
+/**
+ * Read audio of episode
+ * @param {string} id - Episode ID
+ * @returns {Promise<ArrayBuffer|null>} Audio data, null if not found
+ */
+export async function readPodcastAudio(id) {
+  return readAudioFile(getAudioKey(id));
+}
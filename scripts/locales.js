@@ -566,7 +566,246 @@ export const UI_LOCALES = {
     close: 'Close',
     noTabAvailable: 'No active tab found. Please open a web page.',
     errorPrintPage: 'Error',
-    unknownError: 'Unknown error'
+    unknownError: 'Unknown error',
+    contextMenuAddToQueue: 'Add to queue',
+    queue: 'Queue',
+    queueTitle: 'Batch queue',
+    queueAddWindowTabs: 'Save all open tabs in this window',
+    queueUrlsPlaceholder: 'Paste URLs, one per line',
+    queueAddUrls: 'Add URLs',
+    queueClearFinished: 'Clear finished',
+    queueEmpty: 'Queue is empty',
+    queueJobsAdded: 'Added to queue: {count}',
+    queueNothingAdded: 'No new web pages to add',
+    queueStatusPending: 'Waiting',
+    queueStatusRunning: 'Processing',
+    queueStatusDone: 'Done',
+    queueStatusError: 'Failed',
+    queueStatusCancelled: 'Cancelled',
+    queueRetry: 'Retry',
+    queueRemove: 'Remove',
+    queueFinishedNotification: 'Queue finished: {done} saved, {failed} failed',
+    errorQueueTabLoadTimeout: 'Page did not finish loading in time',
+    errorQueueJobNotStarted: 'Processing could not be started',
+    queueAnthology: 'Combine into one book (EPUB, FB2, PDF)',
+    queueAnthologyChapter: 'Book chapter',
+    errorAnthologyUnsupportedFormat: 'Only EPUB, FB2 and PDF can combine several articles into one book',
+    errorAnthologyNoChapters: 'No processed articles to combine into a book',
+    customEndpoint: 'Custom endpoint (OpenAI-compatible)',
+    customApiKey: 'API Key (optional)',
+    enterCustomApiKey: 'Leave empty if server has no authentication',
+    customEndpointUrl: 'Endpoint URL',
+    customAllowLocal: 'Allow localhost and local network addresses',
+    customEndpointHint: 'Any OpenAI-compatible server: Ollama, LM Studio, vLLM, llama.cpp. Article text is sent only to this server',
+    fetchCustomModels: 'Load models',
+    customModelsLoaded: 'Models loaded: {count}',
+    errorCustomEndpointNotConfigured: 'Custom endpoint URL is not set. Enter it in settings and save',
+    errorCustomEndpointInvalidUrl: 'Invalid endpoint URL. Use http:// or https:// address, e.g. http://localhost:11434/v1',
+    errorCustomEndpointLocalBlocked: 'Endpoint URL points to localhost or local network. Enable "Allow localhost and local network addresses" to use it',
+    errorCustomEndpointUnreachable: 'Cannot connect to {url}. Check that the server is running and allows requests from the extension (for Ollama set OLLAMA_ORIGINS)',
+    errorCustomEndpointNoModels: 'Server returned no models. Download a model on the server or add model name manually',
+    errorCustomEndpointModelNotFound: 'Model "{model}" is not available on the server. Load models again or check model name',
+    statusLoadingNextPage: 'Loading page {0} of article...',
+    paginationMaxPages: 'Multi-page articles: maximum pages',
+    paginationMaxPagesHint: 'Next pages (rel="next", ?page=2) are loaded in background tabs and merged. 1 = current page only',
+    markdownFrontMatter: 'YAML front matter',
+    markdownFrontMatterHint: 'Metadata block for Obsidian, Logseq and other note apps',
+    markdownFrontMatterTemplate: 'Front matter template',
+    markdownFrontMatterTemplateHint: 'Placeholders: {{title}}, {{author}}, {{url}}, {{site}}, {{published}}, {{clipped}}, {{language}}, {{tags}}, {{word_count}}, {{abstract}}. Lines with empty values are skipped. Leave empty for default',
+    markdownImages: 'Images in Markdown',
+    markdownImagesNone: 'Don\'t include',
+    markdownImagesRemote: 'Link to original URLs',
+    markdownImagesLocal: 'Save next to .md file',
+    markdownImagesHint: '"Save next to .md file" saves note and images into a folder in Downloads with relative links',
+    contextMenuSaveSelectionAs: 'Save selection as',
+    errorNoSelection: 'Nothing is selected on the page. Select text and try again',
+    statusUsingUserSelectors: '👆 Using your selectors...',
+    errorUserSelectorsFailed: 'Your selectors for this site no longer match the page. Pick article content again or edit them in the selector cache',
+    pickerHintContainer: 'Click the article container',
+    pickerHintExclude: 'Click elements to exclude. ↑ selects parent, Enter saves, Esc cancels',
+    pickerDone: 'Save',
+    pickerCancel: 'Cancel',
+    errorPickerPageNotSupported: 'Article content can be picked only on web pages',
+    pickerSaved: 'Selectors for {domain} saved. They will be used instead of automatic detection and AI',
+    errorPickerFailed: 'Failed to pick article content: {error}',
+    contextMenuPickContent: 'Pick article content on page',
+    pickContentOnPage: 'Pick article content on this page',
+    pickContentHint: 'Click article container, then elements to exclude. Your selectors are used instead of automatic detection and AI',
+    userSelectorsBadge: 'yours',
+    editSelectors: 'Edit selectors',
+    selectorContainerLabel: 'Article container',
+    selectorExcludeLabel: 'Exclude (one selector per line)',
+    saveSelectors: 'Save selectors',
+    selectorContainerRequired: 'Article container selector is required',
+    selectorsSaved: 'Selectors saved',
+    selectorsSaveFailed: 'Failed to save selectors',
+    reviewBeforeGeneration: 'Review content before saving',
+    reviewBeforeGenerationHint: 'Opens extracted content for editing before translation and file generation (not used for batch queue)',
+    stageReviewing: 'Waiting for review',
+    statusWaitingForReview: 'Review the content in the opened tab and click Continue...',
+    errorReviewExpired: 'This review is no longer active: processing was finished or cancelled',
+    reviewTitle: 'Review content',
+    reviewHint: 'Edit, reorder or delete blocks, then continue to translate and generate the file.',
+    reviewDocumentTitle: 'Title',
+    reviewIncludeImages: 'Include images',
+    reviewContinue: 'Continue',
+    reviewMoveUp: 'Move up',
+    reviewMoveDown: 'Move down',
+    reviewDelete: 'Delete block',
+    reviewHeadingLevel: 'Heading level',
+    reviewIncludeImage: 'Include',
+    reviewImageCaption: 'Caption',
+    reviewBlockCount: 'Blocks: {count}',
+    reviewEmpty: 'Nothing left to save: cancel and save the page again',
+    reviewSubmitFailed: 'Failed to continue: {error}',
+    reviewTypeHeading: 'Heading',
+    reviewTypeText: 'Text',
+    reviewTypeQuote: 'Quote',
+    reviewTypeCode: 'Code',
+    reviewTypeImage: 'Image',
+    reviewTypeList: 'List',
+    reviewTypeTable: 'Table',
+    reviewTypeInfobox: 'Infobox',
+    audioM4b: 'Audiobook file (M4B)',
+    audioM4bHint: 'M4B with chapters for audiobook and podcast apps (MP3 gets chapters and tags in any case)',
+    audioCompression: 'Compress WAV audio',
+    audioCompressionOff: 'Off (WAV)',
+    audioCompressionHint: 'Encoded locally in the browser, files become about 10 times smaller',
+    audioCompressionBitrate: 'Bitrate',
+    statusCompressingAudio: 'Compressing audio to {format}...',
+    audioNarration: 'Multi-voice narration',
+    audioNarrationHint: 'Headings, quotes, image captions and interview speakers can be read by their own voices',
+    audioNarrationVoices: 'Narration voices',
+    audioNarrationHeadingVoice: 'Headings',
+    audioNarrationQuoteVoice: 'Quotes',
+    audioNarrationCaptionVoice: 'Image captions',
+    audioNarrationSpeaker1Voice: 'First speaker',
+    audioNarrationSpeaker2Voice: 'Second speaker',
+    audioNarrationVoicesHint: 'Speakers are found by labels like "Q:" or "Anna:" at paragraph start and take voices in turn',
+    audioNarrationSameVoice: 'Main voice',
+    audioNarrationPause: 'Between sections',
+    audioNarrationPauseOff: 'Nothing',
+    audioNarrationPausePause: 'Pause',
+    audioNarrationPauseChime: 'Pause with chime',
+    audioNarrationPauseHint: 'Added before headings for providers that return WAV (Piper, Google, Qwen, Respeecher)',
+    flashV2: 'Flash v2 (English, phoneme tags)',
+    pronunciationLexicon: 'Pronunciation dictionary',
+    pronunciationLexiconHint: 'One rule per line: word => respelling. [en] limits rule to article language, /regex/ matches pattern ($1 for groups), !spell reads letters, !skip removes text, /IPA/ at the end adds phonemes for ElevenLabs Flash v2',
+    pronunciationLexiconErrorLine: 'Line {line} skipped: {error}',
+    audioCache: 'Audio Cache',
+    audioCacheChunks: 'speech fragments',
+    audioCacheHint: 'Synthesized speech is kept, so failed or cancelled audio resumes where it stopped and regenerating with same voice is free',
+    clearAudioCache: 'Clear Audio Cache',
+    clearAudioCacheConfirm: 'Clear audio cache? Next audio exports will synthesize all speech again.',
+    audioCacheCleared: 'Audio cache cleared',
+    playerTitle: 'Audio player',
+    playerSpeed: 'Speed',
+    playerFollowText: 'Follow text',
+    playerDownload: 'Download',
+    playerNoTiming: 'Timing is unknown for this audio, text is not highlighted',
+    playerAudioMissing: 'Audio file not found',
+    playerEmpty: 'No audio yet. Generate an article in Audio format with the player option enabled.',
+    audioPlayer: 'Open in built-in player',
+    audioPlayerHint: 'Plays audio with highlighted text and remembers where you stopped',
+    openPlayer: 'Open player',
+    voicesTitle: 'Offline voices',
+    voicesLanguage: 'Language',
+    voicesAllLanguages: 'All languages',
+    voicesStorage: 'Storage used by voices',
+    voicesUsage: '{size} ({count} voices) · extension storage {used} of {quota}',
+    voicesStorageUnavailable: 'Voice storage is not available in this browser',
+    voicesSelectAll: 'Select all',
+    voicesDownload: 'Download selected',
+    voicesRemove: 'Remove selected',
+    voicesRemoveConfirm: 'Remove {count} downloaded voices? They will be downloaded again when used.',
+    voicesImport: 'Import from files',
+    voicesImportHint: 'Select the .onnx model and its .onnx.json config. Only voices from the list can be imported.',
+    voicesImported: 'Voices imported: {count}',
+    voicesImportUnknownVoice: 'voice is not in the list',
+    voicesImportMissingConfig: 'config file (.onnx.json) is missing',
+    voicesImportMissingModel: 'model file (.onnx) is missing',
+    voicesImportUnsupportedFile: 'not a voice file',
+    voicesImportInvalidConfig: 'config file is not a Piper voice config',
+    voicesNotDownloaded: 'Not downloaded',
+    voicesFailed: 'Failed',
+    voicesSample: 'Sample',
+    voicesSampleUnavailable: 'Sample is not available (it is loaded from the internet)',
+    manageOfflineVoices: 'Manage offline voices',
+    manageOfflineVoicesHint: 'Download voices in advance, see disk usage or import approved voice files',
+    offlineVoiceAuto: 'Auto (match content language)',
+    summaryListen: 'Listen to summary',
+    summaryExportPdf: 'Export summary as PDF',
+    summaryExportEpub: 'Export summary as EPUB',
+    summaryExportAudio: 'Export summary as audio',
+    summaryExportStarted: 'Summary export started',
+    summaryExportNotStarted: 'Summary export did not start. Wait until the current document is ready.',
+    summaryExportFailed: 'Failed to export summary',
+    errorNoSummaryToExport: 'No summary to export. Generate a summary first.',
+    podcastLibrary: 'Add to podcast feed',
+    podcastLibraryHint: 'Keeps audio in a personal podcast you can subscribe to in any podcast app',
+    openPodcast: 'Open podcast',
+    podcastTitle: 'Podcast',
+    podcastSummary: 'Episodes: {count} · {size}',
+    podcastEmpty: 'No episodes yet. Enable "Add to podcast feed" in audio settings and create audio.',
+    podcastSource: 'Source',
+    podcastRemove: 'Remove',
+    podcastRemoveConfirm: 'Remove episode "{title}"?',
+    podcastFeed: 'Feed',
+    podcastFeedTitle: 'Title',
+    podcastFeedAuthor: 'Author',
+    podcastFeedDescription: 'Description',
+    podcastBaseUrl: 'Public URL of feed folder',
+    podcastBaseUrlHint: 'Episode links in feed.xml point here. When publishing, the upload URL is used if this is empty.',
+    podcastPublishing: 'Publishing',
+    podcastTarget: 'Upload to',
+    podcastTargetNone: 'Nowhere (ZIP export only)',
+    podcastTargetS3: 'S3-compatible storage',
+    podcastTargetUrl: 'Upload URL',
+    podcastTargetUrlHint: 'WebDAV folder, or S3 endpoint with bucket and optional folder (https://s3.eu-central-1.amazonaws.com/bucket/podcast)',
+    podcastUsername: 'User or access key ID',
+    podcastSecret: 'Password or secret access key',
+    podcastRegion: 'Region',
+    podcastSave: 'Save',
+    podcastExport: 'Export ZIP',
+    podcastPublish: 'Publish',
+    podcastSecretSaved: 'Saved (type to replace)',
+    podcastSaved: 'Settings saved',
+    podcastSaveFailed: 'Failed to save settings',
+    podcastPreparing: 'Preparing feed...',
+    podcastExported: 'ZIP downloaded. Upload its contents to the feed folder and subscribe to feed.xml.',
+    podcastExportedNoUrl: 'ZIP downloaded. Set the public URL of the feed folder so podcast apps can find episode files.',
+    podcastExportFailed: 'Export failed',
+    podcastUploading: 'Uploading {done} of {total}...',
+    podcastPublished: 'Published: {uploaded} files uploaded, {skipped} already there. Subscribe to {url}',
+    podcastPublishFailed: 'Publishing failed',
+    translationBilingual: 'Keep original text',
+    translationBilingualOff: 'No, translation only',
+    translationBilingualInterleaved: 'After each paragraph',
+    translationBilingualColumns: 'Side by side (PDF)',
+    translationBilingualHint: 'Bilingual document for language learning: original follows each translated paragraph, or stands in a column next to it in PDF',
+    translationGlossary: 'Translation glossary',
+    translationGlossaryHint: 'One term per line: term => translation. !keep leaves term untranslated, [en>de] limits term to language pair, [de] to target language',
+    translationGlossaryErrorLine: 'Line {line} skipped: {error}',
+    translationGlossaryViolations: 'Last translation ({title}) did not follow: {terms}',
+    translationGlossaryRespected: 'Last translation ({title}) followed the glossary',
+    translationGlossaryImport: 'Import CSV/TBX',
+    translationGlossaryExportCsv: 'Export CSV',
+    translationGlossaryExportTbx: 'Export TBX',
+    translationGlossaryImported: 'Glossary terms added: {count}',
+    translationGlossaryImportFailed: 'Glossary import failed',
+    translationMemory: 'Translation Memory',
+    translationMemorySegments: 'segments',
+    translationMemoryHits: 'reused',
+    translationMemoryMisses: 'translated',
+    clearTranslationMemory: 'Clear Translation Memory',
+    clearTranslationMemoryConfirm: 'Remove all stored translations? Next translations will call the API again.',
+    translationMemoryCleared: 'Translation memory cleared',
+    translationMemoryReuse: 'Reuse previous translations',
+    translationMemoryHint: 'Paragraphs already translated with the same model and language are taken from translation memory without API requests',
+    translationMemoryFuzzy: 'Show similar translations to the model',
+    otherLanguage: 'Other language…',
+    customLanguage: 'Language',
+    customLanguageHint: 'Language code or name. Documents use English labels for languages not in the list'
   },
   
   ru: {
@@ -1123,7 +1362,246 @@ export const UI_LOCALES = {
     pdfFileSelectionDialogTitle: 'Выберите PDF файл',
     pdfFileSelectionDialogMessage: 'Работа с локальными файлами в браузерных расширениях имеет ограничения. Пожалуйста, выберите PDF файл, который вы хотите обработать.',
     pdfFileSelectionDialogWarning: 'Важно: Не переключайте вкладки во время обработки расширением.',
-    ok: 'ОК'
+    ok: 'ОК',
+    contextMenuAddToQueue: 'Добавить в очередь',
+    queue: 'Очередь',
+    queueTitle: 'Пакетная очередь',
+    queueAddWindowTabs: 'Сохранить все открытые вкладки этого окна',
+    queueUrlsPlaceholder: 'Вставьте ссылки, по одной в строке',
+    queueAddUrls: 'Добавить ссылки',
+    queueClearFinished: 'Очистить завершённые',
+    queueEmpty: 'Очередь пуста',
+    queueJobsAdded: 'Добавлено в очередь: {count}',
+    queueNothingAdded: 'Нет новых веб-страниц для добавления',
+    queueStatusPending: 'Ожидает',
+    queueStatusRunning: 'Обработка',
+    queueStatusDone: 'Готово',
+    queueStatusError: 'Ошибка',
+    queueStatusCancelled: 'Отменено',
+    queueRetry: 'Повторить',
+    queueRemove: 'Удалить',
+    queueFinishedNotification: 'Очередь завершена: сохранено {done}, ошибок {failed}',
+    errorQueueTabLoadTimeout: 'Страница не загрузилась вовремя',
+    errorQueueJobNotStarted: 'Не удалось начать обработку',
+    queueAnthology: 'Собрать в одну книгу (EPUB, FB2, PDF)',
+    queueAnthologyChapter: 'Глава книги',
+    errorAnthologyUnsupportedFormat: 'Объединить несколько статей в одну книгу можно только в EPUB, FB2 и PDF',
+    errorAnthologyNoChapters: 'Нет обработанных статей для сборки книги',
+    customEndpoint: 'Свой сервер (совместимый с OpenAI)',
+    customApiKey: 'API ключ (необязательно)',
+    enterCustomApiKey: 'Оставьте пустым, если сервер без авторизации',
+    customEndpointUrl: 'Адрес сервера',
+    customAllowLocal: 'Разрешить localhost и адреса локальной сети',
+    customEndpointHint: 'Любой сервер, совместимый с OpenAI: Ollama, LM Studio, vLLM, llama.cpp. Текст статей отправляется только на этот сервер',
+    fetchCustomModels: 'Загрузить модели',
+    customModelsLoaded: 'Загружено моделей: {count}',
+    errorCustomEndpointNotConfigured: 'Адрес своего сервера не указан. Введите его в настройках и сохраните',
+    errorCustomEndpointInvalidUrl: 'Неверный адрес сервера. Используйте адрес http:// или https://, например http://localhost:11434/v1',
+    errorCustomEndpointLocalBlocked: 'Адрес указывает на localhost или локальную сеть. Включите «Разрешить localhost и адреса локальной сети», чтобы использовать его',
+    errorCustomEndpointUnreachable: 'Не удалось подключиться к {url}. Проверьте, что сервер запущен и принимает запросы от расширения (для Ollama задайте OLLAMA_ORIGINS)',
+    errorCustomEndpointNoModels: 'Сервер не вернул ни одной модели. Загрузите модель на сервер или добавьте название модели вручную',
+    errorCustomEndpointModelNotFound: 'Модель «{model}» недоступна на сервере. Загрузите список моделей заново или проверьте название',
+    statusLoadingNextPage: 'Загрузка страницы {0} статьи...',
+    paginationMaxPages: 'Многостраничные статьи: максимум страниц',
+    paginationMaxPagesHint: 'Следующие страницы (rel="next", ?page=2) загружаются в фоновых вкладках и объединяются. 1 = только текущая страница',
+    markdownFrontMatter: 'YAML front matter (метаданные)',
+    markdownFrontMatterHint: 'Блок метаданных для Obsidian, Logseq и других приложений для заметок',
+    markdownFrontMatterTemplate: 'Шаблон front matter',
+    markdownFrontMatterTemplateHint: 'Подстановки: {{title}}, {{author}}, {{url}}, {{site}}, {{published}}, {{clipped}}, {{language}}, {{tags}}, {{word_count}}, {{abstract}}. Строки с пустыми значениями пропускаются. Оставьте пустым для шаблона по умолчанию',
+    markdownImages: 'Изображения в Markdown',
+    markdownImagesNone: 'Не добавлять',
+    markdownImagesRemote: 'Ссылки на оригинальные URL',
+    markdownImagesLocal: 'Сохранять рядом с .md файлом',
+    markdownImagesHint: '«Сохранять рядом с .md файлом» сохраняет заметку и изображения в папку в «Загрузках» с относительными ссылками',
+    contextMenuSaveSelectionAs: 'Сохранить выделенное как',
+    errorNoSelection: 'На странице ничего не выделено. Выделите текст и попробуйте снова',
+    statusUsingUserSelectors: '👆 Использование ваших селекторов...',
+    errorUserSelectorsFailed: 'Ваши селекторы для этого сайта больше не подходят к странице. Выберите содержимое статьи заново или измените их в кэше селекторов',
+    pickerHintContainer: 'Нажмите на контейнер статьи',
+    pickerHintExclude: 'Нажимайте на элементы, которые нужно исключить. ↑ — родительский элемент, Enter — сохранить, Esc — отмена',
+    pickerDone: 'Сохранить',
+    pickerCancel: 'Отмена',
+    errorPickerPageNotSupported: 'Выбрать содержимое статьи можно только на веб-страницах',
+    pickerSaved: 'Селекторы для {domain} сохранены. Они будут использоваться вместо автоматического определения и ИИ',
+    errorPickerFailed: 'Не удалось выбрать содержимое статьи: {error}',
+    contextMenuPickContent: 'Выбрать содержимое статьи на странице',
+    pickContentOnPage: 'Выбрать содержимое статьи на этой странице',
+    pickContentHint: 'Нажмите на контейнер статьи, затем на элементы, которые нужно исключить. Ваши селекторы используются вместо автоматического определения и ИИ',
+    userSelectorsBadge: 'ваши',
+    editSelectors: 'Изменить селекторы',
+    selectorContainerLabel: 'Контейнер статьи',
+    selectorExcludeLabel: 'Исключить (один селектор на строку)',
+    saveSelectors: 'Сохранить селекторы',
+    selectorContainerRequired: 'Нужен селектор контейнера статьи',
+    selectorsSaved: 'Селекторы сохранены',
+    selectorsSaveFailed: 'Не удалось сохранить селекторы',
+    reviewBeforeGeneration: 'Проверять содержимое перед сохранением',
+    reviewBeforeGenerationHint: 'Открывает извлечённый текст для правки перед переводом и созданием файла (не используется в пакетной очереди)',
+    stageReviewing: 'Ожидание проверки',
+    statusWaitingForReview: 'Проверьте содержимое в открытой вкладке и нажмите «Продолжить»...',
+    errorReviewExpired: 'Эта проверка уже неактуальна: обработка завершена или отменена',
+    reviewTitle: 'Проверка содержимого',
+    reviewHint: 'Правьте, переставляйте или удаляйте блоки, затем продолжите перевод и создание файла.',
+    reviewDocumentTitle: 'Заголовок',
+    reviewIncludeImages: 'Включать изображения',
+    reviewContinue: 'Продолжить',
+    reviewMoveUp: 'Переместить вверх',
+    reviewMoveDown: 'Переместить вниз',
+    reviewDelete: 'Удалить блок',
+    reviewHeadingLevel: 'Уровень заголовка',
+    reviewIncludeImage: 'Включить',
+    reviewImageCaption: 'Подпись',
+    reviewBlockCount: 'Блоков: {count}',
+    reviewEmpty: 'Нечего сохранять: отмените и сохраните страницу заново',
+    reviewSubmitFailed: 'Не удалось продолжить: {error}',
+    reviewTypeHeading: 'Заголовок',
+    reviewTypeText: 'Текст',
+    reviewTypeQuote: 'Цитата',
+    reviewTypeCode: 'Код',
+    reviewTypeImage: 'Изображение',
+    reviewTypeList: 'Список',
+    reviewTypeTable: 'Таблица',
+    reviewTypeInfobox: 'Врезка',
+    audioM4b: 'Файл аудиокниги (M4B)',
+    audioM4bHint: 'M4B с главами для приложений аудиокниг и подкастов (MP3 в любом случае получает главы и теги)',
+    audioCompression: 'Сжатие WAV-аудио',
+    audioCompressionOff: 'Выкл. (WAV)',
+    audioCompressionHint: 'Кодируется локально в браузере, файлы становятся примерно в 10 раз меньше',
+    audioCompressionBitrate: 'Битрейт',
+    statusCompressingAudio: 'Сжатие аудио в {format}...',
+    audioNarration: 'Озвучка несколькими голосами',
+    audioNarrationHint: 'Заголовки, цитаты, подписи к изображениям и участники интервью могут читаться своими голосами',
+    audioNarrationVoices: 'Голоса озвучки',
+    audioNarrationHeadingVoice: 'Заголовки',
+    audioNarrationQuoteVoice: 'Цитаты',
+    audioNarrationCaptionVoice: 'Подписи к изображениям',
+    audioNarrationSpeaker1Voice: 'Первый собеседник',
+    audioNarrationSpeaker2Voice: 'Второй собеседник',
+    audioNarrationVoicesHint: 'Собеседники определяются по меткам вроде «В:» или «Анна:» в начале абзаца и получают голоса по очереди',
+    audioNarrationSameVoice: 'Основной голос',
+    audioNarrationPause: 'Между разделами',
+    audioNarrationPauseOff: 'Ничего',
+    audioNarrationPausePause: 'Пауза',
+    audioNarrationPauseChime: 'Пауза с сигналом',
+    audioNarrationPauseHint: 'Добавляется перед заголовками для провайдеров, возвращающих WAV (Piper, Google, Qwen, Respeecher)',
+    flashV2: 'Flash v2 (английский, фонемы)',
+    pronunciationLexicon: 'Словарь произношения',
+    pronunciationLexiconHint: 'Одно правило в строке: слово => произношение. [en] — только для статей на этом языке, /regex/ — регулярное выражение ($1 — группы), !spell — читать по буквам, !skip — пропустить, /IPA/ в конце — фонемы для ElevenLabs Flash v2',
+    pronunciationLexiconErrorLine: 'Строка {line} пропущена: {error}',
+    audioCache: 'Кэш аудио',
+    audioCacheChunks: 'фрагментов речи',
+    audioCacheHint: 'Синтезированная речь сохраняется: прерванное или отменённое аудио продолжится с места остановки, а повторная генерация тем же голосом бесплатна',
+    clearAudioCache: 'Очистить кэш аудио',
+    clearAudioCacheConfirm: 'Очистить кэш аудио? Следующие экспорты аудио синтезируют всю речь заново.',
+    audioCacheCleared: 'Кэш аудио очищен',
+    playerTitle: 'Аудиоплеер',
+    playerSpeed: 'Скорость',
+    playerFollowText: 'Следить за текстом',
+    playerDownload: 'Скачать',
+    playerNoTiming: 'Для этого аудио нет разметки времени, текст не подсвечивается',
+    playerAudioMissing: 'Аудиофайл не найден',
+    playerEmpty: 'Аудио пока нет. Сгенерируйте статью в формате «Аудио» с включённым плеером.',
+    audioPlayer: 'Открывать во встроенном плеере',
+    audioPlayerHint: 'Воспроизводит аудио с подсветкой текста и запоминает, где вы остановились',
+    openPlayer: 'Открыть плеер',
+    voicesTitle: 'Офлайн-голоса',
+    voicesLanguage: 'Язык',
+    voicesAllLanguages: 'Все языки',
+    voicesStorage: 'Место, занятое голосами',
+    voicesUsage: '{size} (голосов: {count}) · хранилище расширения {used} из {quota}',
+    voicesStorageUnavailable: 'Хранилище голосов недоступно в этом браузере',
+    voicesSelectAll: 'Выбрать все',
+    voicesDownload: 'Скачать выбранные',
+    voicesRemove: 'Удалить выбранные',
+    voicesRemoveConfirm: 'Удалить скачанные голоса ({count})? При использовании они будут скачаны снова.',
+    voicesImport: 'Импорт из файлов',
+    voicesImportHint: 'Выберите модель .onnx и её конфигурацию .onnx.json. Импортировать можно только голоса из списка.',
+    voicesImported: 'Импортировано голосов: {count}',
+    voicesImportUnknownVoice: 'голоса нет в списке',
+    voicesImportMissingConfig: 'нет файла конфигурации (.onnx.json)',
+    voicesImportMissingModel: 'нет файла модели (.onnx)',
+    voicesImportUnsupportedFile: 'не файл голоса',
+    voicesImportInvalidConfig: 'файл конфигурации не является конфигурацией голоса Piper',
+    voicesNotDownloaded: 'Не скачан',
+    voicesFailed: 'Ошибка',
+    voicesSample: 'Пример',
+    voicesSampleUnavailable: 'Пример недоступен (загружается из интернета)',
+    manageOfflineVoices: 'Управление офлайн-голосами',
+    manageOfflineVoicesHint: 'Заранее скачайте голоса, посмотрите занятое место или импортируйте одобренные файлы голосов',
+    offlineVoiceAuto: 'Авто (по языку текста)',
+    summaryListen: 'Прослушать саммари',
+    summaryExportPdf: 'Экспорт саммари в PDF',
+    summaryExportEpub: 'Экспорт саммари в EPUB',
+    summaryExportAudio: 'Экспорт саммари в аудио',
+    summaryExportStarted: 'Экспорт саммари запущен',
+    summaryExportNotStarted: 'Экспорт саммари не запущен. Дождитесь готовности текущего документа.',
+    summaryExportFailed: 'Не удалось экспортировать саммари',
+    errorNoSummaryToExport: 'Нет саммари для экспорта. Сначала создайте саммари.',
+    podcastLibrary: 'Добавлять в подкаст',
+    podcastLibraryHint: 'Сохраняет аудио в личный подкаст, на который можно подписаться в любом подкаст-приложении',
+    openPodcast: 'Открыть подкаст',
+    podcastTitle: 'Подкаст',
+    podcastSummary: 'Выпусков: {count} · {size}',
+    podcastEmpty: 'Выпусков пока нет. Включите «Добавлять в подкаст» в настройках аудио и создайте аудио.',
+    podcastSource: 'Источник',
+    podcastRemove: 'Удалить',
+    podcastRemoveConfirm: 'Удалить выпуск «{title}»?',
+    podcastFeed: 'Лента',
+    podcastFeedTitle: 'Название',
+    podcastFeedAuthor: 'Автор',
+    podcastFeedDescription: 'Описание',
+    podcastBaseUrl: 'Публичный адрес папки с лентой',
+    podcastBaseUrlHint: 'Ссылки на выпуски в feed.xml указывают сюда. При публикации, если поле пустое, используется адрес загрузки.',
+    podcastPublishing: 'Публикация',
+    podcastTarget: 'Загружать в',
+    podcastTargetNone: 'Никуда (только экспорт ZIP)',
+    podcastTargetS3: 'S3-совместимое хранилище',
+    podcastTargetUrl: 'Адрес загрузки',
+    podcastTargetUrlHint: 'Папка WebDAV или адрес S3 с бакетом и необязательной папкой (https://s3.eu-central-1.amazonaws.com/bucket/podcast)',
+    podcastUsername: 'Пользователь или Access Key ID',
+    podcastSecret: 'Пароль или Secret Access Key',
+    podcastRegion: 'Регион',
+    podcastSave: 'Сохранить',
+    podcastExport: 'Экспорт ZIP',
+    podcastPublish: 'Опубликовать',
+    podcastSecretSaved: 'Сохранён (введите, чтобы заменить)',
+    podcastSaved: 'Настройки сохранены',
+    podcastSaveFailed: 'Не удалось сохранить настройки',
+    podcastPreparing: 'Подготовка ленты...',
+    podcastExported: 'ZIP скачан. Загрузите его содержимое в папку ленты и подпишитесь на feed.xml.',
+    podcastExportedNoUrl: 'ZIP скачан. Укажите публичный адрес папки ленты, чтобы подкаст-приложения нашли файлы выпусков.',
+    podcastExportFailed: 'Не удалось экспортировать',
+    podcastUploading: 'Загрузка {done} из {total}...',
+    podcastPublished: 'Опубликовано: загружено файлов — {uploaded}, уже были — {skipped}. Подпишитесь на {url}',
+    podcastPublishFailed: 'Не удалось опубликовать',
+    translationBilingual: 'Сохранять оригинал',
+    translationBilingualOff: 'Нет, только перевод',
+    translationBilingualInterleaved: 'После каждого абзаца',
+    translationBilingualColumns: 'Рядом в колонках (PDF)',
+    translationBilingualHint: 'Двуязычный документ для изучения языка: оригинал идёт после каждого переведённого абзаца или в PDF стоит в колонке рядом',
+    translationGlossary: 'Глоссарий перевода',
+    translationGlossaryHint: 'Один термин в строке: термин => перевод. !keep оставляет термин без перевода, [en>ru] ограничивает парой языков, [ru] — языком перевода',
+    translationGlossaryErrorLine: 'Строка {line} пропущена: {error}',
+    translationGlossaryViolations: 'Последний перевод ({title}) не соблюдал: {terms}',
+    translationGlossaryRespected: 'Последний перевод ({title}) соблюдал глоссарий',
+    translationGlossaryImport: 'Импорт CSV/TBX',
+    translationGlossaryExportCsv: 'Экспорт CSV',
+    translationGlossaryExportTbx: 'Экспорт TBX',
+    translationGlossaryImported: 'Добавлено терминов: {count}',
+    translationGlossaryImportFailed: 'Не удалось импортировать глоссарий',
+    translationMemory: 'Память переводов',
+    translationMemorySegments: 'фрагментов',
+    translationMemoryHits: 'повторно',
+    translationMemoryMisses: 'переведено',
+    clearTranslationMemory: 'Очистить память переводов',
+    clearTranslationMemoryConfirm: 'Удалить все сохранённые переводы? Следующие переводы снова пойдут через API.',
+    translationMemoryCleared: 'Память переводов очищена',
+    translationMemoryReuse: 'Использовать прошлые переводы',
+    translationMemoryHint: 'Абзацы, уже переведённые той же моделью на тот же язык, берутся из памяти переводов без запросов к API',
+    translationMemoryFuzzy: 'Показывать модели похожие переводы',
+    otherLanguage: 'Другой язык…',
+    customLanguage: 'Язык',
+    customLanguageHint: 'Код или название языка. Для языков не из списка подписи в документах на английском'
   },
   
   ua: {
@@ -1682,6 +2160,245 @@ export const UI_LOCALES = {
     errorNoContentToConvert: 'Немає контенту для перетворення в аудіо',
     errorNoApiKeyForTextPrep: 'Не надано API ключ для підготовки тексту',
     errorNoTtsApiKey: 'Не надано API ключ {provider} для TTS',
+    contextMenuAddToQueue: 'Додати до черги',
+    queue: 'Черга',
+    queueTitle: 'Пакетна черга',
+    queueAddWindowTabs: 'Зберегти всі відкриті вкладки цього вікна',
+    queueUrlsPlaceholder: 'Вставте посилання, по одному в рядку',
+    queueAddUrls: 'Додати посилання',
+    queueClearFinished: 'Очистити завершені',
+    queueEmpty: 'Черга порожня',
+    queueJobsAdded: 'Додано до черги: {count}',
+    queueNothingAdded: 'Немає нових веб-сторінок для додавання',
+    queueStatusPending: 'Очікує',
+    queueStatusRunning: 'Обробка',
+    queueStatusDone: 'Готово',
+    queueStatusError: 'Помилка',
+    queueStatusCancelled: 'Скасовано',
+    queueRetry: 'Повторити',
+    queueRemove: 'Видалити',
+    queueFinishedNotification: 'Чергу завершено: збережено {done}, помилок {failed}',
+    errorQueueTabLoadTimeout: 'Сторінка не завантажилася вчасно',
+    errorQueueJobNotStarted: 'Не вдалося розпочати обробку',
+    queueAnthology: 'Зібрати в одну книгу (EPUB, FB2, PDF)',
+    queueAnthologyChapter: 'Розділ книги',
+    errorAnthologyUnsupportedFormat: 'Об\'єднати кілька статей в одну книгу можна лише в EPUB, FB2 і PDF',
+    errorAnthologyNoChapters: 'Немає оброблених статей для створення книги',
+    customEndpoint: 'Власний сервер (сумісний з OpenAI)',
+    customApiKey: 'API ключ (необов\'язково)',
+    enterCustomApiKey: 'Залиште порожнім, якщо сервер без авторизації',
+    customEndpointUrl: 'Адреса сервера',
+    customAllowLocal: 'Дозволити localhost і адреси локальної мережі',
+    customEndpointHint: 'Будь-який сервер, сумісний з OpenAI: Ollama, LM Studio, vLLM, llama.cpp. Текст статей надсилається лише на цей сервер',
+    fetchCustomModels: 'Завантажити моделі',
+    customModelsLoaded: 'Завантажено моделей: {count}',
+    errorCustomEndpointNotConfigured: 'Адресу власного сервера не вказано. Введіть її в налаштуваннях і збережіть',
+    errorCustomEndpointInvalidUrl: 'Невірна адреса сервера. Використовуйте адресу http:// або https://, наприклад http://localhost:11434/v1',
+    errorCustomEndpointLocalBlocked: 'Адреса вказує на localhost або локальну мережу. Увімкніть «Дозволити localhost і адреси локальної мережі», щоб використовувати її',
+    errorCustomEndpointUnreachable: 'Не вдалося підключитися до {url}. Перевірте, що сервер запущено і він приймає запити від розширення (для Ollama задайте OLLAMA_ORIGINS)',
+    errorCustomEndpointNoModels: 'Сервер не повернув жодної моделі. Завантажте модель на сервер або додайте назву моделі вручну',
+    errorCustomEndpointModelNotFound: 'Модель «{model}» недоступна на сервері. Завантажте список моделей знову або перевірте назву',
+    statusLoadingNextPage: 'Завантаження сторінки {0} статті...',
+    paginationMaxPages: 'Багатосторінкові статті: максимум сторінок',
+    paginationMaxPagesHint: 'Наступні сторінки (rel="next", ?page=2) завантажуються у фонових вкладках і об\'єднуються. 1 = лише поточна сторінка',
+    markdownFrontMatter: 'YAML front matter (метадані)',
+    markdownFrontMatterHint: 'Блок метаданих для Obsidian, Logseq та інших застосунків для нотаток',
+    markdownFrontMatterTemplate: 'Шаблон front matter',
+    markdownFrontMatterTemplateHint: 'Підстановки: {{title}}, {{author}}, {{url}}, {{site}}, {{published}}, {{clipped}}, {{language}}, {{tags}}, {{word_count}}, {{abstract}}. Рядки з порожніми значеннями пропускаються. Залиште порожнім для шаблону за замовчуванням',
+    markdownImages: 'Зображення в Markdown',
+    markdownImagesNone: 'Не додавати',
+    markdownImagesRemote: 'Посилання на оригінальні URL',
+    markdownImagesLocal: 'Зберігати поруч із .md файлом',
+    markdownImagesHint: '«Зберігати поруч із .md файлом» зберігає нотатку й зображення в теку в «Завантаженнях» з відносними посиланнями',
+    contextMenuSaveSelectionAs: 'Зберегти виділене як',
+    errorNoSelection: 'На сторінці нічого не виділено. Виділіть текст і спробуйте знову',
+    statusUsingUserSelectors: '👆 Використання ваших селекторів...',
+    errorUserSelectorsFailed: 'Ваші селектори для цього сайту більше не підходять до сторінки. Виберіть вміст статті знову або змініть їх у кеші селекторів',
+    pickerHintContainer: 'Натисніть на контейнер статті',
+    pickerHintExclude: 'Натискайте на елементи, які потрібно виключити. ↑ — батьківський елемент, Enter — зберегти, Esc — скасувати',
+    pickerDone: 'Зберегти',
+    pickerCancel: 'Скасувати',
+    errorPickerPageNotSupported: 'Вибрати вміст статті можна лише на веб-сторінках',
+    pickerSaved: 'Селектори для {domain} збережено. Вони використовуватимуться замість автоматичного визначення та ШІ',
+    errorPickerFailed: 'Не вдалося вибрати вміст статті: {error}',
+    contextMenuPickContent: 'Вибрати вміст статті на сторінці',
+    pickContentOnPage: 'Вибрати вміст статті на цій сторінці',
+    pickContentHint: 'Натисніть на контейнер статті, потім на елементи, які потрібно виключити. Ваші селектори використовуються замість автоматичного визначення та ШІ',
+    userSelectorsBadge: 'ваші',
+    editSelectors: 'Змінити селектори',
+    selectorContainerLabel: 'Контейнер статті',
+    selectorExcludeLabel: 'Виключити (один селектор на рядок)',
+    saveSelectors: 'Зберегти селектори',
+    selectorContainerRequired: 'Потрібен селектор контейнера статті',
+    selectorsSaved: 'Селектори збережено',
+    selectorsSaveFailed: 'Не вдалося зберегти селектори',
+    reviewBeforeGeneration: 'Перевіряти вміст перед збереженням',
+    reviewBeforeGenerationHint: 'Відкриває витягнутий текст для редагування перед перекладом і створенням файлу (не використовується в пакетній черзі)',
+    stageReviewing: 'Очікування перевірки',
+    statusWaitingForReview: 'Перевірте вміст у відкритій вкладці та натисніть «Продовжити»...',
+    errorReviewExpired: 'Ця перевірка вже неактуальна: обробку завершено або скасовано',
+    reviewTitle: 'Перевірка вмісту',
+    reviewHint: 'Редагуйте, переставляйте або видаляйте блоки, потім продовжте переклад і створення файлу.',
+    reviewDocumentTitle: 'Заголовок',
+    reviewIncludeImages: 'Включати зображення',
+    reviewContinue: 'Продовжити',
+    reviewMoveUp: 'Перемістити вгору',
+    reviewMoveDown: 'Перемістити вниз',
+    reviewDelete: 'Видалити блок',
+    reviewHeadingLevel: 'Рівень заголовка',
+    reviewIncludeImage: 'Включити',
+    reviewImageCaption: 'Підпис',
+    reviewBlockCount: 'Блоків: {count}',
+    reviewEmpty: 'Нічого зберігати: скасуйте та збережіть сторінку заново',
+    reviewSubmitFailed: 'Не вдалося продовжити: {error}',
+    reviewTypeHeading: 'Заголовок',
+    reviewTypeText: 'Текст',
+    reviewTypeQuote: 'Цитата',
+    reviewTypeCode: 'Код',
+    reviewTypeImage: 'Зображення',
+    reviewTypeList: 'Список',
+    reviewTypeTable: 'Таблиця',
+    reviewTypeInfobox: 'Врізка',
+    audioM4b: 'Файл аудіокниги (M4B)',
+    audioM4bHint: 'M4B з розділами для застосунків аудіокниг і подкастів (MP3 у будь-якому разі отримує розділи й теги)',
+    audioCompression: 'Стиснення WAV-аудіо',
+    audioCompressionOff: 'Вимк. (WAV)',
+    audioCompressionHint: 'Кодується локально в браузері, файли стають приблизно в 10 разів меншими',
+    audioCompressionBitrate: 'Бітрейт',
+    statusCompressingAudio: 'Стиснення аудіо в {format}...',
+    audioNarration: 'Озвучення кількома голосами',
+    audioNarrationHint: 'Заголовки, цитати, підписи до зображень і учасники інтерв\'ю можуть читатися своїми голосами',
+    audioNarrationVoices: 'Голоси озвучення',
+    audioNarrationHeadingVoice: 'Заголовки',
+    audioNarrationQuoteVoice: 'Цитати',
+    audioNarrationCaptionVoice: 'Підписи до зображень',
+    audioNarrationSpeaker1Voice: 'Перший співрозмовник',
+    audioNarrationSpeaker2Voice: 'Другий співрозмовник',
+    audioNarrationVoicesHint: 'Співрозмовники визначаються за мітками на кшталт «П:» або «Анна:» на початку абзацу й отримують голоси по черзі',
+    audioNarrationSameVoice: 'Основний голос',
+    audioNarrationPause: 'Між розділами',
+    audioNarrationPauseOff: 'Нічого',
+    audioNarrationPausePause: 'Пауза',
+    audioNarrationPauseChime: 'Пауза із сигналом',
+    audioNarrationPauseHint: 'Додається перед заголовками для провайдерів, що повертають WAV (Piper, Google, Qwen, Respeecher)',
+    flashV2: 'Flash v2 (англійська, фонеми)',
+    pronunciationLexicon: 'Словник вимови',
+    pronunciationLexiconHint: 'Одне правило в рядку: слово => вимова. [en] — лише для статей цією мовою, /regex/ — регулярний вираз ($1 — групи), !spell — читати по літерах, !skip — пропустити, /IPA/ в кінці — фонеми для ElevenLabs Flash v2',
+    pronunciationLexiconErrorLine: 'Рядок {line} пропущено: {error}',
+    audioCache: 'Кеш аудіо',
+    audioCacheChunks: 'фрагментів мовлення',
+    audioCacheHint: 'Синтезоване мовлення зберігається: перерване або скасоване аудіо продовжиться з місця зупинки, а повторна генерація тим самим голосом безкоштовна',
+    clearAudioCache: 'Очистити кеш аудіо',
+    clearAudioCacheConfirm: 'Очистити кеш аудіо? Наступні експорти аудіо синтезуватимуть усе мовлення заново.',
+    audioCacheCleared: 'Кеш аудіо очищено',
+    playerTitle: 'Аудіоплеєр',
+    playerSpeed: 'Швидкість',
+    playerFollowText: 'Стежити за текстом',
+    playerDownload: 'Завантажити',
+    playerNoTiming: 'Для цього аудіо немає розмітки часу, текст не підсвічується',
+    playerAudioMissing: 'Аудіофайл не знайдено',
+    playerEmpty: 'Аудіо поки немає. Згенеруйте статтю у форматі «Аудіо» з увімкненим плеєром.',
+    audioPlayer: 'Відкривати у вбудованому плеєрі',
+    audioPlayerHint: 'Відтворює аудіо з підсвічуванням тексту й запам\'ятовує, де ви зупинилися',
+    openPlayer: 'Відкрити плеєр',
+    voicesTitle: 'Офлайн-голоси',
+    voicesLanguage: 'Мова',
+    voicesAllLanguages: 'Усі мови',
+    voicesStorage: 'Місце, зайняте голосами',
+    voicesUsage: '{size} (голосів: {count}) · сховище розширення {used} з {quota}',
+    voicesStorageUnavailable: 'Сховище голосів недоступне в цьому браузері',
+    voicesSelectAll: 'Вибрати всі',
+    voicesDownload: 'Завантажити вибрані',
+    voicesRemove: 'Видалити вибрані',
+    voicesRemoveConfirm: 'Видалити завантажені голоси ({count})? Під час використання їх буде завантажено знову.',
+    voicesImport: 'Імпорт із файлів',
+    voicesImportHint: 'Виберіть модель .onnx і її конфігурацію .onnx.json. Імпортувати можна лише голоси зі списку.',
+    voicesImported: 'Імпортовано голосів: {count}',
+    voicesImportUnknownVoice: 'голосу немає в списку',
+    voicesImportMissingConfig: 'немає файлу конфігурації (.onnx.json)',
+    voicesImportMissingModel: 'немає файлу моделі (.onnx)',
+    voicesImportUnsupportedFile: 'не файл голосу',
+    voicesImportInvalidConfig: 'файл конфігурації не є конфігурацією голосу Piper',
+    voicesNotDownloaded: 'Не завантажено',
+    voicesFailed: 'Помилка',
+    voicesSample: 'Приклад',
+    voicesSampleUnavailable: 'Приклад недоступний (завантажується з інтернету)',
+    manageOfflineVoices: 'Керування офлайн-голосами',
+    manageOfflineVoicesHint: 'Заздалегідь завантажте голоси, перегляньте зайняте місце або імпортуйте схвалені файли голосів',
+    offlineVoiceAuto: 'Авто (за мовою тексту)',
+    summaryListen: 'Прослухати саммарі',
+    summaryExportPdf: 'Експорт саммарі в PDF',
+    summaryExportEpub: 'Експорт саммарі в EPUB',
+    summaryExportAudio: 'Експорт саммарі в аудіо',
+    summaryExportStarted: 'Експорт саммарі запущено',
+    summaryExportNotStarted: 'Експорт саммарі не запущено. Дочекайтеся готовності поточного документа.',
+    summaryExportFailed: 'Не вдалося експортувати саммарі',
+    errorNoSummaryToExport: 'Немає саммарі для експорту. Спочатку створіть саммарі.',
+    podcastLibrary: 'Додавати до подкасту',
+    podcastLibraryHint: 'Зберігає аудіо в особистий подкаст, на який можна підписатися в будь-якому подкаст-застосунку',
+    openPodcast: 'Відкрити подкаст',
+    podcastTitle: 'Подкаст',
+    podcastSummary: 'Випусків: {count} · {size}',
+    podcastEmpty: 'Випусків поки немає. Увімкніть «Додавати до подкасту» в налаштуваннях аудіо та створіть аудіо.',
+    podcastSource: 'Джерело',
+    podcastRemove: 'Видалити',
+    podcastRemoveConfirm: 'Видалити випуск «{title}»?',
+    podcastFeed: 'Стрічка',
+    podcastFeedTitle: 'Назва',
+    podcastFeedAuthor: 'Автор',
+    podcastFeedDescription: 'Опис',
+    podcastBaseUrl: 'Публічна адреса теки зі стрічкою',
+    podcastBaseUrlHint: 'Посилання на випуски у feed.xml вказують сюди. Під час публікації, якщо поле порожнє, використовується адреса завантаження.',
+    podcastPublishing: 'Публікація',
+    podcastTarget: 'Завантажувати до',
+    podcastTargetNone: 'Нікуди (лише експорт ZIP)',
+    podcastTargetS3: 'S3-сумісне сховище',
+    podcastTargetUrl: 'Адреса завантаження',
+    podcastTargetUrlHint: 'Тека WebDAV або адреса S3 з бакетом і необов\'язковою текою (https://s3.eu-central-1.amazonaws.com/bucket/podcast)',
+    podcastUsername: 'Користувач або Access Key ID',
+    podcastSecret: 'Пароль або Secret Access Key',
+    podcastRegion: 'Регіон',
+    podcastSave: 'Зберегти',
+    podcastExport: 'Експорт ZIP',
+    podcastPublish: 'Опублікувати',
+    podcastSecretSaved: 'Збережено (введіть, щоб замінити)',
+    podcastSaved: 'Налаштування збережено',
+    podcastSaveFailed: 'Не вдалося зберегти налаштування',
+    podcastPreparing: 'Підготовка стрічки...',
+    podcastExported: 'ZIP завантажено. Завантажте його вміст до теки стрічки та підпишіться на feed.xml.',
+    podcastExportedNoUrl: 'ZIP завантажено. Вкажіть публічну адресу теки стрічки, щоб подкаст-застосунки знайшли файли випусків.',
+    podcastExportFailed: 'Не вдалося експортувати',
+    podcastUploading: 'Завантаження {done} з {total}...',
+    podcastPublished: 'Опубліковано: завантажено файлів — {uploaded}, вже були — {skipped}. Підпишіться на {url}',
+    podcastPublishFailed: 'Не вдалося опублікувати',
+    translationBilingual: 'Зберігати оригінал',
+    translationBilingualOff: 'Ні, лише переклад',
+    translationBilingualInterleaved: 'Після кожного абзацу',
+    translationBilingualColumns: 'Поруч у колонках (PDF)',
+    translationBilingualHint: 'Двомовний документ для вивчення мови: оригінал іде після кожного перекладеного абзацу або в PDF стоїть у колонці поруч',
+    translationGlossary: 'Глосарій перекладу',
+    translationGlossaryHint: 'Один термін у рядку: термін => переклад. !keep залишає термін без перекладу, [en>ua] обмежує парою мов, [ua] — мовою перекладу',
+    translationGlossaryErrorLine: 'Рядок {line} пропущено: {error}',
+    translationGlossaryViolations: 'Останній переклад ({title}) не дотримався: {terms}',
+    translationGlossaryRespected: 'Останній переклад ({title}) дотримався глосарію',
+    translationGlossaryImport: 'Імпорт CSV/TBX',
+    translationGlossaryExportCsv: 'Експорт CSV',
+    translationGlossaryExportTbx: 'Експорт TBX',
+    translationGlossaryImported: 'Додано термінів: {count}',
+    translationGlossaryImportFailed: 'Не вдалося імпортувати глосарій',
+    translationMemory: 'Пам\'ять перекладів',
+    translationMemorySegments: 'фрагментів',
+    translationMemoryHits: 'повторно',
+    translationMemoryMisses: 'перекладено',
+    clearTranslationMemory: 'Очистити пам\'ять перекладів',
+    clearTranslationMemoryConfirm: 'Видалити всі збережені переклади? Наступні переклади знову йтимуть через API.',
+    translationMemoryCleared: 'Пам\'ять перекладів очищено',
+    translationMemoryReuse: 'Використовувати попередні переклади',
+    translationMemoryHint: 'Абзаци, вже перекладені тією ж моделлю тією ж мовою, беруться з пам\'яті перекладів без запитів до API',
+    translationMemoryFuzzy: 'Показувати моделі схожі переклади',
+    otherLanguage: 'Інша мова…',
+    customLanguage: 'Мова',
+    customLanguageHint: 'Код або назва мови. Для мов не зі списку підписи в документах англійською'
   },
   de: {
 
@@ -2231,6 +2948,245 @@ export const UI_LOCALES = {
     errorNoContentToConvert: 'Kein Inhalt zum Konvertieren in Audio',
     errorNoApiKeyForTextPrep: 'Kein API-Schlüssel für die Textvorbereitung bereitgestellt',
     errorNoTtsApiKey: 'Kein {provider} API-Schlüssel für TTS bereitgestellt',
+    contextMenuAddToQueue: 'Zur Warteschlange hinzufügen',
+    queue: 'Warteschlange',
+    queueTitle: 'Stapel-Warteschlange',
+    queueAddWindowTabs: 'Alle offenen Tabs in diesem Fenster speichern',
+    queueUrlsPlaceholder: 'URLs einfügen, eine pro Zeile',
+    queueAddUrls: 'URLs hinzufügen',
+    queueClearFinished: 'Abgeschlossene entfernen',
+    queueEmpty: 'Die Warteschlange ist leer',
+    queueJobsAdded: 'Zur Warteschlange hinzugefügt: {count}',
+    queueNothingAdded: 'Keine neuen Webseiten zum Hinzufügen',
+    queueStatusPending: 'Wartend',
+    queueStatusRunning: 'Verarbeitung',
+    queueStatusDone: 'Fertig',
+    queueStatusError: 'Fehlgeschlagen',
+    queueStatusCancelled: 'Abgebrochen',
+    queueRetry: 'Wiederholen',
+    queueRemove: 'Entfernen',
+    queueFinishedNotification: 'Warteschlange abgeschlossen: {done} gespeichert, {failed} fehlgeschlagen',
+    errorQueueTabLoadTimeout: 'Die Seite wurde nicht rechtzeitig geladen',
+    errorQueueJobNotStarted: 'Die Verarbeitung konnte nicht gestartet werden',
+    queueAnthology: 'Zu einem Buch zusammenfassen (EPUB, FB2, PDF)',
+    queueAnthologyChapter: 'Buchkapitel',
+    errorAnthologyUnsupportedFormat: 'Nur EPUB, FB2 und PDF können mehrere Artikel zu einem Buch zusammenfassen',
+    errorAnthologyNoChapters: 'Keine verarbeiteten Artikel für das Buch vorhanden',
+    customEndpoint: 'Eigener Endpunkt (OpenAI-kompatibel)',
+    customApiKey: 'API-Schlüssel (optional)',
+    enterCustomApiKey: 'Leer lassen, wenn der Server keine Authentifizierung hat',
+    customEndpointUrl: 'Endpunkt-URL',
+    customAllowLocal: 'localhost und lokale Netzwerkadressen zulassen',
+    customEndpointHint: 'Jeder OpenAI-kompatible Server: Ollama, LM Studio, vLLM, llama.cpp. Artikeltext wird nur an diesen Server gesendet',
+    fetchCustomModels: 'Modelle laden',
+    customModelsLoaded: 'Modelle geladen: {count}',
+    errorCustomEndpointNotConfigured: 'Die URL des eigenen Endpunkts ist nicht festgelegt. Geben Sie sie in den Einstellungen ein und speichern Sie',
+    errorCustomEndpointInvalidUrl: 'Ungültige Endpunkt-URL. Verwenden Sie eine http://- oder https://-Adresse, z. B. http://localhost:11434/v1',
+    errorCustomEndpointLocalBlocked: 'Die URL verweist auf localhost oder das lokale Netzwerk. Aktivieren Sie „localhost und lokale Netzwerkadressen zulassen“, um sie zu verwenden',
+    errorCustomEndpointUnreachable: 'Verbindung zu {url} nicht möglich. Prüfen Sie, ob der Server läuft und Anfragen der Erweiterung zulässt (für Ollama OLLAMA_ORIGINS setzen)',
+    errorCustomEndpointNoModels: 'Der Server hat keine Modelle zurückgegeben. Laden Sie ein Modell auf den Server oder fügen Sie den Modellnamen manuell hinzu',
+    errorCustomEndpointModelNotFound: 'Modell „{model}“ ist auf dem Server nicht verfügbar. Laden Sie die Modelle erneut oder prüfen Sie den Namen',
+    statusLoadingNextPage: 'Lade Seite {0} des Artikels...',
+    paginationMaxPages: 'Mehrseitige Artikel: maximale Seitenzahl',
+    paginationMaxPagesHint: 'Folgeseiten (rel="next", ?page=2) werden in Hintergrund-Tabs geladen und zusammengeführt. 1 = nur aktuelle Seite',
+    markdownFrontMatter: 'YAML-Front-Matter',
+    markdownFrontMatterHint: 'Metadatenblock für Obsidian, Logseq und andere Notiz-Apps',
+    markdownFrontMatterTemplate: 'Front-Matter-Vorlage',
+    markdownFrontMatterTemplateHint: 'Platzhalter: {{title}}, {{author}}, {{url}}, {{site}}, {{published}}, {{clipped}}, {{language}}, {{tags}}, {{word_count}}, {{abstract}}. Zeilen mit leeren Werten werden übersprungen. Leer lassen für Standard',
+    markdownImages: 'Bilder in Markdown',
+    markdownImagesNone: 'Nicht einfügen',
+    markdownImagesRemote: 'Auf Original-URLs verlinken',
+    markdownImagesLocal: 'Neben der .md-Datei speichern',
+    markdownImagesHint: '„Neben der .md-Datei speichern“ legt Notiz und Bilder in einem Ordner unter Downloads mit relativen Links ab',
+    contextMenuSaveSelectionAs: 'Auswahl speichern als',
+    errorNoSelection: 'Auf der Seite ist nichts ausgewählt. Markieren Sie Text und versuchen Sie es erneut',
+    statusUsingUserSelectors: '👆 Eigene Selektoren werden verwendet...',
+    errorUserSelectorsFailed: 'Ihre Selektoren für diese Website passen nicht mehr zur Seite. Wählen Sie den Artikelinhalt erneut aus oder bearbeiten Sie sie im Selektor-Cache',
+    pickerHintContainer: 'Klicken Sie auf den Artikelcontainer',
+    pickerHintExclude: 'Klicken Sie auf auszuschließende Elemente. ↑ wählt Elternelement, Enter speichert, Esc bricht ab',
+    pickerDone: 'Speichern',
+    pickerCancel: 'Abbrechen',
+    errorPickerPageNotSupported: 'Artikelinhalt kann nur auf Webseiten ausgewählt werden',
+    pickerSaved: 'Selektoren für {domain} gespeichert. Sie werden statt automatischer Erkennung und KI verwendet',
+    errorPickerFailed: 'Artikelinhalt konnte nicht ausgewählt werden: {error}',
+    contextMenuPickContent: 'Artikelinhalt auf der Seite auswählen',
+    pickContentOnPage: 'Artikelinhalt auf dieser Seite auswählen',
+    pickContentHint: 'Klicken Sie auf den Artikelcontainer und dann auf auszuschließende Elemente. Ihre Selektoren werden statt automatischer Erkennung und KI verwendet',
+    userSelectorsBadge: 'eigene',
+    editSelectors: 'Selektoren bearbeiten',
+    selectorContainerLabel: 'Artikelcontainer',
+    selectorExcludeLabel: 'Ausschließen (ein Selektor pro Zeile)',
+    saveSelectors: 'Selektoren speichern',
+    selectorContainerRequired: 'Selektor des Artikelcontainers ist erforderlich',
+    selectorsSaved: 'Selektoren gespeichert',
+    selectorsSaveFailed: 'Selektoren konnten nicht gespeichert werden',
+    reviewBeforeGeneration: 'Inhalt vor dem Speichern prüfen',
+    reviewBeforeGenerationHint: 'Öffnet den extrahierten Inhalt zur Bearbeitung vor Übersetzung und Dateierstellung (nicht für die Stapelwarteschlange)',
+    stageReviewing: 'Warten auf Prüfung',
+    statusWaitingForReview: 'Prüfen Sie den Inhalt im geöffneten Tab und klicken Sie auf Weiter...',
+    errorReviewExpired: 'Diese Prüfung ist nicht mehr aktiv: Die Verarbeitung wurde beendet oder abgebrochen',
+    reviewTitle: 'Inhalt prüfen',
+    reviewHint: 'Blöcke bearbeiten, verschieben oder löschen, dann mit Übersetzung und Dateierstellung fortfahren.',
+    reviewDocumentTitle: 'Titel',
+    reviewIncludeImages: 'Bilder einbeziehen',
+    reviewContinue: 'Weiter',
+    reviewMoveUp: 'Nach oben',
+    reviewMoveDown: 'Nach unten',
+    reviewDelete: 'Block löschen',
+    reviewHeadingLevel: 'Überschriftenebene',
+    reviewIncludeImage: 'Einbeziehen',
+    reviewImageCaption: 'Bildunterschrift',
+    reviewBlockCount: 'Blöcke: {count}',
+    reviewEmpty: 'Nichts mehr zu speichern: abbrechen und die Seite erneut speichern',
+    reviewSubmitFailed: 'Fortfahren fehlgeschlagen: {error}',
+    reviewTypeHeading: 'Überschrift',
+    reviewTypeText: 'Text',
+    reviewTypeQuote: 'Zitat',
+    reviewTypeCode: 'Code',
+    reviewTypeImage: 'Bild',
+    reviewTypeList: 'Liste',
+    reviewTypeTable: 'Tabelle',
+    reviewTypeInfobox: 'Infobox',
+    audioM4b: 'Hörbuchdatei (M4B)',
+    audioM4bHint: 'M4B mit Kapiteln für Hörbuch- und Podcast-Apps (MP3 erhält Kapitel und Tags in jedem Fall)',
+    audioCompression: 'WAV-Audio komprimieren',
+    audioCompressionOff: 'Aus (WAV)',
+    audioCompressionHint: 'Wird lokal im Browser kodiert, Dateien werden etwa 10-mal kleiner',
+    audioCompressionBitrate: 'Bitrate',
+    statusCompressingAudio: 'Audio wird in {format} komprimiert...',
+    audioNarration: 'Mehrstimmige Vertonung',
+    audioNarrationHint: 'Überschriften, Zitate, Bildunterschriften und Interviewpartner können eigene Stimmen haben',
+    audioNarrationVoices: 'Stimmen der Vertonung',
+    audioNarrationHeadingVoice: 'Überschriften',
+    audioNarrationQuoteVoice: 'Zitate',
+    audioNarrationCaptionVoice: 'Bildunterschriften',
+    audioNarrationSpeaker1Voice: 'Erste Person',
+    audioNarrationSpeaker2Voice: 'Zweite Person',
+    audioNarrationVoicesHint: 'Sprecher werden an Kennungen wie „F:“ oder „Anna:“ am Absatzanfang erkannt und erhalten abwechselnd die Stimmen',
+    audioNarrationSameVoice: 'Hauptstimme',
+    audioNarrationPause: 'Zwischen Abschnitten',
+    audioNarrationPauseOff: 'Nichts',
+    audioNarrationPausePause: 'Pause',
+    audioNarrationPauseChime: 'Pause mit Signalton',
+    audioNarrationPauseHint: 'Wird vor Überschriften eingefügt, wenn der Anbieter WAV liefert (Piper, Google, Qwen, Respeecher)',
+    flashV2: 'Flash v2 (Englisch, Phonem-Tags)',
+    pronunciationLexicon: 'Aussprachewörterbuch',
+    pronunciationLexiconHint: 'Eine Regel pro Zeile: Wort => Aussprache. [en] gilt nur für Artikel in dieser Sprache, /regex/ ist ein regulärer Ausdruck ($1 für Gruppen), !spell buchstabiert, !skip entfernt Text, /IPA/ am Ende fügt Phoneme für ElevenLabs Flash v2 hinzu',
+    pronunciationLexiconErrorLine: 'Zeile {line} übersprungen: {error}',
+    audioCache: 'Audio-Cache',
+    audioCacheChunks: 'Sprachfragmente',
+    audioCacheHint: 'Synthetisierte Sprache wird gespeichert: fehlgeschlagenes oder abgebrochenes Audio wird dort fortgesetzt, wo es stoppte, und erneutes Erzeugen mit derselben Stimme ist kostenlos',
+    clearAudioCache: 'Audio-Cache leeren',
+    clearAudioCacheConfirm: 'Audio-Cache leeren? Nächste Audio-Exporte synthetisieren die gesamte Sprache neu.',
+    audioCacheCleared: 'Audio-Cache geleert',
+    playerTitle: 'Audioplayer',
+    playerSpeed: 'Geschwindigkeit',
+    playerFollowText: 'Text folgen',
+    playerDownload: 'Herunterladen',
+    playerNoTiming: 'Für dieses Audio ist kein Timing bekannt, der Text wird nicht hervorgehoben',
+    playerAudioMissing: 'Audiodatei nicht gefunden',
+    playerEmpty: 'Noch kein Audio. Erstellen Sie einen Artikel im Audioformat mit aktivierter Player-Option.',
+    audioPlayer: 'Im integrierten Player öffnen',
+    audioPlayerHint: 'Spielt Audio mit hervorgehobenem Text ab und merkt sich, wo Sie aufgehört haben',
+    openPlayer: 'Player öffnen',
+    voicesTitle: 'Offline-Stimmen',
+    voicesLanguage: 'Sprache',
+    voicesAllLanguages: 'Alle Sprachen',
+    voicesStorage: 'Von Stimmen belegter Speicher',
+    voicesUsage: '{size} ({count} Stimmen) · Erweiterungsspeicher {used} von {quota}',
+    voicesStorageUnavailable: 'Stimmenspeicher ist in diesem Browser nicht verfügbar',
+    voicesSelectAll: 'Alle auswählen',
+    voicesDownload: 'Auswahl herunterladen',
+    voicesRemove: 'Auswahl entfernen',
+    voicesRemoveConfirm: '{count} heruntergeladene Stimmen entfernen? Sie werden bei Verwendung erneut heruntergeladen.',
+    voicesImport: 'Aus Dateien importieren',
+    voicesImportHint: 'Wählen Sie das .onnx-Modell und seine .onnx.json-Konfiguration. Nur Stimmen aus der Liste können importiert werden.',
+    voicesImported: 'Importierte Stimmen: {count}',
+    voicesImportUnknownVoice: 'Stimme ist nicht in der Liste',
+    voicesImportMissingConfig: 'Konfigurationsdatei (.onnx.json) fehlt',
+    voicesImportMissingModel: 'Modelldatei (.onnx) fehlt',
+    voicesImportUnsupportedFile: 'keine Stimmendatei',
+    voicesImportInvalidConfig: 'Konfigurationsdatei ist keine Piper-Stimmenkonfiguration',
+    voicesNotDownloaded: 'Nicht heruntergeladen',
+    voicesFailed: 'Fehlgeschlagen',
+    voicesSample: 'Hörprobe',
+    voicesSampleUnavailable: 'Hörprobe nicht verfügbar (wird aus dem Internet geladen)',
+    manageOfflineVoices: 'Offline-Stimmen verwalten',
+    manageOfflineVoicesHint: 'Stimmen vorab herunterladen, Speicherbelegung ansehen oder freigegebene Stimmdateien importieren',
+    offlineVoiceAuto: 'Automatisch (nach Sprache des Inhalts)',
+    summaryListen: 'Zusammenfassung anhören',
+    summaryExportPdf: 'Zusammenfassung als PDF exportieren',
+    summaryExportEpub: 'Zusammenfassung als EPUB exportieren',
+    summaryExportAudio: 'Zusammenfassung als Audio exportieren',
+    summaryExportStarted: 'Export der Zusammenfassung gestartet',
+    summaryExportNotStarted: 'Export der Zusammenfassung wurde nicht gestartet. Warten Sie, bis das aktuelle Dokument fertig ist.',
+    summaryExportFailed: 'Zusammenfassung konnte nicht exportiert werden',
+    errorNoSummaryToExport: 'Keine Zusammenfassung zum Exportieren. Erstellen Sie zuerst eine Zusammenfassung.',
+    podcastLibrary: 'Zum Podcast-Feed hinzufügen',
+    podcastLibraryHint: 'Speichert Audio in einem persönlichen Podcast, den jede Podcast-App abonnieren kann',
+    openPodcast: 'Podcast öffnen',
+    podcastTitle: 'Podcast',
+    podcastSummary: 'Folgen: {count} · {size}',
+    podcastEmpty: 'Noch keine Folgen. Aktivieren Sie „Zum Podcast-Feed hinzufügen“ in den Audioeinstellungen und erstellen Sie Audio.',
+    podcastSource: 'Quelle',
+    podcastRemove: 'Entfernen',
+    podcastRemoveConfirm: 'Folge „{title}“ entfernen?',
+    podcastFeed: 'Feed',
+    podcastFeedTitle: 'Titel',
+    podcastFeedAuthor: 'Autor',
+    podcastFeedDescription: 'Beschreibung',
+    podcastBaseUrl: 'Öffentliche URL des Feed-Ordners',
+    podcastBaseUrlHint: 'Episodenlinks in feed.xml zeigen hierhin. Beim Veröffentlichen wird die Upload-URL verwendet, wenn das Feld leer ist.',
+    podcastPublishing: 'Veröffentlichung',
+    podcastTarget: 'Hochladen nach',
+    podcastTargetNone: 'Nirgendwohin (nur ZIP-Export)',
+    podcastTargetS3: 'S3-kompatibler Speicher',
+    podcastTargetUrl: 'Upload-URL',
+    podcastTargetUrlHint: 'WebDAV-Ordner oder S3-Endpunkt mit Bucket und optionalem Ordner (https://s3.eu-central-1.amazonaws.com/bucket/podcast)',
+    podcastUsername: 'Benutzer oder Access Key ID',
+    podcastSecret: 'Passwort oder Secret Access Key',
+    podcastRegion: 'Region',
+    podcastSave: 'Speichern',
+    podcastExport: 'ZIP exportieren',
+    podcastPublish: 'Veröffentlichen',
+    podcastSecretSaved: 'Gespeichert (zum Ersetzen eingeben)',
+    podcastSaved: 'Einstellungen gespeichert',
+    podcastSaveFailed: 'Einstellungen konnten nicht gespeichert werden',
+    podcastPreparing: 'Feed wird vorbereitet...',
+    podcastExported: 'ZIP heruntergeladen. Laden Sie den Inhalt in den Feed-Ordner hoch und abonnieren Sie feed.xml.',
+    podcastExportedNoUrl: 'ZIP heruntergeladen. Legen Sie die öffentliche URL des Feed-Ordners fest, damit Podcast-Apps die Episodendateien finden.',
+    podcastExportFailed: 'Export fehlgeschlagen',
+    podcastUploading: 'Lade {done} von {total} hoch...',
+    podcastPublished: 'Veröffentlicht: {uploaded} Dateien hochgeladen, {skipped} bereits vorhanden. Abonnieren Sie {url}',
+    podcastPublishFailed: 'Veröffentlichung fehlgeschlagen',
+    translationBilingual: 'Originaltext behalten',
+    translationBilingualOff: 'Nein, nur Übersetzung',
+    translationBilingualInterleaved: 'Nach jedem Absatz',
+    translationBilingualColumns: 'Nebeneinander (PDF)',
+    translationBilingualHint: 'Zweisprachiges Dokument zum Sprachenlernen: Das Original folgt jedem übersetzten Absatz oder steht im PDF in einer Spalte daneben',
+    translationGlossary: 'Übersetzungsglossar',
+    translationGlossaryHint: 'Ein Begriff pro Zeile: Begriff => Übersetzung. !keep lässt den Begriff unübersetzt, [en>de] beschränkt auf ein Sprachpaar, [de] auf die Zielsprache',
+    translationGlossaryErrorLine: 'Zeile {line} übersprungen: {error}',
+    translationGlossaryViolations: 'Letzte Übersetzung ({title}) hat nicht eingehalten: {terms}',
+    translationGlossaryRespected: 'Letzte Übersetzung ({title}) hat das Glossar eingehalten',
+    translationGlossaryImport: 'CSV/TBX importieren',
+    translationGlossaryExportCsv: 'CSV exportieren',
+    translationGlossaryExportTbx: 'TBX exportieren',
+    translationGlossaryImported: 'Begriffe hinzugefügt: {count}',
+    translationGlossaryImportFailed: 'Glossar-Import fehlgeschlagen',
+    translationMemory: 'Übersetzungsspeicher',
+    translationMemorySegments: 'Segmente',
+    translationMemoryHits: 'wiederverwendet',
+    translationMemoryMisses: 'übersetzt',
+    clearTranslationMemory: 'Übersetzungsspeicher leeren',
+    clearTranslationMemoryConfirm: 'Alle gespeicherten Übersetzungen entfernen? Weitere Übersetzungen rufen wieder die API auf.',
+    translationMemoryCleared: 'Übersetzungsspeicher geleert',
+    translationMemoryReuse: 'Frühere Übersetzungen wiederverwenden',
+    translationMemoryHint: 'Absätze, die bereits mit demselben Modell in dieselbe Sprache übersetzt wurden, kommen ohne API-Anfragen aus dem Übersetzungsspeicher',
+    translationMemoryFuzzy: 'Ähnliche Übersetzungen an das Modell geben',
+    otherLanguage: 'Andere Sprache…',
+    customLanguage: 'Sprache',
+    customLanguageHint: 'Sprachcode oder Name. Für Sprachen außerhalb der Liste verwenden Dokumente englische Beschriftungen'
   },
   fr: {
 
@@ -2793,6 +3749,245 @@ export const UI_LOCALES = {
     errorNoApiKeyForTextPrep: 'Aucune clé API fournie pour la préparation du texte',
 
     errorNoTtsApiKey: 'Aucune clé API {provider} fournie pour TTS',
+    contextMenuAddToQueue: 'Ajouter à la file d\'attente',
+    queue: 'File d\'attente',
+    queueTitle: 'File de traitement par lots',
+    queueAddWindowTabs: 'Enregistrer tous les onglets ouverts de cette fenêtre',
+    queueUrlsPlaceholder: 'Collez les URL, une par ligne',
+    queueAddUrls: 'Ajouter les URL',
+    queueClearFinished: 'Effacer les tâches terminées',
+    queueEmpty: 'La file d\'attente est vide',
+    queueJobsAdded: 'Ajouté à la file d\'attente : {count}',
+    queueNothingAdded: 'Aucune nouvelle page web à ajouter',
+    queueStatusPending: 'En attente',
+    queueStatusRunning: 'Traitement',
+    queueStatusDone: 'Terminé',
+    queueStatusError: 'Échec',
+    queueStatusCancelled: 'Annulé',
+    queueRetry: 'Réessayer',
+    queueRemove: 'Supprimer',
+    queueFinishedNotification: 'File terminée : {done} enregistrés, {failed} en échec',
+    errorQueueTabLoadTimeout: 'La page n\'a pas fini de se charger à temps',
+    errorQueueJobNotStarted: 'Le traitement n\'a pas pu démarrer',
+    queueAnthology: 'Réunir en un seul livre (EPUB, FB2, PDF)',
+    queueAnthologyChapter: 'Chapitre du livre',
+    errorAnthologyUnsupportedFormat: 'Seuls EPUB, FB2 et PDF peuvent réunir plusieurs articles en un livre',
+    errorAnthologyNoChapters: 'Aucun article traité à réunir dans un livre',
+    customEndpoint: 'Point de terminaison personnalisé (compatible OpenAI)',
+    customApiKey: 'Clé API (facultative)',
+    enterCustomApiKey: 'Laisser vide si le serveur n\'exige pas d\'authentification',
+    customEndpointUrl: 'URL du point de terminaison',
+    customAllowLocal: 'Autoriser localhost et les adresses du réseau local',
+    customEndpointHint: 'Tout serveur compatible OpenAI : Ollama, LM Studio, vLLM, llama.cpp. Le texte des articles est envoyé uniquement à ce serveur',
+    fetchCustomModels: 'Charger les modèles',
+    customModelsLoaded: 'Modèles chargés : {count}',
+    errorCustomEndpointNotConfigured: 'L\'URL du point de terminaison personnalisé n\'est pas définie. Saisissez-la dans les paramètres et enregistrez',
+    errorCustomEndpointInvalidUrl: 'URL du point de terminaison invalide. Utilisez une adresse http:// ou https://, par ex. http://localhost:11434/v1',
+    errorCustomEndpointLocalBlocked: 'L\'URL pointe vers localhost ou le réseau local. Activez « Autoriser localhost et les adresses du réseau local » pour l\'utiliser',
+    errorCustomEndpointUnreachable: 'Impossible de se connecter à {url}. Vérifiez que le serveur est démarré et accepte les requêtes de l\'extension (pour Ollama, définissez OLLAMA_ORIGINS)',
+    errorCustomEndpointNoModels: 'Le serveur n\'a renvoyé aucun modèle. Téléchargez un modèle sur le serveur ou ajoutez le nom du modèle manuellement',
+    errorCustomEndpointModelNotFound: 'Le modèle « {model} » n\'est pas disponible sur le serveur. Rechargez les modèles ou vérifiez le nom',
+    statusLoadingNextPage: 'Chargement de la page {0} de l\'article...',
+    paginationMaxPages: 'Articles multipages : nombre maximal de pages',
+    paginationMaxPagesHint: 'Les pages suivantes (rel="next", ?page=2) sont chargées dans des onglets en arrière-plan et fusionnées. 1 = page actuelle uniquement',
+    markdownFrontMatter: 'En-tête YAML (front matter)',
+    markdownFrontMatterHint: 'Bloc de métadonnées pour Obsidian, Logseq et autres applications de notes',
+    markdownFrontMatterTemplate: 'Modèle d\'en-tête',
+    markdownFrontMatterTemplateHint: 'Variables : {{title}}, {{author}}, {{url}}, {{site}}, {{published}}, {{clipped}}, {{language}}, {{tags}}, {{word_count}}, {{abstract}}. Les lignes vides sont ignorées. Laisser vide pour le modèle par défaut',
+    markdownImages: 'Images dans Markdown',
+    markdownImagesNone: 'Ne pas inclure',
+    markdownImagesRemote: 'Liens vers les URL d\'origine',
+    markdownImagesLocal: 'Enregistrer à côté du fichier .md',
+    markdownImagesHint: '« Enregistrer à côté du fichier .md » place la note et les images dans un dossier des Téléchargements avec des liens relatifs',
+    contextMenuSaveSelectionAs: 'Enregistrer la sélection en',
+    errorNoSelection: 'Rien n\'est sélectionné sur la page. Sélectionnez du texte et réessayez',
+    statusUsingUserSelectors: '👆 Utilisation de vos sélecteurs...',
+    errorUserSelectorsFailed: 'Vos sélecteurs pour ce site ne correspondent plus à la page. Sélectionnez à nouveau le contenu de l\'article ou modifiez-les dans le cache des sélecteurs',
+    pickerHintContainer: 'Cliquez sur le conteneur de l\'article',
+    pickerHintExclude: 'Cliquez sur les éléments à exclure. ↑ sélectionne le parent, Entrée enregistre, Échap annule',
+    pickerDone: 'Enregistrer',
+    pickerCancel: 'Annuler',
+    errorPickerPageNotSupported: 'Le contenu de l\'article ne peut être sélectionné que sur des pages web',
+    pickerSaved: 'Sélecteurs pour {domain} enregistrés. Ils seront utilisés à la place de la détection automatique et de l\'IA',
+    errorPickerFailed: 'Impossible de sélectionner le contenu de l\'article : {error}',
+    contextMenuPickContent: 'Sélectionner le contenu de l\'article sur la page',
+    pickContentOnPage: 'Sélectionner le contenu de l\'article sur cette page',
+    pickContentHint: 'Cliquez sur le conteneur de l\'article, puis sur les éléments à exclure. Vos sélecteurs remplacent la détection automatique et l\'IA',
+    userSelectorsBadge: 'les vôtres',
+    editSelectors: 'Modifier les sélecteurs',
+    selectorContainerLabel: 'Conteneur de l\'article',
+    selectorExcludeLabel: 'Exclure (un sélecteur par ligne)',
+    saveSelectors: 'Enregistrer les sélecteurs',
+    selectorContainerRequired: 'Le sélecteur du conteneur de l\'article est requis',
+    selectorsSaved: 'Sélecteurs enregistrés',
+    selectorsSaveFailed: 'Impossible d\'enregistrer les sélecteurs',
+    reviewBeforeGeneration: 'Vérifier le contenu avant l\'enregistrement',
+    reviewBeforeGenerationHint: 'Ouvre le contenu extrait pour modification avant la traduction et la génération du fichier (pas pour la file d\'attente)',
+    stageReviewing: 'En attente de vérification',
+    statusWaitingForReview: 'Vérifiez le contenu dans l\'onglet ouvert et cliquez sur Continuer...',
+    errorReviewExpired: 'Cette vérification n\'est plus active : le traitement est terminé ou annulé',
+    reviewTitle: 'Vérifier le contenu',
+    reviewHint: 'Modifiez, réorganisez ou supprimez des blocs, puis continuez vers la traduction et la génération du fichier.',
+    reviewDocumentTitle: 'Titre',
+    reviewIncludeImages: 'Inclure les images',
+    reviewContinue: 'Continuer',
+    reviewMoveUp: 'Monter',
+    reviewMoveDown: 'Descendre',
+    reviewDelete: 'Supprimer le bloc',
+    reviewHeadingLevel: 'Niveau de titre',
+    reviewIncludeImage: 'Inclure',
+    reviewImageCaption: 'Légende',
+    reviewBlockCount: 'Blocs : {count}',
+    reviewEmpty: 'Plus rien à enregistrer : annulez et enregistrez à nouveau la page',
+    reviewSubmitFailed: 'Impossible de continuer : {error}',
+    reviewTypeHeading: 'Titre',
+    reviewTypeText: 'Texte',
+    reviewTypeQuote: 'Citation',
+    reviewTypeCode: 'Code',
+    reviewTypeImage: 'Image',
+    reviewTypeList: 'Liste',
+    reviewTypeTable: 'Tableau',
+    reviewTypeInfobox: 'Encadré',
+    audioM4b: 'Fichier livre audio (M4B)',
+    audioM4bHint: 'M4B avec chapitres pour les applications de livres audio et de podcasts (le MP3 reçoit chapitres et tags dans tous les cas)',
+    audioCompression: 'Compresser l\'audio WAV',
+    audioCompressionOff: 'Désactivé (WAV)',
+    audioCompressionHint: 'Encodé localement dans le navigateur, les fichiers deviennent environ 10 fois plus petits',
+    audioCompressionBitrate: 'Débit',
+    statusCompressingAudio: 'Compression de l\'audio en {format}...',
+    audioNarration: 'Narration à plusieurs voix',
+    audioNarrationHint: 'Les titres, citations, légendes d\'images et intervenants d\'une interview peuvent avoir leur propre voix',
+    audioNarrationVoices: 'Voix de la narration',
+    audioNarrationHeadingVoice: 'Titres',
+    audioNarrationQuoteVoice: 'Citations',
+    audioNarrationCaptionVoice: 'Légendes d\'images',
+    audioNarrationSpeaker1Voice: 'Premier intervenant',
+    audioNarrationSpeaker2Voice: 'Second intervenant',
+    audioNarrationVoicesHint: 'Les intervenants sont repérés par des étiquettes comme « Q : » ou « Anna : » en début de paragraphe et prennent les voix à tour de rôle',
+    audioNarrationSameVoice: 'Voix principale',
+    audioNarrationPause: 'Entre les sections',
+    audioNarrationPauseOff: 'Rien',
+    audioNarrationPausePause: 'Pause',
+    audioNarrationPauseChime: 'Pause avec carillon',
+    audioNarrationPauseHint: 'Ajouté avant les titres pour les fournisseurs qui renvoient du WAV (Piper, Google, Qwen, Respeecher)',
+    flashV2: 'Flash v2 (anglais, balises phonèmes)',
+    pronunciationLexicon: 'Dictionnaire de prononciation',
+    pronunciationLexiconHint: 'Une règle par ligne : mot => prononciation. [en] limite la règle à la langue de l\'article, /regex/ est une expression régulière ($1 pour les groupes), !spell épelle, !skip supprime le texte, /IPA/ à la fin ajoute des phonèmes pour ElevenLabs Flash v2',
+    pronunciationLexiconErrorLine: 'Ligne {line} ignorée : {error}',
+    audioCache: 'Cache audio',
+    audioCacheChunks: 'fragments de voix',
+    audioCacheHint: 'La voix synthétisée est conservée : un audio échoué ou annulé reprend là où il s\'est arrêté, et régénérer avec la même voix est gratuit',
+    clearAudioCache: 'Vider le cache audio',
+    clearAudioCacheConfirm: 'Vider le cache audio ? Les prochains exports audio synthétiseront à nouveau toute la voix.',
+    audioCacheCleared: 'Cache audio vidé',
+    playerTitle: 'Lecteur audio',
+    playerSpeed: 'Vitesse',
+    playerFollowText: 'Suivre le texte',
+    playerDownload: 'Télécharger',
+    playerNoTiming: 'Le minutage de cet audio est inconnu, le texte n\'est pas surligné',
+    playerAudioMissing: 'Fichier audio introuvable',
+    playerEmpty: 'Aucun audio pour l\'instant. Générez un article au format audio avec l\'option lecteur activée.',
+    audioPlayer: 'Ouvrir dans le lecteur intégré',
+    audioPlayerHint: 'Lit l\'audio avec le texte surligné et mémorise où vous vous êtes arrêté',
+    openPlayer: 'Ouvrir le lecteur',
+    voicesTitle: 'Voix hors ligne',
+    voicesLanguage: 'Langue',
+    voicesAllLanguages: 'Toutes les langues',
+    voicesStorage: 'Espace utilisé par les voix',
+    voicesUsage: '{size} ({count} voix) · stockage de l\'extension {used} sur {quota}',
+    voicesStorageUnavailable: 'Le stockage des voix n\'est pas disponible dans ce navigateur',
+    voicesSelectAll: 'Tout sélectionner',
+    voicesDownload: 'Télécharger la sélection',
+    voicesRemove: 'Supprimer la sélection',
+    voicesRemoveConfirm: 'Supprimer {count} voix téléchargées ? Elles seront retéléchargées à l\'utilisation.',
+    voicesImport: 'Importer depuis des fichiers',
+    voicesImportHint: 'Sélectionnez le modèle .onnx et sa configuration .onnx.json. Seules les voix de la liste peuvent être importées.',
+    voicesImported: 'Voix importées : {count}',
+    voicesImportUnknownVoice: 'la voix n\'est pas dans la liste',
+    voicesImportMissingConfig: 'fichier de configuration (.onnx.json) manquant',
+    voicesImportMissingModel: 'fichier de modèle (.onnx) manquant',
+    voicesImportUnsupportedFile: 'pas un fichier de voix',
+    voicesImportInvalidConfig: 'le fichier de configuration n\'est pas une configuration de voix Piper',
+    voicesNotDownloaded: 'Non téléchargée',
+    voicesFailed: 'Échec',
+    voicesSample: 'Extrait',
+    voicesSampleUnavailable: 'Extrait indisponible (il est chargé depuis Internet)',
+    manageOfflineVoices: 'Gérer les voix hors ligne',
+    manageOfflineVoicesHint: 'Téléchargez les voix à l\'avance, consultez l\'espace utilisé ou importez des fichiers de voix approuvés',
+    offlineVoiceAuto: 'Auto (selon la langue du contenu)',
+    summaryListen: 'Écouter le résumé',
+    summaryExportPdf: 'Exporter le résumé en PDF',
+    summaryExportEpub: 'Exporter le résumé en EPUB',
+    summaryExportAudio: 'Exporter le résumé en audio',
+    summaryExportStarted: 'Export du résumé lancé',
+    summaryExportNotStarted: 'L\'export du résumé n\'a pas démarré. Attendez que le document en cours soit prêt.',
+    summaryExportFailed: 'Impossible d\'exporter le résumé',
+    errorNoSummaryToExport: 'Aucun résumé à exporter. Générez d\'abord un résumé.',
+    podcastLibrary: 'Ajouter au flux podcast',
+    podcastLibraryHint: 'Conserve l\'audio dans un podcast personnel auquel toute application de podcast peut s\'abonner',
+    openPodcast: 'Ouvrir le podcast',
+    podcastTitle: 'Podcast',
+    podcastSummary: 'Épisodes : {count} · {size}',
+    podcastEmpty: 'Aucun épisode pour l\'instant. Activez « Ajouter au flux podcast » dans les réglages audio et créez un audio.',
+    podcastSource: 'Source',
+    podcastRemove: 'Supprimer',
+    podcastRemoveConfirm: 'Supprimer l\'épisode « {title} » ?',
+    podcastFeed: 'Flux',
+    podcastFeedTitle: 'Titre',
+    podcastFeedAuthor: 'Auteur',
+    podcastFeedDescription: 'Description',
+    podcastBaseUrl: 'URL publique du dossier du flux',
+    podcastBaseUrlHint: 'Les liens des épisodes dans feed.xml pointent ici. Lors de la publication, l\'URL d\'envoi est utilisée si ce champ est vide.',
+    podcastPublishing: 'Publication',
+    podcastTarget: 'Envoyer vers',
+    podcastTargetNone: 'Nulle part (export ZIP uniquement)',
+    podcastTargetS3: 'Stockage compatible S3',
+    podcastTargetUrl: 'URL d\'envoi',
+    podcastTargetUrlHint: 'Dossier WebDAV, ou point d\'accès S3 avec bucket et dossier facultatif (https://s3.eu-central-1.amazonaws.com/bucket/podcast)',
+    podcastUsername: 'Utilisateur ou Access Key ID',
+    podcastSecret: 'Mot de passe ou Secret Access Key',
+    podcastRegion: 'Région',
+    podcastSave: 'Enregistrer',
+    podcastExport: 'Exporter en ZIP',
+    podcastPublish: 'Publier',
+    podcastSecretSaved: 'Enregistré (saisir pour remplacer)',
+    podcastSaved: 'Réglages enregistrés',
+    podcastSaveFailed: 'Échec de l\'enregistrement des réglages',
+    podcastPreparing: 'Préparation du flux...',
+    podcastExported: 'ZIP téléchargé. Envoyez son contenu dans le dossier du flux et abonnez-vous à feed.xml.',
+    podcastExportedNoUrl: 'ZIP téléchargé. Indiquez l\'URL publique du dossier du flux pour que les applications trouvent les fichiers des épisodes.',
+    podcastExportFailed: 'Échec de l\'export',
+    podcastUploading: 'Envoi {done} sur {total}...',
+    podcastPublished: 'Publié : {uploaded} fichiers envoyés, {skipped} déjà présents. Abonnez-vous à {url}',
+    podcastPublishFailed: 'Échec de la publication',
+    translationBilingual: 'Conserver le texte original',
+    translationBilingualOff: 'Non, traduction seule',
+    translationBilingualInterleaved: 'Après chaque paragraphe',
+    translationBilingualColumns: 'Côte à côte (PDF)',
+    translationBilingualHint: 'Document bilingue pour apprendre une langue : l\'original suit chaque paragraphe traduit, ou figure dans une colonne à côté dans le PDF',
+    translationGlossary: 'Glossaire de traduction',
+    translationGlossaryHint: 'Un terme par ligne : terme => traduction. !keep laisse le terme non traduit, [en>fr] limite à une paire de langues, [fr] à la langue cible',
+    translationGlossaryErrorLine: 'Ligne {line} ignorée : {error}',
+    translationGlossaryViolations: 'La dernière traduction ({title}) n\'a pas respecté : {terms}',
+    translationGlossaryRespected: 'La dernière traduction ({title}) a respecté le glossaire',
+    translationGlossaryImport: 'Importer CSV/TBX',
+    translationGlossaryExportCsv: 'Exporter CSV',
+    translationGlossaryExportTbx: 'Exporter TBX',
+    translationGlossaryImported: 'Termes ajoutés : {count}',
+    translationGlossaryImportFailed: 'Échec de l\'import du glossaire',
+    translationMemory: 'Mémoire de traduction',
+    translationMemorySegments: 'segments',
+    translationMemoryHits: 'réutilisés',
+    translationMemoryMisses: 'traduits',
+    clearTranslationMemory: 'Vider la mémoire de traduction',
+    clearTranslationMemoryConfirm: 'Supprimer toutes les traductions enregistrées ? Les prochaines traductions appelleront de nouveau l\'API.',
+    translationMemoryCleared: 'Mémoire de traduction vidée',
+    translationMemoryReuse: 'Réutiliser les traductions précédentes',
+    translationMemoryHint: 'Les paragraphes déjà traduits avec le même modèle et la même langue sont repris de la mémoire de traduction sans requête API',
+    translationMemoryFuzzy: 'Montrer au modèle les traductions similaires',
+    otherLanguage: 'Autre langue…',
+    customLanguage: 'Langue',
+    customLanguageHint: 'Code ou nom de la langue. Pour les langues hors liste, les documents utilisent des libellés en anglais'
   },
   es: {
 
@@ -3356,6 +4551,245 @@ export const UI_LOCALES = {
     errorNoTtsApiKey: 'No se proporcionó clave API {provider} para TTS',
 
     untitled: 'Untitled',
+    contextMenuAddToQueue: 'Añadir a la cola',
+    queue: 'Cola',
+    queueTitle: 'Cola por lotes',
+    queueAddWindowTabs: 'Guardar todas las pestañas abiertas de esta ventana',
+    queueUrlsPlaceholder: 'Pega las URL, una por línea',
+    queueAddUrls: 'Añadir URL',
+    queueClearFinished: 'Borrar terminados',
+    queueEmpty: 'La cola está vacía',
+    queueJobsAdded: 'Añadido a la cola: {count}',
+    queueNothingAdded: 'No hay páginas web nuevas para añadir',
+    queueStatusPending: 'En espera',
+    queueStatusRunning: 'Procesando',
+    queueStatusDone: 'Listo',
+    queueStatusError: 'Error',
+    queueStatusCancelled: 'Cancelado',
+    queueRetry: 'Reintentar',
+    queueRemove: 'Eliminar',
+    queueFinishedNotification: 'Cola terminada: {done} guardados, {failed} con error',
+    errorQueueTabLoadTimeout: 'La página no terminó de cargarse a tiempo',
+    errorQueueJobNotStarted: 'No se pudo iniciar el procesamiento',
+    queueAnthology: 'Combinar en un solo libro (EPUB, FB2, PDF)',
+    queueAnthologyChapter: 'Capítulo del libro',
+    errorAnthologyUnsupportedFormat: 'Solo EPUB, FB2 y PDF pueden combinar varios artículos en un libro',
+    errorAnthologyNoChapters: 'No hay artículos procesados para combinar en un libro',
+    customEndpoint: 'Endpoint personalizado (compatible con OpenAI)',
+    customApiKey: 'Clave API (opcional)',
+    enterCustomApiKey: 'Déjelo vacío si el servidor no requiere autenticación',
+    customEndpointUrl: 'URL del endpoint',
+    customAllowLocal: 'Permitir localhost y direcciones de red local',
+    customEndpointHint: 'Cualquier servidor compatible con OpenAI: Ollama, LM Studio, vLLM, llama.cpp. El texto de los artículos se envía solo a este servidor',
+    fetchCustomModels: 'Cargar modelos',
+    customModelsLoaded: 'Modelos cargados: {count}',
+    errorCustomEndpointNotConfigured: 'La URL del endpoint personalizado no está configurada. Introdúzcala en los ajustes y guarde',
+    errorCustomEndpointInvalidUrl: 'URL del endpoint no válida. Use una dirección http:// o https://, p. ej. http://localhost:11434/v1',
+    errorCustomEndpointLocalBlocked: 'La URL apunta a localhost o a la red local. Active «Permitir localhost y direcciones de red local» para usarla',
+    errorCustomEndpointUnreachable: 'No se puede conectar a {url}. Compruebe que el servidor está en marcha y acepta solicitudes de la extensión (para Ollama defina OLLAMA_ORIGINS)',
+    errorCustomEndpointNoModels: 'El servidor no devolvió ningún modelo. Descargue un modelo en el servidor o añada el nombre del modelo manualmente',
+    errorCustomEndpointModelNotFound: 'El modelo «{model}» no está disponible en el servidor. Vuelva a cargar los modelos o compruebe el nombre',
+    statusLoadingNextPage: 'Cargando la página {0} del artículo...',
+    paginationMaxPages: 'Artículos de varias páginas: máximo de páginas',
+    paginationMaxPagesHint: 'Las páginas siguientes (rel="next", ?page=2) se cargan en pestañas en segundo plano y se combinan. 1 = solo la página actual',
+    markdownFrontMatter: 'Front matter YAML',
+    markdownFrontMatterHint: 'Bloque de metadatos para Obsidian, Logseq y otras apps de notas',
+    markdownFrontMatterTemplate: 'Plantilla de front matter',
+    markdownFrontMatterTemplateHint: 'Marcadores: {{title}}, {{author}}, {{url}}, {{site}}, {{published}}, {{clipped}}, {{language}}, {{tags}}, {{word_count}}, {{abstract}}. Las líneas con valores vacíos se omiten. Déjelo vacío para usar la plantilla predeterminada',
+    markdownImages: 'Imágenes en Markdown',
+    markdownImagesNone: 'No incluir',
+    markdownImagesRemote: 'Enlazar a las URL originales',
+    markdownImagesLocal: 'Guardar junto al archivo .md',
+    markdownImagesHint: '«Guardar junto al archivo .md» guarda la nota y las imágenes en una carpeta de Descargas con enlaces relativos',
+    contextMenuSaveSelectionAs: 'Guardar selección como',
+    errorNoSelection: 'No hay nada seleccionado en la página. Seleccione texto e inténtelo de nuevo',
+    statusUsingUserSelectors: '👆 Usando tus selectores...',
+    errorUserSelectorsFailed: 'Tus selectores para este sitio ya no coinciden con la página. Vuelve a elegir el contenido del artículo o edítalos en el caché de selectores',
+    pickerHintContainer: 'Haz clic en el contenedor del artículo',
+    pickerHintExclude: 'Haz clic en los elementos a excluir. ↑ selecciona el padre, Enter guarda, Esc cancela',
+    pickerDone: 'Guardar',
+    pickerCancel: 'Cancelar',
+    errorPickerPageNotSupported: 'El contenido del artículo solo se puede elegir en páginas web',
+    pickerSaved: 'Selectores para {domain} guardados. Se usarán en lugar de la detección automática y la IA',
+    errorPickerFailed: 'No se pudo elegir el contenido del artículo: {error}',
+    contextMenuPickContent: 'Elegir el contenido del artículo en la página',
+    pickContentOnPage: 'Elegir el contenido del artículo en esta página',
+    pickContentHint: 'Haz clic en el contenedor del artículo y luego en los elementos a excluir. Tus selectores se usan en lugar de la detección automática y la IA',
+    userSelectorsBadge: 'tuyos',
+    editSelectors: 'Editar selectores',
+    selectorContainerLabel: 'Contenedor del artículo',
+    selectorExcludeLabel: 'Excluir (un selector por línea)',
+    saveSelectors: 'Guardar selectores',
+    selectorContainerRequired: 'Se requiere el selector del contenedor del artículo',
+    selectorsSaved: 'Selectores guardados',
+    selectorsSaveFailed: 'No se pudieron guardar los selectores',
+    reviewBeforeGeneration: 'Revisar el contenido antes de guardar',
+    reviewBeforeGenerationHint: 'Abre el contenido extraído para editarlo antes de traducir y generar el archivo (no se usa en la cola por lotes)',
+    stageReviewing: 'Esperando revisión',
+    statusWaitingForReview: 'Revisa el contenido en la pestaña abierta y haz clic en Continuar...',
+    errorReviewExpired: 'Esta revisión ya no está activa: el procesamiento terminó o se canceló',
+    reviewTitle: 'Revisar contenido',
+    reviewHint: 'Edita, reordena o elimina bloques y luego continúa con la traducción y la generación del archivo.',
+    reviewDocumentTitle: 'Título',
+    reviewIncludeImages: 'Incluir imágenes',
+    reviewContinue: 'Continuar',
+    reviewMoveUp: 'Subir',
+    reviewMoveDown: 'Bajar',
+    reviewDelete: 'Eliminar bloque',
+    reviewHeadingLevel: 'Nivel de encabezado',
+    reviewIncludeImage: 'Incluir',
+    reviewImageCaption: 'Pie de foto',
+    reviewBlockCount: 'Bloques: {count}',
+    reviewEmpty: 'No queda nada que guardar: cancela y vuelve a guardar la página',
+    reviewSubmitFailed: 'No se pudo continuar: {error}',
+    reviewTypeHeading: 'Encabezado',
+    reviewTypeText: 'Texto',
+    reviewTypeQuote: 'Cita',
+    reviewTypeCode: 'Código',
+    reviewTypeImage: 'Imagen',
+    reviewTypeList: 'Lista',
+    reviewTypeTable: 'Tabla',
+    reviewTypeInfobox: 'Recuadro',
+    audioM4b: 'Archivo de audiolibro (M4B)',
+    audioM4bHint: 'M4B con capítulos para apps de audiolibros y pódcast (el MP3 recibe capítulos y etiquetas en cualquier caso)',
+    audioCompression: 'Comprimir audio WAV',
+    audioCompressionOff: 'Desactivado (WAV)',
+    audioCompressionHint: 'Se codifica localmente en el navegador, los archivos son unas 10 veces más pequeños',
+    audioCompressionBitrate: 'Tasa de bits',
+    statusCompressingAudio: 'Comprimiendo audio a {format}...',
+    audioNarration: 'Narración con varias voces',
+    audioNarrationHint: 'Los títulos, citas, pies de imagen y participantes de entrevistas pueden tener su propia voz',
+    audioNarrationVoices: 'Voces de la narración',
+    audioNarrationHeadingVoice: 'Títulos',
+    audioNarrationQuoteVoice: 'Citas',
+    audioNarrationCaptionVoice: 'Pies de imagen',
+    audioNarrationSpeaker1Voice: 'Primer interlocutor',
+    audioNarrationSpeaker2Voice: 'Segundo interlocutor',
+    audioNarrationVoicesHint: 'Los interlocutores se detectan por etiquetas como «P:» o «Ana:» al inicio del párrafo y se alternan las voces',
+    audioNarrationSameVoice: 'Voz principal',
+    audioNarrationPause: 'Entre secciones',
+    audioNarrationPauseOff: 'Nada',
+    audioNarrationPausePause: 'Pausa',
+    audioNarrationPauseChime: 'Pausa con campanilla',
+    audioNarrationPauseHint: 'Se añade antes de los títulos con proveedores que devuelven WAV (Piper, Google, Qwen, Respeecher)',
+    flashV2: 'Flash v2 (inglés, etiquetas de fonemas)',
+    pronunciationLexicon: 'Diccionario de pronunciación',
+    pronunciationLexiconHint: 'Una regla por línea: palabra => pronunciación. [en] limita la regla al idioma del artículo, /regex/ es una expresión regular ($1 para grupos), !spell deletrea, !skip elimina el texto, /IPA/ al final añade fonemas para ElevenLabs Flash v2',
+    pronunciationLexiconErrorLine: 'Línea {line} omitida: {error}',
+    audioCache: 'Caché de audio',
+    audioCacheChunks: 'fragmentos de voz',
+    audioCacheHint: 'La voz sintetizada se guarda: el audio fallido o cancelado continúa donde se detuvo y regenerar con la misma voz es gratis',
+    clearAudioCache: 'Borrar caché de audio',
+    clearAudioCacheConfirm: '¿Borrar la caché de audio? Las próximas exportaciones de audio volverán a sintetizar toda la voz.',
+    audioCacheCleared: 'Caché de audio borrada',
+    playerTitle: 'Reproductor de audio',
+    playerSpeed: 'Velocidad',
+    playerFollowText: 'Seguir el texto',
+    playerDownload: 'Descargar',
+    playerNoTiming: 'Se desconoce la sincronización de este audio, el texto no se resalta',
+    playerAudioMissing: 'No se encontró el archivo de audio',
+    playerEmpty: 'Aún no hay audio. Genera un artículo en formato de audio con la opción del reproductor activada.',
+    audioPlayer: 'Abrir en el reproductor integrado',
+    audioPlayerHint: 'Reproduce el audio con el texto resaltado y recuerda dónde te quedaste',
+    openPlayer: 'Abrir reproductor',
+    voicesTitle: 'Voces sin conexión',
+    voicesLanguage: 'Idioma',
+    voicesAllLanguages: 'Todos los idiomas',
+    voicesStorage: 'Espacio usado por las voces',
+    voicesUsage: '{size} ({count} voces) · almacenamiento de la extensión {used} de {quota}',
+    voicesStorageUnavailable: 'El almacenamiento de voces no está disponible en este navegador',
+    voicesSelectAll: 'Seleccionar todo',
+    voicesDownload: 'Descargar seleccionadas',
+    voicesRemove: 'Eliminar seleccionadas',
+    voicesRemoveConfirm: '¿Eliminar {count} voces descargadas? Se volverán a descargar al usarlas.',
+    voicesImport: 'Importar desde archivos',
+    voicesImportHint: 'Selecciona el modelo .onnx y su configuración .onnx.json. Solo se pueden importar voces de la lista.',
+    voicesImported: 'Voces importadas: {count}',
+    voicesImportUnknownVoice: 'la voz no está en la lista',
+    voicesImportMissingConfig: 'falta el archivo de configuración (.onnx.json)',
+    voicesImportMissingModel: 'falta el archivo del modelo (.onnx)',
+    voicesImportUnsupportedFile: 'no es un archivo de voz',
+    voicesImportInvalidConfig: 'el archivo de configuración no es una configuración de voz de Piper',
+    voicesNotDownloaded: 'No descargada',
+    voicesFailed: 'Error',
+    voicesSample: 'Muestra',
+    voicesSampleUnavailable: 'La muestra no está disponible (se carga desde internet)',
+    manageOfflineVoices: 'Gestionar voces sin conexión',
+    manageOfflineVoicesHint: 'Descarga voces por adelantado, consulta el espacio usado o importa archivos de voz aprobados',
+    offlineVoiceAuto: 'Automático (según el idioma del contenido)',
+    summaryListen: 'Escuchar el resumen',
+    summaryExportPdf: 'Exportar el resumen como PDF',
+    summaryExportEpub: 'Exportar el resumen como EPUB',
+    summaryExportAudio: 'Exportar el resumen como audio',
+    summaryExportStarted: 'Exportación del resumen iniciada',
+    summaryExportNotStarted: 'La exportación del resumen no se inició. Espera a que el documento actual esté listo.',
+    summaryExportFailed: 'No se pudo exportar el resumen',
+    errorNoSummaryToExport: 'No hay resumen para exportar. Genera primero un resumen.',
+    podcastLibrary: 'Añadir al feed de pódcast',
+    podcastLibraryHint: 'Guarda el audio en un pódcast personal al que puedes suscribirte en cualquier app de pódcast',
+    openPodcast: 'Abrir pódcast',
+    podcastTitle: 'Pódcast',
+    podcastSummary: 'Episodios: {count} · {size}',
+    podcastEmpty: 'Aún no hay episodios. Activa «Añadir al feed de pódcast» en los ajustes de audio y crea un audio.',
+    podcastSource: 'Fuente',
+    podcastRemove: 'Eliminar',
+    podcastRemoveConfirm: '¿Eliminar el episodio «{title}»?',
+    podcastFeed: 'Feed',
+    podcastFeedTitle: 'Título',
+    podcastFeedAuthor: 'Autor',
+    podcastFeedDescription: 'Descripción',
+    podcastBaseUrl: 'URL pública de la carpeta del feed',
+    podcastBaseUrlHint: 'Los enlaces de los episodios en feed.xml apuntan aquí. Al publicar, se usa la URL de subida si está vacío.',
+    podcastPublishing: 'Publicación',
+    podcastTarget: 'Subir a',
+    podcastTargetNone: 'A ningún sitio (solo exportar ZIP)',
+    podcastTargetS3: 'Almacenamiento compatible con S3',
+    podcastTargetUrl: 'URL de subida',
+    podcastTargetUrlHint: 'Carpeta WebDAV, o endpoint S3 con bucket y carpeta opcional (https://s3.eu-central-1.amazonaws.com/bucket/podcast)',
+    podcastUsername: 'Usuario o Access Key ID',
+    podcastSecret: 'Contraseña o Secret Access Key',
+    podcastRegion: 'Región',
+    podcastSave: 'Guardar',
+    podcastExport: 'Exportar ZIP',
+    podcastPublish: 'Publicar',
+    podcastSecretSaved: 'Guardado (escribe para reemplazar)',
+    podcastSaved: 'Ajustes guardados',
+    podcastSaveFailed: 'No se pudieron guardar los ajustes',
+    podcastPreparing: 'Preparando el feed...',
+    podcastExported: 'ZIP descargado. Sube su contenido a la carpeta del feed y suscríbete a feed.xml.',
+    podcastExportedNoUrl: 'ZIP descargado. Indica la URL pública de la carpeta del feed para que las apps encuentren los archivos de los episodios.',
+    podcastExportFailed: 'Error al exportar',
+    podcastUploading: 'Subiendo {done} de {total}...',
+    podcastPublished: 'Publicado: {uploaded} archivos subidos, {skipped} ya estaban. Suscríbete a {url}',
+    podcastPublishFailed: 'Error al publicar',
+    translationBilingual: 'Conservar el texto original',
+    translationBilingualOff: 'No, solo traducción',
+    translationBilingualInterleaved: 'Después de cada párrafo',
+    translationBilingualColumns: 'Lado a lado (PDF)',
+    translationBilingualHint: 'Documento bilingüe para aprender idiomas: el original sigue a cada párrafo traducido o aparece en una columna al lado en PDF',
+    translationGlossary: 'Glosario de traducción',
+    translationGlossaryHint: 'Un término por línea: término => traducción. !keep deja el término sin traducir, [en>es] lo limita a un par de idiomas, [es] al idioma de destino',
+    translationGlossaryErrorLine: 'Línea {line} omitida: {error}',
+    translationGlossaryViolations: 'La última traducción ({title}) no respetó: {terms}',
+    translationGlossaryRespected: 'La última traducción ({title}) respetó el glosario',
+    translationGlossaryImport: 'Importar CSV/TBX',
+    translationGlossaryExportCsv: 'Exportar CSV',
+    translationGlossaryExportTbx: 'Exportar TBX',
+    translationGlossaryImported: 'Términos añadidos: {count}',
+    translationGlossaryImportFailed: 'Error al importar el glosario',
+    translationMemory: 'Memoria de traducción',
+    translationMemorySegments: 'segmentos',
+    translationMemoryHits: 'reutilizados',
+    translationMemoryMisses: 'traducidos',
+    clearTranslationMemory: 'Vaciar memoria de traducción',
+    clearTranslationMemoryConfirm: '¿Eliminar todas las traducciones guardadas? Las siguientes traducciones volverán a usar la API.',
+    translationMemoryCleared: 'Memoria de traducción vaciada',
+    translationMemoryReuse: 'Reutilizar traducciones anteriores',
+    translationMemoryHint: 'Los párrafos ya traducidos con el mismo modelo e idioma se toman de la memoria de traducción sin solicitudes a la API',
+    translationMemoryFuzzy: 'Mostrar traducciones similares al modelo',
+    otherLanguage: 'Otro idioma…',
+    customLanguage: 'Idioma',
+    customLanguageHint: 'Código o nombre del idioma. Para idiomas fuera de la lista, los documentos usan etiquetas en inglés'
   },
   it: {
 
@@ -3918,6 +5352,245 @@ export const UI_LOCALES = {
     errorNoApiKeyForTextPrep: 'Nessuna chiave API fornita per la preparazione del testo',
 
     errorNoTtsApiKey: 'Nessuna chiave API {provider} fornita per TTS',
+    contextMenuAddToQueue: 'Aggiungi alla coda',
+    queue: 'Coda',
+    queueTitle: 'Coda di elaborazione',
+    queueAddWindowTabs: 'Salva tutte le schede aperte in questa finestra',
+    queueUrlsPlaceholder: 'Incolla gli URL, uno per riga',
+    queueAddUrls: 'Aggiungi URL',
+    queueClearFinished: 'Rimuovi completati',
+    queueEmpty: 'La coda è vuota',
+    queueJobsAdded: 'Aggiunti alla coda: {count}',
+    queueNothingAdded: 'Nessuna nuova pagina web da aggiungere',
+    queueStatusPending: 'In attesa',
+    queueStatusRunning: 'Elaborazione',
+    queueStatusDone: 'Completato',
+    queueStatusError: 'Non riuscito',
+    queueStatusCancelled: 'Annullato',
+    queueRetry: 'Riprova',
+    queueRemove: 'Rimuovi',
+    queueFinishedNotification: 'Coda completata: {done} salvati, {failed} non riusciti',
+    errorQueueTabLoadTimeout: 'La pagina non è stata caricata in tempo',
+    errorQueueJobNotStarted: 'Impossibile avviare l\'elaborazione',
+    queueAnthology: 'Unisci in un unico libro (EPUB, FB2, PDF)',
+    queueAnthologyChapter: 'Capitolo del libro',
+    errorAnthologyUnsupportedFormat: 'Solo EPUB, FB2 e PDF possono unire più articoli in un libro',
+    errorAnthologyNoChapters: 'Nessun articolo elaborato da unire in un libro',
+    customEndpoint: 'Endpoint personalizzato (compatibile con OpenAI)',
+    customApiKey: 'Chiave API (facoltativa)',
+    enterCustomApiKey: 'Lascia vuoto se il server non richiede autenticazione',
+    customEndpointUrl: 'URL dell\'endpoint',
+    customAllowLocal: 'Consenti localhost e indirizzi della rete locale',
+    customEndpointHint: 'Qualsiasi server compatibile con OpenAI: Ollama, LM Studio, vLLM, llama.cpp. Il testo degli articoli viene inviato solo a questo server',
+    fetchCustomModels: 'Carica modelli',
+    customModelsLoaded: 'Modelli caricati: {count}',
+    errorCustomEndpointNotConfigured: 'L\'URL dell\'endpoint personalizzato non è impostato. Inseriscilo nelle impostazioni e salva',
+    errorCustomEndpointInvalidUrl: 'URL dell\'endpoint non valido. Usa un indirizzo http:// o https://, ad es. http://localhost:11434/v1',
+    errorCustomEndpointLocalBlocked: 'L\'URL punta a localhost o alla rete locale. Attiva «Consenti localhost e indirizzi della rete locale» per usarlo',
+    errorCustomEndpointUnreachable: 'Impossibile connettersi a {url}. Verifica che il server sia avviato e accetti richieste dall\'estensione (per Ollama imposta OLLAMA_ORIGINS)',
+    errorCustomEndpointNoModels: 'Il server non ha restituito alcun modello. Scarica un modello sul server o aggiungi il nome del modello manualmente',
+    errorCustomEndpointModelNotFound: 'Il modello «{model}» non è disponibile sul server. Ricarica i modelli o verifica il nome',
+    statusLoadingNextPage: 'Caricamento pagina {0} dell\'articolo...',
+    paginationMaxPages: 'Articoli multipagina: numero massimo di pagine',
+    paginationMaxPagesHint: 'Le pagine successive (rel="next", ?page=2) vengono caricate in schede in background e unite. 1 = solo la pagina corrente',
+    markdownFrontMatter: 'Front matter YAML',
+    markdownFrontMatterHint: 'Blocco di metadati per Obsidian, Logseq e altre app di note',
+    markdownFrontMatterTemplate: 'Modello front matter',
+    markdownFrontMatterTemplateHint: 'Segnaposto: {{title}}, {{author}}, {{url}}, {{site}}, {{published}}, {{clipped}}, {{language}}, {{tags}}, {{word_count}}, {{abstract}}. Le righe con valori vuoti vengono saltate. Lascia vuoto per il modello predefinito',
+    markdownImages: 'Immagini in Markdown',
+    markdownImagesNone: 'Non includere',
+    markdownImagesRemote: 'Collegamento agli URL originali',
+    markdownImagesLocal: 'Salva accanto al file .md',
+    markdownImagesHint: '«Salva accanto al file .md» salva nota e immagini in una cartella di Download con link relativi',
+    contextMenuSaveSelectionAs: 'Salva selezione come',
+    errorNoSelection: 'Nessuna selezione nella pagina. Seleziona del testo e riprova',
+    statusUsingUserSelectors: '👆 Uso dei tuoi selettori...',
+    errorUserSelectorsFailed: 'I tuoi selettori per questo sito non corrispondono più alla pagina. Scegli di nuovo il contenuto dell\'articolo o modificali nella cache dei selettori',
+    pickerHintContainer: 'Fai clic sul contenitore dell\'articolo',
+    pickerHintExclude: 'Fai clic sugli elementi da escludere. ↑ seleziona il genitore, Invio salva, Esc annulla',
+    pickerDone: 'Salva',
+    pickerCancel: 'Annulla',
+    errorPickerPageNotSupported: 'Il contenuto dell\'articolo può essere scelto solo su pagine web',
+    pickerSaved: 'Selettori per {domain} salvati. Verranno usati al posto del rilevamento automatico e dell\'IA',
+    errorPickerFailed: 'Impossibile scegliere il contenuto dell\'articolo: {error}',
+    contextMenuPickContent: 'Scegli il contenuto dell\'articolo nella pagina',
+    pickContentOnPage: 'Scegli il contenuto dell\'articolo in questa pagina',
+    pickContentHint: 'Fai clic sul contenitore dell\'articolo, poi sugli elementi da escludere. I tuoi selettori sostituiscono il rilevamento automatico e l\'IA',
+    userSelectorsBadge: 'tuoi',
+    editSelectors: 'Modifica selettori',
+    selectorContainerLabel: 'Contenitore dell\'articolo',
+    selectorExcludeLabel: 'Escludi (un selettore per riga)',
+    saveSelectors: 'Salva selettori',
+    selectorContainerRequired: 'È richiesto il selettore del contenitore dell\'articolo',
+    selectorsSaved: 'Selettori salvati',
+    selectorsSaveFailed: 'Impossibile salvare i selettori',
+    reviewBeforeGeneration: 'Rivedi il contenuto prima di salvare',
+    reviewBeforeGenerationHint: 'Apre il contenuto estratto per modificarlo prima della traduzione e della generazione del file (non per la coda)',
+    stageReviewing: 'In attesa di revisione',
+    statusWaitingForReview: 'Rivedi il contenuto nella scheda aperta e fai clic su Continua...',
+    errorReviewExpired: 'Questa revisione non è più attiva: l\'elaborazione è terminata o annullata',
+    reviewTitle: 'Rivedi contenuto',
+    reviewHint: 'Modifica, riordina o elimina i blocchi, poi continua con traduzione e generazione del file.',
+    reviewDocumentTitle: 'Titolo',
+    reviewIncludeImages: 'Includi immagini',
+    reviewContinue: 'Continua',
+    reviewMoveUp: 'Sposta su',
+    reviewMoveDown: 'Sposta giù',
+    reviewDelete: 'Elimina blocco',
+    reviewHeadingLevel: 'Livello del titolo',
+    reviewIncludeImage: 'Includi',
+    reviewImageCaption: 'Didascalia',
+    reviewBlockCount: 'Blocchi: {count}',
+    reviewEmpty: 'Non resta nulla da salvare: annulla e salva di nuovo la pagina',
+    reviewSubmitFailed: 'Impossibile continuare: {error}',
+    reviewTypeHeading: 'Titolo',
+    reviewTypeText: 'Testo',
+    reviewTypeQuote: 'Citazione',
+    reviewTypeCode: 'Codice',
+    reviewTypeImage: 'Immagine',
+    reviewTypeList: 'Elenco',
+    reviewTypeTable: 'Tabella',
+    reviewTypeInfobox: 'Riquadro',
+    audioM4b: 'File audiolibro (M4B)',
+    audioM4bHint: 'M4B con capitoli per app di audiolibri e podcast (l\'MP3 riceve comunque capitoli e tag)',
+    audioCompression: 'Comprimi audio WAV',
+    audioCompressionOff: 'Disattivato (WAV)',
+    audioCompressionHint: 'Codificato localmente nel browser, i file diventano circa 10 volte più piccoli',
+    audioCompressionBitrate: 'Bitrate',
+    statusCompressingAudio: 'Compressione audio in {format}...',
+    audioNarration: 'Narrazione a più voci',
+    audioNarrationHint: 'Titoli, citazioni, didascalie e interlocutori di un\'intervista possono avere una propria voce',
+    audioNarrationVoices: 'Voci della narrazione',
+    audioNarrationHeadingVoice: 'Titoli',
+    audioNarrationQuoteVoice: 'Citazioni',
+    audioNarrationCaptionVoice: 'Didascalie',
+    audioNarrationSpeaker1Voice: 'Primo interlocutore',
+    audioNarrationSpeaker2Voice: 'Secondo interlocutore',
+    audioNarrationVoicesHint: 'Gli interlocutori sono riconosciuti da etichette come «D:» o «Anna:» a inizio paragrafo e usano le voci a turno',
+    audioNarrationSameVoice: 'Voce principale',
+    audioNarrationPause: 'Tra le sezioni',
+    audioNarrationPauseOff: 'Niente',
+    audioNarrationPausePause: 'Pausa',
+    audioNarrationPauseChime: 'Pausa con segnale',
+    audioNarrationPauseHint: 'Aggiunto prima dei titoli per i provider che restituiscono WAV (Piper, Google, Qwen, Respeecher)',
+    flashV2: 'Flash v2 (inglese, tag fonemi)',
+    pronunciationLexicon: 'Dizionario di pronuncia',
+    pronunciationLexiconHint: 'Una regola per riga: parola => pronuncia. [en] limita la regola alla lingua dell\'articolo, /regex/ è un\'espressione regolare ($1 per i gruppi), !spell compita, !skip rimuove il testo, /IPA/ alla fine aggiunge fonemi per ElevenLabs Flash v2',
+    pronunciationLexiconErrorLine: 'Riga {line} ignorata: {error}',
+    audioCache: 'Cache audio',
+    audioCacheChunks: 'frammenti vocali',
+    audioCacheHint: 'La voce sintetizzata viene conservata: l\'audio fallito o annullato riprende da dove si era fermato e rigenerarlo con la stessa voce è gratuito',
+    clearAudioCache: 'Svuota cache audio',
+    clearAudioCacheConfirm: 'Svuotare la cache audio? Le prossime esportazioni audio sintetizzeranno di nuovo tutta la voce.',
+    audioCacheCleared: 'Cache audio svuotata',
+    playerTitle: 'Lettore audio',
+    playerSpeed: 'Velocità',
+    playerFollowText: 'Segui il testo',
+    playerDownload: 'Scarica',
+    playerNoTiming: 'La sincronizzazione di questo audio è sconosciuta, il testo non viene evidenziato',
+    playerAudioMissing: 'File audio non trovato',
+    playerEmpty: 'Nessun audio ancora. Genera un articolo in formato audio con l\'opzione lettore attivata.',
+    audioPlayer: 'Apri nel lettore integrato',
+    audioPlayerHint: 'Riproduce l\'audio con il testo evidenziato e ricorda dove ti sei fermato',
+    openPlayer: 'Apri lettore',
+    voicesTitle: 'Voci offline',
+    voicesLanguage: 'Lingua',
+    voicesAllLanguages: 'Tutte le lingue',
+    voicesStorage: 'Spazio usato dalle voci',
+    voicesUsage: '{size} ({count} voci) · spazio dell\'estensione {used} di {quota}',
+    voicesStorageUnavailable: 'L\'archivio delle voci non è disponibile in questo browser',
+    voicesSelectAll: 'Seleziona tutto',
+    voicesDownload: 'Scarica selezionate',
+    voicesRemove: 'Rimuovi selezionate',
+    voicesRemoveConfirm: 'Rimuovere {count} voci scaricate? Verranno scaricate di nuovo quando usate.',
+    voicesImport: 'Importa da file',
+    voicesImportHint: 'Seleziona il modello .onnx e la sua configurazione .onnx.json. Si possono importare solo le voci dell\'elenco.',
+    voicesImported: 'Voci importate: {count}',
+    voicesImportUnknownVoice: 'la voce non è nell\'elenco',
+    voicesImportMissingConfig: 'manca il file di configurazione (.onnx.json)',
+    voicesImportMissingModel: 'manca il file del modello (.onnx)',
+    voicesImportUnsupportedFile: 'non è un file di voce',
+    voicesImportInvalidConfig: 'il file di configurazione non è una configurazione di voce Piper',
+    voicesNotDownloaded: 'Non scaricata',
+    voicesFailed: 'Non riuscito',
+    voicesSample: 'Esempio',
+    voicesSampleUnavailable: 'Esempio non disponibile (viene caricato da internet)',
+    manageOfflineVoices: 'Gestisci voci offline',
+    manageOfflineVoicesHint: 'Scarica le voci in anticipo, controlla lo spazio usato o importa file di voce approvati',
+    offlineVoiceAuto: 'Automatico (in base alla lingua del contenuto)',
+    summaryListen: 'Ascolta il riassunto',
+    summaryExportPdf: 'Esporta il riassunto in PDF',
+    summaryExportEpub: 'Esporta il riassunto in EPUB',
+    summaryExportAudio: 'Esporta il riassunto in audio',
+    summaryExportStarted: 'Esportazione del riassunto avviata',
+    summaryExportNotStarted: 'L\'esportazione del riassunto non è partita. Attendi che il documento corrente sia pronto.',
+    summaryExportFailed: 'Impossibile esportare il riassunto',
+    errorNoSummaryToExport: 'Nessun riassunto da esportare. Genera prima un riassunto.',
+    podcastLibrary: 'Aggiungi al feed podcast',
+    podcastLibraryHint: 'Conserva l\'audio in un podcast personale a cui iscriversi da qualsiasi app di podcast',
+    openPodcast: 'Apri podcast',
+    podcastTitle: 'Podcast',
+    podcastSummary: 'Episodi: {count} · {size}',
+    podcastEmpty: 'Ancora nessun episodio. Attiva «Aggiungi al feed podcast» nelle impostazioni audio e crea un audio.',
+    podcastSource: 'Fonte',
+    podcastRemove: 'Rimuovi',
+    podcastRemoveConfirm: 'Rimuovere l\'episodio «{title}»?',
+    podcastFeed: 'Feed',
+    podcastFeedTitle: 'Titolo',
+    podcastFeedAuthor: 'Autore',
+    podcastFeedDescription: 'Descrizione',
+    podcastBaseUrl: 'URL pubblico della cartella del feed',
+    podcastBaseUrlHint: 'I link degli episodi in feed.xml puntano qui. Durante la pubblicazione, se vuoto, si usa l\'URL di caricamento.',
+    podcastPublishing: 'Pubblicazione',
+    podcastTarget: 'Carica su',
+    podcastTargetNone: 'Nessuna destinazione (solo esportazione ZIP)',
+    podcastTargetS3: 'Storage compatibile S3',
+    podcastTargetUrl: 'URL di caricamento',
+    podcastTargetUrlHint: 'Cartella WebDAV, o endpoint S3 con bucket e cartella facoltativa (https://s3.eu-central-1.amazonaws.com/bucket/podcast)',
+    podcastUsername: 'Utente o Access Key ID',
+    podcastSecret: 'Password o Secret Access Key',
+    podcastRegion: 'Regione',
+    podcastSave: 'Salva',
+    podcastExport: 'Esporta ZIP',
+    podcastPublish: 'Pubblica',
+    podcastSecretSaved: 'Salvato (digita per sostituire)',
+    podcastSaved: 'Impostazioni salvate',
+    podcastSaveFailed: 'Impossibile salvare le impostazioni',
+    podcastPreparing: 'Preparazione del feed...',
+    podcastExported: 'ZIP scaricato. Carica il contenuto nella cartella del feed e iscriviti a feed.xml.',
+    podcastExportedNoUrl: 'ZIP scaricato. Imposta l\'URL pubblico della cartella del feed affinché le app trovino i file degli episodi.',
+    podcastExportFailed: 'Esportazione non riuscita',
+    podcastUploading: 'Caricamento {done} di {total}...',
+    podcastPublished: 'Pubblicato: {uploaded} file caricati, {skipped} già presenti. Iscriviti a {url}',
+    podcastPublishFailed: 'Pubblicazione non riuscita',
+    translationBilingual: 'Mantieni il testo originale',
+    translationBilingualOff: 'No, solo traduzione',
+    translationBilingualInterleaved: 'Dopo ogni paragrafo',
+    translationBilingualColumns: 'Affiancato (PDF)',
+    translationBilingualHint: 'Documento bilingue per imparare le lingue: l\'originale segue ogni paragrafo tradotto o compare in una colonna accanto nel PDF',
+    translationGlossary: 'Glossario di traduzione',
+    translationGlossaryHint: 'Un termine per riga: termine => traduzione. !keep lascia il termine non tradotto, [en>it] limita a una coppia di lingue, [it] alla lingua di destinazione',
+    translationGlossaryErrorLine: 'Riga {line} ignorata: {error}',
+    translationGlossaryViolations: 'L\'ultima traduzione ({title}) non ha rispettato: {terms}',
+    translationGlossaryRespected: 'L\'ultima traduzione ({title}) ha rispettato il glossario',
+    translationGlossaryImport: 'Importa CSV/TBX',
+    translationGlossaryExportCsv: 'Esporta CSV',
+    translationGlossaryExportTbx: 'Esporta TBX',
+    translationGlossaryImported: 'Termini aggiunti: {count}',
+    translationGlossaryImportFailed: 'Importazione del glossario non riuscita',
+    translationMemory: 'Memoria di traduzione',
+    translationMemorySegments: 'segmenti',
+    translationMemoryHits: 'riutilizzati',
+    translationMemoryMisses: 'tradotti',
+    clearTranslationMemory: 'Svuota memoria di traduzione',
+    clearTranslationMemoryConfirm: 'Rimuovere tutte le traduzioni salvate? Le prossime traduzioni useranno di nuovo l\'API.',
+    translationMemoryCleared: 'Memoria di traduzione svuotata',
+    translationMemoryReuse: 'Riutilizza traduzioni precedenti',
+    translationMemoryHint: 'I paragrafi già tradotti con lo stesso modello e la stessa lingua vengono presi dalla memoria di traduzione senza richieste API',
+    translationMemoryFuzzy: 'Mostra al modello traduzioni simili',
+    otherLanguage: 'Altra lingua…',
+    customLanguage: 'Lingua',
+    customLanguageHint: 'Codice o nome della lingua. Per le lingue non in elenco i documenti usano etichette in inglese'
   },
   pt: {
 
@@ -4480,6 +6153,245 @@ export const UI_LOCALES = {
     errorNoApiKeyForTextPrep: 'Nenhuma chave API fornecida para preparação do texto',
 
     errorNoTtsApiKey: 'Nenhuma chave API {provider} fornecida para TTS',
+    contextMenuAddToQueue: 'Adicionar à fila',
+    queue: 'Fila',
+    queueTitle: 'Fila em lote',
+    queueAddWindowTabs: 'Salvar todas as abas abertas nesta janela',
+    queueUrlsPlaceholder: 'Cole as URLs, uma por linha',
+    queueAddUrls: 'Adicionar URLs',
+    queueClearFinished: 'Limpar concluídos',
+    queueEmpty: 'A fila está vazia',
+    queueJobsAdded: 'Adicionado à fila: {count}',
+    queueNothingAdded: 'Nenhuma nova página da web para adicionar',
+    queueStatusPending: 'Aguardando',
+    queueStatusRunning: 'Processando',
+    queueStatusDone: 'Concluído',
+    queueStatusError: 'Falhou',
+    queueStatusCancelled: 'Cancelado',
+    queueRetry: 'Tentar novamente',
+    queueRemove: 'Remover',
+    queueFinishedNotification: 'Fila concluída: {done} salvos, {failed} com falha',
+    errorQueueTabLoadTimeout: 'A página não terminou de carregar a tempo',
+    errorQueueJobNotStarted: 'Não foi possível iniciar o processamento',
+    queueAnthology: 'Combinar em um único livro (EPUB, FB2, PDF)',
+    queueAnthologyChapter: 'Capítulo do livro',
+    errorAnthologyUnsupportedFormat: 'Apenas EPUB, FB2 e PDF podem combinar vários artigos em um livro',
+    errorAnthologyNoChapters: 'Nenhum artigo processado para combinar em um livro',
+    customEndpoint: 'Endpoint personalizado (compatível com OpenAI)',
+    customApiKey: 'Chave API (opcional)',
+    enterCustomApiKey: 'Deixe vazio se o servidor não exigir autenticação',
+    customEndpointUrl: 'URL do endpoint',
+    customAllowLocal: 'Permitir localhost e endereços da rede local',
+    customEndpointHint: 'Qualquer servidor compatível com OpenAI: Ollama, LM Studio, vLLM, llama.cpp. O texto dos artigos é enviado apenas para este servidor',
+    fetchCustomModels: 'Carregar modelos',
+    customModelsLoaded: 'Modelos carregados: {count}',
+    errorCustomEndpointNotConfigured: 'A URL do endpoint personalizado não está definida. Insira-a nas configurações e salve',
+    errorCustomEndpointInvalidUrl: 'URL do endpoint inválida. Use um endereço http:// ou https://, por ex. http://localhost:11434/v1',
+    errorCustomEndpointLocalBlocked: 'A URL aponta para localhost ou a rede local. Ative «Permitir localhost e endereços da rede local» para usá-la',
+    errorCustomEndpointUnreachable: 'Não foi possível conectar a {url}. Verifique se o servidor está em execução e aceita solicitações da extensão (para Ollama defina OLLAMA_ORIGINS)',
+    errorCustomEndpointNoModels: 'O servidor não retornou nenhum modelo. Baixe um modelo no servidor ou adicione o nome do modelo manualmente',
+    errorCustomEndpointModelNotFound: 'O modelo «{model}» não está disponível no servidor. Carregue os modelos novamente ou verifique o nome',
+    statusLoadingNextPage: 'Carregando a página {0} do artigo...',
+    paginationMaxPages: 'Artigos com várias páginas: máximo de páginas',
+    paginationMaxPagesHint: 'As páginas seguintes (rel="next", ?page=2) são carregadas em abas em segundo plano e combinadas. 1 = apenas a página atual',
+    markdownFrontMatter: 'Front matter YAML',
+    markdownFrontMatterHint: 'Bloco de metadados para Obsidian, Logseq e outros apps de notas',
+    markdownFrontMatterTemplate: 'Modelo de front matter',
+    markdownFrontMatterTemplateHint: 'Marcadores: {{title}}, {{author}}, {{url}}, {{site}}, {{published}}, {{clipped}}, {{language}}, {{tags}}, {{word_count}}, {{abstract}}. Linhas com valores vazios são ignoradas. Deixe vazio para o modelo padrão',
+    markdownImages: 'Imagens no Markdown',
+    markdownImagesNone: 'Não incluir',
+    markdownImagesRemote: 'Link para as URLs originais',
+    markdownImagesLocal: 'Salvar ao lado do arquivo .md',
+    markdownImagesHint: '"Salvar ao lado do arquivo .md" salva a nota e as imagens numa pasta em Downloads com links relativos',
+    contextMenuSaveSelectionAs: 'Salvar seleção como',
+    errorNoSelection: 'Nada está selecionado na página. Selecione um texto e tente novamente',
+    statusUsingUserSelectors: '👆 Usando seus seletores...',
+    errorUserSelectorsFailed: 'Seus seletores para este site não correspondem mais à página. Escolha o conteúdo do artigo novamente ou edite-os no cache de seletores',
+    pickerHintContainer: 'Clique no contêiner do artigo',
+    pickerHintExclude: 'Clique nos elementos a excluir. ↑ seleciona o pai, Enter salva, Esc cancela',
+    pickerDone: 'Salvar',
+    pickerCancel: 'Cancelar',
+    errorPickerPageNotSupported: 'O conteúdo do artigo só pode ser escolhido em páginas da web',
+    pickerSaved: 'Seletores para {domain} salvos. Serão usados em vez da detecção automática e da IA',
+    errorPickerFailed: 'Falha ao escolher o conteúdo do artigo: {error}',
+    contextMenuPickContent: 'Escolher o conteúdo do artigo na página',
+    pickContentOnPage: 'Escolher o conteúdo do artigo nesta página',
+    pickContentHint: 'Clique no contêiner do artigo e depois nos elementos a excluir. Seus seletores substituem a detecção automática e a IA',
+    userSelectorsBadge: 'seus',
+    editSelectors: 'Editar seletores',
+    selectorContainerLabel: 'Contêiner do artigo',
+    selectorExcludeLabel: 'Excluir (um seletor por linha)',
+    saveSelectors: 'Salvar seletores',
+    selectorContainerRequired: 'O seletor do contêiner do artigo é obrigatório',
+    selectorsSaved: 'Seletores salvos',
+    selectorsSaveFailed: 'Falha ao salvar os seletores',
+    reviewBeforeGeneration: 'Revisar o conteúdo antes de salvar',
+    reviewBeforeGenerationHint: 'Abre o conteúdo extraído para edição antes da tradução e da geração do arquivo (não usado na fila em lote)',
+    stageReviewing: 'Aguardando revisão',
+    statusWaitingForReview: 'Revise o conteúdo na aba aberta e clique em Continuar...',
+    errorReviewExpired: 'Esta revisão não está mais ativa: o processamento foi concluído ou cancelado',
+    reviewTitle: 'Revisar conteúdo',
+    reviewHint: 'Edite, reordene ou exclua blocos e depois continue para traduzir e gerar o arquivo.',
+    reviewDocumentTitle: 'Título',
+    reviewIncludeImages: 'Incluir imagens',
+    reviewContinue: 'Continuar',
+    reviewMoveUp: 'Mover para cima',
+    reviewMoveDown: 'Mover para baixo',
+    reviewDelete: 'Excluir bloco',
+    reviewHeadingLevel: 'Nível do título',
+    reviewIncludeImage: 'Incluir',
+    reviewImageCaption: 'Legenda',
+    reviewBlockCount: 'Blocos: {count}',
+    reviewEmpty: 'Não há nada para salvar: cancele e salve a página novamente',
+    reviewSubmitFailed: 'Falha ao continuar: {error}',
+    reviewTypeHeading: 'Título',
+    reviewTypeText: 'Texto',
+    reviewTypeQuote: 'Citação',
+    reviewTypeCode: 'Código',
+    reviewTypeImage: 'Imagem',
+    reviewTypeList: 'Lista',
+    reviewTypeTable: 'Tabela',
+    reviewTypeInfobox: 'Quadro',
+    audioM4b: 'Arquivo de audiolivro (M4B)',
+    audioM4bHint: 'M4B com capítulos para apps de audiolivros e podcasts (o MP3 recebe capítulos e tags de qualquer forma)',
+    audioCompression: 'Comprimir áudio WAV',
+    audioCompressionOff: 'Desativado (WAV)',
+    audioCompressionHint: 'Codificado localmente no navegador, os arquivos ficam cerca de 10 vezes menores',
+    audioCompressionBitrate: 'Taxa de bits',
+    statusCompressingAudio: 'Comprimindo áudio para {format}...',
+    audioNarration: 'Narração com várias vozes',
+    audioNarrationHint: 'Títulos, citações, legendas de imagens e participantes de entrevistas podem ter a própria voz',
+    audioNarrationVoices: 'Vozes da narração',
+    audioNarrationHeadingVoice: 'Títulos',
+    audioNarrationQuoteVoice: 'Citações',
+    audioNarrationCaptionVoice: 'Legendas de imagens',
+    audioNarrationSpeaker1Voice: 'Primeiro interlocutor',
+    audioNarrationSpeaker2Voice: 'Segundo interlocutor',
+    audioNarrationVoicesHint: 'Os interlocutores são detectados por rótulos como "P:" ou "Ana:" no início do parágrafo e alternam as vozes',
+    audioNarrationSameVoice: 'Voz principal',
+    audioNarrationPause: 'Entre seções',
+    audioNarrationPauseOff: 'Nada',
+    audioNarrationPausePause: 'Pausa',
+    audioNarrationPauseChime: 'Pausa com sinal sonoro',
+    audioNarrationPauseHint: 'Adicionado antes dos títulos para provedores que retornam WAV (Piper, Google, Qwen, Respeecher)',
+    flashV2: 'Flash v2 (inglês, tags de fonemas)',
+    pronunciationLexicon: 'Dicionário de pronúncia',
+    pronunciationLexiconHint: 'Uma regra por linha: palavra => pronúncia. [en] limita a regra ao idioma do artigo, /regex/ é uma expressão regular ($1 para grupos), !spell soletra, !skip remove o texto, /IPA/ no final adiciona fonemas para ElevenLabs Flash v2',
+    pronunciationLexiconErrorLine: 'Linha {line} ignorada: {error}',
+    audioCache: 'Cache de áudio',
+    audioCacheChunks: 'fragmentos de fala',
+    audioCacheHint: 'A fala sintetizada é guardada: o áudio com falha ou cancelado continua de onde parou e gerar de novo com a mesma voz é grátis',
+    clearAudioCache: 'Limpar cache de áudio',
+    clearAudioCacheConfirm: 'Limpar o cache de áudio? As próximas exportações de áudio sintetizarão toda a fala novamente.',
+    audioCacheCleared: 'Cache de áudio limpo',
+    playerTitle: 'Reprodutor de áudio',
+    playerSpeed: 'Velocidade',
+    playerFollowText: 'Acompanhar o texto',
+    playerDownload: 'Baixar',
+    playerNoTiming: 'A sincronização deste áudio é desconhecida, o texto não é destacado',
+    playerAudioMissing: 'Arquivo de áudio não encontrado',
+    playerEmpty: 'Ainda não há áudio. Gere um artigo em formato de áudio com a opção do reprodutor ativada.',
+    audioPlayer: 'Abrir no reprodutor integrado',
+    audioPlayerHint: 'Reproduz o áudio com o texto destacado e lembra onde você parou',
+    openPlayer: 'Abrir reprodutor',
+    voicesTitle: 'Vozes offline',
+    voicesLanguage: 'Idioma',
+    voicesAllLanguages: 'Todos os idiomas',
+    voicesStorage: 'Espaço usado pelas vozes',
+    voicesUsage: '{size} ({count} vozes) · armazenamento da extensão {used} de {quota}',
+    voicesStorageUnavailable: 'O armazenamento de vozes não está disponível neste navegador',
+    voicesSelectAll: 'Selecionar tudo',
+    voicesDownload: 'Baixar selecionadas',
+    voicesRemove: 'Remover selecionadas',
+    voicesRemoveConfirm: 'Remover {count} vozes baixadas? Elas serão baixadas novamente quando usadas.',
+    voicesImport: 'Importar de arquivos',
+    voicesImportHint: 'Selecione o modelo .onnx e sua configuração .onnx.json. Só é possível importar vozes da lista.',
+    voicesImported: 'Vozes importadas: {count}',
+    voicesImportUnknownVoice: 'a voz não está na lista',
+    voicesImportMissingConfig: 'falta o arquivo de configuração (.onnx.json)',
+    voicesImportMissingModel: 'falta o arquivo do modelo (.onnx)',
+    voicesImportUnsupportedFile: 'não é um arquivo de voz',
+    voicesImportInvalidConfig: 'o arquivo de configuração não é uma configuração de voz do Piper',
+    voicesNotDownloaded: 'Não baixada',
+    voicesFailed: 'Falhou',
+    voicesSample: 'Amostra',
+    voicesSampleUnavailable: 'Amostra indisponível (é carregada da internet)',
+    manageOfflineVoices: 'Gerenciar vozes offline',
+    manageOfflineVoicesHint: 'Baixe vozes com antecedência, veja o espaço usado ou importe arquivos de voz aprovados',
+    offlineVoiceAuto: 'Automático (pelo idioma do conteúdo)',
+    summaryListen: 'Ouvir o resumo',
+    summaryExportPdf: 'Exportar o resumo como PDF',
+    summaryExportEpub: 'Exportar o resumo como EPUB',
+    summaryExportAudio: 'Exportar o resumo como áudio',
+    summaryExportStarted: 'Exportação do resumo iniciada',
+    summaryExportNotStarted: 'A exportação do resumo não foi iniciada. Aguarde até que o documento atual esteja pronto.',
+    summaryExportFailed: 'Não foi possível exportar o resumo',
+    errorNoSummaryToExport: 'Não há resumo para exportar. Gere um resumo primeiro.',
+    podcastLibrary: 'Adicionar ao feed de podcast',
+    podcastLibraryHint: 'Guarda o áudio num podcast pessoal que pode ser assinado em qualquer app de podcast',
+    openPodcast: 'Abrir podcast',
+    podcastTitle: 'Podcast',
+    podcastSummary: 'Episódios: {count} · {size}',
+    podcastEmpty: 'Ainda não há episódios. Ative «Adicionar ao feed de podcast» nas definições de áudio e crie um áudio.',
+    podcastSource: 'Fonte',
+    podcastRemove: 'Remover',
+    podcastRemoveConfirm: 'Remover o episódio «{title}»?',
+    podcastFeed: 'Feed',
+    podcastFeedTitle: 'Título',
+    podcastFeedAuthor: 'Autor',
+    podcastFeedDescription: 'Descrição',
+    podcastBaseUrl: 'URL pública da pasta do feed',
+    podcastBaseUrlHint: 'As ligações dos episódios em feed.xml apontam para aqui. Ao publicar, é usada a URL de envio se estiver vazio.',
+    podcastPublishing: 'Publicação',
+    podcastTarget: 'Enviar para',
+    podcastTargetNone: 'Nenhum (apenas exportação ZIP)',
+    podcastTargetS3: 'Armazenamento compatível com S3',
+    podcastTargetUrl: 'URL de envio',
+    podcastTargetUrlHint: 'Pasta WebDAV, ou endpoint S3 com bucket e pasta opcional (https://s3.eu-central-1.amazonaws.com/bucket/podcast)',
+    podcastUsername: 'Utilizador ou Access Key ID',
+    podcastSecret: 'Palavra-passe ou Secret Access Key',
+    podcastRegion: 'Região',
+    podcastSave: 'Guardar',
+    podcastExport: 'Exportar ZIP',
+    podcastPublish: 'Publicar',
+    podcastSecretSaved: 'Guardado (escreva para substituir)',
+    podcastSaved: 'Definições guardadas',
+    podcastSaveFailed: 'Falha ao guardar as definições',
+    podcastPreparing: 'A preparar o feed...',
+    podcastExported: 'ZIP transferido. Envie o conteúdo para a pasta do feed e assine feed.xml.',
+    podcastExportedNoUrl: 'ZIP transferido. Defina a URL pública da pasta do feed para que as apps encontrem os ficheiros dos episódios.',
+    podcastExportFailed: 'Falha na exportação',
+    podcastUploading: 'A enviar {done} de {total}...',
+    podcastPublished: 'Publicado: {uploaded} ficheiros enviados, {skipped} já existiam. Assine {url}',
+    podcastPublishFailed: 'Falha na publicação',
+    translationBilingual: 'Manter o texto original',
+    translationBilingualOff: 'Não, apenas tradução',
+    translationBilingualInterleaved: 'Após cada parágrafo',
+    translationBilingualColumns: 'Lado a lado (PDF)',
+    translationBilingualHint: 'Documento bilíngue para aprender idiomas: o original vem após cada parágrafo traduzido ou fica numa coluna ao lado no PDF',
+    translationGlossary: 'Glossário de tradução',
+    translationGlossaryHint: 'Um termo por linha: termo => tradução. !keep deixa o termo sem tradução, [en>pt] limita a um par de idiomas, [pt] ao idioma de destino',
+    translationGlossaryErrorLine: 'Linha {line} ignorada: {error}',
+    translationGlossaryViolations: 'A última tradução ({title}) não respeitou: {terms}',
+    translationGlossaryRespected: 'A última tradução ({title}) respeitou o glossário',
+    translationGlossaryImport: 'Importar CSV/TBX',
+    translationGlossaryExportCsv: 'Exportar CSV',
+    translationGlossaryExportTbx: 'Exportar TBX',
+    translationGlossaryImported: 'Termos adicionados: {count}',
+    translationGlossaryImportFailed: 'Falha ao importar o glossário',
+    translationMemory: 'Memória de tradução',
+    translationMemorySegments: 'segmentos',
+    translationMemoryHits: 'reutilizados',
+    translationMemoryMisses: 'traduzidos',
+    clearTranslationMemory: 'Limpar memória de tradução',
+    clearTranslationMemoryConfirm: 'Remover todas as traduções guardadas? As próximas traduções voltarão a usar a API.',
+    translationMemoryCleared: 'Memória de tradução limpa',
+    translationMemoryReuse: 'Reutilizar traduções anteriores',
+    translationMemoryHint: 'Os parágrafos já traduzidos com o mesmo modelo e idioma vêm da memória de tradução sem pedidos à API',
+    translationMemoryFuzzy: 'Mostrar traduções semelhantes ao modelo',
+    otherLanguage: 'Outro idioma…',
+    customLanguage: 'Idioma',
+    customLanguageHint: 'Código ou nome do idioma. Para idiomas fora da lista, os documentos usam rótulos em inglês'
   },
   zh: {
 
@@ -5033,6 +6945,245 @@ export const UI_LOCALES = {
     errorNoApiKeyForTextPrep: '未提供用于文本准备的API密钥',
 
     errorNoTtsApiKey: '未提供{provider} TTS的API密钥',
+    contextMenuAddToQueue: '添加到队列',
+    queue: '队列',
+    queueTitle: '批量队列',
+    queueAddWindowTabs: '保存此窗口中所有打开的标签页',
+    queueUrlsPlaceholder: '粘贴网址，每行一个',
+    queueAddUrls: '添加网址',
+    queueClearFinished: '清除已完成',
+    queueEmpty: '队列为空',
+    queueJobsAdded: '已添加到队列：{count}',
+    queueNothingAdded: '没有可添加的新网页',
+    queueStatusPending: '等待中',
+    queueStatusRunning: '处理中',
+    queueStatusDone: '完成',
+    queueStatusError: '失败',
+    queueStatusCancelled: '已取消',
+    queueRetry: '重试',
+    queueRemove: '移除',
+    queueFinishedNotification: '队列已完成：已保存 {done} 个，失败 {failed} 个',
+    errorQueueTabLoadTimeout: '页面未能及时加载完成',
+    errorQueueJobNotStarted: '无法开始处理',
+    queueAnthology: '合并为一本书（EPUB、FB2、PDF）',
+    queueAnthologyChapter: '书籍章节',
+    errorAnthologyUnsupportedFormat: '只有 EPUB、FB2 和 PDF 可以将多篇文章合并为一本书',
+    errorAnthologyNoChapters: '没有可合并成书的已处理文章',
+    customEndpoint: '自定义端点（兼容 OpenAI）',
+    customApiKey: 'API 密钥（可选）',
+    enterCustomApiKey: '如果服务器无需认证，请留空',
+    customEndpointUrl: '端点 URL',
+    customAllowLocal: '允许 localhost 和局域网地址',
+    customEndpointHint: '任何兼容 OpenAI 的服务器：Ollama、LM Studio、vLLM、llama.cpp。文章文本只会发送到此服务器',
+    fetchCustomModels: '加载模型',
+    customModelsLoaded: '已加载模型：{count}',
+    errorCustomEndpointNotConfigured: '未设置自定义端点 URL。请在设置中输入并保存',
+    errorCustomEndpointInvalidUrl: '端点 URL 无效。请使用 http:// 或 https:// 地址，例如 http://localhost:11434/v1',
+    errorCustomEndpointLocalBlocked: '该 URL 指向 localhost 或局域网。请启用“允许 localhost 和局域网地址”后再使用',
+    errorCustomEndpointUnreachable: '无法连接到 {url}。请检查服务器是否正在运行并允许来自扩展的请求（Ollama 需设置 OLLAMA_ORIGINS）',
+    errorCustomEndpointNoModels: '服务器未返回任何模型。请在服务器上下载模型或手动添加模型名称',
+    errorCustomEndpointModelNotFound: '服务器上没有模型“{model}”。请重新加载模型或检查模型名称',
+    statusLoadingNextPage: '正在加载文章第 {0} 页...',
+    paginationMaxPages: '多页文章：最大页数',
+    paginationMaxPagesHint: '后续页面（rel="next"、?page=2）会在后台标签页中加载并合并。1 = 仅当前页',
+    markdownFrontMatter: 'YAML 前置元数据',
+    markdownFrontMatterHint: '用于 Obsidian、Logseq 等笔记应用的元数据块',
+    markdownFrontMatterTemplate: '前置元数据模板',
+    markdownFrontMatterTemplateHint: '占位符：{{title}}、{{author}}、{{url}}、{{site}}、{{published}}、{{clipped}}、{{language}}、{{tags}}、{{word_count}}、{{abstract}}。值为空的行会被跳过。留空则使用默认模板',
+    markdownImages: 'Markdown 中的图片',
+    markdownImagesNone: '不包含',
+    markdownImagesRemote: '链接到原始 URL',
+    markdownImagesLocal: '保存在 .md 文件旁',
+    markdownImagesHint: '“保存在 .md 文件旁”会将笔记和图片保存到“下载”中的文件夹，并使用相对链接',
+    contextMenuSaveSelectionAs: '将所选内容保存为',
+    errorNoSelection: '页面上未选择任何内容。请选择文本后重试',
+    statusUsingUserSelectors: '👆 正在使用您的选择器...',
+    errorUserSelectorsFailed: '您为此网站设置的选择器已不再匹配页面。请重新选择文章内容，或在选择器缓存中编辑它们',
+    pickerHintContainer: '点击文章容器',
+    pickerHintExclude: '点击要排除的元素。↑ 选择父元素，Enter 保存，Esc 取消',
+    pickerDone: '保存',
+    pickerCancel: '取消',
+    errorPickerPageNotSupported: '只能在网页上选择文章内容',
+    pickerSaved: '已保存 {domain} 的选择器。它们将代替自动检测和 AI 使用',
+    errorPickerFailed: '选择文章内容失败：{error}',
+    contextMenuPickContent: '在页面上选择文章内容',
+    pickContentOnPage: '在此页面上选择文章内容',
+    pickContentHint: '点击文章容器，然后点击要排除的元素。您的选择器将代替自动检测和 AI 使用',
+    userSelectorsBadge: '自定义',
+    editSelectors: '编辑选择器',
+    selectorContainerLabel: '文章容器',
+    selectorExcludeLabel: '排除（每行一个选择器）',
+    saveSelectors: '保存选择器',
+    selectorContainerRequired: '需要文章容器选择器',
+    selectorsSaved: '选择器已保存',
+    selectorsSaveFailed: '保存选择器失败',
+    reviewBeforeGeneration: '保存前检查内容',
+    reviewBeforeGenerationHint: '在翻译和生成文件前打开提取的内容进行编辑（批量队列不适用）',
+    stageReviewing: '等待检查',
+    statusWaitingForReview: '请在打开的标签页中检查内容并点击“继续”...',
+    errorReviewExpired: '此检查已失效：处理已完成或已取消',
+    reviewTitle: '检查内容',
+    reviewHint: '编辑、调整顺序或删除内容块，然后继续翻译和生成文件。',
+    reviewDocumentTitle: '标题',
+    reviewIncludeImages: '包含图片',
+    reviewContinue: '继续',
+    reviewMoveUp: '上移',
+    reviewMoveDown: '下移',
+    reviewDelete: '删除内容块',
+    reviewHeadingLevel: '标题级别',
+    reviewIncludeImage: '包含',
+    reviewImageCaption: '说明文字',
+    reviewBlockCount: '内容块：{count}',
+    reviewEmpty: '没有可保存的内容：请取消后重新保存页面',
+    reviewSubmitFailed: '无法继续：{error}',
+    reviewTypeHeading: '标题',
+    reviewTypeText: '文本',
+    reviewTypeQuote: '引用',
+    reviewTypeCode: '代码',
+    reviewTypeImage: '图片',
+    reviewTypeList: '列表',
+    reviewTypeTable: '表格',
+    reviewTypeInfobox: '信息框',
+    audioM4b: '有声书文件 (M4B)',
+    audioM4bHint: '带章节的 M4B，适用于有声书和播客应用（MP3 始终包含章节和标签）',
+    audioCompression: '压缩 WAV 音频',
+    audioCompressionOff: '关闭 (WAV)',
+    audioCompressionHint: '在浏览器本地编码，文件大约缩小到十分之一',
+    audioCompressionBitrate: '比特率',
+    statusCompressingAudio: '正在将音频压缩为 {format}...',
+    audioNarration: '多声音朗读',
+    audioNarrationHint: '标题、引用、图片说明和访谈发言人可以使用各自的声音',
+    audioNarrationVoices: '朗读声音',
+    audioNarrationHeadingVoice: '标题',
+    audioNarrationQuoteVoice: '引用',
+    audioNarrationCaptionVoice: '图片说明',
+    audioNarrationSpeaker1Voice: '第一位发言人',
+    audioNarrationSpeaker2Voice: '第二位发言人',
+    audioNarrationVoicesHint: '根据段落开头的“问：”或“安娜：”等标签识别发言人，并轮流分配声音',
+    audioNarrationSameVoice: '主声音',
+    audioNarrationPause: '章节之间',
+    audioNarrationPauseOff: '无',
+    audioNarrationPausePause: '停顿',
+    audioNarrationPauseChime: '停顿并提示音',
+    audioNarrationPauseHint: '对返回 WAV 的提供商（Piper、Google、Qwen、Respeecher）在标题前添加',
+    flashV2: 'Flash v2（英语，音素标签）',
+    pronunciationLexicon: '发音词典',
+    pronunciationLexiconHint: '每行一条规则：词 => 读法。[en] 仅用于该语言的文章，/regex/ 为正则表达式（$1 表示分组），!spell 逐字母朗读，!skip 删除文本，末尾的 /IPA/ 为 ElevenLabs Flash v2 添加音素',
+    pronunciationLexiconErrorLine: '已跳过第 {line} 行：{error}',
+    audioCache: '音频缓存',
+    audioCacheChunks: '个语音片段',
+    audioCacheHint: '已合成的语音会被保存：失败或取消的音频会从中断处继续，用相同语音重新生成不产生费用',
+    clearAudioCache: '清除音频缓存',
+    clearAudioCacheConfirm: '清除音频缓存？之后的音频导出将重新合成全部语音。',
+    audioCacheCleared: '音频缓存已清除',
+    playerTitle: '音频播放器',
+    playerSpeed: '速度',
+    playerFollowText: '跟随文本',
+    playerDownload: '下载',
+    playerNoTiming: '此音频没有时间信息，文本不会高亮',
+    playerAudioMissing: '未找到音频文件',
+    playerEmpty: '暂无音频。请在启用播放器选项的情况下以音频格式生成文章。',
+    audioPlayer: '在内置播放器中打开',
+    audioPlayerHint: '播放音频时高亮文本，并记住停止的位置',
+    openPlayer: '打开播放器',
+    voicesTitle: '离线语音',
+    voicesLanguage: '语言',
+    voicesAllLanguages: '所有语言',
+    voicesStorage: '语音占用的存储',
+    voicesUsage: '{size}（{count} 个语音）· 扩展存储 {used} / {quota}',
+    voicesStorageUnavailable: '此浏览器不支持语音存储',
+    voicesSelectAll: '全选',
+    voicesDownload: '下载所选',
+    voicesRemove: '删除所选',
+    voicesRemoveConfirm: '删除 {count} 个已下载的语音？使用时会重新下载。',
+    voicesImport: '从文件导入',
+    voicesImportHint: '选择 .onnx 模型及其 .onnx.json 配置。只能导入列表中的语音。',
+    voicesImported: '已导入语音：{count}',
+    voicesImportUnknownVoice: '语音不在列表中',
+    voicesImportMissingConfig: '缺少配置文件 (.onnx.json)',
+    voicesImportMissingModel: '缺少模型文件 (.onnx)',
+    voicesImportUnsupportedFile: '不是语音文件',
+    voicesImportInvalidConfig: '配置文件不是 Piper 语音配置',
+    voicesNotDownloaded: '未下载',
+    voicesFailed: '失败',
+    voicesSample: '试听',
+    voicesSampleUnavailable: '无法试听（需要从网络加载）',
+    manageOfflineVoices: '管理离线语音',
+    manageOfflineVoicesHint: '提前下载语音、查看占用空间或导入已批准的语音文件',
+    offlineVoiceAuto: '自动（匹配内容语言）',
+    summaryListen: '收听摘要',
+    summaryExportPdf: '将摘要导出为 PDF',
+    summaryExportEpub: '将摘要导出为 EPUB',
+    summaryExportAudio: '将摘要导出为音频',
+    summaryExportStarted: '已开始导出摘要',
+    summaryExportNotStarted: '摘要导出未开始。请等待当前文档完成。',
+    summaryExportFailed: '摘要导出失败',
+    errorNoSummaryToExport: '没有可导出的摘要。请先生成摘要。',
+    podcastLibrary: '添加到播客订阅',
+    podcastLibraryHint: '将音频保存到个人播客，可在任何播客应用中订阅',
+    openPodcast: '打开播客',
+    podcastTitle: '播客',
+    podcastSummary: '节目：{count} · {size}',
+    podcastEmpty: '暂无节目。请在音频设置中启用“添加到播客订阅”并生成音频。',
+    podcastSource: '来源',
+    podcastRemove: '删除',
+    podcastRemoveConfirm: '删除节目“{title}”？',
+    podcastFeed: '订阅源',
+    podcastFeedTitle: '标题',
+    podcastFeedAuthor: '作者',
+    podcastFeedDescription: '描述',
+    podcastBaseUrl: '订阅源文件夹的公开 URL',
+    podcastBaseUrlHint: 'feed.xml 中的节目链接指向此处。发布时如果为空，将使用上传 URL。',
+    podcastPublishing: '发布',
+    podcastTarget: '上传到',
+    podcastTargetNone: '不上传（仅导出 ZIP）',
+    podcastTargetS3: 'S3 兼容存储',
+    podcastTargetUrl: '上传 URL',
+    podcastTargetUrlHint: 'WebDAV 文件夹，或包含存储桶和可选文件夹的 S3 端点（https://s3.eu-central-1.amazonaws.com/bucket/podcast）',
+    podcastUsername: '用户名或 Access Key ID',
+    podcastSecret: '密码或 Secret Access Key',
+    podcastRegion: '区域',
+    podcastSave: '保存',
+    podcastExport: '导出 ZIP',
+    podcastPublish: '发布',
+    podcastSecretSaved: '已保存（输入以替换）',
+    podcastSaved: '设置已保存',
+    podcastSaveFailed: '保存设置失败',
+    podcastPreparing: '正在准备订阅源...',
+    podcastExported: 'ZIP 已下载。将其内容上传到订阅源文件夹并订阅 feed.xml。',
+    podcastExportedNoUrl: 'ZIP 已下载。请设置订阅源文件夹的公开 URL，以便播客应用找到节目文件。',
+    podcastExportFailed: '导出失败',
+    podcastUploading: '正在上传 {done}/{total}...',
+    podcastPublished: '已发布：上传 {uploaded} 个文件，{skipped} 个已存在。订阅 {url}',
+    podcastPublishFailed: '发布失败',
+    translationBilingual: '保留原文',
+    translationBilingualOff: '否，仅译文',
+    translationBilingualInterleaved: '每段之后',
+    translationBilingualColumns: '并排（PDF）',
+    translationBilingualHint: '用于语言学习的双语文档：原文跟在每段译文之后，或在 PDF 中并排显示',
+    translationGlossary: '翻译术语表',
+    translationGlossaryHint: '每行一个术语：术语 => 译法。!keep 表示不翻译，[en>zh] 限定语言对，[zh] 限定目标语言',
+    translationGlossaryErrorLine: '已跳过第 {line} 行：{error}',
+    translationGlossaryViolations: '上次翻译（{title}）未遵循：{terms}',
+    translationGlossaryRespected: '上次翻译（{title}）遵循了术语表',
+    translationGlossaryImport: '导入 CSV/TBX',
+    translationGlossaryExportCsv: '导出 CSV',
+    translationGlossaryExportTbx: '导出 TBX',
+    translationGlossaryImported: '已添加术语：{count}',
+    translationGlossaryImportFailed: '术语表导入失败',
+    translationMemory: '翻译记忆',
+    translationMemorySegments: '个片段',
+    translationMemoryHits: '复用',
+    translationMemoryMisses: '新翻译',
+    clearTranslationMemory: '清除翻译记忆',
+    clearTranslationMemoryConfirm: '删除所有已保存的翻译？之后的翻译将重新调用 API。',
+    translationMemoryCleared: '翻译记忆已清除',
+    translationMemoryReuse: '复用以前的翻译',
+    translationMemoryHint: '已用相同模型翻译成相同语言的段落将直接取自翻译记忆，无需 API 请求',
+    translationMemoryFuzzy: '向模型提供相似的译文',
+    otherLanguage: '其他语言…',
+    customLanguage: '语言',
+    customLanguageHint: '语言代码或名称。列表外的语言在文档中使用英文标签'
   },
   ja: {
 
@@ -5590,6 +7741,245 @@ export const UI_LOCALES = {
     errorNoApiKeyForTextPrep: 'テキスト準備用のAPIキーが提供されていません',
 
     errorNoTtsApiKey: 'TTS用の{provider} APIキーが提供されていません',
+    contextMenuAddToQueue: 'キューに追加',
+    queue: 'キュー',
+    queueTitle: '一括処理キュー',
+    queueAddWindowTabs: 'このウィンドウで開いているすべてのタブを保存',
+    queueUrlsPlaceholder: 'URLを1行に1つずつ貼り付けてください',
+    queueAddUrls: 'URLを追加',
+    queueClearFinished: '完了したものを消去',
+    queueEmpty: 'キューは空です',
+    queueJobsAdded: 'キューに追加しました：{count}',
+    queueNothingAdded: '追加する新しいウェブページはありません',
+    queueStatusPending: '待機中',
+    queueStatusRunning: '処理中',
+    queueStatusDone: '完了',
+    queueStatusError: '失敗',
+    queueStatusCancelled: 'キャンセル済み',
+    queueRetry: '再試行',
+    queueRemove: '削除',
+    queueFinishedNotification: 'キュー完了：保存 {done} 件、失敗 {failed} 件',
+    errorQueueTabLoadTimeout: 'ページの読み込みが時間内に完了しませんでした',
+    errorQueueJobNotStarted: '処理を開始できませんでした',
+    queueAnthology: '1冊の本にまとめる（EPUB、FB2、PDF）',
+    queueAnthologyChapter: '本の章',
+    errorAnthologyUnsupportedFormat: '複数の記事を1冊の本にまとめられるのは EPUB、FB2、PDF のみです',
+    errorAnthologyNoChapters: '本にまとめる処理済みの記事がありません',
+    customEndpoint: 'カスタムエンドポイント（OpenAI 互換）',
+    customApiKey: 'API キー（任意）',
+    enterCustomApiKey: 'サーバーに認証がない場合は空欄のままにしてください',
+    customEndpointUrl: 'エンドポイント URL',
+    customAllowLocal: 'localhost とローカルネットワークのアドレスを許可',
+    customEndpointHint: 'OpenAI 互換サーバー（Ollama、LM Studio、vLLM、llama.cpp）に対応。記事のテキストはこのサーバーにのみ送信されます',
+    fetchCustomModels: 'モデルを読み込む',
+    customModelsLoaded: '読み込んだモデル: {count}',
+    errorCustomEndpointNotConfigured: 'カスタムエンドポイントの URL が設定されていません。設定で入力して保存してください',
+    errorCustomEndpointInvalidUrl: 'エンドポイント URL が無効です。http:// または https:// のアドレスを使用してください（例: http://localhost:11434/v1）',
+    errorCustomEndpointLocalBlocked: 'URL が localhost またはローカルネットワークを指しています。使用するには「localhost とローカルネットワークのアドレスを許可」を有効にしてください',
+    errorCustomEndpointUnreachable: '{url} に接続できません。サーバーが起動していて拡張機能からのリクエストを許可しているか確認してください（Ollama の場合は OLLAMA_ORIGINS を設定）',
+    errorCustomEndpointNoModels: 'サーバーからモデルが返されませんでした。サーバーにモデルをダウンロードするか、モデル名を手動で追加してください',
+    errorCustomEndpointModelNotFound: 'モデル「{model}」はサーバーで利用できません。モデルを再読み込みするか名前を確認してください',
+    statusLoadingNextPage: '記事の {0} ページ目を読み込み中...',
+    paginationMaxPages: '複数ページの記事：最大ページ数',
+    paginationMaxPagesHint: '次のページ（rel="next"、?page=2）はバックグラウンドのタブで読み込まれ結合されます。1 = 現在のページのみ',
+    markdownFrontMatter: 'YAML フロントマター',
+    markdownFrontMatterHint: 'Obsidian、Logseq などのノートアプリ用メタデータブロック',
+    markdownFrontMatterTemplate: 'フロントマターのテンプレート',
+    markdownFrontMatterTemplateHint: 'プレースホルダー：{{title}}、{{author}}、{{url}}、{{site}}、{{published}}、{{clipped}}、{{language}}、{{tags}}、{{word_count}}、{{abstract}}。値が空の行は省略されます。空欄でデフォルト',
+    markdownImages: 'Markdown の画像',
+    markdownImagesNone: '含めない',
+    markdownImagesRemote: '元の URL にリンク',
+    markdownImagesLocal: '.md ファイルの横に保存',
+    markdownImagesHint: '「.md ファイルの横に保存」はノートと画像をダウンロード内のフォルダーに相対リンクで保存します',
+    contextMenuSaveSelectionAs: '選択範囲を保存',
+    errorNoSelection: 'ページで何も選択されていません。テキストを選択してもう一度お試しください',
+    statusUsingUserSelectors: '👆 あなたのセレクターを使用中...',
+    errorUserSelectorsFailed: 'このサイト用のセレクターがページに一致しなくなりました。記事の内容を選び直すか、セレクターキャッシュで編集してください',
+    pickerHintContainer: '記事のコンテナをクリックしてください',
+    pickerHintExclude: '除外する要素をクリックしてください。↑ で親要素、Enter で保存、Esc でキャンセル',
+    pickerDone: '保存',
+    pickerCancel: 'キャンセル',
+    errorPickerPageNotSupported: '記事の内容はウェブページでのみ選択できます',
+    pickerSaved: '{domain} のセレクターを保存しました。自動検出と AI の代わりに使用されます',
+    errorPickerFailed: '記事の内容を選択できませんでした: {error}',
+    contextMenuPickContent: 'ページ上で記事の内容を選択',
+    pickContentOnPage: 'このページで記事の内容を選択',
+    pickContentHint: '記事のコンテナをクリックし、次に除外する要素をクリックします。あなたのセレクターが自動検出と AI の代わりに使用されます',
+    userSelectorsBadge: 'ユーザー',
+    editSelectors: 'セレクターを編集',
+    selectorContainerLabel: '記事コンテナ',
+    selectorExcludeLabel: '除外（1 行に 1 つのセレクター）',
+    saveSelectors: 'セレクターを保存',
+    selectorContainerRequired: '記事コンテナのセレクターが必要です',
+    selectorsSaved: 'セレクターを保存しました',
+    selectorsSaveFailed: 'セレクターを保存できませんでした',
+    reviewBeforeGeneration: '保存前に内容を確認',
+    reviewBeforeGenerationHint: '翻訳とファイル生成の前に抽出した内容を編集用に開きます（一括キューでは使用されません）',
+    stageReviewing: '確認待ち',
+    statusWaitingForReview: '開いたタブで内容を確認し、「続行」をクリックしてください...',
+    errorReviewExpired: 'この確認は無効です：処理は完了またはキャンセルされました',
+    reviewTitle: '内容の確認',
+    reviewHint: 'ブロックを編集、並べ替え、削除してから、翻訳とファイル生成を続行します。',
+    reviewDocumentTitle: 'タイトル',
+    reviewIncludeImages: '画像を含める',
+    reviewContinue: '続行',
+    reviewMoveUp: '上へ移動',
+    reviewMoveDown: '下へ移動',
+    reviewDelete: 'ブロックを削除',
+    reviewHeadingLevel: '見出しレベル',
+    reviewIncludeImage: '含める',
+    reviewImageCaption: 'キャプション',
+    reviewBlockCount: 'ブロック：{count}',
+    reviewEmpty: '保存する内容がありません：キャンセルしてページを保存し直してください',
+    reviewSubmitFailed: '続行できませんでした：{error}',
+    reviewTypeHeading: '見出し',
+    reviewTypeText: 'テキスト',
+    reviewTypeQuote: '引用',
+    reviewTypeCode: 'コード',
+    reviewTypeImage: '画像',
+    reviewTypeList: 'リスト',
+    reviewTypeTable: '表',
+    reviewTypeInfobox: '囲み記事',
+    audioM4b: 'オーディオブックファイル (M4B)',
+    audioM4bHint: 'オーディオブック・ポッドキャストアプリ向けのチャプター付き M4B（MP3 には常にチャプターとタグが付きます）',
+    audioCompression: 'WAV 音声を圧縮',
+    audioCompressionOff: 'オフ (WAV)',
+    audioCompressionHint: 'ブラウザ内でローカルにエンコードされ、ファイルは約 10 分の 1 になります',
+    audioCompressionBitrate: 'ビットレート',
+    statusCompressingAudio: '音声を {format} に圧縮しています...',
+    audioNarration: '複数の声で読み上げ',
+    audioNarrationHint: '見出し、引用、画像キャプション、インタビューの話者をそれぞれ別の声で読み上げられます',
+    audioNarrationVoices: '読み上げの声',
+    audioNarrationHeadingVoice: '見出し',
+    audioNarrationQuoteVoice: '引用',
+    audioNarrationCaptionVoice: '画像キャプション',
+    audioNarrationSpeaker1Voice: '1 人目の話者',
+    audioNarrationSpeaker2Voice: '2 人目の話者',
+    audioNarrationVoicesHint: '段落冒頭の「Q:」や「アンナ:」のようなラベルで話者を判別し、声を交互に割り当てます',
+    audioNarrationSameVoice: 'メインの声',
+    audioNarrationPause: 'セクションの間',
+    audioNarrationPauseOff: 'なし',
+    audioNarrationPausePause: '間',
+    audioNarrationPauseChime: 'チャイム付きの間',
+    audioNarrationPauseHint: 'WAV を返すプロバイダー（Piper、Google、Qwen、Respeecher）で見出しの前に追加されます',
+    flashV2: 'Flash v2（英語、音素タグ）',
+    pronunciationLexicon: '発音辞書',
+    pronunciationLexiconHint: '1行に1ルール：単語 => 読み方。[en] はその言語の記事のみ、/regex/ は正規表現（$1 はグループ）、!spell は1文字ずつ読む、!skip はテキストを削除、末尾の /IPA/ は ElevenLabs Flash v2 用の音素',
+    pronunciationLexiconErrorLine: '{line} 行目をスキップ：{error}',
+    audioCache: '音声キャッシュ',
+    audioCacheChunks: '件の音声断片',
+    audioCacheHint: '合成済みの音声は保存されます。失敗・キャンセルした音声は中断箇所から再開し、同じ音声での再生成は無料です',
+    clearAudioCache: '音声キャッシュを消去',
+    clearAudioCacheConfirm: '音声キャッシュを消去しますか？次回の音声エクスポートではすべて再合成されます。',
+    audioCacheCleared: '音声キャッシュを消去しました',
+    playerTitle: 'オーディオプレーヤー',
+    playerSpeed: '速度',
+    playerFollowText: 'テキストを追従',
+    playerDownload: 'ダウンロード',
+    playerNoTiming: 'この音声のタイミングが不明なため、テキストは強調表示されません',
+    playerAudioMissing: '音声ファイルが見つかりません',
+    playerEmpty: 'まだ音声がありません。プレーヤーオプションを有効にして音声形式で記事を生成してください。',
+    audioPlayer: '内蔵プレーヤーで開く',
+    audioPlayerHint: 'テキストを強調表示しながら再生し、停止した位置を記憶します',
+    openPlayer: 'プレーヤーを開く',
+    voicesTitle: 'オフライン音声',
+    voicesLanguage: '言語',
+    voicesAllLanguages: 'すべての言語',
+    voicesStorage: '音声が使用しているストレージ',
+    voicesUsage: '{size}（{count} 音声）· 拡張機能ストレージ {used} / {quota}',
+    voicesStorageUnavailable: 'このブラウザーでは音声ストレージを利用できません',
+    voicesSelectAll: 'すべて選択',
+    voicesDownload: '選択した音声をダウンロード',
+    voicesRemove: '選択した音声を削除',
+    voicesRemoveConfirm: 'ダウンロード済みの音声 {count} 件を削除しますか？使用時に再ダウンロードされます。',
+    voicesImport: 'ファイルからインポート',
+    voicesImportHint: '.onnx モデルと .onnx.json 設定ファイルを選択してください。一覧にある音声のみインポートできます。',
+    voicesImported: 'インポートした音声: {count}',
+    voicesImportUnknownVoice: '一覧にない音声です',
+    voicesImportMissingConfig: '設定ファイル (.onnx.json) がありません',
+    voicesImportMissingModel: 'モデルファイル (.onnx) がありません',
+    voicesImportUnsupportedFile: '音声ファイルではありません',
+    voicesImportInvalidConfig: '設定ファイルが Piper 音声の設定ではありません',
+    voicesNotDownloaded: '未ダウンロード',
+    voicesFailed: '失敗',
+    voicesSample: 'サンプル',
+    voicesSampleUnavailable: 'サンプルを利用できません（インターネットから読み込みます）',
+    manageOfflineVoices: 'オフライン音声を管理',
+    manageOfflineVoicesHint: '音声の事前ダウンロード、使用容量の確認、承認済み音声ファイルのインポート',
+    offlineVoiceAuto: '自動（コンテンツの言語に合わせる）',
+    summaryListen: '要約を聞く',
+    summaryExportPdf: '要約を PDF で書き出す',
+    summaryExportEpub: '要約を EPUB で書き出す',
+    summaryExportAudio: '要約を音声で書き出す',
+    summaryExportStarted: '要約の書き出しを開始しました',
+    summaryExportNotStarted: '要約の書き出しを開始できませんでした。現在のドキュメントの完成をお待ちください。',
+    summaryExportFailed: '要約を書き出せませんでした',
+    errorNoSummaryToExport: '書き出す要約がありません。先に要約を生成してください。',
+    podcastLibrary: 'ポッドキャストフィードに追加',
+    podcastLibraryHint: '音声を個人用ポッドキャストに保存し、任意のポッドキャストアプリで購読できます',
+    openPodcast: 'ポッドキャストを開く',
+    podcastTitle: 'ポッドキャスト',
+    podcastSummary: 'エピソード: {count} · {size}',
+    podcastEmpty: 'エピソードはまだありません。音声設定で「ポッドキャストフィードに追加」を有効にして音声を作成してください。',
+    podcastSource: '出典',
+    podcastRemove: '削除',
+    podcastRemoveConfirm: 'エピソード「{title}」を削除しますか？',
+    podcastFeed: 'フィード',
+    podcastFeedTitle: 'タイトル',
+    podcastFeedAuthor: '作者',
+    podcastFeedDescription: '説明',
+    podcastBaseUrl: 'フィードフォルダーの公開 URL',
+    podcastBaseUrlHint: 'feed.xml のエピソードリンクはここを指します。公開時に空の場合はアップロード URL が使われます。',
+    podcastPublishing: '公開',
+    podcastTarget: 'アップロード先',
+    podcastTargetNone: 'なし（ZIP エクスポートのみ）',
+    podcastTargetS3: 'S3 互換ストレージ',
+    podcastTargetUrl: 'アップロード URL',
+    podcastTargetUrlHint: 'WebDAV フォルダー、またはバケットと任意のフォルダーを含む S3 エンドポイント（https://s3.eu-central-1.amazonaws.com/bucket/podcast）',
+    podcastUsername: 'ユーザーまたは Access Key ID',
+    podcastSecret: 'パスワードまたは Secret Access Key',
+    podcastRegion: 'リージョン',
+    podcastSave: '保存',
+    podcastExport: 'ZIP をエクスポート',
+    podcastPublish: '公開',
+    podcastSecretSaved: '保存済み（入力すると置き換え）',
+    podcastSaved: '設定を保存しました',
+    podcastSaveFailed: '設定を保存できませんでした',
+    podcastPreparing: 'フィードを準備中...',
+    podcastExported: 'ZIP をダウンロードしました。中身をフィードフォルダーにアップロードし、feed.xml を購読してください。',
+    podcastExportedNoUrl: 'ZIP をダウンロードしました。アプリがエピソードファイルを見つけられるよう、フィードフォルダーの公開 URL を設定してください。',
+    podcastExportFailed: 'エクスポートに失敗しました',
+    podcastUploading: 'アップロード中 {done}/{total}...',
+    podcastPublished: '公開しました: {uploaded} 件アップロード、{skipped} 件は既存。{url} を購読してください',
+    podcastPublishFailed: '公開に失敗しました',
+    translationBilingual: '原文を残す',
+    translationBilingualOff: 'いいえ、翻訳のみ',
+    translationBilingualInterleaved: '各段落の後',
+    translationBilingualColumns: '左右に並べる（PDF）',
+    translationBilingualHint: '語学学習用の対訳ドキュメント：原文は各訳文段落の後に続くか、PDF では隣の列に表示されます',
+    translationGlossary: '翻訳用語集',
+    translationGlossaryHint: '1行に1語：用語 => 訳語。!keep は翻訳しない、[en>ja] は言語ペアに、[ja] は翻訳先言語に限定',
+    translationGlossaryErrorLine: '{line} 行目をスキップ：{error}',
+    translationGlossaryViolations: '前回の翻訳（{title}）で守られなかった用語：{terms}',
+    translationGlossaryRespected: '前回の翻訳（{title}）は用語集どおりでした',
+    translationGlossaryImport: 'CSV/TBX を読み込む',
+    translationGlossaryExportCsv: 'CSV を書き出す',
+    translationGlossaryExportTbx: 'TBX を書き出す',
+    translationGlossaryImported: '追加された用語：{count}',
+    translationGlossaryImportFailed: '用語集の読み込みに失敗しました',
+    translationMemory: '翻訳メモリ',
+    translationMemorySegments: 'セグメント',
+    translationMemoryHits: '再利用',
+    translationMemoryMisses: '新規翻訳',
+    clearTranslationMemory: '翻訳メモリを消去',
+    clearTranslationMemoryConfirm: '保存された翻訳をすべて削除しますか？次回の翻訳は再び API を呼び出します。',
+    translationMemoryCleared: '翻訳メモリを消去しました',
+    translationMemoryReuse: '以前の翻訳を再利用',
+    translationMemoryHint: '同じモデル・同じ言語で翻訳済みの段落は API を呼ばずに翻訳メモリから取得します',
+    translationMemoryFuzzy: '類似の翻訳をモデルに参考として渡す',
+    otherLanguage: 'その他の言語…',
+    customLanguage: '言語',
+    customLanguageHint: '言語コードまたは名前。一覧にない言語では文書のラベルは英語になります'
   },
   ko: {
 
@@ -6148,6 +8538,245 @@ export const UI_LOCALES = {
     errorNoApiKeyForTextPrep: '텍스트 준비를 위한 API 키가 제공되지 않았습니다',
 
     errorNoTtsApiKey: 'TTS용 {provider} API 키가 제공되지 않았습니다',
+    contextMenuAddToQueue: '대기열에 추가',
+    queue: '대기열',
+    queueTitle: '일괄 처리 대기열',
+    queueAddWindowTabs: '이 창에 열린 모든 탭 저장',
+    queueUrlsPlaceholder: 'URL을 한 줄에 하나씩 붙여넣으세요',
+    queueAddUrls: 'URL 추가',
+    queueClearFinished: '완료된 항목 지우기',
+    queueEmpty: '대기열이 비어 있습니다',
+    queueJobsAdded: '대기열에 추가됨: {count}',
+    queueNothingAdded: '추가할 새 웹 페이지가 없습니다',
+    queueStatusPending: '대기 중',
+    queueStatusRunning: '처리 중',
+    queueStatusDone: '완료',
+    queueStatusError: '실패',
+    queueStatusCancelled: '취소됨',
+    queueRetry: '다시 시도',
+    queueRemove: '제거',
+    queueFinishedNotification: '대기열 완료: 저장 {done}개, 실패 {failed}개',
+    errorQueueTabLoadTimeout: '페이지가 제시간에 로드되지 않았습니다',
+    errorQueueJobNotStarted: '처리를 시작할 수 없습니다',
+    queueAnthology: '한 권의 책으로 합치기 (EPUB, FB2, PDF)',
+    queueAnthologyChapter: '책 챕터',
+    errorAnthologyUnsupportedFormat: '여러 기사를 한 권의 책으로 합칠 수 있는 형식은 EPUB, FB2, PDF뿐입니다',
+    errorAnthologyNoChapters: '책으로 합칠 처리된 기사가 없습니다',
+    customEndpoint: '사용자 지정 엔드포인트 (OpenAI 호환)',
+    customApiKey: 'API 키 (선택 사항)',
+    enterCustomApiKey: '서버에 인증이 없으면 비워 두세요',
+    customEndpointUrl: '엔드포인트 URL',
+    customAllowLocal: 'localhost 및 로컬 네트워크 주소 허용',
+    customEndpointHint: 'OpenAI 호환 서버(Ollama, LM Studio, vLLM, llama.cpp). 기사 텍스트는 이 서버로만 전송됩니다',
+    fetchCustomModels: '모델 불러오기',
+    customModelsLoaded: '불러온 모델: {count}',
+    errorCustomEndpointNotConfigured: '사용자 지정 엔드포인트 URL이 설정되지 않았습니다. 설정에서 입력하고 저장하세요',
+    errorCustomEndpointInvalidUrl: '잘못된 엔드포인트 URL입니다. http:// 또는 https:// 주소를 사용하세요 (예: http://localhost:11434/v1)',
+    errorCustomEndpointLocalBlocked: 'URL이 localhost 또는 로컬 네트워크를 가리킵니다. 사용하려면 "localhost 및 로컬 네트워크 주소 허용"을 켜세요',
+    errorCustomEndpointUnreachable: '{url}에 연결할 수 없습니다. 서버가 실행 중이며 확장 프로그램의 요청을 허용하는지 확인하세요 (Ollama는 OLLAMA_ORIGINS 설정)',
+    errorCustomEndpointNoModels: '서버가 모델을 반환하지 않았습니다. 서버에 모델을 다운로드하거나 모델 이름을 직접 추가하세요',
+    errorCustomEndpointModelNotFound: '서버에서 "{model}" 모델을 사용할 수 없습니다. 모델을 다시 불러오거나 이름을 확인하세요',
+    statusLoadingNextPage: '기사 {0}페이지 불러오는 중...',
+    paginationMaxPages: '여러 페이지 기사: 최대 페이지 수',
+    paginationMaxPagesHint: '다음 페이지(rel="next", ?page=2)는 백그라운드 탭에서 불러와 병합됩니다. 1 = 현재 페이지만',
+    markdownFrontMatter: 'YAML 프론트 매터',
+    markdownFrontMatterHint: 'Obsidian, Logseq 등 노트 앱용 메타데이터 블록',
+    markdownFrontMatterTemplate: '프론트 매터 템플릿',
+    markdownFrontMatterTemplateHint: '자리 표시자: {{title}}, {{author}}, {{url}}, {{site}}, {{published}}, {{clipped}}, {{language}}, {{tags}}, {{word_count}}, {{abstract}}. 값이 비어 있는 줄은 건너뜁니다. 비워 두면 기본 템플릿 사용',
+    markdownImages: 'Markdown 이미지',
+    markdownImagesNone: '포함하지 않음',
+    markdownImagesRemote: '원본 URL 링크',
+    markdownImagesLocal: '.md 파일 옆에 저장',
+    markdownImagesHint: '".md 파일 옆에 저장"은 노트와 이미지를 다운로드 폴더 안의 폴더에 상대 링크로 저장합니다',
+    contextMenuSaveSelectionAs: '선택 영역을 다른 형식으로 저장',
+    errorNoSelection: '페이지에서 선택된 내용이 없습니다. 텍스트를 선택한 후 다시 시도하세요',
+    statusUsingUserSelectors: '👆 사용자 선택자 사용 중...',
+    errorUserSelectorsFailed: '이 사이트에 대한 선택자가 더 이상 페이지와 일치하지 않습니다. 기사 콘텐츠를 다시 선택하거나 선택자 캐시에서 편집하세요',
+    pickerHintContainer: '기사 컨테이너를 클릭하세요',
+    pickerHintExclude: '제외할 요소를 클릭하세요. ↑ 상위 요소 선택, Enter 저장, Esc 취소',
+    pickerDone: '저장',
+    pickerCancel: '취소',
+    errorPickerPageNotSupported: '기사 콘텐츠는 웹 페이지에서만 선택할 수 있습니다',
+    pickerSaved: '{domain}의 선택자가 저장되었습니다. 자동 감지와 AI 대신 사용됩니다',
+    errorPickerFailed: '기사 콘텐츠 선택 실패: {error}',
+    contextMenuPickContent: '페이지에서 기사 콘텐츠 선택',
+    pickContentOnPage: '이 페이지에서 기사 콘텐츠 선택',
+    pickContentHint: '기사 컨테이너를 클릭한 다음 제외할 요소를 클릭하세요. 자동 감지와 AI 대신 사용자 선택자가 사용됩니다',
+    userSelectorsBadge: '사용자',
+    editSelectors: '선택자 편집',
+    selectorContainerLabel: '기사 컨테이너',
+    selectorExcludeLabel: '제외 (줄당 선택자 하나)',
+    saveSelectors: '선택자 저장',
+    selectorContainerRequired: '기사 컨테이너 선택자가 필요합니다',
+    selectorsSaved: '선택자가 저장되었습니다',
+    selectorsSaveFailed: '선택자 저장 실패',
+    reviewBeforeGeneration: '저장 전에 내용 검토',
+    reviewBeforeGenerationHint: '번역 및 파일 생성 전에 추출한 내용을 편집할 수 있도록 엽니다 (일괄 대기열에는 적용되지 않음)',
+    stageReviewing: '검토 대기 중',
+    statusWaitingForReview: '열린 탭에서 내용을 검토하고 계속을 클릭하세요...',
+    errorReviewExpired: '이 검토는 더 이상 유효하지 않습니다: 처리가 완료되었거나 취소되었습니다',
+    reviewTitle: '내용 검토',
+    reviewHint: '블록을 편집, 재정렬 또는 삭제한 후 번역 및 파일 생성을 계속하세요.',
+    reviewDocumentTitle: '제목',
+    reviewIncludeImages: '이미지 포함',
+    reviewContinue: '계속',
+    reviewMoveUp: '위로 이동',
+    reviewMoveDown: '아래로 이동',
+    reviewDelete: '블록 삭제',
+    reviewHeadingLevel: '제목 수준',
+    reviewIncludeImage: '포함',
+    reviewImageCaption: '캡션',
+    reviewBlockCount: '블록: {count}',
+    reviewEmpty: '저장할 내용이 없습니다: 취소하고 페이지를 다시 저장하세요',
+    reviewSubmitFailed: '계속하지 못했습니다: {error}',
+    reviewTypeHeading: '제목',
+    reviewTypeText: '텍스트',
+    reviewTypeQuote: '인용',
+    reviewTypeCode: '코드',
+    reviewTypeImage: '이미지',
+    reviewTypeList: '목록',
+    reviewTypeTable: '표',
+    reviewTypeInfobox: '정보 상자',
+    audioM4b: '오디오북 파일 (M4B)',
+    audioM4bHint: '오디오북 및 팟캐스트 앱용 챕터 포함 M4B (MP3에는 항상 챕터와 태그가 포함됩니다)',
+    audioCompression: 'WAV 오디오 압축',
+    audioCompressionOff: '끄기 (WAV)',
+    audioCompressionHint: '브라우저에서 로컬로 인코딩되며 파일 크기가 약 10분의 1로 줄어듭니다',
+    audioCompressionBitrate: '비트레이트',
+    statusCompressingAudio: '오디오를 {format}(으)로 압축하는 중...',
+    audioNarration: '여러 목소리로 낭독',
+    audioNarrationHint: '제목, 인용문, 이미지 캡션, 인터뷰 화자를 각각 다른 목소리로 읽을 수 있습니다',
+    audioNarrationVoices: '낭독 목소리',
+    audioNarrationHeadingVoice: '제목',
+    audioNarrationQuoteVoice: '인용문',
+    audioNarrationCaptionVoice: '이미지 캡션',
+    audioNarrationSpeaker1Voice: '첫 번째 화자',
+    audioNarrationSpeaker2Voice: '두 번째 화자',
+    audioNarrationVoicesHint: '문단 시작의 "Q:" 또는 "안나:" 같은 표시로 화자를 찾아 목소리를 번갈아 배정합니다',
+    audioNarrationSameVoice: '기본 목소리',
+    audioNarrationPause: '섹션 사이',
+    audioNarrationPauseOff: '없음',
+    audioNarrationPausePause: '일시 정지',
+    audioNarrationPauseChime: '알림음이 있는 일시 정지',
+    audioNarrationPauseHint: 'WAV를 반환하는 제공업체(Piper, Google, Qwen, Respeecher)에서 제목 앞에 추가됩니다',
+    flashV2: 'Flash v2 (영어, 음소 태그)',
+    pronunciationLexicon: '발음 사전',
+    pronunciationLexiconHint: '한 줄에 규칙 하나: 단어 => 발음. [en]은 해당 언어 기사에만 적용, /regex/는 정규식($1은 그룹), !spell은 한 글자씩 읽기, !skip은 텍스트 제거, 끝의 /IPA/는 ElevenLabs Flash v2용 음소 추가',
+    pronunciationLexiconErrorLine: '{line}번째 줄 건너뜀: {error}',
+    audioCache: '오디오 캐시',
+    audioCacheChunks: '개 음성 조각',
+    audioCacheHint: '합성된 음성이 저장되어 실패하거나 취소된 오디오는 멈춘 곳부터 이어지고 같은 음성으로 다시 생성하면 비용이 들지 않습니다',
+    clearAudioCache: '오디오 캐시 지우기',
+    clearAudioCacheConfirm: '오디오 캐시를 지울까요? 다음 오디오 내보내기에서 모든 음성을 다시 합성합니다.',
+    audioCacheCleared: '오디오 캐시를 지웠습니다',
+    playerTitle: '오디오 플레이어',
+    playerSpeed: '속도',
+    playerFollowText: '텍스트 따라가기',
+    playerDownload: '다운로드',
+    playerNoTiming: '이 오디오의 타이밍 정보가 없어 텍스트가 강조 표시되지 않습니다',
+    playerAudioMissing: '오디오 파일을 찾을 수 없습니다',
+    playerEmpty: '아직 오디오가 없습니다. 플레이어 옵션을 켠 상태에서 오디오 형식으로 기사를 생성하세요.',
+    audioPlayer: '내장 플레이어에서 열기',
+    audioPlayerHint: '텍스트를 강조 표시하며 재생하고 멈춘 위치를 기억합니다',
+    openPlayer: '플레이어 열기',
+    voicesTitle: '오프라인 음성',
+    voicesLanguage: '언어',
+    voicesAllLanguages: '모든 언어',
+    voicesStorage: '음성이 사용하는 저장 공간',
+    voicesUsage: '{size} (음성 {count}개) · 확장 프로그램 저장 공간 {used} / {quota}',
+    voicesStorageUnavailable: '이 브라우저에서는 음성 저장소를 사용할 수 없습니다',
+    voicesSelectAll: '모두 선택',
+    voicesDownload: '선택 항목 다운로드',
+    voicesRemove: '선택 항목 삭제',
+    voicesRemoveConfirm: '다운로드한 음성 {count}개를 삭제할까요? 사용할 때 다시 다운로드됩니다.',
+    voicesImport: '파일에서 가져오기',
+    voicesImportHint: '.onnx 모델과 .onnx.json 설정 파일을 선택하세요. 목록에 있는 음성만 가져올 수 있습니다.',
+    voicesImported: '가져온 음성: {count}',
+    voicesImportUnknownVoice: '목록에 없는 음성입니다',
+    voicesImportMissingConfig: '설정 파일(.onnx.json)이 없습니다',
+    voicesImportMissingModel: '모델 파일(.onnx)이 없습니다',
+    voicesImportUnsupportedFile: '음성 파일이 아닙니다',
+    voicesImportInvalidConfig: '설정 파일이 Piper 음성 설정이 아닙니다',
+    voicesNotDownloaded: '다운로드 안 됨',
+    voicesFailed: '실패',
+    voicesSample: '샘플',
+    voicesSampleUnavailable: '샘플을 사용할 수 없습니다 (인터넷에서 불러옵니다)',
+    manageOfflineVoices: '오프라인 음성 관리',
+    manageOfflineVoicesHint: '음성을 미리 다운로드하고, 사용 공간을 확인하거나 승인된 음성 파일을 가져옵니다',
+    offlineVoiceAuto: '자동 (콘텐츠 언어에 맞춤)',
+    summaryListen: '요약 듣기',
+    summaryExportPdf: '요약을 PDF로 내보내기',
+    summaryExportEpub: '요약을 EPUB로 내보내기',
+    summaryExportAudio: '요약을 오디오로 내보내기',
+    summaryExportStarted: '요약 내보내기를 시작했습니다',
+    summaryExportNotStarted: '요약 내보내기가 시작되지 않았습니다. 현재 문서가 완료될 때까지 기다리세요.',
+    summaryExportFailed: '요약을 내보내지 못했습니다',
+    errorNoSummaryToExport: '내보낼 요약이 없습니다. 먼저 요약을 생성하세요.',
+    podcastLibrary: '팟캐스트 피드에 추가',
+    podcastLibraryHint: '오디오를 개인 팟캐스트에 보관하여 어떤 팟캐스트 앱에서도 구독할 수 있습니다',
+    openPodcast: '팟캐스트 열기',
+    podcastTitle: '팟캐스트',
+    podcastSummary: '에피소드: {count} · {size}',
+    podcastEmpty: '아직 에피소드가 없습니다. 오디오 설정에서 "팟캐스트 피드에 추가"를 켜고 오디오를 만드세요.',
+    podcastSource: '출처',
+    podcastRemove: '삭제',
+    podcastRemoveConfirm: '에피소드 "{title}"을(를) 삭제할까요?',
+    podcastFeed: '피드',
+    podcastFeedTitle: '제목',
+    podcastFeedAuthor: '저자',
+    podcastFeedDescription: '설명',
+    podcastBaseUrl: '피드 폴더의 공개 URL',
+    podcastBaseUrlHint: 'feed.xml의 에피소드 링크가 이 주소를 가리킵니다. 게시할 때 비어 있으면 업로드 URL이 사용됩니다.',
+    podcastPublishing: '게시',
+    podcastTarget: '업로드 위치',
+    podcastTargetNone: '없음 (ZIP 내보내기만)',
+    podcastTargetS3: 'S3 호환 스토리지',
+    podcastTargetUrl: '업로드 URL',
+    podcastTargetUrlHint: 'WebDAV 폴더 또는 버킷과 선택적 폴더를 포함한 S3 엔드포인트 (https://s3.eu-central-1.amazonaws.com/bucket/podcast)',
+    podcastUsername: '사용자 또는 Access Key ID',
+    podcastSecret: '비밀번호 또는 Secret Access Key',
+    podcastRegion: '리전',
+    podcastSave: '저장',
+    podcastExport: 'ZIP 내보내기',
+    podcastPublish: '게시',
+    podcastSecretSaved: '저장됨 (입력하면 교체)',
+    podcastSaved: '설정이 저장되었습니다',
+    podcastSaveFailed: '설정을 저장하지 못했습니다',
+    podcastPreparing: '피드 준비 중...',
+    podcastExported: 'ZIP을 다운로드했습니다. 내용을 피드 폴더에 업로드하고 feed.xml을 구독하세요.',
+    podcastExportedNoUrl: 'ZIP을 다운로드했습니다. 팟캐스트 앱이 에피소드 파일을 찾을 수 있도록 피드 폴더의 공개 URL을 설정하세요.',
+    podcastExportFailed: '내보내기 실패',
+    podcastUploading: '업로드 중 {done}/{total}...',
+    podcastPublished: '게시됨: 파일 {uploaded}개 업로드, {skipped}개는 이미 있음. {url}을(를) 구독하세요',
+    podcastPublishFailed: '게시 실패',
+    translationBilingual: '원문 유지',
+    translationBilingualOff: '아니요, 번역만',
+    translationBilingualInterleaved: '각 문단 뒤',
+    translationBilingualColumns: '나란히 (PDF)',
+    translationBilingualHint: '언어 학습용 이중 언어 문서: 원문이 번역된 각 문단 뒤에 오거나 PDF에서는 옆 열에 표시됩니다',
+    translationGlossary: '번역 용어집',
+    translationGlossaryHint: '한 줄에 용어 하나: 용어 => 번역. !keep은 번역하지 않음, [en>ko]는 언어 쌍으로, [ko]는 대상 언어로 제한',
+    translationGlossaryErrorLine: '{line}번째 줄 건너뜀: {error}',
+    translationGlossaryViolations: '마지막 번역({title})에서 지켜지지 않은 용어: {terms}',
+    translationGlossaryRespected: '마지막 번역({title})은 용어집을 지켰습니다',
+    translationGlossaryImport: 'CSV/TBX 가져오기',
+    translationGlossaryExportCsv: 'CSV 내보내기',
+    translationGlossaryExportTbx: 'TBX 내보내기',
+    translationGlossaryImported: '추가된 용어: {count}',
+    translationGlossaryImportFailed: '용어집 가져오기 실패',
+    translationMemory: '번역 메모리',
+    translationMemorySegments: '세그먼트',
+    translationMemoryHits: '재사용',
+    translationMemoryMisses: '새로 번역',
+    clearTranslationMemory: '번역 메모리 지우기',
+    clearTranslationMemoryConfirm: '저장된 번역을 모두 삭제할까요? 이후 번역은 다시 API를 호출합니다.',
+    translationMemoryCleared: '번역 메모리를 지웠습니다',
+    translationMemoryReuse: '이전 번역 재사용',
+    translationMemoryHint: '같은 모델과 언어로 이미 번역된 문단은 API 요청 없이 번역 메모리에서 가져옵니다',
+    translationMemoryFuzzy: '모델에 비슷한 번역 참고로 제공',
+    otherLanguage: '기타 언어…',
+    customLanguage: '언어',
+    customLanguageHint: '언어 코드 또는 이름. 목록에 없는 언어는 문서 레이블이 영어로 표시됩니다'
   }
 };
 
@@ -1,10 +1,14 @@
 // @ts-check
 // Cache-related message handlers
-// Handlers: getCacheStats, clearSelectorCache, deleteDomainFromCache
+// Handlers: getCacheStats, clearSelectorCache, deleteDomainFromCache, saveUserSelectors, startElementPicker,
+// getAudioCacheStats, clearAudioCache, getTranslationMemoryStats, clearTranslationMemory
 
-import { getCacheStats, clearSelectorCache, deleteDomainFromCache } from '../cache/selectors.js';
+import { getCacheStats, clearSelectorCache, deleteDomainFromCache, saveUserSelectors } from '../cache/selectors.js';
+import { getAudioCacheStats, clearAudioCache } from '../cache/tts-audio.js';
+import { getTranslationMemoryStats, clearTranslationMemory } from '../cache/translation-memory.js';
+import { handleElementPicker } from '../background/element-picker.js';
 import { withErrorHandling } from './utils.js';
-import { log } from '../utils/logging.js';
+import { log, logError } from '../utils/logging.js';
 
 /**
  * Handle getCacheStats request
@@ -28,6 +32,50 @@ export function handleClearSelectorCache(request, sender, sendResponse) {
   );
 }
 
+/**
+ * Handle getAudioCacheStats request
+ */
+export function handleGetAudioCacheStats(request, sender, sendResponse) {
+  return withErrorHandling(
+    getAudioCacheStats().then(stats => ({ stats })),
+    'cacheStatsRetrievalFailed',
+    sendResponse
+  );
+}
+
+/**
+ * Handle clearAudioCache request
+ */
+export function handleClearAudioCache(request, sender, sendResponse) {
+  return withErrorHandling(
+    clearAudioCache().then(() => ({ success: true })),
+    'cacheClearFailed',
+    sendResponse
+  );
+}
+
+/**
+ * Handle getTranslationMemoryStats request
+ */
+export function handleGetTranslationMemoryStats(request, sender, sendResponse) {
+  return withErrorHandling(
+    getTranslationMemoryStats().then(stats => ({ stats })),
+    'cacheStatsRetrievalFailed',
+    sendResponse
+  );
+}
+
+/**
+ * Handle clearTranslationMemory request
+ */
+export function handleClearTranslationMemory(request, sender, sendResponse) {
+  return withErrorHandling(
+    clearTranslationMemory().then(() => ({ success: true })),
+    'cacheClearFailed',
+    sendResponse
+  );
+}
+
 /**
  * Handle deleteDomainFromCache request
  */
@@ -39,4 +87,30 @@ export function handleDeleteDomainFromCache(request, sender, sendResponse) {
   );
 }
 
+/**
+ * Handle saveUserSelectors request (selectors edited in popup cache list)
+ */
+export function handleSaveUserSelectors(request, sender, sendResponse) {
+  return withErrorHandling(
+    saveUserSelectors(request.domain, request.selectors).then(saved => ({ success: true, ...saved })),
+    'userSelectorsSaveFailed',
+    sendResponse
+  );
+}
 
+/**
+ * Handle startElementPicker request
+ * Responds immediately: popup closes as soon as user clicks page, result is reported with notification
+ */
+export function handleStartElementPicker(request, sender, sendResponse) {
+  const tabId = request.tabId;
+  if (!tabId) {
+    sendResponse({ success: false, error: 'No tab ID' });
+    return false;
+  }
+  handleElementPicker(tabId).catch(error => {
+    logError('Element picker failed', error);
+  });
+  sendResponse({ success: true });
+  return false;
+}
@@ -27,9 +27,38 @@ import {
 import {
   handleGetCacheStats,
   handleClearSelectorCache,
-  handleDeleteDomainFromCache
+  handleDeleteDomainFromCache,
+  handleSaveUserSelectors,
+  handleStartElementPicker,
+  handleGetAudioCacheStats,
+  handleClearAudioCache,
+  handleGetTranslationMemoryStats,
+  handleClearTranslationMemory
 } from './cache.js';
 
+// Content review handlers
+import {
+  handleSubmitContentReview,
+  handleCancelContentReview
+} from './review.js';
+
+// Queue handlers
+import {
+  handleGetQueue,
+  handleEnqueueUrls,
+  handleEnqueueWindowTabs,
+  handleCancelQueueJob,
+  handleRetryQueueJob,
+  handleRemoveQueueJob,
+  handleClearFinishedQueueJobs
+} from './queue.js';
+
+// Offline voice handlers
+import {
+  handleDownloadOfflineVoice,
+  handleRemoveOfflineVoice
+} from './voices.js';
+
 // Settings handlers
 import {
   handleExportSettings,
@@ -39,7 +68,8 @@ import {
 // Processing handlers
 import {
   handleProcessArticle,
-  handleGeneratePdfDebugger
+  handleGeneratePdfDebugger,
+  handleExportSummary
 } from './processing.js';
 
 // Video handlers
@@ -79,11 +109,18 @@ const VALID_ACTIONS = [
   // Stats handlers
   'getStats', 'clearStats', 'deleteHistoryItem',
   // Cache handlers
-  'getCacheStats', 'clearSelectorCache', 'deleteDomainFromCache',
+  'getCacheStats', 'clearSelectorCache', 'deleteDomainFromCache', 'saveUserSelectors', 'startElementPicker',
+  'getAudioCacheStats', 'clearAudioCache', 'getTranslationMemoryStats', 'clearTranslationMemory',
+  // Content review handlers
+  'submitContentReview', 'cancelContentReview',
+  // Queue handlers
+  'getQueue', 'enqueueUrls', 'enqueueWindowTabs', 'cancelQueueJob', 'retryQueueJob', 'removeQueueJob', 'clearFinishedQueueJobs',
+  // Offline voice handlers
+  'downloadOfflineVoice', 'removeOfflineVoice',
   // Settings handlers
   'exportSettings', 'importSettings',
   // Processing handlers
-  'processArticle', 'generatePdfDebugger',
+  'processArticle', 'generatePdfDebugger', 'exportSummary',
   // Video handlers
   'youtubeSubtitlesResult', 'extractYouTubeSubtitlesForSummary',
   // Complex handlers
@@ -276,7 +313,9 @@ export function routeMessage(request, sender, sendResponse, deps) {
     processWithExtractMode,
     processWithoutAI,
     stopKeepAlive,
-    startKeepAlive
+    startKeepAlive,
+    startSummaryExport,
+    queueRunner
   } = deps;
   
   // CRITICAL: Prevent double sendResponse calls
@@ -332,7 +371,7 @@ export function routeMessage(request, sender, sendResponse, deps) {
   }
   
   // Skip verbose logging for frequent operations
-  const frequentActions = ['getState', 'TTS_PROGRESS', 'logSetting'];
+  const frequentActions = ['getState', 'TTS_PROGRESS', 'logSetting', 'getQueue'];
   const isFrequentAction = frequentActions.includes(request.action);
   
   // Messages with target: 'offscreen' are meant for offscreen document
@@ -464,6 +503,29 @@ export function routeMessage(request, sender, sendResponse, deps) {
     'getCacheStats': () => handleGetCacheStats(request, sender, sendResponse),
     'clearSelectorCache': () => handleClearSelectorCache(request, sender, sendResponse),
     'deleteDomainFromCache': () => handleDeleteDomainFromCache(request, sender, sendResponse),
+    'saveUserSelectors': () => handleSaveUserSelectors(request, sender, sendResponse),
+    'startElementPicker': () => handleStartElementPicker(request, sender, sendResponse),
+    'getAudioCacheStats': () => handleGetAudioCacheStats(request, sender, sendResponse),
+    'clearAudioCache': () => handleClearAudioCache(request, sender, sendResponse),
+    'getTranslationMemoryStats': () => handleGetTranslationMemoryStats(request, sender, sendResponse),
+    'clearTranslationMemory': () => handleClearTranslationMemory(request, sender, sendResponse),
+    
+    // Content review handlers
+    'submitContentReview': () => handleSubmitContentReview(request, sender, sendResponse),
+    'cancelContentReview': () => handleCancelContentReview(request, sender, sendResponse),
+    
+    // Queue handlers
+    'getQueue': () => handleGetQueue(request, sender, sendResponse, queueRunner),
+    'enqueueUrls': () => handleEnqueueUrls(request, sender, sendResponse, queueRunner),
+    'enqueueWindowTabs': () => handleEnqueueWindowTabs(request, sender, sendResponse, queueRunner),
+    'cancelQueueJob': () => handleCancelQueueJob(request, sender, sendResponse, queueRunner),
+    'retryQueueJob': () => handleRetryQueueJob(request, sender, sendResponse, queueRunner),
+    'removeQueueJob': () => handleRemoveQueueJob(request, sender, sendResponse, queueRunner),
+    'clearFinishedQueueJobs': () => handleClearFinishedQueueJobs(request, sender, sendResponse, queueRunner),
+    
+    // Offline voice handlers
+    'downloadOfflineVoice': () => handleDownloadOfflineVoice(request, sender, sendResponse),
+    'removeOfflineVoice': () => handleRemoveOfflineVoice(request, sender, sendResponse),
     
     // Settings handlers
     'exportSettings': () => handleExportSettings(request, sender, sendResponse),
@@ -472,6 +534,7 @@ export function routeMessage(request, sender, sendResponse, deps) {
     // Processing handlers
     'processArticle': () => handleProcessArticle(request, sender, sendResponse, startArticleProcessing, stopKeepAlive),
     'generatePdfDebugger': () => handleGeneratePdfDebugger(request, sender, sendResponse, stopKeepAlive),
+    'exportSummary': () => handleExportSummary(request, sender, sendResponse, startSummaryExport),
     
     // Video handlers
     'youtubeSubtitlesResult': () => handleYoutubeSubtitlesResult(request, sender, sendResponse),
@@ -1,11 +1,15 @@
 // @ts-check
 // Processing-related message handlers
-// Handlers: processArticle, generatePdfDebugger
+// Handlers: processArticle, generatePdfDebugger, exportSummary
 
 import { log, logError } from '../utils/logging.js';
 import { handleError } from '../utils/error-handler.js';
 import { completeProcessing, setError } from '../state/processing.js';
 import { generatePdfWithDebugger } from '../generation/pdf.js';
+import { getUILanguage, tSync } from '../locales.js';
+import { prepareQuickSaveProcessingData } from '../utils/processing-helpers.js';
+import { SUMMARY_EXPORT_FORMATS, SUMMARY_SOURCE_KEYS, createSummaryExtractionResult } from '../processing/summary-export.js';
+import { withErrorHandling } from './utils.js';
 
 /**
  * Handle processArticle request
@@ -256,6 +260,63 @@ export function handleGeneratePdfDebugger(request, sender, sendResponse, stopKee
   return true;
 }
 
+/**
+ * Start document generation from saved summary
+ * Settings (styles, TTS provider and voice) are read from storage like quick save
+ * @param {import('../types.js').ExportSummaryRequest} request - Request with outputFormat, listen, tabId and page title
+ * @param {function(import('../types.js').ProcessingData, import('../types.js').ExtractionResult): Promise<boolean>} startSummaryExport - Function to start summary export
+ * @returns {Promise<{started: boolean}>}
+ * @throws {Error} If format is not supported or there is no summary
+ */
+async function exportSummary(request, startSummaryExport) {
+  const uiLang = await getUILanguage();
+  const outputFormat = request.outputFormat;
+  if (!SUMMARY_EXPORT_FORMATS.includes(outputFormat)) {
+    throw new Error(tSync('errorValidation', uiLang) + `: Invalid summary export format '${outputFormat}'`);
+  }
+  if (typeof startSummaryExport !== 'function') {
+    throw new Error('startSummaryExport is not a function');
+  }
+  
+  const stored = await chrome.storage.local.get(['summary_text', SUMMARY_SOURCE_KEYS.URL, SUMMARY_SOURCE_KEYS.LANGUAGE]);
+  if (typeof stored.summary_text !== 'string' || !stored.summary_text.trim()) {
+    throw new Error(tSync('errorNoSummaryToExport', uiLang));
+  }
+  
+  const sourceUrl = stored[SUMMARY_SOURCE_KEYS.URL];
+  const sourceLanguage = stored[SUMMARY_SOURCE_KEYS.LANGUAGE];
+  const pageTitle = typeof request.title === 'string' ? request.title.trim() : '';
+  const result = createSummaryExtractionResult(stored.summary_text, {
+    title: pageTitle ? `${pageTitle} — ${tSync('summary', uiLang)}` : tSync('summary', uiLang),
+    language: typeof sourceLanguage === 'string' ? sourceLanguage : undefined
+  });
+  const data = await prepareQuickSaveProcessingData(outputFormat, {
+    tabId: typeof request.tabId === 'number' ? request.tabId : null,
+    html: '',
+    url: typeof sourceUrl === 'string' ? sourceUrl : '',
+    title: result.title
+  });
+  
+  log('Exporting summary', { outputFormat, listen: request.listen === true, contentItems: result.content.length });
+  const started = await startSummaryExport({
+    ...data,
+    // Summary is already written in its language and is short itself: no translation and no abstract
+    language: 'auto',
+    translateImages: false,
+    generateAbstract: false,
+    effectiveLanguage: result.detectedLanguage || 'auto',
+    openPlayer: outputFormat === 'audio' && request.listen === true
+  }, result);
+  return { started };
+}
 
-
-
+/**
+ * Handle exportSummary request
+ */
+export function handleExportSummary(request, sender, sendResponse, startSummaryExport) {
+  return withErrorHandling(
+    exportSummary(request, startSummaryExport),
+    'summaryExportFailed',
+    sendResponse
+  );
+}
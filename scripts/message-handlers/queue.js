@@ -0,0 +1,107 @@
+// @ts-check
+// Batch queue message handlers
+// Handlers: getQueue, enqueueUrls, enqueueWindowTabs, cancelQueueJob, retryQueueJob, removeQueueJob, clearFinishedQueueJobs
+
+import { withErrorHandling } from './utils.js';
+
+/**
+ * Get queue runner or reject if it is not initialized yet
+ * @param {import('../types.js').QueueRunner|undefined} queueRunner - Queue runner
+ * @returns {Promise<import('../types.js').QueueRunner>}
+ */
+function requireQueueRunner(queueRunner) {
+  return queueRunner
+    ? Promise.resolve(queueRunner)
+    : Promise.reject(new Error('Queue runner is not initialized'));
+}
+
+/**
+ * Handle getQueue request
+ */
+export function handleGetQueue(request, sender, sendResponse, queueRunner) {
+  return withErrorHandling(
+    requireQueueRunner(queueRunner).then(runner => ({ jobs: runner.getQueue() })),
+    'queueRetrievalFailed',
+    sendResponse
+  );
+}
+
+/**
+ * Handle enqueueUrls request
+ */
+export function handleEnqueueUrls(request, sender, sendResponse, queueRunner) {
+  const urls = Array.isArray(request.urls) ? request.urls.filter(url => typeof url === 'string') : [];
+  return withErrorHandling(
+    requireQueueRunner(queueRunner)
+      .then(runner => runner.enqueue(urls.map(url => ({ url })), request.outputFormat, request.anthology === true))
+      .then(added => ({ success: true, added: added.length })),
+    'queueAddFailed',
+    sendResponse
+  );
+}
+
+/**
+ * Handle enqueueWindowTabs request
+ */
+export function handleEnqueueWindowTabs(request, sender, sendResponse, queueRunner) {
+  const windowId = typeof request.windowId === 'number' ? request.windowId : null;
+  return withErrorHandling(
+    requireQueueRunner(queueRunner)
+      .then(runner => runner.enqueueWindowTabs(windowId, request.outputFormat, request.anthology === true))
+      .then(added => ({ success: true, added: added.length })),
+    'queueAddFailed',
+    sendResponse
+  );
+}
+
+/**
+ * Handle cancelQueueJob request
+ */
+export function handleCancelQueueJob(request, sender, sendResponse, queueRunner) {
+  return withErrorHandling(
+    requireQueueRunner(queueRunner)
+      .then(runner => runner.cancelQueueJob(request.jobId))
+      .then(success => ({ success })),
+    'queueJobCancelFailed',
+    sendResponse
+  );
+}
+
+/**
+ * Handle retryQueueJob request
+ */
+export function handleRetryQueueJob(request, sender, sendResponse, queueRunner) {
+  return withErrorHandling(
+    requireQueueRunner(queueRunner)
+      .then(runner => runner.retryQueueJob(request.jobId))
+      .then(success => ({ success })),
+    'queueJobRetryFailed',
+    sendResponse
+  );
+}
+
+/**
+ * Handle removeQueueJob request
+ */
+export function handleRemoveQueueJob(request, sender, sendResponse, queueRunner) {
+  return withErrorHandling(
+    requireQueueRunner(queueRunner)
+      .then(runner => runner.removeQueueJob(request.jobId))
+      .then(success => ({ success })),
+    'queueJobRemoveFailed',
+    sendResponse
+  );
+}
+
+/**
+ * Handle clearFinishedQueueJobs request
+ */
+export function handleClearFinishedQueueJobs(request, sender, sendResponse, queueRunner) {
+  return withErrorHandling(
+    requireQueueRunner(queueRunner)
+      .then(runner => runner.clearFinishedQueueJobs())
+      .then(removed => ({ success: true, removed })),
+    'queueClearFailed',
+    sendResponse
+  );
+}
@@ -0,0 +1,28 @@
+// @ts-check
+// Content review message handlers (review page before generation)
+// Handlers: submitContentReview, cancelContentReview
+
+import { submitContentReview, cancelContentReview } from '../processing/review.js';
+import { withErrorHandling } from './utils.js';
+
+/**
+ * Handle submitContentReview request
+ */
+export function handleSubmitContentReview(request, sender, sendResponse) {
+  return withErrorHandling(
+    submitContentReview(request.reviewId, { title: request.title, content: request.content }).then(() => ({ success: true })),
+    'contentReviewSubmitFailed',
+    sendResponse
+  );
+}
+
+/**
+ * Handle cancelContentReview request
+ */
+export function handleCancelContentReview(request, sender, sendResponse) {
+  return withErrorHandling(
+    cancelContentReview(request.reviewId).then(cancelled => ({ success: true, cancelled })),
+    'contentReviewCancelFailed',
+    sendResponse
+  );
+}
@@ -8,6 +8,7 @@ import { getProcessingState } from '../state/processing.js';
 import { generateSummary } from '../translation/index.js';
 import { getUILanguage } from '../locales.js';
 import { CONFIG } from '../utils/config.js';
+import { SUMMARY_SOURCE_KEYS } from '../processing/summary-export.js';
 
 /**
  * Start summary generation with proper state management
@@ -188,6 +189,9 @@ export async function startSummaryGeneration(data, startKeepAlive, stopKeepAlive
       log('Saving summary to storage', { summaryLength: result.summary?.length || 0 });
       await chrome.storage.local.set({
         summary_text: result.summary,
+        // Source of summary for export (document language and source link)
+        [SUMMARY_SOURCE_KEYS.URL]: data.url || '',
+        [SUMMARY_SOURCE_KEYS.LANGUAGE]: data.language || 'auto',
         summary_generating: false,
         summary_generating_start_time: null,
         summary_saved_timestamp: Date.now() // Save timestamp to identify fresh summaries
@@ -0,0 +1,42 @@
+// @ts-check
+// Offline voice message handlers (voice manager page)
+// Handlers: downloadOfflineVoice, removeOfflineVoice
+
+import { downloadVoiceViaOffscreen, removeVoiceViaOffscreen } from '../api/piper-voices-offscreen.js';
+import { parsePiperVoiceId } from '../api/piper-voice-storage.js';
+import { withErrorHandling } from './utils.js';
+
+/**
+ * Check voice ID before passing it to worker
+ * @param {*} voiceId - Voice ID from request
+ * @returns {Promise<string>} Voice ID
+ */
+async function requireVoiceId(voiceId) {
+  if (!parsePiperVoiceId(voiceId)) {
+    throw new Error(`Invalid voice ID: ${voiceId}`);
+  }
+  return voiceId;
+}
+
+/**
+ * Handle downloadOfflineVoice request
+ * Progress goes to page directly from offscreen document ('voiceDownloadProgress' messages)
+ */
+export function handleDownloadOfflineVoice(request, sender, sendResponse) {
+  return withErrorHandling(
+    requireVoiceId(request.voiceId).then(voiceId => downloadVoiceViaOffscreen(voiceId)).then(() => ({ success: true })),
+    'offlineVoiceDownloadFailed',
+    sendResponse
+  );
+}
+
+/**
+ * Handle removeOfflineVoice request
+ */
+export function handleRemoveOfflineVoice(request, sender, sendResponse) {
+  return withErrorHandling(
+    requireVoiceId(request.voiceId).then(removeVoiceViaOffscreen).then(() => ({ success: true })),
+    'offlineVoiceRemoveFailed',
+    sendResponse
+  );
+}
@@ -0,0 +1,233 @@
+// @ts-check
+// Local audio compression in offscreen document
+// MP3 is encoded with lamejs (pure JS), Opus with WebCodecs AudioEncoder and written into Ogg container
+
+import { Mp3Encoder } from '@breezystack/lamejs';
+import { log } from '../../utils/logging.js';
+import { concatBytes } from '../../utils/bytes.js';
+import { readWavPcm } from './wav-utils.js';
+import { createOggOpus, OPUS_GRANULE_RATE, OPUS_DEFAULT_PRE_SKIP } from './ogg-opus.js';
+
+/**
+ * MP3 samples per encoder call (20 MPEG1 frames)
+ * @readonly
+ */
+const MP3_BLOCK_SAMPLES = 1152 * 20;
+
+/**
+ * Opus input is passed to encoder in one second blocks
+ * Encoding waits while encoder queue is longer than this
+ * @readonly
+ */
+const OPUS_MAX_QUEUE_SIZE = 8;
+
+/**
+ * Yield to event loop after this many samples (30 s of Piper audio) so offscreen document stays responsive
+ * @readonly
+ */
+const YIELD_EVERY_SAMPLES = 22050 * 30;
+
+/**
+ * @typedef {Object} EncodeOptions
+ * @property {'mp3'|'opus'} format - Target format
+ * @property {number} bitrate - Bitrate in kbps
+ * @property {Array<string>} [comments] - Vorbis comments for Opus ("KEY=value")
+ */
+
+/**
+ * @callback EncodeProgressCallback
+ * @param {number} current - Encoded samples
+ * @param {number} total - Total samples
+ * @returns {void}
+ */
+
+/**
+ * Wait for next event loop turn
+ * @param {number} [ms=0] - Delay
+ * @returns {Promise<void>}
+ */
+function nextTick(ms = 0) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Encode PCM to MP3
+ * @param {{sampleRate: number, channels: number, samples: Int16Array}} pcm - Interleaved PCM
+ * @param {number} bitrate - Bitrate in kbps
+ * @param {EncodeProgressCallback} onProgress - Progress callback
+ * @returns {Promise<Uint8Array<ArrayBuffer>>} MP3 data
+ */
+async function encodeMp3(pcm, bitrate, onProgress) {
+  const { sampleRate, channels, samples } = pcm;
+  const encoder = new Mp3Encoder(channels, sampleRate, bitrate);
+  const total = samples.length / channels;
+  /** @type {Array<Uint8Array>} */
+  const parts = [];
+  const push = (/** @type {Int8Array|Uint8Array} */ data) => {
+    if (data.length > 0) {
+      parts.push(new Uint8Array(data.buffer, data.byteOffset, data.length));
+    }
+  };
+
+  let sinceYield = 0;
+  for (let start = 0; start < total; start += MP3_BLOCK_SAMPLES) {
+    const end = Math.min(total, start + MP3_BLOCK_SAMPLES);
+    if (channels === 1) {
+      push(encoder.encodeBuffer(samples.subarray(start, end)));
+    } else {
+      const left = new Int16Array(end - start);
+      const right = new Int16Array(end - start);
+      for (let i = start; i < end; i++) {
+        left[i - start] = samples[i * 2];
+        right[i - start] = samples[i * 2 + 1];
+      }
+      push(encoder.encodeBuffer(left, right));
+    }
+    onProgress(end, total);
+    sinceYield += end - start;
+    if (sinceYield >= YIELD_EVERY_SAMPLES) {
+      sinceYield = 0;
+      await nextTick();
+    }
+  }
+  push(encoder.flush());
+  return concatBytes(parts);
+}
+
+/**
+ * Read pre-skip from OpusHead decoder description
+ * @param {AllowSharedBufferSource|undefined} description - Decoder config description
+ * @returns {number|null} Pre-skip, null if description is not OpusHead
+ */
+function readPreSkip(description) {
+  if (!description) {
+    return null;
+  }
+  const bytes = ArrayBuffer.isView(description)
+    ? new Uint8Array(description.buffer, description.byteOffset, description.byteLength)
+    : new Uint8Array(description);
+  if (bytes.length < 12 || String.fromCharCode(...bytes.subarray(0, 8)) !== 'OpusHead') {
+    return null;
+  }
+  return bytes[10] | (bytes[11] << 8);
+}
+
+/**
+ * Encode PCM to Ogg Opus using WebCodecs
+ * @param {{sampleRate: number, channels: number, samples: Int16Array}} pcm - Interleaved PCM
+ * @param {number} bitrate - Bitrate in kbps
+ * @param {Array<string>} comments - Vorbis comments
+ * @param {EncodeProgressCallback} onProgress - Progress callback
+ * @returns {Promise<Uint8Array<ArrayBuffer>>} Ogg Opus data
+ * @throws {Error} If WebCodecs Opus encoder is not available
+ */
+async function encodeOpus(pcm, bitrate, comments, onProgress) {
+  const { sampleRate, channels, samples } = pcm;
+  if (typeof AudioEncoder === 'undefined' || typeof AudioData === 'undefined') {
+    throw new Error('Opus encoding requires WebCodecs AudioEncoder');
+  }
+  const config = { codec: 'opus', sampleRate, numberOfChannels: channels, bitrate: bitrate * 1000 };
+  const support = await AudioEncoder.isConfigSupported(config);
+  if (!support.supported) {
+    throw new Error(`Opus encoding is not supported for ${sampleRate} Hz, ${channels} channel audio`);
+  }
+
+  /** @type {Array<{data: Uint8Array, samples: number}>} */
+  const packets = [];
+  let preSkip = OPUS_DEFAULT_PRE_SKIP;
+  /** @type {Error|null} */
+  let encodeError = null;
+  const encoder = new AudioEncoder({
+    output: (chunk, metadata) => {
+      preSkip = readPreSkip(metadata?.decoderConfig?.description) ?? preSkip;
+      const data = new Uint8Array(chunk.byteLength);
+      chunk.copyTo(data);
+      // Chunk duration is in microseconds, Opus frames are 20 ms by default
+      packets.push({ data, samples: Math.round((chunk.duration || 20000) * OPUS_GRANULE_RATE / 1000000) });
+    },
+    error: (error) => {
+      encodeError = error;
+    }
+  });
+  encoder.configure(config);
+
+  const total = samples.length / channels;
+  try {
+    for (let start = 0; start < total; start += sampleRate) {
+      if (encodeError) {
+        throw encodeError;
+      }
+      const end = Math.min(total, start + sampleRate);
+      const audioData = new AudioData({
+        format: 's16',
+        sampleRate,
+        numberOfChannels: channels,
+        numberOfFrames: end - start,
+        timestamp: Math.round(start * 1000000 / sampleRate),
+        data: samples.slice(start * channels, end * channels)
+      });
+      encoder.encode(audioData);
+      audioData.close();
+      onProgress(end, total);
+      while (encoder.encodeQueueSize > OPUS_MAX_QUEUE_SIZE) {
+        await nextTick(10);
+      }
+    }
+    await encoder.flush();
+    if (encodeError) {
+      throw encodeError;
+    }
+  } finally {
+    if (encoder.state !== 'closed') {
+      encoder.close();
+    }
+  }
+
+  return createOggOpus(packets, {
+    channels,
+    inputSampleRate: sampleRate,
+    preSkip,
+    totalSamples: Math.round(total * OPUS_GRANULE_RATE / sampleRate),
+    vendor: 'ClipAIble (WebCodecs Opus)',
+    comments
+  });
+}
+
+/**
+ * Compress WAV audio to MP3 or Ogg Opus
+ * @param {ArrayBuffer} buffer - 16-bit PCM WAV
+ * @param {EncodeOptions} options - Target format and bitrate
+ * @param {EncodeProgressCallback} [onProgress] - Progress callback
+ * @returns {Promise<ArrayBuffer>} Compressed audio
+ * @throws {Error} If WAV format or target format is not supported
+ */
+export async function encodeAudio(buffer, options, onProgress = () => {}) {
+  const { format, bitrate, comments = [] } = options;
+  const startTime = Date.now();
+  const pcm = readWavPcm(buffer);
+  log('[ClipAIble Offscreen] Audio encoding started', {
+    format,
+    bitrate,
+    sampleRate: pcm.sampleRate,
+    channels: pcm.channels,
+    durationSeconds: Math.round(pcm.samples.length / pcm.channels / pcm.sampleRate)
+  });
+
+  let encoded;
+  if (format === 'mp3') {
+    encoded = await encodeMp3(pcm, bitrate, onProgress);
+  } else if (format === 'opus') {
+    encoded = await encodeOpus(pcm, bitrate, comments, onProgress);
+  } else {
+    throw new Error(`Unsupported audio compression format: ${format}`);
+  }
+
+  log('[ClipAIble Offscreen] Audio encoding complete', {
+    format,
+    inputSize: buffer.byteLength,
+    outputSize: encoded.length,
+    ratio: (buffer.byteLength / Math.max(1, encoded.length)).toFixed(1),
+    duration: Date.now() - startTime
+  });
+  return encoded.buffer;
+}
@@ -0,0 +1,217 @@
+// @ts-check
+// Ogg container for Opus packets (RFC 7845)
+// WebCodecs AudioEncoder returns raw Opus packets, this module writes them into .opus file
+
+import { concatBytes } from '../../utils/bytes.js';
+
+/**
+ * Opus granule positions always use 48 kHz
+ * @readonly
+ */
+export const OPUS_GRANULE_RATE = 48000;
+
+/**
+ * Default encoder delay in 48 kHz samples (libopus lookahead)
+ * @readonly
+ */
+export const OPUS_DEFAULT_PRE_SKIP = 312;
+
+/**
+ * Audio pages are closed after one second of audio to keep seeking precise
+ * @readonly
+ */
+const MAX_PAGE_DURATION = OPUS_GRANULE_RATE;
+
+/**
+ * Ogg page can hold up to 255 lacing values
+ * @readonly
+ */
+const MAX_PAGE_SEGMENTS = 255;
+
+/**
+ * Ogg CRC32 lookup table (polynomial 0x04C11DB7, no reflection)
+ * @type {Uint32Array|null}
+ */
+let crcTable = null;
+
+/**
+ * Calculate Ogg page checksum
+ * @param {Uint8Array} bytes - Page with zeroed checksum field
+ * @returns {number} Checksum
+ */
+export function oggCrc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let i = 0; i < 256; i++) {
+      let value = i << 24;
+      for (let bit = 0; bit < 8; bit++) {
+        value = (value & 0x80000000) ? (value << 1) ^ 0x04C11DB7 : value << 1;
+      }
+      crcTable[i] = value >>> 0;
+    }
+  }
+  let crc = 0;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = ((crc << 8) ^ crcTable[((crc >>> 24) ^ bytes[i]) & 0xFF]) >>> 0;
+  }
+  return crc;
+}
+
+/**
+ * Encode text as UTF-8
+ * @param {string} text - Text
+ * @returns {Uint8Array} Bytes
+ */
+function utf8(text) {
+  return new TextEncoder().encode(text);
+}
+
+/**
+ * Build identification header (OpusHead)
+ * @param {number} channels - Number of channels (1 or 2)
+ * @param {number} preSkip - Encoder delay in 48 kHz samples
+ * @param {number} inputSampleRate - Sample rate of source audio
+ * @returns {Uint8Array} Header packet
+ */
+export function buildOpusHead(channels, preSkip, inputSampleRate) {
+  const bytes = new Uint8Array(19);
+  const view = new DataView(bytes.buffer);
+  bytes.set(utf8('OpusHead'), 0);
+  bytes[8] = 1;
+  bytes[9] = channels;
+  view.setUint16(10, preSkip, true);
+  view.setUint32(12, inputSampleRate, true);
+  // Output gain 0, channel mapping family 0 (mono or stereo)
+  return bytes;
+}
+
+/**
+ * Build comment header (OpusTags)
+ * @param {string} vendor - Encoder name
+ * @param {Array<string>} comments - Comments in "KEY=value" form
+ * @returns {Uint8Array} Header packet
+ */
+export function buildOpusTags(vendor, comments) {
+  const parts = [utf8(vendor), ...comments.map(utf8)];
+  const bytes = new Uint8Array(8 + 4 * (parts.length + 1) + parts.reduce((sum, part) => sum + part.length, 0));
+  const view = new DataView(bytes.buffer);
+  bytes.set(utf8('OpusTags'), 0);
+  let offset = 8;
+  parts.forEach((part, index) => {
+    view.setUint32(offset, part.length, true);
+    bytes.set(part, offset + 4);
+    offset += 4 + part.length;
+    if (index === 0) {
+      // Comment count follows vendor string
+      view.setUint32(offset, comments.length, true);
+      offset += 4;
+    }
+  });
+  return bytes;
+}
+
+/**
+ * Build Ogg page
+ * @param {Array<Uint8Array>} packets - Complete packets of the page
+ * @param {{granule: number, serial: number, sequence: number, flags: number}} info - Page header fields
+ * @returns {Uint8Array} Page
+ */
+function buildPage(packets, info) {
+  const lacing = [];
+  for (const packet of packets) {
+    // Packet of N bytes: N / 255 values of 255, then remainder (0 ends packet that is multiple of 255)
+    for (let i = 0; i < Math.floor(packet.length / 255); i++) {
+      lacing.push(255);
+    }
+    lacing.push(packet.length % 255);
+  }
+  const dataSize = packets.reduce((sum, packet) => sum + packet.length, 0);
+  const page = new Uint8Array(27 + lacing.length + dataSize);
+  const view = new DataView(page.buffer);
+  page.set(utf8('OggS'), 0);
+  page[5] = info.flags;
+  // 64-bit granule position, high part stays 0 for any realistic duration
+  view.setUint32(6, info.granule % 0x100000000, true);
+  view.setUint32(10, Math.floor(info.granule / 0x100000000), true);
+  view.setUint32(14, info.serial, true);
+  view.setUint32(18, info.sequence, true);
+  page[26] = lacing.length;
+  page.set(lacing, 27);
+  let offset = 27 + lacing.length;
+  for (const packet of packets) {
+    page.set(packet, offset);
+    offset += packet.length;
+  }
+  view.setUint32(22, oggCrc32(page), true);
+  return page;
+}
+
+/**
+ * Count lacing values of packet
+ * @param {Uint8Array} packet - Packet
+ * @returns {number} Number of segments
+ */
+function segmentCount(packet) {
+  return Math.floor(packet.length / 255) + 1;
+}
+
+/**
+ * Write Opus packets into Ogg container
+ * @param {Array<{data: Uint8Array, samples: number}>} packets - Opus packets with duration in 48 kHz samples
+ * @param {Object} options - Stream options
+ * @param {number} options.channels - Number of channels
+ * @param {number} options.inputSampleRate - Sample rate of source audio
+ * @param {number} [options.preSkip] - Encoder delay in 48 kHz samples
+ * @param {number} [options.totalSamples] - Source length in 48 kHz samples, trims padding of last packet
+ * @param {string} [options.vendor] - Encoder name
+ * @param {Array<string>} [options.comments] - Comments in "KEY=value" form
+ * @param {number} [options.serial] - Stream serial number
+ * @returns {Uint8Array<ArrayBuffer>} Ogg Opus file
+ */
+export function createOggOpus(packets, options) {
+  const preSkip = options.preSkip ?? OPUS_DEFAULT_PRE_SKIP;
+  const serial = options.serial ?? Math.floor(Math.random() * 0xFFFFFFFF);
+  const pages = [
+    buildPage([buildOpusHead(options.channels, preSkip, options.inputSampleRate)], { granule: 0, serial, sequence: 0, flags: 0x02 }),
+    buildPage([buildOpusTags(options.vendor || 'ClipAIble', options.comments || [])], { granule: 0, serial, sequence: 1, flags: 0 })
+  ];
+
+  const lastGranule = preSkip + packets.reduce((sum, packet) => sum + packet.samples, 0);
+  const endGranule = options.totalSamples ? Math.min(lastGranule, preSkip + options.totalSamples) : lastGranule;
+  let granule = preSkip;
+  let pageStart = preSkip;
+  /** @type {Array<Uint8Array>} */
+  let pagePackets = [];
+  let segments = 0;
+
+  const flush = (isLast) => {
+    pages.push(buildPage(pagePackets, {
+      granule: isLast ? endGranule : granule,
+      serial,
+      sequence: pages.length,
+      flags: isLast ? 0x04 : 0
+    }));
+    pagePackets = [];
+    segments = 0;
+    pageStart = granule;
+  };
+
+  packets.forEach((packet, index) => {
+    if (pagePackets.length > 0 && segments + segmentCount(packet.data) > MAX_PAGE_SEGMENTS) {
+      flush(false);
+    }
+    pagePackets.push(packet.data);
+    segments += segmentCount(packet.data);
+    granule += packet.samples;
+    const isLast = index === packets.length - 1;
+    if (isLast || granule - pageStart >= MAX_PAGE_DURATION) {
+      flush(isLast);
+    }
+  });
+  if (packets.length === 0) {
+    // Stream must still end with EOS page
+    flush(true);
+  }
+
+  return concatBytes(pages);
+}
@@ -194,3 +194,32 @@ export function concatenateWavBuffers(buffers) {
 
 
 
+
+/**
+ * Read 16-bit PCM samples from WAV file
+ * @param {ArrayBuffer} buffer - WAV file
+ * @returns {{sampleRate: number, channels: number, samples: Int16Array}} Interleaved samples
+ * @throws {Error} If buffer is not 16-bit PCM WAV
+ */
+export function readWavPcm(buffer) {
+  const view = new Uint8Array(buffer);
+  if (view.length < 44 ||
+      view[0] !== 0x52 || view[1] !== 0x49 || view[2] !== 0x46 || view[3] !== 0x46) {
+    throw new Error('Audio is not a WAV file');
+  }
+  
+  const dataView = new DataView(buffer);
+  const audioFormat = dataView.getUint16(20, true);
+  const channels = dataView.getUint16(22, true);
+  const sampleRate = dataView.getUint32(24, true);
+  const bitsPerSample = dataView.getUint16(34, true);
+  if (audioFormat !== 1 || bitsPerSample !== 16 || channels < 1 || channels > 2) {
+    throw new Error(`Unsupported WAV format: format ${audioFormat}, ${bitsPerSample} bits, ${channels} channels`);
+  }
+  
+  const { dataStart, dataSize } = findWavDataChunk(view);
+  const size = Math.min(dataSize, view.length - dataStart);
+  // Copy to aligned buffer (data chunk may start at odd offset)
+  const samples = new Int16Array(view.slice(dataStart, dataStart + size - (size % 2)).buffer);
+  return { sampleRate, channels, samples };
+}
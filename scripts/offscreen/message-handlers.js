@@ -8,6 +8,10 @@ import { CONFIG } from '../utils/config.js';
 import { extractPdfContent } from './pdf/extract.js';
 import { loadPdfDocument } from './pdf/core/pdf-loader.js';
 import { loadPdfJs } from './pdf/utils/pdf-loader.js';
+import { encodeAudio } from './audio/encoder.js';
+import { readAudioFile, saveAudioFile, removeAudioFile } from '../utils/storage/audio-files.js';
+import { downloadWithWorker, removeWithWorker } from './worker/api.js';
+import { getOfflineLanguages, toOfflineVoiceList } from '../api/piper-languages.js';
 
 /**
  * Handle GET_VOICES message
@@ -38,77 +42,10 @@ export async function handleGetVoices(messageId, initTTSWorker, getVoicesWithWor
   // Each Voice has structure: { key: VoiceId, name: string, language: {...}, quality: Quality, ... }
   // key is the voice ID like "ru_RU-irina-medium"
   
-  // Supported languages: en, ru, uk, de, fr, es, it, pt, zh
-  // Note: ja (Japanese) and ko (Korean) are not available in piper-tts-web library
-  const supportedLanguages = ['en', 'ru', 'uk', 'de', 'fr', 'es', 'it', 'pt', 'zh'];
-  
-  // Filter voices:
-  // 1. Only medium and high quality (exclude low and x_low)
-  // 2. Only supported languages (extract base language code from CountryCode)
-  const filteredVoices = voices.filter((voice) => {
-    const quality = voice.quality || 'medium';
-    const isLowQuality = quality === 'low' || quality === 'x_low';
-    if (isLowQuality) {
-      return false;
-    }
-    
-    // Extract language code from voice key or use language property
-    let langCode = '';
-    if (voice.language?.code && typeof voice.language.code === 'string') {
-      // CountryCode format: 'en_GB', 'en_US', 'ru_RU', etc.
-      // Extract base language code (first 2 letters before underscore)
-      const countryCode = voice.language.code.toLowerCase();
-      langCode = countryCode.split('_')[0]; // 'en_GB' -> 'en', 'ru_RU' -> 'ru'
-    } else {
-      // Extract from voice key (e.g., "en_US-lessac-medium" -> "en")
-      const langMatch = voice.key.match(/^([a-z]{2})_/i);
-      langCode = langMatch ? langMatch[1].toLowerCase() : '';
-    }
-    
-    // Check if language is supported
-    return supportedLanguages.includes(langCode);
-  });
-  
-  const result = filteredVoices.map((voice) => {
-    // Extract base language code (en from en_GB, en_US, etc.)
-    let langCode = '';
-    if (voice.language?.code && typeof voice.language.code === 'string') {
-      const countryCode = voice.language.code.toLowerCase();
-      langCode = countryCode.split('_')[0]; // 'en_GB' -> 'en', 'ru_RU' -> 'ru'
-    } else {
-      const langMatch = voice.key.match(/^([a-z]{2})_/i);
-      langCode = langMatch ? langMatch[1].toLowerCase() : 'unknown';
-    }
-    
-    return {
-      key: voice.key, // Use key directly for offline TTS
-      id: voice.key, // Keep id for backward compatibility with UI code
-      name: voice.name || voice.key,
-      language: langCode, // Base language code (en, ru, etc.)
-      quality: voice.quality || 'medium',
-      gender: voice.gender || 'unknown'
-    };
-  });
-  
-  // Sort voices: first by language (in supported order), then by quality (high > medium), then by name
-  const languageOrder = { 'en': 0, 'ru': 1, 'uk': 2, 'de': 3, 'fr': 4, 'es': 5, 'it': 6, 'pt': 7, 'zh': 8, 'ja': 9, 'ko': 10 };
-  const qualityOrder = { 'high': 0, 'medium': 1 };
-  result.sort((a, b) => {
-    // First sort by language (in supported order)
-    const aLangOrder = languageOrder[a.language] ?? 99;
-    const bLangOrder = languageOrder[b.language] ?? 99;
-    if (aLangOrder !== bLangOrder) {
-      return aLangOrder - bLangOrder;
-    }
-    // Then by quality (high > medium)
-    const aQuality = qualityOrder[a.quality] ?? 99;
-    const bQuality = qualityOrder[b.quality] ?? 99;
-    if (aQuality !== bQuality) {
-      return aQuality - bQuality;
-    }
-    // Finally by name
-    return a.name.localeCompare(b.name);
-  });
+  // Languages come from voice catalog (piper-languages.js): only medium and high quality voices
+  // of languages that have catalog voices. ja, ko and uk have no offline voices.
+  const supportedLanguages = getOfflineLanguages();
+  const result = toOfflineVoiceList(voices);
   
   const voicesDuration = Date.now() - voicesStart;
   // CRITICAL: voices is Voice[] array, not an object!
@@ -1535,3 +1472,143 @@ export async function handleRenderAllPdfPages(messageId, data, sendResponse) {
   }
 }
 
+/**
+ * Handle ENCODE_AUDIO message
+ * Compresses WAV stored in audio IndexedDB to MP3 or Ogg Opus.
+ * Source is removed, result is saved under new key and returned in response
+ * @param {string} messageId - Message ID for logging
+ * @param {{storageKey: string, format: 'mp3'|'opus', bitrate: number, comments?: Array<string>}} data - Message data
+ * @param {import('../types.js').SendResponseFunction} sendResponse - Response function
+ * @returns {Promise<void>}
+ */
+export async function handleEncodeAudio(messageId, data, sendResponse) {
+  const encodeStart = Date.now();
+  const { storageKey, format, bitrate, comments } = data || {};
+  log(`[ClipAIble Offscreen] ENCODE_AUDIO request for ${messageId}`, { messageId, storageKey, format, bitrate });
+  
+  try {
+    const buffer = await readAudioFile(storageKey);
+    if (!buffer) {
+      throw new Error(`Audio to encode not found: ${storageKey}`);
+    }
+    await removeAudioFile(storageKey);
+    
+    let lastPercent = -1;
+    const encoded = await encodeAudio(buffer, { format, bitrate, comments }, (current, total) => {
+      const percent = Math.floor((current / total) * 100);
+      if (percent === lastPercent) {
+        return;
+      }
+      lastPercent = percent;
+      // Send progress update (non-blocking)
+      try {
+        chrome.runtime.sendMessage({
+          type: 'encodeProgress',
+          data: { current, total, storageKey }
+        }, () => {
+          // CRITICAL: Check chrome.runtime.lastError to prevent "Unchecked runtime.lastError" spam
+          if (chrome.runtime.lastError) {
+            // Silently ignore - receiver may be closed
+          }
+        });
+      } catch (e) {
+        // Ignore
+      }
+    });
+    
+    const resultKey = `${storageKey}_${format}`;
+    await saveAudioFile(resultKey, encoded);
+    
+    log(`[ClipAIble Offscreen] ENCODE_AUDIO complete for ${messageId}`, {
+      messageId,
+      format,
+      size: encoded.byteLength,
+      duration: Date.now() - encodeStart
+    });
+    
+    sendResponse({
+      success: true,
+      result: { storageKey: resultKey, format, size: encoded.byteLength }
+    });
+  } catch (error) {
+    logError(`[ClipAIble Offscreen] ENCODE_AUDIO failed for ${messageId}`, {
+      messageId,
+      error: error.message,
+      stack: error.stack
+    });
+    
+    sendResponse({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Handle DOWNLOAD_VOICE message (voice manager prefetch)
+ * @param {string} messageId - Message ID for logging
+ * @param {{voiceId: string}} data - Request data with voiceId
+ * @param {import('../types.js').SendResponseFunction} sendResponse - Response function
+ * @returns {Promise<void>}
+ */
+export async function handleDownloadVoice(messageId, data, sendResponse) {
+  const voiceId = data?.voiceId;
+  log(`[ClipAIble Offscreen] DOWNLOAD_VOICE request for ${messageId}`, { messageId, voiceId });
+  
+  try {
+    let lastPercent = -1;
+    await downloadWithWorker(voiceId, (loaded, total) => {
+      const percent = total > 0 ? Math.floor((loaded * 100) / total) : 0;
+      if (percent === lastPercent) {
+        return;
+      }
+      lastPercent = percent;
+      // Send progress update (non-blocking)
+      try {
+        chrome.runtime.sendMessage({
+          type: 'voiceDownloadProgress',
+          data: { voiceId, loaded, total }
+        }, () => {
+          // CRITICAL: Check chrome.runtime.lastError to prevent "Unchecked runtime.lastError" spam
+          if (chrome.runtime.lastError) {
+            // Silently ignore - receiver may be closed
+          }
+        });
+      } catch (e) {
+        // Ignore
+      }
+    });
+    sendResponse({ success: true });
+  } catch (error) {
+    logError(`[ClipAIble Offscreen] DOWNLOAD_VOICE failed for ${messageId}`, {
+      messageId,
+      voiceId,
+      error: error.message
+    });
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+/**
+ * Handle REMOVE_VOICE message
+ * @param {string} messageId - Message ID for logging
+ * @param {{voiceId: string}} data - Request data with voiceId
+ * @param {import('../types.js').SendResponseFunction} sendResponse - Response function
+ * @returns {Promise<void>}
+ */
+export async function handleRemoveVoice(messageId, data, sendResponse) {
+  const voiceId = data?.voiceId;
+  log(`[ClipAIble Offscreen] REMOVE_VOICE request for ${messageId}`, { messageId, voiceId });
+  
+  try {
+    await removeWithWorker(voiceId);
+    sendResponse({ success: true });
+  } catch (error) {
+    logError(`[ClipAIble Offscreen] REMOVE_VOICE failed for ${messageId}`, {
+      messageId,
+      voiceId,
+      error: error.message
+    });
+    sendResponse({ success: false, error: error.message });
+  }
+}
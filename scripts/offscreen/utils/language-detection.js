@@ -3,34 +3,77 @@
 
 import { log } from '../../utils/logging.js';
 
+/**
+ * Unicode ranges of non-Latin scripts
+ * Script is detected when more than 10% of sample characters belong to it
+ * @readonly
+ */
+const SCRIPT_RANGES = [
+  { script: 'cyrillic', from: 0x0400, to: 0x04FF },
+  { script: 'hebrew', from: 0x0590, to: 0x05FF },
+  { script: 'arabic', from: 0x0600, to: 0x06FF },
+  { script: 'devanagari', from: 0x0900, to: 0x097F },
+  { script: 'georgian', from: 0x10A0, to: 0x10FF },
+  { script: 'kana', from: 0x3040, to: 0x30FF }, // Hiragana and Katakana
+  { script: 'han', from: 0x4E00, to: 0x9FFF },
+  { script: 'hangul', from: 0xAC00, to: 0xD7AF }
+];
+
+/**
+ * Resolve language of Cyrillic text by specific letters
+ * @param {string} sample - Text sample
+ * @returns {string} Language code (ru, uk, kk, sr)
+ */
+function detectCyrillicLanguage(sample) {
+  const count = (pattern) => (sample.match(pattern) || []).length;
+  // Ukrainian has specific letters: і, ї, є, ґ (both lowercase and uppercase)
+  const ukMarkers = count(/[іїєґІЇЄҐ]/g);
+  const ruMarkers = count(/[ыэъЫЭЪ]/g);
+  const kkMarkers = count(/[әғқңөұүһӘҒҚҢӨҰҮҺ]/g);
+  const srMarkers = count(/[ђћџљњјЂЋЏЉЊЈ]/g);
+  if (kkMarkers > 3 && kkMarkers > ukMarkers) return 'kk';
+  if (srMarkers > 3 && srMarkers > ruMarkers) return 'sr';
+  return ukMarkers > ruMarkers && ukMarkers > 3 ? 'uk' : 'ru';
+}
+
 /**
  * Detect language from text using character analysis
+ * Covers languages of offline voice catalog and UI languages without offline voices (uk, ja, ko)
  * @param {string} text - Text to analyze
- * @returns {string} Language code (en, ru, uk, de, fr, es, it, pt, zh)
+ * @returns {string} Language code (en, ru, uk, de, fr, es, it, pt, zh, ja, ko, ar, fa, pl, nl, ...)
  */
 export function detectLanguage(text) {
   if (!text || text.length === 0) return 'en';
   
   const sample = text.substring(0, 1000);
-  let cyrillicCount = 0;
-  let cjkCount = 0;
+  const scriptCounts = {};
   
   for (let i = 0; i < sample.length; i++) {
     const char = sample.charCodeAt(i);
-    if (char >= 0x0400 && char <= 0x04FF) cyrillicCount++;
-    if (char >= 0x4E00 && char <= 0x9FFF) cjkCount++;
+    const range = SCRIPT_RANGES.find(item => char >= item.from && char <= item.to);
+    if (range) {
+      scriptCounts[range.script] = (scriptCounts[range.script] || 0) + 1;
+    }
   }
   
   const total = sample.length;
+  const hasScript = (script, share = 0.1) => (scriptCounts[script] || 0) > total * share;
   
-  if (cyrillicCount > total * 0.1) {
-    // Ukrainian has specific letters: і, ї, є, ґ (both lowercase and uppercase)
-    const ukMarkers = (sample.match(/[іїєґІЇЄҐ]/gi) || []).length;
-    const ruMarkers = (sample.match(/[ыэъЫЭЪ]/gi) || []).length;
-    return ukMarkers > ruMarkers && ukMarkers > 3 ? 'uk' : 'ru';
-  }
+  if (hasScript('cyrillic')) return detectCyrillicLanguage(sample);
+  // Persian uses Arabic script with extra letters: پ چ ژ گ ک ی
+  if (hasScript('arabic')) return (sample.match(/[پچژگکی]/g) || []).length > 3 ? 'fa' : 'ar';
+  if (hasScript('hebrew')) return 'he';
+  // Nepali and Hindi share Devanagari; Nepali copula "छ" vs Hindi "है"
+  if (hasScript('devanagari')) return (sample.match(/छ/g) || []).length > (sample.match(/है/g) || []).length ? 'ne' : 'hi';
+  if (hasScript('georgian')) return 'ka';
+  // Japanese mixes kana with CJK ideographs, check kana before Chinese
+  if (hasScript('kana', 0.05)) return 'ja';
+  if (hasScript('hangul')) return 'ko';
+  if (hasScript('han')) return 'zh';
   
-  if (cjkCount > total * 0.1) return 'zh';
+  // Vietnamese Latin letters with tone marks
+  const viMarkers = (sample.match(/[ăđơưạảấầẩẫậắằẳẵặẹẻẽếềểễệỉịọỏốồổỗộớờởỡợụủứừửữựỳỵỷỹ]/gi) || []).length;
+  if (viMarkers > total * 0.03) return 'vi';
   
   // Check for other languages
   // IMPORTANT: Use more specific patterns to avoid false positives
@@ -41,7 +84,22 @@ export function detectLanguage(text) {
     'es': /\b(el|la|los|y|es|son|tener|ser|estar|pueden|con|por)\b/gi,
     'it': /\b(il|la|lo|e|è|sono|avere|essere|possono|con|per)\b/gi,
     'pt': /\b(o|a|os|e|é|são|ter|ser|estar|podem|com|para|que|não|uma|um)\b/gi,
-    'en': /\b(the|and|is|are|have|has|been|will|would|could|should|this|that|with|from|for)\b/gi
+    'en': /\b(the|and|is|are|have|has|been|will|would|could|should|this|that|with|from|for)\b/gi,
+    // Languages of offline voice catalog: words start and end with ASCII letters (\b is ASCII-only)
+    'nl': /\b(het|een|niet|wordt|ook|maar|voor|deze|naar|zijn|wij|zij)\b/gi,
+    'pl': /\b(jest|nie|oraz|przez|jak|tylko|jego|bardzo|dla|tego|jednak|który)\b/gi,
+    'cs': /\b(jsou|nebo|jako|jeho|byl|bylo|proto|podle|mezi|jsem)\b/gi,
+    'sk': /\b(alebo|ako|bol|bolo|podľa|sme|som|medzi)\b/gi,
+    'sv': /\b(och|att|det|som|inte|med|har|av|den|till|jag|kan)\b/gi,
+    'da': /\b(og|ikke|af|hvad|bliver|nogle|jeg|skal|meget|eller)\b/gi,
+    'no': /\b(og|ikke|av|hva|blir|noen|jeg|skal|veldig|eller)\b/gi,
+    'fi': /\b(ja|on|ei|mutta|ovat|oli|kanssa|joka|kun|tai)\b/gi,
+    'hu': /\b(az|hogy|nem|egy|van|volt|mint|csak|vagy|pedig)\b/gi,
+    'ro': /\b(este|care|sunt|pentru|sau|acest|din|mai|fost|unei)\b/gi,
+    'tr': /\b(ve|bir|bu|ile|olarak|daha|gibi|ama|kadar|sonra|için)\b/gi,
+    'ca': /\b(els|amb|aquest|aquesta|seva|dels|pels|molt|fins)\b/gi,
+    'cy': /\b(mae|yn|ac|gyda|bod|hefyd|ond|wedi)\b/gi,
+    'sw': /\b(katika|kwa|hii|kuwa|lakini|sana|watu|ya|wa)\b/gi
   };
   
   let maxMatches = 0;
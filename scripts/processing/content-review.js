@@ -0,0 +1,143 @@
+// @ts-check
+// Editing of extracted content on review page (before translation and generation)
+// Pure functions shared by review page and background: they never mutate given arrays and items
+
+/**
+ * Storage key of content opened on review page
+ * @readonly
+ */
+export const REVIEW_STORAGE_KEY = 'content_review';
+
+/**
+ * Item types whose text is edited on review page, with field that holds text
+ * First existing field wins: extraction and AI modes fill different fields
+ * @readonly
+ */
+const TEXT_FIELDS = {
+  heading: ['text', 'html'],
+  subtitle: ['text', 'html'],
+  paragraph: ['html', 'text', 'content'],
+  text: ['html', 'text', 'content'],
+  quote: ['html', 'text', 'content'],
+  code: ['code', 'text', 'content']
+};
+
+/**
+ * Get field of item that holds editable text
+ * @param {import('../types.js').ContentItem} item - Content item
+ * @returns {string|null} Field name, null if item text is not editable (images, lists, tables)
+ */
+export function getEditableField(item) {
+  const fields = TEXT_FIELDS[item?.type];
+  if (!fields) {
+    return null;
+  }
+  return fields.find(field => typeof item[field] === 'string') || fields[0];
+}
+
+/**
+ * Move item up or down
+ * @param {Array<import('../types.js').ContentItem>} content - Content items
+ * @param {number} index - Item index
+ * @param {number} offset - -1 to move up, 1 to move down
+ * @returns {Array<import('../types.js').ContentItem>} New content (same order if item cannot move)
+ */
+export function moveContentItem(content, index, offset) {
+  const target = index + offset;
+  if (index < 0 || index >= content.length || target < 0 || target >= content.length) {
+    return content.slice();
+  }
+  const moved = content.slice();
+  [moved[index], moved[target]] = [moved[target], moved[index]];
+  return moved;
+}
+
+/**
+ * Remove item
+ * @param {Array<import('../types.js').ContentItem>} content - Content items
+ * @param {number} index - Item index
+ * @returns {Array<import('../types.js').ContentItem>} New content
+ */
+export function removeContentItem(content, index) {
+  return content.filter((_, i) => i !== index);
+}
+
+/**
+ * Update item with changes
+ * Heading level is clamped to 1-6, text is written into item's editable field
+ * @param {Array<import('../types.js').ContentItem>} content - Content items
+ * @param {number} index - Item index
+ * @param {{level?: number, text?: string, caption?: string, excluded?: boolean}} changes - Changes
+ * @returns {Array<import('../types.js').ContentItem>} New content
+ */
+export function updateContentItem(content, index, changes) {
+  return content.map((item, i) => {
+    if (i !== index) {
+      return item;
+    }
+    const updated = { ...item };
+    if (changes.level !== undefined && item.type === 'heading') {
+      const level = Math.round(Number(changes.level));
+      updated.level = Number.isFinite(level) ? Math.min(6, Math.max(1, level)) : (item.level || 2);
+    }
+    if (changes.text !== undefined) {
+      const field = getEditableField(item);
+      if (field) {
+        updated[field] = changes.text;
+      }
+    }
+    if (changes.caption !== undefined && item.type === 'image') {
+      updated.caption = changes.caption;
+    }
+    if (changes.excluded !== undefined && item.type === 'image') {
+      updated.excluded = changes.excluded;
+    }
+    return updated;
+  });
+}
+
+/**
+ * Build content for generation from reviewed items
+ * Excluded images and items left without text are dropped, infobox markers without pair are dropped
+ * @param {Array<import('../types.js').ContentItem>} content - Reviewed content items
+ * @returns {Array<import('../types.js').ContentItem>} Content for translation and generation
+ */
+export function finalizeReviewedContent(content) {
+  const kept = [];
+  for (const item of content || []) {
+    if (!item || typeof item !== 'object' || typeof item.type !== 'string') {
+      continue;
+    }
+    if (item.type === 'image' && item.excluded) {
+      continue;
+    }
+    const field = getEditableField(item);
+    if (field && !String(item[field] || '').replace(/<[^>]*>/g, '').trim()) {
+      continue;
+    }
+    const { excluded, ...clean } = item;
+    kept.push(clean);
+  }
+
+  // Infobox markers must stay paired after deletions and moves
+  const result = [];
+  let openInfobox = -1;
+  for (const item of kept) {
+    if (item.type === 'infobox_start') {
+      if (openInfobox !== -1) {
+        result.splice(openInfobox, 1);
+      }
+      openInfobox = result.length;
+    } else if (item.type === 'infobox_end') {
+      if (openInfobox === -1) {
+        continue;
+      }
+      openInfobox = -1;
+    }
+    result.push(item);
+  }
+  if (openInfobox !== -1) {
+    result.splice(openInfobox, 1);
+  }
+  return result;
+}
@@ -5,7 +5,7 @@
 
 import { log, logError, logWarn, logDebug } from '../utils/logging.js';
 import { CONFIG } from '../utils/config.js';
-import { PROCESSING_STAGES, updateState } from '../state/processing.js';
+import { PROCESSING_STAGES, updateState, isCancelled } from '../state/processing.js';
 import { callAI, getProviderFromModel } from '../api/index.js';
 import { callWithRetry } from '../utils/retry.js';
 import { 
@@ -19,14 +19,18 @@ import { splitHtmlIntoChunks, deduplicateContent, trimHtmlForAnalysis } from '..
 import { cleanTitleFromServiceTokens } from '../utils/html.js';
 import { detectLanguageByCharacters } from '../translation/index.js';
 import { extractAutomaticallyInlined } from '../extraction/automatic.js';
+import { stitchPaginatedArticle, getPaginationMaxPages } from '../extraction/pagination.js';
+import { SELECTION_ROOT_SELECTOR, removeSelectionContainer } from '../extraction/selection.js';
 import { getUILanguage, tSync } from '../locales.js';
 import { checkCancellation, getUILanguageCached, updateProgress } from '../utils/pipeline-helpers.js';
 import { cleanAuthor } from '../utils/author-validator.js';
 import { 
   getCachedSelectors, 
+  getUserSelectors,
   cacheSelectors, 
   markCacheSuccess, 
-  invalidateCache
+  invalidateCache,
+  USER_SELECTOR_SOURCE
 } from '../cache/selectors.js';
 
 /**
@@ -191,7 +195,8 @@ export async function processWithoutAI(data) {
       target: { tabId: tabId },
       world: 'MAIN',
       func: extractAutomaticallyInlined,
-      args: [url, enableDebugInfo] // Pass enableDebugInfo flag
+      // Pass enableDebugInfo flag; saved selection is extracted from its container instead of main content
+      args: [url, enableDebugInfo, data.selectionOnly ? SELECTION_ROOT_SELECTOR : null]
     });
     
     log('=== processWithoutAI: Waiting for Promise.race ===', {
@@ -365,6 +370,10 @@ export async function processWithoutAI(data) {
     const uiLang = await getUILanguageCached();
     const errorMsg = scriptError instanceof Error ? scriptError.message : 'Unknown error';
     throw new Error(tSync('errorExtractionExecutionFailed', uiLang).replace('{error}', errorMsg));
+  } finally {
+    if (data.selectionOnly) {
+      await removeSelectionContainer(tabId);
+    }
   }
 
   log('=== processWithoutAI: Validating results ===', {
@@ -523,12 +532,32 @@ export async function processWithoutAI(data) {
     throw new Error(errorMsg);
   }
 
+  // Merge next pages of paginated article (rel=next, ?page=2) before translation and generation
+  let stitched = result;
+  try {
+    // Saved selection is never extended with next pages
+    const maxPages = data.selectionOnly ? 1 : await getPaginationMaxPages();
+    stitched = await stitchPaginatedArticle(result, {
+      tabId,
+      url,
+      maxPages,
+      checkCancellation: () => checkCancellation('next page extraction'),
+      onPage: (pageNumber) => updateProgress(PROCESSING_STAGES.EXTRACTING, 'statusLoadingNextPage', 10, { replacements: [String(pageNumber)] })
+    });
+  } catch (error) {
+    // Cancellation must stop processing, other failures keep first page only
+    if (isCancelled()) {
+      throw error;
+    }
+    logWarn('Multi-page stitching failed, using current page only', { error: error.message });
+  }
+
   // Detect language from content
   let detectedLanguage = 'en';
   try {
     // Extract text for language detection
     let text = '';
-    for (const item of result.content) {
+    for (const item of stitched.content) {
       if (item.text) {
         const textOnly = item.text.replace(/<[^>]+>/g, ' ').trim();
         text += textOnly + ' ';
@@ -564,14 +593,17 @@ export async function processWithoutAI(data) {
   // CRITICAL: Clean author to remove anonymous/invalid values
   const cleanedAuthor = cleanAuthor(result.author || '');
   
-  log(`✅ Automatic extraction complete: ${result.content?.length || 0} content items, language: ${detectedLanguage}`);
+  log(`✅ Automatic extraction complete: ${stitched.content?.length || 0} content items, language: ${detectedLanguage}`, {
+    pageCount: stitched.pageCount || 1
+  });
   
   return {
     title: result.title || title || 'Untitled',
     author: cleanedAuthor,
-    content: result.content,
+    content: stitched.content,
     publishDate: result.publishDate || '',
-    detectedLanguage: detectedLanguage
+    detectedLanguage: detectedLanguage,
+    ...(stitched.pageCount ? { pageCount: stitched.pageCount } : {})
   };
 }
 
@@ -920,9 +952,9 @@ async function processMultipleChunks(chunks, url, title, apiKey, model) {
 /**
  * Extract content using selectors (executes script in page context)
  * @param {number} tabId - Tab ID
- * @param {{title?: string, content?: string, author?: string, date?: string, [key: string]: string|undefined}} selectors - Selectors object from AI
+ * @param {import('../types.js').SelectorResult} selectors - Selectors from AI, cache or element picker
  * @param {string} baseUrl - Base URL for resolving relative links
- * @param {(selectors: Record<string, string|undefined>, baseUrl: string) => any} extractFromPageInlined - Inline extraction function (must be passed from background.js)
+ * @param {(selectors: import('../types.js').SelectorResult, baseUrl: string) => any} extractFromPageInlined - Inline extraction function (must be passed from background.js)
  * @returns {Promise<import('../types.js').InjectionResult>} Extracted content result
  */
 export async function extractContentWithSelectors(tabId, selectors, baseUrl, extractFromPageInlined) {
@@ -1242,19 +1274,20 @@ export async function processWithSelectorMode(data, extractFromPageInlined) {
   // Check cache first (if enabled)
   let selectors;
   let fromCache = false;
+  let fromUser = false;
   // Explicit check: use cache if explicitly true, or if undefined/null (default: true)
   // Only skip cache if explicitly false
   const useCache = data.useCache !== false; // true if undefined/null/true, false only if explicitly false
   
-  if (useCache) {
-    /** @type {import('../types.js').ExtendedCacheEntry|null} */
-    const cached = await getCachedSelectors(url);
-    if (cached) {
-      selectors = cached.selectors;
-      fromCache = true;
-      await updateProgress(PROCESSING_STAGES.ANALYZING, 'statusUsingCachedSelectors', 3);
-      log(`💾 Using cached selectors (${cached.successCount || 0} previous successes)`, { url });
-    }
+  // User-authored selectors (element picker) win over AI cache and are used even with cache disabled
+  /** @type {import('../types.js').ExtendedCacheEntry|null} */
+  const cached = useCache ? await getCachedSelectors(url) : await getUserSelectors(url);
+  if (cached) {
+    selectors = cached.selectors;
+    fromCache = true;
+    fromUser = cached.source === USER_SELECTOR_SOURCE;
+    await updateProgress(PROCESSING_STAGES.ANALYZING, fromUser ? 'statusUsingUserSelectors' : 'statusUsingCachedSelectors', 3);
+    log(`💾 Using ${fromUser ? 'user' : 'cached'} selectors (${cached.successCount || 0} previous successes)`, { url });
   }
   
   if (!fromCache) {
@@ -1264,10 +1297,10 @@ export async function processWithSelectorMode(data, extractFromPageInlined) {
     await updateProgress(PROCESSING_STAGES.ANALYZING, 'stageAnalyzing', 3);
     
     // Trim HTML for analysis
-    // DeepSeek and Qwen have smaller context windows, use 200k instead of 450k
+    // DeepSeek, Qwen and self-hosted models have smaller context windows, use 200k instead of 450k
     const provider = getProviderFromModel(model);
     const isQwen = provider === 'openrouter' && model && model.toLowerCase().includes('qwen');
-    const maxHtmlLength = (provider === 'deepseek' || isQwen) ? 200000 : CONFIG.MAX_HTML_FOR_ANALYSIS;
+    const maxHtmlLength = (provider === 'deepseek' || provider === 'custom' || isQwen) ? 200000 : CONFIG.MAX_HTML_FOR_ANALYSIS;
     
     log('Trimming HTML for analysis...', { provider, maxHtmlLength });
     const htmlForAnalysis = trimHtmlForAnalysis(html, maxHtmlLength);
@@ -1327,9 +1360,15 @@ export async function processWithSelectorMode(data, extractFromPageInlined) {
     }
     logError('Failed to extract content with selectors', error);
     const uiLang = await getUILanguage();
+    if (fromUser) throw new Error(tSync('errorUserSelectorsFailed', uiLang));
     throw new Error(tSync('errorContentExtractionFailed', uiLang).replace('{error}', error.message || 'unknown'));
   }
   
+  // User selectors are never invalidated (see invalidateCache), user is asked to pick content again
+  if (fromUser && !extractedContent?.content?.length) {
+    throw new Error(tSync('errorUserSelectorsFailed', await getUILanguage()));
+  }
+  
   if (!extractedContent || !extractedContent.content) {
     if (fromCache) await invalidateCache(url);
     const uiLang = await getUILanguage();
@@ -1404,3 +1443,48 @@ export async function processWithSelectorMode(data, extractFromPageInlined) {
   };
 }
 
+/**
+ * Process content with user-authored selectors (element picker) in automatic mode
+ * Page is extracted by selectors without AI, detection of main content is skipped
+ * @param {import('../types.js').ProcessingData} data - Processing data
+ * @param {import('../types.js').SelectorResult} selectors - User selectors
+ * @param {(selectors: Object, baseUrl: string) => any} extractFromPageInlined - Inline extraction function (must be passed from background.js)
+ * @returns {Promise<Object>} {title, author, content, publishDate}
+ * @throws {Error} If user selectors do not match page anymore
+ */
+export async function processWithUserSelectors(data, selectors, extractFromPageInlined) {
+  const { url, title, tabId } = data;
+  log('👆 User selectors: Starting content extraction', { url, selectors });
+  
+  await updateProgress(PROCESSING_STAGES.EXTRACTING, 'statusUsingUserSelectors', 5);
+  
+  let extractedContent;
+  try {
+    extractedContent = await extractContentWithSelectors(tabId, selectors, url, extractFromPageInlined);
+  } catch (error) {
+    logError('Failed to extract content with user selectors', error);
+    throw new Error(tSync('errorUserSelectorsFailed', await getUILanguage()));
+  }
+  
+  if (!extractedContent?.content?.length) {
+    logWarn('User selectors matched no content', { url, selectors });
+    throw new Error(tSync('errorUserSelectorsFailed', await getUILanguage()));
+  }
+  
+  try {
+    await markCacheSuccess(url);
+  } catch (error) {
+    logError('Failed to update cache (non-critical)', error);
+  }
+  
+  log(`✅ User selectors complete: ${extractedContent.content.length} content items extracted`, {
+    title: extractedContent.title || title
+  });
+  
+  return {
+    title: extractedContent.title || title,
+    author: cleanAuthor(extractedContent.author || ''),
+    content: extractedContent.content,
+    publishDate: extractedContent.publishDate || ''
+  };
+}
@@ -20,7 +20,7 @@ import { CONFIG } from '../utils/config.js';
  */
 export function getQuickSaveSettingsKeys() {
   return [
-    'openai_api_key', 'claude_api_key', 'gemini_api_key', 'grok_api_key', 'openrouter_api_key',
+    'openai_api_key', 'claude_api_key', 'gemini_api_key', 'grok_api_key', 'openrouter_api_key', 'deepseek_api_key', 'custom_api_key',
     'openai_model', 'api_provider', 'model_by_provider',
     'extraction_mode', 'use_selector_cache', 'output_format', 'generate_toc', 'generate_abstract', 'page_mode', 'pdf_language',
     'pdf_style_preset', 'pdf_font_family', 'pdf_font_size', 'pdf_bg_color', 'pdf_text_color',
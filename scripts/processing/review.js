@@ -0,0 +1,165 @@
+// @ts-check
+// Review step before translation and generation
+// Extracted content is opened on review page (review/review.html), pipeline waits until user
+// continues with edited content, cancels or closes the page
+
+import { log, logWarn } from '../utils/logging.js';
+import { isCancelled, cancelProcessing, getProcessingState, PROCESSING_STAGES } from '../state/processing.js';
+import { updateProgress, getUILanguageCached } from '../utils/processing/pipeline-helpers.js';
+import { tSync } from '../locales.js';
+import { finalizeReviewedContent, REVIEW_STORAGE_KEY } from './content-review.js';
+
+/**
+ * Setting that enables review step
+ * @readonly
+ */
+export const REVIEW_SETTING_KEY = 'review_before_generation';
+
+/**
+ * How often pipeline cancellation is checked while waiting for review (ms)
+ * @readonly
+ */
+const CANCEL_CHECK_INTERVAL = 1000;
+
+/**
+ * Reviews waiting for user, by review ID
+ * @type {Map<string, {resolve: function({title?: string, content: Array<import('../types.js').ContentItem>}|null): void, cancel: function(): Promise<void>}>}
+ */
+const pendingReviews = new Map();
+
+/**
+ * Check if review step is enabled
+ * @returns {Promise<boolean>}
+ */
+export async function isContentReviewEnabled() {
+  try {
+    const stored = await chrome.storage.local.get([REVIEW_SETTING_KEY]);
+    return stored[REVIEW_SETTING_KEY] === true;
+  } catch (error) {
+    logWarn('Failed to read review setting', error);
+    return false;
+  }
+}
+
+/**
+ * Open extracted content on review page and wait for user
+ * Cancel on review page and closing the page cancel processing like Cancel in popup
+ * @param {import('../types.js').ProcessingData} data - Processing data
+ * @param {import('../types.js').ExtractionResult} result - Extracted content
+ * @param {import('../types.js').StopKeepAliveFunction} stopKeepAlive - Function to stop keep-alive
+ * @returns {Promise<import('../types.js').ExtractionResult|null>} Result with reviewed title and content, null if processing was cancelled
+ */
+export async function requestContentReview(data, result, stopKeepAlive) {
+  const id = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
+  await chrome.storage.local.set({
+    [REVIEW_STORAGE_KEY]: {
+      id,
+      url: data.url || '',
+      title: result.title || '',
+      author: result.author || '',
+      outputFormat: data.outputFormat || 'pdf',
+      content: result.content || []
+    }
+  });
+
+  await updateProgress(PROCESSING_STAGES.REVIEWING, 'statusWaitingForReview', getProcessingState().progress || 40);
+
+  /** @type {ReturnType<typeof setInterval>|null} */
+  let cancelTimer = null;
+  /** @type {((tabId: number) => void)|null} */
+  let onTabRemoved = null;
+
+  try {
+    /** @type {{title?: string, content: Array<import('../types.js').ContentItem>}|null} */
+    const reviewed = await new Promise(resolve => {
+      const cancel = async () => {
+        await cancelProcessing(stopKeepAlive);
+        resolve(null);
+      };
+      pendingReviews.set(id, { resolve, cancel });
+
+      // Processing cancelled from popup while page is open
+      cancelTimer = setInterval(() => {
+        if (isCancelled() || !getProcessingState().isProcessing) {
+          log('Processing cancelled while waiting for review', { id });
+          resolve(null);
+        }
+      }, CANCEL_CHECK_INTERVAL);
+
+      chrome.tabs.create({ url: chrome.runtime.getURL(`review/review.html?id=${encodeURIComponent(id)}`) })
+        .then(tab => {
+          onTabRemoved = tabId => {
+            if (tabId === tab.id && pendingReviews.has(id)) {
+              log('Review page closed without decision', { id });
+              cancel();
+            }
+          };
+          chrome.tabs.onRemoved.addListener(onTabRemoved);
+        })
+        .catch(error => {
+          logWarn('Failed to open review page', error);
+          cancel();
+        });
+      log('Waiting for content review', { id, contentItems: result.content?.length || 0 });
+    });
+
+    if (!reviewed) {
+      return null;
+    }
+
+    const content = finalizeReviewedContent(reviewed.content);
+    log('Content review complete', {
+      id,
+      itemsBefore: result.content?.length || 0,
+      itemsAfter: content.length
+    });
+    return {
+      ...result,
+      title: reviewed.title?.trim() || result.title,
+      content
+    };
+  } finally {
+    pendingReviews.delete(id);
+    if (cancelTimer) {
+      clearInterval(cancelTimer);
+    }
+    if (onTabRemoved) {
+      chrome.tabs.onRemoved.removeListener(onTabRemoved);
+    }
+    await chrome.storage.local.remove(REVIEW_STORAGE_KEY);
+  }
+}
+
+/**
+ * Continue pipeline with reviewed content
+ * @param {string} id - Review ID
+ * @param {{title?: string, content: Array<import('../types.js').ContentItem>}} reviewed - Reviewed title and content
+ * @throws {Error} If review is no longer waiting (processing finished, cancelled or service worker restarted)
+ */
+export async function submitContentReview(id, reviewed) {
+  const pending = pendingReviews.get(id);
+  if (!pending) {
+    throw new Error(tSync('errorReviewExpired', await getUILanguageCached()));
+  }
+  if (!Array.isArray(reviewed?.content)) {
+    throw new Error('Reviewed content is required');
+  }
+  pendingReviews.delete(id);
+  pending.resolve(reviewed);
+}
+
+/**
+ * Cancel processing from review page
+ * @param {string} id - Review ID
+ * @returns {Promise<boolean>} False if review was no longer waiting
+ */
+export async function cancelContentReview(id) {
+  const pending = pendingReviews.get(id);
+  if (!pending) {
+    return false;
+  }
+  pendingReviews.delete(id);
+  await pending.cancel();
+  return true;
+}
@@ -0,0 +1,182 @@
+// @ts-check
+// Export of generated summary (popup "Summary" block) as document or audio
+// Summary markdown is converted to synthetic ExtractionResult and passed to DocumentGeneratorFactory,
+// so summary uses the same generators, styles and TTS settings as articles.
+
+import { escapeHtml } from '../utils/html.js';
+
+/**
+ * Formats summary can be exported to
+ * @readonly
+ */
+export const SUMMARY_EXPORT_FORMATS = ['pdf', 'epub', 'audio'];
+
+/**
+ * Storage keys of summary source, saved together with summary text
+ * @readonly
+ */
+export const SUMMARY_SOURCE_KEYS = {
+  URL: 'summary_url',
+  LANGUAGE: 'summary_language'
+};
+
+/**
+ * Convert inline markdown (bold, italic, code, links) to HTML
+ * Text is escaped first, so model output never becomes markup by itself.
+ * @param {string} text - Markdown line(s)
+ * @returns {string} HTML
+ */
+export function inlineMarkdownToHtml(text) {
+  return escapeHtml(text)
+    .replace(/`([^`\n]+)`/g, '<code>$1</code>')
+    .replace(/\[([^\]]+)\]\((https?:\/\/[^)\s]+)\)/g, '<a href="$2">$1</a>')
+    .replace(/\*\*(.+?)\*\*|__(.+?)__/g, (match, a, b) => `<strong>${a || b}</strong>`)
+    .replace(/(^|[^*\w])\*(?!\s)([^*]+?)\*(?!\w)/g, '$1<em>$2</em>')
+    .replace(/(^|[^_\w])_(?!\s)([^_]+?)_(?!\w)/g, '$1<em>$2</em>');
+}
+
+/**
+ * Remove inline markdown markers (for headings and titles)
+ * @param {string} text - Markdown text
+ * @returns {string} Plain text
+ */
+function stripInlineMarkdown(text) {
+  return text
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+    .replace(/\*\*(.+?)\*\*|__(.+?)__/g, (match, a, b) => a || b)
+    .replace(/[*`]/g, '')
+    .trim();
+}
+
+/**
+ * Convert summary markdown to content items
+ * Supports headings, paragraphs, bullet and numbered lists, quotes, code blocks and horizontal rules (dropped).
+ * @param {string} markdown - Summary markdown
+ * @returns {Array<import('../types.js').ContentItem>} Content items
+ */
+export function summaryToContent(markdown) {
+  /** @type {Array<import('../types.js').ContentItem>} */
+  const content = [];
+  /** @type {Array<string>} */
+  let paragraph = [];
+  /** @type {Array<string>} */
+  let quote = [];
+  /** @type {{type: string, ordered: boolean, items: Array<string>}|null} */
+  let list = null;
+  /** @type {Array<string>|null} */
+  let code = null;
+
+  const flush = () => {
+    if (paragraph.length > 0) {
+      content.push({ type: 'paragraph', text: inlineMarkdownToHtml(paragraph.join(' ')) });
+      paragraph = [];
+    }
+    if (quote.length > 0) {
+      content.push({ type: 'quote', text: inlineMarkdownToHtml(quote.join(' ')) });
+      quote = [];
+    }
+    if (list) {
+      content.push(list);
+      list = null;
+    }
+  };
+
+  for (const line of String(markdown || '').replace(/\r\n?/g, '\n').split('\n')) {
+    const trimmed = line.trim();
+
+    if (code) {
+      if (trimmed.startsWith('```')) {
+        content.push({ type: 'code', text: code.join('\n') });
+        code = null;
+      } else {
+        code.push(line);
+      }
+      continue;
+    }
+    if (trimmed.startsWith('```')) {
+      flush();
+      code = [];
+      continue;
+    }
+    if (!trimmed || /^([-*_]\s*){3,}$/.test(trimmed)) {
+      flush();
+      continue;
+    }
+
+    const heading = trimmed.match(/^(#{1,6})\s+(.+?)\s*#*$/);
+    if (heading) {
+      flush();
+      content.push({ type: 'heading', level: heading[1].length, text: escapeHtml(stripInlineMarkdown(heading[2])) });
+      continue;
+    }
+
+    const listItem = trimmed.match(/^(?:([-*+•])|(\d+)[.)])\s+(.+)$/);
+    if (listItem) {
+      const ordered = !listItem[1];
+      if (paragraph.length > 0 || quote.length > 0 || (list && list.ordered !== ordered)) {
+        flush();
+      }
+      list = list || { type: 'list', ordered, items: [] };
+      list.items.push(inlineMarkdownToHtml(listItem[3]));
+      continue;
+    }
+
+    const quoteLine = trimmed.match(/^>\s?(.*)$/);
+    if (quoteLine) {
+      if (paragraph.length > 0 || list) {
+        flush();
+      }
+      quote.push(quoteLine[1]);
+      continue;
+    }
+
+    // Indented continuation of list item
+    if (list && /^\s+/.test(line)) {
+      list.items[list.items.length - 1] += ` ${inlineMarkdownToHtml(trimmed)}`;
+      continue;
+    }
+
+    if (list || quote.length > 0) {
+      flush();
+    }
+    paragraph.push(trimmed);
+  }
+
+  if (code) {
+    content.push({ type: 'code', text: code.join('\n') });
+  }
+  flush();
+  return content;
+}
+
+/**
+ * Build synthetic extraction result from summary
+ * Leading top-level heading becomes title of document (it is not repeated in content).
+ * @param {string} summary - Summary markdown
+ * @param {{title?: string, language?: string}} [options] - Fallback title and summary language
+ * @returns {import('../types.js').ExtractionResult}
+ * @throws {Error} If summary has no content
+ */
+export function createSummaryExtractionResult(summary, options = {}) {
+  let markdown = String(summary || '').trim();
+  let title = options.title || '';
+
+  const heading = markdown.match(/^#\s+(.+?)\s*#*(?:\n|$)/);
+  if (heading) {
+    title = stripInlineMarkdown(heading[1]);
+    markdown = markdown.slice(heading[0].length);
+  }
+  const content = summaryToContent(markdown);
+  if (content.length === 0) {
+    throw new Error('Summary is empty');
+  }
+
+  const language = options.language && options.language !== 'auto' ? options.language : undefined;
+  return {
+    title: title || 'Summary',
+    author: '',
+    publishDate: '',
+    content,
+    ...(language ? { detectedLanguage: language } : {})
+  };
+}
@@ -22,19 +22,29 @@ const STORAGE_KEYS_TO_EXPORT = [
   'model_by_provider',
   'custom_models',
   'hidden_models',
+  'custom_api_base_url', // custom_api_allow_local is not exported: local network access must be enabled explicitly on each device
   'extraction_mode',
   'use_selector_cache',
   'enable_selector_caching',
   'enable_statistics',
+  'pagination_max_pages',
   'openai_instructions',
   
   // Output settings
   'output_format',
   'generate_toc',
   'generate_abstract',
+  'review_before_generation',
+  'markdown_front_matter',
+  'markdown_front_matter_template',
+  'markdown_images',
   'page_mode',
   'pdf_language',
   'translate_images',
+  'translation_bilingual',
+  'translation_glossary',
+  'translation_memory',
+  'translation_memory_fuzzy',
   
   // Audio settings
   'audio_provider',
@@ -53,6 +63,16 @@ const STORAGE_KEYS_TO_EXPORT = [
   'audio_voice',
   'audio_voice_map',
   'audio_speed',
+  'audio_m4b',
+  'audio_player',
+  'podcast_library',
+  'podcast_feed',
+  'audio_compression',
+  'audio_compression_bitrate',
+  'audio_narration',
+  'audio_narration_voices',
+  'audio_narration_pause',
+  'pronunciation_lexicon',
   
   // PDF style settings
   'pdf_style_preset',
@@ -76,11 +96,13 @@ const API_KEY_NAMES = [
   'grok_api_key',
   'openrouter_api_key',
   'deepseek_api_key',
+  'custom_api_key',
   'google_api_key',
   'elevenlabs_api_key',
   'qwen_api_key',
   'respeecher_api_key',
-  'google_tts_api_key'
+  'google_tts_api_key',
+  'podcast_publish_secret'
 ];
 
 /**
@@ -271,11 +293,15 @@ export async function importSettings(jsonData, options = {}) {
     
     // Valid enum values for validation
     const VALID_ENUMS = {
-      api_provider: ['openai', 'claude', 'gemini', 'grok', 'openrouter', 'deepseek'],
+      api_provider: ['openai', 'claude', 'gemini', 'grok', 'openrouter', 'deepseek', 'custom'],
       audio_provider: ['openai', 'elevenlabs', 'google', 'qwen', 'respeecher'],
       output_format: ['pdf', 'epub', 'fb2', 'markdown', 'audio'],
       extraction_mode: ['auto', 'manual'],
       page_mode: ['single', 'multi'],
+      markdown_images: ['none', 'remote', 'local'],
+      audio_compression: ['off', 'mp3', 'opus'],
+      audio_compression_bitrate: [32, 48, 64, 96, 128],
+      audio_narration_pause: ['off', 'pause', 'chime'],
       pdf_style_preset: ['light', 'dark', 'sepia', 'custom'],
       popup_theme: ['light', 'dark', 'auto']
     };
@@ -284,6 +310,7 @@ export async function importSettings(jsonData, options = {}) {
     const NUMERIC_RANGES = {
       audio_speed: { min: 0.25, max: 4.0 },
       pdf_font_size: { min: 8, max: 72 },
+      pagination_max_pages: { min: 1, max: 50 },
       elevenlabs_stability: { min: 0.0, max: 1.0 },
       elevenlabs_similarity: { min: 0.0, max: 1.0 },
       elevenlabs_style: { min: 0.0, max: 1.0 },
@@ -296,7 +323,15 @@ export async function importSettings(jsonData, options = {}) {
     const BOOLEAN_KEYS = [
       'generate_toc',
       'generate_abstract',
+      'review_before_generation',
+      'markdown_front_matter',
+      'audio_m4b',
+      'audio_player',
+      'podcast_library',
+      'audio_narration',
       'translate_images',
+      'translation_memory',
+      'translation_memory_fuzzy',
       'use_selector_cache',
       'enable_selector_caching',
       'enable_statistics',
@@ -308,7 +343,9 @@ export async function importSettings(jsonData, options = {}) {
       custom_models: 'object',
       hidden_models: 'object',
       model_by_provider: 'object',
-      audio_voice_map: 'object'
+      audio_voice_map: 'object',
+      audio_narration_voices: 'object',
+      podcast_feed: 'object'
     };
     
     for (const key of STORAGE_KEYS_TO_EXPORT) {
@@ -0,0 +1,79 @@
+// @ts-check
+// Storage for anthology chapters collected by the batch queue
+// Every queued article of a book is saved here after processing; the book is generated when all articles are done
+
+import { log, logWarn } from '../utils/logging.js';
+import { saveLargeData, getLargeData, removeLargeData } from '../utils/storage.js';
+import { ANTHOLOGY_FORMATS } from '../generation/anthology.js';
+
+export { ANTHOLOGY_FORMATS };
+
+/**
+ * Storage key prefix for saved chapters (suffix is queue job ID)
+ * @readonly
+ */
+export const ANTHOLOGY_CHAPTER_KEY_PREFIX = 'anthologyChapter_';
+
+/**
+ * Get storage key of chapter
+ * @param {string} jobId - Queue job ID
+ * @returns {string}
+ */
+function getChapterKey(jobId) {
+  return `${ANTHOLOGY_CHAPTER_KEY_PREFIX}${jobId}`;
+}
+
+/**
+ * Generate unique anthology ID for group of queued jobs
+ * @returns {string}
+ */
+export function generateAnthologyId() {
+  return `anthology_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
+}
+
+/**
+ * Save processed article of queue job as anthology chapter
+ * Uses large data storage because chapters may contain many content items
+ * @param {string} jobId - Queue job ID
+ * @param {import('../types.js').AnthologyChapter} chapter - Chapter
+ * @returns {Promise<void>}
+ */
+export async function saveAnthologyChapter(jobId, chapter) {
+  await saveLargeData(getChapterKey(jobId), chapter);
+  log('Anthology chapter saved', { jobId, title: chapter.title, contentItems: chapter.content?.length || 0 });
+}
+
+/**
+ * Load saved chapters in the order of job IDs (jobs without saved chapter are skipped)
+ * @param {Array<string>} jobIds - Queue job IDs in book order
+ * @returns {Promise<Array<import('../types.js').AnthologyChapter>>}
+ */
+export async function getAnthologyChapters(jobIds) {
+  const chapters = [];
+  for (const jobId of jobIds) {
+    try {
+      const chapter = await getLargeData(getChapterKey(jobId));
+      if (chapter && Array.isArray(chapter.content)) {
+        chapters.push(chapter);
+      }
+    } catch (error) {
+      logWarn('Failed to load anthology chapter', { jobId, error: error.message });
+    }
+  }
+  return chapters;
+}
+
+/**
+ * Remove saved chapters of queue jobs
+ * @param {Array<string>} jobIds - Queue job IDs
+ * @returns {Promise<void>}
+ */
+export async function removeAnthologyChapters(jobIds) {
+  for (const jobId of jobIds) {
+    try {
+      await removeLargeData(getChapterKey(jobId));
+    } catch (error) {
+      logWarn('Failed to remove anthology chapter', { jobId, error: error.message });
+    }
+  }
+}
@@ -46,6 +46,7 @@ export const PROCESSING_STAGES = {
   EXTRACTING: { id: 'extracting', label: 'Extracting content', order: 2 },
   EXTRACTING_SUBTITLES: { id: 'extracting_subtitles', label: 'Extracting subtitles', order: 2.5 },
   PROCESSING_SUBTITLES: { id: 'processing_subtitles', label: 'Processing subtitles', order: 2.6 },
+  REVIEWING: { id: 'reviewing', label: 'Waiting for review', order: 2.8 },
   TRANSLATING: { id: 'translating', label: 'Translating content', order: 3 },
   LOADING_IMAGES: { id: 'loading_images', label: 'Loading images', order: 4 },
   GENERATING: { id: 'generating', label: 'Generating document', order: 5 },
@@ -65,6 +66,11 @@ let processingState = {
   completedStages: []
 };
 
+// Batch queue job that owns processing until the queue runner finishes it (null if queue is idle)
+// Other starts are rejected, so a save started between queue polls is not credited to the queue job
+/** @type {string|null} */
+let queueJobLock = null;
+
 // Simple lock to prevent concurrent updates (JavaScript is single-threaded, but async operations can interleave)
 let isUpdatingState = false;
 
@@ -588,16 +594,37 @@ export async function setError(error, stopKeepAlive) {
   clearDecryptedKeyCache();
 }
 
+/**
+ * Reserve processing for running batch queue job
+ * @param {string|null} jobId - Queue job ID (null to release)
+ */
+export function setQueueJobLock(jobId) {
+  queueJobLock = jobId;
+}
+
+/**
+ * Get batch queue job that owns processing
+ * @returns {string|null} Queue job ID or null if queue is idle
+ */
+export function getQueueJobLock() {
+  return queueJobLock;
+}
+
 /**
  * Start processing
  * @param {import('../types.js').StartKeepAliveFunction} startKeepAlive - Function to start keep-alive
- * @returns {Promise<boolean>} True if started, false if already processing
+ * @param {string|null} [queueJobId=null] - Queue job ID if started by batch queue
+ * @returns {Promise<boolean>} True if started, false if already processing or queue job owns processing
  */
-export async function startProcessing(startKeepAlive) {
+export async function startProcessing(startKeepAlive, queueJobId = null) {
   if (processingState.isProcessing) {
     logWarn('Already processing, rejecting new request');
     return false;
   }
+  if (queueJobLock && queueJobId !== queueJobLock) {
+    logWarn('Batch queue job is running, rejecting new request', { queueJobId: queueJobLock });
+    return false;
+  }
   
   // Save previous result to storage before clearing (for summary generation)
   if (processingState.result) {
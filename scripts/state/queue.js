@@ -0,0 +1,304 @@
+// @ts-check
+// Persistent batch processing queue
+// Jobs are kept in memory and mirrored to chrome.storage.local so the queue survives service worker restarts
+
+/**
+ * @typedef {import('../types.js').QueueJob} QueueJob
+ * @typedef {import('../types.js').QueueJobInput} QueueJobInput
+ * @typedef {import('../types.js').QueueJobStatus} QueueJobStatus
+ * @typedef {import('../types.js').ExportFormat} ExportFormat
+ */
+
+import { log, logWarn } from '../utils/logging.js';
+import { CONFIG } from '../utils/config.js';
+
+/**
+ * Storage key for the persisted queue
+ * @readonly
+ */
+export const QUEUE_STORAGE_KEY = 'processingQueue';
+
+/**
+ * Job statuses (values of QueueJobStatus)
+ * @readonly
+ * @type {{PENDING: 'pending', RUNNING: 'running', DONE: 'done', ERROR: 'error', CANCELLED: 'cancelled'}}
+ */
+export const JOB_STATUS = {
+  PENDING: 'pending',
+  RUNNING: 'running',
+  DONE: 'done',
+  ERROR: 'error',
+  CANCELLED: 'cancelled'
+};
+
+/**
+ * Statuses of jobs that will not run again unless retried
+ * @type {Array<QueueJobStatus>}
+ */
+const FINISHED_STATUSES = [JOB_STATUS.DONE, JOB_STATUS.ERROR, JOB_STATUS.CANCELLED];
+
+/** @type {Array<QueueJob>} */
+let jobs = [];
+
+/**
+ * Persist queue to storage
+ * @returns {Promise<void>}
+ */
+async function saveQueue() {
+  try {
+    await chrome.storage.local.set({ [QUEUE_STORAGE_KEY]: jobs });
+  } catch (error) {
+    logWarn('Failed to save processing queue', error);
+  }
+}
+
+/**
+ * Generate unique job ID
+ * @returns {string}
+ */
+function generateJobId() {
+  return `job_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
+}
+
+/**
+ * Check if URL can be processed by queue (http/https pages only)
+ * @param {string} url - URL to check
+ * @returns {boolean}
+ */
+export function isQueueableUrl(url) {
+  if (!url || typeof url !== 'string') {
+    return false;
+  }
+  try {
+    const parsed = new URL(url);
+    return parsed.protocol === 'http:' || parsed.protocol === 'https:';
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Get copy of all jobs (oldest first)
+ * @returns {Array<QueueJob>}
+ */
+export function getQueue() {
+  return jobs.map(job => ({ ...job }));
+}
+
+/**
+ * Get copy of job by ID
+ * @param {string} jobId - Job ID
+ * @returns {QueueJob|null}
+ */
+export function getJob(jobId) {
+  const job = jobs.find(j => j.id === jobId);
+  return job ? { ...job } : null;
+}
+
+/**
+ * Get next job waiting to be processed
+ * @returns {QueueJob|null}
+ */
+export function getNextPendingJob() {
+  const job = jobs.find(j => j.status === JOB_STATUS.PENDING);
+  return job ? { ...job } : null;
+}
+
+/**
+ * Get copies of jobs that belong to anthology (in queue order)
+ * @param {string} anthologyId - Anthology ID
+ * @returns {Array<QueueJob>}
+ */
+export function getAnthologyJobs(anthologyId) {
+  return jobs.filter(j => j.anthologyId === anthologyId).map(job => ({ ...job }));
+}
+
+/**
+ * Add jobs to the end of the queue
+ * Invalid URLs and URLs already waiting with the same format (and book) are skipped
+ * @param {Array<QueueJobInput>} items - Pages to add
+ * @param {ExportFormat} outputFormat - Output format for all added jobs
+ * @param {string|null} [anthologyId=null] - Anthology ID if jobs are chapters of one book
+ * @returns {Promise<Array<QueueJob>>} Added jobs
+ */
+export async function enqueueJobs(items, outputFormat, anthologyId = null) {
+  /** @type {Array<QueueJob>} */
+  const added = [];
+
+  for (const item of items || []) {
+    if (jobs.length >= CONFIG.QUEUE_MAX_JOBS) {
+      logWarn('Processing queue is full, skipping remaining items', {
+        maxJobs: CONFIG.QUEUE_MAX_JOBS,
+        skipped: items.length - added.length
+      });
+      break;
+    }
+
+    const url = typeof item?.url === 'string' ? item.url.trim() : '';
+    if (!isQueueableUrl(url)) {
+      logWarn('Skipping non-queueable URL', { url });
+      continue;
+    }
+
+    const isDuplicate = jobs.some(j =>
+      j.url === url &&
+      j.outputFormat === outputFormat &&
+      (j.anthologyId || null) === anthologyId &&
+      (j.status === JOB_STATUS.PENDING || j.status === JOB_STATUS.RUNNING)
+    );
+    if (isDuplicate) {
+      continue;
+    }
+
+    /** @type {QueueJob} */
+    const job = {
+      id: generateJobId(),
+      url,
+      title: item.title || url,
+      tabId: typeof item.tabId === 'number' ? item.tabId : null,
+      outputFormat,
+      anthologyId,
+      status: JOB_STATUS.PENDING,
+      progress: 0,
+      statusText: '',
+      error: null,
+      attempts: 0,
+      createdAt: Date.now(),
+      startedAt: null,
+      finishedAt: null
+    };
+    jobs.push(job);
+    added.push(job);
+  }
+
+  if (added.length > 0) {
+    log('Jobs added to processing queue', { added: added.length, total: jobs.length, outputFormat, anthologyId });
+    await saveQueue();
+  }
+
+  return added.map(job => ({ ...job }));
+}
+
+/**
+ * Update job fields
+ * @param {string} jobId - Job ID
+ * @param {Partial<QueueJob>} updates - Fields to update
+ * @param {boolean} [persist=true] - Save queue to storage (progress updates are kept in memory only)
+ * @returns {Promise<QueueJob|null>} Updated job or null if not found
+ */
+export async function updateJob(jobId, updates, persist = true) {
+  const job = jobs.find(j => j.id === jobId);
+  if (!job) {
+    return null;
+  }
+  Object.assign(job, updates);
+  if (persist) {
+    await saveQueue();
+  }
+  return { ...job };
+}
+
+/**
+ * Cancel pending or running job
+ * Running job must additionally be stopped by the queue runner
+ * @param {string} jobId - Job ID
+ * @returns {Promise<QueueJob|null>} Cancelled job or null if job cannot be cancelled
+ */
+export async function cancelJob(jobId) {
+  const job = jobs.find(j => j.id === jobId);
+  if (!job || (job.status !== JOB_STATUS.PENDING && job.status !== JOB_STATUS.RUNNING)) {
+    return null;
+  }
+  return updateJob(jobId, { status: JOB_STATUS.CANCELLED, finishedAt: Date.now() });
+}
+
+/**
+ * Put failed or cancelled job back to pending
+ * @param {string} jobId - Job ID
+ * @returns {Promise<QueueJob|null>} Job or null if job cannot be retried
+ */
+export async function retryJob(jobId) {
+  const job = jobs.find(j => j.id === jobId);
+  if (!job || (job.status !== JOB_STATUS.ERROR && job.status !== JOB_STATUS.CANCELLED)) {
+    return null;
+  }
+  return updateJob(jobId, {
+    status: JOB_STATUS.PENDING,
+    progress: 0,
+    statusText: '',
+    error: null,
+    startedAt: null,
+    finishedAt: null
+  });
+}
+
+/**
+ * Remove job from queue (running job cannot be removed, cancel it first)
+ * @param {string} jobId - Job ID
+ * @returns {Promise<boolean>} True if removed
+ */
+export async function removeJob(jobId) {
+  const index = jobs.findIndex(j => j.id === jobId);
+  if (index === -1 || jobs[index].status === JOB_STATUS.RUNNING) {
+    return false;
+  }
+  jobs.splice(index, 1);
+  await saveQueue();
+  return true;
+}
+
+/**
+ * Remove all finished jobs (done, failed, cancelled)
+ * @returns {Promise<number>} Number of removed jobs
+ */
+export async function clearFinishedJobs() {
+  const before = jobs.length;
+  jobs = jobs.filter(j => !FINISHED_STATUSES.includes(j.status));
+  const removed = before - jobs.length;
+  if (removed > 0) {
+    await saveQueue();
+  }
+  return removed;
+}
+
+/**
+ * Restore queue from storage on service worker restart
+ * Jobs that were running when the worker stopped are put back to pending
+ * @returns {Promise<number>} Number of interrupted jobs that were reset to pending
+ */
+export async function restoreQueueFromStorage() {
+  try {
+    const result = await chrome.storage.local.get([QUEUE_STORAGE_KEY]);
+    const saved = result[QUEUE_STORAGE_KEY];
+
+    if (!Array.isArray(saved)) {
+      jobs = [];
+      return 0;
+    }
+
+    let interrupted = 0;
+    jobs = saved
+      .filter(job => job && typeof job === 'object' && typeof job.id === 'string' && isQueueableUrl(job.url))
+      .map(job => {
+        if (job.status === JOB_STATUS.RUNNING) {
+          interrupted++;
+          return { ...job, status: JOB_STATUS.PENDING, progress: 0, statusText: '' };
+        }
+        return { ...job };
+      });
+
+    if (interrupted > 0) {
+      await saveQueue();
+    }
+
+    log('Processing queue restored', {
+      total: jobs.length,
+      pending: jobs.filter(j => j.status === JOB_STATUS.PENDING).length,
+      interrupted
+    });
+    return interrupted;
+  } catch (error) {
+    logWarn('Error in restoreQueueFromStorage', error);
+    return 0;
+  }
+}
@@ -0,0 +1,44 @@
+// @ts-check
+// Bilingual export of translated articles
+// translateContent keeps source text of translated items (item.original, item.originalItems),
+// generators render every heading, paragraph, quote and list item together with its original.
+
+import { logWarn } from '../utils/logging.js';
+
+/**
+ * Setting of bilingual output: 'off', 'interleaved' (original after each translated block)
+ * or 'columns' (original and translation side by side in PDF, interleaved in other formats)
+ * @readonly
+ */
+export const BILINGUAL_SETTING_KEY = 'translation_bilingual';
+
+/**
+ * @readonly
+ */
+export const BILINGUAL_MODES = ['off', 'interleaved', 'columns'];
+
+/**
+ * Get bilingual output mode
+ * @returns {Promise<string>} Mode from BILINGUAL_MODES
+ */
+export async function getBilingualMode() {
+  try {
+    const settings = await chrome.storage.local.get([BILINGUAL_SETTING_KEY]);
+    const mode = settings[BILINGUAL_SETTING_KEY];
+    return typeof mode === 'string' && BILINGUAL_MODES.includes(mode) ? mode : 'off';
+  } catch (error) {
+    logWarn('Failed to read bilingual output setting', error);
+    return 'off';
+  }
+}
+
+/**
+ * Get original of list item
+ * @param {import('../types.js').ContentItem} item - List item
+ * @param {number} index - Item index
+ * @returns {string} Original HTML or text, empty if item was not translated
+ */
+export function getOriginalListItem(item, index) {
+  const original = item.originalItems?.[index];
+  return typeof original === 'string' ? original : '';
+}
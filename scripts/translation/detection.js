@@ -8,12 +8,13 @@ import { getProviderFromModel, parseModelConfig } from '../api/index.js';
 import { getDecryptedKeyCached } from '../utils/encryption.js';
 import { stripHtml } from '../utils/html.js';
 import { handleError } from '../utils/error-handler.js';
+import { LANGUAGES } from '../utils/languages.js';
 
 /**
  * Detect source language from content
  * Uses improved character-based detection that supports multiple languages
  * @param {Array} content - Content array
- * @returns {string} Language code (en, ru, ua, de, fr, es, it, pt, zh, ja, ko, ar, or 'unknown' if no text)
+ * @returns {string} Language code (registered in LANGUAGES, or 'unknown' if no text)
  */
 export function detectSourceLanguage(content) {
   log('=== detectSourceLanguage: ENTRY ===', {
@@ -83,7 +84,7 @@ export function detectSourceLanguage(content) {
 
 /**
  * Detect language from text using character analysis (offline fallback)
- * Supports: en, ru, ua, de, fr, es, it, pt, zh, ja, ko, ar
+ * Supports: en, ru, ua, de, fr, es, it, pt, pl, nl, tr, vi, id, zh, ja, ko, ar, he, hi
  * @param {string} text - Text to analyze
  * @returns {string} Language code (defaults to 'en' if uncertain)
  */
@@ -116,9 +117,12 @@ export function detectLanguageByCharacters(text) {
   const japaneseMatch = text.match(/[\u3040-\u309f\u30a0-\u30ff]/g) || [];
   const koreanMatch = text.match(/[\uac00-\ud7af]/g) || [];
   const arabicMatch = text.match(/[\u0600-\u06ff]/g) || [];
+  const hebrewMatch = text.match(/[\u0590-\u05ff]/g) || [];
+  const devanagariMatch = text.match(/[\u0900-\u097f]/g) || [];
   
   const totalLetters = cyrillicMatch.length + latinMatch.length + chineseMatch.length + 
-                       japaneseMatch.length + koreanMatch.length + arabicMatch.length;
+                       japaneseMatch.length + koreanMatch.length + arabicMatch.length +
+                       hebrewMatch.length + devanagariMatch.length;
   
   log('=== detectLanguageByCharacters: CHARACTER COUNTS ===', {
     cyrillicCount: cyrillicMatch.length,
@@ -128,6 +132,8 @@ export function detectLanguageByCharacters(text) {
     japaneseCount: japaneseMatch.length,
     koreanCount: koreanMatch.length,
     arabicCount: arabicMatch.length,
+    hebrewCount: hebrewMatch.length,
+    devanagariCount: devanagariMatch.length,
     totalLetters,
     timestamp: Date.now()
   });
@@ -141,7 +147,7 @@ export function detectLanguageByCharacters(text) {
     return 'en';
   }
   
-  // Check for specific scripts (CJK, Arabic) - these have unique character sets
+  // Check for specific scripts (CJK, Arabic, Hebrew, Devanagari) - these have unique character sets
   if (chineseMatch.length > totalLetters * 0.3) {
     log('🌍 LANGUAGE DETECTION: Chinese script detected', { 
       detectedLanguage: 'zh', 
@@ -174,6 +180,22 @@ export function detectLanguageByCharacters(text) {
     });
     return 'ar';
   }
+  if (hebrewMatch.length > totalLetters * 0.3) {
+    log('🌍 LANGUAGE DETECTION: Hebrew script detected', { 
+      detectedLanguage: 'he', 
+      reason: 'hebrew script detected',
+      hebrewRatio: (hebrewMatch.length / totalLetters).toFixed(2)
+    });
+    return 'he';
+  }
+  if (devanagariMatch.length > totalLetters * 0.3) {
+    log('🌍 LANGUAGE DETECTION: Devanagari script detected', { 
+      detectedLanguage: 'hi', 
+      reason: 'devanagari script detected',
+      devanagariRatio: (devanagariMatch.length / totalLetters).toFixed(2)
+    });
+    return 'hi';
+  }
   
   // Cyrillic vs Latin
   const cyrillicRatio = cyrillicMatch.length / totalLetters;
@@ -200,12 +222,19 @@ export function detectLanguageByCharacters(text) {
   // For Latin-based languages, use word pattern matching
   // IMPORTANT: Use specific patterns to avoid false positives
   // Single-letter words like "a", "o", "e" are too common across languages
+  // \b does not see word boundary next to non-ASCII letters (się, của), newer patterns use Unicode letter lookarounds
+  const wordPattern = (/** @type {string} */ words) => new RegExp(`(?<![\\p{L}\\p{M}])(?:${words})(?![\\p{L}\\p{M}])`, 'giu');
   const patterns = {
     'de': /\b(der|die|das|und|ist|sind|haben|sein|werden|können|mit|für|von|auf|zu|nicht|auch|wenn|oder|aber|dass|kann|wird|sich|nur|noch|nach|über|vor|durch|bei|gegen|ohne|während|seit|bis|innerhalb|außerhalb|wegen|trotz|statt|anstatt)\b/gi,
     'fr': /\b(le|la|les|et|est|sont|avoir|être|peuvent|dans|pour|avec|sans|sur|sous|par|de|du|des|une|un|ce|que|qui|dont|où|mais|ou|car|donc|alors|puis|ensuite|toujours|jamais|souvent|parfois|maintenant|hier|aujourd\'hui|demain|ici|là|où|comment|pourquoi|combien|quel|quelle|quels|quelles)\b/gi,
     'es': /\b(el|la|los|las|y|es|son|tener|ser|estar|pueden|con|por|para|de|del|en|sobre|bajo|entre|desde|hasta|durante|mediante|según|contra|sin|ante|tras|mientras|aunque|pero|o|ni|sino|también|tampoco|así|entonces|ahora|aquí|allí|allá|dónde|cuándo|cómo|por qué|cuánto|cuánta|cuántos|cuántas|qué|quién|quiénes)\b/gi,
     'it': /\b(il|la|lo|gli|le|e|è|sono|avere|essere|possono|con|per|di|del|della|dei|delle|in|su|sotto|sopra|tra|fra|da|dal|dalla|dai|dalle|verso|durante|mentre|prima|dopo|quando|dove|come|perché|perchè|quanto|quanta|quanti|quante|che|chi|cosa|ma|o|anche|pure|ancora|già|sempre|mai|spesso|raramente|oggi|ieri|domani|qui|qua|là|dove)\b/gi,
     'pt': /\b(o|a|os|as|e|é|são|ter|ser|estar|podem|com|para|de|do|da|dos|das|em|no|na|nos|nas|sobre|sob|entre|até|durante|mediante|segundo|contra|sem|ante|após|atrás|enquanto|embora|mas|ou|nem|também|ainda|já|sempre|nunca|muitas vezes|raramente|hoje|ontem|amanhã|aqui|ali|aí|onde|quando|como|por quê|porque|quanto|quanta|quantos|quantas|que|quem|o que|qual|quais)\b/gi,
+    'pl': wordPattern('się|nie|jest|są|oraz|że|który|która|które|jak|ale|przez|dla|też|tylko|może|będzie|był|była|było|jego|jej|ich|tym|tego|także|gdy|już|bardzo|można|między|według|podczas|bez|przed'),
+    'nl': wordPattern('het|een|van|niet|zijn|voor|maar|ook|worden|wordt|deze|naar|bij|heeft|hebben|nog|geen|dit|uit|meer|omdat|tussen|tegen|zonder|waar|wanneer|waarom|kunnen|zullen'),
+    'tr': wordPattern('ve|bir|bu|için|ile|olarak|daha|çok|olan|gibi|ancak|kadar|sonra|değil|veya|şey|olduğu|ise|ayrıca|böyle|şu|çünkü|ya da|göre|arasında'),
+    'vi': wordPattern('của|và|là|các|những|được|trong|cho|không|với|này|một|có|người|đã|khi|để|từ|cũng|như|về|nhưng|nhiều|sẽ|rất|đến'),
+    'id': wordPattern('yang|dan|ini|itu|dengan|untuk|dari|dalam|tidak|akan|pada|juga|karena|bisa|ada|oleh|mereka|kami|kita|sudah|belum|atau|tetapi|seperti|lebih|saat|adalah|telah'),
     'en': /\b(the|and|is|are|have|has|been|will|would|could|should|this|that|with|from|for|about|into|through|during|including|against|among|throughout|despite|towards|upon|concerning|to|of|in|on|at|by|as|but|or|if|when|where|how|why|what|which|who|whom|whose|while|although|because|since|until|unless|before|after|above|below|between|among|within|without|across|around|behind|beside|beyond|inside|outside|under|over|near|far|here|there|now|then|always|never|often|sometimes|usually|today|yesterday|tomorrow)\b/gi
   };
   
@@ -253,7 +282,7 @@ export function detectLanguageByCharacters(text) {
 
 /**
  * Detect content language using AI (primary), character analysis (fallback for offline)
- * Supports: en, ru, ua, de, fr, es, it, pt, zh, ja, ko, ar
+ * Supports languages of LANGUAGES registry and other ISO 639-1 codes (AI detection)
  * @param {Array} content - Content array
  * @param {string} apiKey - API key
  * @param {string} model - Model name
@@ -330,6 +359,10 @@ export async function detectContentLanguage(content, apiKey, model) {
     log('API key decryption failed for detectContentLanguage, using as-is', error);
   }
   
+  const supportedCodes = Object.values(LANGUAGES)
+    .map(language => `- ${language.code} = ${language.name}${language.nativeName !== language.name ? ` (${language.nativeName})` : ''}`)
+    .join('\n');
+  
   const systemPrompt = `You are a language detection agent. Your task is to identify the language of the provided text.
 
 INSTRUCTIONS:
@@ -339,21 +372,9 @@ INSTRUCTIONS:
 4. Return ONLY the ISO 639-1 two-letter language code
 
 SUPPORTED CODES:
-- ru = Russian (русский)
-- ua = Ukrainian (українська)  
-- en = English
-- de = German (Deutsch)
-- fr = French (français)
-- es = Spanish (español)
-- it = Italian (italiano)
-- pt = Portuguese (português)
-- zh = Chinese (中文)
-- ja = Japanese (日本語)
-- ko = Korean (한국어)
-- ar = Arabic (العربية)
-- pl = Polish (polski)
-- nl = Dutch (Nederlands)
-- tr = Turkish (Türkçe)
+${supportedCodes}
+
+For other languages return their ISO 639-1 code.
 
 OUTPUT FORMAT: Return ONLY the 2-letter code, nothing else. No quotes, no explanation.
 
@@ -8,7 +8,7 @@
  */
 
 import { log, logError, logWarn } from '../utils/logging.js';
-import { LANGUAGE_NAMES } from '../utils/config.js';
+import { getLanguageName } from '../utils/languages.js';
 import { callAI } from '../api/index.js';
 import { stripHtml } from '../utils/html.js';
 import { tSync, getUILanguage } from '../locales.js';
@@ -126,7 +126,7 @@ export async function generateAbstract(content, title, apiKey, model, language =
     // Let AI detect language and write abstract in the same language as the article
     langInstruction = 'Write the abstract in the SAME LANGUAGE as the article content (detect automatically)';
   } else {
-    const targetLang = LANGUAGE_NAMES[language] || 'English';
+    const targetLang = getLanguageName(language);
     langInstruction = `Write in ${targetLang}`;
   }
 
@@ -270,7 +270,7 @@ export async function generateSummary(data) {
   }
   
   // Get language name from code
-  const langName = LANGUAGE_NAMES[targetLang] || targetLang;
+  const langName = getLanguageName(targetLang);
   
   log('Summary target language', { targetLang, langName });
   
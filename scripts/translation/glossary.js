@@ -0,0 +1,532 @@
+// @ts-check
+// Translation glossary
+// User terms are injected into every translation prompt, so product names, API identifiers and domain terms
+// are translated the same way in all chunks and articles. Glossary is plain text, one term per line:
+//   React => !keep                   do not translate
+//   pull request => пул-реквест      forced translation for any language pair
+//   [en>de] deployment => Deployment only when translating from English to German
+//   [ru] commit => коммит            only when translating to Russian (same as [*>ru])
+//   # comment
+// CSV (term, translation, source language, target language) and TBX files are converted to the same lines.
+
+import { escapeRegExp, escapeXml } from '../utils/escape.js';
+import { log, logWarn } from '../utils/logging.js';
+
+/**
+ * Setting with glossary text
+ * @readonly
+ */
+export const GLOSSARY_SETTING_KEY = 'translation_glossary';
+
+/**
+ * Storage key of last glossary check (GlossaryReport)
+ * @readonly
+ */
+export const GLOSSARY_REPORT_STORAGE_KEY = 'translation_glossary_report';
+
+/**
+ * Glossary goes into every prompt, entries count is limited to keep prompts short
+ * @readonly
+ */
+export const MAX_GLOSSARY_ENTRIES = 1000;
+
+const KEEP_MARKER = '!keep';
+const ANY_LANGUAGE = '*';
+/** TBX has no wildcard language, "undetermined" code is used instead */
+const TBX_ANY_LANGUAGE = 'und';
+
+/**
+ * @typedef {Object} GlossaryEntry
+ * @property {string} term - Source term
+ * @property {string|null} translation - Forced translation, null if term is kept as is
+ * @property {string} source - Source language code or '*'
+ * @property {string} target - Target language code or '*'
+ * @property {number} line - Line number in glossary (1-based)
+ */
+
+/**
+ * @typedef {Object} GlossaryViolation
+ * @property {string} term - Source term
+ * @property {string} expected - Text expected in translation
+ * @property {number} count - Translated blocks without expected text
+ */
+
+/**
+ * @typedef {Object} GlossaryReport
+ * @property {string} title - Title of last translated article
+ * @property {string} date - Check time (ISO)
+ * @property {Array<GlossaryViolation>} violations - Violated terms
+ */
+
+/**
+ * Build whole-word, case-insensitive pattern of term
+ * @param {string} term - Term
+ * @returns {RegExp}
+ */
+function buildTermPattern(term) {
+  return new RegExp(`(?<![\\p{L}\\p{N}_])${escapeRegExp(term)}(?![\\p{L}\\p{N}_])`, 'iu');
+}
+
+/**
+ * Remove HTML tags, so terms in link URLs and attributes are not counted
+ * @param {string} text - Text or HTML
+ * @returns {string}
+ */
+function toPlainText(text) {
+  return String(text || '').replace(/<[^>]+>/g, ' ');
+}
+
+/**
+ * Normalize language code of glossary
+ * @param {string} [code] - Language code, '*' or empty
+ * @returns {string} Lowercase code or '*'
+ */
+function normalizeLanguage(code) {
+  const value = String(code || '').trim().toLowerCase();
+  return !value || value === TBX_ANY_LANGUAGE ? ANY_LANGUAGE : value;
+}
+
+/**
+ * Parse glossary text
+ * Invalid lines are reported and skipped, so one typo does not disable whole glossary
+ * @param {string} text - Glossary text
+ * @returns {{entries: Array<GlossaryEntry>, errors: Array<{line: number, message: string}>}} Entries and errors
+ */
+export function parseGlossary(text) {
+  /** @type {Array<GlossaryEntry>} */
+  const entries = [];
+  /** @type {Array<{line: number, message: string}>} */
+  const errors = [];
+  const seen = new Set();
+
+  String(text || '').split(/\r?\n/).forEach((rawLine, index) => {
+    const line = index + 1;
+    let rest = rawLine.trim();
+    if (!rest || rest.startsWith('#')) {
+      return;
+    }
+    if (entries.length >= MAX_GLOSSARY_ENTRIES) {
+      errors.push({ line, message: `Too many terms (max ${MAX_GLOSSARY_ENTRIES})` });
+      return;
+    }
+
+    let source = ANY_LANGUAGE;
+    let target = ANY_LANGUAGE;
+    const pairMatch = /^\[\s*(?:([a-z*-]+)\s*>\s*)?([a-z*-]+)\s*\]\s*/i.exec(rest);
+    if (pairMatch) {
+      source = normalizeLanguage(pairMatch[1]);
+      target = normalizeLanguage(pairMatch[2]);
+      rest = rest.slice(pairMatch[0].length);
+    }
+
+    const separator = rest.indexOf('=>');
+    if (separator === -1) {
+      errors.push({ line, message: 'Missing "=>"' });
+      return;
+    }
+    const term = rest.slice(0, separator).trim();
+    const value = rest.slice(separator + 2).trim();
+    if (!term) {
+      errors.push({ line, message: 'Empty term' });
+      return;
+    }
+    if (!value) {
+      errors.push({ line, message: `Empty translation (use ${KEEP_MARKER} to keep term)` });
+      return;
+    }
+
+    const key = `${source}>${target}:${term.toLowerCase()}`;
+    if (seen.has(key)) {
+      errors.push({ line, message: `Duplicate term "${term}"` });
+      return;
+    }
+    seen.add(key);
+
+    // Translation equal to term is the same as "do not translate"
+    const translation = value === KEEP_MARKER || value === term ? null : value;
+    entries.push({ term, translation, source, target, line });
+  });
+
+  return { entries, errors };
+}
+
+/**
+ * Format entry as glossary line
+ * @param {{term: string, translation: string|null, source?: string, target?: string}} entry - Entry
+ * @returns {string} Glossary line
+ */
+export function formatGlossaryEntry(entry) {
+  const source = normalizeLanguage(entry.source);
+  const target = normalizeLanguage(entry.target);
+  let prefix = '';
+  if (source !== ANY_LANGUAGE) {
+    prefix = `[${source}>${target}] `;
+  } else if (target !== ANY_LANGUAGE) {
+    prefix = `[${target}] `;
+  }
+  return `${prefix}${entry.term} => ${entry.translation || KEEP_MARKER}`;
+}
+
+/**
+ * Read and parse glossary setting
+ * @returns {Promise<Array<GlossaryEntry>>} Valid entries
+ */
+export async function getGlossaryEntries() {
+  try {
+    const settings = await chrome.storage.local.get([GLOSSARY_SETTING_KEY]);
+    const glossary = settings[GLOSSARY_SETTING_KEY];
+    const { entries, errors } = parseGlossary(typeof glossary === 'string' ? glossary : '');
+    if (errors.length > 0) {
+      logWarn('Translation glossary has invalid lines, skipping them', { errors });
+    }
+    return entries;
+  } catch (error) {
+    logWarn('Failed to read translation glossary', error);
+    return [];
+  }
+}
+
+/**
+ * Select entries of language pair
+ * Entries of exact pair override entries with '*' for the same term.
+ * @param {Array<GlossaryEntry>} entries - All entries
+ * @param {string} sourceLang - Article language code ('unknown' or empty if not detected)
+ * @param {string} targetLang - Target language code
+ * @returns {Array<GlossaryEntry>} Entries of pair
+ */
+export function selectGlossaryEntries(entries, sourceLang, targetLang) {
+  const source = normalizeLanguage(sourceLang === 'unknown' ? '' : sourceLang);
+  const target = normalizeLanguage(targetLang);
+  /** @type {Map<string, {entry: GlossaryEntry, rank: number}>} */
+  const selected = new Map();
+
+  for (const entry of entries) {
+    if (entry.target !== ANY_LANGUAGE && entry.target !== target) continue;
+    // Source-specific entries apply to any article whose language was not detected
+    if (entry.source !== ANY_LANGUAGE && source !== ANY_LANGUAGE && entry.source !== source) continue;
+
+    const rank = (entry.source !== ANY_LANGUAGE ? 2 : 0) + (entry.target !== ANY_LANGUAGE ? 1 : 0);
+    const key = entry.term.toLowerCase();
+    const current = selected.get(key);
+    if (!current || rank > current.rank) {
+      selected.set(key, { entry, rank });
+    }
+  }
+
+  return [...selected.values()].map(({ entry }) => entry);
+}
+
+/**
+ * Keep entries whose term occurs in texts
+ * @param {Array<GlossaryEntry>} entries - Entries
+ * @param {Array<string>} texts - Texts or HTML
+ * @returns {Array<GlossaryEntry>} Entries used in texts
+ */
+export function filterGlossaryForTexts(entries, texts) {
+  if (!entries || entries.length === 0) return [];
+  const plain = texts.map(toPlainText).join('\n');
+  return entries.filter(entry => buildTermPattern(entry.term).test(plain));
+}
+
+/**
+ * Build glossary rules for translation prompt
+ * @param {Array<GlossaryEntry>} [entries] - Entries used in texts
+ * @returns {string} Prompt section, empty if there are no entries
+ */
+export function buildGlossaryPrompt(entries) {
+  if (!entries || entries.length === 0) return '';
+  const kept = entries.filter(entry => entry.translation === null);
+  const forced = entries.filter(entry => entry.translation !== null);
+
+  const lines = ['', '', 'Glossary (mandatory, overrides other rules):'];
+  if (kept.length > 0) {
+    lines.push(`- Do NOT translate these terms, keep them exactly as written: ${kept.map(entry => JSON.stringify(entry.term)).join(', ')}`);
+  }
+  if (forced.length > 0) {
+    lines.push('- Always translate these terms exactly as given (inflect only if grammar requires):');
+    for (const entry of forced) {
+      lines.push(`  ${JSON.stringify(entry.term)} -> ${JSON.stringify(entry.translation)}`);
+    }
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Check that translations respect glossary
+ * Blocks returned untranslated are skipped. Forced translations are matched as case-insensitive substring,
+ * so inflected forms with the same stem pass.
+ * @param {Array<string>} sources - Source texts
+ * @param {Array<string>} translations - Translated texts (same order)
+ * @param {Array<GlossaryEntry>} entries - Entries used in prompt
+ * @returns {Array<GlossaryViolation>} Violated terms
+ */
+export function findGlossaryViolations(sources, translations, entries) {
+  /** @type {Array<GlossaryViolation>} */
+  const violations = [];
+  if (!entries || entries.length === 0) return violations;
+
+  for (const entry of entries) {
+    const pattern = buildTermPattern(entry.term);
+    const expected = entry.translation ?? entry.term;
+    let count = 0;
+    sources.forEach((source, index) => {
+      const translation = translations[index];
+      if (!translation || translation === source || !pattern.test(toPlainText(source))) return;
+      if (!toPlainText(translation).toLowerCase().includes(expected.toLowerCase())) {
+        count++;
+      }
+    });
+    if (count > 0) {
+      violations.push({ term: entry.term, expected, count });
+    }
+  }
+  return violations;
+}
+
+/**
+ * Merge violations of chunks
+ * @param {Array<GlossaryViolation>} total - Accumulated violations (changed in place)
+ * @param {Array<GlossaryViolation>} violations - Violations of chunk
+ * @returns {Array<GlossaryViolation>} Accumulated violations
+ */
+export function mergeGlossaryViolations(total, violations) {
+  for (const violation of violations) {
+    const existing = total.find(item => item.term === violation.term && item.expected === violation.expected);
+    if (existing) {
+      existing.count += violation.count;
+    } else {
+      total.push({ ...violation });
+    }
+  }
+  return total;
+}
+
+/**
+ * Save result of glossary check of last translated article
+ * @param {string} title - Article title
+ * @param {Array<GlossaryViolation>} violations - Violated terms
+ * @returns {Promise<void>}
+ */
+export async function saveGlossaryReport(title, violations) {
+  if (violations.length > 0) {
+    logWarn('Translation did not respect glossary', { title, violations });
+  } else {
+    log('Translation respected glossary', { title });
+  }
+  try {
+    /** @type {GlossaryReport} */
+    const report = { title, date: new Date().toISOString(), violations };
+    await chrome.storage.local.set({ [GLOSSARY_REPORT_STORAGE_KEY]: report });
+  } catch (error) {
+    logWarn('Failed to save glossary report', error);
+  }
+}
+
+/**
+ * Append imported lines that are not in glossary yet
+ * @param {string} text - Current glossary text
+ * @param {Array<string>} lines - Imported glossary lines
+ * @returns {{text: string, added: number}} New glossary text and number of added terms
+ */
+export function mergeGlossaryLines(text, lines) {
+  const current = String(text || '').trim();
+  const keys = new Set(parseGlossary(current).entries
+    .map(entry => `${entry.source}>${entry.target}:${entry.term.toLowerCase()}`));
+  const added = [];
+  for (const line of lines) {
+    const entry = parseGlossary(line).entries[0];
+    const key = entry && `${entry.source}>${entry.target}:${entry.term.toLowerCase()}`;
+    if (!entry || keys.has(key)) continue;
+    keys.add(key);
+    added.push(line);
+  }
+  return { text: [current, ...added].filter(Boolean).join('\n'), added: added.length };
+}
+
+/**
+ * Quote CSV field
+ * @param {string} value - Value
+ * @returns {string}
+ */
+function csvField(value) {
+  return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+/**
+ * Split CSV text into rows (RFC 4180 quoting, comma or semicolon delimiter)
+ * @param {string} csv - CSV text
+ * @returns {Array<Array<string>>} Rows
+ */
+function parseCsvRows(csv) {
+  const text = String(csv || '').replace(/^\uFEFF/, '');
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  const delimiter = !firstLine.includes(',') && firstLine.includes(';') ? ';' : ',';
+  /** @type {Array<Array<string>>} */
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(cells => cells.some(cell => cell.trim()));
+}
+
+/**
+ * Export glossary as CSV
+ * Columns: term, translation (empty for kept terms), source language, target language ('*' for any)
+ * @param {Array<GlossaryEntry>} entries - Entries
+ * @returns {string} CSV text
+ */
+export function glossaryToCsv(entries) {
+  const rows = [['term', 'translation', 'source_language', 'target_language']];
+  for (const entry of entries) {
+    rows.push([entry.term, entry.translation || '', entry.source, entry.target]);
+  }
+  return rows.map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Convert CSV to glossary lines
+ * Header row is optional; missing translation keeps term, missing languages mean any language.
+ * @param {string} csv - CSV text
+ * @returns {Array<string>} Glossary lines
+ */
+export function csvToGlossaryLines(csv) {
+  const rows = parseCsvRows(csv);
+  if (rows.length > 0 && rows[0][0]?.trim().toLowerCase() === 'term') {
+    rows.shift();
+  }
+  return rows
+    .filter(row => row[0]?.trim())
+    .map(([term, translation = '', source = '', target = '']) => formatGlossaryEntry({
+      term: term.trim(),
+      translation: translation.trim() || null,
+      source,
+      target
+    }));
+}
+
+/**
+ * Unescape XML text
+ * @param {string} text - XML text
+ * @returns {string}
+ */
+function unescapeXml(text) {
+  return text
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(Number(code)))
+    .replace(/&#x([0-9a-f]+);/gi, (match, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Export glossary as TBX (ISO 30042:2019, TBX-Basic)
+ * Every entry is concept with source and target language sections, kept terms have the same term in both.
+ * @param {Array<GlossaryEntry>} entries - Entries
+ * @returns {string} TBX document
+ */
+export function glossaryToTbx(entries) {
+  const language = code => (code === ANY_LANGUAGE ? TBX_ANY_LANGUAGE : code);
+  const concepts = entries.map((entry, index) => `      <conceptEntry id="c${index + 1}">
+        <langSec xml:lang="${escapeXml(language(entry.source))}"><termSec><term>${escapeXml(entry.term)}</term></termSec></langSec>
+        <langSec xml:lang="${escapeXml(language(entry.target))}"><termSec><term>${escapeXml(entry.translation ?? entry.term)}</term></termSec></langSec>
+      </conceptEntry>`);
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<tbx type="TBX-Basic" style="dca" xml:lang="en" xmlns="urn:iso:std:iso:30042:ed-2">
+  <tbxHeader>
+    <fileDesc><sourceDesc><p>ClipAIble translation glossary</p></sourceDesc></fileDesc>
+  </tbxHeader>
+  <text>
+    <body>
+${concepts.join('\n')}
+    </body>
+  </text>
+</tbx>
+`;
+}
+
+/**
+ * Convert TBX to glossary lines
+ * Supports TBX v3 (conceptEntry/langSec) and older TBX/MARTIF (termEntry/langSet).
+ * First language section is source, every other section is a target. Concept with one language keeps term.
+ * @param {string} xml - TBX document
+ * @returns {Array<string>} Glossary lines
+ */
+export function tbxToGlossaryLines(xml) {
+  /** @type {Array<string>} */
+  const lines = [];
+  const conceptPattern = /<(conceptEntry|termEntry)\b[^>]*>([\s\S]*?)<\/\1>/g;
+  let concept;
+  while ((concept = conceptPattern.exec(String(xml || ''))) !== null) {
+    const sections = [];
+    const sectionPattern = /<(langSec|langSet)\b[^>]*\blang="([^"]+)"[^>]*>([\s\S]*?)<\/\1>/g;
+    let section;
+    while ((section = sectionPattern.exec(concept[2])) !== null) {
+      const term = /<term\b[^>]*>([\s\S]*?)<\/term>/.exec(section[3]);
+      if (term) {
+        sections.push({ language: section[2].split(/[-_]/)[0], term: unescapeXml(term[1]).trim() });
+      }
+    }
+    if (sections.length === 0 || !sections[0].term) continue;
+
+    const [source, ...targets] = sections;
+    if (targets.length === 0) {
+      lines.push(formatGlossaryEntry({ term: source.term, translation: null, source: source.language }));
+      continue;
+    }
+    for (const target of targets) {
+      if (!target.term) continue;
+      lines.push(formatGlossaryEntry({
+        term: source.term,
+        translation: target.term === source.term ? null : target.term,
+        source: source.language,
+        target: target.language
+      }));
+    }
+  }
+  return lines;
+}
+
+/**
+ * Convert imported CSV or TBX file to glossary lines
+ * @param {string} filename - File name
+ * @param {string} content - File content
+ * @returns {Array<string>} Glossary lines
+ */
+export function importGlossaryFile(filename, content) {
+  const isXml = /\.(tbx|xml)$/i.test(filename) || /^\s*(<\?xml|<tbx|<martif)/i.test(content);
+  return isXml ? tbxToGlossaryLines(content) : csvToGlossaryLines(content);
+}
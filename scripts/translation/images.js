@@ -6,7 +6,7 @@
 // @typedef {import('../types.js').ContentItem} ContentItem
 
 import { log, logError, logWarn } from '../utils/logging.js';
-import { LANGUAGE_NAMES } from '../utils/config.js';
+import { getLanguageName } from '../utils/languages.js';
 import { getProviderFromModel, parseModelConfig, callAIWithImage } from '../api/index.js';
 import { translateImageWithGemini } from '../api/gemini.js';
 import { imageToBase64 } from '../utils/images.js';
@@ -86,6 +86,19 @@ Respond with ONLY "yes" or "no".`;
         });
         return false;
       }
+    } else if (provider === 'custom') {
+      // Custom endpoint: only vision models (e.g., llava, qwen2.5-vl) accept images
+      try {
+        const result = await callAIWithImage('', prompt, imageBase64, apiKey, model, false);
+        answer = typeof result === 'string' ? result.toLowerCase().trim() : String(result).toLowerCase().trim();
+      } catch (error) {
+        logWarn('Custom endpoint error in detectImageText', { 
+          model: modelName,
+          error: error?.message || String(error),
+          note: 'Model may not support images - assuming translation NOT needed'
+        });
+        return false;
+      }
     } else if (provider === 'grok') {
       // Grok API format (same as OpenAI)
       const response = await fetch('https://api.x.ai/v1/chat/completions', {
@@ -291,7 +304,7 @@ export async function translateImages(content, sourceLang, targetLang, apiKey, g
   
   if (imageIndices.length === 0) return content;
   
-  const langName = LANGUAGE_NAMES[targetLang] || targetLang;
+  const langName = getLanguageName(targetLang);
   let translated = 0;
   let skipped = 0;
   let failed = 0;
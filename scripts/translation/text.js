@@ -7,8 +7,9 @@
 // @typedef {import('../types.js').ExtractionResult} ExtractionResult
 
 import { log, logError, logWarn } from '../utils/logging.js';
-import { CONFIG, LANGUAGE_NAMES, NO_TRANSLATION_MARKER } from '../utils/config.js';
-import { getProviderFromModel, parseModelConfig } from '../api/index.js';
+import { CONFIG, NO_TRANSLATION_MARKER } from '../utils/config.js';
+import { getLanguageName, getDateExample } from '../utils/languages.js';
+import { getProviderFromModel, parseModelConfig, callCustomAPI } from '../api/index.js';
 import { getDecryptedKeyCached, decryptApiKey } from '../utils/encryption.js';
 import { PROCESSING_STAGES, updateState } from '../state/processing.js';
 import { tSync, getUILanguage } from '../locales.js';
@@ -17,6 +18,14 @@ import { cleanAuthor } from '../utils/author-validator.js';
 import { handleError } from '../utils/error-handler.js';
 import { checkCancellation } from '../utils/pipeline-helpers.js';
 import { callWithRetry } from '../utils/retry.js';
+import { buildGlossaryPrompt, filterGlossaryForTexts, findGlossaryViolations, mergeGlossaryViolations } from './glossary.js';
+import {
+  lookupTranslations,
+  saveTranslations,
+  findFuzzyMatches,
+  buildFuzzyMatchPrompt,
+  recordTranslationMemoryUsage
+} from '../cache/translation-memory.js';
 
 // Translation policy: quality-first. Do not downgrade accuracy to save cost or latency.
 
@@ -26,9 +35,10 @@ import { callWithRetry } from '../utils/retry.js';
  * @param {string} targetLang - Target language name
  * @param {string} apiKey - API key
  * @param {string} model - Model name
+ * @param {{glossary?: Array<import('./glossary.js').GlossaryEntry>, references?: Array<import('../cache/translation-memory.js').TranslationMemoryMatch>}} [options={}] - Glossary entries used in text, similar segments from translation memory
  * @returns {Promise<string>} Translated text
  */
-export async function translateText(text, targetLang, apiKey, model) {
+export async function translateText(text, targetLang, apiKey, model, options = {}) {
   const textPreview = text && text.length > 200 ? text.substring(0, 200) + '...' : text;
   log('=== translateText: ENTRY ===', {
     textLength: text?.length || 0,
@@ -62,7 +72,7 @@ CRITICAL RULES:
 - Use natural ${targetLang} expressions and sentence structures
 - Maintain the author's tone (formal/casual/technical)
 - No explanations, no notes, no comments, no additional content - just the translated text
-- If the input is a title or short phrase, translate ONLY that title/phrase, nothing more`;
+- If the input is a title or short phrase, translate ONLY that title/phrase, nothing more${buildGlossaryPrompt(options.glossary)}${buildFuzzyMatchPrompt(options.references)}`;
 
   // Clean HTML: remove id attributes and technical classes before translation
   // IDs and technical classes (like blockquote_*) are not needed for translation and can confuse AI models
@@ -317,6 +327,17 @@ CRITICAL RULES:
         isOriginal: translated === text,
         timestamp: Date.now()
       });
+    } else if (provider === 'custom') {
+      // Custom endpoint module handles base URL, optional API key and error messages
+      const result = await callCustomAPI(systemPrompt, userPrompt, decryptedApiKey, model, false);
+      translated = (typeof result === 'string' ? result : '') || text;
+      
+      log('=== translateText: Custom endpoint RESPONSE ===', {
+        translatedLength: translated?.length || 0,
+        translatedFull: translated || null, // FULL TEXT - NO TRUNCATION
+        isOriginal: translated === text,
+        timestamp: Date.now()
+      });
     } else if (provider === 'openrouter') {
       const response = await fetch('https://openrouter.ai/api/v1/chat/completions', {
         method: 'POST',
@@ -468,15 +489,67 @@ CRITICAL RULES:
   }
 }
 
+/**
+ * Translate batch reusing translation memory
+ * Only segments not in memory are sent to API. Stored translations that break current glossary are translated again.
+ * @param {Array<string>} texts - Texts to translate
+ * @param {string} targetLang - Target language name
+ * @param {string} apiKey - Decrypted API key
+ * @param {string} model - Model name
+ * @param {import('../types.js').TranslateBatchOptions} options - Options with enabled memory
+ * @returns {Promise<Array<string>>} Translated texts
+ */
+async function translateBatchWithMemory(texts, targetLang, apiKey, model, options) {
+  const { memory, ...batchOptions } = options;
+  const glossary = options.glossary || [];
+
+  const stored = await lookupTranslations(texts, targetLang, model);
+  const results = stored.map((translation, index) => {
+    if (translation === null) return null;
+    const termsInText = filterGlossaryForTexts(glossary, [texts[index]]);
+    return findGlossaryViolations([texts[index]], [translation], termsInText).length === 0 ? translation : null;
+  });
+  const missing = texts.map((text, index) => index).filter(index => results[index] === null);
+  let fuzzy = 0;
+
+  if (missing.length > 0) {
+    const missingTexts = missing.map(index => texts[index]);
+    batchOptions.glossary = filterGlossaryForTexts(glossary, missingTexts);
+    if (memory.fuzzy) {
+      batchOptions.references = await findFuzzyMatches(missingTexts, targetLang);
+      fuzzy = batchOptions.references.length > 0 ? missing.length : 0;
+    }
+
+    const translated = await translateBatch(missingTexts, targetLang, apiKey, model, batchOptions);
+    /** @type {Array<import('../cache/translation-memory.js').TranslationMemoryMatch>} */
+    const pairs = [];
+    missing.forEach((index, position) => {
+      const translation = translated[position] || texts[index];
+      results[index] = translation;
+      // Texts returned as is (already in target language or not translated) are not stored
+      if (translation !== texts[index]) {
+        pairs.push({ source: texts[index], translation });
+      }
+    });
+    await saveTranslations(pairs, targetLang, model);
+  }
+
+  const hits = texts.length - missing.length;
+  log('Translation memory', { hits, misses: missing.length, fuzzy });
+  await recordTranslationMemoryUsage({ hits, misses: missing.length, fuzzy });
+  return /** @type {Array<string>} */ (results);
+}
+
 /**
  * Translate batch of texts
  * @param {Array<string>} texts - Texts to translate
  * @param {string} targetLang - Target language name
  * @param {string} apiKey - API key
  * @param {string} model - Model name
+ * @param {import('../types.js').TranslateBatchOptions} [options={}] - Glossary, translation memory and similar segments
  * @returns {Promise<Array<string>>} Translated texts
  */
-export async function translateBatch(texts, targetLang, apiKey, model) {
+export async function translateBatch(texts, targetLang, apiKey, model, options = {}) {
   log('=== translateBatch: ENTRY ===', {
     textsCount: texts?.length || 0,
     textsLengths: texts?.map(t => t?.length || 0) || [],
@@ -495,10 +568,14 @@ export async function translateBatch(texts, targetLang, apiKey, model) {
     log('API key decryption failed for translateBatch, using as-is', error);
   }
   
+  if (options.memory?.enabled) {
+    return translateBatchWithMemory(texts, targetLang, decryptedApiKey, model, options);
+  }
+  
   // If only one text, use simple translation
   if (texts.length === 1) {
     log('=== translateBatch: SINGLE TEXT, USING translateText ===');
-    const result = await translateText(texts[0], targetLang, decryptedApiKey, model);
+    const result = await translateText(texts[0], targetLang, decryptedApiKey, model, options);
     log('=== translateBatch: RESULT ===', {
       resultsCount: 1,
       resultLength: result.length,
@@ -518,7 +595,7 @@ Rules:
 - Use natural ${targetLang} expressions
 - Return EXACTLY ${texts.length} translations in the same order
 - Output format: {"translations": ["translation1", "translation2", ...]}
-- No markdown, no code blocks, no explanations - raw JSON only`;
+- No markdown, no code blocks, no explanations - raw JSON only${buildGlossaryPrompt(options.glossary)}${buildFuzzyMatchPrompt(options.references)}`;
 
   // Clean HTML: remove id attributes and technical classes before translation
   // IDs and technical classes (like blockquote_*) are not needed for translation and can confuse AI models
@@ -927,6 +1004,16 @@ Rules:
         contentFull: content || null, // FULL TEXT - NO TRUNCATION
         timestamp: Date.now()
       });
+    } else if (provider === 'custom') {
+      // Custom endpoint module falls back from JSON mode and extracts JSON from plain text answers
+      const result = await callCustomAPI(systemPrompt, userPrompt, decryptedApiKey, model, true);
+      content = JSON.stringify(result);
+      
+      log('=== translateBatch: Custom endpoint RESPONSE ===', {
+        contentLength: content?.length || 0,
+        contentFull: content || null, // FULL TEXT - NO TRUNCATION
+        timestamp: Date.now()
+      });
     } else if (provider === 'openrouter') {
       const response = await callWithRetry(
         async () => {
@@ -1168,9 +1255,11 @@ Rules:
  * @param {string} apiKey - API key
  * @param {string} model - Model name
  * @param {function(Partial<import('../types.js').ProcessingState> & {stage?: string}): void} [updateState] - State update function
+ * @param {{keepOriginal?: boolean, glossary?: Array<import('./glossary.js').GlossaryEntry>, memory?: {enabled: boolean, fuzzy: boolean}}} [options] - keepOriginal: keep source text of translated items (bilingual export),
+ *   glossary: entries of language pair, violations are returned in result.glossaryViolations, memory: translation memory settings
  * @returns {Promise<import('../types.js').ExtractionResult>} Translated extraction result
  */
-export async function translateContent(result, targetLang, apiKey, model, updateState) {
+export async function translateContent(result, targetLang, apiKey, model, updateState, options = {}) {
   log('=== translateContent: ENTRY ===', {
     targetLang,
     contentItemsCount: result.content?.length || 0,
@@ -1208,7 +1297,10 @@ export async function translateContent(result, targetLang, apiKey, model, update
     log('API key decryption failed, using as-is (may be plain text)', error);
   }
 
-  const langName = LANGUAGE_NAMES[targetLang] || targetLang;
+  const langName = getLanguageName(targetLang);
+  const glossary = options.glossary || [];
+  /** @type {Array<import('./glossary.js').GlossaryViolation>} */
+  const glossaryViolations = [];
   
   // Translate title and author in parallel (they are independent)
   const translationPromises = [];
@@ -1218,7 +1310,9 @@ export async function translateContent(result, targetLang, apiKey, model, update
       // Retry title translation if result is "404"
       callWithRetry(
         async () => {
-          const translated = await translateText(result.title, langName, decryptedApiKey, model);
+          const translated = await translateText(result.title, langName, decryptedApiKey, model, {
+            glossary: filterGlossaryForTexts(glossary, [result.title])
+          });
           
           // Check if translation result is exactly "404"
           if (translated.trim() === '404' && translated !== result.title) {
@@ -1428,7 +1522,13 @@ export async function translateContent(result, targetLang, apiKey, model, update
     log(`Translating chunk ${i + 1}/${chunks.length}`, { itemCount: textsToTranslate.length });
     
     try {
-      const translated = await translateBatch(textsToTranslate, langName, decryptedApiKey, model);
+      // Only terms found in chunk go into prompt
+      const chunkGlossary = filterGlossaryForTexts(glossary, textsToTranslate);
+      const translated = await translateBatch(textsToTranslate, langName, decryptedApiKey, model, {
+        glossary: chunkGlossary,
+        memory: options.memory
+      });
+      mergeGlossaryViolations(glossaryViolations, findGlossaryViolations(textsToTranslate, translated, chunkGlossary));
       
       // Check if translation actually happened (not just original texts returned)
       const wasTranslated = translated.some((text, idx) => text !== textsToTranslate[idx]);
@@ -1458,6 +1558,17 @@ export async function translateContent(result, targetLang, apiKey, model, update
           translatedText = translatedText.replace(/<span\s+class\s*=\s*["']blockquote_[^"']*["'][^>]*>([^<]*)<\/span>/gi, '$1');
         }
         
+        // Bilingual export: keep source of text and list items (captions and alt stay translated only)
+        if (options.keepOriginal && translatedText !== item.text) {
+          const contentItem = result.content[item.index];
+          if (item.field === 'text') {
+            contentItem.original = item.text;
+          } else if (item.field === 'items') {
+            contentItem.originalItems = contentItem.originalItems || [];
+            contentItem.originalItems[item.subIndex] = item.text;
+          }
+        }
+        
         if (item.field === 'text') {
           result.content[item.index].text = translatedText;
         } else if (item.field === 'alt') {
@@ -1530,6 +1641,10 @@ export async function translateContent(result, targetLang, apiKey, model, update
     timestamp: Date.now()
   });
   
+  if (glossary.length > 0) {
+    result.glossaryViolations = glossaryViolations;
+  }
+  
   log('=== TRANSLATION END ===');
   // Ensure progress reaches the end of translation phase
   if (updateState) updateState({ stage: PROCESSING_STAGES.TRANSLATING.id, status: 'Translation complete', progress: 60 });
@@ -1568,24 +1683,11 @@ export async function translateMetadata(text, targetLang, apiKey, model, type =
     log('API key decryption failed for metadata translation, using as-is', error);
   }
   
-  const targetLangName = LANGUAGE_NAMES[targetLang] || 'English';
+  const targetLangName = getLanguageName(targetLang);
   
   let systemPrompt;
   if (type === 'date') {
-    const dateExamples = {
-      'en': 'December 3, 2025',
-      'ru': '3 декабря 2025',
-      'ua': '3 грудня 2025',
-      'de': '3. Dezember 2025',
-      'fr': '3 décembre 2025',
-      'es': '3 de diciembre de 2025',
-      'it': '3 dicembre 2025',
-      'pt': '3 de dezembro de 2025',
-      'zh': '2025年12月3日',
-      'ja': '2025年12月3日',
-      'ko': '2025년 12월 3일'
-    };
-    const example = dateExamples[targetLang] || dateExamples['en'];
+    const example = getDateExample(targetLang);
     systemPrompt = `Translate this date to ${targetLangName}.
 Return ONLY the translated date, nothing else.
 Example output for ${targetLangName}: "${example}"`;
@@ -1742,6 +1844,19 @@ Rules:
         translatedFull: translated || null, // FULL TEXT - NO TRUNCATION
         timestamp: Date.now()
       });
+    } else if (provider === 'custom') {
+      try {
+        const result = await callCustomAPI(systemPrompt, text, decryptedApiKey, model, false);
+        translated = (typeof result === 'string' ? result.trim() : '') || text;
+      } catch (error) {
+        log('=== translateMetadata: Custom endpoint ERROR ===', { error: error.message, returningOriginal: true });
+        return text;
+      }
+      log('=== translateMetadata: Custom endpoint RESPONSE ===', {
+        translatedLength: translated?.length || 0,
+        translatedFull: translated || null, // FULL TEXT - NO TRUNCATION
+        timestamp: Date.now()
+      });
     } else if (provider === 'openrouter') {
       const response = await fetch('https://openrouter.ai/api/v1/chat/completions', {
         method: 'POST',
@@ -11,8 +11,10 @@
  * @property {string} [url] - Image URL (for images) - alias for src
  * @property {string} [alt] - Image alt text (for images)
  * @property {string} [src] - Image source URL (for images) - alias for url
+ * @property {string} [base64] - Image data URL when image has no source URL (for images)
  * @property {string} [caption] - Image caption text (for images)
  * @property {boolean} [translated] - Whether image text was translated (for images)
+ * @property {boolean} [excluded] - Image excluded on review page, dropped before generation (for images)
  * @property {number} [level] - Heading level 1-6 (for headings)
  * @property {string} [language] - Code language (for code blocks)
  * @property {Array<string|{html?: string, text?: string, id?: string, level?: number, listLevel?: number, isOrdered?: boolean, parentIsOrdered?: boolean}>} [items] - List items (for lists) - can be strings or objects with html/text and optional properties
@@ -27,6 +29,8 @@
  * @property {boolean} [isBold] - Whether text is bold (for text blocks)
  * @property {boolean} [isItalic] - Whether text is italic (for text blocks)
  * @property {boolean} [isUnderlined] - Whether text is underlined (for text blocks)
+ * @property {string} [original] - Source text before translation (bilingual export)
+ * @property {Array<string>} [originalItems] - Source list items before translation, by item index (bilingual export)
  */
 
 /**
@@ -44,6 +48,64 @@
  * @property {string} [outputFormat] - Output format (pdf, epub, fb2, markdown, audio) - used for UI display and polling intervals
  */
 
+/**
+ * @typedef {'pending'|'running'|'done'|'error'|'cancelled'} QueueJobStatus
+ */
+
+/**
+ * @typedef {Object} QueueJob
+ * Single job of the persistent batch processing queue
+ * @property {string} id - Unique job ID
+ * @property {string} url - Page URL to process
+ * @property {string} title - Page title (URL if unknown)
+ * @property {number|null} tabId - Source tab ID (null for pasted URLs, tab is opened on demand)
+ * @property {ExportFormat} outputFormat - Output format for this job
+ * @property {QueueJobStatus} status - Job status
+ * @property {number} progress - Progress percentage (0-100)
+ * @property {string} statusText - Last status message mirrored from processing state
+ * @property {string|null} error - Error message if job failed
+ * @property {number} attempts - Number of times the job was started
+ * @property {number} createdAt - Creation timestamp
+ * @property {number|null} startedAt - Timestamp of the last start
+ * @property {number|null} finishedAt - Timestamp of completion, failure or cancellation
+ * @property {string|null} [anthologyId] - Anthology ID if job is a chapter of a combined book
+ */
+
+/**
+ * @typedef {Object} QueueJobInput
+ * @property {string} url - Page URL to process
+ * @property {string} [title] - Page title
+ * @property {number|null} [tabId] - Source tab ID
+ */
+
+/**
+ * @typedef {Object} AnthologyBookSettings
+ * Settings of the first chapter used to generate the combined book
+ * @property {boolean} [generateToc] - Whether to include chapter headings in table of contents
+ * @property {boolean} [generateAbstract] - Whether to include chapter abstracts
+ * @property {string} [stylePreset] - PDF style preset
+ * @property {string} [fontFamily] - PDF font family
+ * @property {string} [fontSize] - PDF font size
+ * @property {string} [bgColor] - PDF background color
+ * @property {string} [textColor] - PDF text color
+ * @property {string} [headingColor] - PDF heading color
+ * @property {string} [linkColor] - PDF link color
+ * @property {string} [pageMode] - PDF page mode
+ */
+
+/**
+ * @typedef {Object} AnthologyChapter
+ * Processed article saved by the batch queue as a chapter of a combined book
+ * @property {string} title - Article title
+ * @property {string} [author] - Article author
+ * @property {string} [publishDate] - Publish date
+ * @property {string} [abstract] - Article abstract
+ * @property {string} [sourceUrl] - Article URL
+ * @property {string} [language] - Effective document language
+ * @property {Array<ContentItem>} content - Processed content items
+ * @property {AnthologyBookSettings} [settings] - Generation settings of the article
+ */
+
 /**
  * @typedef {Object} NormalizedError
  * @property {string} message - Error message
@@ -224,6 +286,30 @@
  * @property {string} [abstract] - Generated abstract text
  * @property {string} [detectedLanguage] - Detected source language
  * @property {string} [markdown] - Markdown content (for PDF processing)
+ * @property {number} [pageCount] - Number of merged pages of multi-page article
+ * @property {ArticleMetadata} [metadata] - Structured metadata of page (JSON-LD, OpenGraph, citation, Dublin Core)
+ * @property {string} [bilingual] - Bilingual output mode of translated content ('interleaved' or 'columns')
+ * @property {Array<import('./translation/glossary.js').GlossaryViolation>} [glossaryViolations] - Glossary terms not respected by translation (set when glossary was used)
+ */
+
+/**
+ * @typedef {Object} TranslateBatchOptions
+ * @property {Array<import('./translation/glossary.js').GlossaryEntry>} [glossary] - Glossary entries used in texts
+ * @property {{enabled: boolean, fuzzy: boolean}} [memory] - Translation memory settings, memory is not used if omitted
+ * @property {Array<import('./cache/translation-memory.js').TranslationMemoryMatch>} [references] - Similar segments from translation memory
+ */
+
+/**
+ * @typedef {Object} ArticleMetadata
+ * @property {Array<string>} authors - Author names
+ * @property {string} publisher - Publisher or site name
+ * @property {string} publishedDate - Publish date (ISO: YYYY-MM-DD, YYYY-MM or YYYY)
+ * @property {string} modifiedDate - Last modification date (ISO)
+ * @property {string} section - Site section (category)
+ * @property {Array<string>} keywords - Keywords and tags
+ * @property {string} canonicalUrl - Canonical article URL
+ * @property {string} doi - DOI without resolver prefix (10.xxxx/...)
+ * @property {string} image - Hero image URL
  */
 
 /**
@@ -239,6 +325,8 @@
  * @property {string} [language] - Document language
  * @property {string} [apiKey] - API key for translation
  * @property {string} [model] - Model name for translation
+ * @property {Array<AnthologyChapter>|null} [chapters] - Chapters of combined book (content holds all chapter items)
+ * @property {ArticleMetadata|null} [metadata] - Structured article metadata
  */
 
 /**
@@ -247,6 +335,7 @@
  * @property {number} timestamp - Cache timestamp
  * @property {number} [successCount] - Number of successful uses
  * @property {number} [failureCount] - Number of failures
+ * @property {string} [source] - 'user' for user-authored selectors (element picker), not set for AI selectors
  */
 
 /**
@@ -416,6 +505,18 @@
  * @property {number} [total] - Total chunks
  */
 
+/**
+ * @typedef {Object} ExportSummaryRequest
+ * @property {'exportSummary'} action - Action name
+ * @property {ExportFormat} outputFormat - Output format of summary document
+ * @property {boolean} [listen] - Open player when audio is ready
+ * @property {number} [tabId] - Tab the summary was generated for
+ * @property {string} [title] - Page title
+ * @property {undefined} [data]
+ * @property {string} [target]
+ * @property {string} [type]
+ */
+
 /**
  * Discriminated union for MessageRequest based on action
  * @typedef {(
@@ -444,7 +545,20 @@
  *   | { action: 'clearStats', data?: undefined, target?: string, type?: string }
  *   | { action: 'getCacheStats', data?: undefined, target?: string, type?: string }
  *   | { action: 'clearSelectorCache', data?: undefined, target?: string, type?: string }
+ *   | { action: 'getAudioCacheStats'|'clearAudioCache', data?: undefined, target?: string, type?: string }
+ *   | { action: 'getTranslationMemoryStats'|'clearTranslationMemory', data?: undefined, target?: string, type?: string }
  *   | { action: 'exportLogs', data?: undefined, target?: string, type?: string }
+ *   | { action: 'getQueue', data?: undefined, target?: string, type?: string }
+ *   | { action: 'enqueueUrls', urls: Array<string>, outputFormat?: ExportFormat, anthology?: boolean, data?: undefined, target?: string, type?: string }
+ *   | { action: 'enqueueWindowTabs', windowId?: number, outputFormat?: ExportFormat, anthology?: boolean, data?: undefined, target?: string, type?: string }
+ *   | { action: 'cancelQueueJob'|'retryQueueJob'|'removeQueueJob', jobId: string, data?: undefined, target?: string, type?: string }
+ *   | { action: 'clearFinishedQueueJobs', data?: undefined, target?: string, type?: string }
+ *   | { action: 'downloadOfflineVoice'|'removeOfflineVoice', voiceId: string, data?: undefined, target?: string, type?: string }
+ *   | { action: 'saveUserSelectors', domain: string, selectors: {articleContainer?: string, content?: string, exclude?: Array<string>|string}, data?: undefined, target?: string, type?: string }
+ *   | { action: 'startElementPicker', tabId: number, data?: undefined, target?: string, type?: string }
+ *   | { action: 'submitContentReview', reviewId: string, title?: string, content: Array<ContentItem>, data?: undefined, target?: string, type?: string }
+ *   | { action: 'cancelContentReview', reviewId: string, data?: undefined, target?: string, type?: string }
+ *   | ExportSummaryRequest
  *   | { action: string, data?: Object, target?: string, type?: string } // Fallback for unknown actions
  * )} MessageRequest
  */
@@ -465,7 +579,7 @@
  */
 
 /**
- * @typedef {('openai'|'claude'|'gemini'|'grok'|'openrouter'|'deepseek')} AIProvider
+ * @typedef {('openai'|'claude'|'gemini'|'grok'|'openrouter'|'deepseek'|'custom')} AIProvider
  */
 
 /**
@@ -541,6 +655,7 @@
  * @property {string} [author] - Extracted author
  * @property {Array<ContentItem>} content - Extracted content
  * @property {string} [publishDate] - Publish date
+ * @property {number} [pageCount] - Number of merged pages after next pages of multi-page article are stitched
  * @property {Object} [debug] - Debug information
  * @property {Object} [debugInfo] - Debug information (for automatic mode)
  * @property {string} [error] - Error message
@@ -582,6 +697,7 @@
  * @property {number} [respeecherTemperature] - Respeecher temperature
  * @property {number} [respeecherRepetitionPenalty] - Respeecher repetition penalty
  * @property {number} [respeecherTopP] - Respeecher top_p
+ * @property {boolean} [pronunciationApplied] - Pronunciation lexicon is already applied to text
  */
 
 /**
@@ -605,6 +721,9 @@
  * @property {string} [headingColor] - PDF heading color
  * @property {string} [linkColor] - PDF link color
  * @property {string} [stylePreset] - PDF style preset
+ * @property {Array<AnthologyChapter>|null} [chapters] - Chapters of combined book (content holds all chapter items)
+ * @property {ArticleMetadata|null} [metadata] - Structured article metadata
+ * @property {string} [bilingual] - Bilingual output mode of translated content ('off', 'interleaved' or 'columns')
  */
 
 /**
@@ -619,6 +738,11 @@
  * @typedef {Object} AudioGenerationData
  * @property {Array<ContentItem>} content - Content items
  * @property {string} title - Document title
+ * @property {string} [author] - Author (audio tags, cover)
+ * @property {string} [sourceUrl] - Article URL (audio tags, site name)
+ * @property {string} [publishDate] - Publish date (cover)
+ * @property {string} [abstract] - Article abstract (podcast episode description)
+ * @property {ArticleMetadata|null} [metadata] - Structured metadata (publisher, hero image)
  * @property {string} apiKey - API key for text preparation
  * @property {string} ttsApiKey - TTS provider API key
  * @property {string} model - Model name for text preparation
@@ -641,6 +765,7 @@
  * @property {number} [respeecherRepetitionPenalty] - Respeecher repetition penalty
  * @property {number} [respeecherTopP] - Respeecher top_p
  * @property {number|null} [tabId] - Tab ID for offline TTS (required when using offline TTS from service worker)
+ * @property {boolean} [openPlayer] - Open audio in built-in player regardless of player setting
  */
 
 /**
@@ -693,6 +818,10 @@
  * @property {string} [apiProvider] - API provider (alias for provider)
  * @property {string|null} [geminiApiKey] - Gemini API key
  * @property {string} [effectiveLanguage] - Effective language after detection (computed property)
+ * @property {string} [anthologyId] - Anthology ID (queued chapter: processed article is saved instead of generating a file)
+ * @property {string} [queueJobId] - Batch queue job ID (set for every queue job, unattended processing)
+ * @property {boolean} [selectionOnly] - Save only selected part of page (automatic extraction of selection container)
+ * @property {boolean} [openPlayer] - Open generated audio in built-in player ("Listen to summary")
  */
 
 /**
@@ -989,6 +1118,9 @@
  * @property {number} UI_ASYNC_DEFER_DELAY - Delay for deferring async work (milliseconds)
  * @property {number} UI_RETRY_DELAY - Retry delay for failed saves (milliseconds)
  * @property {number} UI_CONTEXT_MENU_DELAY - Delay for context menu operations (milliseconds)
+ * @property {number} QUEUE_MAX_JOBS - Maximum number of jobs kept in the processing queue
+ * @property {number} QUEUE_POLL_INTERVAL_MS - Interval for mirroring progress of the running queue job (milliseconds)
+ * @property {number} QUEUE_TAB_LOAD_TIMEOUT_MS - Timeout for loading a queued URL in a background tab (milliseconds)
  * @property {number} STORAGE_SAVE_DEBOUNCE - Debounce for storage saves (milliseconds)
  * @property {number} STORAGE_SAVE_DEBOUNCE_AUDIO - Debounce for audio storage saves (milliseconds)
  * @property {number} TTS_DELAY - Delay for TTS operations (milliseconds)
@@ -1019,6 +1151,7 @@
  * @property {function(): Promise<void>} loadSettings - Load settings
  * @property {function(string, number?): string|null} getVoiceIdByIndex - Get voice ID by index
  * @property {function(string, string): Promise<void>} saveAudioVoice - Save audio voice
+ * @property {function(string, string, string): void} saveNarrationVoice - Save narration role voice of provider
  * @property {function(): Promise<void>} updateApiProviderUI - Update API provider UI
  * @property {function(): Promise<void>} saveApiKey - Save API key
  * @property {function(): Promise<void>} updateModeHint - Update mode hint
@@ -1077,6 +1210,11 @@
  * @property {function(import('./types.js').ProcessingData, string, function(): Promise<void>, function(import('./types.js').ProcessingData, import('./types.js').ExtractionResult, import('./types.js').StopKeepAliveFunction?): Promise<void>, {current: number}): Promise<boolean>} handlePdfPageProcessing - Handle PDF page processing function
  * @property {function(import('./types.js').ProcessingData, any, function(): Promise<void>, function(import('./types.js').ProcessingData, import('./types.js').ExtractionResult, import('./types.js').StopKeepAliveFunction?): Promise<void>, {current: number}): Promise<boolean>} handleVideoPageProcessing - Handle video page processing function
  * @property {function(import('./types.js').ProcessingData, function(): Promise<void>, function(import('./types.js').ProcessingData, import('./types.js').ExtractionResult, import('./types.js').StopKeepAliveFunction?): Promise<void>, function(import('./types.js').SelectorResult, string): Promise<import('./types.js').InjectionResult>, {current: number}): Promise<boolean>} handleStandardArticleProcessing - Handle standard article processing function
+ * @property {function(import('./types.js').ProcessingData, Array<AnthologyChapter>, function(): Promise<void>, function(import('./types.js').ProcessingData, Array<AnthologyChapter>): Promise<any>, {current: number}): Promise<boolean>} handleAnthologyProcessing - Handle anthology generation function
+ * @property {function(import('./types.js').ProcessingData, import('./types.js').ExtractionResult, function(): Promise<void>, function(import('./types.js').ProcessingData, import('./types.js').ExtractionResult): Promise<any>, {current: number}): Promise<boolean>} handleSummaryExportProcessing - Handle summary export function
+ * @property {function(string, AnthologyChapter): Promise<void>} saveAnthologyChapter - Save anthology chapter function
+ * @property {function(): Promise<boolean>} isContentReviewEnabled - Check if review step before generation is enabled
+ * @property {function(import('./types.js').ProcessingData, import('./types.js').ExtractionResult, import('./types.js').StopKeepAliveFunction): Promise<import('./types.js').ExtractionResult|null>} requestContentReview - Open review page and wait for edited content (null if cancelled)
  * @property {function(string): Promise<void>} checkCancellation - Check cancellation function
  * @property {function({id: string, label?: string, name?: string, order?: number}, string, number, {replacements?: Array<string>, extra?: Record<string, any>}?): Promise<void>} updateProgress - Update progress function
  * @property {function(): Promise<string>} getUILanguageCached - Get UI language cached function
@@ -1124,7 +1262,42 @@
  * @property {function(Error|Object, import('./types.js').ErrorHandlingOptions?): Promise<import('./types.js').NormalizedError>} handleError - Error handler function
  * @property {function(): Promise<string>} getUILanguage - Get UI language function
  * @property {function(string): Promise<void>} updateContextMenuWithLang - Update context menu with language function
- * @property {function(import('./types.js').ExportFormat, function(import('./types.js').ProcessingData): Promise<boolean>, number?): Promise<void>} handleQuickSave - Handle quick save function (startArticleProcessing is wrapped and takes only ProcessingData)
+ * @property {function(import('./types.js').ExportFormat, function(import('./types.js').ProcessingData): Promise<boolean>, number?, {selectionOnly?: boolean}=): Promise<void>} handleQuickSave - Handle quick save function (startArticleProcessing is wrapped and takes only ProcessingData)
+ * @property {function(Array<QueueJobInput>, string=, boolean=): Promise<Array<QueueJob>>} [addToQueue] - Add pages to batch queue function
+ * @property {function(number): Promise<any>} [handleElementPicker] - Run element picker in tab and save user selectors
+ */
+
+/**
+ * @typedef {Object} QueueRunnerDeps
+ * @property {function(string, any?): void} log - Log function
+ * @property {function(string, any?): void} logWarn - Warning logging function
+ * @property {function(string, any?): void} logError - Error logging function
+ * @property {import('./types.js').Config} CONFIG - Configuration object
+ * @property {function(): Promise<string>} getUILanguage - Get UI language function
+ * @property {function(string, string): string} tSync - Synchronous translation function
+ * @property {function(): import('./types.js').ProcessingState} getProcessingState - Get processing state function
+ * @property {function(function(): Promise<void>): Promise<Object>} cancelProcessing - Cancel processing function
+ * @property {function(string|null): void} setQueueJobLock - Reserve processing for running queue job (null to release)
+ * @property {function(): Promise<void>} stopKeepAlive - Stop keep-alive function
+ * @property {function(import('./types.js').ProcessingData): Promise<boolean>} startArticleProcessing - Start article processing function (already wrapped with extractFromPageInlined)
+ * @property {function(import('./types.js').ProcessingData, Array<AnthologyChapter>): Promise<boolean>} startAnthologyProcessing - Start anthology generation function
+ * @property {function(number?): Promise<{html: string, url: string, title: string, tabId: number, isPdf?: boolean}>} extractPageContent - Extract page content function
+ * @property {function(import('./types.js').ExportFormat, any): Promise<import('./types.js').ProcessingData>} prepareQuickSaveProcessingData - Prepare processing data from settings function
+ * @property {function(string, string=): Promise<void>} createNotification - Create notification function
+ * @property {typeof import('./state/queue.js')} queue - Queue state module
+ * @property {typeof import('./state/anthology.js')} anthology - Anthology chapters state module
+ */
+
+/**
+ * @typedef {Object} QueueRunner
+ * @property {function(): Array<QueueJob>} getQueue - Get all jobs
+ * @property {function(Array<QueueJobInput>, string?, boolean?): Promise<Array<QueueJob>>} enqueue - Add pages to queue and start processing (optionally as one book)
+ * @property {function(number?, string?, boolean?): Promise<Array<QueueJob>>} enqueueWindowTabs - Add all web pages of window to queue
+ * @property {function(string): Promise<boolean>} cancelQueueJob - Cancel job
+ * @property {function(string): Promise<boolean>} retryQueueJob - Retry failed or cancelled job
+ * @property {function(string): Promise<boolean>} removeQueueJob - Remove job
+ * @property {function(): Promise<number>} clearFinishedQueueJobs - Remove finished jobs
+ * @property {function(): Promise<void>} resumeQueue - Restore queue from storage and continue pending jobs
  */
 
 /**
@@ -1144,6 +1317,8 @@
  * @property {function(): void} startKeepAlive - Start keep-alive function
  * @property {function(string, any?): void} addLogToCollection - Add log to collection function
  * @property {function(): Promise<void>} exportAllLogsToFile - Export all logs to file function
+ * @property {QueueRunner} [queueRunner] - Batch queue runner
+ * @property {function(import('./types.js').ProcessingData, import('./types.js').ExtractionResult): Promise<boolean>} [startSummaryExport] - Start document generation from summary
  */
 
 /**
@@ -1166,6 +1341,7 @@
  * @property {function(): Promise<void>} restoreStateFromStorage - Restore state from storage function
  * @property {function(): Promise<void>} runInitialization - Run initialization tasks function
  * @property {function(): void} startKeepAlive - Start keep-alive function
+ * @property {function(): Promise<void>} [resumeQueue] - Restore batch queue and continue pending jobs function
  */
 
 // Export empty object to make this file a valid ES module
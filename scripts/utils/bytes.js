@@ -0,0 +1,17 @@
+// @ts-check
+// Byte array helpers shared by audio containers (ID3, M4B) and offscreen encoders
+
+/**
+ * Join byte arrays
+ * @param {Array<ArrayLike<number>>} parts - Parts
+ * @returns {Uint8Array<ArrayBuffer>} Joined bytes
+ */
+export function concatBytes(parts) {
+  const result = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    result.set(part, offset);
+    offset += part.length;
+  }
+  return result;
+}
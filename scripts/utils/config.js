@@ -1,6 +1,8 @@
 // @ts-check
 // Configuration constants for ClipAIble extension
 
+import { LANGUAGES, DEFAULT_DOCUMENT_LABELS, getLanguageLocale } from './languages.js';
+
 /**
  * @readonly
  * @const {import('../types.js').Config}
@@ -14,6 +16,7 @@ export const CONFIG = {
   
   // Timeouts
   API_TIMEOUT_MS: 120 * 60 * 1000, // 120 minutes (2 hours) timeout for API requests (increased for very long articles, large PDFs, and slow networks)
+  CUSTOM_API_MODELS_TIMEOUT_MS: 15000, // 15 seconds timeout for model list request to custom endpoint (local server may be not running)
   STATE_EXPIRY_MS: 7 * 24 * 60 * 60 * 1000, // 7 days - stale state threshold (increased for very long operations like 1000-page PDFs)
   // NOTE: STATE_SAVE_INTERVAL removed - keep-alive now uses only alarms (every 1 minute)
   // Alarms can wake up terminated service workers, intervals cannot
@@ -72,6 +75,17 @@ export const CONFIG = {
   UI_RETRY_DELAY: 100,            // ms - retry delay for failed saves
   UI_CONTEXT_MENU_DELAY: 50,      // ms - delay for context menu operations
   
+  // Batch queue
+  QUEUE_MAX_JOBS: 200,            // Maximum number of jobs kept in the processing queue
+  QUEUE_POLL_INTERVAL_MS: 1000,   // ms - interval for mirroring progress of the running queue job
+  QUEUE_TAB_LOAD_TIMEOUT_MS: 60 * 1000, // ms - timeout for loading a queued URL in a background tab
+  
+  // E-book covers (EPUB/FB2)
+  COVER_WIDTH: 1600,              // px - cover image width (1:1.6 ratio recommended by e-book stores)
+  COVER_HEIGHT: 2560,             // px - cover image height
+  COVER_JPEG_QUALITY: 0.9,        // JPEG quality for rendered covers
+  COVER_MIN_HERO_WIDTH: 400,      // px - smaller hero images (logos, icons) are replaced with typographic cover
+  
   // Storage
   STORAGE_SAVE_DEBOUNCE: 5000,    // ms - debounce for storage saves (background) - OPTIMIZED: increased from 500ms to 5s to reduce load
   STORAGE_SAVE_DEBOUNCE_AUDIO: 3000, // ms - debounce for audio storage saves (longer to avoid blocking WASM operations)
@@ -93,6 +107,12 @@ export const CONFIG = {
   // Extraction
   EXTRACTION_AUTOMATIC_TIMEOUT: 30000,  // ms - timeout for automatic extraction (30 seconds)
   
+  // Multi-page articles
+  PAGINATION_DEFAULT_MAX_PAGES: 10,     // Default maximum number of pages merged into one article (1 = current page only)
+  PAGINATION_MAX_PAGES_LIMIT: 50,       // Upper bound of the page cap setting
+  PAGINATION_TAB_LOAD_TIMEOUT_MS: 30 * 1000, // ms - timeout for loading next page in a background tab
+  PAGINATION_POLL_INTERVAL_MS: 300,     // ms - interval for checking next page tab status
+  
   // Translation
   TRANSLATION_RETRY_DELAYS: [2000, 5000, 10000, 20000, 30000], // ms - retry delays for translation
   
@@ -120,165 +140,28 @@ export const CONFIG = {
  * @readonly
  * @const {Record<string, string>}
  */
-export const LANGUAGE_NAMES = {
-  'en': 'English',
-  'ru': 'Russian',
-  'ua': 'Ukrainian',
-  'de': 'German',
-  'fr': 'French',
-  'es': 'Spanish',
-  'it': 'Italian',
-  'pt': 'Portuguese',
-  'zh': 'Chinese',
-  'ja': 'Japanese',
-  'ko': 'Korean'
-};
+export const LANGUAGE_NAMES = Object.fromEntries(
+  Object.values(LANGUAGES).map(language => [language.code, language.name])
+);
 
 /**
  * "Hello world" examples in different languages for translation prompts
  * @readonly
  * @const {Record<string, string>}
  */
-export const HELLO_WORLD_EXAMPLES = {
-  'en': 'Hello world',
-  'ru': 'Привет мир',
-  'ua': 'Привіт світ',
-  'de': 'Hallo Welt',
-  'fr': 'Bonjour le monde',
-  'es': 'Hola mundo',
-  'it': 'Ciao mondo',
-  'pt': 'Olá mundo',
-  'zh': '你好世界',
-  'ja': 'こんにちは世界',
-  'ko': '안녕하세요 세계'
-};
+export const HELLO_WORLD_EXAMPLES = Object.fromEntries(
+  Object.values(LANGUAGES).map(language => [language.code, language.helloWorld])
+);
 
 /**
  * Localization strings for PDF metadata
+ * Languages without entry fall back to English labels (PDF_LOCALIZATION.en)
  * @readonly
  * @const {Record<string, Record<string, string>>}
  */
 export const PDF_LOCALIZATION = {
-  'en': {
-    originalArticle: 'Original article',
-    words: 'words',
-    contents: 'Contents',
-    date: 'Date',
-    source: 'Source',
-    author: 'Author',
-    abstract: 'TL;DR',
-    footnotes: 'Footnotes'
-  },
-  'ru': {
-    originalArticle: 'Оригинал статьи',
-    words: 'слов',
-    contents: 'Содержание',
-    date: 'Дата',
-    source: 'Источник',
-    author: 'Автор',
-    abstract: 'TL;DR',
-    footnotes: 'Сноски'
-  },
-  'ua': {
-    originalArticle: 'Оригінал статті',
-    words: 'слів',
-    contents: 'Зміст',
-    date: 'Дата',
-    source: 'Джерело',
-    author: 'Автор',
-    abstract: 'TL;DR',
-    footnotes: 'Виноски'
-  },
-  'de': {
-    originalArticle: 'Originalartikel',
-    words: 'Wörter',
-    contents: 'Inhalt',
-    date: 'Datum',
-    source: 'Quelle',
-    author: 'Autor',
-    abstract: 'Zusammenfassung',
-    footnotes: 'Fußnoten'
-  },
-  'fr': {
-    originalArticle: 'Article original',
-    words: 'mots',
-    contents: 'Sommaire',
-    date: 'Date',
-    source: 'Source',
-    author: 'Auteur',
-    abstract: 'Résumé',
-    footnotes: 'Notes'
-  },
-  'es': {
-    originalArticle: 'Artículo original',
-    words: 'palabras',
-    contents: 'Contenido',
-    date: 'Fecha',
-    source: 'Fuente',
-    author: 'Autor',
-    abstract: 'Resumen',
-    footnotes: 'Notas'
-  },
-  'it': {
-    originalArticle: 'Articolo originale',
-    words: 'parole',
-    contents: 'Indice',
-    date: 'Data',
-    source: 'Fonte',
-    author: 'Autore',
-    abstract: 'Riassunto',
-    footnotes: 'Note'
-  },
-  'pt': {
-    originalArticle: 'Artigo original',
-    words: 'palavras',
-    contents: 'Sumário',
-    date: 'Data',
-    source: 'Fonte',
-    author: 'Autor',
-    abstract: 'Resumo',
-    footnotes: 'Notas de rodapé'
-  },
-  'zh': {
-    originalArticle: '原文',
-    words: '字',
-    contents: '目录',
-    date: '日期',
-    source: '来源',
-    author: '作者',
-    abstract: '摘要',
-    footnotes: '脚注'
-  },
-  'ja': {
-    originalArticle: '元の記事',
-    words: '語',
-    contents: '目次',
-    date: '日付',
-    source: '出典',
-    author: '著者',
-    abstract: '要約',
-    footnotes: '脚注'
-  },
-  'ko': {
-    originalArticle: '원본 기사',
-    words: '단어',
-    contents: '목차',
-    date: '날짜',
-    source: '출처',
-    author: '저자',
-    abstract: '요약',
-    footnotes: '각주'
-  },
-  'auto': {
-    originalArticle: 'Original article',
-    words: 'words',
-    contents: 'Contents',
-    date: 'Date',
-    source: 'Source',
-    author: 'Author',
-    abstract: 'TL;DR',
-    footnotes: 'Footnotes'
-  }
+  ...Object.fromEntries(Object.values(LANGUAGES).map(language => [language.code, language.labels])),
+  'auto': DEFAULT_DOCUMENT_LABELS
 };
 
 /**
@@ -297,26 +180,7 @@ export const NO_TRANSLATION_MARKER = '[NO_TRANSLATION_NEEDED]';
  * @returns {string} Locale string (e.g., 'ru-RU', 'en-US')
  */
 export function getLocaleFromLanguage(langCode) {
-  const localeMap = {
-    'ru': 'ru-RU',
-    'ua': 'uk-UA',
-    'en': 'en-US',
-    'de': 'de-DE',
-    'fr': 'fr-FR',
-    'es': 'es-ES',
-    'it': 'it-IT',
-    'pt': 'pt-PT',
-    'zh': 'zh-CN',
-    'ja': 'ja-JP',
-    'ko': 'ko-KR',
-    'ar': 'ar-SA',
-    'hi': 'hi-IN',
-    'pl': 'pl-PL',
-    'nl': 'nl-NL',
-    'tr': 'tr-TR',
-    'auto': 'en-US'
-  };
-  return localeMap[langCode] || 'en-US';
+  return getLanguageLocale(langCode);
 }
 
 /**
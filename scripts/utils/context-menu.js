@@ -9,7 +9,8 @@ import { tSync } from '../locales.js';
 
 /**
  * Menu item definitions for context menu
- * @type {Array<{id: string, translationKey: string, parentId?: string}>}
+ * Items are shown in page context unless contexts are set
+ * @type {Array<{id: string, translationKey: string, parentId?: string, contexts?: chrome.contextMenus.CreateProperties['contexts']}>}
  */
 const MENU_ITEMS = [
   { id: 'clipaible-save-as', translationKey: 'contextMenuSaveAs' },
@@ -17,7 +18,15 @@ const MENU_ITEMS = [
   { id: 'save-as-epub', translationKey: 'saveAsEpub', parentId: 'clipaible-save-as' },
   { id: 'save-as-fb2', translationKey: 'saveAsFb2', parentId: 'clipaible-save-as' },
   { id: 'save-as-markdown', translationKey: 'saveAsMarkdown', parentId: 'clipaible-save-as' },
-  { id: 'save-as-audio', translationKey: 'saveAsAudio', parentId: 'clipaible-save-as' }
+  { id: 'save-as-audio', translationKey: 'saveAsAudio', parentId: 'clipaible-save-as' },
+  { id: 'add-to-queue', translationKey: 'contextMenuAddToQueue', parentId: 'clipaible-save-as' },
+  { id: 'clipaible-save-selection-as', translationKey: 'contextMenuSaveSelectionAs', contexts: ['selection'] },
+  { id: 'save-selection-as-pdf', translationKey: 'saveAsPdf', parentId: 'clipaible-save-selection-as', contexts: ['selection'] },
+  { id: 'save-selection-as-epub', translationKey: 'saveAsEpub', parentId: 'clipaible-save-selection-as', contexts: ['selection'] },
+  { id: 'save-selection-as-fb2', translationKey: 'saveAsFb2', parentId: 'clipaible-save-selection-as', contexts: ['selection'] },
+  { id: 'save-selection-as-markdown', translationKey: 'saveAsMarkdown', parentId: 'clipaible-save-selection-as', contexts: ['selection'] },
+  { id: 'save-selection-as-audio', translationKey: 'saveAsAudio', parentId: 'clipaible-save-selection-as', contexts: ['selection'] },
+  { id: 'clipaible-pick-content', translationKey: 'contextMenuPickContent' }
 ];
 
 /**
@@ -30,7 +39,15 @@ const FALLBACK_TITLES = {
   'save-as-epub': 'Save as EPUB',
   'save-as-fb2': 'Save as FB2',
   'save-as-markdown': 'Save as Markdown',
-  'save-as-audio': 'Save as Audio'
+  'save-as-audio': 'Save as Audio',
+  'add-to-queue': 'Add to queue',
+  'clipaible-save-selection-as': 'Save selection as',
+  'save-selection-as-pdf': 'Save as PDF',
+  'save-selection-as-epub': 'Save as EPUB',
+  'save-selection-as-fb2': 'Save as FB2',
+  'save-selection-as-markdown': 'Save as Markdown',
+  'save-selection-as-audio': 'Save as Audio',
+  'clipaible-pick-content': 'Pick article content on page'
 };
 
 /**
@@ -66,7 +83,7 @@ export function createContextMenuItems(lang, useFallback = false) {
     const options = {
       id: item.id,
       title: title,
-      contexts: ['page']
+      contexts: item.contexts || ['page']
     };
     
     if (item.parentId) {
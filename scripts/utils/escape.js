@@ -0,0 +1,25 @@
+// @ts-check
+// Escaping helpers shared by text processing (pronunciation, normalization, glossary) and XML writers
+
+/**
+ * Escape text for use in RegExp
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+export function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Escape text for XML element or attribute
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+export function escapeXml(text) {
+  return String(text || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
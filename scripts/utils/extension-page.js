@@ -0,0 +1,42 @@
+// @ts-check
+// Helpers shared by extension pages opened in tabs (queue, review, player, voices, podcast)
+
+import { UI_LOCALES } from '../locales.js';
+
+/**
+ * Apply localization to elements with data-i18n, data-i18n-placeholder and data-i18n-title attributes
+ * Missing keys fall back to English, then to text already in markup.
+ * @param {string} uiLang - UI language code
+ */
+export function applyLocalization(uiLang) {
+  const locale = UI_LOCALES[uiLang] || UI_LOCALES.en;
+  document.documentElement.lang = uiLang;
+  document.querySelectorAll('[data-i18n]').forEach(element => {
+    const key = element.getAttribute('data-i18n');
+    element.textContent = locale[key] || UI_LOCALES.en[key] || element.textContent;
+  });
+  document.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+    const key = element.getAttribute('data-i18n-placeholder');
+    if (element instanceof HTMLInputElement || element instanceof HTMLTextAreaElement) {
+      element.placeholder = locale[key] || UI_LOCALES.en[key] || element.placeholder;
+    }
+  });
+  document.querySelectorAll('[data-i18n-title]').forEach(element => {
+    const key = element.getAttribute('data-i18n-title');
+    element.setAttribute('title', locale[key] || UI_LOCALES.en[key] || '');
+  });
+}
+
+/**
+ * Send message to background and throw on error response
+ * @param {Object} message - Message
+ * @returns {Promise<any>} Response
+ * @throws {Error} If background responded with error
+ */
+export async function sendBackgroundMessage(message) {
+  const response = await chrome.runtime.sendMessage(message);
+  if (response?.error) {
+    throw new Error(response.error);
+  }
+  return response;
+}
@@ -0,0 +1,681 @@
+// @ts-check
+// Registry of translation target languages
+// Adding entry to LANGUAGES is enough to support language everywhere: target language list in popup,
+// translation and summary prompts, language detection, document labels and dates of PDF/EPUB/FB2/Markdown.
+// Other languages the model can handle are accepted as BCP 47 codes (name, locale and direction from Intl)
+// or as plain language names, generated documents use English labels for them.
+
+/**
+ * @typedef {Object} DocumentLabels
+ * @property {string} originalArticle - Link to original article
+ * @property {string} words - Word count unit
+ * @property {string} contents - Table of contents title
+ * @property {string} date - Publication date
+ * @property {string} source - Source URL
+ * @property {string} author - Author
+ * @property {string} abstract - TL;DR title
+ * @property {string} footnotes - Footnotes title
+ * @property {string} anthology - Anthology title
+ * @property {string} articles - Anthology contents title
+ * @property {string} publisher - Publisher
+ */
+
+/**
+ * @typedef {Object} LanguageInfo
+ * @property {string} code - Language code used in settings ('ua' for Ukrainian)
+ * @property {string} name - English name, used in prompts
+ * @property {string} nativeName - Name in language itself, shown in popup
+ * @property {string} locale - Locale for dates and numbers
+ * @property {string} script - ISO 15924 script code
+ * @property {'ltr'|'rtl'} direction - Text direction
+ * @property {string} helloWorld - "Hello world" example for prompts
+ * @property {string} dateExample - December 3, 2025 written in language, example for date prompts
+ * @property {DocumentLabels} labels - Labels of generated documents
+ * @property {Array<string>} [aliases] - Other codes of language
+ */
+
+/**
+ * Registered languages in popup order
+ * @readonly
+ * @type {Record<string, LanguageInfo>}
+ */
+export const LANGUAGES = {
+  'en': {
+    code: 'en',
+    name: 'English',
+    nativeName: 'English',
+    locale: 'en-US',
+    script: 'Latn',
+    direction: 'ltr',
+    helloWorld: 'Hello world',
+    dateExample: 'December 3, 2025',
+    labels: {
+      originalArticle: 'Original article',
+      words: 'words',
+      contents: 'Contents',
+      date: 'Date',
+      source: 'Source',
+      author: 'Author',
+      abstract: 'TL;DR',
+      footnotes: 'Footnotes',
+      anthology: 'Anthology',
+      articles: 'Articles',
+      publisher: 'Publisher'
+    }
+  },
+  'ru': {
+    code: 'ru',
+    name: 'Russian',
+    nativeName: 'Русский',
+    locale: 'ru-RU',
+    script: 'Cyrl',
+    direction: 'ltr',
+    helloWorld: 'Привет мир',
+    dateExample: '3 декабря 2025',
+    labels: {
+      originalArticle: 'Оригинал статьи',
+      words: 'слов',
+      contents: 'Содержание',
+      date: 'Дата',
+      source: 'Источник',
+      author: 'Автор',
+      abstract: 'TL;DR',
+      footnotes: 'Сноски',
+      anthology: 'Сборник статей',
+      articles: 'Статьи',
+      publisher: 'Издатель'
+    }
+  },
+  'ua': {
+    code: 'ua',
+    name: 'Ukrainian',
+    nativeName: 'Українська',
+    locale: 'uk-UA',
+    script: 'Cyrl',
+    direction: 'ltr',
+    helloWorld: 'Привіт світ',
+    dateExample: '3 грудня 2025',
+    aliases: ['uk'],
+    labels: {
+      originalArticle: 'Оригінал статті',
+      words: 'слів',
+      contents: 'Зміст',
+      date: 'Дата',
+      source: 'Джерело',
+      author: 'Автор',
+      abstract: 'TL;DR',
+      footnotes: 'Виноски',
+      anthology: 'Збірка статей',
+      articles: 'Статті',
+      publisher: 'Видавець'
+    }
+  },
+  'de': {
+    code: 'de',
+    name: 'German',
+    nativeName: 'Deutsch',
+    locale: 'de-DE',
+    script: 'Latn',
+    direction: 'ltr',
+    helloWorld: 'Hallo Welt',
+    dateExample: '3. Dezember 2025',
+    labels: {
+      originalArticle: 'Originalartikel',
+      words: 'Wörter',
+      contents: 'Inhalt',
+      date: 'Datum',
+      source: 'Quelle',
+      author: 'Autor',
+      abstract: 'Zusammenfassung',
+      footnotes: 'Fußnoten',
+      anthology: 'Sammelband',
+      articles: 'Artikel',
+      publisher: 'Herausgeber'
+    }
+  },
+  'fr': {
+    code: 'fr',
+    name: 'French',
+    nativeName: 'Français',
+    locale: 'fr-FR',
+    script: 'Latn',
+    direction: 'ltr',
+    helloWorld: 'Bonjour le monde',
+    dateExample: '3 décembre 2025',
+    labels: {
+      originalArticle: 'Article original',
+      words: 'mots',
+      contents: 'Sommaire',
+      date: 'Date',
+      source: 'Source',
+      author: 'Auteur',
+      abstract: 'Résumé',
+      footnotes: 'Notes',
+      anthology: 'Recueil',
+      articles: 'Articles',
+      publisher: 'Éditeur'
+    }
+  },
+  'es': {
+    code: 'es',
+    name: 'Spanish',
+    nativeName: 'Español',
+    locale: 'es-ES',
+    script: 'Latn',
+    direction: 'ltr',
+    helloWorld: 'Hola mundo',
+    dateExample: '3 de diciembre de 2025',
+    labels: {
+      originalArticle: 'Artículo original',
+      words: 'palabras',
+      contents: 'Contenido',
+      date: 'Fecha',
+      source: 'Fuente',
+      author: 'Autor',
+      abstract: 'Resumen',
+      footnotes: 'Notas',
+      anthology: 'Antología',
+      articles: 'Artículos',
+      publisher: 'Editor'
+    }
+  },
+  'it': {
+    code: 'it',
+    name: 'Italian',
+    nativeName: 'Italiano',
+    locale: 'it-IT',
+    script: 'Latn',
+    direction: 'ltr',
+    helloWorld: 'Ciao mondo',
+    dateExample: '3 dicembre 2025',
+    labels: {
+      originalArticle: 'Articolo originale',
+      words: 'parole',
+      contents: 'Indice',
+      date: 'Data',
+      source: 'Fonte',
+      author: 'Autore',
+      abstract: 'Riassunto',
+      footnotes: 'Note',
+      anthology: 'Antologia',
+      articles: 'Articoli',
+      publisher: 'Editore'
+    }
+  },
+  'pt': {
+    code: 'pt',
+    name: 'Portuguese',
+    nativeName: 'Português',
+    locale: 'pt-PT',
+    script: 'Latn',
+    direction: 'ltr',
+    helloWorld: 'Olá mundo',
+    dateExample: '3 de dezembro de 2025',
+    labels: {
+      originalArticle: 'Artigo original',
+      words: 'palavras',
+      contents: 'Sumário',
+      date: 'Data',
+      source: 'Fonte',
+      author: 'Autor',
+      abstract: 'Resumo',
+      footnotes: 'Notas de rodapé',
+      anthology: 'Antologia',
+      articles: 'Artigos',
+      publisher: 'Editora'
+    }
+  },
+  'pl': {
+    code: 'pl',
+    name: 'Polish',
+    nativeName: 'Polski',
+    locale: 'pl-PL',
+    script: 'Latn',
+    direction: 'ltr',
+    helloWorld: 'Witaj świecie',
+    dateExample: '3 grudnia 2025',
+    labels: {
+      originalArticle: 'Oryginalny artykuł',
+      words: 'słów',
+      contents: 'Spis treści',
+      date: 'Data',
+      source: 'Źródło',
+      author: 'Autor',
+      abstract: 'Streszczenie',
+      footnotes: 'Przypisy',
+      anthology: 'Antologia',
+      articles: 'Artykuły',
+      publisher: 'Wydawca'
+    }
+  },
+  'nl': {
+    code: 'nl',
+    name: 'Dutch',
+    nativeName: 'Nederlands',
+    locale: 'nl-NL',
+    script: 'Latn',
+    direction: 'ltr',
+    helloWorld: 'Hallo wereld',
+    dateExample: '3 december 2025',
+    labels: {
+      originalArticle: 'Origineel artikel',
+      words: 'woorden',
+      contents: 'Inhoud',
+      date: 'Datum',
+      source: 'Bron',
+      author: 'Auteur',
+      abstract: 'Samenvatting',
+      footnotes: 'Voetnoten',
+      anthology: 'Bloemlezing',
+      articles: 'Artikelen',
+      publisher: 'Uitgever'
+    }
+  },
+  'tr': {
+    code: 'tr',
+    name: 'Turkish',
+    nativeName: 'Türkçe',
+    locale: 'tr-TR',
+    script: 'Latn',
+    direction: 'ltr',
+    helloWorld: 'Merhaba dünya',
+    dateExample: '3 Aralık 2025',
+    labels: {
+      originalArticle: 'Orijinal makale',
+      words: 'kelime',
+      contents: 'İçindekiler',
+      date: 'Tarih',
+      source: 'Kaynak',
+      author: 'Yazar',
+      abstract: 'Özet',
+      footnotes: 'Dipnotlar',
+      anthology: 'Antoloji',
+      articles: 'Makaleler',
+      publisher: 'Yayıncı'
+    }
+  },
+  'vi': {
+    code: 'vi',
+    name: 'Vietnamese',
+    nativeName: 'Tiếng Việt',
+    locale: 'vi-VN',
+    script: 'Latn',
+    direction: 'ltr',
+    helloWorld: 'Xin chào thế giới',
+    dateExample: '3 tháng 12, 2025',
+    labels: {
+      originalArticle: 'Bài viết gốc',
+      words: 'từ',
+      contents: 'Mục lục',
+      date: 'Ngày',
+      source: 'Nguồn',
+      author: 'Tác giả',
+      abstract: 'Tóm tắt',
+      footnotes: 'Chú thích',
+      anthology: 'Tuyển tập',
+      articles: 'Bài viết',
+      publisher: 'Nhà xuất bản'
+    }
+  },
+  'id': {
+    code: 'id',
+    name: 'Indonesian',
+    nativeName: 'Bahasa Indonesia',
+    locale: 'id-ID',
+    script: 'Latn',
+    direction: 'ltr',
+    helloWorld: 'Halo dunia',
+    dateExample: '3 Desember 2025',
+    labels: {
+      originalArticle: 'Artikel asli',
+      words: 'kata',
+      contents: 'Daftar isi',
+      date: 'Tanggal',
+      source: 'Sumber',
+      author: 'Penulis',
+      abstract: 'Ringkasan',
+      footnotes: 'Catatan kaki',
+      anthology: 'Antologi',
+      articles: 'Artikel',
+      publisher: 'Penerbit'
+    }
+  },
+  'ar': {
+    code: 'ar',
+    name: 'Arabic',
+    nativeName: 'العربية',
+    locale: 'ar-SA',
+    script: 'Arab',
+    direction: 'rtl',
+    helloWorld: 'مرحبا بالعالم',
+    dateExample: '3 ديسمبر 2025',
+    labels: {
+      originalArticle: 'المقال الأصلي',
+      words: 'كلمة',
+      contents: 'المحتويات',
+      date: 'التاريخ',
+      source: 'المصدر',
+      author: 'المؤلف',
+      abstract: 'الملخص',
+      footnotes: 'الحواشي',
+      anthology: 'مختارات',
+      articles: 'المقالات',
+      publisher: 'الناشر'
+    }
+  },
+  'he': {
+    code: 'he',
+    name: 'Hebrew',
+    nativeName: 'עברית',
+    locale: 'he-IL',
+    script: 'Hebr',
+    direction: 'rtl',
+    helloWorld: 'שלום עולם',
+    dateExample: '3 בדצמבר 2025',
+    aliases: ['iw'],
+    labels: {
+      originalArticle: 'המאמר המקורי',
+      words: 'מילים',
+      contents: 'תוכן העניינים',
+      date: 'תאריך',
+      source: 'מקור',
+      author: 'מחבר',
+      abstract: 'תקציר',
+      footnotes: 'הערות שוליים',
+      anthology: 'אנתולוגיה',
+      articles: 'מאמרים',
+      publisher: 'מוציא לאור'
+    }
+  },
+  'hi': {
+    code: 'hi',
+    name: 'Hindi',
+    nativeName: 'हिन्दी',
+    locale: 'hi-IN',
+    script: 'Deva',
+    direction: 'ltr',
+    helloWorld: 'नमस्ते दुनिया',
+    dateExample: '3 दिसंबर 2025',
+    labels: {
+      originalArticle: 'मूल लेख',
+      words: 'शब्द',
+      contents: 'विषय-सूची',
+      date: 'तारीख',
+      source: 'स्रोत',
+      author: 'लेखक',
+      abstract: 'सारांश',
+      footnotes: 'फ़ुटनोट',
+      anthology: 'संकलन',
+      articles: 'लेख',
+      publisher: 'प्रकाशक'
+    }
+  },
+  'zh': {
+    code: 'zh',
+    name: 'Chinese',
+    nativeName: '中文',
+    locale: 'zh-CN',
+    script: 'Hans',
+    direction: 'ltr',
+    helloWorld: '你好世界',
+    dateExample: '2025年12月3日',
+    labels: {
+      originalArticle: '原文',
+      words: '字',
+      contents: '目录',
+      date: '日期',
+      source: '来源',
+      author: '作者',
+      abstract: '摘要',
+      footnotes: '脚注',
+      anthology: '文集',
+      articles: '文章',
+      publisher: '出版方'
+    }
+  },
+  'ja': {
+    code: 'ja',
+    name: 'Japanese',
+    nativeName: '日本語',
+    locale: 'ja-JP',
+    script: 'Jpan',
+    direction: 'ltr',
+    helloWorld: 'こんにちは世界',
+    dateExample: '2025年12月3日',
+    labels: {
+      originalArticle: '元の記事',
+      words: '語',
+      contents: '目次',
+      date: '日付',
+      source: '出典',
+      author: '著者',
+      abstract: '要約',
+      footnotes: '脚注',
+      anthology: 'アンソロジー',
+      articles: '記事',
+      publisher: '発行元'
+    }
+  },
+  'ko': {
+    code: 'ko',
+    name: 'Korean',
+    nativeName: '한국어',
+    locale: 'ko-KR',
+    script: 'Kore',
+    direction: 'ltr',
+    helloWorld: '안녕하세요 세계',
+    dateExample: '2025년 12월 3일',
+    labels: {
+      originalArticle: '원본 기사',
+      words: '단어',
+      contents: '목차',
+      date: '날짜',
+      source: '출처',
+      author: '저자',
+      abstract: '요약',
+      footnotes: '각주',
+      anthology: '선집',
+      articles: '기사',
+      publisher: '발행처'
+    }
+  }
+};
+
+/**
+ * Labels of documents in languages without own labels (PDF_LOCALIZATION fallback)
+ * @readonly
+ */
+export const DEFAULT_DOCUMENT_LABELS = LANGUAGES.en.labels;
+
+/**
+ * Check that value is language code known to Intl (e.g. 'sw', 'fa', 'pt-BR')
+ * @param {string} value - Value to check
+ * @returns {boolean}
+ */
+function isIntlLanguageCode(value) {
+  if (!/^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i.test(value)) return false;
+  try {
+    return Intl.DateTimeFormat.supportedLocalesOf([value]).length > 0 &&
+      new Intl.DisplayNames(['en'], { type: 'language', fallback: 'none' }).of(value) !== undefined;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Intl language codes by lowercased English and native names, built on first use
+ * @type {Map<string, string>|null}
+ */
+let intlCodesByName = null;
+
+/**
+ * Find two-letter Intl language code by name typed by user (e.g. "Swahili", "فارسی")
+ * @param {string} name - Language name
+ * @returns {string} Language code, empty if name is not known to Intl
+ */
+function findIntlLanguageCode(name) {
+  if (!intlCodesByName) {
+    intlCodesByName = new Map();
+    const englishNames = new Intl.DisplayNames(['en'], { type: 'language', fallback: 'none' });
+    const letters = 'abcdefghijklmnopqrstuvwxyz';
+    for (const first of letters) {
+      for (const second of letters) {
+        const code = first + second;
+        if (!isIntlLanguageCode(code)) continue;
+        const nativeName = new Intl.DisplayNames([code], { type: 'language', fallback: 'none' }).of(code);
+        for (const languageName of [englishNames.of(code), nativeName]) {
+          const key = languageName?.toLowerCase();
+          if (key && !intlCodesByName.has(key)) intlCodesByName.set(key, code);
+        }
+      }
+    }
+  }
+  return intlCodesByName.get(String(name || '').trim().toLowerCase()) || '';
+}
+
+/**
+ * Find registered language by code or alias
+ * @param {string} code - Language code
+ * @returns {LanguageInfo|null} Language, null for 'auto' and not registered languages
+ */
+export function findLanguage(code) {
+  if (!code) return null;
+  const normalized = String(code).toLowerCase();
+  if (Object.prototype.hasOwnProperty.call(LANGUAGES, normalized)) {
+    return LANGUAGES[normalized];
+  }
+  return Object.values(LANGUAGES).find(language => language.aliases?.includes(normalized)) || null;
+}
+
+/**
+ * Resolve language typed by user: registered code, alias or name (English or native) gives registered code,
+ * other Intl language codes and names known to Intl give Intl code, anything else is kept as language name for prompts
+ * @param {string} value - Typed language
+ * @returns {string} Language value for settings, empty for empty input
+ */
+export function resolveLanguageCode(value) {
+  const trimmed = String(value || '').trim();
+  if (!trimmed) return '';
+  const lower = trimmed.toLowerCase();
+  const registered = findLanguage(lower) || Object.values(LANGUAGES).find(language =>
+    language.name.toLowerCase() === lower || language.nativeName.toLowerCase() === lower);
+  if (registered) return registered.code;
+  if (isIntlLanguageCode(trimmed)) return lower;
+  const intlCode = findIntlLanguageCode(lower);
+  if (intlCode) return findLanguage(intlCode)?.code || intlCode;
+  return trimmed;
+}
+
+/**
+ * Get BCP 47 tag of language for document markup (lang, xml:lang, dc:language, FB2 lang)
+ * Settings codes are not always tags ('ua' is 'uk'), language names left in settings give 'und' (undetermined).
+ * @param {string} code - Language code or name
+ * @returns {string} Language tag
+ */
+export function getLanguageTag(code) {
+  const language = findLanguage(code) || findLanguage(findIntlLanguageCode(code));
+  if (language) return new Intl.Locale(language.locale).language;
+  if (isIntlLanguageCode(code)) return Intl.getCanonicalLocales(code)[0];
+  return findIntlLanguageCode(code) || 'und';
+}
+
+/**
+ * Get English name of language for prompts
+ * @param {string} code - Language code or name
+ * @returns {string} Language name (value itself for names typed by user)
+ */
+export function getLanguageName(code) {
+  const language = findLanguage(code);
+  if (language) return language.name;
+  if (isIntlLanguageCode(code)) {
+    return new Intl.DisplayNames(['en'], { type: 'language' }).of(code) || code;
+  }
+  return code;
+}
+
+/**
+ * Get locale of language for dates and numbers
+ * @param {string} code - Language code
+ * @returns {string} Locale, 'en-US' for 'auto' and unknown languages
+ */
+export function getLanguageLocale(code) {
+  const language = findLanguage(code);
+  if (language) return language.locale;
+  return isIntlLanguageCode(code) ? Intl.getCanonicalLocales(code)[0] : 'en-US';
+}
+
+/**
+ * Get text direction of language
+ * @param {string} code - Language code
+ * @returns {'ltr'|'rtl'}
+ */
+export function getLanguageDirection(code) {
+  const language = findLanguage(code);
+  if (language) return language.direction;
+  if (!isIntlLanguageCode(code)) return 'ltr';
+  // Intl.Locale#textInfo is a getter in Chrome, getTextInfo() in newer engines
+  const locale = /** @type {any} */ (new Intl.Locale(code));
+  const textInfo = typeof locale.getTextInfo === 'function' ? locale.getTextInfo() : locale.textInfo;
+  return textInfo?.direction === 'rtl' ? 'rtl' : 'ltr';
+}
+
+/**
+ * Letters of right-to-left scripts: Hebrew, Arabic (Persian, Urdu), Syriac, Thaana, N'Ko
+ */
+const RTL_LETTER_PATTERN = /(?=\p{L})[\p{sc=Hebrew}\p{sc=Arabic}\p{sc=Syriac}\p{sc=Thaana}\p{sc=Nko}]/gu;
+
+/**
+ * Detect text direction by share of right-to-left letters
+ * Latin runs inside RTL text (names, code, URLs) are common, so RTL wins from 30% of letters.
+ * @param {string} text - Text or HTML
+ * @returns {'ltr'|'rtl'}
+ */
+export function detectTextDirection(text) {
+  const plain = String(text || '').replace(/<[^>]*>/g, ' ');
+  const letters = (plain.match(/\p{L}/gu) || []).length;
+  if (letters === 0) return 'ltr';
+  const rtlLetters = (plain.match(RTL_LETTER_PATTERN) || []).length;
+  return rtlLetters / letters >= 0.3 ? 'rtl' : 'ltr';
+}
+
+/**
+ * Get text direction of generated document
+ * Known language (target of translation or detected) decides, otherwise direction is detected
+ * from article text ('auto' and language names typed by user, e.g. "Persian").
+ * @param {string} language - Language code, name or 'auto'
+ * @param {Array<import('../types.js').ContentItem>} [content] - Content items
+ * @returns {'ltr'|'rtl'}
+ */
+export function getDocumentDirection(language, content = []) {
+  if (findLanguage(language) || isIntlLanguageCode(language)) {
+    return getLanguageDirection(language);
+  }
+  // Code and images say nothing about direction, few kilobytes of text are enough
+  const sample = (content || [])
+    .filter(item => item && item.type !== 'code' && item.type !== 'image')
+    .map(item => item.text || item.html || item.content || '')
+    .join(' ')
+    .slice(0, 5000);
+  return detectTextDirection(sample);
+}
+
+/**
+ * List registered codes for language detection prompts
+ * @returns {string} E.g. "'en' (English), 'ru' (Russian), ..."
+ */
+export function formatLanguageCodeList() {
+  return Object.values(LANGUAGES).map(language => `'${language.code}' (${language.name})`).join(', ');
+}
+
+/**
+ * Get example of long date in language for date prompts
+ * @param {string} code - Language code
+ * @returns {string} December 3, 2025 in language
+ */
+export function getDateExample(code) {
+  const language = findLanguage(code);
+  if (language) return language.dateExample;
+  return new Date(Date.UTC(2025, 11, 3)).toLocaleDateString(getLanguageLocale(code), {
+    year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC', calendar: 'gregory'
+  });
+}
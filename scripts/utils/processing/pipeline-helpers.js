@@ -12,6 +12,9 @@ import { recordSave } from '../../stats/index.js';
 import { completeProcessing, setError } from '../../state/processing.js';
 import { handleError } from '../error-handler.js';
 import { detectContentLanguage, generateSummary, generateAbstract } from '../../translation/index.js';
+import { getBilingualMode } from '../../translation/bilingual.js';
+import { getGlossaryEntries, selectGlossaryEntries, saveGlossaryReport } from '../../translation/glossary.js';
+import { getTranslationMemorySettings } from '../../cache/translation-memory.js';
 import { CONFIG } from '../config.js';
 
 // Cache for UI language to avoid repeated async calls
@@ -214,7 +217,7 @@ export async function handleProcessingError(error, data, stopKeepAlive, errorCon
  * Handle translation step in processing pipeline
  * @param {import('../../types.js').ProcessingData} data - Processing data
  * @param {import('../../types.js').ExtractionResult} result - Extracted content result
- * @param {function(import('../../types.js').ExtractionResult, string, string, string, function(Partial<import('../../types.js').ProcessingState>): void): Promise<import('../../types.js').ExtractionResult>} translateContent - Function to translate content
+ * @param {function(import('../../types.js').ExtractionResult, string, string, string, function(Partial<import('../../types.js').ProcessingState>): void, {keepOriginal?: boolean, glossary?: Array<import('../../translation/glossary.js').GlossaryEntry>, memory?: {enabled: boolean, fuzzy: boolean}}=): Promise<import('../../types.js').ExtractionResult>} translateContent - Function to translate content
  * @param {function(Array<import('../../types.js').ContentItem>, string, string, string, string, string, function(Partial<import('../../types.js').ProcessingState>): void): Promise<Array<import('../../types.js').ContentItem>>} translateImages - Function to translate images
  * @param {function(Array<import('../../types.js').ContentItem>): string} detectSourceLanguage - Function to detect source language (synchronous)
  * @param {function(Partial<import('../../types.js').ProcessingState>): void} updateState - Function to update state
@@ -303,7 +306,23 @@ export async function handleTranslation(
   
   await updateProgress(PROCESSING_STAGES.TRANSLATING, 'statusTranslatingText', 45);
   try {
-    result = await translateContent(result, language, data.apiKey, data.model, updateState);
+    const bilingual = await getBilingualMode();
+    const glossaryEntries = await getGlossaryEntries();
+    const glossary = glossaryEntries.length > 0
+      ? selectGlossaryEntries(glossaryEntries, result.detectedLanguage || detectSourceLanguage(result.content), language)
+      : [];
+    const memory = await getTranslationMemorySettings();
+    result = await translateContent(result, language, data.apiKey, data.model, updateState, {
+      keepOriginal: bilingual !== 'off',
+      glossary,
+      memory
+    });
+    if (bilingual !== 'off') {
+      result.bilingual = bilingual;
+    }
+    if (result.glossaryViolations) {
+      await saveGlossaryReport(result.title || '', result.glossaryViolations);
+    }
     log(`✅ Translation complete: content translated to ${language}`, { title: result.title });
   } catch (error) {
     // Use constant pattern matching instead of string includes
@@ -13,10 +13,13 @@ import { detectVideoPlatform } from '../video.js';
 import { processVideoPage } from '../../processing/video.js';
 // processPdfPage and processPdfPageWithAI imported statically (required for service worker)
 import { detectPdfPage, getOriginalPdfUrl } from '../pdf.js';
-import { processWithoutAI, processWithExtractMode, processWithSelectorMode } from '../../processing/modes.js';
-import { handleProcessingResult, handleProcessingError } from './pipeline-helpers.js';
+import { processWithoutAI, processWithExtractMode, processWithSelectorMode, processWithUserSelectors } from '../../processing/modes.js';
+import { getUserSelectors } from '../../cache/selectors.js';
+import { applyStructuredMetadata } from '../../extraction/structured-metadata.js';
+import { handleProcessingResult, handleProcessingError, finalizeProcessing } from './pipeline-helpers.js';
 import { getQuickSaveSettingsKeys, prepareQuickSaveData } from '../../processing/quicksave.js';
 import { processPdfPage, processPdfPageWithAI } from '../../processing/pdf.js';
+import { getAnthologyTitle } from '../../generation/anthology.js';
 
 /**
  * Validate and initialize processing
@@ -41,7 +44,7 @@ export async function validateAndInitializeProcessing(data, stopKeepAlive, start
     timestamp: Date.now()
   });
   
-  if (!(await startProcessing(startKeepAlive))) {
+  if (!(await startProcessing(startKeepAlive, data?.queueJobId || null))) {
     logError('=== startArticleProcessing: startProcessing returned false ===', {
       timestamp: Date.now()
     });
@@ -244,11 +247,17 @@ export async function handleStandardArticleProcessing(
     timestamp: Date.now()
   });
   
+  // User-authored selectors (element picker) replace main content detection in automatic mode
+  // Saved selection is a container made by extension, so it never uses them
+  const userSelectors = mode === 'automatic' && !data.selectionOnly ? await getUserSelectors(data.url) : null;
+  
   // Call processFunction with appropriate arguments
   // processWithSelectorMode requires extractFromPageInlined as second argument
   let processPromise;
   if (mode === 'selector') {
     processPromise = processWithSelectorMode(data, extractFromPageInlined);
+  } else if (userSelectors) {
+    processPromise = processWithUserSelectors(data, userSelectors.selectors, extractFromPageInlined);
   } else if (mode === 'automatic') {
     processPromise = processWithoutAI(data);
   } else {
@@ -257,7 +266,8 @@ export async function handleStandardArticleProcessing(
   
   (async () => {
     try {
-      const result = await processPromise;
+      // Structured metadata (JSON-LD, OpenGraph, citation, Dublin Core) is read from page HTML for every mode
+      const result = applyStructuredMetadata(await processPromise, data.html, data.url);
       log('=== startArticleProcessing: processFunction completed ===', {
         hasResult: !!result,
         resultKeys: result ? Object.keys(result) : [],
@@ -287,6 +297,83 @@ export async function handleStandardArticleProcessing(
   return true;
 }
 
+/**
+ * Handle anthology processing: generate one document from already processed chapters
+ * @param {import('../../types.js').ProcessingData} data - Book-level processing data
+ * @param {Array<import('../../types.js').AnthologyChapter>} chapters - Chapters in book order
+ * @param {function(): Promise<void>} stopKeepAlive - Function to stop keep-alive
+ * @param {function(import('../../types.js').ProcessingData, Array<import('../../types.js').AnthologyChapter>): Promise<any>} generateAnthology - Function to generate anthology document
+ * @param {{current: number}} processingStartTimeRef - Reference object with processingStartTime property
+ * @returns {Promise<boolean>} True if generation started
+ */
+export async function handleAnthologyProcessing(
+  data,
+  chapters,
+  stopKeepAlive,
+  generateAnthology,
+  processingStartTimeRef
+) {
+  // Resolve title here so saved stats and generated file use the same book title
+  const bookData = data.title ? data : { ...data, title: getAnthologyTitle(data.effectiveLanguage || 'auto') };
+  log('Generating anthology', { title: bookData.title, chapters: chapters.length, outputFormat: data.outputFormat });
+  
+  (async () => {
+    try {
+      await generateAnthology(bookData, chapters);
+      await finalizeProcessing(bookData, stopKeepAlive, processingStartTimeRef);
+    } catch (error) {
+      await handleProcessingError(error, bookData, stopKeepAlive, {
+        source: 'anthologyProcessing',
+        errorType: 'anthologyGenerationFailed',
+        context: {
+          format: data.outputFormat,
+          chapters: chapters.length
+        }
+      });
+    }
+  })();
+  
+  return true;
+}
+
+/**
+ * Handle summary export: generate document from summary converted to extraction result
+ * Summary is already short and written in target language, so translation, review and abstract steps are skipped
+ * @param {import('../../types.js').ProcessingData} data - Processing data (settings and output format)
+ * @param {import('../../types.js').ExtractionResult} result - Summary as extraction result
+ * @param {function(): Promise<void>} stopKeepAlive - Function to stop keep-alive
+ * @param {function(import('../../types.js').ProcessingData, import('../../types.js').ExtractionResult): Promise<any>} generateDocument - Function to generate document
+ * @param {{current: number}} processingStartTimeRef - Reference object with processingStartTime property
+ * @returns {Promise<boolean>} True if generation started
+ */
+export async function handleSummaryExportProcessing(
+  data,
+  result,
+  stopKeepAlive,
+  generateDocument,
+  processingStartTimeRef
+) {
+  log('Generating summary document', { title: result.title, contentItems: result.content.length, outputFormat: data.outputFormat });
+  
+  (async () => {
+    try {
+      await generateDocument(data, result);
+      await finalizeProcessing(data, stopKeepAlive, processingStartTimeRef);
+    } catch (error) {
+      await handleProcessingError(error, data, stopKeepAlive, {
+        source: 'summaryExport',
+        errorType: 'summaryExportFailed',
+        context: {
+          format: data.outputFormat,
+          contentItems: result.content.length
+        }
+      });
+    }
+  })();
+  
+  return true;
+}
+
 /**
  * Show quick save notification
  * @param {import('../../types.js').ExportFormat} outputFormat - Output format
@@ -17,9 +17,11 @@ export const MAX_HTML_SIZE = 50 * 1024 * 1024;
  * Validate URL to prevent SSRF (Server-Side Request Forgery) attacks
  * Blocks internal addresses and non-HTTP(S) protocols
  * @param {string} url - URL to validate
+ * @param {{allowLocalNetwork?: boolean}} [options] - Validation options
+ *   allowLocalNetwork: allow localhost, private and link-local addresses (only for endpoints explicitly opted in by user, e.g. self-hosted AI server)
  * @returns {boolean} True if URL is safe for external requests
  */
-export function isValidExternalUrl(url) {
+export function isValidExternalUrl(url, options = {}) {
   if (!url || typeof url !== 'string') {
     return false;
   }
@@ -33,6 +35,10 @@ export function isValidExternalUrl(url) {
       return false;
     }
     
+    if (options.allowLocalNetwork === true) {
+      return true;
+    }
+    
     // Block internal/localhost addresses
     const hostname = urlObj.hostname.toLowerCase();
     
@@ -0,0 +1,89 @@
+// @ts-check
+// Audio file storage in IndexedDB shared by service worker and offscreen document
+// Large audio cannot be passed in runtime messages, so both sides exchange storage keys
+
+import { logWarn } from '../logging.js';
+
+const DB_NAME = 'ClipAIbleAudioStorage';
+const STORE_NAME = 'audioFiles';
+const DB_VERSION = 1;
+
+/**
+ * Open audio storage database
+ * @returns {Promise<IDBDatabase>}
+ * @throws {Error} If IndexedDB is not available or cannot be opened
+ */
+function openAudioDatabase() {
+  return new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('IndexedDB is not available'));
+      return;
+    }
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onerror = () => reject(request.error || new Error('Failed to open audio IndexedDB'));
+    request.onsuccess = () => resolve(request.result);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(STORE_NAME)) {
+        db.createObjectStore(STORE_NAME);
+      }
+    };
+  });
+}
+
+/**
+ * Run single request in audio store transaction
+ * @param {IDBTransactionMode} mode - Transaction mode
+ * @param {function(IDBObjectStore): IDBRequest} createRequest - Request factory
+ * @returns {Promise<any>} Request result
+ */
+async function runAudioRequest(mode, createRequest) {
+  const db = await openAudioDatabase();
+  try {
+    return await new Promise((resolve, reject) => {
+      const transaction = db.transaction([STORE_NAME], mode);
+      const request = createRequest(transaction.objectStore(STORE_NAME));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error || new Error('Audio storage transaction failed'));
+      transaction.onabort = () => reject(transaction.error || new Error('Audio storage transaction aborted'));
+    });
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * Save audio data
+ * @param {string} key - Storage key
+ * @param {ArrayBuffer} buffer - Audio data
+ * @returns {Promise<void>}
+ */
+export async function saveAudioFile(key, buffer) {
+  await runAudioRequest('readwrite', store => store.put(buffer, key));
+}
+
+/**
+ * Read audio data
+ * @param {string} key - Storage key
+ * @returns {Promise<ArrayBuffer|null>} Audio data, null if not found
+ */
+export async function readAudioFile(key) {
+  const result = await runAudioRequest('readonly', store => store.get(key));
+  if (!result) {
+    return null;
+  }
+  return result instanceof ArrayBuffer ? result : new Uint8Array(result).buffer;
+}
+
+/**
+ * Remove audio data (errors are logged, not thrown)
+ * @param {string} key - Storage key
+ * @returns {Promise<void>}
+ */
+export async function removeAudioFile(key) {
+  try {
+    await runAudioRequest('readwrite', store => store.delete(key));
+  } catch (error) {
+    logWarn('[ClipAIble Audio Storage] Failed to remove audio file', { key, error: error.message });
+  }
+}
@@ -4,7 +4,7 @@
 // @ts-check
 
 import { CONFIG } from '../config.js';
-import { getProviderFromModel } from '../../api/index.js';
+import { getProviderFromModel, CUSTOM_NO_API_KEY } from '../../api/index.js';
 import { decryptApiKey } from '../security/encryption.js';
 import { VoiceValidator } from '../validation/voice-validator.js';
 import { log, logDebug, logWarn } from '../logging.js';
@@ -82,7 +82,8 @@ export function getProviderApiKey(provider, settings) {
     'gemini': settings.gemini_api_key,
     'grok': settings.grok_api_key,
     'openrouter': settings.openrouter_api_key,
-    'deepseek': settings.deepseek_api_key
+    'deepseek': settings.deepseek_api_key,
+    'custom': settings.custom_api_key
   };
   
   return keyMap[provider] || null;
@@ -92,12 +93,17 @@ export function getProviderApiKey(provider, settings) {
  * Decrypt API key for provider from settings
  * @param {string} provider - Provider name
  * @param {Record<string, any>} settings - Settings object from storage
- * @returns {Promise<string>} Decrypted API key
+ * @returns {Promise<string>} Decrypted API key (CUSTOM_NO_API_KEY for custom endpoint without API key)
  * @throws {Error} If decryption fails
  */
 export async function getDecryptedProviderApiKey(provider, settings) {
   const encryptedKey = getProviderApiKey(provider, settings);
   
+  // API key is optional for custom endpoint
+  if (provider === 'custom' && !encryptedKey) {
+    return CUSTOM_NO_API_KEY;
+  }
+  
   if (!encryptedKey || typeof encryptedKey !== 'string') {
     throw new Error(`No API key configured for provider: ${provider}`);
   }
@@ -89,3 +89,18 @@ export function cleanAuthor(author) {
   return author.trim();
 }
 
+
+/**
+ * Get author names for formats with separate entry per author (EPUB, FB2)
+ * Structured author list is used only while author string still matches it (not translated or edited)
+ * @param {string} author - Cleaned author string
+ * @param {import('../../types.js').ArticleMetadata|null} [metadata] - Structured article metadata
+ * @returns {Array<string>} Author names (empty if no author)
+ */
+export function getAuthorList(author, metadata) {
+  const authors = metadata?.authors || [];
+  if (authors.length > 1 && author && author === authors.join(', ')) {
+    return authors.filter(name => !isAnonymousAuthor(name));
+  }
+  return author ? [author] : [];
+}
@@ -0,0 +1,158 @@
+// Tests for custom (OpenAI-compatible) endpoint module
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import {
+  CUSTOM_NO_API_KEY,
+  isCustomModel,
+  toCustomModel,
+  getCustomModelName,
+  normalizeCustomBaseUrl,
+  validateCustomBaseUrl,
+  parseCustomJsonContent,
+  listCustomModels,
+  callCustomAPI
+} from '../../scripts/api/custom.js';
+import { getProviderFromModel } from '../../scripts/api/index.js';
+
+vi.mock('../../scripts/utils/logging.js', () => ({
+  log: vi.fn(),
+  logWarn: vi.fn(),
+  logError: vi.fn(),
+  logDebug: vi.fn()
+}));
+
+vi.mock('../../scripts/utils/pipeline-helpers.js', () => ({
+  getUILanguageCached: vi.fn(async () => 'en')
+}));
+
+/**
+ * Create fetch response mock
+ * @param {number} status - HTTP status
+ * @param {Object} body - JSON body
+ */
+function jsonResponse(status, body) {
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    json: async () => body
+  };
+}
+
+describe('api/custom', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    global.fetch = vi.fn();
+    chrome.storage.local.get = vi.fn(async () => ({
+      custom_api_base_url: 'http://localhost:11434/v1',
+      custom_api_allow_local: true
+    }));
+  });
+
+  describe('model values', () => {
+    it('should add and strip routing prefix', () => {
+      expect(toCustomModel('llama3.1:8b')).toBe('custom:llama3.1:8b');
+      expect(toCustomModel('custom:llama3.1:8b')).toBe('custom:llama3.1:8b');
+      expect(getCustomModelName('custom:meta-llama/Llama-3.1-8B')).toBe('meta-llama/Llama-3.1-8B');
+      expect(isCustomModel('gpt-5.1')).toBe(false);
+    });
+
+    it('should route prefixed models to custom provider even with slash in name', () => {
+      expect(getProviderFromModel('custom:meta-llama/Llama-3.1-8B')).toBe('custom');
+      expect(getProviderFromModel('meta-llama/llama-3.1-8b')).toBe('openrouter');
+    });
+  });
+
+  describe('normalizeCustomBaseUrl', () => {
+    it('should add /v1 to server root and remove endpoint paths', () => {
+      expect(normalizeCustomBaseUrl('http://localhost:11434')).toBe('http://localhost:11434/v1');
+      expect(normalizeCustomBaseUrl(' http://localhost:1234/v1/ ')).toBe('http://localhost:1234/v1');
+      expect(normalizeCustomBaseUrl('https://llm.example.com/api/v1/chat/completions')).toBe('https://llm.example.com/api/v1');
+      expect(normalizeCustomBaseUrl('not a url')).toBe('');
+    });
+  });
+
+  describe('validateCustomBaseUrl', () => {
+    it('should require opt-in for local network addresses', async () => {
+      await expect(validateCustomBaseUrl('http://127.0.0.1:8080', false)).rejects.toThrow(/local network/);
+      await expect(validateCustomBaseUrl('http://127.0.0.1:8080', true)).resolves.toBe('http://127.0.0.1:8080/v1');
+      await expect(validateCustomBaseUrl('https://llm.example.com/v1', false)).resolves.toBe('https://llm.example.com/v1');
+    });
+
+    it('should reject non-HTTP URLs even with opt-in', async () => {
+      await expect(validateCustomBaseUrl('file:///etc/passwd', true)).rejects.toThrow(/Invalid endpoint URL/);
+    });
+  });
+
+  describe('parseCustomJsonContent', () => {
+    it('should extract JSON from reasoning, code block and surrounding text', () => {
+      expect(parseCustomJsonContent('<think>plan</think>{"a":1}')).toEqual({ a: 1 });
+      expect(parseCustomJsonContent('```json\n{"a":2}\n```')).toEqual({ a: 2 });
+      expect(parseCustomJsonContent('Here it is: {"a":3} Done.')).toEqual({ a: 3 });
+      expect(parseCustomJsonContent('no json')).toBeNull();
+    });
+  });
+
+  describe('listCustomModels', () => {
+    it('should parse OpenAI and Ollama model lists without sending placeholder key', async () => {
+      global.fetch.mockResolvedValueOnce(jsonResponse(200, { data: [{ id: 'qwen2.5:7b' }, { id: 'llama3.1:8b' }] }));
+      global.fetch.mockResolvedValueOnce(jsonResponse(200, { models: [{ name: 'mistral' }] }));
+
+      expect(await listCustomModels('http://localhost:11434', CUSTOM_NO_API_KEY, true)).toEqual(['llama3.1:8b', 'qwen2.5:7b']);
+      expect(await listCustomModels('http://localhost:11434', '', true)).toEqual(['mistral']);
+
+      const [url, options] = global.fetch.mock.calls[0];
+      expect(url).toBe('http://localhost:11434/v1/models');
+      expect(options.headers.Authorization).toBeUndefined();
+    });
+
+    it('should report unreachable server', async () => {
+      global.fetch.mockRejectedValueOnce(new TypeError('Failed to fetch'));
+
+      await expect(listCustomModels('http://localhost:11434', '', true)).rejects.toThrow(/Cannot connect to http:\/\/localhost:11434\/v1/);
+    });
+  });
+
+  describe('callCustomAPI', () => {
+    it('should send API key and model name without prefix', async () => {
+      global.fetch.mockResolvedValueOnce(jsonResponse(200, { choices: [{ message: { content: 'Hello' } }] }));
+
+      const result = await callCustomAPI('system', 'user', 'secret', 'custom:llama3.1:8b', false);
+
+      expect(result).toBe('Hello');
+      const [url, options] = global.fetch.mock.calls[0];
+      const body = JSON.parse(options.body);
+      expect(url).toBe('http://localhost:11434/v1/chat/completions');
+      expect(options.headers.Authorization).toBe('Bearer secret');
+      expect(body.model).toBe('llama3.1:8b');
+      expect(body.response_format).toBeUndefined();
+    });
+
+    it('should retry without JSON mode when server rejects response_format', async () => {
+      global.fetch
+        .mockResolvedValueOnce(jsonResponse(400, { error: { message: 'response_format is not supported' } }))
+        .mockResolvedValueOnce(jsonResponse(200, { choices: [{ message: { content: '```json\n{"selectors":[]}\n```' } }] }))
+        .mockResolvedValueOnce(jsonResponse(200, { choices: [{ message: { content: '{"ok":true}' } }] }));
+
+      const result = await callCustomAPI('Find selectors', 'html', CUSTOM_NO_API_KEY, 'custom:json-less-model', true);
+
+      expect(result).toEqual({ selectors: [] });
+      const firstBody = JSON.parse(global.fetch.mock.calls[0][1].body);
+      const retryBody = JSON.parse(global.fetch.mock.calls[1][1].body);
+      expect(firstBody.response_format).toEqual({ type: 'json_object' });
+      expect(retryBody.response_format).toBeUndefined();
+      expect(retryBody.messages[0].content).toContain('single valid JSON object');
+
+      // Fallback is remembered for the same endpoint and model
+      await callCustomAPI('Find selectors', 'html', CUSTOM_NO_API_KEY, 'custom:json-less-model', true);
+      expect(global.fetch).toHaveBeenCalledTimes(3);
+      expect(JSON.parse(global.fetch.mock.calls[2][1].body).response_format).toBeUndefined();
+    });
+
+    it('should fail when endpoint is not configured', async () => {
+      chrome.storage.local.get = vi.fn(async () => ({}));
+
+      await expect(callCustomAPI('s', 'u', CUSTOM_NO_API_KEY, 'custom:m', false)).rejects.toThrow(/not set/);
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,62 @@
+// Tests for offline TTS languages derived from voice catalog
+
+import { describe, it, expect, vi } from 'vitest';
+
+vi.mock('../../scripts/utils/logging.js', () => ({
+  log: vi.fn(),
+  logError: vi.fn(),
+  logWarn: vi.fn()
+}));
+
+import {
+  normalizeOfflineLanguage,
+  getOfflineLanguages,
+  isOfflineLanguageSupported,
+  getOfflineVoiceCandidates,
+  OFFLINE_DEFAULT_VOICES,
+  OFFLINE_FALLBACK_VOICES,
+  toOfflineVoiceList
+} from '../../scripts/api/piper-languages.js';
+
+describe('api/piper-languages', () => {
+  it('should take languages from catalog with UI languages first', () => {
+    const languages = getOfflineLanguages();
+
+    expect(languages.slice(0, 3)).toEqual(['en', 'ru', 'de']);
+    expect(languages).toEqual(expect.arrayContaining(['ar', 'ca', 'cs', 'cy', 'da', 'pl', 'tr', 'vi']));
+    expect(languages).not.toContain('uk');
+    expect(isOfflineLanguageSupported('pl-PL')).toBe(true);
+    expect(isOfflineLanguageSupported('ja')).toBe(false);
+    expect(normalizeOfflineLanguage('ua')).toBe('uk');
+    expect(normalizeOfflineLanguage('nb-NO')).toBe('no');
+  });
+
+  it('should pick default and fallback voice for every catalog language', () => {
+    expect(OFFLINE_DEFAULT_VOICES.en).toBe('en_US-lessac-medium');
+    expect(OFFLINE_FALLBACK_VOICES.es).toBe('es_MX-claude-high');
+    expect(OFFLINE_DEFAULT_VOICES.ar).toBe('ar_JO-kareem-medium');
+    expect(OFFLINE_FALLBACK_VOICES.ar).toBe('ar_JO-kareem-medium');
+    expect(OFFLINE_DEFAULT_VOICES.uk).toBeUndefined();
+    // riccardo has only x_low quality
+    expect(getOfflineVoiceCandidates('it')).toEqual(['it_IT-paola-medium']);
+    for (const language of getOfflineLanguages()) {
+      expect(OFFLINE_DEFAULT_VOICES[language]).toMatch(new RegExp(`^${language}_`));
+    }
+  });
+
+  it('should convert library voices to sorted UI list', () => {
+    const list = toOfflineVoiceList([
+      { key: 'pl_PL-gosia-medium', name: 'gosia', language: { code: 'pl_PL' }, quality: 'medium' },
+      { key: 'uk_UA-ukrainian_tts-medium', language: { code: 'uk_UA' }, quality: 'medium' },
+      { key: 'en_US-ryan-medium', name: 'ryan', quality: 'medium' },
+      { key: 'en_US-amy-low', name: 'amy', quality: 'low' },
+      { key: 'en_US-lessac-high', name: 'lessac', quality: 'high' }
+    ]);
+
+    expect(list.map(voice => [voice.id, voice.language])).toEqual([
+      ['en_US-lessac-high', 'en'],
+      ['en_US-ryan-medium', 'en'],
+      ['pl_PL-gosia-medium', 'pl']
+    ]);
+  });
+});
@@ -0,0 +1,86 @@
+// Tests for Piper voice storage helpers (voice manager)
+
+import { describe, it, expect, vi } from 'vitest';
+
+vi.mock('../../scripts/utils/logging.js', () => ({
+  log: vi.fn(),
+  logError: vi.fn(),
+  logWarn: vi.fn()
+}));
+
+import {
+  parsePiperVoiceId,
+  getPiperVoiceList,
+  getPiperVoiceSampleUrl,
+  summarizeStoredVoiceFiles,
+  matchVoiceFiles,
+  isValidVoiceConfig
+} from '../../scripts/api/piper-voice-storage.js';
+
+describe('api/piper-voice-storage', () => {
+  it('should parse voice IDs', () => {
+    expect(parsePiperVoiceId('en_US-libritts_r-medium')).toEqual({
+      id: 'en_US-libritts_r-medium',
+      language: 'en',
+      locale: 'en_US',
+      name: 'libritts_r',
+      quality: 'medium'
+    });
+    expect(parsePiperVoiceId('it_IT-riccardo-x_low').quality).toBe('x_low');
+    expect(parsePiperVoiceId('lessac')).toBeNull();
+  });
+
+  it('should list unique mapped voices with sample URLs', () => {
+    const voices = getPiperVoiceList();
+    const ids = voices.map(voice => voice.id);
+
+    expect(new Set(ids).size).toBe(ids.length);
+    expect(ids).toContain('de_DE-thorsten-high');
+    expect(getPiperVoiceSampleUrl('en_GB-cori-high')).toBe(
+      'https://huggingface.co/rhasspy/piper-voices/resolve/main/en/en_GB/cori/high/samples/speaker_0.mp3'
+    );
+    expect(getPiperVoiceSampleUrl('unknown')).toBeNull();
+  });
+
+  it('should sum sizes of downloaded voices and whole directory', () => {
+    const result = summarizeStoredVoiceFiles([
+      { name: 'en_US-amy-medium.onnx', size: 1000 },
+      { name: 'en_US-amy-medium.onnx.json', size: 10 },
+      { name: 'ru_RU-irina-medium.onnx.json', size: 5 },
+      { name: 'de_DE-mls-medium.onnx', size: 2000 }
+    ]);
+
+    expect(result.voices).toEqual({ 'en_US-amy-medium': 1010, 'de_DE-mls-medium': 2000 });
+    expect(result.total).toBe(3015);
+  });
+
+  it('should match model and config pairs of known voices', () => {
+    const { pairs, errors } = matchVoiceFiles([
+      { name: 'en_US-amy-medium.onnx' },
+      { name: 'en_US-amy-medium.onnx.json' },
+      { name: 'ru_RU-irina-medium.onnx' },
+      { name: 'ru_RU-irina-medium.json' },
+      { name: 'de_DE-mls-medium.onnx' },
+      { name: 'fr_FR-siwis-medium.onnx.json' },
+      { name: 'xx_XX-custom-medium.onnx' },
+      { name: 'readme.txt' }
+    ]);
+
+    expect(pairs.map(pair => [pair.voiceId, pair.config.name])).toEqual([
+      ['en_US-amy-medium', 'en_US-amy-medium.onnx.json'],
+      ['ru_RU-irina-medium', 'ru_RU-irina-medium.json']
+    ]);
+    expect(errors).toEqual([
+      { name: 'readme.txt', reason: 'unsupportedFile' },
+      { name: 'de_DE-mls-medium.onnx', reason: 'missingConfig' },
+      { name: 'xx_XX-custom-medium.onnx', reason: 'unknownVoice' },
+      { name: 'fr_FR-siwis-medium.onnx.json', reason: 'missingModel' }
+    ]);
+  });
+
+  it('should validate Piper voice config', () => {
+    expect(isValidVoiceConfig(JSON.stringify({ audio: { sample_rate: 22050 }, phoneme_id_map: { a: [1] } }))).toBe(true);
+    expect(isValidVoiceConfig(JSON.stringify({ audio: {} }))).toBe(false);
+    expect(isValidVoiceConfig('not json')).toBe(false);
+  });
+});
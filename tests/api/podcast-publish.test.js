@@ -0,0 +1,160 @@
+// Tests for podcast export and publishing (local stand-in server for WebDAV and S3)
+
+import { describe, it, expect, vi, beforeAll, afterAll, beforeEach } from 'vitest';
+import { createServer } from 'node:http';
+import { createHash, createHmac, webcrypto } from 'node:crypto';
+
+vi.mock('../../scripts/utils/logging.js', () => ({
+  log: vi.fn(),
+  logError: vi.fn(),
+  logWarn: vi.fn()
+}));
+
+import {
+  collectPodcastFiles,
+  createPodcastArchive,
+  publishPodcast,
+  signS3Request,
+  PODCAST_PUBLISHED_STORAGE_KEY
+} from '../../scripts/api/podcast-publish.js';
+
+const feed = {
+  title: 'Clips',
+  author: '',
+  description: '',
+  baseUrl: 'https://example.com/podcast/',
+  target: 'none',
+  targetUrl: '',
+  username: '',
+  region: ''
+};
+
+const episodes = [
+  { id: 'e2', title: 'Missing', filename: 'missing-e2.mp3', mimeType: 'audio/mpeg', size: 3, duration: 1, createdAt: 2 },
+  { id: 'e1', title: 'Stored', filename: 'stored-e1.mp3', mimeType: 'audio/mpeg', size: 3, duration: 1, createdAt: 1 }
+];
+
+const readAudio = async (id) => (id === 'e1' ? new Uint8Array([1, 2, 3]).buffer : null);
+
+/** @type {Array<{method: string, url: string, headers: Object, body: Buffer}>} */
+let requests = [];
+let server;
+let baseUrl;
+
+beforeAll(async () => {
+  // Signing needs real SubtleCrypto (setup mocks it)
+  vi.stubGlobal('crypto', webcrypto);
+  server = createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body: Buffer.concat(chunks) });
+      res.statusCode = req.url.includes('forbidden') ? 403 : 201;
+      res.end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(() => {
+  requests = [];
+  chrome.storage.local.get.mockResolvedValue({});
+  chrome.storage.local.set.mockClear();
+});
+
+describe('api/podcast-publish', () => {
+  it('should collect stored media files and feed without missing episodes', async () => {
+    const files = await collectPodcastFiles(episodes, feed, readAudio);
+
+    expect(files.map(file => file.name)).toEqual(['stored-e1.mp3', 'feed.xml']);
+    const xml = new TextDecoder().decode(files[1].data);
+    expect(xml).toContain('https://example.com/podcast/stored-e1.mp3');
+    expect(xml).not.toContain('missing-e2.mp3');
+
+    const archive = await createPodcastArchive(files);
+    expect(archive.type).toBe('application/zip');
+    expect(archive.size).toBeGreaterThan(files[1].data.length);
+  });
+
+  it('should upload to WebDAV with basic auth, feed last, and skip uploaded media next time', async () => {
+    const files = await collectPodcastFiles(episodes, feed, readAudio);
+    const target = { type: 'webdav', url: `${baseUrl}/dav/podcast`, username: 'user', secret: 'pass' };
+
+    const result = await publishPodcast(files, target);
+
+    expect(result).toEqual({ uploaded: 2, skipped: 0 });
+    expect(requests.map(request => `${request.method} ${request.url}`)).toEqual([
+      'PUT /dav/podcast/stored-e1.mp3',
+      'PUT /dav/podcast/feed.xml'
+    ]);
+    expect(requests[0].headers.authorization).toBe(`Basic ${Buffer.from('user:pass').toString('base64')}`);
+    expect([...requests[0].body]).toEqual([1, 2, 3]);
+    expect(requests[1].headers['content-type']).toBe('application/rss+xml');
+    expect(chrome.storage.local.set).toHaveBeenCalledWith({
+      [PODCAST_PUBLISHED_STORAGE_KEY]: { targetType: 'webdav', targetUrl: target.url, files: ['stored-e1.mp3'] }
+    });
+
+    requests = [];
+    chrome.storage.local.get.mockResolvedValue({
+      [PODCAST_PUBLISHED_STORAGE_KEY]: { targetType: 'webdav', targetUrl: target.url, files: ['stored-e1.mp3'] }
+    });
+    expect(await publishPodcast(files, target)).toEqual({ uploaded: 1, skipped: 1 });
+    expect(requests.map(request => request.url)).toEqual(['/dav/podcast/feed.xml']);
+  });
+
+  it('should upload again when target type changes for the same URL', async () => {
+    const files = await collectPodcastFiles(episodes, feed, readAudio);
+    const target = { type: 'webdav', url: `${baseUrl}/dav/podcast`, username: 'user', secret: 'pass' };
+    chrome.storage.local.get.mockResolvedValue({
+      [PODCAST_PUBLISHED_STORAGE_KEY]: { targetType: 's3', targetUrl: target.url, files: ['stored-e1.mp3'] }
+    });
+
+    expect(await publishPodcast(files, target)).toEqual({ uploaded: 2, skipped: 0 });
+  });
+
+  it('should sign S3 uploads with AWS Signature Version 4', async () => {
+    const files = await collectPodcastFiles(episodes, feed, readAudio);
+    await publishPodcast(files.slice(0, 1), {
+      type: 's3', url: `${baseUrl}/bucket/podcast/`, username: 'AKID', secret: 'SECRET', region: 'eu-central-1'
+    });
+
+    const { headers, body, url } = requests[0];
+    const amzDate = headers['x-amz-date'];
+    const payloadHash = createHash('sha256').update(body).digest('hex');
+    const scope = `${amzDate.slice(0, 8)}/eu-central-1/s3/aws4_request`;
+    const canonicalRequest = [
+      'PUT', url, '',
+      `host:${headers.host}\nx-amz-content-sha256:${payloadHash}\nx-amz-date:${amzDate}\n`,
+      'host;x-amz-content-sha256;x-amz-date', payloadHash
+    ].join('\n');
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, createHash('sha256').update(canonicalRequest).digest('hex')].join('\n');
+    let key = createHmac('sha256', 'AWS4SECRET').update(amzDate.slice(0, 8)).digest();
+    for (const part of ['eu-central-1', 's3', 'aws4_request']) {
+      key = createHmac('sha256', key).update(part).digest();
+    }
+    const signature = createHmac('sha256', key).update(stringToSign).digest('hex');
+
+    expect(url).toBe('/bucket/podcast/stored-e1.mp3');
+    expect(headers['x-amz-content-sha256']).toBe(payloadHash);
+    expect(headers.authorization).toBe(
+      `AWS4-HMAC-SHA256 Credential=AKID/${scope}, SignedHeaders=host;x-amz-content-sha256;x-amz-date, Signature=${signature}`
+    );
+
+    const fixed = await signS3Request('PUT', 'https://s3.amazonaws.com/b/k', new Uint8Array(0),
+      { accessKeyId: 'AKID', secretAccessKey: 'SECRET' }, new Date(Date.UTC(2024, 0, 2, 3, 4, 5)));
+    expect(fixed['x-amz-date']).toBe('20240102T030405Z');
+    expect(fixed.Authorization).toContain('Credential=AKID/20240102/us-east-1/s3/aws4_request');
+  });
+
+  it('should report rejected uploads and unconfigured target', async () => {
+    const files = await collectPodcastFiles(episodes, feed, readAudio);
+
+    await expect(publishPodcast(files, { type: 'webdav', url: `${baseUrl}/forbidden`, username: '', secret: '' }))
+      .rejects.toThrow('stored-e1.mp3: HTTP 403');
+    await expect(publishPodcast(files, { type: 'none', url: '', username: '', secret: '' }))
+      .rejects.toThrow('not configured');
+  });
+});
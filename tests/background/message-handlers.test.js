@@ -47,7 +47,8 @@ vi.mock('../../scripts/message-handlers/settings.js', () => ({
 
 vi.mock('../../scripts/message-handlers/processing.js', () => ({
   handleProcessArticle: vi.fn(() => Promise.resolve(true)),
-  handleGeneratePdfDebugger: vi.fn(() => Promise.resolve(true))
+  handleGeneratePdfDebugger: vi.fn(() => Promise.resolve(true)),
+  handleExportSummary: vi.fn(() => true)
 }));
 
 vi.mock('../../scripts/message-handlers/video.js', () => ({
@@ -168,6 +169,17 @@ describe('background.js message handlers', () => {
       expect(result).toBe(true);
     });
 
+    it('should route exportSummary message with summary export function', async () => {
+      const startSummaryExport = vi.fn();
+      const request = { action: 'exportSummary', outputFormat: 'audio', listen: true };
+      const sendResponse = vi.fn();
+      
+      const result = await routeMessage(request, mockSender, sendResponse, { ...mockDeps, startSummaryExport });
+      
+      expect(processingHandlers.handleExportSummary).toHaveBeenCalledWith(request, mockSender, sendResponse, startSummaryExport);
+      expect(result).toBe(true);
+    });
+
     it('should handle extractContentOnly message', async () => {
       const request = { action: 'extractContentOnly', data: {} };
       const sendResponse = vi.fn();
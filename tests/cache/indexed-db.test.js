@@ -0,0 +1,26 @@
+// Tests for cache key hashing and LRU eviction shared by caches
+
+import { describe, it, expect } from 'vitest';
+import { hashText, selectEvictedEntries } from '../../scripts/cache/indexed-db.js';
+
+describe('cache/indexed-db', () => {
+  it('should hash text to stable 28-digit hex', () => {
+    const hash = hashText('Hello world');
+
+    expect(hash).toMatch(/^[0-9a-f]{28}$/);
+    expect(hashText('Hello world')).toBe(hash);
+    expect(hashText('Hello world!')).not.toBe(hash);
+  });
+
+  it('should evict least recently used entries over budget', () => {
+    const entries = [
+      { key: 'old', size: 40, lastUsed: 1 },
+      { key: 'newest', size: 50, lastUsed: 30 },
+      { key: 'middle', size: 30, lastUsed: 20 },
+      { key: 'older', size: 10, lastUsed: 10 }
+    ];
+
+    expect(selectEvictedEntries(entries, 85)).toEqual(['older', 'old']);
+    expect(selectEvictedEntries(entries, 1000)).toEqual([]);
+  });
+});
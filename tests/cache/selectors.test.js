@@ -0,0 +1,116 @@
+// Tests for selector cache with user-authored selectors (element picker)
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import {
+  getCachedSelectors,
+  getUserSelectors,
+  saveUserSelectors,
+  normalizeUserSelectors,
+  cacheSelectors,
+  invalidateCache,
+  getCacheStats,
+  USER_SELECTOR_SOURCE
+} from '../../scripts/cache/selectors.js';
+
+vi.mock('../../scripts/utils/logging.js', () => ({
+  log: vi.fn(),
+  logWarn: vi.fn(),
+  logError: vi.fn()
+}));
+
+// In-memory chrome.storage
+let storageData = {};
+global.chrome = {
+  storage: {
+    local: {
+      get: vi.fn(async (keys) => {
+        const result = {};
+        for (const key of keys) {
+          if (key in storageData) result[key] = storageData[key];
+        }
+        return result;
+      }),
+      set: vi.fn(async (data) => {
+        Object.assign(storageData, JSON.parse(JSON.stringify(data)));
+      }),
+      remove: vi.fn(async (keys) => {
+        for (const key of keys) delete storageData[key];
+      })
+    }
+  }
+};
+
+const PAGE_URL = 'https://www.example.com/posts/1';
+const AI_SELECTORS = { articleContainer: 'main', content: 'main p', title: 'h1', exclude: ['.ads'] };
+
+describe('cache/selectors', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    storageData = {};
+  });
+
+  describe('normalizeUserSelectors', () => {
+    it('should trim selectors and split exclusions by lines', () => {
+      const selectors = normalizeUserSelectors({ articleContainer: ' #post ', exclude: '.share\n\n .share \n#comments' });
+
+      expect(selectors.articleContainer).toBe('#post');
+      expect(selectors.exclude).toEqual(['.share', '#comments']);
+    });
+
+    it('should reject selectors without container', () => {
+      expect(normalizeUserSelectors({ articleContainer: '  ', exclude: ['.ads'] })).toBeNull();
+    });
+  });
+
+  describe('user selectors', () => {
+    it('should win over AI selectors and not be overwritten by AI', async () => {
+      await cacheSelectors(PAGE_URL, AI_SELECTORS);
+      const saved = await saveUserSelectors(PAGE_URL, { articleContainer: '#post', exclude: ['.share'] });
+      await cacheSelectors(PAGE_URL, AI_SELECTORS);
+
+      const cached = await getCachedSelectors(PAGE_URL);
+
+      expect(saved.domain).toBe('example.com');
+      expect(cached.source).toBe(USER_SELECTOR_SOURCE);
+      expect(cached.selectors.articleContainer).toBe('#post');
+      expect(cached.selectors.content).toBe('');
+    });
+
+    it('should be used even when using cache is disabled', async () => {
+      storageData.use_selector_cache = false;
+      await cacheSelectors(PAGE_URL, AI_SELECTORS);
+      expect(await getCachedSelectors(PAGE_URL)).toBeNull();
+
+      await saveUserSelectors('example.com', { articleContainer: '#post' });
+
+      expect((await getCachedSelectors(PAGE_URL)).selectors.articleContainer).toBe('#post');
+      expect((await getUserSelectors('https://example.com/other')).selectors.articleContainer).toBe('#post');
+    });
+
+    it('should not be invalidated by failed extraction', async () => {
+      await saveUserSelectors(PAGE_URL, { articleContainer: '#post' });
+
+      await invalidateCache(PAGE_URL);
+
+      expect(await getUserSelectors(PAGE_URL)).not.toBeNull();
+    });
+
+    it('should be listed first with source and selectors in cache stats', async () => {
+      await cacheSelectors('https://ai.example.org/a', AI_SELECTORS);
+      await saveUserSelectors('www.Example.com', { articleContainer: '#post', exclude: ['.share'] });
+      await cacheSelectors('https://later.example.net/a', AI_SELECTORS);
+
+      const stats = await getCacheStats();
+
+      expect(stats.domains).toHaveLength(3);
+      expect(stats.domains[0].domain).toBe('example.com');
+      expect(stats.domains[0].source).toBe('user');
+      expect(stats.domains[0].selectors).toEqual({ articleContainer: '#post', content: '', exclude: ['.share'] });
+      expect(stats.domains.slice(1).every(item => item.source === 'ai')).toBe(true);
+    });
+
+    it('should throw without container selector', async () => {
+      await expect(saveUserSelectors('example.com', { exclude: ['.ads'] })).rejects.toThrow();
+    });
+  });
+});
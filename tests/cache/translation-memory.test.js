@@ -0,0 +1,99 @@
+// Tests for translation memory keys, fuzzy matching and settings
+
+import { describe, it, expect, vi } from 'vitest';
+import {
+  normalizeSegment,
+  getTranslationMemoryKey,
+  getTranslationMemorySettings,
+  segmentSimilarity,
+  selectFuzzyMatches,
+  selectFuzzyCandidateKeys,
+  buildFuzzyMatchPrompt,
+  lookupTranslations,
+  saveTranslations,
+  TRANSLATION_MEMORY_SETTING_KEY,
+  TRANSLATION_MEMORY_FUZZY_SETTING_KEY
+} from '../../scripts/cache/translation-memory.js';
+
+vi.mock('../../scripts/utils/logging.js', () => ({
+  log: vi.fn(),
+  logWarn: vi.fn(),
+  logError: vi.fn()
+}));
+
+describe('cache/translation-memory', () => {
+  it('should build same key for segments differing only in whitespace or Unicode form', () => {
+    const key = getTranslationMemoryKey('Café  au\nlait', 'de', 'gpt-5.1');
+
+    expect(normalizeSegment('  Café  au\nlait ')).toBe('Café au lait');
+    expect(key).toMatch(/^de:gpt-5\.1:[0-9a-f]+$/);
+    expect(getTranslationMemoryKey('Café au lait', 'de', 'gpt-5.1')).toBe(key);
+  });
+
+  it('should change key with text, target language or model', () => {
+    const keys = [
+      getTranslationMemoryKey('Hello world', 'de', 'gpt-5.1'),
+      getTranslationMemoryKey('Hello world!', 'de', 'gpt-5.1'),
+      getTranslationMemoryKey('Hello world', 'fr', 'gpt-5.1'),
+      getTranslationMemoryKey('Hello world', 'de', 'gemini-3-pro-preview')
+    ];
+
+    expect(new Set(keys).size).toBe(keys.length);
+  });
+
+  it('should measure segment similarity over words without HTML tags', () => {
+    expect(segmentSimilarity('The <b>quick</b> brown fox', 'the quick brown fox')).toBe(1);
+    expect(segmentSimilarity('The quick brown fox', 'The quick red fox')).toBe(0.75);
+    expect(segmentSimilarity('Hello', '<br>')).toBe(0);
+  });
+
+  it('should select fuzzy matches over threshold, most similar first and limited', () => {
+    const candidates = [
+      { source: 'The quick red fox', translation: 'Der schnelle rote Fuchs' },
+      { source: 'The quick brown fox jumps', translation: 'Der schnelle braune Fuchs springt' },
+      { source: 'Completely unrelated sentence here', translation: 'Völlig anderer Satz' }
+    ];
+
+    const matches = selectFuzzyMatches(['The quick brown fox'], candidates);
+    expect(matches.map(match => match.source)).toEqual(['The quick brown fox jumps', 'The quick red fox']);
+    expect(matches[0].similarity).toBeGreaterThan(matches[1].similarity);
+    expect(selectFuzzyMatches(['The quick brown fox'], candidates, 1)).toHaveLength(1);
+  });
+
+  it('should compare only most recently used segments of target language', () => {
+    const entries = [
+      { key: 'de:gpt-5.1:a', size: 10, lastUsed: 100 },
+      { key: 'fr:gpt-5.1:b', size: 10, lastUsed: 400 },
+      { key: 'de:gemini-3-pro-preview:c', size: 10, lastUsed: 300 },
+      { key: 'de:gpt-5.1:d', size: 10, lastUsed: 200 }
+    ];
+
+    expect(selectFuzzyCandidateKeys(entries, 'de')).toEqual(['de:gemini-3-pro-preview:c', 'de:gpt-5.1:d', 'de:gpt-5.1:a']);
+    expect(selectFuzzyCandidateKeys(entries, 'de', 2)).toEqual(['de:gemini-3-pro-preview:c', 'de:gpt-5.1:d']);
+    expect(selectFuzzyCandidateKeys(entries, 'ja')).toEqual([]);
+  });
+
+  it('should build reference section only when there are matches', () => {
+    expect(buildFuzzyMatchPrompt([])).toBe('');
+    expect(buildFuzzyMatchPrompt(undefined)).toBe('');
+
+    const prompt = buildFuzzyMatchPrompt([{ source: 'Hello "world"', translation: 'Hallo Welt' }]);
+    expect(prompt).toContain('Reference translations');
+    expect(prompt).toContain('- "Hello \\"world\\"" -> "Hallo Welt"');
+  });
+
+  it('should enable memory by default and fuzzy context only on request', async () => {
+    await expect(getTranslationMemorySettings()).resolves.toEqual({ enabled: true, fuzzy: false });
+
+    chrome.storage.local.get.mockResolvedValueOnce({ [TRANSLATION_MEMORY_FUZZY_SETTING_KEY]: true });
+    await expect(getTranslationMemorySettings()).resolves.toEqual({ enabled: true, fuzzy: true });
+
+    chrome.storage.local.get.mockResolvedValueOnce({ [TRANSLATION_MEMORY_SETTING_KEY]: false, [TRANSLATION_MEMORY_FUZZY_SETTING_KEY]: true });
+    await expect(getTranslationMemorySettings()).resolves.toEqual({ enabled: false, fuzzy: false });
+  });
+
+  it('should not fail translation when IndexedDB is not available', async () => {
+    await expect(lookupTranslations(['One', 'Two'], 'de', 'gpt-5.1')).resolves.toEqual([null, null]);
+    await expect(saveTranslations([{ source: 'One', translation: 'Eins' }], 'de', 'gpt-5.1')).resolves.toBeUndefined();
+  });
+});
@@ -0,0 +1,57 @@
+// Tests for TTS audio cache keys
+
+import { describe, it, expect, vi } from 'vitest';
+import {
+  getAudioCacheKey,
+  getChunksCacheKey,
+  readCachedAudio,
+  saveCachedAudio
+} from '../../scripts/cache/tts-audio.js';
+
+vi.mock('../../scripts/utils/logging.js', () => ({
+  log: vi.fn(),
+  logWarn: vi.fn(),
+  logError: vi.fn()
+}));
+
+const options = { provider: 'openai', voice: 'nova', speed: 1, format: 'mp3', instructions: 'Calm' };
+
+describe('cache/tts-audio', () => {
+  it('should build same key for same text and voice settings', () => {
+    const key = getAudioCacheKey('Hello world', options);
+
+    expect(key).toMatch(/^audio:openai:[0-9a-f]{28}$/);
+    expect(getAudioCacheKey('Hello world', { speed: 1, format: 'mp3', instructions: 'Calm', voice: 'nova', provider: 'openai' })).toBe(key);
+  });
+
+  it('should ignore options that do not change audio', () => {
+    const key = getAudioCacheKey('Hello world', options);
+
+    expect(getAudioCacheKey('Hello world', { ...options, tabId: 12, pronunciationApplied: true, onProgress: () => {} })).toBe(key);
+  });
+
+  it('should change key with text, voice, speed or provider settings', () => {
+    const keys = [
+      getAudioCacheKey('Hello world', options),
+      getAudioCacheKey('Hello world!', options),
+      getAudioCacheKey('Hello world', { ...options, voice: 'onyx' }),
+      getAudioCacheKey('Hello world', { ...options, speed: 1.25 }),
+      getAudioCacheKey('Hello world', { ...options, elevenlabsStability: 0.5 }),
+      getAudioCacheKey('Hello world', { ...options, provider: 'elevenlabs' })
+    ];
+
+    expect(new Set(keys).size).toBe(keys.length);
+  });
+
+  it('should build chunks key from preparation source', () => {
+    const source = { content: [{ type: 'paragraph', text: 'Text' }], title: 'Title', provider: 'openai', model: 'gpt-5.1' };
+
+    expect(getChunksCacheKey(source)).toBe(getChunksCacheKey({ ...source }));
+    expect(getChunksCacheKey(source)).not.toBe(getChunksCacheKey({ ...source, model: null }));
+  });
+
+  it('should not fail generation when IndexedDB is not available', async () => {
+    await expect(saveCachedAudio('audio:openai:x', new ArrayBuffer(4))).resolves.toBeUndefined();
+    await expect(readCachedAudio('audio:openai:x')).resolves.toBeNull();
+  });
+});
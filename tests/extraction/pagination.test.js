@@ -0,0 +1,193 @@
+// Tests for multi-page article stitching
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import {
+  isNextPageOfArticle,
+  pickNextPageUrl,
+  mergePageContent,
+  getPaginationMaxPages,
+  stitchPaginatedArticle,
+  findNextPageCandidatesInlined
+} from '../../scripts/extraction/pagination.js';
+
+vi.mock('../../scripts/utils/logging.js', () => ({
+  log: vi.fn(),
+  logWarn: vi.fn(),
+  logError: vi.fn()
+}));
+
+vi.mock('../../scripts/extraction/automatic.js', () => ({
+  extractAutomaticallyInlined: vi.fn()
+}));
+
+describe('extraction/pagination', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  describe('isNextPageOfArticle', () => {
+    it('should accept page + 1 of the same article', () => {
+      expect(isNextPageOfArticle('https://news.example.com/story?id=5', 'https://news.example.com/story?id=5&page=2')).toBe(true);
+      expect(isNextPageOfArticle('https://example.com/guide?page=2', 'https://example.com/guide?page=3')).toBe(true);
+      expect(isNextPageOfArticle('https://example.com/guide/', 'https://example.com/guide/page/2/')).toBe(true);
+      expect(isNextPageOfArticle('https://example.com/review-xyz', 'https://example.com/review-xyz/2')).toBe(true);
+    });
+
+    it('should reject other articles, skipped pages, comments and other hosts', () => {
+      expect(isNextPageOfArticle('https://example.com/news/123', 'https://example.com/news/124')).toBe(false);
+      expect(isNextPageOfArticle('https://example.com/guide?page=2', 'https://example.com/guide?page=4')).toBe(false);
+      expect(isNextPageOfArticle('https://example.com/guide', 'https://example.com/other?page=2')).toBe(false);
+      expect(isNextPageOfArticle('https://example.com/post', 'https://example.com/post/comment-page-2')).toBe(false);
+      expect(isNextPageOfArticle('https://example.com/guide', 'https://evil.example.org/guide?page=2')).toBe(false);
+      expect(isNextPageOfArticle('https://example.com/guide', 'javascript:alert(1)')).toBe(false);
+    });
+  });
+
+  describe('pickNextPageUrl', () => {
+    it('should skip visited and unrelated candidates and drop hash', () => {
+      const candidates = [
+        { url: 'https://example.com/related-article', source: 'rel-next' },
+        { url: 'https://example.com/guide?page=2', source: 'rel-next' },
+        { url: 'https://example.com/guide?page=2#top', source: 'page-number' }
+      ];
+
+      expect(pickNextPageUrl('https://example.com/guide', candidates, new Set())).toBe('https://example.com/guide?page=2');
+      expect(pickNextPageUrl('https://example.com/guide', candidates, new Set(['https://example.com/guide?page=2']))).toBeNull();
+    });
+  });
+
+  describe('mergePageContent', () => {
+    it('should drop repeated header, footer and title heading', () => {
+      const content = [
+        { type: 'heading', text: 'My Article', level: 1, id: 'my-article' },
+        { type: 'paragraph', text: 'By John Smith' },
+        { type: 'paragraph', text: 'First page text' },
+        { type: 'heading', text: 'Part one', level: 2, id: 'part' },
+        { type: 'paragraph', text: 'Share this article' }
+      ];
+      const pageContent = [
+        { type: 'heading', text: 'My  Article', level: 1 },
+        { type: 'paragraph', text: 'By <b>John</b> Smith' },
+        { type: 'heading', text: 'Part two', level: 2, id: 'part' },
+        { type: 'paragraph', text: 'Second page text' },
+        { type: 'paragraph', text: 'Share this article' }
+      ];
+
+      const merged = mergePageContent(content, pageContent, 'My Article', 2);
+
+      expect(merged.added).toBe(2);
+      expect(merged.content.slice(5)).toEqual([
+        { type: 'heading', text: 'Part two', level: 2, id: 'part-p2' },
+        { type: 'paragraph', text: 'Second page text' }
+      ]);
+    });
+
+    it('should report no new content for duplicate page', () => {
+      const content = [{ type: 'paragraph', text: 'Same' }];
+
+      expect(mergePageContent(content, [{ type: 'paragraph', text: 'Same' }], 'Title', 2).added).toBe(0);
+    });
+  });
+
+  describe('getPaginationMaxPages', () => {
+    it('should use default and clamp stored value', async () => {
+      chrome.storage.local.get = vi.fn(async () => ({}));
+      expect(await getPaginationMaxPages()).toBe(10);
+
+      chrome.storage.local.get = vi.fn(async () => ({ pagination_max_pages: 500 }));
+      expect(await getPaginationMaxPages()).toBe(50);
+
+      chrome.storage.local.get = vi.fn(async () => ({ pagination_max_pages: '3' }));
+      expect(await getPaginationMaxPages()).toBe(3);
+
+      chrome.storage.local.get = vi.fn(async () => ({ pagination_max_pages: 0 }));
+      expect(await getPaginationMaxPages()).toBe(1);
+    });
+  });
+
+  describe('stitchPaginatedArticle', () => {
+    const firstPage = {
+      title: 'Guide',
+      content: [{ type: 'paragraph', text: 'Page 1' }],
+      publishDate: ''
+    };
+
+    /**
+     * Mock background tabs for pages: URL -> {content, candidates}
+     * @param {Object<string, {content: Array, candidates: Array}>} pages - Pages by URL
+     * @param {Array} currentCandidates - Candidates found in current tab
+     */
+    function mockPages(pages, currentCandidates) {
+      const tabUrls = new Map();
+      let nextTabId = 100;
+      chrome.tabs.create = vi.fn(async ({ url }) => {
+        const id = nextTabId++;
+        tabUrls.set(id, url);
+        return { id };
+      });
+      chrome.tabs.get = vi.fn(async (id) => ({ id, status: 'complete' }));
+      chrome.tabs.remove = vi.fn(async () => {});
+      chrome.scripting.executeScript = vi.fn(async ({ target, func }) => {
+        const page = pages[tabUrls.get(target.tabId)];
+        if (func === findNextPageCandidatesInlined) {
+          return [{ result: page ? page.candidates : currentCandidates }];
+        }
+        return [{ result: { content: page.content } }];
+      });
+    }
+
+    it('should merge next pages up to page cap and close tabs', async () => {
+      mockPages({
+        'https://example.com/guide?page=2': {
+          content: [{ type: 'paragraph', text: 'Page 2' }],
+          candidates: [{ url: 'https://example.com/guide?page=3', source: 'rel-next' }]
+        },
+        'https://example.com/guide?page=3': {
+          content: [{ type: 'paragraph', text: 'Page 3' }],
+          candidates: []
+        }
+      }, [{ url: 'https://example.com/guide?page=2', source: 'rel-next' }]);
+      const onPage = vi.fn();
+
+      const result = await stitchPaginatedArticle(firstPage, { tabId: 1, url: 'https://example.com/guide', maxPages: 2, onPage });
+
+      expect(result.pageCount).toBe(2);
+      expect(result.content.map(item => item.text)).toEqual(['Page 1', 'Page 2']);
+      expect(onPage).toHaveBeenCalledWith(2, 'https://example.com/guide?page=2');
+      expect(chrome.tabs.create).toHaveBeenCalledTimes(1);
+      expect(chrome.tabs.remove).toHaveBeenCalledWith(100);
+    });
+
+    it('should return original result when there is no next page', async () => {
+      mockPages({}, [{ url: 'https://example.com/another-article', source: 'next-text' }]);
+
+      const result = await stitchPaginatedArticle(firstPage, { tabId: 1, url: 'https://example.com/guide', maxPages: 10 });
+
+      expect(result).toBe(firstPage);
+      expect(chrome.tabs.create).not.toHaveBeenCalled();
+    });
+
+    it('should keep collected pages when next page fails', async () => {
+      mockPages({}, [{ url: 'https://example.com/guide?page=2', source: 'rel-next' }]);
+      chrome.tabs.create = vi.fn(async () => {
+        throw new Error('Cannot open tab');
+      });
+
+      const result = await stitchPaginatedArticle(firstPage, { tabId: 1, url: 'https://example.com/guide', maxPages: 10 });
+
+      expect(result).toBe(firstPage);
+    });
+
+    it('should stop when cancelled', async () => {
+      mockPages({}, [{ url: 'https://example.com/guide?page=2', source: 'rel-next' }]);
+      const checkCancellation = vi.fn(async () => {
+        throw new Error('Cancelled');
+      });
+
+      await expect(
+        stitchPaginatedArticle(firstPage, { tabId: 1, url: 'https://example.com/guide', maxPages: 10, checkCancellation })
+      ).rejects.toThrow('Cancelled');
+      expect(chrome.tabs.create).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,80 @@
+// Tests for saving selected part of page
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import {
+  SELECTION_CONTAINER_ATTR,
+  SELECTION_ROOT_SELECTOR,
+  captureSelection,
+  captureSelectionInlined,
+  removeSelectionContainer,
+  removeSelectionContainerInlined
+} from '../../scripts/extraction/selection.js';
+import { createContextMenuItems } from '../../scripts/utils/context-menu.js';
+
+vi.mock('../../scripts/utils/logging.js', () => ({
+  log: vi.fn(),
+  logWarn: vi.fn(),
+  logError: vi.fn(),
+  logDebug: vi.fn()
+}));
+
+describe('extraction/selection', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('should use container attribute as extraction root', () => {
+    expect(SELECTION_ROOT_SELECTOR).toBe(`[${SELECTION_CONTAINER_ATTR}]`);
+  });
+
+  it('should capture selection in page main world', async () => {
+    chrome.scripting.executeScript = vi.fn(async () => [{ result: { textLength: 120, rangeCount: 1 } }]);
+
+    const captured = await captureSelection(7);
+
+    expect(captured).toEqual({ textLength: 120, rangeCount: 1 });
+    expect(chrome.scripting.executeScript).toHaveBeenCalledWith({
+      target: { tabId: 7 },
+      world: 'MAIN',
+      func: captureSelectionInlined,
+      args: [SELECTION_CONTAINER_ATTR]
+    });
+  });
+
+  it('should return null when nothing is selected', async () => {
+    chrome.scripting.executeScript = vi.fn(async () => [{ result: null }]);
+
+    expect(await captureSelection(7)).toBeNull();
+  });
+
+  it('should ignore errors when removing container from closed tab', async () => {
+    chrome.scripting.executeScript = vi.fn(async () => {
+      throw new Error('No tab with id: 7');
+    });
+
+    await expect(removeSelectionContainer(7)).resolves.toBeUndefined();
+    expect(chrome.scripting.executeScript).toHaveBeenCalledWith(expect.objectContaining({
+      func: removeSelectionContainerInlined
+    }));
+  });
+
+  it('should add "Save selection as" menu for selection context only', () => {
+    chrome.contextMenus = { create: vi.fn() };
+
+    createContextMenuItems('en', true);
+
+    const calls = chrome.contextMenus.create.mock.calls.map(([options]) => options);
+    expect(calls.find(item => item.id === 'save-as-pdf').contexts).toEqual(['page']);
+    expect(calls.find(item => item.id === 'clipaible-save-selection-as')).toMatchObject({
+      title: 'Save selection as',
+      contexts: ['selection']
+    });
+    expect(calls.filter(item => item.parentId === 'clipaible-save-selection-as').map(item => item.id)).toEqual([
+      'save-selection-as-pdf',
+      'save-selection-as-epub',
+      'save-selection-as-fb2',
+      'save-selection-as-markdown',
+      'save-selection-as-audio'
+    ]);
+  });
+});
@@ -0,0 +1,176 @@
+// Tests for structured metadata extraction (JSON-LD, OpenGraph, citation, Dublin Core)
+
+import { describe, it, expect, vi } from 'vitest';
+import {
+  extractStructuredMetadata,
+  applyStructuredMetadata,
+  parseJsonLdNodes,
+  normalizeMetadataDate,
+  normalizeDoi
+} from '../../scripts/extraction/structured-metadata.js';
+import { getAuthorList } from '../../scripts/utils/author-validator.js';
+
+vi.mock('../../scripts/utils/logging.js', () => ({
+  log: vi.fn(),
+  logWarn: vi.fn(),
+  logError: vi.fn()
+}));
+
+const PAGE_URL = 'https://news.example.com/2024/05/story';
+
+const NEWS_PAGE = `<html><head>
+  <link rel="canonical" href="/2024/05/story">
+  <meta property="og:site_name" content="Example &amp; Co">
+  <meta property="og:image" content="/img/hero.jpg">
+  <meta property="article:published_time" content="2024-05-02T08:00:00Z">
+  <meta property="article:section" content="Science">
+  <meta property="article:tag" content="space">
+  <meta name="author" content="Site Editor">
+  <script type="application/ld+json">
+  {
+    "@context": "https://schema.org",
+    "@graph": [
+      { "@type": "Organization", "@id": "#org", "name": "Example News" },
+      { "@type": "Person", "@id": "#jane", "name": "Jane Doe" },
+      {
+        "@type": ["NewsArticle"],
+        "headline": "Story",
+        "author": [{ "@id": "#jane" }, { "@type": "Person", "name": "John Smith" }],
+        "publisher": { "@id": "#org" },
+        "datePublished": "2024-05-01T10:00:00+02:00",
+        "dateModified": "2024-05-03",
+        "keywords": "space, rockets, Space"
+      }
+    ]
+  }
+  </script>
+</head><body></body></html>`;
+
+describe('extraction/structured-metadata', () => {
+  describe('extractStructuredMetadata', () => {
+    it('should prefer JSON-LD and resolve @id references', () => {
+      const metadata = extractStructuredMetadata(NEWS_PAGE, PAGE_URL);
+
+      expect(metadata.authors).toEqual(['Jane Doe', 'John Smith']);
+      expect(metadata.publisher).toBe('Example News');
+      expect(metadata.publishedDate).toBe('2024-05-01');
+      expect(metadata.modifiedDate).toBe('2024-05-03');
+      expect(metadata.keywords).toEqual(['space', 'rockets']);
+    });
+
+    it('should fill missing fields from OpenGraph and canonical link', () => {
+      const metadata = extractStructuredMetadata(NEWS_PAGE, PAGE_URL);
+
+      expect(metadata.section).toBe('Science');
+      expect(metadata.image).toBe('https://news.example.com/img/hero.jpg');
+      expect(metadata.canonicalUrl).toBe('https://news.example.com/2024/05/story');
+    });
+
+    it('should read scholarly citation tags', () => {
+      const html = `
+        <meta name="citation_author" content="Curie, Marie">
+        <meta name="citation_author" content="Pierre Curie">
+        <meta name="citation_publication_date" content="1903/06/25">
+        <meta name="citation_journal_title" content="Annales">
+        <meta name="citation_doi" content="doi:10.1000/xyz123">
+        <meta name="citation_keywords" content="radioactivity; polonium">
+        <meta property="og:site_name" content="Journal Site">`;
+
+      const metadata = extractStructuredMetadata(html, 'https://journal.example.org/a/1');
+
+      expect(metadata.authors).toEqual(['Marie Curie', 'Pierre Curie']);
+      expect(metadata.publisher).toBe('Annales');
+      expect(metadata.publishedDate).toBe('1903-06-25');
+      expect(metadata.doi).toBe('10.1000/xyz123');
+      expect(metadata.keywords).toEqual(['radioactivity', 'polonium']);
+    });
+
+    it('should fall back to Dublin Core and skip author URLs', () => {
+      const html = `
+        <meta property="article:author" content="https://facebook.com/someone">
+        <meta name="DC.creator" content="Ada Lovelace">
+        <meta name="DC.publisher" content="Analytical Press">
+        <meta name="DC.date" content="1843-09">
+        <meta name="DC.identifier" content="https://doi.org/10.5555/notes">`;
+
+      const metadata = extractStructuredMetadata(html, 'https://example.com/notes');
+
+      expect(metadata.authors).toEqual(['Ada Lovelace']);
+      expect(metadata.publisher).toBe('Analytical Press');
+      expect(metadata.publishedDate).toBe('1843-09');
+      expect(metadata.doi).toBe('10.5555/notes');
+    });
+
+    it('should return empty metadata for page without structured data', () => {
+      const metadata = extractStructuredMetadata('<html><body><p>Text</p></body></html>', PAGE_URL);
+
+      expect(metadata.authors).toEqual([]);
+      expect(metadata.publisher).toBe('');
+      expect(metadata.doi).toBe('');
+    });
+  });
+
+  describe('parseJsonLdNodes', () => {
+    it('should skip invalid blocks and keep valid ones', () => {
+      const html = `
+        <script type="application/ld+json">{ broken json </script>
+        <script type='application/ld+json'>[{"@type":"BlogPosting","headline":"A"}]</script>`;
+
+      const nodes = parseJsonLdNodes(html);
+
+      expect(nodes).toHaveLength(1);
+      expect(nodes[0].headline).toBe('A');
+    });
+  });
+
+  describe('normalizers', () => {
+    it('should normalize dates to ISO', () => {
+      expect(normalizeMetadataDate('2024-5-7T10:00:00Z')).toBe('2024-05-07');
+      expect(normalizeMetadataDate('2020')).toBe('2020');
+      expect(normalizeMetadataDate('Tue, 07 May 2024 10:00:00 GMT')).toBe('2024-05-07');
+      expect(normalizeMetadataDate('2024-13-01')).toBe('');
+      expect(normalizeMetadataDate('yesterday')).toBe('');
+    });
+
+    it('should normalize DOI', () => {
+      expect(normalizeDoi('https://dx.doi.org/10.1038/nphys1170')).toBe('10.1038/nphys1170');
+      expect(normalizeDoi('DOI: 10.1000/182')).toBe('10.1000/182');
+      expect(normalizeDoi('ISBN 978-3-16')).toBe('');
+    });
+  });
+
+  describe('applyStructuredMetadata', () => {
+    it('should override guessed author and date with structured values', () => {
+      const result = applyStructuredMetadata(
+        { title: 'Story', author: 'Share', publishDate: '2024-05-10', content: [] },
+        NEWS_PAGE,
+        PAGE_URL
+      );
+
+      expect(result.author).toBe('Jane Doe, John Smith');
+      expect(result.publishDate).toBe('2024-05-01');
+      expect(result.metadata.publisher).toBe('Example News');
+    });
+
+    it('should keep full page date when structured date is year only', () => {
+      const result = applyStructuredMetadata(
+        { title: 'T', author: 'Writer', publishDate: '2020-03-04', content: [] },
+        '<meta name="citation_date" content="2020">',
+        PAGE_URL
+      );
+
+      expect(result.author).toBe('Writer');
+      expect(result.publishDate).toBe('2020-03-04');
+    });
+  });
+
+  describe('getAuthorList', () => {
+    it('should split author only when it matches structured list', () => {
+      const metadata = { authors: ['Jane Doe', 'John Smith'] };
+
+      expect(getAuthorList('Jane Doe, John Smith', metadata)).toEqual(['Jane Doe', 'John Smith']);
+      expect(getAuthorList('Джейн Доу, Джон Смит', metadata)).toEqual(['Джейн Доу, Джон Смит']);
+      expect(getAuthorList('', metadata)).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,94 @@
+// Tests for anthology helpers
+
+import { describe, it, expect } from 'vitest';
+import {
+  ANTHOLOGY_FORMATS,
+  getAnthologyContent,
+  getAnthologyAuthor,
+  getAnthologyTitle,
+  collectChapterHeadings,
+  buildAnthologyPdfContent
+} from '../../scripts/generation/anthology.js';
+
+const chapters = [
+  {
+    title: 'First Article',
+    author: 'Jane Doe',
+    sourceUrl: 'https://example.com/first',
+    publishDate: '2025-01-15',
+    abstract: 'First abstract',
+    content: [
+      { type: 'subtitle', text: 'First standfirst' },
+      { type: 'paragraph', text: 'Intro' },
+      { type: 'heading', level: 2, text: 'Details', id: 'details' }
+    ]
+  },
+  {
+    title: 'Second Article',
+    author: 'John Smith',
+    sourceUrl: 'https://example.com/second',
+    content: [
+      { type: 'heading', level: 2, text: '<b>Part</b> one' },
+      { type: 'paragraph', text: 'Body' }
+    ]
+  }
+];
+
+describe('generation/anthology', () => {
+  it('should support only formats with chapter structure', () => {
+    expect(ANTHOLOGY_FORMATS).toEqual(['epub', 'fb2', 'pdf']);
+  });
+
+  it('should join chapter content keeping item objects', () => {
+    const content = getAnthologyContent(chapters);
+
+    expect(content).toHaveLength(5);
+    expect(content[1]).toBe(chapters[0].content[1]);
+  });
+
+  describe('getAnthologyAuthor', () => {
+    it('should return shared author', () => {
+      expect(getAnthologyAuthor([{ author: 'Jane Doe' }, { author: 'Jane Doe' }])).toBe('Jane Doe');
+    });
+
+    it('should return empty string for different authors', () => {
+      expect(getAnthologyAuthor(chapters)).toBe('');
+    });
+  });
+
+  it('should build localized default title', () => {
+    expect(getAnthologyTitle('ru')).toMatch(/^Сборник статей — /);
+    expect(getAnthologyTitle('auto')).toMatch(/^Anthology — /);
+  });
+
+  it('should collect headings with fallback IDs', () => {
+    const headings = collectChapterHeadings(chapters[1].content, 'heading-');
+
+    expect(headings).toEqual([{ text: 'Part one', level: 2, id: 'heading-0' }]);
+  });
+
+  describe('buildAnthologyPdfContent', () => {
+    it('should add chapter headings, meta and demote chapter headings', () => {
+      const content = buildAnthologyPdfContent(chapters, 'en', true);
+
+      expect(content[0]).toEqual({ type: 'subtitle', text: 'Articles: 2' });
+      expect(content[1]).toMatchObject({ type: 'heading', level: 2, text: 'First Article', id: 'chapter-1' });
+      expect(content[2].text).toContain('<strong>Jane Doe</strong>');
+      expect(content[2].text).toContain('href="https://example.com/first"');
+      expect(content[3]).toMatchObject({ type: 'quote' });
+      expect(content[3].text).toContain('First abstract');
+
+      const demoted = content.find(item => item.id === 'details');
+      expect(demoted.level).toBe(3);
+      expect(chapters[0].content[2].level).toBe(2);
+    });
+
+    it('should keep only book subtitle in document header', () => {
+      const content = buildAnthologyPdfContent(chapters, 'en', false);
+
+      expect(content.filter(item => item.type === 'subtitle')).toHaveLength(1);
+      expect(content.some(item => item.type === 'quote')).toBe(false);
+      expect(content.find(item => item.text === '<em>First standfirst</em>')).toBeTruthy();
+    });
+  });
+});
@@ -0,0 +1,97 @@
+// Tests for audio chapter markers
+
+import { describe, it, expect, vi } from 'vitest';
+import { locateChapters, splitChapters, buildChapterTimeline } from '../../scripts/generation/audio-chapters.js';
+import { contentToPlainText, splitTextIntoChunks } from '../../scripts/generation/audio-prep.js';
+
+vi.mock('../../scripts/utils/logging.js', () => ({
+  log: vi.fn(),
+  logError: vi.fn(),
+  logWarn: vi.fn()
+}));
+
+describe('generation/audio-chapters', () => {
+  describe('locateChapters', () => {
+    it('should find headings in order with position inside chunk', () => {
+      const chunks = [
+        { text: 'Intro text. First part and more' },
+        { text: 'Second part\n\nBody. Summary' }
+      ];
+
+      const result = locateChapters(chunks, ['First part', 'Second part', 'Summary']);
+
+      expect(result[0]).toEqual([{ title: 'First part', position: 12 / chunks[0].text.length }]);
+      expect(result[1].map(chapter => chapter.title)).toEqual(['Second part', 'Summary']);
+      expect(result[1][0].position).toBe(0);
+    });
+
+    it('should match repeated heading text after previous heading and skip missing headings', () => {
+      const chunks = [
+        { text: 'Notes about Notes' },
+        { text: 'Notes again' }
+      ];
+
+      const result = locateChapters(chunks, ['Notes', 'Missing heading', 'Notes', 'Notes']);
+
+      expect(result[0].map(chapter => chapter.position)).toEqual([0, 12 / 17]);
+      expect(result[1]).toEqual([{ title: 'Notes', position: 0 }]);
+    });
+
+    it('should locate headings in chunks built from article content', () => {
+      const content = [
+        { type: 'paragraph', text: 'Intro paragraph.' },
+        { type: 'heading', level: 2, text: 'Background' },
+        { type: 'paragraph', text: 'Some background text.' }
+      ];
+      const chunks = splitTextIntoChunks(contentToPlainText(content));
+
+      const result = locateChapters(chunks, ['Background']);
+
+      expect(result.flat()).toHaveLength(1);
+      expect(result.flat()[0].position).toBeGreaterThan(0);
+    });
+  });
+
+  describe('splitChapters', () => {
+    it('should move chapters to part that contains their position', () => {
+      const parts = ['a'.repeat(100), 'b'.repeat(100)];
+
+      const result = splitChapters([
+        { title: 'Start', position: 0 },
+        { title: 'Middle', position: 0.75 }
+      ], parts);
+
+      expect(result[0]).toEqual([{ title: 'Start', position: 0 }]);
+      expect(result[1]).toEqual([{ title: 'Middle', position: 0.5 }]);
+    });
+  });
+
+  describe('buildChapterTimeline', () => {
+    it('should start with article title and use segment durations', () => {
+      const timeline = buildChapterTimeline([
+        { durationMs: 10000, chapters: [{ title: 'Part 1', position: 0.5 }] },
+        { durationMs: 20000, chapters: [{ title: 'Part 2', position: 0.25 }] }
+      ], 'Article');
+
+      expect(timeline).toEqual([
+        { title: 'Article', startMs: 0, endMs: 5000 },
+        { title: 'Part 1', startMs: 5000, endMs: 15000 },
+        { title: 'Part 2', startMs: 15000, endMs: 30000 }
+      ]);
+    });
+
+    it('should replace title chapter with heading at very start and skip headings without own audio', () => {
+      const timeline = buildChapterTimeline([
+        { durationMs: 1000, chapters: [{ title: 'Heading', position: 0 }] },
+        { durationMs: 1000, chapters: [{ title: 'Part 1', position: 0 }, { title: 'Part 1.1', position: 0 }] }
+      ], 'Article');
+
+      expect(timeline.map(chapter => chapter.title)).toEqual(['Heading', 'Part 1']);
+      expect(timeline[1]).toEqual({ title: 'Part 1', startMs: 1000, endMs: 2000 });
+    });
+
+    it('should return no chapters if duration is unknown', () => {
+      expect(buildChapterTimeline([{ durationMs: 0, chapters: [{ title: 'Part', position: 0 }] }], 'Article')).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,112 @@
+// Tests for multi-voice narration plan
+
+import { describe, it, expect, vi } from 'vitest';
+import { buildNarrationPlan, findDialogueSpeakers, createPauseSegment, NARRATION_PAUSE_MS } from '../../scripts/generation/audio-narration.js';
+import { contentToPlainText } from '../../scripts/generation/audio-prep.js';
+import { getAudioDurationMs } from '../../scripts/generation/audio-frames.js';
+
+vi.mock('../../scripts/utils/logging.js', () => ({
+  log: vi.fn(),
+  logError: vi.fn(),
+  logWarn: vi.fn()
+}));
+
+// 16-bit mono WAV header with empty data chunk
+function wavHeader(sampleRate = 22050, channels = 1) {
+  const view = new DataView(new ArrayBuffer(44));
+  [...'RIFF'].forEach((char, i) => view.setUint8(i, char.charCodeAt(0)));
+  [...'WAVEfmt '].forEach((char, i) => view.setUint8(8 + i, char.charCodeAt(0)));
+  view.setUint32(16, 16, true);
+  view.setUint16(20, 1, true);
+  view.setUint16(22, channels, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * channels * 2, true);
+  view.setUint16(32, channels * 2, true);
+  view.setUint16(34, 16, true);
+  [...'data'].forEach((char, i) => view.setUint8(36 + i, char.charCodeAt(0)));
+  return view.buffer;
+}
+
+const interview = [
+  { type: 'heading', level: 1, text: 'Interview' },
+  { type: 'paragraph', text: 'Intro text.' },
+  { type: 'paragraph', text: '<strong>Q:</strong> First question?' },
+  { type: 'paragraph', text: '<strong>Anna Smith:</strong> First answer.' },
+  { type: 'paragraph', text: 'Q: Second question?' },
+  { type: 'paragraph', text: 'Anna Smith: Second answer.' },
+  { type: 'paragraph', text: 'Note: written down.' },
+  { type: 'quote', text: 'Famous words' }
+];
+
+describe('generation/audio-narration', () => {
+  it('should detect dialogue speakers with several turns and alternate their roles', () => {
+    const speakers = findDialogueSpeakers(interview);
+
+    expect([...speakers.entries()]).toEqual([['Q', 'speaker1'], ['Anna Smith', 'speaker2']]);
+    expect(findDialogueSpeakers(interview.slice(0, 4)).size).toBe(0);
+  });
+
+  it('should group items into sections by voice', () => {
+    const plan = buildNarrationPlan(interview, {
+      defaultVoice: 'nova',
+      voices: { heading: 'onyx', quote: 'fable', speaker2: 'echo' }
+    });
+
+    expect(plan.map(section => [section.role, section.voice, section.items.length])).toEqual([
+      ['heading', 'onyx', 1],
+      // First speaker has no own voice and stays with narrator
+      ['narrator', 'nova', 2],
+      ['speaker2', 'echo', 1],
+      ['speaker1', 'nova', 1],
+      ['speaker2', 'echo', 1],
+      ['narrator', 'nova', 1],
+      ['quote', 'fable', 1]
+    ]);
+    expect(plan.every(section => section.pauseMs === 0)).toBe(true);
+  });
+
+  it('should keep single section without voices and pauses', () => {
+    const plan = buildNarrationPlan(interview, { defaultVoice: 'nova', voices: {} });
+
+    expect(plan).toHaveLength(1);
+    expect(plan[0].items).toHaveLength(interview.length);
+  });
+
+  it('should start section with pause or chime at every heading after text', () => {
+    const content = [
+      { type: 'heading', level: 1, text: 'Title' },
+      { type: 'paragraph', text: 'Intro.' },
+      { type: 'heading', level: 2, text: 'Part 1' },
+      { type: 'heading', level: 3, text: 'Part 1.1' },
+      { type: 'paragraph', text: 'Text.' }
+    ];
+
+    const plan = buildNarrationPlan(content, { defaultVoice: 'nova', voices: {}, pause: 'chime' });
+
+    expect(plan.map(section => section.items.length)).toEqual([2, 3]);
+    expect(plan.map(section => [section.pauseMs, section.chime])).toEqual([[0, false], [NARRATION_PAUSE_MS, true]]);
+  });
+
+  it('should not announce quotes and captions that have own voice', () => {
+    const content = [{ type: 'quote', text: 'Words' }, { type: 'image', caption: 'Chart' }];
+
+    expect(contentToPlainText(content)).toBe('Quote: Words\n\nImage: Chart');
+    expect(contentToPlainText(content, { labelQuotes: false, labelCaptions: false })).toBe('Words\n\nChart');
+  });
+
+  it('should create pause in format of WAV segment with chime in the middle', () => {
+    const pause = createPauseSegment(wavHeader(22050, 2), 500, true);
+    const samples = new Int16Array(pause, 44);
+    const middle = samples.length / 2;
+
+    expect(getAudioDurationMs(pause)).toBe(500);
+    expect(new DataView(pause).getUint16(22, true)).toBe(2);
+    expect(samples[0]).toBe(0);
+    expect(samples.slice(middle - 200, middle + 200).some(sample => sample !== 0)).toBe(true);
+    expect(new Int16Array(createPauseSegment(wavHeader(), 100)).slice(22).every(sample => sample === 0)).toBe(true);
+  });
+
+  it('should not create pause for compressed audio', () => {
+    expect(createPauseSegment(new Uint8Array([0xFF, 0xFB, 0x90, 0x00, 0, 0, 0, 0, 0, 0, 0, 0]).buffer, 500)).toBeNull();
+  });
+});
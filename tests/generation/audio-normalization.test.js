@@ -0,0 +1,38 @@
+// Tests for per-language text normalization of offline TTS
+
+import { describe, it, expect } from 'vitest';
+
+import { normalizeForSpeech, formatDateForSpeech } from '../../scripts/generation/audio-normalization.js';
+
+describe('generation/audio-normalization', () => {
+  it('should spell numeric dates in language of content', () => {
+    expect(normalizeForSpeech('Released 03/12/2024 and 2024-03-14.', 'en')).toBe('Released March 12, 2024 and March 14, 2024.');
+    expect(normalizeForSpeech('Am 12.03.2024', 'de')).toBe('Am 12. März 2024');
+    expect(normalizeForSpeech('12.03.2024 г.', 'ru')).toBe('12 марта 2024 г.');
+    expect(formatDateForSpeech(2024, 2, 30, 'en')).toBeNull();
+    expect(normalizeForSpeech('Build 31.31.2024', 'de')).toBe('Build 31.31.2024');
+  });
+
+  it('should remove group separators of language', () => {
+    expect(normalizeForSpeech('1,000,000 users, 3.5 points', 'en')).toBe('1000000 users, 3.5 points');
+    expect(normalizeForSpeech('1.000.000 Nutzer, 3,5 Punkte', 'de')).toBe('1000000 Nutzer, 3,5 Punkte');
+    expect(normalizeForSpeech('1 000 000 пользователей', 'ru')).toBe('1000000 пользователей');
+  });
+
+  it('should read currency and percent signs with plural forms', () => {
+    expect(normalizeForSpeech('$1 and 5 € (10%)', 'en')).toBe('1 dollar and 5 euros (10 percent)');
+    expect(normalizeForSpeech('21 % и 5 %, 3 $', 'ru')).toBe('21 процент и 5 процентов, 3 доллара');
+    expect(normalizeForSpeech('5 €', 'sv')).toBe('5 euro');
+  });
+
+  it('should expand abbreviations and number signs', () => {
+    expect(normalizeForSpeech('z.B. Nr. 7 usw.', 'de')).toBe('zum Beispiel Nummer 7 und so weiter.');
+    expect(normalizeForSpeech('3 млн, т. е. больше', 'ru')).toBe('3 миллиона, то есть больше');
+    expect(normalizeForSpeech('No. 5, e.g. Dr. Smith', 'en')).toBe('number 5, for example Doctor Smith');
+    expect(normalizeForSpeech('No. I refuse', 'en')).toBe('No. I refuse');
+  });
+
+  it('should keep text for unknown language', () => {
+    expect(normalizeForSpeech('1,000 e.g.', 'auto')).toBe('1,000 e.g.');
+  });
+});
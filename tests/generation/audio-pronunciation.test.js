@@ -0,0 +1,64 @@
+// Tests for pronunciation lexicon
+
+import { describe, it, expect } from 'vitest';
+import { parsePronunciationLexicon, applyPronunciation } from '../../scripts/generation/audio-pronunciation.js';
+
+function apply(lexicon, text, options) {
+  return applyPronunciation(text, parsePronunciationLexicon(lexicon).rules, options);
+}
+
+describe('generation/audio-pronunciation', () => {
+  it('should report invalid lines and keep valid rules', () => {
+    const { rules, errors } = parsePronunciationLexicon([
+      '# Acronyms',
+      'SQL => sequel',
+      'broken line',
+      '/(unclosed/ => x',
+      '/a*/ => empty',
+      'TODO =>',
+      '',
+      '[en, DE] k8s => Kubernetes'
+    ].join('\n'));
+
+    expect(rules.map(rule => rule.line)).toEqual([2, 8]);
+    expect(rules[1].languages).toEqual(['en', 'de']);
+    expect(errors.map(error => error.line)).toEqual([3, 4, 5, 6]);
+    expect(errors[0].message).toBe('Missing "=>"');
+  });
+
+  it('should replace literal patterns as whole case-sensitive words', () => {
+    const text = apply('SQL => sequel\nC++ => C plus plus', 'SQL, MySQL and sql in C++.');
+
+    expect(text).toBe('sequel, MySQL and sql in C plus plus.');
+  });
+
+  it('should expand regular expression groups', () => {
+    expect(apply('/(\\d+) ?ms\\b/ => $1 milliseconds', 'Took 250ms, then 40 ms.')).toBe('Took 250 milliseconds, then 40 milliseconds.');
+  });
+
+  it('should spell out and skip matches', () => {
+    expect(apply('JSON => !spell\nTODO: => !skip', 'TODO: parse JSON files')).toBe(' parse J S O N files');
+  });
+
+  it('should apply language rules only for matching article language', () => {
+    const lexicon = '[de] Chef => Schef\nk8s => Kubernetes';
+
+    expect(apply(lexicon, 'Chef k8s', { language: 'de' })).toBe('Schef Kubernetes');
+    expect(apply(lexicon, 'Chef k8s', { language: 'en' })).toBe('Chef Kubernetes');
+    expect(apply(lexicon, 'Chef k8s', { language: 'auto' })).toBe('Chef Kubernetes');
+  });
+
+  it('should add phoneme tags only for providers that support them', () => {
+    const lexicon = 'nginx => engine x /ˈɛndʒɪn ɛks/\nQt => /kjuːt/';
+
+    expect(apply(lexicon, 'nginx and Qt', { phonemes: 'ssml' }))
+      .toBe('<phoneme alphabet="ipa" ph="ˈɛndʒɪn ɛks">engine x</phoneme> and <phoneme alphabet="ipa" ph="kjuːt">Qt</phoneme>');
+    expect(apply(lexicon, 'nginx and Qt')).toBe('engine x and Qt');
+  });
+
+  it('should not apply later rules inside phoneme tags', () => {
+    const text = apply('nginx => engine x /ˈɛndʒɪn ɛks/\n/\\d/ => #\n/engine|alphabet|ipa/ => !skip', 'nginx 1', { phonemes: 'ssml' });
+
+    expect(text).toBe('<phoneme alphabet="ipa" ph="ˈɛndʒɪn ɛks">engine x</phoneme> #');
+  });
+});
@@ -0,0 +1,187 @@
+// Tests for audio tags, frame parsing and M4B container
+
+import { describe, it, expect } from 'vitest';
+import { getAudioDurationMs, parseAudioFrames } from '../../scripts/generation/audio-frames.js';
+import { buildId3Tag, addId3Tags, buildVorbisComments } from '../../scripts/generation/audio-tags.js';
+import { createM4b } from '../../scripts/generation/audio-m4b.js';
+
+// MPEG1 Layer III, 128 kbps, 44.1 kHz: 417 bytes, 1152 samples per frame
+const MP3_FRAME_SIZE = 417;
+
+function mp3Frames(count) {
+  const bytes = new Uint8Array(MP3_FRAME_SIZE * count);
+  for (let i = 0; i < count; i++) {
+    bytes.set([0xFF, 0xFB, 0x90, 0x00], i * MP3_FRAME_SIZE);
+  }
+  return bytes;
+}
+
+// ADTS AAC LC, 44.1 kHz, mono, 100 bytes (7 byte header), payload filled with frame number
+function adtsFrames(count) {
+  const bytes = new Uint8Array(100 * count);
+  for (let i = 0; i < count; i++) {
+    bytes.set([0xFF, 0xF1, 0x50, 0x40, 0x0C, 0x9F, 0xFC], i * 100);
+    bytes.fill(i + 1, i * 100 + 7, (i + 1) * 100);
+  }
+  return bytes;
+}
+
+function join(...parts) {
+  const result = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    result.set(part, offset);
+    offset += part.length;
+  }
+  return result;
+}
+
+function ascii(bytes) {
+  return Array.from(bytes, byte => String.fromCharCode(byte)).join('');
+}
+
+function utf16(text) {
+  return Array.from(text, char => char + '\0').join('');
+}
+
+function readUint32(bytes, offset) {
+  return new DataView(bytes.buffer, bytes.byteOffset).getUint32(offset);
+}
+
+const chapters = [
+  { title: 'Article', startMs: 0, endMs: 1000 },
+  { title: 'Part 2', startMs: 1000, endMs: 2000 }
+];
+
+describe('generation/audio-frames', () => {
+  it('should measure MP3 duration and skip leading ID3 tag', () => {
+    const tag = buildId3Tag({ title: 'Old title' });
+
+    expect(getAudioDurationMs(join(tag, mp3Frames(100)).buffer)).toBeCloseTo(100 * 1152 / 44.1, 3);
+  });
+
+  it('should parse ADTS AAC frames without headers', () => {
+    const stream = parseAudioFrames(adtsFrames(3).buffer);
+
+    expect(stream).toMatchObject({ codec: 'aac', sampleRate: 44100, channels: 1, audioObjectType: 2 });
+    expect(stream.frames).toEqual([{ offset: 7, size: 93 }, { offset: 107, size: 93 }, { offset: 207, size: 93 }]);
+  });
+
+  it('should measure WAV duration from data size and byte rate', () => {
+    const wav = new Uint8Array(44 + 32000);
+    const view = new DataView(wav.buffer);
+    wav.set([0x52, 0x49, 0x46, 0x46], 0);
+    wav.set([0x57, 0x41, 0x56, 0x45, 0x66, 0x6D, 0x74, 0x20], 8);
+    view.setUint32(16, 16, true);
+    view.setUint32(28, 32000, true);
+    wav.set([0x64, 0x61, 0x74, 0x61], 36);
+    view.setUint32(40, 32000, true);
+
+    expect(getAudioDurationMs(wav.buffer)).toBe(1000);
+  });
+});
+
+describe('generation/audio-tags', () => {
+  it('should write ID3v2.3 header with synchsafe size and text frames', () => {
+    const tag = buildId3Tag({ title: 'Title', artist: 'Author', album: 'example.com', comment: 'https://example.com/a' });
+    const text = ascii(tag);
+    const size = (tag[6] << 21) | (tag[7] << 14) | (tag[8] << 7) | tag[9];
+
+    expect(text.slice(0, 4)).toBe('ID3\x03');
+    expect(size).toBe(tag.length - 10);
+    expect(text).toContain('TIT2');
+    expect(text).toContain('\x01\xFF\xFE' + utf16('Title'));
+    expect(text).toContain('TPE1');
+    expect(text).toContain('TALB');
+    expect(text).toContain('COMM');
+  });
+
+  it('should write CTOC and CHAP frames with chapter times', () => {
+    const tag = buildId3Tag({ title: 'Article', chapters });
+    const text = ascii(tag);
+    const second = text.indexOf('CHAP', text.indexOf('CHAP') + 4);
+    // Frame header (10 bytes) and element ID "chp1\0"
+    const timesOffset = second + 10 + 5;
+
+    expect(text).toContain('CTOC');
+    expect(text).toContain('toc\0\x03\x02chp0\0chp1\0');
+    expect(readUint32(tag, timesOffset)).toBe(1000);
+    expect(readUint32(tag, timesOffset + 4)).toBe(2000);
+    expect(text).toContain(utf16('Part 2'));
+  });
+
+  it('should not write chapter frames for single chapter and add cover', () => {
+    const tag = buildId3Tag({ title: 'Article', chapters: chapters.slice(0, 1), cover: { mediaType: 'image/png', data: 'iVBORw==' } });
+    const text = ascii(tag);
+
+    expect(text).not.toContain('CHAP');
+    expect(text).toContain('APIC\0\0\0\x11\0\0\0image/png\0\x03\0\x89PNG');
+  });
+
+  it('should replace existing ID3 tag of MP3', () => {
+    const audio = mp3Frames(2);
+    const tagged = new Uint8Array(addId3Tags(join(buildId3Tag({ title: 'Old title' }), audio).buffer, { title: 'New' }));
+    const text = ascii(tagged);
+
+    expect(text).not.toContain(utf16('Old title'));
+    expect(text.indexOf('ID3')).toBe(0);
+    expect(tagged.slice(tagged.length - audio.length)).toEqual(audio);
+  });
+
+  it('should build Vorbis comments with chapters and cover picture block', () => {
+    const comments = buildVorbisComments({
+      title: 'Article',
+      artist: 'Author',
+      comment: 'https://example.com/a',
+      chapters: [...chapters, { title: 'Part 3', startMs: 3723456, endMs: 3800000 }],
+      cover: { mediaType: 'image/png', data: 'iVBORw==' }
+    });
+    const picture = ascii(Uint8Array.from(atob(comments.at(-1).slice('METADATA_BLOCK_PICTURE='.length)), char => char.charCodeAt(0)));
+
+    expect(comments.slice(0, 3)).toEqual(['TITLE=Article', 'ARTIST=Author', 'COMMENT=https://example.com/a']);
+    expect(comments).toContain('CHAPTER000=00:00:00.000');
+    expect(comments).toContain('CHAPTER001NAME=Part 2');
+    expect(comments).toContain('CHAPTER002=01:02:03.456');
+    expect(picture.slice(0, 17)).toBe('\0\0\0\x03\0\0\0\x09image/png');
+    expect(picture.slice(-4)).toBe('\x89PNG');
+  });
+});
+
+describe('generation/audio-m4b', () => {
+  it('should create M4B with audio samples, chapter track and metadata', () => {
+    const m4b = new Uint8Array(createM4b(adtsFrames(3).buffer, { title: 'Article', artist: 'Author', chapters: [
+      { title: 'Article', startMs: 0, endMs: 30 },
+      { title: 'Part 2', startMs: 30, endMs: 70 }
+    ] }));
+    const text = ascii(m4b);
+    const stco = text.indexOf('stco');
+    // Audio chunk of every chapter: entry count, then chunk offsets
+    const audioOffsets = [readUint32(m4b, stco + 12), readUint32(m4b, stco + 16)];
+
+    expect(text.slice(4, 12)).toBe('ftypM4B ');
+    expect(text.indexOf('moov')).toBeLessThan(text.indexOf('mdat'));
+    expect(text).toContain('esds');
+    expect(text).toContain('chap');
+    expect(text).toContain('chpl');
+    expect(text).toContain('\xA9nam');
+    expect(text).toContain('\0\x06Part 2\0\0\0\x0Cencd');
+    // Audio samples are stored without ADTS headers, second chapter starts with second frame
+    expect(readUint32(m4b, stco + 8)).toBe(2);
+    expect(Array.from(m4b.slice(audioOffsets[0], audioOffsets[0] + 93))).toEqual(new Array(93).fill(1));
+    expect(Array.from(m4b.slice(audioOffsets[1], audioOffsets[1] + 3))).toEqual([2, 2, 2]);
+    expect(ascii(m4b.slice(audioOffsets[1] - 20, audioOffsets[1]))).toContain('Part 2');
+  });
+
+  it('should store MP3 frames without chapter track if there is one chapter', () => {
+    const m4b = new Uint8Array(createM4b(mp3Frames(4).buffer, { title: 'Article', chapters: chapters.slice(0, 1) }));
+    const text = ascii(m4b);
+
+    expect(text).toContain('mp4a');
+    expect(text).not.toContain('chpl');
+    expect(text).not.toContain('tref');
+  });
+
+  it('should return null for audio that cannot be stored without re-encoding', () => {
+    expect(createM4b(new Uint8Array([0x52, 0x49, 0x46, 0x46, 0, 0, 0, 0, 0x57, 0x41, 0x56, 0x45]).buffer, {})).toBeNull();
+  });
+});
@@ -0,0 +1,68 @@
+// Tests for read-along transcript of audio player
+
+import { describe, it, expect } from 'vitest';
+import { splitSentences, buildTranscript, findSentenceAt } from '../../scripts/generation/audio-transcript.js';
+
+describe('generation/audio-transcript', () => {
+  it('should split paragraph into sentences', () => {
+    expect(splitSentences('First one.  Second\none?\nThird!', 'en')).toEqual(['First one.', 'Second one?', 'Third!']);
+    expect(splitSentences('   ')).toEqual([]);
+  });
+
+  it('should spread chunk time over sentences by text length', () => {
+    const transcript = buildTranscript(
+      [{ index: 0, text: 'Aaaa bbbb. Cccc dddd.\n\nEeee ffff.' }],
+      [{ index: 0, durationMs: 3000 }],
+      'en'
+    );
+
+    expect(transcript).toEqual([
+      { text: 'Aaaa bbbb.', paragraph: 0, startMs: 0, endMs: 1000 },
+      { text: 'Cccc dddd.', paragraph: 0, startMs: 1000, endMs: 2000 },
+      { text: 'Eeee ffff.', paragraph: 1, startMs: 2000, endMs: 3000 }
+    ]);
+  });
+
+  it('should skip pauses, join split parts and leave out chunks without audio', () => {
+    const transcript = buildTranscript(
+      [
+        { index: 0, text: 'Title.' },
+        { index: 1, text: 'Failed chunk.' },
+        { index: 2, text: 'Long chunk.' }
+      ],
+      [
+        { index: 0, durationMs: 500 },
+        { index: null, durationMs: 1000 },
+        { index: 2, durationMs: 2000 },
+        { index: 2, durationMs: 1500 }
+      ]
+    );
+
+    expect(transcript).toEqual([
+      { text: 'Title.', paragraph: 0, startMs: 0, endMs: 500 },
+      { text: 'Long chunk.', paragraph: 1, startMs: 1500, endMs: 5000 }
+    ]);
+  });
+
+  it('should return empty transcript if segment duration is unknown', () => {
+    expect(buildTranscript(
+      [{ index: 0, text: 'One.' }, { index: 1, text: 'Two.' }],
+      [{ index: 0, durationMs: 1000 }, { index: 1, durationMs: null }]
+    )).toEqual([]);
+  });
+
+  it('should find sentence played at time', () => {
+    const transcript = [
+      { text: 'A.', paragraph: 0, startMs: 200, endMs: 1000 },
+      { text: 'B.', paragraph: 0, startMs: 1000, endMs: 2500 },
+      { text: 'C.', paragraph: 1, startMs: 3000, endMs: 4000 }
+    ];
+
+    expect(findSentenceAt(transcript, 0)).toBe(-1);
+    expect(findSentenceAt(transcript, 200)).toBe(0);
+    expect(findSentenceAt(transcript, 1999)).toBe(1);
+    expect(findSentenceAt(transcript, 2800)).toBe(1);
+    expect(findSentenceAt(transcript, 9000)).toBe(2);
+    expect(findSentenceAt([], 100)).toBe(-1);
+  });
+});
@@ -0,0 +1,102 @@
+// Tests for e-book cover module
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import {
+  getHeroImageSource,
+  wrapCoverText,
+  layoutCoverTitle,
+  createCoverImage
+} from '../../scripts/generation/cover.js';
+import { imageToBase64 } from '../../scripts/utils/images.js';
+
+vi.mock('../../scripts/utils/logging.js', () => ({
+  log: vi.fn(),
+  logWarn: vi.fn(),
+  logError: vi.fn()
+}));
+
+vi.mock('../../scripts/utils/images.js', () => ({
+  imageToBase64: vi.fn(),
+  blobToBase64: vi.fn()
+}));
+
+/** Measure text as 10 units per character */
+const measure = text => text.length * 10;
+
+describe('generation/cover', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  describe('getHeroImageSource', () => {
+    it('should prefer structured metadata image', () => {
+      const content = [{ type: 'image', src: 'https://example.com/inline.jpg' }];
+
+      expect(getHeroImageSource(content, { image: 'https://example.com/og.jpg' })).toBe('https://example.com/og.jpg');
+      expect(getHeroImageSource(content, null)).toBe('https://example.com/inline.jpg');
+    });
+
+    it('should ignore images far from the beginning of article', () => {
+      const content = [
+        ...Array.from({ length: 5 }, (_, i) => ({ type: 'paragraph', text: `Paragraph ${i}` })),
+        { type: 'image', src: 'https://example.com/figure.png' }
+      ];
+
+      expect(getHeroImageSource(content, null)).toBe('');
+      expect(getHeroImageSource(undefined, undefined)).toBe('');
+    });
+  });
+
+  describe('wrapCoverText', () => {
+    it('should wrap words and split words longer than line', () => {
+      expect(wrapCoverText('one two three', 80, measure)).toEqual(['one two', 'three']);
+      expect(wrapCoverText('abcdefghij', 40, measure)).toEqual(['abcd', 'efgh', 'ij']);
+      expect(wrapCoverText('日本語のタイトル', 30, measure)).toEqual(['日本語', 'のタイ', 'トル']);
+    });
+  });
+
+  describe('layoutCoverTitle', () => {
+    it('should pick largest font size that fits', () => {
+      const sizeMeasure = (text, size) => text.length * size;
+
+      expect(layoutCoverTitle('Short title', 1200, sizeMeasure, { sizes: [100, 50], maxLines: 2 }))
+        .toEqual({ fontSize: 100, lines: ['Short title'] });
+      expect(layoutCoverTitle('A much longer title of the article', 1000, sizeMeasure, { sizes: [100, 50], maxLines: 2 }))
+        .toEqual({ fontSize: 50, lines: ['A much longer title', 'of the article'] });
+    });
+
+    it('should truncate title with ellipsis when it does not fit', () => {
+      const layout = layoutCoverTitle('word '.repeat(20), 100, measure, { sizes: [10], maxLines: 2 });
+
+      expect(layout.lines).toEqual(['word word', 'word word…']);
+    });
+  });
+
+  describe('createCoverImage', () => {
+    it('should use PNG hero image as cover', async () => {
+      imageToBase64.mockResolvedValue('data:image/png;base64,aGVybw==');
+
+      const cover = await createCoverImage({
+        title: 'Article',
+        content: [{ type: 'image', src: 'https://example.com/hero.png' }]
+      });
+
+      expect(imageToBase64).toHaveBeenCalledWith('https://example.com/hero.png');
+      expect(cover).toEqual({ mediaType: 'image/png', data: 'aGVybw==', ext: 'png' });
+    });
+
+    it('should not use hero image when disabled or not a raster image', async () => {
+      imageToBase64.mockResolvedValue('data:image/svg+xml;base64,PHN2Zz4=');
+      const options = {
+        title: 'Article',
+        sourceUrl: 'https://www.example.com/post',
+        metadata: { image: 'https://example.com/logo.svg' }
+      };
+
+      // No OffscreenCanvas in test environment, so typographic cover is not rendered
+      expect(await createCoverImage(options)).toBeNull();
+      expect(await createCoverImage({ ...options, useHeroImage: false })).toBeNull();
+      expect(imageToBase64).toHaveBeenCalledTimes(1);
+    });
+  });
+});
@@ -29,6 +29,7 @@ vi.mock('../../lib/jszip-wrapper.js', () => {
   class MockJSZip {
     constructor() {
       this.files = {};
+      MockJSZip.lastInstance = this;
     }
     
     file(name, content, options = {}) {
@@ -76,6 +77,10 @@ vi.mock('../../scripts/utils/security.js', () => ({
   sanitizeFilename: vi.fn((name) => name.replace(/[^a-zA-Z0-9_-]/g, '_'))
 }));
 
+vi.mock('../../scripts/generation/cover.js', () => ({
+  createCoverImage: vi.fn(async () => ({ mediaType: 'image/jpeg', data: btoa('mock-cover'), ext: 'jpg' }))
+}));
+
 // Mock chrome.downloads
 global.chrome = {
   downloads: {
@@ -302,6 +307,40 @@ describe('generation/epub', () => {
       const downloadCall = chrome.downloads.download.mock.calls[0][0];
       expect(downloadCall.filename).toContain('.epub');
     });
+
+    it('should write language tag for languages typed as names', async () => {
+      const JSZip = (await import('../../lib/jszip-wrapper.js')).default;
+      const content = [{ type: 'paragraph', text: 'Habari ya dunia' }];
+
+      await generateEpub({ content, title: 'Test', language: 'Swahili' });
+      expect(JSZip.lastInstance.files['OEBPS/content.opf'].content).toContain('<dc:language>sw</dc:language>');
+      expect(JSZip.lastInstance.files['OEBPS/content.xhtml'].content).toContain('xml:lang="sw"');
+
+      await generateEpub({ content, title: 'Test', language: 'High "Elvish" & <Sindarin>' });
+      const files = JSZip.lastInstance.files;
+      expect(files['OEBPS/content.opf'].content).toContain('<dc:language>und</dc:language>');
+      expect(files['OEBPS/content.xhtml'].content).toContain('xml:lang="und"');
+      expect(files['OEBPS/nav.xhtml'].content).toContain('xml:lang="und"');
+      expect(files['OEBPS/content.opf'].content).not.toContain('Sindarin');
+    });
+
+    it('should lay out right-to-left books', async () => {
+      const JSZip = (await import('../../lib/jszip-wrapper.js')).default;
+      const content = [
+        { type: 'paragraph', text: 'مرحبا بالعالم، هذا نص عربي' },
+        { type: 'code', text: 'const x = 1;' }
+      ];
+
+      await generateEpub({ content, title: 'Test', language: 'auto' });
+      const files = JSZip.lastInstance.files;
+      expect(files['OEBPS/content.opf'].content).toContain('<spine toc="ncx" page-progression-direction="rtl">');
+      expect(files['OEBPS/content.xhtml'].content).toContain('dir="rtl"');
+      expect(files['OEBPS/content.xhtml'].content).toContain('<pre dir="ltr"><code>const x = 1;</code></pre>');
+      expect(files['OEBPS/nav.xhtml'].content).toContain('dir="rtl"');
+
+      await generateEpub({ content: [{ type: 'paragraph', text: 'Content' }], title: 'Test', language: 'en' });
+      expect(JSZip.lastInstance.files['OEBPS/content.opf'].content).toContain('<spine toc="ncx">');
+    });
   });
 });
 
@@ -76,6 +76,11 @@ vi.mock('../../scripts/utils/config.js', () => ({
   }
 }));
 
+vi.mock('../../scripts/locales.js', () => ({
+  getUILanguage: vi.fn(async () => 'en'),
+  tSync: vi.fn((key) => key)
+}));
+
 describe('generation/factory', () => {
   beforeEach(() => {
     vi.clearAllMocks();
@@ -369,30 +374,48 @@ describe('generation/factory', () => {
       expect(logError).toHaveBeenCalled();
     });
   });
-});
-
-
-
-
-
-
-
-
-
-
-
-
-
-
-
-
-
 
+  describe('DocumentGeneratorFactory.generateAnthology', () => {
+    const chapters = [
+      { title: 'First', author: 'Jane Doe', sourceUrl: 'https://example.com/1', content: [{ type: 'paragraph', text: 'One' }] },
+      { title: 'Empty', author: 'Jane Doe', sourceUrl: 'https://example.com/2', content: [] },
+      { title: 'Second', author: 'Jane Doe', sourceUrl: 'https://example.com/3', content: [{ type: 'paragraph', text: 'Two' }] }
+    ];
+    const bookData = { title: 'My Book', generateToc: true, effectiveLanguage: 'en', fontSize: '28' };
+    const mockUpdateState = vi.fn();
 
+    it('should pass chapters with content to EPUB generator', async () => {
+      const { generateEpub } = await import('../../scripts/generation/epub.js');
 
+      await DocumentGeneratorFactory.generateAnthology('epub', bookData, chapters, mockUpdateState);
 
+      const params = generateEpub.mock.calls[0][0];
+      expect(params.chapters.map(c => c.title)).toEqual(['First', 'Second']);
+      expect(params.content).toHaveLength(2);
+      expect(params).toMatchObject({ title: 'My Book', author: 'Jane Doe', sourceUrl: '', generateToc: true, language: 'en' });
+    });
 
+    it('should pass PDF style options for PDF anthology', async () => {
+      const { generatePdf } = await import('../../scripts/generation/pdf.js');
 
+      await DocumentGeneratorFactory.generateAnthology('pdf', bookData, chapters, mockUpdateState);
 
+      expect(generatePdf).toHaveBeenCalledWith(
+        expect.objectContaining({ fontSize: '28', stylePreset: 'dark', pageMode: 'single' }),
+        mockUpdateState
+      );
+    });
 
+    it('should reject formats without chapters', async () => {
+      await expect(
+        DocumentGeneratorFactory.generateAnthology('markdown', bookData, chapters, mockUpdateState)
+      ).rejects.toThrow('errorAnthologyUnsupportedFormat');
+    });
 
+    it('should reject book without chapter content', async () => {
+      await expect(
+        DocumentGeneratorFactory.generateAnthology('fb2', bookData, [chapters[1]], mockUpdateState)
+      ).rejects.toThrow('errorAnthologyNoChapters');
+    });
+  });
+});
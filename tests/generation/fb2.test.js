@@ -34,7 +34,8 @@ vi.mock('../../scripts/utils/config.js', () => ({
     if (!date) return '';
     return new Date(date).toLocaleDateString(lang === 'ru' ? 'ru-RU' : 'en-US');
   }),
-  getLocaleFromLanguage: vi.fn((lang) => lang === 'ru' ? 'ru-RU' : 'en-US')
+  getLocaleFromLanguage: vi.fn((lang) => lang === 'ru' ? 'ru-RU' : 'en-US'),
+  getExtensionVersion: vi.fn(() => '1.0.0')
 }));
 
 vi.mock('../../scripts/locales.js', () => ({
@@ -58,6 +59,10 @@ vi.mock('../../scripts/utils/security.js', () => ({
   sanitizeFilename: vi.fn((name) => name.replace(/[^a-zA-Z0-9_-]/g, '_'))
 }));
 
+vi.mock('../../scripts/generation/cover.js', () => ({
+  createCoverImage: vi.fn(async () => ({ mediaType: 'image/jpeg', data: btoa('mock-cover'), ext: 'jpg' }))
+}));
+
 // Mock chrome.downloads
 global.chrome = {
   downloads: {
@@ -265,6 +270,38 @@ describe('generation/fb2', () => {
       // The blob should contain XML
       expect(downloadCall.filename).toContain('.fb2');
     });
+
+    describe('right-to-left books', () => {
+      const content = [
+        { type: 'paragraph', text: 'ثبّت الحزمة <code>npm install</code> واقرأ <a href="https://example.com/docs">الوثائق</a>' },
+        { type: 'code', text: 'const x = 1;\nexport default x;' }
+      ];
+
+      /**
+       * Read FB2 passed to download
+       * @returns {Promise<string>}
+       */
+      const readFb2 = () => URL.createObjectURL.mock.calls[0][0].text();
+
+      it('should isolate code left-to-right and link text by first strong character', async () => {
+        await generateFb2({ content, title: 'مقالة', sourceUrl: 'https://example.com/article', language: 'ar' });
+        const fb2 = await readFb2();
+
+        expect(fb2).toContain('<code>\u2066npm install\u2069</code>');
+        expect(fb2).toContain('<code>\u2066const x = 1;\u2069</code>');
+        expect(fb2).toContain('<code>\u2066export default x;\u2069</code>');
+        expect(fb2).toContain('<a l:href="https://example.com/docs">\u2068الوثائق\u2069</a>');
+        expect(fb2).toContain('<a l:href="https://example.com/article">\u2068Source\u2069</a>');
+      });
+
+      it('should not add isolates to left-to-right books', async () => {
+        await generateFb2({ content: [{ type: 'paragraph', text: 'Run <code>npm install</code>' }], title: 'Test', language: 'en' });
+        const fb2 = await readFb2();
+
+        expect(fb2).toContain('<code>npm install</code>');
+        expect(fb2).not.toMatch(/[\u2066\u2068\u2069]/);
+      });
+    });
   });
 });
 
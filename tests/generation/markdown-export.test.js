@@ -0,0 +1,159 @@
+// Tests for Markdown export options (front matter, images)
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import {
+  DEFAULT_FRONT_MATTER_TEMPLATE,
+  getMarkdownExportSettings,
+  renderFrontMatter,
+  toYamlValue,
+  keywordsToTags,
+  countContentWords,
+  getImageExtension,
+  createImageLinkResolver,
+  downloadMarkdownImages
+} from '../../scripts/generation/markdown-export.js';
+
+vi.mock('../../scripts/utils/logging.js', () => ({
+  log: vi.fn(),
+  logWarn: vi.fn()
+}));
+
+vi.mock('../../scripts/utils/html.js', () => ({
+  stripHtml: vi.fn((text) => text?.replace(/<[^>]*>/g, '') || '')
+}));
+
+describe('generation/markdown-export', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  describe('renderFrontMatter', () => {
+    it('should render default template and skip empty values', () => {
+      const frontMatter = renderFrontMatter(DEFAULT_FRONT_MATTER_TEMPLATE, {
+        title: 'Why: "quotes" #matter',
+        author: '',
+        url: 'https://example.com/a',
+        tags: ['science', 'space'],
+        word_count: 42,
+        abstract: 'Line one\nLine two'
+      });
+
+      expect(frontMatter).toBe([
+        '---',
+        'title: "Why: \\"quotes\\" #matter"',
+        'source: "https://example.com/a"',
+        'tags: ["science", "space"]',
+        'word_count: 42',
+        'abstract: "Line one\\nLine two"',
+        '---',
+        '',
+        ''
+      ].join('\n'));
+    });
+
+    it('should keep literal lines and insert placeholders inside text as plain text', () => {
+      const template = '---\ntype: clipping\ncategory: "[[{{site}}]]"\nmissing: {{unknown}}\n---';
+
+      expect(renderFrontMatter(template, { site: 'Example' })).toBe('---\ntype: clipping\ncategory: "[[Example]]"\n---\n\n');
+      expect(renderFrontMatter('note: {{title}}', {})).toBe('');
+    });
+  });
+
+  describe('helpers', () => {
+    it('should convert values to YAML', () => {
+      expect(toYamlValue('plain')).toBe('"plain"');
+      expect(toYamlValue(7)).toBe('7');
+      expect(toYamlValue([])).toBe('[]');
+    });
+
+    it('should convert keywords to tags', () => {
+      expect(keywordsToTags(['Machine Learning', '#AI', 'machine learning', ' '])).toEqual(['machine-learning', 'ai']);
+    });
+
+    it('should count words including CJK characters and lists', () => {
+      const content = [
+        { type: 'paragraph', text: 'Hello <b>big</b> world — again' },
+        { type: 'list', items: ['one two', { html: '<i>three</i>' }] },
+        { type: 'paragraph', text: '日本語 text' },
+        { type: 'image', src: 'https://example.com/a.jpg', alt: 'ignored words' }
+      ];
+
+      expect(countContentWords(content)).toBe(11);
+    });
+
+    it('should detect image extension', () => {
+      expect(getImageExtension('https://example.com/photo.JPEG?w=800')).toBe('jpg');
+      expect(getImageExtension('data:image/svg+xml;base64,PHN2Zz4=')).toBe('svg');
+      expect(getImageExtension('https://example.com/image?id=5')).toBe('jpg');
+    });
+  });
+
+  describe('createImageLinkResolver', () => {
+    it('should skip images in default mode', () => {
+      const resolver = createImageLinkResolver('none');
+
+      expect(resolver.resolve('https://example.com/a.png')).toBe('');
+    });
+
+    it('should link only remote URLs in remote mode', () => {
+      const resolver = createImageLinkResolver('remote');
+
+      expect(resolver.resolve('https://example.com/a.png')).toBe('https://example.com/a.png');
+      expect(resolver.resolve('data:image/png;base64,AAAA')).toBe('');
+      expect(resolver.downloads).toEqual([]);
+    });
+
+    it('should assign relative paths once per image in local mode', () => {
+      const resolver = createImageLinkResolver('local');
+
+      expect(resolver.resolve('https://example.com/a.png')).toBe('images/image-001.png');
+      expect(resolver.resolve('data:image/webp;base64,AAAA')).toBe('images/image-002.webp');
+      expect(resolver.resolve('https://example.com/a.png')).toBe('images/image-001.png');
+      expect(resolver.downloads).toHaveLength(2);
+    });
+  });
+
+  describe('getMarkdownExportSettings', () => {
+    it('should use plain output by default and validate stored values', async () => {
+      chrome.storage.local.get = vi.fn(async () => ({}));
+      expect(await getMarkdownExportSettings()).toEqual({
+        frontMatter: false,
+        template: DEFAULT_FRONT_MATTER_TEMPLATE,
+        imageMode: 'none'
+      });
+
+      chrome.storage.local.get = vi.fn(async () => ({
+        markdown_front_matter: true,
+        markdown_front_matter_template: ' title: {{title}} ',
+        markdown_images: 'everywhere'
+      }));
+      expect(await getMarkdownExportSettings()).toEqual({
+        frontMatter: true,
+        template: 'title: {{title}}',
+        imageMode: 'none'
+      });
+    });
+  });
+
+  describe('downloadMarkdownImages', () => {
+    it('should save images into article folder and continue after failure', async () => {
+      chrome.downloads.download = vi.fn()
+        .mockRejectedValueOnce(new Error('Network error'))
+        .mockResolvedValueOnce(2);
+      const images = [
+        { src: 'https://example.com/a.png', path: 'images/image-001.png' },
+        { src: 'https://example.com/b.jpg', path: 'images/image-002.jpg' }
+      ];
+
+      const started = await downloadMarkdownImages(images, 'My_Article');
+
+      expect(started).toBe(1);
+      expect(chrome.downloads.download).toHaveBeenLastCalledWith({
+        url: 'https://example.com/b.jpg',
+        filename: 'My_Article/images/image-002.jpg',
+        conflictAction: 'overwrite',
+        saveAs: false
+      });
+    });
+  });
+});
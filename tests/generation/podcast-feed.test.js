@@ -0,0 +1,63 @@
+// Tests for podcast feed (RSS 2.0 with iTunes namespace) and episode helpers
+
+import { describe, it, expect } from 'vitest';
+import { buildPodcastFeed, formatItunesDuration, getPodcastFileUrl } from '../../scripts/generation/podcast-feed.js';
+import { getEpisodeFilename, buildEpisodeDescription } from '../../scripts/generation/podcast-library.js';
+
+const episode = {
+  id: '1700000000000_abc',
+  title: 'Cats & <Dogs>',
+  description: 'Why "pets" matter',
+  author: 'Jane Doe',
+  sourceUrl: 'https://example.com/article?a=1&b=2',
+  language: 'en',
+  mimeType: 'audio/mpeg',
+  filename: 'cats-dogs-1700000000000_abc.mp3',
+  size: 12345,
+  duration: 3725,
+  createdAt: Date.UTC(2024, 0, 2, 3, 4, 5)
+};
+
+describe('generation/podcast-feed', () => {
+  it('should build RSS feed with iTunes tags and escaped episode data', () => {
+    const xml = buildPodcastFeed([episode], {
+      title: 'My clips',
+      author: 'Me',
+      description: '',
+      baseUrl: 'https://cdn.example.com/podcast',
+      target: 'none',
+      targetUrl: '',
+      username: '',
+      region: ''
+    });
+
+    expect(xml).toContain('xmlns:itunes="http://www.itunes.com/dtds/podcast-1.0.dtd"');
+    expect(xml).toContain('<title>My clips</title>');
+    expect(xml).toContain('<language>en</language>');
+    expect(xml).toContain('<atom:link href="https://cdn.example.com/podcast/feed.xml" rel="self" type="application/rss+xml"/>');
+    expect(xml).toContain('<title>Cats &amp; &lt;Dogs&gt;</title>');
+    expect(xml).toContain('<enclosure url="https://cdn.example.com/podcast/cats-dogs-1700000000000_abc.mp3" length="12345" type="audio/mpeg"/>');
+    expect(xml).toContain('<link>https://example.com/article?a=1&amp;b=2</link>');
+    expect(xml).toContain('<description>Why &quot;pets&quot; matter</description>');
+    expect(xml).toContain('<itunes:duration>1:02:05</itunes:duration>');
+    expect(xml).toContain('<pubDate>Tue, 02 Jan 2024 03:04:05 GMT</pubDate>');
+    expect(xml).toContain('<itunes:author>Jane Doe</itunes:author>');
+  });
+
+  it('should format durations and file URLs', () => {
+    expect(formatItunesDuration(65)).toBe('1:05');
+    expect(formatItunesDuration(0)).toBe('0:00');
+    expect(getPodcastFileUrl('https://dav.example.com/feed/', 'a b.mp3')).toBe('https://dav.example.com/feed/a%20b.mp3');
+    expect(getPodcastFileUrl('', 'feed.xml')).toBe('feed.xml');
+  });
+
+  it('should build ASCII file names and short descriptions', () => {
+    expect(getEpisodeFilename('Café: the "Best" Story!', '1_x', 'mp3')).toBe('cafe-the-best-story-1_x.mp3');
+    expect(getEpisodeFilename('Статья', '1_x', 'ogg')).toBe('1_x.ogg');
+
+    expect(buildEpisodeDescription('Short  abstract', 'Long text')).toBe('Short abstract');
+    const description = buildEpisodeDescription('', 'word '.repeat(200));
+    expect(description.length).toBeLessThanOrEqual(401);
+    expect(description.endsWith('word…')).toBe(true);
+  });
+});
@@ -0,0 +1,130 @@
+// Tests for local audio compression helpers (Ogg Opus container, WAV PCM reader)
+
+import { describe, it, expect, vi } from 'vitest';
+import { createOggOpus, buildOpusTags, oggCrc32 } from '../../scripts/offscreen/audio/ogg-opus.js';
+import { readWavPcm } from '../../scripts/offscreen/audio/wav-utils.js';
+
+vi.mock('../../scripts/utils/logging.js', () => ({
+  log: vi.fn(),
+  logError: vi.fn(),
+  logWarn: vi.fn()
+}));
+
+function ascii(bytes) {
+  return Array.from(bytes, byte => String.fromCharCode(byte)).join('');
+}
+
+// Split Ogg stream into pages: header fields, lacing values and body
+function readPages(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const pages = [];
+  let offset = 0;
+  while (offset < bytes.length) {
+    const segments = bytes[offset + 26];
+    const lacing = Array.from(bytes.slice(offset + 27, offset + 27 + segments));
+    const bodySize = lacing.reduce((sum, value) => sum + value, 0);
+    const size = 27 + segments + bodySize;
+    const page = bytes.slice(offset, offset + size);
+    const crc = view.getUint32(offset + 22, true);
+    page.fill(0, 22, 26);
+    pages.push({
+      capture: ascii(bytes.slice(offset, offset + 4)),
+      flags: bytes[offset + 5],
+      granule: view.getUint32(offset + 6, true),
+      sequence: view.getUint32(offset + 18, true),
+      crcValid: oggCrc32(page) === crc,
+      lacing,
+      body: bytes.slice(offset + 27 + segments, offset + size)
+    });
+    offset += size;
+  }
+  return pages;
+}
+
+function wav({ sampleRate = 22050, channels = 1, bits = 16, samples = [] }) {
+  const bytes = new Uint8Array(44 + samples.length * 2);
+  const view = new DataView(bytes.buffer);
+  bytes.set([0x52, 0x49, 0x46, 0x46], 0);
+  view.setUint32(4, bytes.length - 8, true);
+  bytes.set([0x57, 0x41, 0x56, 0x45, 0x66, 0x6D, 0x74, 0x20], 8);
+  view.setUint32(16, 16, true);
+  view.setUint16(20, 1, true);
+  view.setUint16(22, channels, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * channels * bits / 8, true);
+  view.setUint16(32, channels * bits / 8, true);
+  view.setUint16(34, bits, true);
+  bytes.set([0x64, 0x61, 0x74, 0x61], 36);
+  view.setUint32(40, samples.length * 2, true);
+  samples.forEach((sample, index) => view.setInt16(44 + index * 2, sample, true));
+  return bytes.buffer;
+}
+
+describe('offscreen/audio/ogg-opus', () => {
+  it('should calculate Ogg CRC32 (polynomial 0x04C11DB7, no reflection)', () => {
+    expect(oggCrc32(new TextEncoder().encode('123456789'))).toBe(0x89A1897F);
+  });
+
+  it('should write header pages and audio pages with valid checksums', () => {
+    const packets = Array.from({ length: 3 }, (_, index) => ({ data: new Uint8Array(10).fill(index + 1), samples: 960 }));
+    const pages = readPages(createOggOpus(packets, { channels: 1, inputSampleRate: 22050, serial: 7 }));
+
+    expect(pages.map(page => page.capture)).toEqual(['OggS', 'OggS', 'OggS']);
+    expect(pages.every(page => page.crcValid)).toBe(true);
+    expect(pages.map(page => page.sequence)).toEqual([0, 1, 2]);
+    // Beginning of stream, header, end of stream
+    expect(pages.map(page => page.flags)).toEqual([0x02, 0, 0x04]);
+    expect(ascii(pages[0].body.slice(0, 8))).toBe('OpusHead');
+    expect(pages[0].body[9]).toBe(1);
+    expect(new DataView(pages[0].body.buffer).getUint32(12, true)).toBe(22050);
+    expect(ascii(pages[1].body.slice(0, 8))).toBe('OpusTags');
+    expect(pages[2].lacing).toEqual([10, 10, 10]);
+  });
+
+  it('should count granule position from pre-skip and trim last page to source length', () => {
+    const packets = Array.from({ length: 60 }, () => ({ data: new Uint8Array(20), samples: 960 }));
+    const pages = readPages(createOggOpus(packets, { channels: 1, inputSampleRate: 48000, preSkip: 312, totalSamples: 57000 }));
+
+    // One second of audio per page: 50 packets, then remaining 10
+    expect(pages.slice(2).map(page => page.lacing.length)).toEqual([50, 10]);
+    expect(pages[2].granule).toBe(312 + 48000);
+    expect(pages[3].granule).toBe(312 + 57000);
+  });
+
+  it('should lace packets longer than 255 bytes', () => {
+    const pages = readPages(createOggOpus([
+      { data: new Uint8Array(600), samples: 960 },
+      { data: new Uint8Array(255), samples: 960 }
+    ], { channels: 2, inputSampleRate: 48000 }));
+
+    expect(pages[2].lacing).toEqual([255, 255, 90, 255, 0]);
+    expect(pages[2].body.length).toBe(855);
+  });
+
+  it('should write vendor and comments in OpusTags', () => {
+    const tags = buildOpusTags('ClipAIble', ['TITLE=Статья', 'ARTIST=Author']);
+    const view = new DataView(tags.buffer);
+    const title = new TextEncoder().encode('TITLE=Статья');
+
+    expect(view.getUint32(8, true)).toBe(9);
+    expect(ascii(tags.slice(12, 21))).toBe('ClipAIble');
+    expect(view.getUint32(21, true)).toBe(2);
+    expect(view.getUint32(25, true)).toBe(title.length);
+    expect(Array.from(tags.slice(29, 29 + title.length))).toEqual(Array.from(title));
+  });
+});
+
+describe('offscreen/audio/wav-utils readWavPcm', () => {
+  it('should read format and interleaved 16-bit samples', () => {
+    const pcm = readWavPcm(wav({ sampleRate: 24000, channels: 2, samples: [1, -1, 300, -300] }));
+
+    expect(pcm.sampleRate).toBe(24000);
+    expect(pcm.channels).toBe(2);
+    expect(Array.from(pcm.samples)).toEqual([1, -1, 300, -300]);
+  });
+
+  it('should reject audio that is not 16-bit PCM WAV', () => {
+    expect(() => readWavPcm(wav({ bits: 8, samples: [0, 0] }))).toThrow('Unsupported WAV format');
+    expect(() => readWavPcm(new Uint8Array(64).buffer)).toThrow('not a WAV file');
+  });
+});
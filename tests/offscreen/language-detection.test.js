@@ -0,0 +1,29 @@
+// Tests for content language detection of offline TTS
+
+import { describe, it, expect, vi } from 'vitest';
+
+vi.mock('../../scripts/utils/logging.js', () => ({
+  log: vi.fn(),
+  logError: vi.fn(),
+  logWarn: vi.fn()
+}));
+
+import { detectLanguage } from '../../scripts/offscreen/utils/language-detection.js';
+
+describe('offscreen/utils/language-detection', () => {
+  it('should detect languages by script', () => {
+    expect(detectLanguage('Привіт, це український текст і їжак є ґанок і ще більше.')).toBe('uk');
+    expect(detectLanguage('Это русский текст, в котором мы объясняем разные вещи.')).toBe('ru');
+    expect(detectLanguage('مرحبا بكم في هذا النص العربي الطويل للاختبار')).toBe('ar');
+    expect(detectLanguage('これは日本語のテキストです。ひらがなとカタカナが含まれています。')).toBe('ja');
+    expect(detectLanguage('한국어 텍스트입니다 테스트')).toBe('ko');
+    expect(detectLanguage('这是一个中文文本，用于测试语言检测功能。')).toBe('zh');
+  });
+
+  it('should detect Latin languages of voice catalog', () => {
+    expect(detectLanguage('Dit is een test en het werkt niet voor deze zaak maar ook naar huis.')).toBe('nl');
+    expect(detectLanguage('To jest test i nie jest to proste, ale jak przez tylko jego dla tego jednak.')).toBe('pl');
+    expect(detectLanguage('Đây là một văn bản tiếng Việt được viết để thử nghiệm ở đường phố.')).toBe('vi');
+    expect(detectLanguage('The cat is on the table and this is what we have been doing with that for years.')).toBe('en');
+  });
+});
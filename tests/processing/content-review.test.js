@@ -0,0 +1,100 @@
+// Tests for editing extracted content on review page
+
+import { describe, it, expect } from 'vitest';
+import {
+  getEditableField,
+  moveContentItem,
+  removeContentItem,
+  updateContentItem,
+  finalizeReviewedContent
+} from '../../scripts/processing/content-review.js';
+
+const CONTENT = [
+  { type: 'heading', level: 1, text: 'Title' },
+  { type: 'paragraph', html: 'First <b>para</b>' },
+  { type: 'image', src: 'https://example.com/a.png', caption: 'A' },
+  { type: 'code', code: 'let a = 1;' }
+];
+
+describe('processing/content-review', () => {
+  describe('getEditableField', () => {
+    it('should return field that holds item text', () => {
+      expect(getEditableField(CONTENT[0])).toBe('text');
+      expect(getEditableField(CONTENT[1])).toBe('html');
+      expect(getEditableField({ type: 'paragraph', text: 'plain' })).toBe('text');
+      expect(getEditableField(CONTENT[3])).toBe('code');
+    });
+
+    it('should return null for items without editable text', () => {
+      expect(getEditableField(CONTENT[2])).toBeNull();
+      expect(getEditableField({ type: 'list', items: ['a'] })).toBeNull();
+    });
+  });
+
+  describe('moveContentItem / removeContentItem', () => {
+    it('should move item without mutating content', () => {
+      const moved = moveContentItem(CONTENT, 1, -1);
+
+      expect(moved.map(item => item.type)).toEqual(['paragraph', 'heading', 'image', 'code']);
+      expect(CONTENT[0].type).toBe('heading');
+    });
+
+    it('should keep order when item cannot move', () => {
+      expect(moveContentItem(CONTENT, 0, -1)).toEqual(CONTENT);
+      expect(moveContentItem(CONTENT, 3, 1)).toEqual(CONTENT);
+    });
+
+    it('should remove item', () => {
+      expect(removeContentItem(CONTENT, 2).map(item => item.type)).toEqual(['heading', 'paragraph', 'code']);
+    });
+  });
+
+  describe('updateContentItem', () => {
+    it('should clamp heading level', () => {
+      expect(updateContentItem(CONTENT, 0, { level: 9 })[0].level).toBe(6);
+      expect(updateContentItem(CONTENT, 0, { level: 0 })[0].level).toBe(1);
+    });
+
+    it('should write text into editable field', () => {
+      const updated = updateContentItem(CONTENT, 1, { text: 'Edited' });
+
+      expect(updated[1].html).toBe('Edited');
+      expect(CONTENT[1].html).toBe('First <b>para</b>');
+    });
+
+    it('should update image caption and exclusion', () => {
+      const updated = updateContentItem(CONTENT, 2, { caption: 'B', excluded: true });
+
+      expect(updated[2]).toMatchObject({ caption: 'B', excluded: true });
+    });
+  });
+
+  describe('finalizeReviewedContent', () => {
+    it('should drop excluded images and emptied text blocks', () => {
+      let content = updateContentItem(CONTENT, 2, { excluded: true });
+      content = updateContentItem(content, 1, { text: '<br>' });
+
+      expect(finalizeReviewedContent(content).map(item => item.type)).toEqual(['heading', 'code']);
+    });
+
+    it('should strip review flags from kept items', () => {
+      const content = updateContentItem(CONTENT, 2, { excluded: false });
+
+      expect(finalizeReviewedContent(content)[2]).not.toHaveProperty('excluded');
+    });
+
+    it('should drop infobox markers left without pair', () => {
+      const content = [
+        { type: 'infobox_end' },
+        { type: 'infobox_start', title: 'Box' },
+        { type: 'paragraph', text: 'Inside' },
+        { type: 'infobox_end' },
+        { type: 'infobox_start', title: 'Open' },
+        { type: 'paragraph', text: 'After' }
+      ];
+
+      expect(finalizeReviewedContent(content).map(item => item.type))
+        .toEqual(['infobox_start', 'paragraph', 'infobox_end', 'paragraph']);
+    });
+  });
+});
@@ -34,7 +34,18 @@ vi.mock('../../scripts/state/processing.js', () => ({
     ANALYZING: { id: 'analyzing', name: 'Analyzing' },
     EXTRACTING: { id: 'extracting', name: 'Extracting' }
   },
-  updateState: vi.fn()
+  updateState: vi.fn(),
+  isCancelled: vi.fn(() => false)
+}));
+
+vi.mock('../../scripts/extraction/pagination.js', () => ({
+  getPaginationMaxPages: vi.fn(async () => 10),
+  stitchPaginatedArticle: vi.fn(async (result) => result)
+}));
+
+vi.mock('../../scripts/extraction/selection.js', () => ({
+  SELECTION_ROOT_SELECTOR: '[data-clipaible-selection]',
+  removeSelectionContainer: vi.fn(async () => {})
 }));
 
 vi.mock('../../scripts/api/index.js', () => ({
@@ -130,6 +141,8 @@ vi.mock('../../scripts/utils/pipeline-helpers.js', () => ({
 
 vi.mock('../../scripts/cache/selectors.js', () => ({
   getCachedSelectors: vi.fn(async () => null),
+  getUserSelectors: vi.fn(async () => null),
+  USER_SELECTOR_SOURCE: 'user',
   cacheSelectors: vi.fn(async () => {}),
   markCacheSuccess: vi.fn(async () => {}),
   invalidateCache: vi.fn(async () => {})
@@ -606,6 +619,63 @@ describe('processing/modes', () => {
       expect(global.chrome.scripting.executeScript).toHaveBeenCalled();
     });
 
+    it('should use content stitched from next pages', async () => {
+      const { stitchPaginatedArticle } = await import('../../scripts/extraction/pagination.js');
+      
+      global.chrome.scripting.executeScript.mockResolvedValueOnce([{
+        result: {
+          title: 'Test Title',
+          content: [{ type: 'paragraph', text: 'Page 1' }]
+        }
+      }]);
+      stitchPaginatedArticle.mockImplementationOnce(async (result) => ({
+        ...result,
+        content: [...result.content, { type: 'paragraph', text: 'Page 2' }],
+        pageCount: 2
+      }));
+
+      const result = await processWithoutAI({
+        html: '<html>Content</html>',
+        url: 'https://example.com/article?page=1',
+        title: 'Test Title',
+        tabId: 1
+      });
+
+      expect(stitchPaginatedArticle).toHaveBeenCalledWith(
+        expect.objectContaining({ title: 'Test Title' }),
+        expect.objectContaining({ tabId: 1, url: 'https://example.com/article?page=1', maxPages: 10 })
+      );
+      expect(result.content.map(item => item.text)).toEqual(['Page 1', 'Page 2']);
+      expect(result.pageCount).toBe(2);
+    });
+
+    it('should extract saved selection from its container and remove it', async () => {
+      const { stitchPaginatedArticle } = await import('../../scripts/extraction/pagination.js');
+      const { removeSelectionContainer } = await import('../../scripts/extraction/selection.js');
+      
+      global.chrome.scripting.executeScript.mockResolvedValueOnce([{
+        result: {
+          title: 'Test Title',
+          content: [{ type: 'paragraph', text: 'Selected text' }]
+        }
+      }]);
+
+      const result = await processWithoutAI({
+        html: '<html>Content</html>',
+        url: 'https://example.com/article',
+        title: 'Test Title',
+        tabId: 1,
+        selectionOnly: true
+      });
+
+      expect(global.chrome.scripting.executeScript).toHaveBeenCalledWith(expect.objectContaining({
+        args: ['https://example.com/article', expect.any(Boolean), '[data-clipaible-selection]']
+      }));
+      expect(removeSelectionContainer).toHaveBeenCalledWith(1);
+      expect(stitchPaginatedArticle).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({ maxPages: 1 }));
+      expect(result.content).toHaveLength(1);
+    });
+
     it('should throw error if HTML is missing', async () => {
       await expect(
         processWithoutAI({
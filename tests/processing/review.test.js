@@ -0,0 +1,172 @@
+// Tests for review step before translation and generation
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+const processingState = { isProcessing: true, progress: 30 };
+
+vi.mock('../../scripts/utils/logging.js', () => ({
+  log: vi.fn(),
+  logWarn: vi.fn(),
+  logError: vi.fn()
+}));
+
+vi.mock('../../scripts/state/processing.js', () => ({
+  isCancelled: vi.fn(() => false),
+  cancelProcessing: vi.fn(async () => ({ success: true })),
+  getProcessingState: vi.fn(() => ({ ...processingState })),
+  PROCESSING_STAGES: { REVIEWING: { id: 'reviewing', label: 'Waiting for review', order: 2.8 } }
+}));
+
+vi.mock('../../scripts/utils/processing/pipeline-helpers.js', () => ({
+  updateProgress: vi.fn(async () => {}),
+  getUILanguageCached: vi.fn(async () => 'en')
+}));
+
+import {
+  isContentReviewEnabled,
+  requestContentReview,
+  submitContentReview,
+  cancelContentReview
+} from '../../scripts/processing/review.js';
+import { REVIEW_STORAGE_KEY } from '../../scripts/processing/content-review.js';
+import { cancelProcessing } from '../../scripts/state/processing.js';
+import { updateProgress } from '../../scripts/utils/processing/pipeline-helpers.js';
+
+// In-memory chrome.storage and tabs
+let storageData = {};
+let tabRemovedListeners = [];
+global.chrome = {
+  runtime: {
+    getURL: (path) => `chrome-extension://test/${path}`
+  },
+  storage: {
+    local: {
+      get: vi.fn(async (keys) => {
+        const result = {};
+        for (const key of keys) {
+          if (key in storageData) result[key] = storageData[key];
+        }
+        return result;
+      }),
+      set: vi.fn(async (data) => {
+        Object.assign(storageData, JSON.parse(JSON.stringify(data)));
+      }),
+      remove: vi.fn(async (key) => {
+        delete storageData[key];
+      })
+    }
+  },
+  tabs: {
+    create: vi.fn(async ({ url }) => ({ id: 7, url })),
+    onRemoved: {
+      addListener: vi.fn(listener => tabRemovedListeners.push(listener)),
+      removeListener: vi.fn(listener => {
+        tabRemovedListeners = tabRemovedListeners.filter(item => item !== listener);
+      })
+    }
+  }
+};
+
+const DATA = { url: 'https://example.com/post', outputFormat: 'epub', tabId: 1 };
+const RESULT = {
+  title: 'Original',
+  author: 'Author',
+  content: [
+    { type: 'heading', level: 2, text: 'Intro' },
+    { type: 'paragraph', html: 'Text' },
+    { type: 'image', src: 'https://example.com/a.png' }
+  ]
+};
+
+/**
+ * Start review and wait until page is opened
+ * @returns {Promise<{promise: Promise<any>, id: string}>}
+ */
+async function startReview() {
+  const promise = requestContentReview(DATA, RESULT, vi.fn());
+  await vi.waitFor(() => expect(tabRemovedListeners).toHaveLength(1));
+  return { promise, id: storageData[REVIEW_STORAGE_KEY].id };
+}
+
+describe('processing/review', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    storageData = {};
+    tabRemovedListeners = [];
+    processingState.isProcessing = true;
+  });
+
+  it('should be disabled by default', async () => {
+    expect(await isContentReviewEnabled()).toBe(false);
+
+    storageData.review_before_generation = true;
+
+    expect(await isContentReviewEnabled()).toBe(true);
+  });
+
+  it('should open review page with extracted content', async () => {
+    const { promise, id } = await startReview();
+
+    expect(storageData[REVIEW_STORAGE_KEY]).toMatchObject({ title: 'Original', outputFormat: 'epub', content: RESULT.content });
+    expect(chrome.tabs.create).toHaveBeenCalledWith({ url: `chrome-extension://test/review/review.html?id=${id}` });
+    expect(updateProgress).toHaveBeenCalledWith(expect.objectContaining({ id: 'reviewing' }), 'statusWaitingForReview', 30);
+
+    await cancelContentReview(id);
+    await promise;
+  });
+
+  it('should continue with reviewed title and content', async () => {
+    const { promise, id } = await startReview();
+
+    await submitContentReview(id, {
+      title: ' Edited ',
+      content: [
+        { type: 'paragraph', html: 'Text' },
+        { type: 'heading', level: 3, text: 'Intro' },
+        { type: 'image', src: 'https://example.com/a.png', excluded: true }
+      ]
+    });
+    const reviewed = await promise;
+
+    expect(reviewed.title).toBe('Edited');
+    expect(reviewed.author).toBe('Author');
+    expect(reviewed.content).toEqual([
+      { type: 'paragraph', html: 'Text' },
+      { type: 'heading', level: 3, text: 'Intro' }
+    ]);
+    expect(storageData[REVIEW_STORAGE_KEY]).toBeUndefined();
+    expect(tabRemovedListeners).toHaveLength(0);
+  });
+
+  it('should cancel processing when user cancels review', async () => {
+    const { promise, id } = await startReview();
+
+    expect(await cancelContentReview(id)).toBe(true);
+
+    expect(await promise).toBeNull();
+    expect(cancelProcessing).toHaveBeenCalled();
+    expect(await cancelContentReview(id)).toBe(false);
+  });
+
+  it('should cancel processing when review page is closed', async () => {
+    const { promise } = await startReview();
+
+    tabRemovedListeners[0](7);
+
+    expect(await promise).toBeNull();
+    expect(cancelProcessing).toHaveBeenCalled();
+  });
+
+  it('should stop waiting when processing is cancelled from popup', async () => {
+    const { promise } = await startReview();
+
+    processingState.isProcessing = false;
+
+    expect(await promise).toBeNull();
+    expect(cancelProcessing).not.toHaveBeenCalled();
+  });
+
+  it('should reject submit of review that is no longer waiting', async () => {
+    await expect(submitContentReview('missing', { content: [] })).rejects.toThrow();
+  });
+});
@@ -0,0 +1,59 @@
+// Tests for summary export (summary markdown -> synthetic extraction result)
+
+import { describe, it, expect } from 'vitest';
+import {
+  summaryToContent,
+  createSummaryExtractionResult,
+  inlineMarkdownToHtml
+} from '../../scripts/processing/summary-export.js';
+
+describe('processing/summary-export', () => {
+  it('should convert headings, paragraphs, lists and quotes to content items', () => {
+    const content = summaryToContent([
+      '## Key points',
+      'The talk covers **three** ideas',
+      'in two hours.',
+      '',
+      '- First idea',
+      '- Second idea with `code`',
+      '  continued line',
+      '1. Step one',
+      '2) Step two',
+      '> Quoted *remark*',
+      '---',
+      'Closing <b>text</b>'
+    ].join('\n'));
+
+    expect(content).toEqual([
+      { type: 'heading', level: 2, text: 'Key points' },
+      { type: 'paragraph', text: 'The talk covers <strong>three</strong> ideas in two hours.' },
+      { type: 'list', ordered: false, items: ['First idea', 'Second idea with <code>code</code> continued line'] },
+      { type: 'list', ordered: true, items: ['Step one', 'Step two'] },
+      { type: 'quote', text: 'Quoted <em>remark</em>' },
+      { type: 'paragraph', text: 'Closing &lt;b&gt;text&lt;/b&gt;' }
+    ]);
+  });
+
+  it('should keep code blocks and only http links', () => {
+    expect(summaryToContent('```\nconst a = 1;\n```')).toEqual([{ type: 'code', text: 'const a = 1;' }]);
+    expect(inlineMarkdownToHtml('[site](https://example.com) and [bad](javascript:alert(1))'))
+      .toBe('<a href="https://example.com">site</a> and [bad](javascript:alert(1))');
+    expect(inlineMarkdownToHtml('snake_case_name stays')).toBe('snake_case_name stays');
+  });
+
+  it('should use leading top-level heading as title and keep summary language', () => {
+    const result = createSummaryExtractionResult('# **Talk** summary\n\nShort text.', { title: 'Page', language: 'de' });
+
+    expect(result.title).toBe('Talk summary');
+    expect(result.content).toEqual([{ type: 'paragraph', text: 'Short text.' }]);
+    expect(result.detectedLanguage).toBe('de');
+  });
+
+  it('should fall back to given title and reject empty summary', () => {
+    const result = createSummaryExtractionResult('Text only.', { title: 'Video — Summary', language: 'auto' });
+
+    expect(result.title).toBe('Video — Summary');
+    expect(result).not.toHaveProperty('detectedLanguage');
+    expect(() => createSummaryExtractionResult('# Title only\n\n---')).toThrow('Summary is empty');
+  });
+});
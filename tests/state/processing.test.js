@@ -8,6 +8,7 @@ import {
   setResult,
   isCancelled,
   startProcessing,
+  setQueueJobLock,
   setError,
   updateProgress,
   PROCESSING_STAGES,
@@ -73,6 +74,7 @@ describe('processing state', () => {
   });
 
   afterEach(() => {
+    setQueueJobLock(null);
     vi.useRealTimers();
   });
 
@@ -238,6 +240,21 @@ describe('processing state', () => {
       const result = await startProcessing(startKeepAlive);
       expect(result).toBe(false);
     });
+
+    it('should reject other starts while queue job owns processing', async () => {
+      const startKeepAlive = vi.fn();
+      setQueueJobLock('job-1');
+      expect(await startProcessing(startKeepAlive)).toBe(false);
+      expect(await startProcessing(startKeepAlive, 'job-2')).toBe(false);
+      expect(await startProcessing(startKeepAlive, 'job-1')).toBe(true);
+    });
+
+    it('should accept any start after queue releases processing', async () => {
+      const startKeepAlive = vi.fn();
+      setQueueJobLock('job-1');
+      setQueueJobLock(null);
+      expect(await startProcessing(startKeepAlive)).toBe(true);
+    });
   });
 
   describe('setError', () => {
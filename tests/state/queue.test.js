@@ -0,0 +1,210 @@
+// Tests for batch processing queue state
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import {
+  getQueue,
+  getJob,
+  getNextPendingJob,
+  getAnthologyJobs,
+  enqueueJobs,
+  updateJob,
+  cancelJob,
+  retryJob,
+  removeJob,
+  clearFinishedJobs,
+  restoreQueueFromStorage,
+  isQueueableUrl,
+  JOB_STATUS,
+  QUEUE_STORAGE_KEY
+} from '../../scripts/state/queue.js';
+
+// Mock dependencies
+vi.mock('../../scripts/utils/logging.js', () => ({
+  log: vi.fn(),
+  logWarn: vi.fn(),
+  logError: vi.fn()
+}));
+
+vi.mock('../../scripts/utils/config.js', () => ({
+  CONFIG: {
+    QUEUE_MAX_JOBS: 5
+  }
+}));
+
+// In-memory chrome.storage
+let storageData = {};
+const mockStorage = {
+  local: {
+    get: vi.fn(async (keys) => {
+      const result = {};
+      for (const key of keys) {
+        if (key in storageData) result[key] = storageData[key];
+      }
+      return result;
+    }),
+    set: vi.fn(async (data) => {
+      Object.assign(storageData, JSON.parse(JSON.stringify(data)));
+    })
+  }
+};
+
+global.chrome = {
+  storage: mockStorage
+};
+
+describe('processing queue', () => {
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    storageData = {};
+    await restoreQueueFromStorage();
+  });
+
+  describe('isQueueableUrl', () => {
+    it('should accept http and https URLs', () => {
+      expect(isQueueableUrl('https://example.com/article')).toBe(true);
+      expect(isQueueableUrl('http://example.com')).toBe(true);
+    });
+
+    it('should reject browser internal and invalid URLs', () => {
+      expect(isQueueableUrl('chrome://extensions')).toBe(false);
+      expect(isQueueableUrl('about:blank')).toBe(false);
+      expect(isQueueableUrl('not a url')).toBe(false);
+      expect(isQueueableUrl('')).toBe(false);
+    });
+  });
+
+  describe('enqueueJobs', () => {
+    it('should add pending jobs and persist them', async () => {
+      const added = await enqueueJobs([
+        { url: 'https://example.com/a', title: 'A', tabId: 1 },
+        { url: 'https://example.com/b' }
+      ], 'epub');
+
+      expect(added).toHaveLength(2);
+      expect(added[0]).toMatchObject({ url: 'https://example.com/a', title: 'A', tabId: 1, outputFormat: 'epub', status: JOB_STATUS.PENDING });
+      expect(added[1].title).toBe('https://example.com/b');
+      expect(added[1].tabId).toBeNull();
+      expect(storageData[QUEUE_STORAGE_KEY]).toHaveLength(2);
+    });
+
+    it('should skip non-web URLs', async () => {
+      const added = await enqueueJobs([{ url: 'chrome://newtab' }, { url: 'https://example.com' }], 'pdf');
+      expect(added).toHaveLength(1);
+    });
+
+    it('should skip URL already waiting with the same format', async () => {
+      await enqueueJobs([{ url: 'https://example.com' }], 'pdf');
+      const duplicate = await enqueueJobs([{ url: 'https://example.com' }], 'pdf');
+      const otherFormat = await enqueueJobs([{ url: 'https://example.com' }], 'epub');
+
+      expect(duplicate).toHaveLength(0);
+      expect(otherFormat).toHaveLength(1);
+    });
+
+    it('should keep anthology jobs separate from single saves of the same URL', async () => {
+      const [single] = await enqueueJobs([{ url: 'https://example.com/a' }], 'epub');
+      const book = await enqueueJobs([{ url: 'https://example.com/a' }, { url: 'https://example.com/b' }], 'epub', 'anthology_1');
+      const duplicate = await enqueueJobs([{ url: 'https://example.com/b' }], 'epub', 'anthology_1');
+
+      expect(single.anthologyId).toBeNull();
+      expect(book).toHaveLength(2);
+      expect(duplicate).toHaveLength(0);
+      expect(getAnthologyJobs('anthology_1').map(j => j.id)).toEqual(book.map(j => j.id));
+    });
+
+    it('should respect maximum queue size', async () => {
+      const items = Array.from({ length: 8 }, (_, i) => ({ url: `https://example.com/${i}` }));
+      const added = await enqueueJobs(items, 'pdf');
+      expect(added).toHaveLength(5);
+      expect(getQueue()).toHaveLength(5);
+    });
+  });
+
+  describe('job lifecycle', () => {
+    it('should return jobs in order for processing', async () => {
+      await enqueueJobs([{ url: 'https://example.com/1' }, { url: 'https://example.com/2' }], 'pdf');
+      const first = getNextPendingJob();
+      await updateJob(first.id, { status: JOB_STATUS.RUNNING });
+
+      expect(getNextPendingJob().url).toBe('https://example.com/2');
+    });
+
+    it('should keep progress updates in memory when persist is false', async () => {
+      const [job] = await enqueueJobs([{ url: 'https://example.com' }], 'pdf');
+      mockStorage.local.set.mockClear();
+
+      await updateJob(job.id, { progress: 40 }, false);
+
+      expect(getJob(job.id).progress).toBe(40);
+      expect(mockStorage.local.set).not.toHaveBeenCalled();
+    });
+
+    it('should cancel pending job and retry it', async () => {
+      const [job] = await enqueueJobs([{ url: 'https://example.com' }], 'pdf');
+
+      const cancelled = await cancelJob(job.id);
+      expect(cancelled.status).toBe(JOB_STATUS.CANCELLED);
+      expect(getNextPendingJob()).toBeNull();
+
+      const retried = await retryJob(job.id);
+      expect(retried.status).toBe(JOB_STATUS.PENDING);
+      expect(retried.finishedAt).toBeNull();
+    });
+
+    it('should not retry pending or done jobs', async () => {
+      const [job] = await enqueueJobs([{ url: 'https://example.com' }], 'pdf');
+      expect(await retryJob(job.id)).toBeNull();
+
+      await updateJob(job.id, { status: JOB_STATUS.DONE });
+      expect(await retryJob(job.id)).toBeNull();
+      expect(await cancelJob(job.id)).toBeNull();
+    });
+
+    it('should not remove running job', async () => {
+      const [job] = await enqueueJobs([{ url: 'https://example.com' }], 'pdf');
+      await updateJob(job.id, { status: JOB_STATUS.RUNNING });
+
+      expect(await removeJob(job.id)).toBe(false);
+
+      await updateJob(job.id, { status: JOB_STATUS.ERROR });
+      expect(await removeJob(job.id)).toBe(true);
+      expect(getQueue()).toHaveLength(0);
+    });
+
+    it('should clear only finished jobs', async () => {
+      const jobs = await enqueueJobs([
+        { url: 'https://example.com/1' },
+        { url: 'https://example.com/2' },
+        { url: 'https://example.com/3' }
+      ], 'pdf');
+      await updateJob(jobs[0].id, { status: JOB_STATUS.DONE });
+      await updateJob(jobs[1].id, { status: JOB_STATUS.ERROR });
+
+      const removed = await clearFinishedJobs();
+
+      expect(removed).toBe(2);
+      expect(getQueue().map(j => j.id)).toEqual([jobs[2].id]);
+    });
+  });
+
+  describe('restoreQueueFromStorage', () => {
+    it('should reset interrupted running jobs to pending', async () => {
+      const [job] = await enqueueJobs([{ url: 'https://example.com' }], 'pdf');
+      await updateJob(job.id, { status: JOB_STATUS.RUNNING, progress: 60 });
+
+      const interrupted = await restoreQueueFromStorage();
+
+      expect(interrupted).toBe(1);
+      expect(getJob(job.id)).toMatchObject({ status: JOB_STATUS.PENDING, progress: 0 });
+      expect(storageData[QUEUE_STORAGE_KEY][0].status).toBe(JOB_STATUS.PENDING);
+    });
+
+    it('should drop malformed entries', async () => {
+      storageData[QUEUE_STORAGE_KEY] = [null, { id: 'x', url: 'chrome://settings' }, { id: 'y', url: 'https://example.com', status: 'done' }];
+
+      await restoreQueueFromStorage();
+
+      expect(getQueue().map(j => j.id)).toEqual(['y']);
+    });
+  });
+});
@@ -0,0 +1,73 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { getBilingualMode, getOriginalListItem } from '../../scripts/translation/bilingual.js';
+import { buildHtmlForPdf } from '../../scripts/generation/html-builder.js';
+
+describe('translation/bilingual', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  describe('getBilingualMode', () => {
+    it('should return stored mode', async () => {
+      chrome.storage.local.get.mockResolvedValueOnce({ translation_bilingual: 'columns' });
+      expect(await getBilingualMode()).toBe('columns');
+    });
+
+    it('should fall back to off for missing or unknown mode', async () => {
+      chrome.storage.local.get.mockResolvedValueOnce({});
+      expect(await getBilingualMode()).toBe('off');
+      chrome.storage.local.get.mockResolvedValueOnce({ translation_bilingual: 'rows' });
+      expect(await getBilingualMode()).toBe('off');
+    });
+  });
+
+  describe('getOriginalListItem', () => {
+    it('should return original only for translated items', () => {
+      const item = { type: 'list', items: ['Один', 'Два'], originalItems: ['One', null] };
+      expect(getOriginalListItem(item, 0)).toBe('One');
+      expect(getOriginalListItem(item, 1)).toBe('');
+      expect(getOriginalListItem({ type: 'list', items: ['One'] }, 0)).toBe('');
+    });
+  });
+
+  describe('PDF rendering', () => {
+    const content = [
+      { type: 'heading', text: 'Заголовок', level: 2, original: 'Heading' },
+      { type: 'paragraph', text: 'Перевод', original: 'Translation' },
+      { type: 'list', items: ['Один', 'Два'], originalItems: ['One', null] }
+    ];
+
+    it('should place original after each translated block', () => {
+      const html = buildHtmlForPdf(content, 'Title', '', '', '', '', 'ru', false, [], false, '', null, 'interleaved');
+
+      expect(html).toContain('bilingual-heading-2');
+      expect(html.indexOf('Перевод')).toBeLessThan(html.indexOf('Translation'));
+      expect(html).toContain('<div class="bilingual-original" dir="auto" translate="no">One</div>');
+      expect(html).not.toContain('bilingual-columns');
+    });
+
+    it('should put original in left column in columns mode', () => {
+      const html = buildHtmlForPdf(content.slice(1, 2), 'Title', '', '', '', '', 'ru', false, [], false, '', null, 'columns');
+
+      expect(html).toContain('bilingual-columns');
+      expect(html.indexOf('Translation')).toBeLessThan(html.indexOf('Перевод'));
+    });
+
+    it('should render untranslated content without pairs', () => {
+      const html = buildHtmlForPdf([{ type: 'paragraph', text: 'Text' }], 'Title', '', '', '', '', 'en');
+      expect(html).not.toContain('bilingual-');
+    });
+
+    it('should render Arabic translation right-to-left with code and original isolated', () => {
+      const html = buildHtmlForPdf([
+        { type: 'paragraph', text: 'ترجمة', original: 'Translation' },
+        { type: 'code', text: 'npm install', language: 'bash' }
+      ], 'عنوان', '', '', '', '', 'ar', false, [], false, '', null, 'interleaved');
+
+      expect(html).toMatch(/<html lang="ar" dir="rtl"/);
+      expect(html).toContain('<pre dir="ltr">');
+      expect(html).toContain('<div class="bilingual-original" dir="auto" translate="no"><p>Translation</p></div>');
+      expect(buildHtmlForPdf(content, 'Title', '', '', '', '', 'ru')).toMatch(/<html lang="ru" dir="ltr"/);
+    });
+  });
+});
@@ -0,0 +1,126 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import {
+  parseGlossary,
+  selectGlossaryEntries,
+  filterGlossaryForTexts,
+  buildGlossaryPrompt,
+  findGlossaryViolations,
+  mergeGlossaryLines,
+  glossaryToCsv,
+  csvToGlossaryLines,
+  glossaryToTbx,
+  tbxToGlossaryLines
+} from '../../scripts/translation/glossary.js';
+
+vi.mock('../../scripts/utils/logging.js', () => ({
+  log: vi.fn(),
+  logWarn: vi.fn()
+}));
+
+const GLOSSARY = `# product names
+React => !keep
+pull request => пул-реквест
+[en>de] deployment => Bereitstellung
+deployment => Deployment
+[ru] commit => коммит
+broken line`;
+
+describe('translation/glossary', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  describe('parseGlossary', () => {
+    it('should parse terms, language pairs and report invalid lines', () => {
+      const { entries, errors } = parseGlossary(GLOSSARY);
+
+      expect(entries).toHaveLength(5);
+      expect(entries[0]).toMatchObject({ term: 'React', translation: null, source: '*', target: '*' });
+      expect(entries[2]).toMatchObject({ term: 'deployment', translation: 'Bereitstellung', source: 'en', target: 'de' });
+      expect(entries[4]).toMatchObject({ term: 'commit', source: '*', target: 'ru' });
+      expect(errors).toEqual([{ line: 7, message: 'Missing "=>"' }]);
+    });
+
+    it('should report duplicate terms of the same pair', () => {
+      const { errors } = parseGlossary('API => !keep\napi => АПИ');
+      expect(errors[0].message).toContain('Duplicate');
+    });
+  });
+
+  describe('selectGlossaryEntries', () => {
+    it('should prefer entries of exact language pair', () => {
+      const { entries } = parseGlossary(GLOSSARY);
+
+      const german = selectGlossaryEntries(entries, 'en', 'de');
+      expect(german.find(entry => entry.term === 'deployment').translation).toBe('Bereitstellung');
+      expect(german.some(entry => entry.term === 'commit')).toBe(false);
+
+      const french = selectGlossaryEntries(entries, 'en', 'fr');
+      expect(french.find(entry => entry.term === 'deployment').translation).toBe('Deployment');
+
+      const russian = selectGlossaryEntries(entries, 'unknown', 'ru');
+      expect(russian.some(entry => entry.term === 'commit')).toBe(true);
+    });
+  });
+
+  describe('prompt and check', () => {
+    const { entries } = parseGlossary('React => !keep\npull request => пул-реквест\nVue => !keep');
+
+    it('should put only terms used in texts into prompt', () => {
+      const used = filterGlossaryForTexts(entries, ['Open a <a href="https://vuejs.org">pull request</a> in react repo']);
+      const prompt = buildGlossaryPrompt(used);
+
+      expect(used.map(entry => entry.term)).toEqual(['React', 'pull request']);
+      expect(prompt).toContain('"React"');
+      expect(prompt).toContain('"pull request" -> "пул-реквест"');
+      expect(prompt).not.toContain('Vue');
+      expect(buildGlossaryPrompt([])).toBe('');
+    });
+
+    it('should report terms missing in translation', () => {
+      const sources = ['Open a pull request', 'React hooks', 'Untranslated React'];
+      const translations = ['Откройте запрос на слияние', 'Хуки React', 'Untranslated React'];
+
+      expect(findGlossaryViolations(sources, translations, entries)).toEqual([
+        { term: 'pull request', expected: 'пул-реквест', count: 1 }
+      ]);
+    });
+  });
+
+  describe('import and export', () => {
+    it('should round-trip glossary through CSV', () => {
+      const { entries } = parseGlossary('React => !keep\n[en>de] pull request => Pull-Request, PR');
+      const csv = glossaryToCsv(entries);
+
+      expect(csv).toContain('"Pull-Request, PR"');
+      expect(csvToGlossaryLines(csv)).toEqual(['React => !keep', '[en>de] pull request => Pull-Request, PR']);
+      expect(csvToGlossaryLines('API;\n"say ""hi""";привет;;ru')).toEqual(['API => !keep', '[ru] say "hi" => привет']);
+    });
+
+    it('should round-trip glossary through TBX', () => {
+      const { entries } = parseGlossary('React => !keep\n[en>de] R&D => F&E');
+      const tbx = glossaryToTbx(entries);
+
+      expect(tbx).toContain('<langSec xml:lang="und">');
+      expect(tbx).toContain('<term>R&amp;D</term>');
+      expect(tbxToGlossaryLines(tbx)).toEqual(['React => !keep', '[en>de] R&D => F&E']);
+    });
+
+    it('should read older TBX with several target languages', () => {
+      const tbx = `<martif type="TBX"><text><body>
+        <termEntry><langSet xml:lang="en-US"><tig><term>commit</term></tig></langSet>
+        <langSet xml:lang="ru"><tig><term>коммит</term></tig></langSet>
+        <langSet xml:lang="de"><tig><term>Commit</term></tig></langSet></termEntry>
+      </body></text></martif>`;
+
+      expect(tbxToGlossaryLines(tbx)).toEqual(['[en>ru] commit => коммит', '[en>de] commit => Commit']);
+    });
+
+    it('should append only new terms on import', () => {
+      const { text, added } = mergeGlossaryLines('React => !keep', ['react => !keep', 'Vue => !keep']);
+
+      expect(added).toBe(1);
+      expect(text).toBe('React => !keep\nVue => !keep');
+    });
+  });
+});
@@ -266,6 +266,19 @@ describe('translation/index', () => {
     it('should default to English for mixed or unknown', () => {
       expect(detectLanguageByCharacters('Hello 123 '.repeat(10))).toBe('en');
     });
+
+    it('should detect Hebrew and Hindi by script', () => {
+      expect(detectLanguageByCharacters('שלום עולם '.repeat(10))).toBe('he');
+      expect(detectLanguageByCharacters('नमस्ते दुनिया '.repeat(10))).toBe('hi');
+    });
+
+    it('should detect Polish, Dutch, Turkish, Vietnamese and Indonesian by common words', () => {
+      expect(detectLanguageByCharacters('To jest artykuł, który można przeczytać także przez telefon. '.repeat(5))).toBe('pl');
+      expect(detectLanguageByCharacters('Het is een artikel dat niet voor iedereen is, maar ook voor ons. '.repeat(5))).toBe('nl');
+      expect(detectLanguageByCharacters('Bu bir makale ve daha çok okuyucu için yazıldı, ancak kadar değil. '.repeat(5))).toBe('tr');
+      expect(detectLanguageByCharacters('Đây là một bài viết của tác giả và được nhiều người đọc. '.repeat(5))).toBe('vi');
+      expect(detectLanguageByCharacters('Ini adalah artikel yang ditulis untuk mereka dan juga untuk kita. '.repeat(5))).toBe('id');
+    });
   });
 });
 
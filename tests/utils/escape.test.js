@@ -0,0 +1,29 @@
+// Unit tests for scripts/utils/escape.js
+
+import { describe, it, expect } from 'vitest';
+import { escapeRegExp, escapeXml } from '../../scripts/utils/escape.js';
+
+describe('escapeRegExp', () => {
+  it('should escape RegExp special characters', () => {
+    expect(escapeRegExp('C++ (v1.2) [beta]?')).toBe('C\\+\\+ \\(v1\\.2\\) \\[beta\\]\\?');
+  });
+
+  it('should match escaped text literally', () => {
+    const pattern = new RegExp(escapeRegExp('a.b*c$'));
+    expect(pattern.test('a.b*c$')).toBe(true);
+    expect(pattern.test('axbbc')).toBe(false);
+  });
+});
+
+describe('escapeXml', () => {
+  it('should escape XML special characters', () => {
+    expect(escapeXml(`<a href="x">Tom & Jerry's</a>`))
+      .toBe('&lt;a href=&quot;x&quot;&gt;Tom &amp; Jerry&apos;s&lt;/a&gt;');
+  });
+
+  it('should return empty string for null/undefined', () => {
+    expect(escapeXml(null)).toBe('');
+    expect(escapeXml(undefined)).toBe('');
+    expect(escapeXml('')).toBe('');
+  });
+});
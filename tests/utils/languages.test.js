@@ -0,0 +1,91 @@
+// Tests for language registry
+
+import { describe, it, expect } from 'vitest';
+import {
+  LANGUAGES,
+  DEFAULT_DOCUMENT_LABELS,
+  findLanguage,
+  resolveLanguageCode,
+  getLanguageName,
+  getLanguageLocale,
+  getLanguageTag,
+  getLanguageDirection,
+  detectTextDirection,
+  getDocumentDirection,
+  getDateExample
+} from '../../scripts/utils/languages.js';
+import { LANGUAGE_NAMES, PDF_LOCALIZATION } from '../../scripts/utils/config.js';
+
+describe('utils/languages', () => {
+  it('should describe every language completely', () => {
+    const labelKeys = Object.keys(DEFAULT_DOCUMENT_LABELS).sort();
+
+    for (const [code, language] of Object.entries(LANGUAGES)) {
+      expect(language.code).toBe(code);
+      expect(Object.keys(language.labels).sort()).toEqual(labelKeys);
+      expect(Object.values(language.labels).every(label => label.length > 0)).toBe(true);
+      expect(['ltr', 'rtl']).toContain(language.direction);
+      expect(Intl.DateTimeFormat.supportedLocalesOf([language.locale])).toHaveLength(1);
+    }
+    for (const code of ['pl', 'nl', 'tr', 'ar', 'he', 'hi', 'vi', 'id']) {
+      expect(LANGUAGES[code]).toBeDefined();
+    }
+  });
+
+  it('should derive config tables from registry', () => {
+    expect(LANGUAGE_NAMES.pl).toBe('Polish');
+    expect(PDF_LOCALIZATION.he.contents).toBe('תוכן העניינים');
+    expect(PDF_LOCALIZATION.auto).toBe(DEFAULT_DOCUMENT_LABELS);
+  });
+
+  it('should resolve typed languages to registered codes, Intl codes or names', () => {
+    expect(resolveLanguageCode(' Polish ')).toBe('pl');
+    expect(resolveLanguageCode('Nederlands')).toBe('nl');
+    expect(resolveLanguageCode('uk')).toBe('ua');
+    expect(resolveLanguageCode('SW')).toBe('sw');
+    expect(resolveLanguageCode('Klingon')).toBe('Klingon');
+    expect(resolveLanguageCode('Swahili')).toBe('sw');
+    expect(resolveLanguageCode('فارسی')).toBe('fa');
+    expect(resolveLanguageCode('Ukrainisch')).toBe('Ukrainisch');
+    expect(resolveLanguageCode('  ')).toBe('');
+    expect(findLanguage('iw')?.code).toBe('he');
+  });
+
+  it('should describe languages outside registry with Intl and English fallbacks', () => {
+    expect(getLanguageName('sw')).toBe('Swahili');
+    expect(getLanguageName('Klingon')).toBe('Klingon');
+    expect(getLanguageLocale('sw')).toBe('sw');
+    expect(getLanguageLocale('Klingon')).toBe('en-US');
+    expect(getLanguageLocale('auto')).toBe('en-US');
+    expect(getDateExample('Klingon')).toBe('December 3, 2025');
+    expect(getLanguageTag('ua')).toBe('uk');
+    expect(getLanguageTag('pt-br')).toBe('pt-BR');
+    expect(getLanguageTag('Swahili')).toBe('sw');
+    expect(getLanguageTag('Klingon')).toBe('und');
+    expect(getLanguageTag('auto')).toBe('und');
+  });
+
+  it('should give right-to-left direction for Arabic script and Hebrew', () => {
+    expect(getLanguageDirection('ar')).toBe('rtl');
+    expect(getLanguageDirection('he')).toBe('rtl');
+    expect(getLanguageDirection('fa')).toBe('rtl');
+    expect(getLanguageDirection('hi')).toBe('ltr');
+    expect(getLanguageDirection('Klingon')).toBe('ltr');
+  });
+
+  it('should take document direction from language, or from article text when language is unknown', () => {
+    expect(detectTextDirection('<p>שלום עולם, <code>npm install</code></p>')).toBe('rtl');
+    expect(detectTextDirection('Greeting in Arabic is مرحبا')).toBe('ltr');
+    expect(detectTextDirection('12345')).toBe('ltr');
+
+    const persian = [
+      { type: 'paragraph', text: 'این یک متن فارسی است' },
+      { type: 'code', text: 'console.log("a very long line of code that is not text")' }
+    ];
+    expect(getDocumentDirection('auto', persian)).toBe('rtl');
+    expect(getDocumentDirection('Persian', persian)).toBe('rtl');
+    expect(getDocumentDirection('fa')).toBe('rtl');
+    expect(getDocumentDirection('en', persian)).toBe('ltr');
+    expect(getDocumentDirection('auto', [{ type: 'paragraph', text: 'English text' }])).toBe('ltr');
+  });
+});
@@ -96,6 +96,13 @@ describe('security', () => {
       expect(isValidExternalUrl('http://LOCALHOST')).toBe(false);
       expect(isValidExternalUrl('http://EXAMPLE.COM')).toBe(true);
     });
+
+    it('should allow local network addresses only with explicit opt-in', () => {
+      expect(isValidExternalUrl('http://localhost:11434/v1', { allowLocalNetwork: true })).toBe(true);
+      expect(isValidExternalUrl('http://192.168.1.20:1234/v1', { allowLocalNetwork: true })).toBe(true);
+      expect(isValidExternalUrl('http://localhost:11434/v1', { allowLocalNetwork: false })).toBe(false);
+      expect(isValidExternalUrl('file:///etc/passwd', { allowLocalNetwork: true })).toBe(false);
+    });
   });
 
   describe('isValidMessageSize', () => {
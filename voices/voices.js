@@ -0,0 +1,302 @@
+// @ts-check
+// Offline voice manager page - download, remove and import Piper voices, show storage usage
+// Opened from audio settings when Piper TTS (offline) is selected
+
+import { getUILanguage, tSync } from '../scripts/locales.js';
+import { logError } from '../scripts/utils/logging.js';
+import { escapeHtml } from '../scripts/utils/html.js';
+import { applyLocalization, sendBackgroundMessage } from '../scripts/utils/extension-page.js';
+import {
+  getPiperVoiceList,
+  getPiperVoiceSampleUrl,
+  getStoredVoiceSizes,
+  importVoiceFiles
+} from '../scripts/api/piper-voice-storage.js';
+
+const IMPORT_ERROR_KEYS = {
+  unknownVoice: 'voicesImportUnknownVoice',
+  missingConfig: 'voicesImportMissingConfig',
+  missingModel: 'voicesImportMissingModel',
+  unsupportedFile: 'voicesImportUnsupportedFile',
+  invalidConfig: 'voicesImportInvalidConfig'
+};
+
+let uiLang = 'en';
+const voices = getPiperVoiceList();
+/** @type {Record<string, number>} */
+let storedSizes = {};
+/** @type {Map<string, {percent?: number, failed?: boolean}>} */
+const progress = new Map();
+const selected = new Set();
+let busy = false;
+
+/**
+ * Show message above voice list
+ * @param {string} message - Message text
+ * @param {boolean} [isError=false] - Show as error
+ */
+function showMessage(message, isError = false) {
+  const messageElement = document.getElementById('voicesMessage');
+  if (messageElement) {
+    messageElement.textContent = message;
+    messageElement.classList.toggle('voices-message-error', isError);
+  }
+}
+
+/**
+ * Format size in megabytes
+ * @param {number} bytes - Size in bytes
+ * @returns {string}
+ */
+function formatMb(bytes) {
+  return `${(bytes / 1024 / 1024).toFixed(bytes < 10 * 1024 * 1024 ? 1 : 0)} MB`;
+}
+
+/**
+ * Get localized language name of voice
+ * @param {string} locale - Voice locale (e.g., 'en_US')
+ * @returns {string}
+ */
+function getLanguageName(locale) {
+  try {
+    return new Intl.DisplayNames([uiLang], { type: 'language' }).of(locale.replace('_', '-')) || locale;
+  } catch (error) {
+    return locale;
+  }
+}
+
+/**
+ * Get voices shown with current language filter
+ * @returns {Array<import('../scripts/api/piper-voice-storage.js').PiperVoiceInfo>}
+ */
+function getVisibleVoices() {
+  const filter = /** @type {HTMLSelectElement|null} */ (document.getElementById('voicesLanguageFilter'));
+  const language = filter?.value || '';
+  return language ? voices.filter(voice => voice.language === language) : voices;
+}
+
+/**
+ * Render voice list
+ */
+function renderVoices() {
+  const list = document.getElementById('voicesList');
+  if (!list) return;
+
+  list.innerHTML = getVisibleVoices().map(voice => {
+    const size = storedSizes[voice.id];
+    const state = progress.get(voice.id);
+    let stateText;
+    if (state?.failed) {
+      stateText = tSync('voicesFailed', uiLang);
+    } else if (state?.percent !== undefined) {
+      stateText = `${state.percent}%`;
+    } else {
+      stateText = size !== undefined ? formatMb(size) : tSync('voicesNotDownloaded', uiLang);
+    }
+    const stateClass = state?.failed ? 'voices-item-failed' : (size !== undefined ? 'voices-item-stored' : '');
+
+    return `
+      <li class="voices-item ${stateClass}" data-voice-id="${escapeHtml(voice.id)}">
+        <input type="checkbox" data-action="select" ${selected.has(voice.id) ? 'checked' : ''} aria-label="${escapeHtml(voice.id)}">
+        <div>
+          <div class="voices-item-name" title="${escapeHtml(voice.id)}">${escapeHtml(voice.name)}</div>
+          <div class="voices-item-meta">${escapeHtml(getLanguageName(voice.locale))} · ${escapeHtml(voice.locale)} · ${escapeHtml(voice.quality)}</div>
+        </div>
+        <span class="voices-item-state">${escapeHtml(stateText)}</span>
+        <button class="voices-btn voices-btn-small" data-action="sample">${escapeHtml(tSync('voicesSample', uiLang))}</button>
+      </li>`;
+  }).join('');
+}
+
+/**
+ * Fill language filter with languages of voices
+ */
+function renderLanguageFilter() {
+  const filter = /** @type {HTMLSelectElement|null} */ (document.getElementById('voicesLanguageFilter'));
+  if (!filter) return;
+  for (const language of [...new Set(voices.map(voice => voice.language))]) {
+    const option = document.createElement('option');
+    option.value = language;
+    option.textContent = getLanguageName(language);
+    filter.appendChild(option);
+  }
+}
+
+/**
+ * Reload stored voices and storage usage
+ * @returns {Promise<void>}
+ */
+async function refreshStorage() {
+  try {
+    const { voices: sizes, total } = await getStoredVoiceSizes();
+    storedSizes = sizes;
+    const estimate = await navigator.storage.estimate();
+    const usage = document.getElementById('voicesUsage');
+    if (usage) {
+      usage.textContent = tSync('voicesUsage', uiLang)
+        .replace('{size}', formatMb(total))
+        .replace('{count}', String(Object.keys(sizes).length))
+        .replace('{used}', formatMb(estimate.usage || 0))
+        .replace('{quota}', formatMb(estimate.quota || 0));
+    }
+    const bar = document.getElementById('voicesUsageBar');
+    if (bar && estimate.quota) {
+      bar.style.width = `${Math.min(100, (total / estimate.quota) * 100)}%`;
+    }
+  } catch (error) {
+    logError('Failed to read stored voices', error);
+    showMessage(tSync('voicesStorageUnavailable', uiLang), true);
+  }
+  renderVoices();
+}
+
+/**
+ * Run action for every selected voice, one at a time
+ * @param {string} action - Background action ('downloadOfflineVoice' or 'removeOfflineVoice')
+ * @param {Array<string>} voiceIds - Voice IDs
+ * @returns {Promise<void>}
+ */
+async function runForVoices(action, voiceIds) {
+  busy = true;
+  updateButtons();
+  const failed = [];
+  for (const voiceId of voiceIds) {
+    progress.set(voiceId, action === 'downloadOfflineVoice' ? { percent: 0 } : {});
+    renderVoices();
+    try {
+      await sendBackgroundMessage({ action, voiceId });
+      progress.delete(voiceId);
+    } catch (error) {
+      logError(`Voice action ${action} failed`, { voiceId, error: error.message });
+      progress.set(voiceId, { failed: true });
+      failed.push(`${voiceId}: ${error.message}`);
+    }
+  }
+  busy = false;
+  selected.clear();
+  const selectAll = /** @type {HTMLInputElement|null} */ (document.getElementById('voicesSelectAll'));
+  if (selectAll) {
+    selectAll.checked = false;
+  }
+  updateButtons();
+  await refreshStorage();
+  showMessage(failed.join('\n'), failed.length > 0);
+}
+
+/**
+ * Enable toolbar buttons for current selection
+ */
+function updateButtons() {
+  const storedSelected = [...selected].filter(voiceId => storedSizes[voiceId] !== undefined);
+  const download = /** @type {HTMLButtonElement|null} */ (document.getElementById('voicesDownloadBtn'));
+  const remove = /** @type {HTMLButtonElement|null} */ (document.getElementById('voicesRemoveBtn'));
+  const importButton = /** @type {HTMLButtonElement|null} */ (document.getElementById('voicesImportBtn'));
+  if (download) download.disabled = busy || storedSelected.length === selected.size;
+  if (remove) remove.disabled = busy || storedSelected.length === 0;
+  if (importButton) importButton.disabled = busy;
+}
+
+async function init() {
+  uiLang = await getUILanguage();
+  const settings = await chrome.storage.local.get(['popup_theme']);
+  if (settings.popup_theme === 'light') {
+    document.body.setAttribute('data-theme', 'light');
+  }
+  applyLocalization(uiLang);
+  renderLanguageFilter();
+
+  // Progress is broadcast by offscreen document while worker downloads model
+  chrome.runtime.onMessage.addListener((message) => {
+    if (message?.type === 'voiceDownloadProgress' && progress.has(message.data?.voiceId)) {
+      const { voiceId, loaded, total } = message.data;
+      progress.set(voiceId, { percent: total > 0 ? Math.floor((loaded * 100) / total) : 0 });
+      const state = document.querySelector(`[data-voice-id="${CSS.escape(voiceId)}"] .voices-item-state`);
+      if (state) {
+        state.textContent = `${progress.get(voiceId).percent}%`;
+      }
+    }
+  });
+
+  document.getElementById('voicesLanguageFilter')?.addEventListener('change', renderVoices);
+
+  const selectAll = /** @type {HTMLInputElement|null} */ (document.getElementById('voicesSelectAll'));
+  selectAll?.addEventListener('change', () => {
+    for (const voice of getVisibleVoices()) {
+      if (selectAll.checked) {
+        selected.add(voice.id);
+      } else {
+        selected.delete(voice.id);
+      }
+    }
+    renderVoices();
+    updateButtons();
+  });
+
+  const sample = /** @type {HTMLAudioElement} */ (document.getElementById('voicesSample'));
+  document.getElementById('voicesList')?.addEventListener('click', (e) => {
+    const target = e.target instanceof HTMLElement ? e.target : null;
+    const voiceId = target?.closest('[data-voice-id]')?.getAttribute('data-voice-id');
+    if (!target || !voiceId) return;
+
+    if (target.getAttribute('data-action') === 'select') {
+      if (/** @type {HTMLInputElement} */ (target).checked) {
+        selected.add(voiceId);
+      } else {
+        selected.delete(voiceId);
+      }
+      updateButtons();
+    } else if (target.getAttribute('data-action') === 'sample') {
+      sample.src = getPiperVoiceSampleUrl(voiceId) || '';
+      sample.play().catch(error => {
+        logError('Failed to play voice sample', { voiceId, error: error.message });
+        showMessage(tSync('voicesSampleUnavailable', uiLang), true);
+      });
+    }
+  });
+
+  document.getElementById('voicesDownloadBtn')?.addEventListener('click', () => {
+    const voiceIds = [...selected].filter(voiceId => storedSizes[voiceId] === undefined);
+    showMessage('');
+    runForVoices('downloadOfflineVoice', voiceIds).catch(error => logError('Voice download failed', error));
+  });
+
+  document.getElementById('voicesRemoveBtn')?.addEventListener('click', () => {
+    const voiceIds = [...selected].filter(voiceId => storedSizes[voiceId] !== undefined);
+    if (!confirm(tSync('voicesRemoveConfirm', uiLang).replace('{count}', String(voiceIds.length)))) return;
+    showMessage('');
+    runForVoices('removeOfflineVoice', voiceIds).catch(error => logError('Voice removal failed', error));
+  });
+
+  const importInput = /** @type {HTMLInputElement|null} */ (document.getElementById('voicesImportInput'));
+  document.getElementById('voicesImportBtn')?.addEventListener('click', () => importInput?.click());
+  importInput?.addEventListener('change', async () => {
+    const files = Array.from(importInput.files || []);
+    importInput.value = '';
+    if (files.length === 0) return;
+
+    busy = true;
+    updateButtons();
+    try {
+      const { imported, errors } = await importVoiceFiles(files);
+      const lines = [tSync('voicesImported', uiLang).replace('{count}', String(imported.length))];
+      for (const error of errors) {
+        lines.push(`${error.name}: ${tSync(IMPORT_ERROR_KEYS[error.reason] || error.reason, uiLang)}`);
+      }
+      showMessage(lines.join('\n'), errors.length > 0);
+    } catch (error) {
+      logError('Failed to import voice files', error);
+      showMessage(error.message, true);
+    } finally {
+      busy = false;
+      updateButtons();
+      await refreshStorage();
+    }
+  });
+
+  await refreshStorage();
+  updateButtons();
+}
+
+init().catch(error => {
+  logError('Failed to initialize voice manager page', error);
+});